@@ -63,7 +63,8 @@ class DocStore_DocumentLoaders implements INode {
 
             const stores = await appDataSource.getRepository(databaseEntities['DocumentStore']).find()
             for (const store of stores) {
-                if (store.status === 'SYNC') {
+                // Upserted stores are still in sync with their loaders
+                if (store.status === 'SYNC' || store.status === 'UPSERTED') {
                     const obj = {
                         name: store.id,
                         label: store.name,
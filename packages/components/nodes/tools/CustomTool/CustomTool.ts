@@ -90,7 +90,7 @@ class CustomTool_Tools implements INode {
                 obj.schema = zodSchemaFunction(z)
             }
 
-            const variables = await getVars(appDataSource, databaseEntities, nodeData)
+            const variables = await getVars(appDataSource, databaseEntities, nodeData, options.chatflowid)
 
             const flow = { chatflowId: options.chatflowid }
 
@@ -0,0 +1,172 @@
+import { DataSource } from 'typeorm'
+import { Document } from '@langchain/core/documents'
+import { ICommonObject, IDatabaseEntity, INode, INodeData, INodeOptionsValue, INodeOutputsValue, INodeParams } from '../../../src/Interface'
+import { handleEscapeCharacters } from '../../../src/utils'
+
+type ChatflowExecutor = (chatflowId: string, question: string, overrideConfig?: ICommonObject) => Promise<ICommonObject>
+
+class Chatflow_Utilities implements INode {
+    label: string
+    name: string
+    version: number
+    description: string
+    type: string
+    icon: string
+    category: string
+    baseClasses: string[]
+    inputs: INodeParams[]
+    outputs: INodeOutputsValue[]
+
+    constructor() {
+        this.label = 'Chatflow'
+        this.name = 'chatflow'
+        this.version = 1.0
+        this.type = 'Chatflow'
+        this.icon = 'chatflow.svg'
+        this.category = 'Utilities'
+        this.description = 'Execute another saved chatflow and use its answer and source documents'
+        this.baseClasses = [this.type, 'Utilities']
+        this.inputs = [
+            {
+                label: 'Select Chatflow',
+                name: 'selectedChatflow',
+                type: 'asyncOptions',
+                loadMethod: 'listChatflows'
+            },
+            {
+                label: 'Input',
+                name: 'chatflowInput',
+                type: 'string',
+                description: 'Question sent to the selected chatflow. Defaults to the question of this chatflow',
+                rows: 4,
+                acceptVariable: true,
+                optional: true
+            },
+            {
+                label: 'Override Config',
+                name: 'overrideConfig',
+                description:
+                    'Override the inputs of the selected chatflow. Available inputs are listed under each chatflow in the dropdown',
+                type: 'json',
+                acceptVariable: true,
+                optional: true
+            }
+        ]
+        this.outputs = [
+            {
+                label: 'Answer',
+                name: 'output',
+                baseClasses: ['string', 'json']
+            },
+            {
+                label: 'Source Documents',
+                name: 'sourceDocuments',
+                baseClasses: ['Document', 'json']
+            },
+            {
+                label: 'Ending Node',
+                name: 'EndingNode',
+                baseClasses: [this.type]
+            }
+        ]
+    }
+
+    //@ts-ignore
+    loadMethods = {
+        async listChatflows(_: INodeData, options: ICommonObject): Promise<INodeOptionsValue[]> {
+            const returnData: INodeOptionsValue[] = []
+
+            const appDataSource = options.appDataSource as DataSource
+            const databaseEntities = options.databaseEntities as IDatabaseEntity
+
+            if (appDataSource === undefined || !appDataSource) {
+                return returnData
+            }
+
+            // The chatflows of the workspace of the edited chatflow, or of the selected workspace when it is not saved yet
+            const repository = appDataSource.getRepository(databaseEntities['ChatFlow'])
+            const currentChatflow = options.chatflowid ? await repository.findOneBy({ id: options.chatflowid }) : undefined
+            const workspaceId = currentChatflow?.workspaceId ?? options.workspaceId
+            const chatflows = await repository.findBy(workspaceId ? { workspaceId } : {})
+
+            for (const chatflow of chatflows) {
+                // A chatflow executing itself is a cycle
+                if (chatflow.id === options.chatflowid) continue
+                const overrideableInputs = getOverrideableInputs(chatflow.flowData)
+                returnData.push({
+                    label: chatflow.name,
+                    name: chatflow.id,
+                    description: overrideableInputs.length ? `Overrideable inputs: ${overrideableInputs.join(', ')}` : undefined
+                })
+            }
+            return returnData
+        }
+    }
+
+    async init(nodeData: INodeData, input: string, options: ICommonObject): Promise<any> {
+        const output = nodeData.outputs?.output as string
+        const isEndingNode = output === 'EndingNode'
+        if (isEndingNode && !options.isRun) return // prevent running both init and run twice
+
+        const selectedChatflow = nodeData.inputs?.selectedChatflow as string
+        const chatflowInput = nodeData.inputs?.chatflowInput as string
+        const overrideConfigRaw = nodeData.inputs?.overrideConfig
+        const executeChatflow = options.executeChatflow as ChatflowExecutor | undefined
+
+        if (!selectedChatflow) throw new Error('Chatflow must be selected')
+        if (!executeChatflow) throw new Error('Chatflow can only be executed as part of a prediction')
+
+        let overrideConfig: ICommonObject | undefined
+        if (overrideConfigRaw) {
+            try {
+                overrideConfig = typeof overrideConfigRaw === 'object' ? overrideConfigRaw : JSON.parse(overrideConfigRaw)
+            } catch (exception) {
+                throw new Error('Invalid JSON in the Chatflow Override Config: ' + exception)
+            }
+        }
+
+        const question = chatflowInput ? handleEscapeCharacters(chatflowInput, true) : input
+        const result = await executeChatflow(selectedChatflow, question, overrideConfig)
+
+        const sourceDocuments: Document[] = (result.sourceDocuments ?? []).map(
+            (doc: ICommonObject) => new Document({ pageContent: doc.pageContent, metadata: doc.metadata ?? {} })
+        )
+
+        if (isEndingNode) {
+            const response: ICommonObject = { text: result.text ?? JSON.stringify(result.json ?? result) }
+            if (sourceDocuments.length) response.sourceDocuments = sourceDocuments
+            if (result.usedTools) response.usedTools = result.usedTools
+            return response
+        }
+
+        if (output === 'sourceDocuments') return sourceDocuments
+
+        if (result.json) return result.json
+        return handleEscapeCharacters(result.text ?? '', false)
+    }
+
+    async run(nodeData: INodeData, input: string, options: ICommonObject): Promise<string | ICommonObject> {
+        return await this.init(nodeData, input, { ...options, isRun: true })
+    }
+}
+
+/**
+ * Names of the inputs that can be overridden when executing the flow
+ */
+const getOverrideableInputs = (flowData: string): string[] => {
+    const inputNames: Set<string> = new Set()
+    try {
+        const nodes = JSON.parse(flowData)?.nodes ?? []
+        for (const node of nodes) {
+            for (const inputParam of node.data?.inputParams ?? []) {
+                if (inputParam.type === 'credential' || inputParam.hidden) continue
+                inputNames.add(inputParam.name)
+            }
+        }
+    } catch (e) {
+        // ignore
+    }
+    return [...inputNames]
+}
+
+module.exports = { nodeClass: Chatflow_Utilities }
@@ -70,7 +70,7 @@ class CustomFunction_Utilities implements INode {
         const appDataSource = options.appDataSource as DataSource
         const databaseEntities = options.databaseEntities as IDatabaseEntity
 
-        const variables = await getVars(appDataSource, databaseEntities, nodeData)
+        const variables = await getVars(appDataSource, databaseEntities, nodeData, options.chatflowid)
         const flow = {
             chatflowId: options.chatflowid,
             sessionId: options.sessionId,
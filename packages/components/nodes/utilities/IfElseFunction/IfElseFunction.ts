@@ -81,7 +81,7 @@ class IfElseFunction_Utilities implements INode {
         const appDataSource = options.appDataSource as DataSource
         const databaseEntities = options.databaseEntities as IDatabaseEntity
 
-        const variables = await getVars(appDataSource, databaseEntities, nodeData)
+        const variables = await getVars(appDataSource, databaseEntities, nodeData, options.chatflowid)
         const flow = {
             chatflowId: options.chatflowid,
             sessionId: options.sessionId,
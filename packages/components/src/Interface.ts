@@ -149,6 +149,15 @@ export interface IUsedTool {
     toolOutput: string | object
 }
 
+export interface ITokenUsage {
+    promptTokens: number
+    completionTokens: number
+    totalTokens: number
+    model?: string
+    // USD, only set when the model has a price in models.json
+    cost?: number
+}
+
 export interface IFileUpload {
     data?: string
     type: string
@@ -12,10 +12,13 @@ import { LangChainTracer, LangChainTracerFields } from '@langchain/core/tracers/
 import { BaseTracer, Run } from '@langchain/core/tracers/base'
 import { ChainValues } from '@langchain/core/utils/types'
 import { AgentAction } from '@langchain/core/agents'
+import { LLMResult } from '@langchain/core/outputs'
+import { Serialized, SerializedConstructor } from '@langchain/core/load/serializable'
 import { LunaryHandler } from '@langchain/community/callbacks/handlers/lunary'
 
 import { getCredentialData, getCredentialParam } from './utils'
-import { ICommonObject, INodeData } from './Interface'
+import { getModelCost } from './modelLoader'
+import { ICommonObject, INodeData, ITokenUsage } from './Interface'
 
 interface AgentRun extends Run {
     actions: AgentAction[]
@@ -216,12 +219,71 @@ export class CustomChainHandler extends BaseCallbackHandler {
     }
 }
 
+/**
+ * Report the token usage of every LLM call, providers name the usage fields differently.
+ * The model name is taken from the invocation params when the call starts and used to price the call.
+ */
+export class TokenUsageHandler extends BaseCallbackHandler {
+    name = 'token_usage_handler'
+    onTokenUsage: (tokenUsage: ITokenUsage) => void
+    modelNames: Record<string, string> = {}
+
+    constructor(onTokenUsage: (tokenUsage: ITokenUsage) => void) {
+        super()
+        this.onTokenUsage = onTokenUsage
+    }
+
+    setModelName(llm: Serialized, runId: string, extraParams?: Record<string, unknown>) {
+        const invocationParams = (extraParams?.invocation_params ?? {}) as ICommonObject
+        const kwargs = ((llm as SerializedConstructor).kwargs ?? {}) as ICommonObject
+        const modelName =
+            invocationParams.model ??
+            invocationParams.model_name ??
+            invocationParams.modelName ??
+            kwargs.model ??
+            kwargs.model_name ??
+            kwargs.modelName ??
+            kwargs.modelId
+        if (typeof modelName === 'string') this.modelNames[runId] = modelName
+    }
+
+    handleLLMStart(llm: Serialized, _: string[], runId: string, __?: string, extraParams?: Record<string, unknown>) {
+        this.setModelName(llm, runId, extraParams)
+    }
+
+    handleChatModelStart(llm: Serialized, _: unknown, runId: string, __?: string, extraParams?: Record<string, unknown>) {
+        this.setModelName(llm, runId, extraParams)
+    }
+
+    async handleLLMEnd(output: LLMResult, runId: string) {
+        const model = this.modelNames[runId] ?? output.llmOutput?.model_name ?? output.llmOutput?.model
+        delete this.modelNames[runId]
+        const usage = output.llmOutput?.tokenUsage ?? output.llmOutput?.estimatedTokenUsage ?? output.llmOutput?.usage
+        if (!usage) return
+        const promptTokens = usage.promptTokens ?? usage.prompt_tokens ?? usage.input_tokens ?? 0
+        const completionTokens = usage.completionTokens ?? usage.completion_tokens ?? usage.output_tokens ?? 0
+        const tokenUsage: ITokenUsage = {
+            promptTokens,
+            completionTokens,
+            totalTokens: usage.totalTokens ?? usage.total_tokens ?? promptTokens + completionTokens
+        }
+        if (model) {
+            tokenUsage.model = model
+            const cost = await getModelCost(model, promptTokens, completionTokens)
+            if (cost !== undefined) tokenUsage.cost = cost
+        }
+        this.onTokenUsage(tokenUsage)
+    }
+}
+
 export const additionalCallbacks = async (nodeData: INodeData, options: ICommonObject) => {
     try {
-        if (!options.analytic) return []
+        const callbacks: any = []
+        if (options.onTokenUsage) callbacks.push(new TokenUsageHandler(options.onTokenUsage))
+
+        if (!options.analytic) return callbacks
 
         const analytic = JSON.parse(options.analytic)
-        const callbacks: any = []
 
         for (const provider in analytic) {
             const providerStatus = analytic[provider].status as boolean
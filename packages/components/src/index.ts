@@ -8,3 +8,4 @@ export * from './Interface'
 export * from './utils'
 export * from './speechToText'
 export * from './storageUtils'
+export { TokenUsageHandler } from './handler'
@@ -66,3 +66,61 @@ export const getRegions = async (category: MODEL_TYPE, name: string) => {
         throw new Error(`Error: getRegions - ${e}`)
     }
 }
+
+interface IModelPrice {
+    // USD per 1,000 tokens
+    inputCost: number
+    outputCost: number
+}
+
+let modelPrices: Promise<Map<string, IModelPrice>> | undefined
+
+const loadModelPrices = async (): Promise<Map<string, IModelPrice>> => {
+    const prices = new Map<string, IModelPrice>()
+    let models
+    // Unlike the model options, prices are not fetched from the master list by default so they can be audited in models.json
+    if (process.env.MODEL_LIST_CONFIG_JSON) {
+        try {
+            const resp = await axios.get(process.env.MODEL_LIST_CONFIG_JSON)
+            if (resp.status === 200 && resp.data) models = resp.data
+        } catch (e) {
+            // fall back to the bundled models.json
+        }
+    }
+    try {
+        if (!models) models = JSON.parse(await fs.promises.readFile(getModelsJSONPath(), 'utf8'))
+    } catch (e) {
+        return prices
+    }
+    for (const category of Object.values(MODEL_TYPE)) {
+        for (const provider of models[category] ?? []) {
+            for (const model of provider.models ?? []) {
+                if (prices.has(model.name) || typeof model.input_cost !== 'number' || typeof model.output_cost !== 'number') continue
+                prices.set(model.name, { inputCost: model.input_cost, outputCost: model.output_cost })
+            }
+        }
+    }
+    return prices
+}
+
+/**
+ * Price the tokens of a model call with the input_cost and output_cost of the model in models.json.
+ * Versioned model names such as gpt-4o-2024-05-13 fall back to the longest listed name they start with.
+ * @param {string} modelName
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ * @returns {Promise<number | undefined>} cost in USD, undefined when the model has no price
+ */
+export const getModelCost = async (modelName: string, promptTokens: number, completionTokens: number): Promise<number | undefined> => {
+    if (!modelPrices) modelPrices = loadModelPrices()
+    const prices = await modelPrices
+    let price = prices.get(modelName)
+    if (!price) {
+        const priceName = Array.from(prices.keys())
+            .filter((name) => modelName.startsWith(name))
+            .sort((a, b) => b.length - a.length)[0]
+        if (priceName) price = prices.get(priceName)
+    }
+    if (!price) return undefined
+    return (promptTokens * price.inputCost + completionTokens * price.outputCost) / 1000
+}
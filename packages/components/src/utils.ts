@@ -721,9 +721,14 @@ export const convertMultiOptionsToStringArray = (inputString: string): string[]
  * @param {DataSource} appDataSource
  * @param {IDatabaseEntity} databaseEntities
  * @param {INodeData} nodeData
+ * @param {string} chatflowid the variables are restricted to the workspace of the chatflow when given
  */
-export const getVars = async (appDataSource: DataSource, databaseEntities: IDatabaseEntity, nodeData: INodeData) => {
-    const variables = ((await appDataSource.getRepository(databaseEntities['Variable']).find()) as IVariable[]) ?? []
+export const getVars = async (appDataSource: DataSource, databaseEntities: IDatabaseEntity, nodeData: INodeData, chatflowid?: string) => {
+    const chatflow = chatflowid ? await appDataSource.getRepository(databaseEntities['ChatFlow']).findOneBy({ id: chatflowid }) : undefined
+    const variables =
+        ((await appDataSource
+            .getRepository(databaseEntities['Variable'])
+            .findBy(chatflow?.workspaceId ? { workspaceId: chatflow.workspaceId } : {})) as IVariable[]) ?? []
 
     // override variables defined in overrideConfig
     // nodeData.inputs.variables is an Object, check each property and override the variable
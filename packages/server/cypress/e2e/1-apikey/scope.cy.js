@@ -0,0 +1,33 @@
+describe('E2E suite for api/v1/apikey scopes', () => {
+    const keyName = 'ReadOnlyKey'
+    let readKey
+
+    before(() => {
+        cy.request('POST', 'http://localhost:3000/api/v1/apikey', { keyName, scope: 'read' }).then((response) => {
+            readKey = response.body.find((apiKey) => apiKey.keyName === keyName)
+        })
+    })
+
+    after(() => {
+        cy.request('DELETE', `http://localhost:3000/api/v1/apikey/${readKey.id}`)
+    })
+
+    const requestWithReadKey = (url) =>
+        cy.request({
+            url,
+            headers: { Authorization: `Bearer ${readKey.apiKey}` },
+            failOnStatusCode: false
+        })
+
+    it('can not list api keys with a read key', () => {
+        requestWithReadKey('http://localhost:3000/api/v1/apikey').its('status').should('eq', 403)
+    })
+
+    it('can not list api keys with a read key on a mixed case path', () => {
+        requestWithReadKey('http://localhost:3000/api/v1/APIKEY').its('status').should('eq', 403)
+    })
+
+    it('can not read credentials with a read key on a mixed case path', () => {
+        requestWithReadKey('http://localhost:3000/api/v1/Credentials').its('status').should('eq', 403)
+    })
+})
@@ -0,0 +1,43 @@
+describe('E2E suite for api/v1/document-store/chunks bulk API endpoints', () => {
+    let storeId
+
+    before(() => {
+        cy.request('POST', 'http://localhost:3000/api/v1/document-store/store', { name: 'BulkChunksStore', description: '' }).then(
+            (response) => {
+                storeId = response.body.id
+            }
+        )
+    })
+
+    after(() => {
+        cy.request('DELETE', `http://localhost:3000/api/v1/document-store/store/${storeId}`)
+    })
+
+    it('rejects a bulk delete without chunk ids', () => {
+        cy.request({
+            method: 'POST',
+            url: `http://localhost:3000/api/v1/document-store/chunks/${storeId}/bulk/delete`,
+            body: {},
+            failOnStatusCode: false
+        })
+            .its('status')
+            .should('eq', 412)
+    })
+
+    it('rejects a bulk delete with an empty list of chunk ids', () => {
+        cy.request({
+            method: 'POST',
+            url: `http://localhost:3000/api/v1/document-store/chunks/${storeId}/bulk/delete`,
+            body: { chunkIds: [] },
+            failOnStatusCode: false
+        })
+            .its('status')
+            .should('eq', 412)
+    })
+
+    it('deletes all the chunks matching the filter when all is set', () => {
+        cy.request('POST', `http://localhost:3000/api/v1/document-store/chunks/${storeId}/bulk/delete`, { all: true, filter: {} })
+            .its('body.deleted')
+            .should('eq', 0)
+    })
+})
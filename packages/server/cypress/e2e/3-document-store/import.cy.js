@@ -0,0 +1,55 @@
+const importArchive = (fileName, loaderFileName = fileName) => ({
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    documentStore: { name: 'ImportedStore', description: '' },
+    loaders: [
+        {
+            id: 'loader_0',
+            loaderId: 'textFile',
+            loaderName: 'Text File',
+            loaderConfig: { txtFile: `FILE-STORAGE::${JSON.stringify([loaderFileName])}` },
+            splitterId: '',
+            splitterName: '',
+            splitterConfig: {},
+            totalChunks: 1,
+            totalChars: 5,
+            status: 'SYNC',
+            files: [{ id: 'file_0', name: loaderFileName, mimePrefix: 'text/plain', size: 5, status: 'SYNC', uploaded: new Date() }]
+        }
+    ],
+    files: [{ name: fileName, mimePrefix: 'text/plain', content: btoa('hello') }],
+    chunks: [{ docId: 'loader_0', chunkNo: 1, pageContent: 'hello', metadata: '{}' }],
+    credentials: []
+})
+
+describe('E2E suite for api/v1/document-store/import API endpoint', () => {
+    it('rejects archives with a file outside the storage folder', () => {
+        cy.request({
+            method: 'POST',
+            url: 'http://localhost:3000/api/v1/document-store/import',
+            body: importArchive('../../../../home/node/.bashrc'),
+            failOnStatusCode: false
+        })
+            .its('status')
+            .should('eq', 412)
+    })
+
+    it('rejects archives with a file that is not uploaded to a loader', () => {
+        cy.request({
+            method: 'POST',
+            url: 'http://localhost:3000/api/v1/document-store/import',
+            body: importArchive('other.txt', 'hello.txt'),
+            failOnStatusCode: false
+        })
+            .its('status')
+            .should('eq', 412)
+    })
+
+    it('imports archives with plain file names', () => {
+        cy.request('POST', 'http://localhost:3000/api/v1/document-store/import', importArchive('hello.txt')).then((response) => {
+            expect(response.status).to.eq(200)
+            expect(response.body.documentStore.loaders[0].totalChunks).to.eq(1)
+            cy.request('DELETE', `http://localhost:3000/api/v1/document-store/store/${response.body.documentStore.id}`)
+        })
+    })
+})
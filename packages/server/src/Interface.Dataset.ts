@@ -0,0 +1,108 @@
+import { ICommonObject, INodeParams, ITokenUsage } from 'flowise-components'
+
+export enum DatasetRunStatus {
+    RUNNING = 'RUNNING',
+    COMPLETED = 'COMPLETED',
+    STOPPED = 'STOPPED',
+    ERROR = 'ERROR'
+}
+
+export enum DatasetRunResultStatus {
+    PASSED = 'PASSED',
+    FAILED = 'FAILED',
+    ERROR = 'ERROR'
+}
+
+export interface IDataset {
+    id: string
+    name: string
+    description?: string
+    updatedDate: Date
+    createdDate: Date
+}
+
+export interface IDatasetRow {
+    id: string
+    datasetId: string
+    input: string
+    expectedOutput?: string
+    sequenceNo: number
+    createdDate: Date
+}
+
+export interface IDatasetRun {
+    id: string
+    datasetId: string
+    chatflowid: string
+    chatflowName?: string
+    status: DatasetRunStatus
+    scorers: string // JSON string of IDatasetScorerConfig[]
+    concurrency: number
+    totalRows: number
+    completedRows: number
+    passedRows: number
+    errorRows: number
+    metrics?: string // JSON string of IDatasetRunMetrics
+    error?: string
+    createdDate: Date
+    completedDate?: Date
+}
+
+export interface IDatasetRunResult {
+    id: string
+    runId: string
+    rowId: string
+    input: string
+    expectedOutput?: string
+    actualOutput?: string
+    status: DatasetRunResultStatus
+    scores?: string // JSON string of IDatasetScore[]
+    latency?: number
+    error?: string
+    // Usage of the prediction and of the scorers, rows save no chat message so it is counted from here
+    chatflowid?: string
+    promptTokens?: number
+    completionTokens?: number
+    totalTokens?: number
+    cost?: number // USD
+    tokenUsage?: string // JSON string of IModelTokenUsage[]
+    createdDate: Date
+}
+
+export interface IDatasetScorerConfig {
+    name: string
+    config?: ICommonObject
+}
+
+export interface IDatasetScore {
+    scorer: string
+    passed: boolean
+    score?: number
+    reason?: string
+}
+
+// Pass count of every scorer, keyed by scorer name
+export interface IDatasetRunMetrics {
+    [scorer: string]: { passed: number; total: number }
+}
+
+export interface IDatasetScorerContext {
+    input: string
+    expectedOutput?: string
+    actualOutput: string
+    config: ICommonObject
+    // reports the usage of the LLM calls made by the scorer
+    onTokenUsage?: (tokenUsage: ITokenUsage) => void
+}
+
+/**
+ * Scores the answer of a chatflow for one dataset row.
+ * Registered in utils/datasetScorers, the params are rendered as the config form of the scorer in the UI.
+ */
+export interface IDatasetScorer {
+    name: string
+    label: string
+    description: string
+    params: INodeParams[]
+    score: (context: IDatasetScorerContext) => Promise<Omit<IDatasetScore, 'scorer'>>
+}
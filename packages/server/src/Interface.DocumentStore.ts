@@ -1,3 +1,4 @@
+import { ICommonObject } from 'flowise-components'
 import { DocumentStore } from './database/entities/DocumentStore'
 
 export enum DocumentStoreStatus {
@@ -5,7 +6,9 @@ export enum DocumentStoreStatus {
     SYNC = 'SYNC',
     SYNCING = 'SYNCING',
     STALE = 'STALE',
-    NEW = 'NEW'
+    NEW = 'NEW',
+    // chunks are in sync and were upserted to the vector store
+    UPSERTED = 'UPSERTED'
 }
 
 export interface IDocumentStore {
@@ -14,9 +17,55 @@ export interface IDocumentStore {
     description: string
     loaders: string // JSON string
     whereUsed: string // JSON string
+    createdBy?: string
+    updatedBy?: string
+    workspaceId?: string
     updatedDate: Date
     createdDate: Date
     status: DocumentStoreStatus
+    embeddingConfig?: string // JSON string
+    vectorStoreConfig?: string // JSON string
+    recordManagerConfig?: string // JSON string
+}
+
+// Component node used to upsert the chunks of a store, with the values of its inputs
+export interface IDocumentStoreComponentConfig {
+    name: string
+    config: ICommonObject
+    credential?: string
+}
+
+export interface IDocumentStoreUpsertData {
+    storeId: string
+    embedding: IDocumentStoreComponentConfig
+    vectorStore: IDocumentStoreComponentConfig
+    recordManager?: IDocumentStoreComponentConfig
+}
+
+export type DocumentStoreQueryMode = 'keyword' | 'embeddings'
+
+// Query tested against the chunks of a store, with BM25 keyword scoring or the similarity of embeddings
+export interface IDocumentStoreQueryData {
+    storeId: string
+    query: string
+    mode: DocumentStoreQueryMode
+    topK?: number
+    loaderId?: string
+    embedding?: IDocumentStoreComponentConfig
+}
+
+export interface IDocumentStoreQueryResult {
+    chunk: IDocumentStoreFileChunk
+    loaderName: string
+    score: number
+}
+
+export interface IDocumentStoreQueryResponse {
+    query: string
+    mode: DocumentStoreQueryMode
+    totalChunks: number
+    timeTaken: number
+    results: IDocumentStoreQueryResult[]
 }
 
 export interface IDocumentStoreFileChunk {
@@ -26,6 +75,8 @@ export interface IDocumentStoreFileChunk {
     storeId: string
     pageContent: string
     metadata: string
+    // hash of the chunk as it was split, set when the chunk is edited so a refresh keeps the edit
+    originalHash?: string
 }
 
 export interface IDocumentStoreFileChunkPagedResponse {
@@ -35,6 +86,38 @@ export interface IDocumentStoreFileChunkPagedResponse {
     currentPage: number
     storeName: string
     description: string
+    // keys of the metadata of all the chunks of the loader or store, only when asked for
+    metadataKeys?: string[]
+}
+
+// Chunks having a metadata key, with a value when given, and containing a text
+export interface IDocumentStoreChunkFilter {
+    metadataKey?: string
+    metadataValue?: string
+    search?: string
+}
+
+// Chunks targeted by a bulk operation, the given chunk ids or, with all set, all the chunks of the loader or store matching the filter
+export interface IDocumentStoreChunkSelection {
+    chunkIds?: string[]
+    all?: boolean
+    loaderId?: string
+    filter?: IDocumentStoreChunkFilter
+}
+
+// add: set the given keys, replace: replace the whole metadata, remove: delete the given keys
+export type DocumentStoreMetadataOperation = 'add' | 'replace' | 'remove'
+
+export interface IDocumentStoreBulkMetadataData extends IDocumentStoreChunkSelection {
+    operation: DocumentStoreMetadataOperation
+    metadata?: ICommonObject
+    keys?: string[]
+}
+
+export interface IDocumentStoreBulkReplaceData extends IDocumentStoreChunkSelection {
+    find: string
+    replace: string
+    matchCase?: boolean
 }
 
 export interface IDocumentStoreLoader {
@@ -52,6 +135,18 @@ export interface IDocumentStoreLoader {
     files?: IDocumentStoreLoaderFile[]
     source?: string
     credential?: string
+    schedule?: string // cron expression of the automatic refresh
+    lastRunDate?: Date
+    nextRunDate?: Date
+    lastRunError?: string
+    lastRunResult?: IDocumentStoreRefreshResult
+}
+
+// Chunks of a loader after a refresh, unchanged chunks are kept as they are
+export interface IDocumentStoreRefreshResult {
+    added: number
+    removed: number
+    unchanged: number
 }
 
 export interface IDocumentStoreLoaderForPreview extends IDocumentStoreLoader {
@@ -69,6 +164,62 @@ export interface IDocumentStoreLoaderFile {
     uploaded: Date
 }
 
+// Version of the archive format, archives of a newer version cannot be imported
+export const DOCUMENT_STORE_ARCHIVE_VERSION = 1
+
+// File uploaded to a loader, with its base64 content
+export interface IDocumentStoreArchiveFile {
+    name: string
+    mimePrefix: string
+    content: string
+}
+
+// Chunk of a loader, docId is the id of the loader in the archive
+export interface IDocumentStoreArchiveChunk {
+    docId: string
+    chunkNo: number
+    pageContent: string
+    metadata: string // JSON string
+    originalHash?: string
+}
+
+// Credential used by the store, without its data, to find the matching credential where the archive is imported
+export interface IDocumentStoreArchiveCredential {
+    id: string
+    name: string
+    credentialName: string
+}
+
+// Portable copy of a document store with its loaders, uploaded files and chunks
+export interface IDocumentStoreArchive {
+    version: number
+    exportedAt: Date
+    documentStore: {
+        name: string
+        description: string
+        embeddingConfig?: IDocumentStoreComponentConfig
+        vectorStoreConfig?: IDocumentStoreComponentConfig
+        recordManagerConfig?: IDocumentStoreComponentConfig
+    }
+    loaders: IDocumentStoreLoader[]
+    files: IDocumentStoreArchiveFile[]
+    chunks: IDocumentStoreArchiveChunk[]
+    credentials: IDocumentStoreArchiveCredential[]
+}
+
+export type DocumentStoreImportConflictType = 'name' | 'credential' | 'component' | 'file' | 'schedule'
+
+// Part of an archive that could not be imported as it is, the store is imported anyway
+export interface IDocumentStoreImportConflict {
+    type: DocumentStoreImportConflictType
+    message: string
+}
+
+export interface IDocumentStoreImportResponse {
+    documentStore: DocumentStoreDTO
+    conflicts: IDocumentStoreImportConflict[]
+}
+
 export interface IDocumentStoreWhereUsed {
     id: string
     name: string
@@ -80,6 +231,9 @@ export class DocumentStoreDTO {
     description: string
     files: IDocumentStoreLoaderFile[]
     whereUsed: IDocumentStoreWhereUsed[]
+    createdBy?: string
+    updatedBy?: string
+    workspaceId?: string
     createdDate: Date
     updatedDate: Date
     status: DocumentStoreStatus
@@ -89,6 +243,9 @@ export class DocumentStoreDTO {
     totalChars: number
     chunkSize: number
     loaders: IDocumentStoreLoader[]
+    embeddingConfig?: IDocumentStoreComponentConfig
+    vectorStoreConfig?: IDocumentStoreComponentConfig
+    recordManagerConfig?: IDocumentStoreComponentConfig
 
     constructor() {}
 
@@ -109,6 +266,10 @@ export class DocumentStoreDTO {
             documentStoreDTO.whereUsed = []
         }
 
+        documentStoreDTO.embeddingConfig = entity.embeddingConfig ? JSON.parse(entity.embeddingConfig) : undefined
+        documentStoreDTO.vectorStoreConfig = entity.vectorStoreConfig ? JSON.parse(entity.vectorStoreConfig) : undefined
+        documentStoreDTO.recordManagerConfig = entity.recordManagerConfig ? JSON.parse(entity.recordManagerConfig) : undefined
+
         if (entity.loaders) {
             documentStoreDTO.loaders = JSON.parse(entity.loaders)
             documentStoreDTO.loaders.map((loader) => {
@@ -1,4 +1,4 @@
-import { ICommonObject, IFileUpload, INode, INodeData as INodeDataFromComponent, INodeParams } from 'flowise-components'
+import { ICommonObject, IFileUpload, INode, INodeData as INodeDataFromComponent, INodeParams, ITokenUsage } from 'flowise-components'
 
 export type MessageType = 'apiMessage' | 'userMessage'
 
@@ -26,6 +26,9 @@ export interface IChatFlow {
     analytic?: string
     chatbotConfig?: string
     apiConfig?: any
+    createdBy?: string
+    updatedBy?: string
+    workspaceId?: string
 }
 
 export interface IChatMessage {
@@ -43,6 +46,35 @@ export interface IChatMessage {
     sessionId?: string
     createdDate: Date
     leadEmail?: string
+    executionTrace?: string
+    promptTokens?: number
+    completionTokens?: number
+    totalTokens?: number
+    // USD
+    cost?: number
+    // Token usage and cost per model, JSON of IModelTokenUsage[]
+    tokenUsage?: string
+    // API key used to call the prediction
+    apikeyid?: string
+}
+
+// Prediction that failed, no chat message is saved for it
+export interface IPredictionError {
+    id: string
+    chatflowid: string
+    chatId: string
+    chatType: string
+    error: string
+    executionTrace?: string
+    promptTokens?: number
+    completionTokens?: number
+    totalTokens?: number
+    // USD
+    cost?: number
+    // Token usage and cost per model, JSON of IModelTokenUsage[]
+    tokenUsage?: string
+    apikeyid?: string
+    createdDate: Date
 }
 
 export interface IChatMessageFeedback {
@@ -55,6 +87,70 @@ export interface IChatMessageFeedback {
     createdDate: Date
 }
 
+export type ChatMessageExportFormat = 'csv' | 'jsonl' | 'json'
+
+export interface IChatMessageFilters {
+    chatType?: chatType
+    startDate?: string
+    endDate?: string
+    chatId?: string
+    sessionId?: string
+    rating?: ChatMessageRatingType
+}
+
+export interface IChatMessageSearchSnippet {
+    source: 'message' | 'sourceDocument' | 'tool'
+    label?: string
+    before: string
+    match: string
+    after: string
+}
+
+// Matching messages of one session, sessions are identified the same way as in the chat logs dialog
+export interface IChatMessageSearchSession {
+    chatId: string
+    memoryType?: string
+    sessionId?: string
+    chatType: string
+    matches: {
+        messageId: string
+        role: MessageType
+        createdDate: Date
+        snippets: IChatMessageSearchSnippet[]
+    }[]
+}
+
+export interface IChatflowAnalyticsMetrics {
+    messages: number
+    sessions: number
+    users: number
+    answers: number
+    // Answers with at least one node that failed while generating them
+    errors: number
+    averageLatency: number
+    tokens: number
+    positiveFeedback: number
+    negativeFeedback: number
+}
+
+export interface IChatflowAnalyticsBucket extends IChatflowAnalyticsMetrics {
+    date: string
+}
+
+export interface IChatflowAnalyticsCount {
+    name: string
+    count: number
+}
+
+export interface IChatflowAnalytics {
+    startDate: string
+    endDate: string
+    totals: IChatflowAnalyticsMetrics
+    series: IChatflowAnalyticsBucket[]
+    topStarterPrompts: IChatflowAnalyticsCount[]
+    topTools: IChatflowAnalyticsCount[]
+}
+
 export interface ITool {
     id: string
     name: string
@@ -63,6 +159,8 @@ export interface ITool {
     iconSrc?: string
     schema?: string
     func?: string
+    createdBy?: string
+    updatedBy?: string
     updatedDate: Date
     createdDate: Date
 }
@@ -81,6 +179,9 @@ export interface ICredential {
     name: string
     credentialName: string
     encryptedData: string
+    createdBy?: string
+    updatedBy?: string
+    workspaceId?: string
     updatedDate: Date
     createdDate: Date
 }
@@ -90,10 +191,111 @@ export interface IVariable {
     name: string
     value: string
     type: string
+    workspaceId?: string
+    updatedDate: Date
+    createdDate: Date
+}
+
+// predict: predictions and vector upserts, read: read-only management routes, admin: all routes
+export type ApiKeyScope = 'predict' | 'read' | 'admin'
+
+export interface IApiKeySettings {
+    // Keys created before scopes existed have no scope and are admin keys
+    scope?: ApiKeyScope
+    // Chatflows and document stores the key is restricted to, the key is not restricted when both are empty
+    chatflows?: string[]
+    documentStores?: string[]
+    // ISO date
+    expiresAt?: string
+    // USD the predictions made with the key can cost per month
+    monthlyBudget?: number
+}
+
+// admin: all routes, editor: all routes but users and API keys, viewer: read-only
+export type UserRole = 'admin' | 'editor' | 'viewer'
+
+export interface IUser {
+    id: string
+    username: string
+    // scrypt hash of the password
+    password: string
+    role: UserRole
+    lastLoginDate?: Date
+    updatedDate: Date
+    createdDate: Date
+}
+
+// User sent back to the client, without the password hash
+export type IUserResponse = Omit<IUser, 'password'>
+
+export interface IWorkspace {
+    id: string
+    name: string
+    description?: string
+    createdBy?: string
+    updatedBy?: string
     updatedDate: Date
     createdDate: Date
 }
 
+// move: the chatflow changes workspace, copy: a new chatflow is created in the workspace
+export type WorkspaceTransferMode = 'move' | 'copy'
+
+export type WorkspaceTransferConflictType = 'variable' | 'documentStore'
+
+// Reference of a chatflow that could not be carried over to the workspace, the chatflow is transferred anyway
+export interface IWorkspaceTransferConflict {
+    type: WorkspaceTransferConflictType
+    message: string
+}
+
+export interface IWorkspaceTransferResponse {
+    chatflow: IChatFlow
+    conflicts: IWorkspaceTransferConflict[]
+}
+
+export type AuditLogAction = 'CREATE' | 'UPDATE' | 'DELETE'
+
+export type AuditLogEntityType =
+    | 'chatflow'
+    | 'credential'
+    | 'variable'
+    | 'tool'
+    | 'apikey'
+    | 'assistant'
+    | 'documentstore'
+    | 'user'
+    | 'workspace'
+
+export type AuditLogActorType = 'user' | 'apikey' | 'anonymous'
+
+export type AuditLogExportFormat = 'csv' | 'jsonl' | 'json'
+
+export interface IAuditLog {
+    id: string
+    // Username or API key name, empty when management routes are not protected
+    actor?: string
+    actorType: AuditLogActorType
+    action: AuditLogAction
+    entityType: AuditLogEntityType
+    entityId?: string
+    entityName?: string
+    // JSON summary of the changed fields, with secrets redacted
+    before?: string
+    after?: string
+    ip?: string
+    createdDate: Date
+}
+
+export interface IAuditLogFilters {
+    entityType?: AuditLogEntityType
+    entityId?: string
+    action?: AuditLogAction
+    actor?: string
+    startDate?: string
+    endDate?: string
+}
+
 export interface ILead {
     id: string
     name?: string
@@ -112,6 +314,17 @@ export interface IUpsertHistory {
     date: Date
 }
 
+export interface IChatFlowVersion {
+    id: string
+    chatflowid: string
+    version: number
+    flowData: string
+    chatbotConfig?: string
+    apiConfig?: string
+    author?: string
+    createdDate: Date
+}
+
 export interface IComponentNodes {
     [key: string]: INode
 }
@@ -214,6 +427,76 @@ export interface IncomingInput {
     leadEmail?: string
 }
 
+export type ExecutionTraceStatus = 'RUNNING' | 'FINISHED' | 'ERROR'
+
+export interface IExecutionTraceEntry {
+    id: string
+    parentId?: string
+    chatflowid: string
+    nodeId: string
+    nodeLabel: string
+    nodeName: string
+    method: 'init' | 'run'
+    status: ExecutionTraceStatus
+    startTime: number
+    endTime?: number
+    latency?: number
+    inputs: ICommonObject
+    output?: string
+    error?: string
+    tokenUsage?: ITokenUsage
+}
+
+export interface IModelTokenUsage {
+    model: string
+    promptTokens: number
+    completionTokens: number
+    totalTokens: number
+    // USD, only set when the model has a price in models.json
+    cost?: number
+}
+
+export interface IUsageMetrics {
+    // Answers with recorded token usage
+    answers: number
+    promptTokens: number
+    completionTokens: number
+    totalTokens: number
+    // USD
+    cost: number
+}
+
+export interface IUsageBucket extends IUsageMetrics {
+    date: string
+}
+
+export interface IUsageBudget {
+    monthlyBudget?: number
+    // Cost since the start of the current month
+    monthCost?: number
+}
+
+export interface IUsageFilters {
+    startDate?: string
+    endDate?: string
+    chatflowid?: string
+    apikeyid?: string
+    // Minutes as returned by Date.getTimezoneOffset() in the client, used to bucket days
+    tzOffset?: number
+}
+
+export interface IUsageReport {
+    startDate: string
+    endDate: string
+    totals: IUsageMetrics
+    series: IUsageBucket[]
+    chatflows: (IUsageMetrics & IUsageBudget & { chatflowid: string; name: string })[]
+    apiKeys: (IUsageMetrics & IUsageBudget & { apikeyid: string; keyName: string })[]
+    models: (IUsageMetrics & { model: string })[]
+}
+
+export type ChatflowExecutor = (chatflowId: string, question: string, overrideConfig?: ICommonObject) => Promise<any>
+
 export interface IActiveChatflows {
     [key: string]: {
         startingNodes: IReactFlowNode[]
@@ -227,6 +510,21 @@ export interface IActiveCache {
     [key: string]: Map<any, any>
 }
 
+export type FlowValidationIssueType = 'error' | 'warning'
+
+export interface IFlowValidationIssue {
+    type: FlowValidationIssueType
+    message: string
+    nodeId?: string
+    nodeLabel?: string
+    inputName?: string
+}
+
+export interface IFlowValidationResult {
+    isValid: boolean
+    issues: IFlowValidationIssue[]
+}
+
 export interface IOverrideConfig {
     node: string
     nodeId: string
@@ -256,3 +554,6 @@ export interface IUploadFileSizeAndTypes {
 
 // DocumentStore related
 export * from './Interface.DocumentStore'
+
+// Dataset related
+export * from './Interface.Dataset'
@@ -18,6 +18,8 @@ export default class Start extends Command {
     static flags = {
         FLOWISE_USERNAME: Flags.string(),
         FLOWISE_PASSWORD: Flags.string(),
+        FLOWISE_JWT_SECRET: Flags.string(),
+        FLOWISE_JWT_EXPIRY_MINUTES: Flags.string(),
         FLOWISE_FILE_SIZE_LIMIT: Flags.string(),
         PORT: Flags.string(),
         CORS_ORIGINS: Flags.string(),
@@ -25,6 +27,7 @@ export default class Start extends Command {
         DEBUG: Flags.string(),
         BLOB_STORAGE_PATH: Flags.string(),
         APIKEY_PATH: Flags.string(),
+        APIKEY_STORAGE_TYPE: Flags.string(),
         SECRETKEY_PATH: Flags.string(),
         FLOWISE_SECRETKEY_OVERWRITE: Flags.string(),
         LOG_PATH: Flags.string(),
@@ -46,7 +49,11 @@ export default class Start extends Command {
         LANGCHAIN_API_KEY: Flags.string(),
         LANGCHAIN_PROJECT: Flags.string(),
         DISABLE_FLOWISE_TELEMETRY: Flags.string(),
+        DISABLE_DOCSTORE_SCHEDULER: Flags.string(),
         MODEL_LIST_CONFIG_JSON: Flags.string(),
+        BLOCK_INVALID_CHATFLOW_SAVE: Flags.string(),
+        BLOCK_INVALID_PREDICTION: Flags.string(),
+        CHATFLOW_NODE_MAX_DEPTH: Flags.string(),
         STORAGE_TYPE: Flags.string(),
         S3_STORAGE_BUCKET_NAME: Flags.string(),
         S3_STORAGE_ACCESS_KEY_ID: Flags.string(),
@@ -97,7 +104,10 @@ export default class Start extends Command {
         // Authorization
         if (flags.FLOWISE_USERNAME) process.env.FLOWISE_USERNAME = flags.FLOWISE_USERNAME
         if (flags.FLOWISE_PASSWORD) process.env.FLOWISE_PASSWORD = flags.FLOWISE_PASSWORD
+        if (flags.FLOWISE_JWT_SECRET) process.env.FLOWISE_JWT_SECRET = flags.FLOWISE_JWT_SECRET
+        if (flags.FLOWISE_JWT_EXPIRY_MINUTES) process.env.FLOWISE_JWT_EXPIRY_MINUTES = flags.FLOWISE_JWT_EXPIRY_MINUTES
         if (flags.APIKEY_PATH) process.env.APIKEY_PATH = flags.APIKEY_PATH
+        if (flags.APIKEY_STORAGE_TYPE) process.env.APIKEY_STORAGE_TYPE = flags.APIKEY_STORAGE_TYPE
 
         // API Configuration
         if (flags.FLOWISE_FILE_SIZE_LIMIT) process.env.FLOWISE_FILE_SIZE_LIMIT = flags.FLOWISE_FILE_SIZE_LIMIT
@@ -134,12 +144,22 @@ export default class Start extends Command {
         // Telemetry
         if (flags.DISABLE_FLOWISE_TELEMETRY) process.env.DISABLE_FLOWISE_TELEMETRY = flags.DISABLE_FLOWISE_TELEMETRY
 
+        // Document store
+        if (flags.DISABLE_DOCSTORE_SCHEDULER) process.env.DISABLE_DOCSTORE_SCHEDULER = flags.DISABLE_DOCSTORE_SCHEDULER
+
         // Disable langchain warnings
         process.env.LANGCHAIN_SUPPRESS_MIGRATION_WARNINGS = 'true'
 
         // Model list config
         if (flags.MODEL_LIST_CONFIG_JSON) process.env.MODEL_LIST_CONFIG_JSON = flags.MODEL_LIST_CONFIG_JSON
 
+        // Chatflow validation
+        if (flags.BLOCK_INVALID_CHATFLOW_SAVE) process.env.BLOCK_INVALID_CHATFLOW_SAVE = flags.BLOCK_INVALID_CHATFLOW_SAVE
+        if (flags.BLOCK_INVALID_PREDICTION) process.env.BLOCK_INVALID_PREDICTION = flags.BLOCK_INVALID_PREDICTION
+
+        // Chatflow node
+        if (flags.CHATFLOW_NODE_MAX_DEPTH) process.env.CHATFLOW_NODE_MAX_DEPTH = flags.CHATFLOW_NODE_MAX_DEPTH
+
         // Storage
         if (flags.STORAGE_TYPE) process.env.STORAGE_TYPE = flags.STORAGE_TYPE
         if (flags.BLOB_STORAGE_PATH) process.env.BLOB_STORAGE_PATH = flags.BLOB_STORAGE_PATH
@@ -0,0 +1,48 @@
+import { StatusCodes } from 'http-status-codes'
+import { Request, Response, NextFunction } from 'express'
+import analyticsService from '../../services/analytics'
+import { chatType } from '../../Interface'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+
+const getChatflowAnalytics = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: analyticsController.getChatflowAnalytics - id not provided!`
+            )
+        }
+        const startDate = req.query?.startDate as string | undefined
+        const endDate = req.query?.endDate as string | undefined
+        let chatTypeFilter: chatType | undefined
+        if (req.query?.chatType) {
+            let chatTypeFilterArray: string[]
+            try {
+                chatTypeFilterArray = JSON.parse(req.query.chatType as string)
+            } catch (e) {
+                throw new InternalFlowiseError(
+                    StatusCodes.PRECONDITION_FAILED,
+                    `Error: analyticsController.getChatflowAnalytics - chatType must be a JSON array!`
+                )
+            }
+            const isExternal = chatTypeFilterArray.includes(chatType.EXTERNAL)
+            const isInternal = chatTypeFilterArray.includes(chatType.INTERNAL)
+            if (isExternal !== isInternal) chatTypeFilter = isExternal ? chatType.EXTERNAL : chatType.INTERNAL
+        }
+        const tzOffset = req.query?.tzOffset ? parseInt(req.query.tzOffset as string, 10) : 0
+        if (isNaN(tzOffset)) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: analyticsController.getChatflowAnalytics - tzOffset must be a number!`
+            )
+        }
+        const apiResponse = await analyticsService.getChatflowAnalytics(req.params.id, chatTypeFilter, startDate, endDate, tzOffset)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+export default {
+    getChatflowAnalytics
+}
@@ -2,6 +2,58 @@ import { Request, Response, NextFunction } from 'express'
 import { StatusCodes } from 'http-status-codes'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
 import apikeyService from '../../services/apikey'
+import { ApiKeyScope, IApiKeySettings } from '../../Interface'
+
+const API_KEY_SCOPES: ApiKeyScope[] = ['predict', 'read', 'admin']
+
+// Monthly budget in USD, empty for no budget
+const parseMonthlyBudget = (monthlyBudget: unknown, caller: string): number | undefined => {
+    if (monthlyBudget === undefined || monthlyBudget === null || monthlyBudget === '') return undefined
+    const budget = Number(monthlyBudget)
+    if (isNaN(budget) || budget < 0) {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: apikeyController.${caller} - monthlyBudget must be a positive number!`
+        )
+    }
+    return budget
+}
+
+// List of chatflow or document store ids, empty for no restriction
+const parseIdList = (ids: unknown, name: string, caller: string): string[] | undefined => {
+    if (ids === undefined || ids === null || ids === '') return undefined
+    if (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string')) {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: apikeyController.${caller} - ${name} must be a list of ids!`
+        )
+    }
+    return ids.length ? ids : undefined
+}
+
+const parseApiKeySettings = (body: any, caller: string): IApiKeySettings => {
+    if (body.scope && !API_KEY_SCOPES.includes(body.scope)) {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: apikeyController.${caller} - scope must be one of ${API_KEY_SCOPES.join(', ')}!`
+        )
+    }
+    let expiresAt: string | undefined
+    if (body.expiresAt) {
+        const expiryDate = new Date(body.expiresAt)
+        if (isNaN(expiryDate.getTime())) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: apikeyController.${caller} - invalid expiresAt date!`)
+        }
+        expiresAt = expiryDate.toISOString()
+    }
+    return {
+        scope: body.scope || undefined,
+        chatflows: parseIdList(body.chatflows, 'chatflows', caller),
+        documentStores: parseIdList(body.documentStores, 'documentStores', caller),
+        expiresAt,
+        monthlyBudget: parseMonthlyBudget(body.monthlyBudget, caller)
+    }
+}
 
 // Get api keys
 const getAllApiKeys = async (req: Request, res: Response, next: NextFunction) => {
@@ -18,7 +70,8 @@ const createApiKey = async (req: Request, res: Response, next: NextFunction) =>
         if (typeof req.body === 'undefined' || !req.body.keyName) {
             throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: apikeyController.createApiKey - keyName not provided!`)
         }
-        const apiResponse = await apikeyService.createApiKey(req.body.keyName)
+        const settings = parseApiKeySettings(req.body, 'createApiKey')
+        const apiResponse = await apikeyService.createApiKey(req.body.keyName, settings)
         return res.json(apiResponse)
     } catch (error) {
         next(error)
@@ -34,7 +87,21 @@ const updateApiKey = async (req: Request, res: Response, next: NextFunction) =>
         if (typeof req.body === 'undefined' || !req.body.keyName) {
             throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: apikeyController.updateApiKey - keyName not provided!`)
         }
-        const apiResponse = await apikeyService.updateApiKey(req.params.id, req.body.keyName)
+        const settings = parseApiKeySettings(req.body, 'updateApiKey')
+        const apiResponse = await apikeyService.updateApiKey(req.params.id, req.body.keyName, settings)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+// Revoke api key
+const revokeApiKey = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: apikeyController.revokeApiKey - id not provided!`)
+        }
+        const apiResponse = await apikeyService.revokeApiKey(req.params.id)
         return res.json(apiResponse)
     } catch (error) {
         next(error)
@@ -71,6 +138,7 @@ export default {
     createApiKey,
     deleteApiKey,
     getAllApiKeys,
+    revokeApiKey,
     updateApiKey,
     verifyApiKey
 }
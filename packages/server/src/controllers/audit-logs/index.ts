@@ -0,0 +1,99 @@
+import { Request, Response, NextFunction } from 'express'
+import { StatusCodes } from 'http-status-codes'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import auditLogsService from '../../services/audit-logs'
+import { AuditLogAction, AuditLogEntityType, AuditLogExportFormat, IAuditLogFilters } from '../../Interface'
+import { AUDIT_LOG_ACTIONS, AUDIT_LOG_ENTITY_TYPES } from '../../utils/auditLog'
+
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 500
+
+const EXPORT_CONTENT_TYPES: Record<AuditLogExportFormat, string> = {
+    csv: 'text/csv; charset=utf-8',
+    jsonl: 'application/x-ndjson; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+}
+
+const getAuditLogFilters = (req: Request, caller: string): IAuditLogFilters => {
+    const entityType = req.query?.entityType as AuditLogEntityType | undefined
+    if (entityType && !AUDIT_LOG_ENTITY_TYPES.includes(entityType)) {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: auditLogsController.${caller} - entityType must be one of ${AUDIT_LOG_ENTITY_TYPES.join(', ')}`
+        )
+    }
+    const action = req.query?.action as AuditLogAction | undefined
+    if (action && !AUDIT_LOG_ACTIONS.includes(action)) {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: auditLogsController.${caller} - action must be one of ${AUDIT_LOG_ACTIONS.join(', ')}`
+        )
+    }
+    return {
+        entityType,
+        action,
+        entityId: req.query?.entityId as string | undefined,
+        actor: req.query?.actor as string | undefined,
+        startDate: req.query?.startDate as string | undefined,
+        endDate: req.query?.endDate as string | undefined
+    }
+}
+
+const getAuditLogs = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        const filters = getAuditLogFilters(req, 'getAuditLogs')
+        const page = parseInt(req.query?.page as string, 10) || 1
+        const limit = parseInt(req.query?.limit as string, 10) || DEFAULT_PAGE_SIZE
+        if (page < 1 || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: auditLogsController.getAuditLogs - page must be positive and limit between 1 and ${MAX_PAGE_SIZE}`
+            )
+        }
+        const apiResponse = await auditLogsService.getAuditLogs(filters, page, limit)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const getAuditLogActors = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        const apiResponse = await auditLogsService.getAuditLogActors()
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const exportAuditLogs = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        const format = ((req.query?.format as string) ?? 'json').toLowerCase() as AuditLogExportFormat
+        if (!EXPORT_CONTENT_TYPES[format]) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: auditLogsController.exportAuditLogs - format must be one of ${Object.keys(EXPORT_CONTENT_TYPES).join(', ')}`
+            )
+        }
+        const chunks = auditLogsService.exportAuditLogs(format, getAuditLogFilters(req, 'exportAuditLogs'))
+        // Read the first chunk before sending headers, so invalid filters still respond with an error status
+        let chunk = await chunks.next()
+        res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format])
+        res.setHeader('Content-Disposition', `attachment; filename="audit-log.${format}"`)
+        while (!chunk.done) {
+            if (!res.write(chunk.value)) await new Promise((resolve) => res.once('drain', resolve))
+            chunk = await chunks.next()
+        }
+        res.end()
+    } catch (error) {
+        // Headers are already sent when the export fails halfway, the truncated file is all that can be returned
+        if (res.headersSent) return res.end()
+        next(error)
+    }
+}
+
+export default {
+    getAuditLogs,
+    getAuditLogActors,
+    exportAuditLogs
+}
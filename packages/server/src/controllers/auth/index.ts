@@ -0,0 +1,34 @@
+import { Request, Response, NextFunction } from 'express'
+import { StatusCodes } from 'http-status-codes'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import authService from '../../services/auth'
+import { toUserResponse } from '../../utils/auth'
+
+const login = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.body === 'undefined' || !req.body.username || !req.body.password) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: authController.login - username or password not provided!`
+            )
+        }
+        const apiResponse = await authService.login(req.body.username, req.body.password)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+// Signed in user, empty when there are no user accounts
+const getCurrentUser = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        return res.json(req.user ? toUserResponse(req.user) : {})
+    } catch (error) {
+        next(error)
+    }
+}
+
+export default {
+    login,
+    getCurrentUser
+}
@@ -1,5 +1,5 @@
 import { Request, Response, NextFunction } from 'express'
-import { chatType, IReactFlowObject } from '../../Interface'
+import { ChatMessageExportFormat, ChatMessageRatingType, chatType, IReactFlowObject } from '../../Interface'
 import chatflowsService from '../../services/chatflows'
 import chatMessagesService from '../../services/chat-messages'
 import { clearSessionMemory } from '../../utils'
@@ -150,9 +150,115 @@ const removeAllChatMessages = async (req: Request, res: Response, next: NextFunc
     }
 }
 
+// Accepts a single chat type or the JSON array of chat types sent by the chat logs dialog, both types means no filter
+const parseChatTypeFilter = (chatTypeQuery?: string): chatType | undefined => {
+    if (!chatTypeQuery) return undefined
+    let chatTypes: unknown = [chatTypeQuery]
+    if (chatTypeQuery.startsWith('[')) {
+        try {
+            chatTypes = JSON.parse(chatTypeQuery)
+        } catch (e) {
+            chatTypes = undefined
+        }
+    }
+    const chatTypeValues: string[] = Object.values(chatType)
+    if (!Array.isArray(chatTypes) || chatTypes.some((type) => !chatTypeValues.includes(type))) {
+        throw new InternalFlowiseError(
+            StatusCodes.BAD_REQUEST,
+            `Error: chatMessageController.parseChatTypeFilter - chatType must be ${chatTypeValues.join(' or ')} or a JSON array`
+        )
+    }
+    if (chatTypes.includes(chatType.EXTERNAL) && chatTypes.includes(chatType.INTERNAL)) return undefined
+    if (chatTypes.includes(chatType.EXTERNAL)) return chatType.EXTERNAL
+    if (chatTypes.includes(chatType.INTERNAL)) return chatType.INTERNAL
+    return undefined
+}
+
+const EXPORT_CONTENT_TYPES: Record<ChatMessageExportFormat, string> = {
+    csv: 'text/csv; charset=utf-8',
+    jsonl: 'application/x-ndjson; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+}
+
+const exportChatMessages = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: chatMessageController.exportChatMessages - id not provided!`
+            )
+        }
+        const format = ((req.query?.format as string) ?? 'json').toLowerCase() as ChatMessageExportFormat
+        if (!EXPORT_CONTENT_TYPES[format]) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: chatMessageController.exportChatMessages - format must be one of ${Object.keys(EXPORT_CONTENT_TYPES).join(', ')}`
+            )
+        }
+        const rating = req.query?.rating as ChatMessageRatingType | undefined
+        if (rating && !Object.values(ChatMessageRatingType).includes(rating)) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: chatMessageController.exportChatMessages - rating must be one of ${Object.values(ChatMessageRatingType).join(', ')}`
+            )
+        }
+        const chatflow = await chatflowsService.getChatflowById(req.params.id)
+
+        const chunks = chatMessagesService.exportChatMessages(chatflow.id, format, {
+            chatType: parseChatTypeFilter(req.query?.chatType as string | undefined),
+            startDate: req.query?.startDate as string | undefined,
+            endDate: req.query?.endDate as string | undefined,
+            chatId: req.query?.chatId as string | undefined,
+            sessionId: req.query?.sessionId as string | undefined,
+            rating
+        })
+        // Read the first chunk before sending headers, so invalid filters still respond with an error status
+        let chunk = await chunks.next()
+        res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format])
+        res.setHeader('Content-Disposition', `attachment; filename="${chatflow.id}-messages.${format}"`)
+        while (!chunk.done) {
+            if (!res.write(chunk.value)) await new Promise((resolve) => res.once('drain', resolve))
+            chunk = await chunks.next()
+        }
+        res.end()
+    } catch (error) {
+        // Headers are already sent when the export fails halfway, the truncated file is all that can be returned
+        if (res.headersSent) return res.end()
+        next(error)
+    }
+}
+
+const searchChatMessages = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: chatMessageController.searchChatMessages - id not provided!`
+            )
+        }
+        const query = ((req.query?.q as string) ?? '').trim()
+        if (!query) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: chatMessageController.searchChatMessages - search query not provided!`
+            )
+        }
+        const apiResponse = await chatMessagesService.searchChatMessages(req.params.id, query, {
+            chatType: parseChatTypeFilter(req.query?.chatType as string | undefined),
+            startDate: req.query?.startDate as string | undefined,
+            endDate: req.query?.endDate as string | undefined
+        })
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
 export default {
     createChatMessage,
     getAllChatMessages,
     getAllInternalChatMessages,
-    removeAllChatMessages
+    removeAllChatMessages,
+    exportChatMessages,
+    searchChatMessages
 }
@@ -0,0 +1,57 @@
+import { Request, Response, NextFunction } from 'express'
+import { StatusCodes } from 'http-status-codes'
+import chatflowVersionsService from '../../services/chatflow-versions'
+import chatflowsService from '../../services/chatflows'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import { getRequestAuthor } from '../../utils'
+
+const getAllChatflowVersions = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: chatflowVersionsController.getAllChatflowVersions - id not provided!`
+            )
+        }
+        const apiResponse = await chatflowVersionsService.getAllChatflowVersions(req.params.id)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const getChatflowVersionById = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id || !req.params.versionId) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: chatflowVersionsController.getChatflowVersionById - id or versionId not provided!`
+            )
+        }
+        const apiResponse = await chatflowVersionsService.getChatflowVersionById(req.params.id, req.params.versionId)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const restoreChatflowVersion = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id || !req.params.versionId) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: chatflowVersionsController.restoreChatflowVersion - id or versionId not provided!`
+            )
+        }
+        const apiResponse = await chatflowsService.restoreChatflowVersion(req.params.id, req.params.versionId, getRequestAuthor(req))
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+export default {
+    getAllChatflowVersions,
+    getChatflowVersionById,
+    restoreChatflowVersion
+}
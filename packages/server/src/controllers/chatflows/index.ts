@@ -2,9 +2,12 @@ import { Request, Response, NextFunction } from 'express'
 import chatflowsService from '../../services/chatflows'
 import { ChatFlow } from '../../database/entities/ChatFlow'
 import { createRateLimiter } from '../../utils/rateLimit'
-import { getApiKey } from '../../utils/apiKey'
+import { getAPIKeyInactiveReason, getApiKey } from '../../utils/apiKey'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
 import { StatusCodes } from 'http-status-codes'
+import { getRequestAuthor, getRequestWorkspaceId } from '../../utils'
+import { getRunningExpressApp } from '../../utils/getRunningExpressApp'
+import { utilAssertValidFlowData } from '../../utils/validateFlowData'
 
 const checkIfChatflowIsValidForStreaming = async (req: Request, res: Response, next: NextFunction) => {
     try {
@@ -50,7 +53,7 @@ const deleteChatflow = async (req: Request, res: Response, next: NextFunction) =
 
 const getAllChatflows = async (req: Request, res: Response, next: NextFunction) => {
     try {
-        const apiResponse = await chatflowsService.getAllChatflows()
+        const apiResponse = await chatflowsService.getAllChatflows(getRequestWorkspaceId(req))
         return res.json(apiResponse)
     } catch (error) {
         next(error)
@@ -67,7 +70,7 @@ const getChatflowByApiKey = async (req: Request, res: Response, next: NextFuncti
             )
         }
         const apiKey = await getApiKey(req.params.apiKey)
-        if (!apiKey) {
+        if (!apiKey || getAPIKeyInactiveReason(apiKey)) {
             return res.status(401).send('Unauthorized')
         }
         const apiResponse = await chatflowsService.getChatflowByApiKey(apiKey.id)
@@ -97,7 +100,10 @@ const saveChatflow = async (req: Request, res: Response, next: NextFunction) =>
         const body = req.body
         const newChatFlow = new ChatFlow()
         Object.assign(newChatFlow, body)
-        const apiResponse = await chatflowsService.saveChatflow(newChatFlow)
+        if (process.env.BLOCK_INVALID_CHATFLOW_SAVE === 'true') {
+            utilAssertValidFlowData(newChatFlow.flowData, getRunningExpressApp().nodesPool.componentNodes)
+        }
+        const apiResponse = await chatflowsService.saveChatflow(newChatFlow, getRequestAuthor(req), getRequestWorkspaceId(req))
         return res.json(apiResponse)
     } catch (error) {
         next(error)
@@ -121,7 +127,11 @@ const updateChatflow = async (req: Request, res: Response, next: NextFunction) =
         updateChatFlow.id = chatflow.id
         createRateLimiter(updateChatFlow)
 
-        const apiResponse = await chatflowsService.updateChatflow(chatflow, updateChatFlow)
+        if (updateChatFlow.flowData && process.env.BLOCK_INVALID_CHATFLOW_SAVE === 'true') {
+            utilAssertValidFlowData(updateChatFlow.flowData, getRunningExpressApp().nodesPool.componentNodes)
+        }
+
+        const apiResponse = await chatflowsService.updateChatflow(chatflow, updateChatFlow, getRequestAuthor(req))
         return res.json(apiResponse)
     } catch (error) {
         next(error)
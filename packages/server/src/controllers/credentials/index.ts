@@ -2,6 +2,7 @@ import { Request, Response, NextFunction } from 'express'
 import credentialsService from '../../services/credentials'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
 import { StatusCodes } from 'http-status-codes'
+import { getRequestAuthor, getRequestWorkspaceId } from '../../utils'
 
 const createCredential = async (req: Request, res: Response, next: NextFunction) => {
     try {
@@ -11,7 +12,7 @@ const createCredential = async (req: Request, res: Response, next: NextFunction)
                 `Error: credentialsController.createCredential - body not provided!`
             )
         }
-        const apiResponse = await credentialsService.createCredential(req.body)
+        const apiResponse = await credentialsService.createCredential(req.body, getRequestAuthor(req), getRequestWorkspaceId(req))
         return res.json(apiResponse)
     } catch (error) {
         next(error)
@@ -35,7 +36,7 @@ const deleteCredentials = async (req: Request, res: Response, next: NextFunction
 
 const getAllCredentials = async (req: Request, res: Response, next: NextFunction) => {
     try {
-        const apiResponse = await credentialsService.getAllCredentials(req.query.credentialName)
+        const apiResponse = await credentialsService.getAllCredentials(req.query.credentialName, getRequestWorkspaceId(req))
         return res.json(apiResponse)
     } catch (error) {
         next(error)
@@ -71,7 +72,7 @@ const updateCredential = async (req: Request, res: Response, next: NextFunction)
                 `Error: credentialsController.updateCredential - body not provided!`
             )
         }
-        const apiResponse = await credentialsService.updateCredential(req.params.id, req.body)
+        const apiResponse = await credentialsService.updateCredential(req.params.id, req.body, getRequestAuthor(req))
         return res.json(apiResponse)
     } catch (error) {
         next(error)
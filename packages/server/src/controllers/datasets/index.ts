@@ -0,0 +1,246 @@
+import { Request, Response, NextFunction } from 'express'
+import { StatusCodes } from 'http-status-codes'
+import datasetsService from '../../services/datasets'
+import { Dataset } from '../../database/entities/Dataset'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+
+const getAllDatasets = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        const apiResponse = await datasetsService.getAllDatasets()
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const getDatasetScorers = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        const apiResponse = await datasetsService.getDatasetScorers()
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const getDatasetById = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: datasetsController.getDatasetById - id not provided!`)
+        }
+        const apiResponse = await datasetsService.getDatasetById(req.params.id)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const createDataset = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.body === 'undefined') {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: datasetsController.createDataset - body not provided!`)
+        }
+        const newDataset = new Dataset()
+        Object.assign(newDataset, req.body)
+        const apiResponse = await datasetsService.createDataset(newDataset)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const updateDataset = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: datasetsController.updateDataset - id not provided!`)
+        }
+        if (typeof req.body === 'undefined') {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: datasetsController.updateDataset - body not provided!`)
+        }
+        const updatedDataset = new Dataset()
+        Object.assign(updatedDataset, req.body)
+        const apiResponse = await datasetsService.updateDataset(req.params.id, updatedDataset)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const deleteDataset = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: datasetsController.deleteDataset - id not provided!`)
+        }
+        const apiResponse = await datasetsService.deleteDataset(req.params.id)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const addDatasetRow = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: datasetsController.addDatasetRow - id not provided!`)
+        }
+        if (typeof req.body === 'undefined') {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: datasetsController.addDatasetRow - body not provided!`)
+        }
+        const apiResponse = await datasetsService.addDatasetRow(req.params.id, req.body)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const updateDatasetRow = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id || !req.params.rowId) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: datasetsController.updateDatasetRow - id or rowId not provided!`
+            )
+        }
+        if (typeof req.body === 'undefined') {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: datasetsController.updateDatasetRow - body not provided!`
+            )
+        }
+        const apiResponse = await datasetsService.updateDatasetRow(req.params.id, req.params.rowId, req.body)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const deleteDatasetRow = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id || !req.params.rowId) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: datasetsController.deleteDatasetRow - id or rowId not provided!`
+            )
+        }
+        const apiResponse = await datasetsService.deleteDatasetRow(req.params.id, req.params.rowId)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const importDatasetRows = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: datasetsController.importDatasetRows - id not provided!`
+            )
+        }
+        if (typeof req.body === 'undefined') {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: datasetsController.importDatasetRows - body not provided!`
+            )
+        }
+        const apiResponse = await datasetsService.importDatasetRows(req.params.id, req.body)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const createDatasetRun = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: datasetsController.createDatasetRun - id not provided!`)
+        }
+        if (typeof req.body === 'undefined') {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: datasetsController.createDatasetRun - body not provided!`
+            )
+        }
+        const apiResponse = await datasetsService.createDatasetRun(req.params.id, req.body)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const getAllDatasetRuns = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: datasetsController.getAllDatasetRuns - id not provided!`
+            )
+        }
+        const apiResponse = await datasetsService.getAllDatasetRuns(req.params.id)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const getDatasetRunById = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id || !req.params.runId) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: datasetsController.getDatasetRunById - id or runId not provided!`
+            )
+        }
+        const apiResponse = await datasetsService.getDatasetRunById(req.params.id, req.params.runId)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const stopDatasetRun = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id || !req.params.runId) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: datasetsController.stopDatasetRun - id or runId not provided!`
+            )
+        }
+        const apiResponse = await datasetsService.stopDatasetRun(req.params.id, req.params.runId)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const deleteDatasetRun = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id || !req.params.runId) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: datasetsController.deleteDatasetRun - id or runId not provided!`
+            )
+        }
+        const apiResponse = await datasetsService.deleteDatasetRun(req.params.id, req.params.runId)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+export default {
+    getAllDatasets,
+    getDatasetScorers,
+    getDatasetById,
+    createDataset,
+    updateDataset,
+    deleteDataset,
+    addDatasetRow,
+    updateDatasetRow,
+    deleteDatasetRow,
+    importDatasetRows,
+    createDatasetRun,
+    getAllDatasetRuns,
+    getDatasetRunById,
+    stopDatasetRun,
+    deleteDatasetRun
+}
@@ -1,9 +1,20 @@
 import { NextFunction, Request, Response } from 'express'
+import path from 'path'
 import { StatusCodes } from 'http-status-codes'
 import documentStoreService from '../../services/documentstore'
 import { DocumentStore } from '../../database/entities/DocumentStore'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
-import { DocumentStoreDTO } from '../../Interface'
+import {
+    DOCUMENT_STORE_ARCHIVE_VERSION,
+    DocumentStoreDTO,
+    IDocumentStoreArchive,
+    IDocumentStoreChunkFilter,
+    IDocumentStoreLoader
+} from '../../Interface'
+import { getRequestAuthor, getRequestWorkspaceId } from '../../utils'
+import { isPlainObject } from 'lodash'
+import { validateCronExpression } from '../../utils/cronSchedule'
+import { getErrorMessage } from '../../errors/utils'
 
 const createDocumentStore = async (req: Request, res: Response, next: NextFunction) => {
     try {
@@ -15,7 +26,7 @@ const createDocumentStore = async (req: Request, res: Response, next: NextFuncti
         }
         const body = req.body
         const docStore = DocumentStoreDTO.toEntity(body)
-        const apiResponse = await documentStoreService.createDocumentStore(docStore)
+        const apiResponse = await documentStoreService.createDocumentStore(docStore, getRequestAuthor(req), getRequestWorkspaceId(req))
         return res.json(apiResponse)
     } catch (error) {
         next(error)
@@ -24,7 +35,7 @@ const createDocumentStore = async (req: Request, res: Response, next: NextFuncti
 
 const getAllDocumentStores = async (req: Request, res: Response, next: NextFunction) => {
     try {
-        const apiResponse = await documentStoreService.getAllDocumentStores()
+        const apiResponse = await documentStoreService.getAllDocumentStores(getRequestWorkspaceId(req))
         return res.json(DocumentStoreDTO.fromEntities(apiResponse))
     } catch (error) {
         next(error)
@@ -82,7 +93,18 @@ const getDocumentStoreFileChunks = async (req: Request, res: Response, next: Nex
             )
         }
         const page = req.params.pageNo ? parseInt(req.params.pageNo) : 1
-        const apiResponse = await documentStoreService.getDocumentStoreFileChunks(req.params.storeId, req.params.fileId, page)
+        const filter: IDocumentStoreChunkFilter = {
+            metadataKey: typeof req.query.metadataKey === 'string' ? req.query.metadataKey : undefined,
+            metadataValue: typeof req.query.metadataValue === 'string' ? req.query.metadataValue : undefined,
+            search: typeof req.query.search === 'string' ? req.query.search : undefined
+        }
+        const apiResponse = await documentStoreService.getDocumentStoreFileChunks(
+            req.params.storeId,
+            req.params.fileId,
+            page,
+            filter,
+            req.query.metadataKeys === 'true'
+        )
         return res.json(apiResponse)
     } catch (error) {
         next(error)
@@ -160,6 +182,87 @@ const editDocumentStoreFileChunk = async (req: Request, res: Response, next: Nex
     }
 }
 
+// Checks the chunks targeted by a bulk operation, a list of chunkIds or all to target every chunk matching the filter
+const validateChunkSelection = (req: Request, functionName: string) => {
+    if (typeof req.params.storeId === 'undefined' || req.params.storeId === '') {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: documentStoreController.${functionName} - storeId not provided!`
+        )
+    }
+    if (typeof req.body === 'undefined') {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: documentStoreController.${functionName} - body not provided!`
+        )
+    }
+    if (req.body.chunkIds !== undefined && !Array.isArray(req.body.chunkIds)) {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: documentStoreController.${functionName} - chunkIds must be a list of chunk ids!`
+        )
+    }
+    if (!req.body.chunkIds?.length && req.body.all !== true) {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: documentStoreController.${functionName} - chunkIds or all not provided!`
+        )
+    }
+}
+
+const bulkDeleteChunks = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        validateChunkSelection(req, 'bulkDeleteChunks')
+        const apiResponse = await documentStoreService.bulkDeleteChunks(req.params.storeId, req.body)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const bulkUpdateChunkMetadata = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        validateChunkSelection(req, 'bulkUpdateChunkMetadata')
+        const body = req.body
+        if (!['add', 'replace', 'remove'].includes(body.operation)) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.bulkUpdateChunkMetadata - operation must be add, replace or remove!`
+            )
+        }
+        const isMissing = body.operation === 'remove' ? !Array.isArray(body.keys) || !body.keys.length : !isPlainObject(body.metadata)
+        if (isMissing) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.bulkUpdateChunkMetadata - ${
+                    body.operation === 'remove' ? 'keys' : 'metadata'
+                } not provided!`
+            )
+        }
+        const apiResponse = await documentStoreService.bulkUpdateChunkMetadata(req.params.storeId, body)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const bulkReplaceChunkContent = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        validateChunkSelection(req, 'bulkReplaceChunkContent')
+        const body = req.body
+        if (!body.find || typeof body.find !== 'string' || typeof body.replace !== 'string') {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.bulkReplaceChunkContent - find and replace not provided!`
+            )
+        }
+        const apiResponse = await documentStoreService.bulkReplaceChunkContent(req.params.storeId, body)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
 const processFileChunks = async (req: Request, res: Response, next: NextFunction) => {
     try {
         if (typeof req.body === 'undefined') {
@@ -200,7 +303,7 @@ const updateDocumentStore = async (req: Request, res: Response, next: NextFuncti
         const body = req.body
         const updateDocStore = new DocumentStore()
         Object.assign(updateDocStore, body)
-        const apiResponse = await documentStoreService.updateDocumentStore(store, updateDocStore)
+        const apiResponse = await documentStoreService.updateDocumentStore(store, updateDocStore, getRequestAuthor(req))
         return res.json(DocumentStoreDTO.fromEntity(apiResponse))
     } catch (error) {
         next(error)
@@ -248,6 +351,225 @@ const getDocumentLoaders = async (req: Request, res: Response, next: NextFunctio
     }
 }
 
+const getUpsertComponents = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params.type === 'undefined' || req.params.type === '') {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.getUpsertComponents - type not provided!`
+            )
+        }
+        const apiResponse = await documentStoreService.getUpsertComponents(req.params.type)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const insertIntoVectorStore = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.body === 'undefined') {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.insertIntoVectorStore - body not provided!`
+            )
+        }
+        const body = req.body
+        if (!body.storeId || !body.embedding?.name || !body.vectorStore?.name) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.insertIntoVectorStore - storeId, embedding and vectorStore are required!`
+            )
+        }
+        const apiResponse = await documentStoreService.insertIntoVectorStore(body)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const queryDocumentStore = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.body === 'undefined') {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.queryDocumentStore - body not provided!`
+            )
+        }
+        const body = req.body
+        if (!body.storeId || !body.query) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.queryDocumentStore - storeId and query are required!`
+            )
+        }
+        if (body.mode !== 'keyword' && body.mode !== 'embeddings') {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.queryDocumentStore - mode must be keyword or embeddings!`
+            )
+        }
+        if (body.mode === 'embeddings' && !body.embedding?.name) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.queryDocumentStore - embedding is required to query with embeddings!`
+            )
+        }
+        if (body.topK !== undefined && (!Number.isInteger(body.topK) || body.topK < 1)) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.queryDocumentStore - topK must be a positive integer!`
+            )
+        }
+        const apiResponse = await documentStoreService.queryDocumentStore(body)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const refreshLoader = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        const storeId = req.params.id
+        const loaderId = req.params.loaderId
+        if (!storeId || !loaderId) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.refreshLoader - missing storeId or loaderId.`
+            )
+        }
+        const apiResponse = await documentStoreService.startLoaderRefresh(storeId, loaderId)
+        return res.json(DocumentStoreDTO.fromEntity(apiResponse))
+    } catch (error) {
+        next(error)
+    }
+}
+
+const updateLoaderSchedule = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        const storeId = req.params.id
+        const loaderId = req.params.loaderId
+        if (!storeId || !loaderId) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.updateLoaderSchedule - missing storeId or loaderId.`
+            )
+        }
+        const schedule = typeof req.body?.schedule === 'string' ? req.body.schedule.trim() : ''
+        if (schedule) {
+            try {
+                validateCronExpression(schedule)
+            } catch (error) {
+                throw new InternalFlowiseError(
+                    StatusCodes.PRECONDITION_FAILED,
+                    `Error: documentStoreController.updateLoaderSchedule - ${getErrorMessage(error)}`
+                )
+            }
+        }
+        const apiResponse = await documentStoreService.updateLoaderSchedule(storeId, loaderId, schedule)
+        return res.json(DocumentStoreDTO.fromEntity(apiResponse))
+    } catch (error) {
+        next(error)
+    }
+}
+
+const exportDocumentStore = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params.id === 'undefined' || req.params.id === '') {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.exportDocumentStore - id not provided!`
+            )
+        }
+        const apiResponse = await documentStoreService.exportDocumentStore(req.params.id)
+        const fileName = apiResponse.documentStore.name.replace(/[^\w\s.-]/g, '_')
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+// Files are saved and read with their name as storage path, an archive can only contain plain file names
+const isSafeFileName = (name: unknown): name is string =>
+    typeof name === 'string' && !['', '.', '..'].includes(name) && !/[/\\]/.test(name) && path.basename(name) === name
+
+// File names used by a loader, its uploaded files and the FILE-STORAGE:: inputs of its config
+const getLoaderFileNames = (loader: IDocumentStoreLoader): unknown[] => {
+    const fileNames: unknown[] = Array.isArray(loader?.files) ? loader.files.map((file) => file?.name) : []
+    for (const input of Object.values(isPlainObject(loader?.loaderConfig) ? loader.loaderConfig : {})) {
+        if (typeof input !== 'string' || !input.startsWith('FILE-STORAGE::')) continue
+        const fileName = input.replace('FILE-STORAGE::', '')
+        try {
+            fileNames.push(...(fileName.startsWith('[') && fileName.endsWith(']') ? JSON.parse(fileName) : [fileName]))
+        } catch (error) {
+            fileNames.push(fileName)
+        }
+    }
+    return fileNames
+}
+
+const validateArchiveFiles = (archive: IDocumentStoreArchive) => {
+    const loaderFileNames = archive.loaders.flatMap(getLoaderFileNames)
+    const unsafeFileName = loaderFileNames.find((name) => !isSafeFileName(name))
+    if (unsafeFileName !== undefined) {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: documentStoreController.importDocumentStore - invalid file name ${JSON.stringify(unsafeFileName)} in loaders!`
+        )
+    }
+    if (archive.files !== undefined && !Array.isArray(archive.files)) {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: documentStoreController.importDocumentStore - files must be an array!`
+        )
+    }
+    for (const file of archive.files ?? []) {
+        if (!isSafeFileName(file?.name) || !loaderFileNames.includes(file.name) || typeof file.content !== 'string') {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.importDocumentStore - invalid file ${JSON.stringify(
+                    file?.name
+                )}, files must be uploaded files of the loaders!`
+            )
+        }
+    }
+}
+
+const importDocumentStore = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.body === 'undefined') {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.importDocumentStore - body not provided!`
+            )
+        }
+        const archive = req.body
+        if (
+            !Number.isInteger(archive.version) ||
+            !archive.documentStore?.name ||
+            !Array.isArray(archive.loaders) ||
+            !Array.isArray(archive.chunks)
+        ) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.importDocumentStore - body is not a document store archive!`
+            )
+        }
+        if (archive.version > DOCUMENT_STORE_ARCHIVE_VERSION) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: documentStoreController.importDocumentStore - archive version ${archive.version} is not supported, the latest supported version is ${DOCUMENT_STORE_ARCHIVE_VERSION}!`
+            )
+        }
+        validateArchiveFiles(archive)
+        const apiResponse = await documentStoreService.importDocumentStore(archive, getRequestAuthor(req), getRequestWorkspaceId(req))
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
 export default {
     deleteDocumentStore,
     createDocumentStore,
@@ -260,5 +582,15 @@ export default {
     previewFileChunks,
     getDocumentLoaders,
     deleteDocumentStoreFileChunk,
-    editDocumentStoreFileChunk
+    editDocumentStoreFileChunk,
+    bulkDeleteChunks,
+    bulkUpdateChunkMetadata,
+    bulkReplaceChunkContent,
+    getUpsertComponents,
+    insertIntoVectorStore,
+    refreshLoader,
+    updateLoaderSchedule,
+    queryDocumentStore,
+    exportDocumentStore,
+    importDocumentStore
 }
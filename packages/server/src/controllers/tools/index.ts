@@ -2,13 +2,14 @@ import { Request, Response, NextFunction } from 'express'
 import toolsService from '../../services/tools'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
 import { StatusCodes } from 'http-status-codes'
+import { getRequestAuthor } from '../../utils'
 
 const createTool = async (req: Request, res: Response, next: NextFunction) => {
     try {
         if (!req.body) {
             throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: toolsController.createTool - body not provided!`)
         }
-        const apiResponse = await toolsService.createTool(req.body)
+        const apiResponse = await toolsService.createTool(req.body, getRequestAuthor(req))
         return res.json(apiResponse)
     } catch (error) {
         next(error)
@@ -56,7 +57,7 @@ const updateTool = async (req: Request, res: Response, next: NextFunction) => {
         if (!req.body) {
             throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: toolsController.deleteTool - body not provided!`)
         }
-        const apiResponse = await toolsService.updateTool(req.params.id, req.body)
+        const apiResponse = await toolsService.updateTool(req.params.id, req.body, getRequestAuthor(req))
         return res.json(apiResponse)
     } catch (error) {
         next(error)
@@ -0,0 +1,27 @@
+import { StatusCodes } from 'http-status-codes'
+import { Request, Response, NextFunction } from 'express'
+import usageService from '../../services/usage'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+
+const getUsage = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        const tzOffset = req.query?.tzOffset ? parseInt(req.query.tzOffset as string, 10) : 0
+        if (isNaN(tzOffset)) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: usageController.getUsage - tzOffset must be a number!`)
+        }
+        const apiResponse = await usageService.getUsage({
+            startDate: req.query?.startDate as string | undefined,
+            endDate: req.query?.endDate as string | undefined,
+            chatflowid: req.query?.chatflowid as string | undefined,
+            apikeyid: req.query?.apikeyid as string | undefined,
+            tzOffset
+        })
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+export default {
+    getUsage
+}
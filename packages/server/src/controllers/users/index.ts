@@ -0,0 +1,88 @@
+import { Request, Response, NextFunction } from 'express'
+import { StatusCodes } from 'http-status-codes'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import usersService from '../../services/users'
+import { USER_ROLES } from '../../utils/auth'
+
+const MIN_PASSWORD_LENGTH = 8
+
+const validateUserBody = (body: any, caller: string) => {
+    if (body.role && !USER_ROLES.includes(body.role)) {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: usersController.${caller} - role must be one of ${USER_ROLES.join(', ')}!`
+        )
+    }
+    if (body.password && (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH)) {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: usersController.${caller} - password must have at least ${MIN_PASSWORD_LENGTH} characters!`
+        )
+    }
+}
+
+const getAllUsers = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        const apiResponse = await usersService.getAllUsers()
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const createUser = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.body === 'undefined' || !req.body.username || !req.body.password) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: usersController.createUser - username or password not provided!`
+            )
+        }
+        validateUserBody(req.body, 'createUser')
+        const apiResponse = await usersService.createUser(req.body.username, req.body.password, req.body.role ?? 'viewer')
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const updateUser = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: usersController.updateUser - id not provided!`)
+        }
+        if (typeof req.body === 'undefined') {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: usersController.updateUser - body not provided!`)
+        }
+        validateUserBody(req.body, 'updateUser')
+        const apiResponse = await usersService.updateUser(req.params.id, { password: req.body.password, role: req.body.role })
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const deleteUser = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Error: usersController.deleteUser - id not provided!`)
+        }
+        if (req.user?.id === req.params.id) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: usersController.deleteUser - users can not delete themselves!`
+            )
+        }
+        const apiResponse = await usersService.deleteUser(req.params.id)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+export default {
+    getAllUsers,
+    createUser,
+    updateUser,
+    deleteUser
+}
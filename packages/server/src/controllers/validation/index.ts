@@ -0,0 +1,39 @@
+import { Request, Response, NextFunction } from 'express'
+import validationService from '../../services/validation'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import { StatusCodes } from 'http-status-codes'
+
+const validateFlowData = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (!req.body || !req.body.flowData) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: validationController.validateFlowData - flowData not provided!`
+            )
+        }
+        const apiResponse = await validationService.validateFlowData(req.body.flowData)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const validateChatflow = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: validationController.validateChatflow - id not provided!`
+            )
+        }
+        const apiResponse = await validationService.validateChatflow(req.params.id)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+export default {
+    validateFlowData,
+    validateChatflow
+}
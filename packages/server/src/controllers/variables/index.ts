@@ -3,6 +3,7 @@ import variablesService from '../../services/variables'
 import { Variable } from '../../database/entities/Variable'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
 import { StatusCodes } from 'http-status-codes'
+import { getRequestWorkspaceId } from '../../utils'
 
 const createVariable = async (req: Request, res: Response, next: NextFunction) => {
     try {
@@ -15,7 +16,7 @@ const createVariable = async (req: Request, res: Response, next: NextFunction) =
         const body = req.body
         const newVariable = new Variable()
         Object.assign(newVariable, body)
-        const apiResponse = await variablesService.createVariable(newVariable)
+        const apiResponse = await variablesService.createVariable(newVariable, getRequestWorkspaceId(req))
         return res.json(apiResponse)
     } catch (error) {
         next(error)
@@ -36,7 +37,7 @@ const deleteVariable = async (req: Request, res: Response, next: NextFunction) =
 
 const getAllVariables = async (req: Request, res: Response, next: NextFunction) => {
     try {
-        const apiResponse = await variablesService.getAllVariables()
+        const apiResponse = await variablesService.getAllVariables(getRequestWorkspaceId(req))
         return res.json(apiResponse)
     } catch (error) {
         next(error)
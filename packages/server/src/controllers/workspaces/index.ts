@@ -0,0 +1,111 @@
+import { Request, Response, NextFunction } from 'express'
+import { StatusCodes } from 'http-status-codes'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import workspacesService from '../../services/workspaces'
+import { WorkspaceTransferMode } from '../../Interface'
+import { getRequestAuthor } from '../../utils'
+
+const TRANSFER_MODES: WorkspaceTransferMode[] = ['move', 'copy']
+
+const getAllWorkspaces = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        const apiResponse = await workspacesService.getAllWorkspaces()
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const createWorkspace = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.body === 'undefined' || !req.body.name) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: workspacesController.createWorkspace - name not provided!`
+            )
+        }
+        const apiResponse = await workspacesService.createWorkspace(
+            { name: req.body.name, description: req.body.description },
+            getRequestAuthor(req)
+        )
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const updateWorkspace = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: workspacesController.updateWorkspace - id not provided!`
+            )
+        }
+        if (typeof req.body === 'undefined') {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: workspacesController.updateWorkspace - body not provided!`
+            )
+        }
+        const apiResponse = await workspacesService.updateWorkspace(
+            req.params.id,
+            { name: req.body.name, description: req.body.description },
+            getRequestAuthor(req)
+        )
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const deleteWorkspace = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: workspacesController.deleteWorkspace - id not provided!`
+            )
+        }
+        const apiResponse = await workspacesService.deleteWorkspace(req.params.id)
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+const transferChatflow = async (req: Request, res: Response, next: NextFunction) => {
+    try {
+        if (typeof req.params === 'undefined' || !req.params.id) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: workspacesController.transferChatflow - id not provided!`
+            )
+        }
+        if (typeof req.body === 'undefined' || !req.body.chatflowId) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: workspacesController.transferChatflow - chatflowId not provided!`
+            )
+        }
+        const mode = (req.body.mode ?? 'move') as WorkspaceTransferMode
+        if (!TRANSFER_MODES.includes(mode)) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Error: workspacesController.transferChatflow - mode must be one of ${TRANSFER_MODES.join(', ')}!`
+            )
+        }
+        const apiResponse = await workspacesService.transferChatflow(req.params.id, req.body.chatflowId, mode, getRequestAuthor(req))
+        return res.json(apiResponse)
+    } catch (error) {
+        next(error)
+    }
+}
+
+export default {
+    getAllWorkspaces,
+    createWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    transferChatflow
+}
@@ -0,0 +1,50 @@
+import { Column, CreateDateColumn, Entity, PrimaryColumn, UpdateDateColumn } from 'typeorm'
+import { ApiKeyScope } from '../../Interface'
+
+// Optional columns are set to null to clear them on save
+@Entity('apikey')
+export class ApiKey {
+    // Ids of the keys imported from api.json are kept, as chatflows refer to them
+    @PrimaryColumn({ type: 'varchar', length: 36 })
+    id: string
+
+    @Column({ type: 'text' })
+    keyName: string
+
+    @Column({ type: 'text' })
+    apiKey: string
+
+    @Column({ type: 'text' })
+    apiSecret: string
+
+    @Column({ nullable: true, type: 'varchar' })
+    scope?: ApiKeyScope | null
+
+    // JSON array of chatflow ids
+    @Column({ nullable: true, type: 'text' })
+    chatflows?: string | null
+
+    // JSON array of document store ids
+    @Column({ nullable: true, type: 'text' })
+    documentStores?: string | null
+
+    @Column({ nullable: true, type: 'timestamp' })
+    expiresAt?: Date | null
+
+    @Column({ nullable: true, type: 'float' })
+    monthlyBudget?: number | null
+
+    @Column({ nullable: true, type: 'timestamp' })
+    lastUsedAt?: Date | null
+
+    @Column({ nullable: true, type: 'timestamp' })
+    revokedAt?: Date | null
+
+    @Column({ type: 'timestamp' })
+    @CreateDateColumn()
+    createdDate: Date
+
+    @Column({ type: 'timestamp' })
+    @UpdateDateColumn()
+    updatedDate: Date
+}
@@ -0,0 +1,42 @@
+/* eslint-disable */
+import { Entity, Column, PrimaryGeneratedColumn, Index, CreateDateColumn } from 'typeorm'
+import { AuditLogAction, AuditLogActorType, AuditLogEntityType, IAuditLog } from '../../Interface'
+
+@Entity()
+export class AuditLog implements IAuditLog {
+    @PrimaryGeneratedColumn('uuid')
+    id: string
+
+    @Column({ nullable: true })
+    actor?: string
+
+    @Column()
+    actorType: AuditLogActorType
+
+    @Column()
+    action: AuditLogAction
+
+    @Index()
+    @Column()
+    entityType: AuditLogEntityType
+
+    @Column({ nullable: true })
+    entityId?: string
+
+    @Column({ nullable: true })
+    entityName?: string
+
+    @Column({ nullable: true, type: 'text' })
+    before?: string
+
+    @Column({ nullable: true, type: 'text' })
+    after?: string
+
+    @Column({ nullable: true })
+    ip?: string
+
+    @Index()
+    @Column({ type: 'timestamp' })
+    @CreateDateColumn()
+    createdDate: Date
+}
@@ -1,5 +1,5 @@
 /* eslint-disable */
-import { Entity, Column, CreateDateColumn, UpdateDateColumn, PrimaryGeneratedColumn } from 'typeorm'
+import { Entity, Column, CreateDateColumn, UpdateDateColumn, PrimaryGeneratedColumn, Index } from 'typeorm'
 import { IChatFlow } from '../../Interface'
 
 @Entity()
@@ -44,4 +44,14 @@ export class ChatFlow implements IChatFlow {
 
     @Column({ nullable: true, type: 'text' })
     category?: string
+
+    @Column({ nullable: true, type: 'text' })
+    createdBy?: string
+
+    @Column({ nullable: true, type: 'text' })
+    updatedBy?: string
+
+    @Index()
+    @Column({ nullable: true, type: 'varchar' })
+    workspaceId?: string
 }
@@ -0,0 +1,33 @@
+/* eslint-disable */
+import { Entity, Column, PrimaryGeneratedColumn, Index, CreateDateColumn } from 'typeorm'
+import { IChatFlowVersion } from '../../Interface'
+
+@Entity()
+@Index(['chatflowid', 'version'], { unique: true })
+export class ChatFlowVersion implements IChatFlowVersion {
+    @PrimaryGeneratedColumn('uuid')
+    id: string
+
+    @Index()
+    @Column()
+    chatflowid: string
+
+    @Column()
+    version: number
+
+    @Column({ type: 'text' })
+    flowData: string
+
+    @Column({ nullable: true, type: 'text' })
+    chatbotConfig?: string
+
+    @Column({ nullable: true, type: 'text' })
+    apiConfig?: string
+
+    @Column({ nullable: true })
+    author?: string
+
+    @Column({ type: 'timestamp' })
+    @CreateDateColumn()
+    createdDate: Date
+}
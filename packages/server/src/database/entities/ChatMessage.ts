@@ -47,4 +47,25 @@ export class ChatMessage implements IChatMessage {
 
     @Column({ nullable: true, type: 'text' })
     leadEmail?: string
+
+    @Column({ nullable: true, type: 'text' })
+    executionTrace?: string
+
+    @Column({ nullable: true })
+    promptTokens?: number
+
+    @Column({ nullable: true })
+    completionTokens?: number
+
+    @Column({ nullable: true })
+    totalTokens?: number
+
+    @Column({ nullable: true, type: 'float' })
+    cost?: number
+
+    @Column({ nullable: true, type: 'text' })
+    tokenUsage?: string
+
+    @Column({ nullable: true, type: 'varchar' })
+    apikeyid?: string
 }
@@ -16,6 +16,16 @@ export class Credential implements ICredential {
     @Column({ type: 'text' })
     encryptedData: string
 
+    @Column({ nullable: true, type: 'text' })
+    createdBy?: string
+
+    @Column({ nullable: true, type: 'text' })
+    updatedBy?: string
+
+    @Index()
+    @Column({ nullable: true, type: 'varchar' })
+    workspaceId?: string
+
     @Column({ type: 'timestamp' })
     @CreateDateColumn()
     createdDate: Date
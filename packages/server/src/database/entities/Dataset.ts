@@ -0,0 +1,22 @@
+import { Column, CreateDateColumn, Entity, PrimaryGeneratedColumn, UpdateDateColumn } from 'typeorm'
+import { IDataset } from '../../Interface'
+
+@Entity()
+export class Dataset implements IDataset {
+    @PrimaryGeneratedColumn('uuid')
+    id: string
+
+    @Column({ nullable: false, type: 'text' })
+    name: string
+
+    @Column({ nullable: true, type: 'text' })
+    description?: string
+
+    @Column({ type: 'timestamp' })
+    @CreateDateColumn()
+    createdDate: Date
+
+    @Column({ type: 'timestamp' })
+    @UpdateDateColumn()
+    updatedDate: Date
+}
@@ -0,0 +1,25 @@
+import { Column, CreateDateColumn, Entity, Index, PrimaryGeneratedColumn } from 'typeorm'
+import { IDatasetRow } from '../../Interface'
+
+@Entity()
+export class DatasetRow implements IDatasetRow {
+    @PrimaryGeneratedColumn('uuid')
+    id: string
+
+    @Index()
+    @Column({ type: 'uuid' })
+    datasetId: string
+
+    @Column({ nullable: false, type: 'text' })
+    input: string
+
+    @Column({ nullable: true, type: 'text' })
+    expectedOutput?: string
+
+    @Column()
+    sequenceNo: number
+
+    @Column({ type: 'timestamp' })
+    @CreateDateColumn()
+    createdDate: Date
+}
@@ -0,0 +1,52 @@
+import { Column, CreateDateColumn, Entity, Index, PrimaryGeneratedColumn } from 'typeorm'
+import { DatasetRunStatus, IDatasetRun } from '../../Interface'
+
+@Entity()
+export class DatasetRun implements IDatasetRun {
+    @PrimaryGeneratedColumn('uuid')
+    id: string
+
+    @Index()
+    @Column({ type: 'uuid' })
+    datasetId: string
+
+    @Column()
+    chatflowid: string
+
+    @Column({ nullable: true, type: 'text' })
+    chatflowName?: string
+
+    @Column({ nullable: false, type: 'text' })
+    status: DatasetRunStatus
+
+    @Column({ nullable: false, type: 'text' })
+    scorers: string
+
+    @Column()
+    concurrency: number
+
+    @Column()
+    totalRows: number
+
+    @Column()
+    completedRows: number
+
+    @Column()
+    passedRows: number
+
+    @Column()
+    errorRows: number
+
+    @Column({ nullable: true, type: 'text' })
+    metrics?: string
+
+    @Column({ nullable: true, type: 'text' })
+    error?: string
+
+    @Column({ type: 'timestamp' })
+    @CreateDateColumn()
+    createdDate: Date
+
+    @Column({ nullable: true, type: 'timestamp' })
+    completedDate?: Date
+}
@@ -0,0 +1,58 @@
+import { Column, CreateDateColumn, Entity, Index, PrimaryGeneratedColumn } from 'typeorm'
+import { DatasetRunResultStatus, IDatasetRunResult } from '../../Interface'
+
+@Entity()
+export class DatasetRunResult implements IDatasetRunResult {
+    @PrimaryGeneratedColumn('uuid')
+    id: string
+
+    @Index()
+    @Column({ type: 'uuid' })
+    runId: string
+
+    @Column({ type: 'uuid' })
+    rowId: string
+
+    @Column({ nullable: false, type: 'text' })
+    input: string
+
+    @Column({ nullable: true, type: 'text' })
+    expectedOutput?: string
+
+    @Column({ nullable: true, type: 'text' })
+    actualOutput?: string
+
+    @Column({ nullable: false, type: 'text' })
+    status: DatasetRunResultStatus
+
+    @Column({ nullable: true, type: 'text' })
+    scores?: string
+
+    @Column({ nullable: true })
+    latency?: number
+
+    @Column({ nullable: true, type: 'text' })
+    error?: string
+
+    @Column({ nullable: true, type: 'uuid' })
+    chatflowid?: string
+
+    @Column({ nullable: true })
+    promptTokens?: number
+
+    @Column({ nullable: true })
+    completionTokens?: number
+
+    @Column({ nullable: true })
+    totalTokens?: number
+
+    @Column({ nullable: true, type: 'float' })
+    cost?: number
+
+    @Column({ nullable: true, type: 'text' })
+    tokenUsage?: string
+
+    @Column({ type: 'timestamp' })
+    @CreateDateColumn()
+    createdDate: Date
+}
@@ -1,4 +1,4 @@
-import { Column, CreateDateColumn, Entity, PrimaryGeneratedColumn, UpdateDateColumn } from 'typeorm'
+import { Column, CreateDateColumn, Entity, Index, PrimaryGeneratedColumn, UpdateDateColumn } from 'typeorm'
 import { DocumentStoreStatus, IDocumentStore } from '../../Interface'
 
 @Entity()
@@ -18,6 +18,16 @@ export class DocumentStore implements IDocumentStore {
     @Column({ nullable: true, type: 'text' })
     whereUsed: string
 
+    @Column({ nullable: true, type: 'text' })
+    createdBy?: string
+
+    @Column({ nullable: true, type: 'text' })
+    updatedBy?: string
+
+    @Index()
+    @Column({ nullable: true, type: 'varchar' })
+    workspaceId?: string
+
     @Column({ type: 'timestamp' })
     @CreateDateColumn()
     createdDate: Date
@@ -28,4 +38,13 @@ export class DocumentStore implements IDocumentStore {
 
     @Column({ nullable: false, type: 'text' })
     status: DocumentStoreStatus
+
+    @Column({ nullable: true, type: 'text' })
+    embeddingConfig?: string
+
+    @Column({ nullable: true, type: 'text' })
+    vectorStoreConfig?: string
+
+    @Column({ nullable: true, type: 'text' })
+    recordManagerConfig?: string
 }
@@ -22,4 +22,7 @@ export class DocumentStoreFileChunk implements IDocumentStoreFileChunk {
 
     @Column({ nullable: true, type: 'text' })
     metadata: string
+
+    @Column({ nullable: true, type: 'varchar' })
+    originalHash?: string
 }
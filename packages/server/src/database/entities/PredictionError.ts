@@ -0,0 +1,48 @@
+/* eslint-disable */
+import { Entity, Column, CreateDateColumn, PrimaryGeneratedColumn, Index } from 'typeorm'
+import { IPredictionError } from '../../Interface'
+
+@Entity()
+export class PredictionError implements IPredictionError {
+    @PrimaryGeneratedColumn('uuid')
+    id: string
+
+    @Index()
+    @Column({ type: 'uuid' })
+    chatflowid: string
+
+    @Column({ type: 'varchar' })
+    chatId: string
+
+    @Column()
+    chatType: string
+
+    @Column({ type: 'text' })
+    error: string
+
+    @Column({ nullable: true, type: 'text' })
+    executionTrace?: string
+
+    @Column({ nullable: true })
+    promptTokens?: number
+
+    @Column({ nullable: true })
+    completionTokens?: number
+
+    @Column({ nullable: true })
+    totalTokens?: number
+
+    @Column({ nullable: true, type: 'float' })
+    cost?: number
+
+    @Column({ nullable: true, type: 'text' })
+    tokenUsage?: string
+
+    @Column({ nullable: true, type: 'varchar' })
+    apikeyid?: string
+
+    @Index()
+    @Column({ type: 'timestamp' })
+    @CreateDateColumn()
+    createdDate: Date
+}
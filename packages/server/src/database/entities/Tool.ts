@@ -25,6 +25,12 @@ export class Tool implements ITool {
     @Column({ nullable: true, type: 'text' })
     func?: string
 
+    @Column({ nullable: true, type: 'text' })
+    createdBy?: string
+
+    @Column({ nullable: true, type: 'text' })
+    updatedBy?: string
+
     @Column({ type: 'timestamp' })
     @CreateDateColumn()
     createdDate: Date
@@ -0,0 +1,28 @@
+import { Column, CreateDateColumn, Entity, PrimaryGeneratedColumn, UpdateDateColumn } from 'typeorm'
+import { IUser, UserRole } from '../../Interface'
+
+@Entity('user')
+export class User implements IUser {
+    @PrimaryGeneratedColumn('uuid')
+    id: string
+
+    @Column({ type: 'varchar', length: 255, unique: true })
+    username: string
+
+    @Column({ type: 'text' })
+    password: string
+
+    @Column({ type: 'varchar' })
+    role: UserRole
+
+    @Column({ nullable: true, type: 'timestamp' })
+    lastLoginDate?: Date
+
+    @Column({ type: 'timestamp' })
+    @CreateDateColumn()
+    createdDate: Date
+
+    @Column({ type: 'timestamp' })
+    @UpdateDateColumn()
+    updatedDate: Date
+}
@@ -1,5 +1,5 @@
 /* eslint-disable */
-import { Entity, Column, CreateDateColumn, UpdateDateColumn, PrimaryGeneratedColumn } from 'typeorm'
+import { Entity, Column, CreateDateColumn, UpdateDateColumn, PrimaryGeneratedColumn, Index } from 'typeorm'
 import { IVariable } from '../../Interface'
 
 @Entity()
@@ -16,6 +16,10 @@ export class Variable implements IVariable {
     @Column({ default: 'string', type: 'text' })
     type: string
 
+    @Index()
+    @Column({ nullable: true, type: 'varchar' })
+    workspaceId?: string
+
     @Column({ type: 'timestamp' })
     @CreateDateColumn()
     createdDate: Date
@@ -0,0 +1,28 @@
+import { Column, CreateDateColumn, Entity, PrimaryGeneratedColumn, UpdateDateColumn } from 'typeorm'
+import { IWorkspace } from '../../Interface'
+
+@Entity()
+export class Workspace implements IWorkspace {
+    @PrimaryGeneratedColumn('uuid')
+    id: string
+
+    @Column({ type: 'varchar', length: 255, unique: true })
+    name: string
+
+    @Column({ nullable: true, type: 'text' })
+    description?: string
+
+    @Column({ nullable: true, type: 'text' })
+    createdBy?: string
+
+    @Column({ nullable: true, type: 'text' })
+    updatedBy?: string
+
+    @Column({ type: 'timestamp' })
+    @CreateDateColumn()
+    createdDate: Date
+
+    @Column({ type: 'timestamp' })
+    @UpdateDateColumn()
+    updatedDate: Date
+}
@@ -9,6 +9,16 @@ import { DocumentStore } from './DocumentStore'
 import { DocumentStoreFileChunk } from './DocumentStoreFileChunk'
 import { Lead } from './Lead'
 import { UpsertHistory } from './UpsertHistory'
+import { ChatFlowVersion } from './ChatFlowVersion'
+import { Dataset } from './Dataset'
+import { DatasetRow } from './DatasetRow'
+import { DatasetRun } from './DatasetRun'
+import { DatasetRunResult } from './DatasetRunResult'
+import { ApiKey } from './ApiKey'
+import { User } from './User'
+import { AuditLog } from './AuditLog'
+import { Workspace } from './Workspace'
+import { PredictionError } from './PredictionError'
 
 export const entities = {
     ChatFlow,
@@ -21,5 +31,15 @@ export const entities = {
     DocumentStore,
     DocumentStoreFileChunk,
     Lead,
-    UpsertHistory
+    UpsertHistory,
+    ChatFlowVersion,
+    Dataset,
+    DatasetRow,
+    DatasetRun,
+    DatasetRunResult,
+    ApiKey,
+    User,
+    AuditLog,
+    Workspace,
+    PredictionError
 }
@@ -0,0 +1,12 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddExecutionTraceToChatMessage1716274405284 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        const columnExists = await queryRunner.hasColumn('chat_message', 'executionTrace')
+        if (!columnExists) await queryRunner.query(`ALTER TABLE \`chat_message\` ADD COLUMN \`executionTrace\` TEXT;`)
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`ALTER TABLE \`chat_message\` DROP COLUMN \`executionTrace\`;`)
+    }
+}
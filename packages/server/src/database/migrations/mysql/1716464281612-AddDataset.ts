@@ -0,0 +1,73 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddDataset1716464281612 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS \`dataset\` (
+                \`id\` varchar(36) NOT NULL,
+                \`name\` text NOT NULL,
+                \`description\` text,
+                \`createdDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+                \`updatedDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6),
+                PRIMARY KEY (\`id\`)
+              ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;`
+        )
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS \`dataset_row\` (
+                \`id\` varchar(36) NOT NULL,
+                \`datasetId\` varchar(36) NOT NULL,
+                \`input\` text NOT NULL,
+                \`expectedOutput\` text,
+                \`sequenceNo\` int NOT NULL,
+                \`createdDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+                PRIMARY KEY (\`id\`),
+                KEY \`IDX_4b1c7d6e9f2a4c8db3e5a7f901\` (\`datasetId\`)
+              ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;`
+        )
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS \`dataset_run\` (
+                \`id\` varchar(36) NOT NULL,
+                \`datasetId\` varchar(36) NOT NULL,
+                \`chatflowid\` varchar(255) NOT NULL,
+                \`chatflowName\` text,
+                \`status\` varchar(20) NOT NULL,
+                \`scorers\` text NOT NULL,
+                \`concurrency\` int NOT NULL,
+                \`totalRows\` int NOT NULL,
+                \`completedRows\` int NOT NULL,
+                \`passedRows\` int NOT NULL,
+                \`errorRows\` int NOT NULL,
+                \`metrics\` text,
+                \`error\` text,
+                \`createdDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+                \`completedDate\` datetime(6),
+                PRIMARY KEY (\`id\`),
+                KEY \`IDX_8d2e5f1a3c7b4e9fa6d0c2b853\` (\`datasetId\`)
+              ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;`
+        )
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS \`dataset_run_result\` (
+                \`id\` varchar(36) NOT NULL,
+                \`runId\` varchar(36) NOT NULL,
+                \`rowId\` varchar(36) NOT NULL,
+                \`input\` text NOT NULL,
+                \`expectedOutput\` text,
+                \`actualOutput\` text,
+                \`status\` varchar(20) NOT NULL,
+                \`scores\` text,
+                \`latency\` int,
+                \`error\` text,
+                \`createdDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+                PRIMARY KEY (\`id\`),
+                KEY \`IDX_f7a9c3e1d5b24a6c8e0b4d2f67\` (\`runId\`)
+              ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;`
+        )
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE dataset`)
+        await queryRunner.query(`DROP TABLE dataset_row`)
+        await queryRunner.query(`DROP TABLE dataset_run`)
+        await queryRunner.query(`DROP TABLE dataset_run_result`)
+    }
+}
@@ -0,0 +1,25 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+const TOKEN_USAGE_COLUMNS = [
+    ['promptTokens', 'INT'],
+    ['completionTokens', 'INT'],
+    ['totalTokens', 'INT'],
+    ['cost', 'DOUBLE'],
+    ['tokenUsage', 'TEXT'],
+    ['apikeyid', 'VARCHAR(255)']
+]
+
+export class AddTokenUsageToChatMessage1716550522193 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        for (const [columnName, columnType] of TOKEN_USAGE_COLUMNS) {
+            const columnExists = await queryRunner.hasColumn('chat_message', columnName)
+            if (!columnExists) await queryRunner.query(`ALTER TABLE \`chat_message\` ADD COLUMN \`${columnName}\` ${columnType};`)
+        }
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        for (const [columnName] of TOKEN_USAGE_COLUMNS) {
+            await queryRunner.query(`ALTER TABLE \`chat_message\` DROP COLUMN \`${columnName}\`;`)
+        }
+    }
+}
@@ -0,0 +1,28 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddApiKey1716636613541 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS \`apikey\` (
+                \`id\` varchar(36) NOT NULL,
+                \`keyName\` text NOT NULL,
+                \`apiKey\` text NOT NULL,
+                \`apiSecret\` text NOT NULL,
+                \`scope\` varchar(255) DEFAULT NULL,
+                \`chatflows\` text,
+                \`documentStores\` text,
+                \`expiresAt\` datetime(6) DEFAULT NULL,
+                \`monthlyBudget\` double DEFAULT NULL,
+                \`lastUsedAt\` datetime(6) DEFAULT NULL,
+                \`revokedAt\` datetime(6) DEFAULT NULL,
+                \`createdDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+                \`updatedDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6),
+                PRIMARY KEY (\`id\`)
+              ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;`
+        )
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS \`apikey\`;`)
+    }
+}
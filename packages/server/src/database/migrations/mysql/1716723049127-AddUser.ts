@@ -0,0 +1,35 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+const AUDITED_TABLES = ['chat_flow', 'tool', 'credential', 'document_store']
+
+export class AddUser1716723049127 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS \`user\` (
+                \`id\` varchar(36) NOT NULL,
+                \`username\` varchar(255) NOT NULL,
+                \`password\` text NOT NULL,
+                \`role\` varchar(255) NOT NULL,
+                \`lastLoginDate\` datetime(6) DEFAULT NULL,
+                \`createdDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+                \`updatedDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6),
+                UNIQUE INDEX \`IDX_78a916df40e02a9deb1c4b75ed\` (\`username\`),
+                PRIMARY KEY (\`id\`)
+              ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;`
+        )
+        for (const table of AUDITED_TABLES) {
+            for (const columnName of ['createdBy', 'updatedBy']) {
+                const columnExists = await queryRunner.hasColumn(table, columnName)
+                if (!columnExists) await queryRunner.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${columnName}\` TEXT;`)
+            }
+        }
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS \`user\`;`)
+        for (const table of AUDITED_TABLES) {
+            await queryRunner.query(`ALTER TABLE \`${table}\` DROP COLUMN \`createdBy\`;`)
+            await queryRunner.query(`ALTER TABLE \`${table}\` DROP COLUMN \`updatedBy\`;`)
+        }
+    }
+}
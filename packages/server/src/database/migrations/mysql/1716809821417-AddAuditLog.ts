@@ -0,0 +1,28 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddAuditLog1716809821417 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS \`audit_log\` (
+                \`id\` varchar(36) NOT NULL,
+                \`actor\` varchar(255),
+                \`actorType\` varchar(255) NOT NULL,
+                \`action\` varchar(255) NOT NULL,
+                \`entityType\` varchar(255) NOT NULL,
+                \`entityId\` varchar(255),
+                \`entityName\` varchar(255),
+                \`before\` text,
+                \`after\` text,
+                \`ip\` varchar(255),
+                \`createdDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+                PRIMARY KEY (\`id\`),
+                KEY \`IDX_a3c9e1f5d2b84c7e8f1a6b9d03\` (\`entityType\`),
+                KEY \`IDX_e7b2d4a9c1f64e3b8d5a2c7f18\` (\`createdDate\`)
+              ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;`
+        )
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE audit_log`)
+    }
+}
@@ -0,0 +1,36 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+const WORKSPACE_TABLES = ['chat_flow', 'credential', 'variable', 'document_store']
+
+export class AddWorkspace1716896593712 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS \`workspace\` (
+                \`id\` varchar(36) NOT NULL,
+                \`name\` varchar(255) NOT NULL,
+                \`description\` text,
+                \`createdBy\` text,
+                \`updatedBy\` text,
+                \`createdDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+                \`updatedDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6),
+                UNIQUE INDEX \`IDX_406f56fc2a42ad5f541973cdbe\` (\`name\`),
+                PRIMARY KEY (\`id\`)
+              ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;`
+        )
+        for (const table of WORKSPACE_TABLES) {
+            const columnExists = await queryRunner.hasColumn(table, 'workspaceId')
+            if (!columnExists) {
+                await queryRunner.query(`ALTER TABLE \`${table}\` ADD COLUMN \`workspaceId\` varchar(36);`)
+                await queryRunner.query(`CREATE INDEX \`IDX_${table}_workspaceId\` ON \`${table}\` (\`workspaceId\`);`)
+            }
+        }
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS \`workspace\`;`)
+        for (const table of WORKSPACE_TABLES) {
+            await queryRunner.query(`DROP INDEX \`IDX_${table}_workspaceId\` ON \`${table}\`;`)
+            await queryRunner.query(`ALTER TABLE \`${table}\` DROP COLUMN \`workspaceId\`;`)
+        }
+    }
+}
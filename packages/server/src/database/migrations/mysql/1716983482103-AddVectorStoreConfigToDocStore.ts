@@ -0,0 +1,18 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+const CONFIG_COLUMNS = ['embeddingConfig', 'vectorStoreConfig', 'recordManagerConfig']
+
+export class AddVectorStoreConfigToDocStore1716983482103 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        for (const column of CONFIG_COLUMNS) {
+            const columnExists = await queryRunner.hasColumn('document_store', column)
+            if (!columnExists) await queryRunner.query(`ALTER TABLE \`document_store\` ADD COLUMN \`${column}\` TEXT;`)
+        }
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        for (const column of CONFIG_COLUMNS) {
+            await queryRunner.query(`ALTER TABLE \`document_store\` DROP COLUMN \`${column}\`;`)
+        }
+    }
+}
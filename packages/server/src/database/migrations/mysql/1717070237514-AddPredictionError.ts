@@ -0,0 +1,30 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddPredictionError1717070237514 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS \`prediction_error\` (
+                \`id\` varchar(36) NOT NULL,
+                \`chatflowid\` varchar(255) NOT NULL,
+                \`chatId\` varchar(255) NOT NULL,
+                \`chatType\` varchar(255) NOT NULL,
+                \`error\` text NOT NULL,
+                \`executionTrace\` text,
+                \`promptTokens\` int,
+                \`completionTokens\` int,
+                \`totalTokens\` int,
+                \`cost\` double,
+                \`tokenUsage\` text,
+                \`apikeyid\` varchar(255),
+                \`createdDate\` datetime(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+                PRIMARY KEY (\`id\`),
+                KEY \`IDX_5c8e2a7f1d9b4e6ca3f0b8d214\` (\`chatflowid\`),
+                KEY \`IDX_b9f4d1c6e3a84b2d97e5c0a736\` (\`createdDate\`)
+              ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;`
+        )
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE prediction_error`)
+    }
+}
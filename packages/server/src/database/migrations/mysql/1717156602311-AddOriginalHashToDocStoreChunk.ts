@@ -0,0 +1,12 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddOriginalHashToDocStoreChunk1717156602311 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        const columnExists = await queryRunner.hasColumn('document_store_file_chunk', 'originalHash')
+        if (!columnExists) await queryRunner.query(`ALTER TABLE \`document_store_file_chunk\` ADD COLUMN \`originalHash\` varchar(255);`)
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`ALTER TABLE \`document_store_file_chunk\` DROP COLUMN \`originalHash\`;`)
+    }
+}
@@ -0,0 +1,25 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+const USAGE_COLUMNS = [
+    ['chatflowid', 'varchar(255)'],
+    ['promptTokens', 'int'],
+    ['completionTokens', 'int'],
+    ['totalTokens', 'int'],
+    ['cost', 'double'],
+    ['tokenUsage', 'TEXT']
+]
+
+export class AddUsageToDatasetRunResult1717243015482 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        for (const [column, type] of USAGE_COLUMNS) {
+            const columnExists = await queryRunner.hasColumn('dataset_run_result', column)
+            if (!columnExists) await queryRunner.query(`ALTER TABLE \`dataset_run_result\` ADD COLUMN \`${column}\` ${type};`)
+        }
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        for (const [column] of USAGE_COLUMNS) {
+            await queryRunner.query(`ALTER TABLE \`dataset_run_result\` DROP COLUMN \`${column}\`;`)
+        }
+    }
+}
@@ -0,0 +1,26 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddChatFlowVersion1715861032479 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS chat_flow_version (
+                id uuid NOT NULL DEFAULT uuid_generate_v4(),
+                "chatflowid" varchar NOT NULL,
+                "version" integer NOT NULL,
+                "flowData" text NOT NULL,
+                "chatbotConfig" text,
+                "apiConfig" text,
+                "author" varchar,
+                "createdDate" timestamp NOT NULL DEFAULT now(),
+                CONSTRAINT "PK_5b0c8e7e4a2f4d1c9e3a6f8b2d1" PRIMARY KEY (id)
+            );`
+        )
+        await queryRunner.query(
+            `CREATE INDEX IF NOT EXISTS "IDX_c3f1a6e2b5d04e1d9a7b8c0f12" ON chat_flow_version USING btree ("chatflowid");`
+        )
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE chat_flow_version`)
+    }
+}
@@ -0,0 +1,73 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddDataset1716464281612 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS dataset (
+                id uuid NOT NULL DEFAULT uuid_generate_v4(),
+                "name" text NOT NULL,
+                "description" text,
+                "createdDate" timestamp NOT NULL DEFAULT now(),
+                "updatedDate" timestamp NOT NULL DEFAULT now(),
+                CONSTRAINT "PK_3b6e2f0c9a1d4e7b8c5a2d9f041" PRIMARY KEY (id)
+            );`
+        )
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS dataset_row (
+                id uuid NOT NULL DEFAULT uuid_generate_v4(),
+                "datasetId" uuid NOT NULL,
+                "input" text NOT NULL,
+                "expectedOutput" text,
+                "sequenceNo" integer NOT NULL,
+                "createdDate" timestamp NOT NULL DEFAULT now(),
+                CONSTRAINT "PK_5d8a1c4e7f2b4a9c6e3d0b8f152" PRIMARY KEY (id)
+            );`
+        )
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_4b1c7d6e9f2a4c8db3e5a7f901" ON dataset_row USING btree ("datasetId");`)
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS dataset_run (
+                id uuid NOT NULL DEFAULT uuid_generate_v4(),
+                "datasetId" uuid NOT NULL,
+                "chatflowid" varchar NOT NULL,
+                "chatflowName" text,
+                "status" text NOT NULL,
+                "scorers" text NOT NULL,
+                "concurrency" integer NOT NULL,
+                "totalRows" integer NOT NULL,
+                "completedRows" integer NOT NULL,
+                "passedRows" integer NOT NULL,
+                "errorRows" integer NOT NULL,
+                "metrics" text,
+                "error" text,
+                "createdDate" timestamp NOT NULL DEFAULT now(),
+                "completedDate" timestamp,
+                CONSTRAINT "PK_7e0c3a6f9b2d4c1e8a5f2b7d263" PRIMARY KEY (id)
+            );`
+        )
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_8d2e5f1a3c7b4e9fa6d0c2b853" ON dataset_run USING btree ("datasetId");`)
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS dataset_run_result (
+                id uuid NOT NULL DEFAULT uuid_generate_v4(),
+                "runId" uuid NOT NULL,
+                "rowId" uuid NOT NULL,
+                "input" text NOT NULL,
+                "expectedOutput" text,
+                "actualOutput" text,
+                "status" text NOT NULL,
+                "scores" text,
+                "latency" integer,
+                "error" text,
+                "createdDate" timestamp NOT NULL DEFAULT now(),
+                CONSTRAINT "PK_9a2e5c8b1d4f4e3a0c7b4d9f374" PRIMARY KEY (id)
+            );`
+        )
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_f7a9c3e1d5b24a6c8e0b4d2f67" ON dataset_run_result USING btree ("runId");`)
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE dataset`)
+        await queryRunner.query(`DROP TABLE dataset_row`)
+        await queryRunner.query(`DROP TABLE dataset_run`)
+        await queryRunner.query(`DROP TABLE dataset_run_result`)
+    }
+}
@@ -0,0 +1,28 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddApiKey1716636613541 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS apikey (
+                id varchar(36) NOT NULL,
+                "keyName" text NOT NULL,
+                "apiKey" text NOT NULL,
+                "apiSecret" text NOT NULL,
+                "scope" varchar,
+                "chatflows" text,
+                "documentStores" text,
+                "expiresAt" timestamp,
+                "monthlyBudget" double precision,
+                "lastUsedAt" timestamp,
+                "revokedAt" timestamp,
+                "createdDate" timestamp NOT NULL DEFAULT now(),
+                "updatedDate" timestamp NOT NULL DEFAULT now(),
+                CONSTRAINT "PK_96109043dd704f5398308ab78f0" PRIMARY KEY (id)
+            );`
+        )
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS "apikey";`)
+    }
+}
@@ -0,0 +1,33 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+const AUDITED_TABLES = ['chat_flow', 'tool', 'credential', 'document_store']
+
+export class AddUser1716723049127 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS "user" (
+                id uuid NOT NULL DEFAULT uuid_generate_v4(),
+                "username" varchar(255) NOT NULL,
+                "password" text NOT NULL,
+                "role" varchar NOT NULL,
+                "lastLoginDate" timestamp,
+                "createdDate" timestamp NOT NULL DEFAULT now(),
+                "updatedDate" timestamp NOT NULL DEFAULT now(),
+                CONSTRAINT "UQ_78a916df40e02a9deb1c4b75edb" UNIQUE ("username"),
+                CONSTRAINT "PK_cace4a159ff9f2512dd42373760" PRIMARY KEY (id)
+            );`
+        )
+        for (const table of AUDITED_TABLES) {
+            await queryRunner.query(`ALTER TABLE "${table}" ADD COLUMN IF NOT EXISTS "createdBy" TEXT;`)
+            await queryRunner.query(`ALTER TABLE "${table}" ADD COLUMN IF NOT EXISTS "updatedBy" TEXT;`)
+        }
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS "user";`)
+        for (const table of AUDITED_TABLES) {
+            await queryRunner.query(`ALTER TABLE "${table}" DROP COLUMN "createdBy";`)
+            await queryRunner.query(`ALTER TABLE "${table}" DROP COLUMN "updatedBy";`)
+        }
+    }
+}
@@ -0,0 +1,28 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddAuditLog1716809821417 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS audit_log (
+                id uuid NOT NULL DEFAULT uuid_generate_v4(),
+                "actor" varchar,
+                "actorType" varchar NOT NULL,
+                "action" varchar NOT NULL,
+                "entityType" varchar NOT NULL,
+                "entityId" varchar,
+                "entityName" varchar,
+                "before" text,
+                "after" text,
+                "ip" varchar,
+                "createdDate" timestamp NOT NULL DEFAULT now(),
+                CONSTRAINT "PK_9d4f2b7e1c8a4f6d3b5e0a2c71" PRIMARY KEY (id)
+            );`
+        )
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_a3c9e1f5d2b84c7e8f1a6b9d03" ON audit_log USING btree ("entityType");`)
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_e7b2d4a9c1f64e3b8d5a2c7f18" ON audit_log USING btree ("createdDate");`)
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE audit_log`)
+    }
+}
@@ -0,0 +1,33 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+const WORKSPACE_TABLES = ['chat_flow', 'credential', 'variable', 'document_store']
+
+export class AddWorkspace1716896593712 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS workspace (
+                id uuid NOT NULL DEFAULT uuid_generate_v4(),
+                "name" varchar(255) NOT NULL,
+                "description" text,
+                "createdBy" text,
+                "updatedBy" text,
+                "createdDate" timestamp NOT NULL DEFAULT now(),
+                "updatedDate" timestamp NOT NULL DEFAULT now(),
+                CONSTRAINT "UQ_406f56fc2a42ad5f541973cdbee" UNIQUE ("name"),
+                CONSTRAINT "PK_ca86b6f9b3be5fe26d307d09b49" PRIMARY KEY (id)
+            );`
+        )
+        for (const table of WORKSPACE_TABLES) {
+            await queryRunner.query(`ALTER TABLE "${table}" ADD COLUMN IF NOT EXISTS "workspaceId" varchar;`)
+            await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_${table}_workspaceId" ON "${table}" USING btree ("workspaceId");`)
+        }
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS workspace;`)
+        for (const table of WORKSPACE_TABLES) {
+            await queryRunner.query(`DROP INDEX IF EXISTS "IDX_${table}_workspaceId";`)
+            await queryRunner.query(`ALTER TABLE "${table}" DROP COLUMN "workspaceId";`)
+        }
+    }
+}
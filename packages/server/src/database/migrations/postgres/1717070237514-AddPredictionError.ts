@@ -0,0 +1,34 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddPredictionError1717070237514 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS prediction_error (
+                id uuid NOT NULL DEFAULT uuid_generate_v4(),
+                "chatflowid" uuid NOT NULL,
+                "chatId" varchar NOT NULL,
+                "chatType" varchar NOT NULL,
+                "error" text NOT NULL,
+                "executionTrace" text,
+                "promptTokens" integer,
+                "completionTokens" integer,
+                "totalTokens" integer,
+                "cost" double precision,
+                "tokenUsage" text,
+                "apikeyid" varchar,
+                "createdDate" timestamp NOT NULL DEFAULT now(),
+                CONSTRAINT "PK_2d7a9e4c1f6b4a8e95c3d0f182" PRIMARY KEY (id)
+            );`
+        )
+        await queryRunner.query(
+            `CREATE INDEX IF NOT EXISTS "IDX_5c8e2a7f1d9b4e6ca3f0b8d214" ON prediction_error USING btree ("chatflowid");`
+        )
+        await queryRunner.query(
+            `CREATE INDEX IF NOT EXISTS "IDX_b9f4d1c6e3a84b2d97e5c0a736" ON prediction_error USING btree ("createdDate");`
+        )
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE prediction_error`)
+    }
+}
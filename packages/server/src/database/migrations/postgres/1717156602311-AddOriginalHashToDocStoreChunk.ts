@@ -0,0 +1,11 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddOriginalHashToDocStoreChunk1717156602311 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`ALTER TABLE "document_store_file_chunk" ADD COLUMN IF NOT EXISTS "originalHash" varchar;`)
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`ALTER TABLE "document_store_file_chunk" DROP COLUMN "originalHash";`)
+    }
+}
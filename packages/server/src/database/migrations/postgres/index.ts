@@ -19,6 +19,19 @@ import { FieldTypes1710497452584 } from './1710497452584-FieldTypes'
 import { AddDocumentStore1711637331047 } from './1711637331047-AddDocumentStore'
 import { AddLead1710832137905 } from './1710832137905-AddLead'
 import { AddLeadToChatMessage1711538016098 } from './1711538016098-AddLeadToChatMessage'
+import { AddChatFlowVersion1715861032479 } from './1715861032479-AddChatFlowVersion'
+import { AddExecutionTraceToChatMessage1716274405284 } from './1716274405284-AddExecutionTraceToChatMessage'
+import { AddDataset1716464281612 } from './1716464281612-AddDataset'
+import { AddTokenUsageToChatMessage1716550522193 } from './1716550522193-AddTokenUsageToChatMessage'
+import { AddApiKey1716636613541 } from './1716636613541-AddApiKey'
+import { AddUser1716723049127 } from './1716723049127-AddUser'
+import { AddAuditLog1716809821417 } from './1716809821417-AddAuditLog'
+import { AddWorkspace1716896593712 } from './1716896593712-AddWorkspace'
+import { AddVectorStoreConfigToDocStore1716983482103 } from './1716983482103-AddVectorStoreConfigToDocStore'
+import { AddPredictionError1717070237514 } from './1717070237514-AddPredictionError'
+import { AddOriginalHashToDocStoreChunk1717156602311 } from './1717156602311-AddOriginalHashToDocStoreChunk'
+import { AddUsageToDatasetRunResult1717243015482 } from './1717243015482-AddUsageToDatasetRunResult'
+import { AddUniqueVersionToChatFlowVersion1717329788263 } from './1717329788263-AddUniqueVersionToChatFlowVersion'
 
 export const postgresMigrations = [
     Init1693891895163,
@@ -41,5 +54,18 @@ export const postgresMigrations = [
     FieldTypes1710497452584,
     AddDocumentStore1711637331047,
     AddLead1710832137905,
-    AddLeadToChatMessage1711538016098
+    AddLeadToChatMessage1711538016098,
+    AddChatFlowVersion1715861032479,
+    AddExecutionTraceToChatMessage1716274405284,
+    AddDataset1716464281612,
+    AddTokenUsageToChatMessage1716550522193,
+    AddApiKey1716636613541,
+    AddUser1716723049127,
+    AddAuditLog1716809821417,
+    AddWorkspace1716896593712,
+    AddVectorStoreConfigToDocStore1716983482103,
+    AddPredictionError1717070237514,
+    AddOriginalHashToDocStoreChunk1717156602311,
+    AddUsageToDatasetRunResult1717243015482,
+    AddUniqueVersionToChatFlowVersion1717329788263
 ]
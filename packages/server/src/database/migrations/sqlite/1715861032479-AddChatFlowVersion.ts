@@ -0,0 +1,14 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddChatFlowVersion1715861032479 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS "chat_flow_version" ("id" varchar PRIMARY KEY NOT NULL, "chatflowid" varchar NOT NULL, "version" integer NOT NULL, "flowData" text NOT NULL, "chatbotConfig" text, "apiConfig" text, "author" varchar, "createdDate" datetime NOT NULL DEFAULT (datetime('now')));`
+        )
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_c3f1a6e2b5d04e1d9a7b8c0f12" ON "chat_flow_version" ("chatflowid") ;`)
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS "chat_flow_version";`)
+    }
+}
@@ -0,0 +1,65 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddDataset1716464281612 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS "dataset" (
+                "id" varchar PRIMARY KEY NOT NULL,
+                "name" text NOT NULL,
+                "description" text,
+                "updatedDate" datetime NOT NULL DEFAULT (datetime('now')),
+                "createdDate" datetime NOT NULL DEFAULT (datetime('now')));`
+        )
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS "dataset_row" (
+                "id" varchar PRIMARY KEY NOT NULL,
+                "datasetId" varchar NOT NULL,
+                "input" text NOT NULL,
+                "expectedOutput" text,
+                "sequenceNo" integer NOT NULL,
+                "createdDate" datetime NOT NULL DEFAULT (datetime('now')));`
+        )
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_4b1c7d6e9f2a4c8db3e5a7f901" ON "dataset_row" ("datasetId") ;`)
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS "dataset_run" (
+                "id" varchar PRIMARY KEY NOT NULL,
+                "datasetId" varchar NOT NULL,
+                "chatflowid" varchar NOT NULL,
+                "chatflowName" text,
+                "status" text NOT NULL,
+                "scorers" text NOT NULL,
+                "concurrency" integer NOT NULL,
+                "totalRows" integer NOT NULL,
+                "completedRows" integer NOT NULL,
+                "passedRows" integer NOT NULL,
+                "errorRows" integer NOT NULL,
+                "metrics" text,
+                "error" text,
+                "createdDate" datetime NOT NULL DEFAULT (datetime('now')),
+                "completedDate" datetime);`
+        )
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_8d2e5f1a3c7b4e9fa6d0c2b853" ON "dataset_run" ("datasetId") ;`)
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS "dataset_run_result" (
+                "id" varchar PRIMARY KEY NOT NULL,
+                "runId" varchar NOT NULL,
+                "rowId" varchar NOT NULL,
+                "input" text NOT NULL,
+                "expectedOutput" text,
+                "actualOutput" text,
+                "status" text NOT NULL,
+                "scores" text,
+                "latency" integer,
+                "error" text,
+                "createdDate" datetime NOT NULL DEFAULT (datetime('now')));`
+        )
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_f7a9c3e1d5b24a6c8e0b4d2f67" ON "dataset_run_result" ("runId") ;`)
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS "dataset";`)
+        await queryRunner.query(`DROP TABLE IF EXISTS "dataset_row";`)
+        await queryRunner.query(`DROP TABLE IF EXISTS "dataset_run";`)
+        await queryRunner.query(`DROP TABLE IF EXISTS "dataset_run_result";`)
+    }
+}
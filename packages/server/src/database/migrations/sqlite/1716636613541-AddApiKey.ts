@@ -0,0 +1,26 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddApiKey1716636613541 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS "apikey" (
+                "id" varchar(36) PRIMARY KEY NOT NULL,
+                "keyName" text NOT NULL,
+                "apiKey" text NOT NULL,
+                "apiSecret" text NOT NULL,
+                "scope" varchar,
+                "chatflows" text,
+                "documentStores" text,
+                "expiresAt" datetime,
+                "monthlyBudget" real,
+                "lastUsedAt" datetime,
+                "revokedAt" datetime,
+                "createdDate" datetime NOT NULL DEFAULT (datetime('now')),
+                "updatedDate" datetime NOT NULL DEFAULT (datetime('now')));`
+        )
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS "apikey";`)
+    }
+}
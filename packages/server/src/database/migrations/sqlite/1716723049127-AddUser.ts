@@ -0,0 +1,31 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+const AUDITED_TABLES = ['chat_flow', 'tool', 'credential', 'document_store']
+
+export class AddUser1716723049127 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS "user" (
+                "id" varchar PRIMARY KEY NOT NULL,
+                "username" varchar(255) NOT NULL,
+                "password" text NOT NULL,
+                "role" varchar NOT NULL,
+                "lastLoginDate" datetime,
+                "createdDate" datetime NOT NULL DEFAULT (datetime('now')),
+                "updatedDate" datetime NOT NULL DEFAULT (datetime('now')),
+                CONSTRAINT "UQ_78a916df40e02a9deb1c4b75edb" UNIQUE ("username"));`
+        )
+        for (const table of AUDITED_TABLES) {
+            await queryRunner.query(`ALTER TABLE "${table}" ADD COLUMN "createdBy" TEXT;`)
+            await queryRunner.query(`ALTER TABLE "${table}" ADD COLUMN "updatedBy" TEXT;`)
+        }
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS "user";`)
+        for (const table of AUDITED_TABLES) {
+            await queryRunner.query(`ALTER TABLE "${table}" DROP COLUMN "createdBy";`)
+            await queryRunner.query(`ALTER TABLE "${table}" DROP COLUMN "updatedBy";`)
+        }
+    }
+}
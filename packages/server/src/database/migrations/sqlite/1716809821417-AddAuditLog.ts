@@ -0,0 +1,15 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddAuditLog1716809821417 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS "audit_log" ("id" varchar PRIMARY KEY NOT NULL, "actor" varchar, "actorType" varchar NOT NULL, "action" varchar NOT NULL, "entityType" varchar NOT NULL, "entityId" varchar, "entityName" varchar, "before" text, "after" text, "ip" varchar, "createdDate" datetime NOT NULL DEFAULT (datetime('now')));`
+        )
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_a3c9e1f5d2b84c7e8f1a6b9d03" ON "audit_log" ("entityType") ;`)
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_e7b2d4a9c1f64e3b8d5a2c7f18" ON "audit_log" ("createdDate") ;`)
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS "audit_log";`)
+    }
+}
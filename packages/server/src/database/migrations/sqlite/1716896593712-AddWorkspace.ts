@@ -0,0 +1,31 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+const WORKSPACE_TABLES = ['chat_flow', 'credential', 'variable', 'document_store']
+
+export class AddWorkspace1716896593712 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS "workspace" (
+                "id" varchar PRIMARY KEY NOT NULL,
+                "name" varchar(255) NOT NULL,
+                "description" text,
+                "createdBy" text,
+                "updatedBy" text,
+                "createdDate" datetime NOT NULL DEFAULT (datetime('now')),
+                "updatedDate" datetime NOT NULL DEFAULT (datetime('now')),
+                CONSTRAINT "UQ_406f56fc2a42ad5f541973cdbee" UNIQUE ("name"));`
+        )
+        for (const table of WORKSPACE_TABLES) {
+            await queryRunner.query(`ALTER TABLE "${table}" ADD COLUMN "workspaceId" varchar;`)
+            await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_${table}_workspaceId" ON "${table}" ("workspaceId") ;`)
+        }
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS "workspace";`)
+        for (const table of WORKSPACE_TABLES) {
+            await queryRunner.query(`DROP INDEX IF EXISTS "IDX_${table}_workspaceId";`)
+            await queryRunner.query(`ALTER TABLE "${table}" DROP COLUMN "workspaceId";`)
+        }
+    }
+}
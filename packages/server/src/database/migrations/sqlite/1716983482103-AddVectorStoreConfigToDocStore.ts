@@ -0,0 +1,17 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+const CONFIG_COLUMNS = ['embeddingConfig', 'vectorStoreConfig', 'recordManagerConfig']
+
+export class AddVectorStoreConfigToDocStore1716983482103 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        for (const column of CONFIG_COLUMNS) {
+            await queryRunner.query(`ALTER TABLE "document_store" ADD COLUMN "${column}" text;`)
+        }
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        for (const column of CONFIG_COLUMNS) {
+            await queryRunner.query(`ALTER TABLE "document_store" DROP COLUMN "${column}";`)
+        }
+    }
+}
@@ -0,0 +1,28 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddPredictionError1717070237514 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(
+            `CREATE TABLE IF NOT EXISTS "prediction_error" (
+                "id" varchar PRIMARY KEY NOT NULL,
+                "chatflowid" varchar NOT NULL,
+                "chatId" varchar NOT NULL,
+                "chatType" varchar NOT NULL,
+                "error" text NOT NULL,
+                "executionTrace" text,
+                "promptTokens" integer,
+                "completionTokens" integer,
+                "totalTokens" integer,
+                "cost" float,
+                "tokenUsage" text,
+                "apikeyid" varchar,
+                "createdDate" datetime NOT NULL DEFAULT (datetime('now')));`
+        )
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_5c8e2a7f1d9b4e6ca3f0b8d214" ON "prediction_error" ("chatflowid") ;`)
+        await queryRunner.query(`CREATE INDEX IF NOT EXISTS "IDX_b9f4d1c6e3a84b2d97e5c0a736" ON "prediction_error" ("createdDate") ;`)
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP TABLE IF EXISTS "prediction_error";`)
+    }
+}
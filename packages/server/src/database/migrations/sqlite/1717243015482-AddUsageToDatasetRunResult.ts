@@ -0,0 +1,24 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+const USAGE_COLUMNS = [
+    ['chatflowid', 'varchar'],
+    ['promptTokens', 'integer'],
+    ['completionTokens', 'integer'],
+    ['totalTokens', 'integer'],
+    ['cost', 'float'],
+    ['tokenUsage', 'text']
+]
+
+export class AddUsageToDatasetRunResult1717243015482 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        for (const [column, type] of USAGE_COLUMNS) {
+            await queryRunner.query(`ALTER TABLE "dataset_run_result" ADD COLUMN "${column}" ${type};`)
+        }
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        for (const [column] of USAGE_COLUMNS) {
+            await queryRunner.query(`ALTER TABLE "dataset_run_result" DROP COLUMN "${column}";`)
+        }
+    }
+}
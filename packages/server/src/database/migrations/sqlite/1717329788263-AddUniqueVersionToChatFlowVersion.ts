@@ -0,0 +1,26 @@
+import { MigrationInterface, QueryRunner } from 'typeorm'
+
+export class AddUniqueVersionToChatFlowVersion1717329788263 implements MigrationInterface {
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        // Versions saved at the same time may share a number, the versions of these chatflows are numbered again
+        const duplicates = await queryRunner.query(
+            `SELECT DISTINCT "chatflowid" FROM "chat_flow_version" GROUP BY "chatflowid", "version" HAVING COUNT(*) > 1;`
+        )
+        for (const { chatflowid } of duplicates) {
+            const versions = await queryRunner.query(
+                `SELECT "id" FROM "chat_flow_version" WHERE "chatflowid" = ? ORDER BY "version" ASC, "createdDate" ASC;`,
+                [chatflowid]
+            )
+            for (const [index, { id }] of versions.entries()) {
+                await queryRunner.query(`UPDATE "chat_flow_version" SET "version" = ? WHERE "id" = ?;`, [index + 1, id])
+            }
+        }
+        await queryRunner.query(
+            `CREATE UNIQUE INDEX IF NOT EXISTS "IDX_3870c63d044b4c75ce7fb684ec" ON "chat_flow_version" ("chatflowid", "version") ;`
+        )
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`DROP INDEX IF EXISTS "IDX_3870c63d044b4c75ce7fb684ec";`)
+    }
+}
@@ -18,6 +18,19 @@ import { AddFeedback1707213619308 } from './1707213619308-AddFeedback'
 import { AddDocumentStore1711637331047 } from './1711637331047-AddDocumentStore'
 import { AddLead1710832117612 } from './1710832117612-AddLead'
 import { AddLeadToChatMessage1711537986113 } from './1711537986113-AddLeadToChatMessage'
+import { AddChatFlowVersion1715861032479 } from './1715861032479-AddChatFlowVersion'
+import { AddExecutionTraceToChatMessage1716274405284 } from './1716274405284-AddExecutionTraceToChatMessage'
+import { AddDataset1716464281612 } from './1716464281612-AddDataset'
+import { AddTokenUsageToChatMessage1716550522193 } from './1716550522193-AddTokenUsageToChatMessage'
+import { AddApiKey1716636613541 } from './1716636613541-AddApiKey'
+import { AddUser1716723049127 } from './1716723049127-AddUser'
+import { AddAuditLog1716809821417 } from './1716809821417-AddAuditLog'
+import { AddWorkspace1716896593712 } from './1716896593712-AddWorkspace'
+import { AddVectorStoreConfigToDocStore1716983482103 } from './1716983482103-AddVectorStoreConfigToDocStore'
+import { AddPredictionError1717070237514 } from './1717070237514-AddPredictionError'
+import { AddOriginalHashToDocStoreChunk1717156602311 } from './1717156602311-AddOriginalHashToDocStoreChunk'
+import { AddUsageToDatasetRunResult1717243015482 } from './1717243015482-AddUsageToDatasetRunResult'
+import { AddUniqueVersionToChatFlowVersion1717329788263 } from './1717329788263-AddUniqueVersionToChatFlowVersion'
 
 export const sqliteMigrations = [
     Init1693835579790,
@@ -39,5 +52,18 @@ export const sqliteMigrations = [
     AddFeedback1707213619308,
     AddDocumentStore1711637331047,
     AddLead1710832117612,
-    AddLeadToChatMessage1711537986113
+    AddLeadToChatMessage1711537986113,
+    AddChatFlowVersion1715861032479,
+    AddExecutionTraceToChatMessage1716274405284,
+    AddDataset1716464281612,
+    AddTokenUsageToChatMessage1716550522193,
+    AddApiKey1716636613541,
+    AddUser1716723049127,
+    AddAuditLog1716809821417,
+    AddWorkspace1716896593712,
+    AddVectorStoreConfigToDocStore1716983482103,
+    AddPredictionError1717070237514,
+    AddOriginalHashToDocStoreChunk1717156602311,
+    AddUsageToDatasetRunResult1717243015482,
+    AddUniqueVersionToChatFlowVersion1717329788263
 ]
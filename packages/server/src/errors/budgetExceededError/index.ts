@@ -0,0 +1,8 @@
+import { StatusCodes } from 'http-status-codes'
+import { InternalFlowiseError } from '../internalFlowiseError'
+
+export class BudgetExceededError extends InternalFlowiseError {
+    constructor(message: string) {
+        super(StatusCodes.PAYMENT_REQUIRED, message)
+    }
+}
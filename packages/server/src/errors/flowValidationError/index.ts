@@ -0,0 +1,11 @@
+import { StatusCodes } from 'http-status-codes'
+import { IFlowValidationIssue } from '../../Interface'
+import { InternalFlowiseError } from '../internalFlowiseError'
+
+export class FlowValidationError extends InternalFlowiseError {
+    issues: IFlowValidationIssue[]
+    constructor(message: string, issues: IFlowValidationIssue[]) {
+        super(StatusCodes.BAD_REQUEST, message)
+        this.issues = issues
+    }
+}
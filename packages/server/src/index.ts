@@ -3,10 +3,10 @@ import { Request, Response } from 'express'
 import path from 'path'
 import cors from 'cors'
 import http from 'http'
-import basicAuth from 'express-basic-auth'
 import { Server } from 'socket.io'
 import { DataSource } from 'typeorm'
-import { IChatFlow } from './Interface'
+import { IChatFlow, IUser } from './Interface'
+import { ICommonObject } from 'flowise-components'
 import { getNodeModulesPackagePath, getEncryptionKey } from './utils'
 import logger, { expressRequestLogger } from './utils/logger'
 import { getDataSource } from './DataSource'
@@ -15,7 +15,14 @@ import { ChatFlow } from './database/entities/ChatFlow'
 import { ChatflowPool } from './ChatflowPool'
 import { CachePool } from './CachePool'
 import { initializeRateLimiter } from './utils/rateLimit'
-import { getAPIKeys } from './utils/apiKey'
+import { initializeAPIKeys } from './utils/apiKey'
+import { initializeUsers, isRequestToRoute, isUserAuthEnabled, utilAuthenticateUser, utilAuthorizeUser } from './utils/auth'
+import { initializeWorkspaces } from './utils/workspace'
+import { startDocStoreScheduler } from './utils/docStoreScheduler'
+import datasetsService from './services/datasets'
+import documentStoreService from './services/documentstore'
+import { hasBearerKey, utilValidateManagementKey } from './utils/validateKey'
+import { auditLogMiddleware } from './utils/auditLog'
 import { sanitizeMiddleware, getCorsOptions, getAllowedIframeOrigins } from './utils/XSS'
 import { Telemetry } from './utils/telemetry'
 import flowiseApiV1Router from './routes'
@@ -25,6 +32,10 @@ declare global {
     namespace Express {
         interface Request {
             io?: Server
+            // Signed in user, set on management routes when user accounts exist
+            user?: IUser
+            // API key used to call a management route
+            apiKey?: ICommonObject
         }
     }
 }
@@ -58,11 +69,24 @@ export class App {
             this.chatflowPool = new ChatflowPool()
 
             // Initialize API keys
-            await getAPIKeys()
+            await initializeAPIKeys()
+
+            // Initialize users
+            await initializeUsers()
+
+            // Initialize workspaces
+            await initializeWorkspaces()
 
             // Initialize encryption key
             await getEncryptionKey()
 
+            // Dataset runs are executed in memory, the ones of the previous server process are lost
+            try {
+                await datasetsService.failInterruptedDatasetRuns()
+            } catch (error) {
+                logger.error('❌ [server]: Error marking interrupted dataset runs as failed:', error)
+            }
+
             // Initialize Rate Limit
             const AllChatFlow: IChatFlow[] = await getAllChatFlow()
             await initializeRateLimiter(AllChatFlow)
@@ -72,6 +96,16 @@ export class App {
 
             // Initialize telemetry
             this.telemetry = new Telemetry()
+
+            // Loaders are synced in memory, the ones of the previous server process are lost
+            try {
+                await documentStoreService.resetInterruptedLoaders()
+            } catch (error) {
+                logger.error('❌ [server]: Error resetting interrupted document store loaders:', error)
+            }
+
+            // Refresh the document store loaders with a schedule
+            startDocStoreScheduler()
             logger.info('📦 [server]: Data Source has been initialized!')
         } catch (error) {
             logger.error('❌ [server]: Error during Data Source initialization:', error)
@@ -116,35 +150,54 @@ export class App {
             next()
         })
 
-        if (process.env.FLOWISE_USERNAME && process.env.FLOWISE_PASSWORD) {
-            const username = process.env.FLOWISE_USERNAME
-            const password = process.env.FLOWISE_PASSWORD
-            const basicAuthMiddleware = basicAuth({
-                users: { [username]: password }
-            })
-            const whitelistURLs = [
-                '/api/v1/verify/apikey/',
-                '/api/v1/chatflows/apikey/',
-                '/api/v1/public-chatflows',
-                '/api/v1/public-chatbotConfig',
-                '/api/v1/prediction/',
-                '/api/v1/vector/upsert/',
-                '/api/v1/node-icon/',
-                '/api/v1/components-credentials-icon/',
-                '/api/v1/chatflows-streaming',
-                '/api/v1/chatflows-uploads',
-                '/api/v1/openai-assistants-file/download',
-                '/api/v1/feedback',
-                '/api/v1/leads',
-                '/api/v1/get-upload-file',
-                '/api/v1/ip'
-            ]
-            this.app.use((req, res, next) => {
-                if (req.url.includes('/api/v1/')) {
-                    whitelistURLs.some((url) => req.url.includes(url)) ? next() : basicAuthMiddleware(req, res, next)
-                } else next()
-            })
-        }
+        const whitelistURLs = [
+            '/api/v1/verify/apikey/',
+            '/api/v1/chatflows/apikey/',
+            '/api/v1/public-chatflows',
+            '/api/v1/public-chatbotConfig',
+            '/api/v1/prediction/',
+            '/api/v1/vector/upsert/',
+            '/api/v1/node-icon/',
+            '/api/v1/components-credentials-icon/',
+            '/api/v1/chatflows-streaming',
+            '/api/v1/chatflows-uploads',
+            '/api/v1/openai-assistants-file/download',
+            '/api/v1/feedback',
+            '/api/v1/leads',
+            '/api/v1/get-upload-file',
+            '/api/v1/ip',
+            '/api/v1/auth/login'
+        ]
+        const isManagementRequest = (req: Request) => isRequestToRoute(req, ['/api/v1']) && !isRequestToRoute(req, whitelistURLs)
+
+        // Management routes require a signed in user once user accounts exist, with a role allowing the request
+        this.app.use(async (req, res, next) => {
+            // Requests with an API key are authenticated by the API key middleware below
+            if (!isManagementRequest(req) || hasBearerKey(req)) return next()
+            try {
+                if (await isUserAuthEnabled()) {
+                    req.user = await utilAuthenticateUser(req)
+                    utilAuthorizeUser(req.user, req)
+                }
+                next()
+            } catch (error) {
+                next(error)
+            }
+        })
+
+        // Management routes can be called with an API key, within its scope and allow-list
+        this.app.use(async (req, res, next) => {
+            if (!isManagementRequest(req) || !hasBearerKey(req)) return next()
+            try {
+                req.apiKey = await utilValidateManagementKey(req)
+                next()
+            } catch (error) {
+                next(error)
+            }
+        })
+
+        // Record configuration changes, after the caller is known
+        this.app.use(auditLogMiddleware)
 
         this.app.use('/api/v1', flowiseApiV1Router)
 
@@ -1,6 +1,7 @@
 import { NextFunction, Request, Response } from 'express'
 import { StatusCodes } from 'http-status-codes'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import { FlowValidationError } from '../../errors/flowValidationError'
 
 // we need eslint because we have to pass next arg for the error middleware
 // eslint-disable-next-line
@@ -9,6 +10,8 @@ async function errorHandlerMiddleware(err: InternalFlowiseError, req: Request, r
         statusCode: err.statusCode || StatusCodes.INTERNAL_SERVER_ERROR,
         success: false,
         message: err.message,
+        // Provide validation issues so clients can point to the offending nodes
+        ...(err instanceof FlowValidationError && { issues: err.issues }),
         // Provide error stack trace only in development
         stack: process.env.NODE_ENV === 'development' ? err.stack : {}
     }
@@ -0,0 +1,9 @@
+import express from 'express'
+import analyticsController from '../../controllers/analytics'
+
+const router = express.Router()
+
+// READ
+router.get('/:id', analyticsController.getChatflowAnalytics)
+
+export default router
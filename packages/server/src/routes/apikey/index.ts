@@ -10,6 +10,7 @@ router.get('/', apikeyController.getAllApiKeys)
 
 // UPDATE
 router.put(['/', '/:id'], apikeyController.updateApiKey)
+router.put('/:id/revoke', apikeyController.revokeApiKey)
 
 // DELETE
 router.delete(['/', '/:id'], apikeyController.deleteApiKey)
@@ -0,0 +1,10 @@
+import express from 'express'
+import auditLogsController from '../../controllers/audit-logs'
+const router = express.Router()
+
+// READ
+router.get('/', auditLogsController.getAuditLogs)
+router.get('/actors', auditLogsController.getAuditLogActors)
+router.get('/export', auditLogsController.exportAuditLogs)
+
+export default router
@@ -0,0 +1,11 @@
+import express from 'express'
+import authController from '../../controllers/auth'
+const router = express.Router()
+
+// CREATE
+router.post('/login', authController.login)
+
+// READ
+router.get('/me', authController.getCurrentUser)
+
+export default router
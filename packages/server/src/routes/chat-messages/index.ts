@@ -6,6 +6,8 @@ const router = express.Router()
 router.post(['/', '/:id'], chatMessageController.createChatMessage)
 
 // READ
+router.get('/:id/export', chatMessageController.exportChatMessages)
+router.get('/:id/search', chatMessageController.searchChatMessages)
 router.get(['/', '/:id'], chatMessageController.getAllChatMessages)
 
 // UPDATE
@@ -0,0 +1,12 @@
+import express from 'express'
+import chatflowVersionsController from '../../controllers/chatflow-versions'
+const router = express.Router()
+
+// CREATE
+router.post('/:id/:versionId/restore', chatflowVersionsController.restoreChatflowVersion)
+
+// READ
+router.get(['/', '/:id'], chatflowVersionsController.getAllChatflowVersions)
+router.get('/:id/:versionId', chatflowVersionsController.getChatflowVersionById)
+
+export default router
@@ -0,0 +1,28 @@
+import express from 'express'
+import datasetsController from '../../controllers/datasets'
+const router = express.Router()
+
+// CREATE
+router.post('/', datasetsController.createDataset)
+router.post('/:id/rows', datasetsController.addDatasetRow)
+router.post('/:id/import', datasetsController.importDatasetRows)
+router.post('/:id/runs', datasetsController.createDatasetRun)
+router.post('/:id/runs/:runId/stop', datasetsController.stopDatasetRun)
+
+// READ
+router.get('/', datasetsController.getAllDatasets)
+router.get('/scorers', datasetsController.getDatasetScorers)
+router.get('/:id', datasetsController.getDatasetById)
+router.get('/:id/runs', datasetsController.getAllDatasetRuns)
+router.get('/:id/runs/:runId', datasetsController.getDatasetRunById)
+
+// UPDATE
+router.put('/:id', datasetsController.updateDataset)
+router.put('/:id/rows/:rowId', datasetsController.updateDatasetRow)
+
+// DELETE
+router.delete('/:id', datasetsController.deleteDataset)
+router.delete('/:id/rows/:rowId', datasetsController.deleteDatasetRow)
+router.delete('/:id/runs/:runId', datasetsController.deleteDatasetRun)
+
+export default router
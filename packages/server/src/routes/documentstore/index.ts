@@ -13,6 +13,10 @@ router.get('/store/:id', documentStoreController.getDocumentStoreById)
 router.put('/store/:id', documentStoreController.updateDocumentStore)
 // Delete documentStore
 router.delete('/store/:id', documentStoreController.deleteDocumentStore)
+// Export documentStore with its loaders, files and chunks
+router.get('/store/:id/export', documentStoreController.exportDocumentStore)
+// Import an exported documentStore as a new store
+router.post('/import', documentStoreController.importDocumentStore)
 
 /** Component Nodes = Document Store - Loaders */
 // Get all loaders
@@ -24,13 +28,33 @@ router.delete('/loader/:id/:loaderId', documentStoreController.deleteLoaderFromD
 router.post('/loader/preview', documentStoreController.previewFileChunks)
 // chunking process
 router.post('/loader/process', documentStoreController.processFileChunks)
+// reprocess a loader with its saved config, only the changed chunks are replaced
+router.post('/loader/:id/:loaderId/refresh', documentStoreController.refreshLoader)
+// set the cron schedule of the automatic refresh of a loader
+router.put('/loader/:id/:loaderId/schedule', documentStoreController.updateLoaderSchedule)
 
 /** Document Store - Loaders - Chunks */
 // delete specific file chunk from the store
 router.delete('/chunks/:storeId/:loaderId/:chunkId', documentStoreController.deleteDocumentStoreFileChunk)
 // edit specific file chunk from the store
 router.put('/chunks/:storeId/:loaderId/:chunkId', documentStoreController.editDocumentStoreFileChunk)
-// Get all file chunks from the store
+// Get all file chunks from the store, filtered with the metadataKey, metadataValue and search query parameters
 router.get('/chunks/:storeId/:fileId/:pageNo', documentStoreController.getDocumentStoreFileChunks)
+// delete the selected chunks of the store
+router.post('/chunks/:storeId/bulk/delete', documentStoreController.bulkDeleteChunks)
+// add, replace or remove metadata of the selected chunks of the store
+router.post('/chunks/:storeId/bulk/metadata', documentStoreController.bulkUpdateChunkMetadata)
+// find and replace a text in the selected chunks of the store
+router.post('/chunks/:storeId/bulk/replace', documentStoreController.bulkReplaceChunkContent)
+
+/** Document Store - Vector Store */
+// Get the embeddings, vector store or record manager nodes used to upsert
+router.get('/components/:type', documentStoreController.getUpsertComponents)
+// Upsert the chunks of the store to a vector store
+router.post('/vectorstore/insert', documentStoreController.insertIntoVectorStore)
+
+/** Document Store - Retrieval */
+// Rank the chunks of the store against a query, with keyword scoring or embeddings
+router.post('/query', documentStoreController.queryDocumentStore)
 
 export default router
@@ -1,13 +1,18 @@
 import express from 'express'
+import analyticsRouter from './analytics'
 import apikeyRouter from './apikey'
 import assistantsRouter from './assistants'
+import auditLogsRouter from './audit-logs'
+import authRouter from './auth'
 import chatflowsRouter from './chatflows'
+import chatflowVersionsRouter from './chatflow-versions'
 import chatflowsStreamingRouter from './chatflows-streaming'
 import chatflowsUploadsRouter from './chatflows-uploads'
 import chatMessageRouter from './chat-messages'
 import componentsCredentialsRouter from './components-credentials'
 import componentsCredentialsIconRouter from './components-credentials-icon'
 import credentialsRouter from './credentials'
+import datasetsRouter from './datasets'
 import documentStoreRouter from './documentstore'
 import feedbackRouter from './feedback'
 import fetchLinksRouter from './fetch-links'
@@ -38,18 +43,27 @@ import vectorRouter from './vectors'
 import verifyRouter from './verify'
 import versionRouter from './versions'
 import upsertHistoryRouter from './upsert-history'
+import usageRouter from './usage'
+import usersRouter from './users'
+import validationRouter from './validation'
+import workspacesRouter from './workspaces'
 
 const router = express.Router()
 
+router.use('/analytics', analyticsRouter)
 router.use('/apikey', apikeyRouter)
 router.use('/assistants', assistantsRouter)
+router.use('/audit-logs', auditLogsRouter)
+router.use('/auth', authRouter)
 router.use('/chatflows', chatflowsRouter)
+router.use('/chatflow-versions', chatflowVersionsRouter)
 router.use('/chatflows-streaming', chatflowsStreamingRouter)
 router.use('/chatmessage', chatMessageRouter)
 router.use('/components-credentials', componentsCredentialsRouter)
 router.use('/components-credentials-icon', componentsCredentialsIconRouter)
 router.use('/chatflows-uploads', chatflowsUploadsRouter)
 router.use('/credentials', credentialsRouter)
+router.use('/datasets', datasetsRouter)
 router.use('/document-store', documentStoreRouter)
 router.use('/feedback', feedbackRouter)
 router.use('/fetch-links', fetchLinksRouter)
@@ -80,5 +94,9 @@ router.use('/vector', vectorRouter)
 router.use('/verify', verifyRouter)
 router.use('/version', versionRouter)
 router.use('/upsert-history', upsertHistoryRouter)
+router.use('/usage', usageRouter)
+router.use('/users', usersRouter)
+router.use('/validation', validationRouter)
+router.use('/workspaces', workspacesRouter)
 
 export default router
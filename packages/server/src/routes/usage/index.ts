@@ -0,0 +1,9 @@
+import express from 'express'
+import usageController from '../../controllers/usage'
+
+const router = express.Router()
+
+// READ
+router.get('/', usageController.getUsage)
+
+export default router
@@ -0,0 +1,17 @@
+import express from 'express'
+import usersController from '../../controllers/users'
+const router = express.Router()
+
+// CREATE
+router.post('/', usersController.createUser)
+
+// READ
+router.get('/', usersController.getAllUsers)
+
+// UPDATE
+router.put('/:id', usersController.updateUser)
+
+// DELETE
+router.delete('/:id', usersController.deleteUser)
+
+export default router
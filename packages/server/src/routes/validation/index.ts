@@ -0,0 +1,11 @@
+import express from 'express'
+import validationController from '../../controllers/validation'
+const router = express.Router()
+
+// CREATE
+router.post('/', validationController.validateFlowData)
+
+// READ
+router.get(['/', '/:id'], validationController.validateChatflow)
+
+export default router
@@ -0,0 +1,18 @@
+import express from 'express'
+import workspacesController from '../../controllers/workspaces'
+const router = express.Router()
+
+// CREATE
+router.post('/', workspacesController.createWorkspace)
+router.post('/:id/chatflows', workspacesController.transferChatflow)
+
+// READ
+router.get('/', workspacesController.getAllWorkspaces)
+
+// UPDATE
+router.put('/:id', workspacesController.updateWorkspace)
+
+// DELETE
+router.delete('/:id', workspacesController.deleteWorkspace)
+
+export default router
@@ -0,0 +1,246 @@
+import { StatusCodes } from 'http-status-codes'
+import { chatType, IChatflowAnalytics, IChatflowAnalyticsBucket, IChatflowAnalyticsCount, IExecutionTraceEntry } from '../../Interface'
+import { IUsedTool } from 'flowise-components'
+import { ChatFlow } from '../../database/entities/ChatFlow'
+import { ChatMessage } from '../../database/entities/ChatMessage'
+import { ChatMessageFeedback } from '../../database/entities/ChatMessageFeedback'
+import { PredictionError } from '../../database/entities/PredictionError'
+import { getRunningExpressApp } from '../../utils/getRunningExpressApp'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import { getErrorMessage } from '../../errors/utils'
+
+const ANALYTICS_BATCH_SIZE = 1000
+const DEFAULT_ANALYTICS_DAYS = 30
+const MAX_ANALYTICS_DAYS = 366
+const TOP_COUNT_LIMIT = 10
+const DAY_IN_MS = 24 * 60 * 60 * 1000
+
+interface IAnalyticsAccumulator {
+    messages: number
+    chatIds: Set<string>
+    answers: number
+    errors: number
+    latencyTotal: number
+    latencyCount: number
+    tokens: number
+    positiveFeedback: number
+    negativeFeedback: number
+}
+
+const createAccumulator = (): IAnalyticsAccumulator => ({
+    messages: 0,
+    chatIds: new Set(),
+    answers: 0,
+    errors: 0,
+    latencyTotal: 0,
+    latencyCount: 0,
+    tokens: 0,
+    positiveFeedback: 0,
+    negativeFeedback: 0
+})
+
+const parseJSONColumn = <T>(value: string | undefined, defaultValue: T): T => {
+    if (!value) return defaultValue
+    try {
+        return JSON.parse(value)
+    } catch (e) {
+        return defaultValue
+    }
+}
+
+const parseAnalyticsDate = (dateStr: string | undefined, defaultDate: Date) => {
+    if (!dateStr) return defaultDate
+    const date = new Date(dateStr)
+    if (isNaN(date.getTime())) throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Invalid date ${dateStr}`)
+    return date
+}
+
+// Days are bucketed in the timezone of the client, tzOffset is in minutes as returned by Date.getTimezoneOffset()
+const getDayKey = (date: Date, tzOffset: number) => new Date(date.getTime() - tzOffset * 60 * 1000).toISOString().slice(0, 10)
+
+const getStarterPrompts = (chatflow: ChatFlow): string[] => {
+    const chatbotConfig = parseJSONColumn<Record<string, any>>(chatflow.chatbotConfig, {})
+    return Object.values(chatbotConfig.starterPrompts ?? {})
+        .map((starterPrompt: any) => starterPrompt?.prompt?.trim())
+        .filter((prompt: string | undefined) => !!prompt)
+}
+
+// Time from the start of the first top level node to the end of the last one
+const getTraceLatency = (trace: IExecutionTraceEntry[]): number | undefined => {
+    const rootEntries = trace.filter((entry) => !entry.parentId && entry.endTime)
+    if (!rootEntries.length) return undefined
+    const startTime = Math.min(...rootEntries.map((entry) => entry.startTime))
+    const endTime = Math.max(...rootEntries.map((entry) => entry.endTime as number))
+    return endTime - startTime
+}
+
+const getTopCounts = (counts: Map<string, number>): IChatflowAnalyticsCount[] =>
+    Array.from(counts.entries())
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, TOP_COUNT_LIMIT)
+
+const incrementCount = (counts: Map<string, number>, name: string) => counts.set(name, (counts.get(name) ?? 0) + 1)
+
+const toMetrics = (accumulator: IAnalyticsAccumulator, userKeyByChatId: Map<string, string>) => {
+    const users = new Set(Array.from(accumulator.chatIds).map((chatId) => userKeyByChatId.get(chatId) ?? chatId))
+    return {
+        messages: accumulator.messages,
+        sessions: accumulator.chatIds.size,
+        users: users.size,
+        answers: accumulator.answers,
+        errors: accumulator.errors,
+        averageLatency: accumulator.latencyCount ? Math.round(accumulator.latencyTotal / accumulator.latencyCount) : 0,
+        tokens: accumulator.tokens,
+        positiveFeedback: accumulator.positiveFeedback,
+        negativeFeedback: accumulator.negativeFeedback
+    }
+}
+
+/**
+ * Compute the usage analytics of a chatflow, bucketed per day.
+ * Messages are read from the database in batches so large chatflows never have to be loaded in memory at once.
+ * @param {string} chatflowid
+ * @param {chatType | undefined} chatTypeFilter
+ * @param {string} startDate
+ * @param {string} endDate
+ * @param {number} tzOffset
+ */
+const getChatflowAnalytics = async (
+    chatflowid: string,
+    chatTypeFilter: chatType | undefined,
+    startDate?: string,
+    endDate?: string,
+    tzOffset: number = 0
+): Promise<IChatflowAnalytics> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const chatflow = await appServer.AppDataSource.getRepository(ChatFlow).findOneBy({ id: chatflowid })
+        if (!chatflow) throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Chatflow ${chatflowid} not found`)
+
+        const toDate = parseAnalyticsDate(endDate, new Date())
+        const fromDate = parseAnalyticsDate(startDate, new Date(toDate.getTime() - (DEFAULT_ANALYTICS_DAYS - 1) * DAY_IN_MS))
+        if (fromDate > toDate) throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Start date must be before end date`)
+        if (toDate.getTime() - fromDate.getTime() > MAX_ANALYTICS_DAYS * DAY_IN_MS) {
+            throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Date range can not be longer than ${MAX_ANALYTICS_DAYS} days`)
+        }
+
+        // Every day of the range gets a bucket, so days without messages show up in the charts
+        const buckets = new Map<string, IAnalyticsAccumulator>()
+        for (let time = fromDate.getTime(); time <= toDate.getTime(); time += DAY_IN_MS) {
+            buckets.set(getDayKey(new Date(time), tzOffset), createAccumulator())
+        }
+        if (!buckets.has(getDayKey(toDate, tzOffset))) buckets.set(getDayKey(toDate, tzOffset), createAccumulator())
+
+        // Users are identified by their lead email if they left one, otherwise by session
+        const userKeyByChatId = new Map<string, string>()
+        const starterPrompts = getStarterPrompts(chatflow)
+        const starterPromptCounts = new Map<string, number>()
+        const toolCounts = new Map<string, number>()
+
+        const query = appServer.AppDataSource.getRepository(ChatMessage)
+            .createQueryBuilder('chat_message')
+            .leftJoinAndMapOne('chat_message.feedback', ChatMessageFeedback, 'feedback', 'feedback.messageId = chat_message.id')
+            .where('chat_message.chatflowid = :chatflowid', { chatflowid })
+            .andWhere('chat_message.createdDate >= :fromDate', { fromDate })
+            .andWhere('chat_message.createdDate <= :toDate', { toDate })
+        if (chatTypeFilter) query.andWhere('chat_message.chatType = :chatType', { chatType: chatTypeFilter })
+        query.orderBy('chat_message.createdDate', 'ASC').addOrderBy('chat_message.id', 'ASC')
+
+        for (let offset = 0; ; offset += ANALYTICS_BATCH_SIZE) {
+            const messages = (await query.offset(offset).limit(ANALYTICS_BATCH_SIZE).getMany()) as Array<
+                ChatMessage & { feedback?: ChatMessageFeedback }
+            >
+            for (const message of messages) {
+                const bucket = buckets.get(getDayKey(new Date(message.createdDate), tzOffset))
+                if (!bucket) continue
+
+                bucket.messages += 1
+                bucket.chatIds.add(message.chatId)
+                if (message.leadEmail) userKeyByChatId.set(message.chatId, message.leadEmail)
+                else if (!userKeyByChatId.has(message.chatId)) userKeyByChatId.set(message.chatId, message.sessionId || message.chatId)
+
+                if (message.role === 'userMessage') {
+                    const prompt = message.content?.trim()
+                    if (prompt && starterPrompts.includes(prompt)) incrementCount(starterPromptCounts, prompt)
+                    continue
+                }
+
+                bucket.answers += 1
+                const trace = parseJSONColumn<IExecutionTraceEntry[]>(message.executionTrace, [])
+                if (trace.some((entry) => entry.status === 'ERROR')) bucket.errors += 1
+                const latency = getTraceLatency(trace)
+                if (latency !== undefined) {
+                    bucket.latencyTotal += latency
+                    bucket.latencyCount += 1
+                }
+                bucket.tokens += trace.reduce((total, entry) => total + (entry.tokenUsage?.totalTokens ?? 0), 0)
+
+                for (const usedTool of parseJSONColumn<IUsedTool[]>(message.usedTools, [])) {
+                    if (usedTool?.tool) incrementCount(toolCounts, usedTool.tool)
+                }
+
+                if (message.feedback?.rating === 'THUMBS_UP') bucket.positiveFeedback += 1
+                else if (message.feedback?.rating === 'THUMBS_DOWN') bucket.negativeFeedback += 1
+            }
+            if (messages.length < ANALYTICS_BATCH_SIZE) break
+        }
+
+        // Failed predictions save no chat message, they are answers that ended in an error
+        const errorQuery = appServer.AppDataSource.getRepository(PredictionError)
+            .createQueryBuilder('prediction_error')
+            .where('prediction_error.chatflowid = :chatflowid', { chatflowid })
+            .andWhere('prediction_error.createdDate >= :fromDate', { fromDate })
+            .andWhere('prediction_error.createdDate <= :toDate', { toDate })
+        if (chatTypeFilter) errorQuery.andWhere('prediction_error.chatType = :chatType', { chatType: chatTypeFilter })
+        errorQuery.orderBy('prediction_error.createdDate', 'ASC').addOrderBy('prediction_error.id', 'ASC')
+
+        for (let offset = 0; ; offset += ANALYTICS_BATCH_SIZE) {
+            const predictionErrors = await errorQuery.offset(offset).limit(ANALYTICS_BATCH_SIZE).getMany()
+            for (const predictionError of predictionErrors) {
+                const bucket = buckets.get(getDayKey(new Date(predictionError.createdDate), tzOffset))
+                if (!bucket) continue
+
+                bucket.chatIds.add(predictionError.chatId)
+                if (!userKeyByChatId.has(predictionError.chatId)) userKeyByChatId.set(predictionError.chatId, predictionError.chatId)
+                bucket.answers += 1
+                bucket.errors += 1
+                bucket.tokens += predictionError.totalTokens ?? 0
+            }
+            if (predictionErrors.length < ANALYTICS_BATCH_SIZE) break
+        }
+
+        const totals = createAccumulator()
+        const series: IChatflowAnalyticsBucket[] = []
+        for (const [date, bucket] of Array.from(buckets.entries()).sort(([a], [b]) => a.localeCompare(b))) {
+            totals.messages += bucket.messages
+            bucket.chatIds.forEach((chatId) => totals.chatIds.add(chatId))
+            totals.answers += bucket.answers
+            totals.errors += bucket.errors
+            totals.latencyTotal += bucket.latencyTotal
+            totals.latencyCount += bucket.latencyCount
+            totals.tokens += bucket.tokens
+            totals.positiveFeedback += bucket.positiveFeedback
+            totals.negativeFeedback += bucket.negativeFeedback
+            series.push({ date, ...toMetrics(bucket, userKeyByChatId) })
+        }
+
+        return {
+            startDate: fromDate.toISOString(),
+            endDate: toDate.toISOString(),
+            totals: toMetrics(totals, userKeyByChatId),
+            series,
+            topStarterPrompts: getTopCounts(starterPromptCounts),
+            topTools: getTopCounts(toolCounts)
+        }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: analyticsService.getChatflowAnalytics - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+export default {
+    getChatflowAnalytics
+}
@@ -1,7 +1,8 @@
 import { StatusCodes } from 'http-status-codes'
-import { addAPIKey, deleteAPIKey, getAPIKeys, updateAPIKey } from '../../utils/apiKey'
+import { addAPIKey, deleteAPIKey, getAPIKeyInactiveReason, getAPIKeys, revokeAPIKey, updateAPIKey } from '../../utils/apiKey'
 import { addChatflowsCount } from '../../utils/addChatflowsCount'
 import { getApiKey } from '../../utils/apiKey'
+import { IApiKeySettings } from '../../Interface'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
 import { getErrorMessage } from '../../errors/utils'
 
@@ -15,9 +16,9 @@ const getAllApiKeys = async () => {
     }
 }
 
-const createApiKey = async (keyName: string) => {
+const createApiKey = async (keyName: string, settings: IApiKeySettings) => {
     try {
-        const keys = await addAPIKey(keyName)
+        const keys = await addAPIKey(keyName, settings)
         const dbResponse = await addChatflowsCount(keys)
         return dbResponse
     } catch (error) {
@@ -26,9 +27,9 @@ const createApiKey = async (keyName: string) => {
 }
 
 // Update api key
-const updateApiKey = async (id: string, keyName: string) => {
+const updateApiKey = async (id: string, keyName: string, settings: IApiKeySettings) => {
     try {
-        const keys = await updateAPIKey(id, keyName)
+        const keys = await updateAPIKey(id, keyName, settings)
         const dbResponse = await addChatflowsCount(keys)
         return dbResponse
     } catch (error) {
@@ -36,6 +37,16 @@ const updateApiKey = async (id: string, keyName: string) => {
     }
 }
 
+const revokeApiKey = async (id: string) => {
+    try {
+        const keys = await revokeAPIKey(id)
+        const dbResponse = await addChatflowsCount(keys)
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(StatusCodes.INTERNAL_SERVER_ERROR, `Error: apikeyService.revokeApiKey - ${getErrorMessage(error)}`)
+    }
+}
+
 const deleteApiKey = async (id: string) => {
     try {
         const keys = await deleteAPIKey(id)
@@ -49,7 +60,7 @@ const deleteApiKey = async (id: string) => {
 const verifyApiKey = async (paramApiKey: string): Promise<any> => {
     try {
         const apiKey = await getApiKey(paramApiKey)
-        if (!apiKey) {
+        if (!apiKey || getAPIKeyInactiveReason(apiKey)) {
             throw new InternalFlowiseError(StatusCodes.UNAUTHORIZED, `Unauthorized`)
         }
         const dbResponse = 'OK'
@@ -63,6 +74,7 @@ export default {
     createApiKey,
     deleteApiKey,
     getAllApiKeys,
+    revokeApiKey,
     updateApiKey,
     verifyApiKey
 }
@@ -0,0 +1,132 @@
+import { StatusCodes } from 'http-status-codes'
+import { SelectQueryBuilder } from 'typeorm'
+import { getRunningExpressApp } from '../../utils/getRunningExpressApp'
+import { AuditLog } from '../../database/entities/AuditLog'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import { getErrorMessage } from '../../errors/utils'
+import { AuditLogExportFormat, IAuditLogFilters } from '../../Interface'
+
+const EXPORT_BATCH_SIZE = 500
+
+const CSV_EXPORT_COLUMNS = ['createdDate', 'actorType', 'actor', 'action', 'entityType', 'entityId', 'entityName', 'ip', 'before', 'after']
+
+const escapeCSVValue = (value: any): string => {
+    if (value === undefined || value === null) return ''
+    const text = value instanceof Date ? value.toISOString() : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const parseJSONColumn = (value?: string) => {
+    if (!value) return undefined
+    try {
+        return JSON.parse(value)
+    } catch (e) {
+        return undefined
+    }
+}
+
+// JSON exports have the before and after summaries as objects
+const toExportRecord = (entry: AuditLog) => ({ ...entry, before: parseJSONColumn(entry.before), after: parseJSONColumn(entry.after) })
+
+const getFilterDate = (dateStr: string | undefined, setHours: 'start' | 'end') => {
+    if (!dateStr) return undefined
+    const date = new Date(dateStr)
+    if (isNaN(date.getTime())) throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Invalid date ${dateStr}`)
+    setHours === 'start' ? date.setHours(0, 0, 0, 0) : date.setHours(23, 59, 59, 999)
+    return date
+}
+
+const getAuditLogsQuery = (filters: IAuditLogFilters): SelectQueryBuilder<AuditLog> => {
+    const appServer = getRunningExpressApp()
+    const fromDate = getFilterDate(filters.startDate, 'start')
+    const toDate = getFilterDate(filters.endDate, 'end')
+
+    const query = appServer.AppDataSource.getRepository(AuditLog).createQueryBuilder('audit_log')
+    if (filters.entityType) query.andWhere('audit_log.entityType = :entityType', { entityType: filters.entityType })
+    if (filters.entityId) query.andWhere('audit_log.entityId = :entityId', { entityId: filters.entityId })
+    if (filters.action) query.andWhere('audit_log.action = :action', { action: filters.action })
+    if (filters.actor) query.andWhere('audit_log.actor = :actor', { actor: filters.actor })
+    if (fromDate) query.andWhere('audit_log.createdDate >= :fromDate', { fromDate })
+    if (toDate) query.andWhere('audit_log.createdDate <= :toDate', { toDate })
+    return query.orderBy('audit_log.createdDate', 'DESC').addOrderBy('audit_log.id', 'DESC')
+}
+
+const getAuditLogs = async (filters: IAuditLogFilters, page: number, limit: number): Promise<{ data: AuditLog[]; total: number }> => {
+    try {
+        const [data, total] = await getAuditLogsQuery(filters)
+            .skip((page - 1) * limit)
+            .take(limit)
+            .getManyAndCount()
+        return { data, total }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: auditLogsService.getAuditLogs - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+// Actors found in the audit log, to filter on
+const getAuditLogActors = async (): Promise<string[]> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const dbResponse = await appServer.AppDataSource.getRepository(AuditLog)
+            .createQueryBuilder('audit_log')
+            .select('DISTINCT audit_log.actor', 'actor')
+            .where('audit_log.actor IS NOT NULL')
+            .orderBy('actor', 'ASC')
+            .getRawMany()
+        return dbResponse.map((row) => row.actor)
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: auditLogsService.getAuditLogActors - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+/**
+ * Stream the audit log as chunks of the export file, entries are read from the database in batches.
+ * CSV and JSONL have one entry per row/line, JSON is an array of entries.
+ * @param {AuditLogExportFormat} format
+ * @param {IAuditLogFilters} filters
+ */
+async function* exportAuditLogs(format: AuditLogExportFormat, filters: IAuditLogFilters): AsyncGenerator<string> {
+    try {
+        const query = getAuditLogsQuery(filters)
+
+        if (format === 'csv') yield CSV_EXPORT_COLUMNS.join(',') + '\r\n'
+        if (format === 'json') yield '['
+
+        let entryCount = 0
+        for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+            const entries = await query.offset(offset).limit(EXPORT_BATCH_SIZE).getMany()
+            let chunk = ''
+            for (const entry of entries) {
+                if (format === 'csv') {
+                    const record: Record<string, any> = entry
+                    chunk += CSV_EXPORT_COLUMNS.map((column) => escapeCSVValue(record[column])).join(',') + '\r\n'
+                } else if (format === 'jsonl') {
+                    chunk += JSON.stringify(toExportRecord(entry)) + '\n'
+                } else {
+                    chunk += (entryCount++ ? ',' : '') + JSON.stringify(toExportRecord(entry), null, 2)
+                }
+            }
+            if (chunk) yield chunk
+            if (entries.length < EXPORT_BATCH_SIZE) break
+        }
+
+        if (format === 'json') yield ']'
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: auditLogsService.exportAuditLogs - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+export default {
+    getAuditLogs,
+    getAuditLogActors,
+    exportAuditLogs
+}
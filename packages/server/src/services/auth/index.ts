@@ -0,0 +1,25 @@
+import { StatusCodes } from 'http-status-codes'
+import { getRunningExpressApp } from '../../utils/getRunningExpressApp'
+import { User } from '../../database/entities/User'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import { getErrorMessage } from '../../errors/utils'
+import { IUserResponse } from '../../Interface'
+import { signSessionToken, toUserResponse, verifyUserCredentials } from '../../utils/auth'
+
+const login = async (username: string, password: string): Promise<{ token: string; user: IUserResponse }> => {
+    const user = await verifyUserCredentials(username, password)
+    if (!user) throw new InternalFlowiseError(StatusCodes.UNAUTHORIZED, `Invalid username or password`)
+    try {
+        const appServer = getRunningExpressApp()
+        user.lastLoginDate = new Date()
+        await appServer.AppDataSource.getRepository(User).update({ id: user.id }, { lastLoginDate: user.lastLoginDate })
+        const token = await signSessionToken(user)
+        return { token, user: toUserResponse(user) }
+    } catch (error) {
+        throw new InternalFlowiseError(StatusCodes.INTERNAL_SERVER_ERROR, `Error: authService.login - ${getErrorMessage(error)}`)
+    }
+}
+
+export default {
+    login
+}
@@ -1,11 +1,19 @@
-import { FindOptionsWhere } from 'typeorm'
+import path from 'path'
+import { Brackets, FindOptionsWhere } from 'typeorm'
 import { StatusCodes } from 'http-status-codes'
-import { chatType, IChatMessage } from '../../Interface'
+import {
+    chatType,
+    ChatMessageExportFormat,
+    IChatMessage,
+    IChatMessageFilters,
+    IChatMessageSearchSession,
+    IChatMessageSearchSnippet
+} from '../../Interface'
 import { utilGetChatMessage } from '../../utils/getChatMessage'
 import { utilAddChatMessage } from '../../utils/addChatMesage'
 import { getRunningExpressApp } from '../../utils/getRunningExpressApp'
 import { ChatMessageFeedback } from '../../database/entities/ChatMessageFeedback'
-import { removeFilesFromStorage } from 'flowise-components'
+import { getStoragePath, removeFilesFromStorage } from 'flowise-components'
 import logger from '../../utils/logger'
 import { ChatMessage } from '../../database/entities/ChatMessage'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
@@ -120,9 +128,285 @@ const removeAllChatMessages = async (chatId: string, chatflowid: string, deleteO
     }
 }
 
+const EXPORT_BATCH_SIZE = 500
+
+const CSV_EXPORT_COLUMNS = [
+    'id',
+    'chatId',
+    'sessionId',
+    'memoryType',
+    'chatType',
+    'role',
+    'content',
+    'rating',
+    'feedback',
+    'leadEmail',
+    'createdDate'
+]
+
+const escapeCSVValue = (value: any): string => {
+    if (value === undefined || value === null) return ''
+    let text = value instanceof Date ? value.toISOString() : String(value)
+    // Spreadsheets run cells starting with these characters as formulas
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const parseJSONColumn = (value?: string) => {
+    if (!value) return undefined
+    try {
+        return JSON.parse(value)
+    } catch (e) {
+        return undefined
+    }
+}
+
+// Flat shape shared by the CSV and JSONL exports, roles are named the way fine-tuning datasets expect them
+const toExportRecord = (message: ChatMessage & { feedback?: ChatMessageFeedback }) => ({
+    id: message.id,
+    chatId: message.chatId,
+    sessionId: message.sessionId ?? null,
+    memoryType: message.memoryType ?? null,
+    chatType: message.chatType,
+    role: message.role === 'apiMessage' ? 'assistant' : 'user',
+    content: message.content,
+    rating: message.feedback?.rating ?? null,
+    feedback: message.feedback?.content ?? null,
+    leadEmail: message.leadEmail ?? null,
+    createdDate: message.createdDate
+})
+
+// Same conversation message shape the chat logs dialog used to export
+const toConversationMessage = (message: ChatMessage & { feedback?: ChatMessageFeedback }) => {
+    const conversationMessage: Record<string, any> = {
+        content: message.content,
+        role: message.role === 'apiMessage' ? 'bot' : 'user',
+        time: message.createdDate
+    }
+    const filePaths = (parseJSONColumn(message.fileUploads) ?? [])
+        .filter((file: any) => file.type === 'stored-file')
+        .map((file: any) => path.join(getStoragePath(), message.chatflowid, message.chatId, file.name))
+    if (filePaths.length) conversationMessage.filePaths = filePaths
+    if (message.sourceDocuments) conversationMessage.sourceDocuments = parseJSONColumn(message.sourceDocuments)
+    if (message.usedTools) conversationMessage.usedTools = parseJSONColumn(message.usedTools)
+    if (message.fileAnnotations) conversationMessage.fileAnnotations = parseJSONColumn(message.fileAnnotations)
+    if (message.executionTrace) conversationMessage.executionTrace = parseJSONColumn(message.executionTrace)
+    if (message.feedback) conversationMessage.feedback = message.feedback.content
+    return conversationMessage
+}
+
+const getFilterDate = (dateStr: string | undefined, setHours: 'start' | 'end') => {
+    if (!dateStr) return undefined
+    const date = new Date(dateStr)
+    if (isNaN(date.getTime())) throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Invalid date ${dateStr}`)
+    setHours === 'start' ? date.setHours(0, 0, 0, 0) : date.setHours(23, 59, 59, 999)
+    return date
+}
+
+/**
+ * Stream the messages of a chatflow as chunks of the export file, messages are read from the database in batches
+ * so large chatflows never have to be loaded in memory at once.
+ * CSV and JSONL have one message per row/line, JSON is an array of conversations grouped by chatId.
+ * @param {string} chatflowid
+ * @param {ChatMessageExportFormat} format
+ * @param {IChatMessageFilters} filters
+ */
+async function* exportChatMessages(
+    chatflowid: string,
+    format: ChatMessageExportFormat,
+    filters: IChatMessageFilters
+): AsyncGenerator<string> {
+    try {
+        const appServer = getRunningExpressApp()
+        const fromDate = getFilterDate(filters.startDate, 'start')
+        const toDate = getFilterDate(filters.endDate, 'end')
+
+        const query = appServer.AppDataSource.getRepository(ChatMessage)
+            .createQueryBuilder('chat_message')
+            .leftJoinAndMapOne('chat_message.feedback', ChatMessageFeedback, 'feedback', 'feedback.messageId = chat_message.id')
+            .where('chat_message.chatflowid = :chatflowid', { chatflowid })
+        if (filters.chatType) query.andWhere('chat_message.chatType = :chatType', { chatType: filters.chatType })
+        if (filters.chatId) query.andWhere('chat_message.chatId = :chatId', { chatId: filters.chatId })
+        if (filters.sessionId) query.andWhere('chat_message.sessionId = :sessionId', { sessionId: filters.sessionId })
+        if (fromDate) query.andWhere('chat_message.createdDate >= :fromDate', { fromDate })
+        if (toDate) query.andWhere('chat_message.createdDate <= :toDate', { toDate })
+        if (filters.rating) query.andWhere('feedback.rating = :rating', { rating: filters.rating })
+
+        // Conversations are built while streaming, so their messages have to come one after another
+        if (format === 'json') query.orderBy('chat_message.chatId', 'ASC').addOrderBy('chat_message.createdDate', 'ASC')
+        else query.orderBy('chat_message.createdDate', 'ASC')
+        query.addOrderBy('chat_message.id', 'ASC')
+
+        if (format === 'csv') yield CSV_EXPORT_COLUMNS.join(',') + '\r\n'
+        if (format === 'json') yield '['
+
+        let conversation: Record<string, any> | undefined
+        let conversationCount = 0
+        for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+            const messages = await query.offset(offset).limit(EXPORT_BATCH_SIZE).getMany()
+            let chunk = ''
+            for (const message of messages) {
+                if (format === 'csv') {
+                    const record: Record<string, any> = toExportRecord(message)
+                    chunk += CSV_EXPORT_COLUMNS.map((column) => escapeCSVValue(record[column])).join(',') + '\r\n'
+                } else if (format === 'jsonl') {
+                    chunk += JSON.stringify(toExportRecord(message)) + '\n'
+                } else {
+                    if (conversation?.id !== message.chatId) {
+                        if (conversation) chunk += (conversationCount++ ? ',' : '') + JSON.stringify(conversation, null, 2)
+                        conversation = {
+                            id: message.chatId,
+                            source: message.chatType === chatType.INTERNAL ? 'UI' : 'API/Embed',
+                            sessionId: message.sessionId ?? null,
+                            memoryType: message.memoryType ?? null,
+                            email: message.leadEmail ?? null,
+                            messages: []
+                        }
+                    }
+                    if (!conversation.email && message.leadEmail) conversation.email = message.leadEmail
+                    conversation.messages.push(toConversationMessage(message))
+                }
+            }
+            if (chunk) yield chunk
+            if (messages.length < EXPORT_BATCH_SIZE) break
+        }
+
+        if (format === 'json') yield (conversation ? (conversationCount ? ',' : '') + JSON.stringify(conversation, null, 2) : '') + ']'
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: chatMessagesService.exportChatMessages - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const MAX_SEARCH_RESULTS = 200
+const SEARCH_BATCH_SIZE = 500
+const SEARCH_SNIPPET_CONTEXT = 60
+
+/**
+ * Get the part of the query the database can look for, the longest part stored the same way in every searched column.
+ * Source documents and tool outputs are JSON, where quotes, backslashes and control characters are escaped,
+ * and LOWER does not change non-ASCII letters in every database. Messages are matched on the whole query afterwards.
+ */
+const getSearchPrefilter = (query: string): string => {
+    let longest = ''
+    let current = ''
+    for (const char of query) {
+        const isEscapedInJSON = char === '"' || char === '\\' || char.charCodeAt(0) < 0x20
+        const isNonASCIILetter = char.charCodeAt(0) > 0x7f && char.toLowerCase() !== char.toUpperCase()
+        current = isEscapedInJSON || isNonASCIILetter ? '' : current + char
+        if (current.trim().length > longest.trim().length) longest = current
+    }
+    return longest
+}
+
+const getSearchSnippet = (text: string, query: string): Omit<IChatMessageSearchSnippet, 'source'> | undefined => {
+    const index = text.toLowerCase().indexOf(query.toLowerCase())
+    if (index === -1) return undefined
+    const start = Math.max(index - SEARCH_SNIPPET_CONTEXT, 0)
+    const end = Math.min(index + query.length + SEARCH_SNIPPET_CONTEXT, text.length)
+    const collapseWhitespace = (value: string) => value.replace(/\s+/g, ' ')
+    return {
+        before: (start > 0 ? '...' : '') + collapseWhitespace(text.slice(start, index)),
+        match: text.slice(index, index + query.length),
+        after: collapseWhitespace(text.slice(index + query.length, end)) + (end < text.length ? '...' : '')
+    }
+}
+
+const getMessageSnippets = (message: ChatMessage, query: string): IChatMessageSearchSnippet[] => {
+    const snippets: IChatMessageSearchSnippet[] = []
+    const contentSnippet = getSearchSnippet(message.content ?? '', query)
+    if (contentSnippet) snippets.push({ source: 'message', ...contentSnippet })
+    for (const sourceDocument of parseJSONColumn(message.sourceDocuments) ?? []) {
+        const snippet = getSearchSnippet(sourceDocument.pageContent ?? '', query)
+        if (snippet) snippets.push({ source: 'sourceDocument', label: sourceDocument.metadata?.source, ...snippet })
+    }
+    for (const usedTool of parseJSONColumn(message.usedTools) ?? []) {
+        const toolOutput = typeof usedTool.toolOutput === 'string' ? usedTool.toolOutput : JSON.stringify(usedTool.toolOutput ?? '')
+        const snippet = getSearchSnippet(toolOutput, query)
+        if (snippet) snippets.push({ source: 'tool', label: usedTool.tool, ...snippet })
+    }
+    return snippets
+}
+
+/**
+ * Search the content, source documents and tool outputs of the messages of a chatflow.
+ * Returns the sessions with matching messages, most recent first, with a snippet around every match.
+ * @param {string} chatflowid
+ * @param {string} query
+ * @param {IChatMessageFilters} filters
+ */
+const searchChatMessages = async (
+    chatflowid: string,
+    query: string,
+    filters: IChatMessageFilters
+): Promise<{ sessions: IChatMessageSearchSession[]; truncated: boolean }> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const fromDate = getFilterDate(filters.startDate, 'start')
+        const toDate = getFilterDate(filters.endDate, 'end')
+        const prefilter = getSearchPrefilter(query)
+
+        const queryBuilder = appServer.AppDataSource.getRepository(ChatMessage)
+            .createQueryBuilder('chat_message')
+            .where('chat_message.chatflowid = :chatflowid', { chatflowid })
+        if (prefilter) {
+            // '!' is used as escape character because it needs no escaping itself in any of the supported databases
+            const pattern = `%${prefilter.toLowerCase().replace(/[!%_]/g, '!$&')}%`
+            queryBuilder.andWhere(
+                new Brackets((qb) => {
+                    qb.where(`LOWER(chat_message.content) LIKE :pattern ESCAPE '!'`, { pattern })
+                        .orWhere(`LOWER(chat_message.sourceDocuments) LIKE :pattern ESCAPE '!'`, { pattern })
+                        .orWhere(`LOWER(chat_message.usedTools) LIKE :pattern ESCAPE '!'`, { pattern })
+                })
+            )
+        }
+        if (filters.chatType) queryBuilder.andWhere('chat_message.chatType = :chatType', { chatType: filters.chatType })
+        if (fromDate) queryBuilder.andWhere('chat_message.createdDate >= :fromDate', { fromDate })
+        if (toDate) queryBuilder.andWhere('chat_message.createdDate <= :toDate', { toDate })
+        queryBuilder.orderBy('chat_message.createdDate', 'DESC').addOrderBy('chat_message.id', 'ASC')
+
+        // The database also matches JSON keys and metadata, messages are read in batches until enough of them match in the searched fields
+        const matches: { message: ChatMessage; snippets: IChatMessageSearchSnippet[] }[] = []
+        for (let offset = 0; matches.length <= MAX_SEARCH_RESULTS; offset += SEARCH_BATCH_SIZE) {
+            const messages = await queryBuilder.offset(offset).limit(SEARCH_BATCH_SIZE).getMany()
+            for (const message of messages) {
+                const snippets = getMessageSnippets(message, query)
+                if (snippets.length) matches.push({ message, snippets })
+                if (matches.length > MAX_SEARCH_RESULTS) break
+            }
+            if (messages.length < SEARCH_BATCH_SIZE) break
+        }
+
+        const sessions: Record<string, IChatMessageSearchSession> = {}
+        for (const { message, snippets } of matches.slice(0, MAX_SEARCH_RESULTS)) {
+            const sessionKey = `${message.chatId}_${message.memoryType ?? 'null'}_${message.sessionId ?? 'null'}`
+            if (!sessions[sessionKey]) {
+                sessions[sessionKey] = {
+                    chatId: message.chatId,
+                    memoryType: message.memoryType,
+                    sessionId: message.sessionId,
+                    chatType: message.chatType,
+                    matches: []
+                }
+            }
+            sessions[sessionKey].matches.push({ messageId: message.id, role: message.role, createdDate: message.createdDate, snippets })
+        }
+        return { sessions: Object.values(sessions), truncated: matches.length > MAX_SEARCH_RESULTS }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: chatMessagesService.searchChatMessages - ${getErrorMessage(error)}`
+        )
+    }
+}
+
 export default {
     createChatMessage,
     getAllChatMessages,
     getAllInternalChatMessages,
-    removeAllChatMessages
+    removeAllChatMessages,
+    exportChatMessages,
+    searchChatMessages
 }
@@ -0,0 +1,116 @@
+import { StatusCodes } from 'http-status-codes'
+import { QueryFailedError } from 'typeorm'
+import { getRunningExpressApp } from '../../utils/getRunningExpressApp'
+import { ChatFlow } from '../../database/entities/ChatFlow'
+import { ChatFlowVersion } from '../../database/entities/ChatFlowVersion'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import { getErrorMessage } from '../../errors/utils'
+
+const getAllChatflowVersions = async (chatflowid: string): Promise<ChatFlowVersion[]> => {
+    try {
+        const appServer = getRunningExpressApp()
+        // flowData can be large, it is only returned when a single version is requested
+        const dbResponse = await appServer.AppDataSource.getRepository(ChatFlowVersion).find({
+            select: ['id', 'chatflowid', 'version', 'author', 'createdDate'],
+            where: { chatflowid },
+            order: { version: 'DESC' }
+        })
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: chatflowVersionsService.getAllChatflowVersions - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const getChatflowVersionById = async (chatflowid: string, versionId: string): Promise<ChatFlowVersion> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const dbResponse = await appServer.AppDataSource.getRepository(ChatFlowVersion).findOneBy({
+            id: versionId,
+            chatflowid
+        })
+        if (!dbResponse) {
+            throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Chatflow version ${versionId} not found`)
+        }
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: chatflowVersionsService.getChatflowVersionById - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+// Saves of the same chatflow at the same time compete for the next version number
+const MAX_ADD_VERSION_ATTEMPTS = 3
+
+// Violation of the unique (chatflowid, version) index, in sqlite, postgres and mysql
+const isDuplicateVersionError = (error: unknown): boolean => {
+    if (!(error instanceof QueryFailedError)) return false
+    const code = (error.driverError as { code?: string } | undefined)?.code
+    return code === 'SQLITE_CONSTRAINT' || code === '23505' || code === 'ER_DUP_ENTRY'
+}
+
+// Snapshot the saved chatflow, skipped when nothing versioned has changed since the latest snapshot
+const addChatflowVersion = async (chatflow: ChatFlow, author?: string): Promise<ChatFlowVersion | undefined> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const repository = appServer.AppDataSource.getRepository(ChatFlowVersion)
+        for (let attempt = 1; ; attempt++) {
+            const latestVersion = await repository.findOne({
+                where: { chatflowid: chatflow.id },
+                order: { version: 'DESC' }
+            })
+            if (
+                latestVersion &&
+                latestVersion.flowData === chatflow.flowData &&
+                (latestVersion.chatbotConfig ?? null) === (chatflow.chatbotConfig ?? null) &&
+                (latestVersion.apiConfig ?? null) === (chatflow.apiConfig ?? null)
+            ) {
+                return undefined
+            }
+
+            const newVersion = repository.create({
+                chatflowid: chatflow.id,
+                version: latestVersion ? latestVersion.version + 1 : 1,
+                flowData: chatflow.flowData,
+                chatbotConfig: chatflow.chatbotConfig,
+                apiConfig: chatflow.apiConfig,
+                author
+            })
+            try {
+                const dbResponse = await repository.save(newVersion)
+                return dbResponse
+            } catch (error) {
+                if (attempt >= MAX_ADD_VERSION_ATTEMPTS || !isDuplicateVersionError(error)) throw error
+            }
+        }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: chatflowVersionsService.addChatflowVersion - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const deleteAllChatflowVersions = async (chatflowid: string): Promise<any> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const dbResponse = await appServer.AppDataSource.getRepository(ChatFlowVersion).delete({ chatflowid })
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: chatflowVersionsService.deleteAllChatflowVersions - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+export default {
+    getAllChatflowVersions,
+    getChatflowVersionById,
+    addChatflowVersion,
+    deleteAllChatflowVersions
+}
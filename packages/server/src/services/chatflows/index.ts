@@ -8,12 +8,15 @@ import logger from '../../utils/logger'
 import { removeFolderFromStorage } from 'flowise-components'
 import { IReactFlowObject } from '../../Interface'
 import { utilGetUploadsConfig } from '../../utils/getUploadsConfig'
+import { resolveWorkspaceId } from '../../utils/workspace'
 import { ChatMessage } from '../../database/entities/ChatMessage'
 import { ChatMessageFeedback } from '../../database/entities/ChatMessageFeedback'
+import { PredictionError } from '../../database/entities/PredictionError'
 import { UpsertHistory } from '../../database/entities/UpsertHistory'
 import { containsBase64File, updateFlowDataWithFilePaths } from '../../utils/fileRepository'
 import { getErrorMessage } from '../../errors/utils'
 import documentStoreService from '../../services/documentstore'
+import chatflowVersionsService from '../../services/chatflow-versions'
 
 // Check if chatflow valid for streaming
 const checkIfChatflowIsValidForStreaming = async (chatflowId: string): Promise<any> => {
@@ -85,8 +88,14 @@ const deleteChatflow = async (chatflowId: string): Promise<any> => {
             // Delete all chat feedback
             await appServer.AppDataSource.getRepository(ChatMessageFeedback).delete({ chatflowid: chatflowId })
 
+            // Delete all failed predictions
+            await appServer.AppDataSource.getRepository(PredictionError).delete({ chatflowid: chatflowId })
+
             // Delete all upsert history
             await appServer.AppDataSource.getRepository(UpsertHistory).delete({ chatflowid: chatflowId })
+
+            // Delete all versions
+            await chatflowVersionsService.deleteAllChatflowVersions(chatflowId)
         } catch (e) {
             logger.error(`[server]: Error deleting file storage for chatflow ${chatflowId}: ${e}`)
         }
@@ -99,10 +108,10 @@ const deleteChatflow = async (chatflowId: string): Promise<any> => {
     }
 }
 
-const getAllChatflows = async (): Promise<IChatFlow[]> => {
+const getAllChatflows = async (workspaceId?: string): Promise<IChatFlow[]> => {
     try {
         const appServer = getRunningExpressApp()
-        const dbResponse = await appServer.AppDataSource.getRepository(ChatFlow).find()
+        const dbResponse = await appServer.AppDataSource.getRepository(ChatFlow).findBy(workspaceId ? { workspaceId } : {})
         return dbResponse
     } catch (error) {
         throw new InternalFlowiseError(
@@ -152,9 +161,12 @@ const getChatflowById = async (chatflowId: string): Promise<any> => {
     }
 }
 
-const saveChatflow = async (newChatFlow: ChatFlow): Promise<any> => {
+const saveChatflow = async (newChatFlow: ChatFlow, author?: string, workspaceId?: string): Promise<any> => {
     try {
         const appServer = getRunningExpressApp()
+        newChatFlow.createdBy = author
+        newChatFlow.updatedBy = author
+        newChatFlow.workspaceId = await resolveWorkspaceId(workspaceId)
         let dbResponse: ChatFlow
         if (containsBase64File(newChatFlow)) {
             // we need a 2-step process, as we need to save the chatflow first and then update the file paths
@@ -174,6 +186,7 @@ const saveChatflow = async (newChatFlow: ChatFlow): Promise<any> => {
             const chatflow = appServer.AppDataSource.getRepository(ChatFlow).create(newChatFlow)
             dbResponse = await appServer.AppDataSource.getRepository(ChatFlow).save(chatflow)
         }
+        await _addChatflowVersion(dbResponse, author)
         await appServer.telemetry.sendTelemetry('chatflow_created', {
             version: await getAppVersion(),
             chatflowId: dbResponse.id,
@@ -188,15 +201,20 @@ const saveChatflow = async (newChatFlow: ChatFlow): Promise<any> => {
     }
 }
 
-const updateChatflow = async (chatflow: ChatFlow, updateChatFlow: ChatFlow): Promise<any> => {
+const updateChatflow = async (chatflow: ChatFlow, updateChatFlow: ChatFlow, author?: string): Promise<any> => {
     try {
         const appServer = getRunningExpressApp()
         if (updateChatFlow.flowData && containsBase64File(updateChatFlow)) {
             updateChatFlow.flowData = await updateFlowDataWithFilePaths(chatflow.id, updateChatFlow.flowData)
         }
+        updateChatFlow.createdBy = chatflow.createdBy
+        updateChatFlow.updatedBy = author
+        // Chatflows are moved with their credentials by workspacesService.transferChatflow
+        updateChatFlow.workspaceId = chatflow.workspaceId
         const newDbChatflow = appServer.AppDataSource.getRepository(ChatFlow).merge(chatflow, updateChatFlow)
         await _checkAndUpdateDocumentStoreUsage(newDbChatflow)
         const dbResponse = await appServer.AppDataSource.getRepository(ChatFlow).save(newDbChatflow)
+        await _addChatflowVersion(dbResponse, author)
 
         // chatFlowPool is initialized only when a flow is opened
         // if the user attempts to rename/update category without opening any flow, chatFlowPool will be undefined
@@ -213,6 +231,34 @@ const updateChatflow = async (chatflow: ChatFlow, updateChatFlow: ChatFlow): Pro
     }
 }
 
+const restoreChatflowVersion = async (chatflowId: string, versionId: string, author?: string): Promise<any> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const chatflow = await appServer.AppDataSource.getRepository(ChatFlow).findOneBy({
+            id: chatflowId
+        })
+        if (!chatflow) {
+            throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Chatflow ${chatflowId} not found`)
+        }
+        const chatflowVersion = await chatflowVersionsService.getChatflowVersionById(chatflowId, versionId)
+
+        const updateChatFlow = new ChatFlow()
+        updateChatFlow.flowData = chatflowVersion.flowData
+        // merge skips undefined values, the configs the version has no value for are cleared with null
+        updateChatFlow.chatbotConfig = chatflowVersion.chatbotConfig ?? (null as any)
+        updateChatFlow.apiConfig = chatflowVersion.apiConfig ?? (null as any)
+
+        // Restoring is saved as a new version, so it can be rolled back as well
+        const dbResponse = await updateChatflow(chatflow, updateChatFlow, author)
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: chatflowsService.restoreChatflowVersion - ${getErrorMessage(error)}`
+        )
+    }
+}
+
 // Get specific chatflow via id (PUBLIC endpoint, used when sharing chatbot link)
 const getSinglePublicChatflow = async (chatflowId: string): Promise<any> => {
     try {
@@ -277,6 +323,15 @@ const _checkAndUpdateDocumentStoreUsage = async (chatflow: ChatFlow) => {
     }
 }
 
+// The chatflow is already saved, a failed snapshot is logged rather than failing the save
+const _addChatflowVersion = async (chatflow: ChatFlow, author?: string) => {
+    try {
+        await chatflowVersionsService.addChatflowVersion(chatflow, author)
+    } catch (e) {
+        logger.error(`[server]: Error saving version of chatflow ${chatflow.id}: ${getErrorMessage(e)}`)
+    }
+}
+
 export default {
     checkIfChatflowIsValidForStreaming,
     checkIfChatflowIsValidForUploads,
@@ -286,6 +341,7 @@ export default {
     getChatflowById,
     saveChatflow,
     updateChatflow,
+    restoreChatflowVersion,
     getSinglePublicChatflow,
     getSinglePublicChatbotConfig
 }
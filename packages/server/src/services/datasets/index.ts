@@ -0,0 +1,570 @@
+import { Request } from 'express'
+import { In } from 'typeorm'
+import { StatusCodes } from 'http-status-codes'
+import { ICommonObject, ITokenUsage } from 'flowise-components'
+import { getRunningExpressApp } from '../../utils/getRunningExpressApp'
+import { utilBuildChatflow } from '../../utils/buildChatflow'
+import { ExecutionTracer } from '../../utils/executionTracer'
+import { sumTokenUsages, utilCheckBudgets } from '../../utils/tokenUsage'
+import { datasetScorers } from '../../utils/datasetScorers'
+import logger from '../../utils/logger'
+import { Dataset } from '../../database/entities/Dataset'
+import { DatasetRow } from '../../database/entities/DatasetRow'
+import { DatasetRun } from '../../database/entities/DatasetRun'
+import { DatasetRunResult } from '../../database/entities/DatasetRunResult'
+import { ChatFlow } from '../../database/entities/ChatFlow'
+import { DatasetRunResultStatus, DatasetRunStatus, IDatasetRunMetrics, IDatasetScore, IDatasetScorerConfig } from '../../Interface'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import { getErrorMessage } from '../../errors/utils'
+
+const DEFAULT_DATASET_RUN_CONCURRENCY = 3
+const MAX_DATASET_RUN_CONCURRENCY = 10
+
+// Column names accepted when importing rows, first match wins
+const INPUT_COLUMNS = ['input', 'question', 'query', 'prompt']
+const EXPECTED_OUTPUT_COLUMNS = ['expectedOutput', 'expected_output', 'expected', 'answer', 'output']
+
+// Ids of the runs asked to stop, checked by the run before evaluating each row
+const stoppedRunIds = new Set<string>()
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain commas, newlines and "" escaped quotes) into rows of fields
+ * @param {string} content
+ */
+const parseCSV = (content: string): string[][] => {
+    const rows: string[][] = []
+    let row: string[] = []
+    let field = ''
+    let inQuotes = false
+    const text = content.replace(/^\uFEFF/, '')
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"'
+                i++
+            } else if (char === '"') {
+                inQuotes = false
+            } else {
+                field += char
+            }
+        } else if (char === '"') {
+            inQuotes = true
+        } else if (char === ',') {
+            row.push(field)
+            field = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++
+            row.push(field)
+            rows.push(row)
+            row = []
+            field = ''
+        } else {
+            field += char
+        }
+    }
+    if (field || row.length) {
+        row.push(field)
+        rows.push(row)
+    }
+    return rows.filter((fields) => fields.some((value) => value.trim() !== ''))
+}
+
+const findColumn = (columns: string[], candidates: string[]): string | undefined => {
+    const lowerCaseColumns = columns.map((column) => column.trim().toLowerCase())
+    for (const candidate of candidates) {
+        const index = lowerCaseColumns.indexOf(candidate.toLowerCase())
+        if (index >= 0) return columns[index]
+    }
+    return undefined
+}
+
+/**
+ * Turn the content of a CSV or JSON file into input/expected output pairs
+ * @param {string} format 'csv' or 'json'
+ * @param {string} content
+ */
+const parseDatasetRows = (format: string, content: string): { input: string; expectedOutput?: string }[] => {
+    let records: ICommonObject[]
+    if (format === 'csv') {
+        const [header, ...values] = parseCSV(content)
+        if (!header) return []
+        records = values.map((fields) => Object.fromEntries(header.map((column, index) => [column.trim(), fields[index] ?? ''])))
+    } else if (format === 'json') {
+        try {
+            records = JSON.parse(content)
+        } catch (error) {
+            throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Invalid JSON: ${getErrorMessage(error)}`)
+        }
+        if (!Array.isArray(records)) throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, 'JSON must be an array of rows')
+    } else {
+        throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Unsupported format ${format}, expected csv or json`)
+    }
+    if (!records.length) return []
+
+    const columns = [...new Set(records.flatMap((record) => Object.keys(record ?? {})))]
+    const inputColumn = findColumn(columns, INPUT_COLUMNS)
+    if (!inputColumn) {
+        throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Missing input column, expected one of: ${INPUT_COLUMNS.join(', ')}`)
+    }
+    const expectedOutputColumn = findColumn(columns, EXPECTED_OUTPUT_COLUMNS)
+    const toText = (value: any): string | undefined =>
+        value === undefined || value === null ? undefined : typeof value === 'object' ? JSON.stringify(value) : String(value)
+
+    return records
+        .map((record) => ({
+            input: toText(record?.[inputColumn]) ?? '',
+            expectedOutput: expectedOutputColumn ? toText(record?.[expectedOutputColumn]) : undefined
+        }))
+        .filter((row) => row.input.trim() !== '')
+}
+
+const getDatasetOrThrow = async (datasetId: string): Promise<Dataset> => {
+    const appServer = getRunningExpressApp()
+    const dataset = await appServer.AppDataSource.getRepository(Dataset).findOneBy({ id: datasetId })
+    if (!dataset) throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Dataset ${datasetId} not found`)
+    return dataset
+}
+
+const getNextSequenceNo = async (datasetId: string): Promise<number> => {
+    const appServer = getRunningExpressApp()
+    const lastRow = await appServer.AppDataSource.getRepository(DatasetRow).findOne({
+        where: { datasetId },
+        order: { sequenceNo: 'DESC' }
+    })
+    return (lastRow?.sequenceNo ?? 0) + 1
+}
+
+const getAllDatasets = async () => {
+    try {
+        const appServer = getRunningExpressApp()
+        const datasets = await appServer.AppDataSource.getRepository(Dataset).find({ order: { updatedDate: 'DESC' } })
+        const rowCounts: { datasetId: string; count: string }[] = await appServer.AppDataSource.getRepository(DatasetRow)
+            .createQueryBuilder('row')
+            .select('row.datasetId', 'datasetId')
+            .addSelect('COUNT(*)', 'count')
+            .groupBy('row.datasetId')
+            .getRawMany()
+        return datasets.map((dataset) => ({
+            ...dataset,
+            rowCount: parseInt(rowCounts.find((rowCount) => rowCount.datasetId === dataset.id)?.count ?? '0', 10)
+        }))
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.getAllDatasets - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const getDatasetById = async (datasetId: string) => {
+    try {
+        const appServer = getRunningExpressApp()
+        const dataset = await getDatasetOrThrow(datasetId)
+        const rows = await appServer.AppDataSource.getRepository(DatasetRow).find({
+            where: { datasetId },
+            order: { sequenceNo: 'ASC' }
+        })
+        return { ...dataset, rows }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.getDatasetById - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const createDataset = async (newDataset: Dataset) => {
+    try {
+        const appServer = getRunningExpressApp()
+        const dataset = appServer.AppDataSource.getRepository(Dataset).create(newDataset)
+        const dbResponse = await appServer.AppDataSource.getRepository(Dataset).save(dataset)
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.createDataset - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const updateDataset = async (datasetId: string, updatedDataset: Dataset) => {
+    try {
+        const appServer = getRunningExpressApp()
+        const dataset = await getDatasetOrThrow(datasetId)
+        const tmpUpdatedDataset = appServer.AppDataSource.getRepository(Dataset).merge(dataset, updatedDataset)
+        const dbResponse = await appServer.AppDataSource.getRepository(Dataset).save(tmpUpdatedDataset)
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.updateDataset - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const deleteDataset = async (datasetId: string) => {
+    try {
+        const appServer = getRunningExpressApp()
+        const runs = await appServer.AppDataSource.getRepository(DatasetRun).findBy({ datasetId })
+        if (runs.length) {
+            runs.filter((run) => run.status === DatasetRunStatus.RUNNING).forEach((run) => stoppedRunIds.add(run.id))
+            await appServer.AppDataSource.getRepository(DatasetRunResult).delete({ runId: In(runs.map((run) => run.id)) })
+            await appServer.AppDataSource.getRepository(DatasetRun).delete({ datasetId })
+        }
+        await appServer.AppDataSource.getRepository(DatasetRow).delete({ datasetId })
+        const dbResponse = await appServer.AppDataSource.getRepository(Dataset).delete({ id: datasetId })
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.deleteDataset - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const addDatasetRow = async (datasetId: string, body: ICommonObject) => {
+    try {
+        const appServer = getRunningExpressApp()
+        await getDatasetOrThrow(datasetId)
+        if (!body.input) throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, 'Row input is required')
+        const row = appServer.AppDataSource.getRepository(DatasetRow).create({
+            datasetId,
+            input: body.input,
+            expectedOutput: body.expectedOutput,
+            sequenceNo: await getNextSequenceNo(datasetId)
+        })
+        const dbResponse = await appServer.AppDataSource.getRepository(DatasetRow).save(row)
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.addDatasetRow - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const updateDatasetRow = async (datasetId: string, rowId: string, body: ICommonObject) => {
+    try {
+        const appServer = getRunningExpressApp()
+        const row = await appServer.AppDataSource.getRepository(DatasetRow).findOneBy({ id: rowId, datasetId })
+        if (!row) throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Row ${rowId} not found in dataset ${datasetId}`)
+        if (body.input !== undefined) row.input = body.input
+        if (body.expectedOutput !== undefined) row.expectedOutput = body.expectedOutput
+        const dbResponse = await appServer.AppDataSource.getRepository(DatasetRow).save(row)
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.updateDatasetRow - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const deleteDatasetRow = async (datasetId: string, rowId: string) => {
+    try {
+        const appServer = getRunningExpressApp()
+        const dbResponse = await appServer.AppDataSource.getRepository(DatasetRow).delete({ id: rowId, datasetId })
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.deleteDatasetRow - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+/**
+ * Import rows from the content of a CSV or JSON file, appended to the existing rows unless replace is set
+ * @param {string} datasetId
+ * @param {ICommonObject} body { format: 'csv' | 'json', content: string, replace?: boolean }
+ */
+const importDatasetRows = async (datasetId: string, body: ICommonObject) => {
+    try {
+        const appServer = getRunningExpressApp()
+        await getDatasetOrThrow(datasetId)
+        const parsedRows = parseDatasetRows(String(body.format ?? '').toLowerCase(), String(body.content ?? ''))
+        if (!parsedRows.length) throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, 'No rows found to import')
+
+        if (body.replace) await appServer.AppDataSource.getRepository(DatasetRow).delete({ datasetId })
+        const firstSequenceNo = body.replace ? 1 : await getNextSequenceNo(datasetId)
+        const rows = parsedRows.map((parsedRow, index) =>
+            appServer.AppDataSource.getRepository(DatasetRow).create({ ...parsedRow, datasetId, sequenceNo: firstSequenceNo + index })
+        )
+        await appServer.AppDataSource.getRepository(DatasetRow).save(rows, { chunk: 100 })
+        return { imported: rows.length }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.importDatasetRows - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const getDatasetScorers = () => {
+    return Object.values(datasetScorers).map(({ name, label, description, params }) => ({ name, label, description, params }))
+}
+
+/**
+ * Score one answer with every configured scorer, a scorer that throws fails with the error as reason
+ */
+const scoreAnswer = async (
+    row: DatasetRow,
+    actualOutput: string,
+    scorerConfigs: IDatasetScorerConfig[],
+    onTokenUsage: (tokenUsage: ITokenUsage) => void
+): Promise<IDatasetScore[]> => {
+    const scores: IDatasetScore[] = []
+    for (const scorerConfig of scorerConfigs) {
+        try {
+            const score = await datasetScorers[scorerConfig.name].score({
+                input: row.input,
+                expectedOutput: row.expectedOutput,
+                actualOutput,
+                config: scorerConfig.config ?? {},
+                onTokenUsage
+            })
+            scores.push({ scorer: scorerConfig.name, ...score })
+        } catch (error) {
+            scores.push({ scorer: scorerConfig.name, passed: false, reason: getErrorMessage(error) })
+        }
+    }
+    return scores
+}
+
+/**
+ * Send every row through the chatflow with at most run.concurrency predictions at once, and score the answers.
+ * Progress is saved on the run after each row so it can be polled while running.
+ */
+const executeDatasetRun = async (run: DatasetRun, chatflow: ChatFlow, rows: DatasetRow[], scorerConfigs: IDatasetScorerConfig[]) => {
+    const appServer = getRunningExpressApp()
+    const runRepository = appServer.AppDataSource.getRepository(DatasetRun)
+    const resultRepository = appServer.AppDataSource.getRepository(DatasetRunResult)
+    const metrics: IDatasetRunMetrics = Object.fromEntries(scorerConfigs.map((scorer) => [scorer.name, { passed: 0, total: 0 }]))
+    const queue = [...rows]
+
+    const evaluateRow = async (row: DatasetRow) => {
+        const result = resultRepository.create({
+            runId: run.id,
+            rowId: row.id,
+            input: row.input,
+            expectedOutput: row.expectedOutput,
+            chatflowid: run.chatflowid
+        })
+        // The traced usage of the prediction, failed or not, and the usage of the scorers are saved on the result
+        const executionTracer = new ExecutionTracer()
+        const scorerTokenUsages: ITokenUsage[] = []
+        const startTime = Date.now()
+        try {
+            // Every row is asked in its own session so answers don't depend on the previous rows,
+            // no chat message is saved so the rows don't show up in the logs and analytics of the chatflow
+            const req = { params: { id: run.chatflowid }, body: { question: row.input } } as unknown as Request
+            const response = await utilBuildChatflow(req, undefined, true, { saveMessages: false, parentExecutionTracer: executionTracer })
+            result.latency = Date.now() - startTime
+            result.actualOutput = response.text ?? JSON.stringify(response.json ?? response)
+            const scores = await scoreAnswer(row, result.actualOutput as string, scorerConfigs, (tokenUsage) =>
+                scorerTokenUsages.push(tokenUsage)
+            )
+            for (const score of scores) {
+                metrics[score.scorer].total++
+                if (score.passed) metrics[score.scorer].passed++
+            }
+            result.scores = JSON.stringify(scores)
+            result.status = scores.every((score) => score.passed) ? DatasetRunResultStatus.PASSED : DatasetRunResultStatus.FAILED
+        } catch (error) {
+            result.latency = Date.now() - startTime
+            result.status = DatasetRunResultStatus.ERROR
+            result.error = getErrorMessage(error)
+        }
+        const tokenUsages = executionTracer.getEntries().flatMap((entry) => (entry.tokenUsage ? [entry.tokenUsage] : []))
+        Object.assign(result, sumTokenUsages([...tokenUsages, ...scorerTokenUsages]))
+        await resultRepository.save(result)
+
+        run.completedRows++
+        if (result.status === DatasetRunResultStatus.PASSED) run.passedRows++
+        if (result.status === DatasetRunResultStatus.ERROR) run.errorRows++
+        await runRepository.update(run.id, {
+            completedRows: run.completedRows,
+            passedRows: run.passedRows,
+            errorRows: run.errorRows,
+            metrics: JSON.stringify(metrics)
+        })
+    }
+
+    const worker = async () => {
+        while (queue.length && !stoppedRunIds.has(run.id)) {
+            // a spent budget fails the run instead of every remaining row
+            await utilCheckBudgets(chatflow)
+            await evaluateRow(queue.shift() as DatasetRow)
+        }
+    }
+
+    try {
+        await Promise.all(Array.from({ length: Math.min(run.concurrency, rows.length) }, worker))
+        await runRepository.update(run.id, {
+            status: stoppedRunIds.has(run.id) ? DatasetRunStatus.STOPPED : DatasetRunStatus.COMPLETED,
+            metrics: JSON.stringify(metrics),
+            completedDate: new Date()
+        })
+    } catch (error) {
+        logger.error(`[server]: Dataset run ${run.id} failed: ${getErrorMessage(error)}`)
+        await runRepository.update(run.id, { status: DatasetRunStatus.ERROR, error: getErrorMessage(error), completedDate: new Date() })
+    } finally {
+        stoppedRunIds.delete(run.id)
+    }
+}
+
+/**
+ * Start running a dataset through a chatflow. Returns the created run right away, the rows are evaluated in the background.
+ * @param {string} datasetId
+ * @param {ICommonObject} body { chatflowid: string, scorers: IDatasetScorerConfig[], concurrency?: number }
+ */
+const createDatasetRun = async (datasetId: string, body: ICommonObject) => {
+    try {
+        const appServer = getRunningExpressApp()
+        await getDatasetOrThrow(datasetId)
+
+        const chatflow = await appServer.AppDataSource.getRepository(ChatFlow).findOneBy({ id: body.chatflowid })
+        if (!chatflow) throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Chatflow ${body.chatflowid} not found`)
+
+        const scorerConfigs: IDatasetScorerConfig[] = body.scorers ?? []
+        if (!scorerConfigs.length) throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, 'At least one scorer is required')
+        const unknownScorer = scorerConfigs.find((scorer) => !datasetScorers[scorer.name])
+        if (unknownScorer) throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Unknown scorer ${unknownScorer.name}`)
+
+        const rows = await appServer.AppDataSource.getRepository(DatasetRow).find({ where: { datasetId }, order: { sequenceNo: 'ASC' } })
+        if (!rows.length) throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, 'Dataset has no rows to run')
+
+        const concurrency = Math.min(
+            Math.max(parseInt(body.concurrency, 10) || DEFAULT_DATASET_RUN_CONCURRENCY, 1),
+            MAX_DATASET_RUN_CONCURRENCY
+        )
+        const run = appServer.AppDataSource.getRepository(DatasetRun).create({
+            datasetId,
+            chatflowid: chatflow.id,
+            chatflowName: chatflow.name,
+            status: DatasetRunStatus.RUNNING,
+            scorers: JSON.stringify(scorerConfigs),
+            concurrency,
+            totalRows: rows.length,
+            completedRows: 0,
+            passedRows: 0,
+            errorRows: 0
+        })
+        const dbResponse = await appServer.AppDataSource.getRepository(DatasetRun).save(run)
+
+        executeDatasetRun(dbResponse, chatflow, rows, scorerConfigs).catch((error) =>
+            logger.error(`[server]: Error executing dataset run ${dbResponse.id}: ${getErrorMessage(error)}`)
+        )
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.createDatasetRun - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+/**
+ * Mark the runs left running by a stopped server as failed, they are never resumed
+ */
+const failInterruptedDatasetRuns = async () => {
+    try {
+        const appServer = getRunningExpressApp()
+        await appServer.AppDataSource.getRepository(DatasetRun).update(
+            { status: DatasetRunStatus.RUNNING },
+            { status: DatasetRunStatus.ERROR, error: 'Run was interrupted by a server restart', completedDate: new Date() }
+        )
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.failInterruptedDatasetRuns - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const getAllDatasetRuns = async (datasetId: string) => {
+    try {
+        const appServer = getRunningExpressApp()
+        const dbResponse = await appServer.AppDataSource.getRepository(DatasetRun).find({
+            where: { datasetId },
+            order: { createdDate: 'DESC' }
+        })
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.getAllDatasetRuns - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const getDatasetRunById = async (datasetId: string, runId: string) => {
+    try {
+        const appServer = getRunningExpressApp()
+        const run = await appServer.AppDataSource.getRepository(DatasetRun).findOneBy({ id: runId, datasetId })
+        if (!run) throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Run ${runId} not found in dataset ${datasetId}`)
+        const results = await appServer.AppDataSource.getRepository(DatasetRunResult).find({
+            where: { runId },
+            order: { createdDate: 'ASC' }
+        })
+        return { ...run, results }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.getDatasetRunById - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const stopDatasetRun = async (datasetId: string, runId: string) => {
+    try {
+        const appServer = getRunningExpressApp()
+        const run = await appServer.AppDataSource.getRepository(DatasetRun).findOneBy({ id: runId, datasetId })
+        if (!run) throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Run ${runId} not found in dataset ${datasetId}`)
+        // Rows already being predicted finish, the run is marked as stopped once they are saved
+        if (run.status === DatasetRunStatus.RUNNING) stoppedRunIds.add(runId)
+        return run
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.stopDatasetRun - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const deleteDatasetRun = async (datasetId: string, runId: string) => {
+    try {
+        const appServer = getRunningExpressApp()
+        const run = await appServer.AppDataSource.getRepository(DatasetRun).findOneBy({ id: runId, datasetId })
+        if (!run) throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Run ${runId} not found in dataset ${datasetId}`)
+        if (run.status === DatasetRunStatus.RUNNING) stoppedRunIds.add(runId)
+        await appServer.AppDataSource.getRepository(DatasetRunResult).delete({ runId })
+        const dbResponse = await appServer.AppDataSource.getRepository(DatasetRun).delete({ id: runId, datasetId })
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: datasetsService.deleteDatasetRun - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+export default {
+    getAllDatasets,
+    getDatasetById,
+    createDataset,
+    updateDataset,
+    deleteDataset,
+    addDatasetRow,
+    updateDatasetRow,
+    deleteDatasetRow,
+    importDatasetRows,
+    getDatasetScorers,
+    createDatasetRun,
+    failInterruptedDatasetRuns,
+    getAllDatasetRuns,
+    getDatasetRunById,
+    stopDatasetRun,
+    deleteDatasetRun
+}
@@ -10,28 +10,77 @@ import {
     removeSpecificFileFromStorage
 } from 'flowise-components'
 import {
+    DOCUMENT_STORE_ARCHIVE_VERSION,
+    DocumentStoreDTO,
     DocumentStoreStatus,
+    IDocumentStoreArchive,
+    IDocumentStoreArchiveFile,
+    IDocumentStoreBulkMetadataData,
+    IDocumentStoreBulkReplaceData,
+    IDocumentStoreChunkFilter,
+    IDocumentStoreChunkSelection,
     IDocumentStoreFileChunkPagedResponse,
+    IDocumentStoreImportConflict,
+    IDocumentStoreImportResponse,
     IDocumentStoreLoader,
     IDocumentStoreLoaderFile,
+    IDocumentStoreComponentConfig,
     IDocumentStoreLoaderForPreview,
-    IDocumentStoreWhereUsed
+    IDocumentStoreQueryData,
+    IDocumentStoreQueryResponse,
+    IDocumentStoreRefreshResult,
+    IDocumentStoreUpsertData,
+    IDocumentStoreWhereUsed,
+    INodeData
 } from '../../Interface'
 import { DocumentStoreFileChunk } from '../../database/entities/DocumentStoreFileChunk'
 import { v4 as uuidv4 } from 'uuid'
-import { databaseEntities } from '../../utils'
+import { cloneDeep, escapeRegExp, get, has, omit, uniqBy } from 'lodash'
+import { createHash } from 'crypto'
+import { In } from 'typeorm'
+import { databaseEntities, saveUpsertFlowData } from '../../utils'
 import logger from '../../utils/logger'
 import nodesService from '../nodes'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
 import { StatusCodes } from 'http-status-codes'
 import { getErrorMessage } from '../../errors/utils'
 import { ChatFlow } from '../../database/entities/ChatFlow'
+import { UpsertHistory } from '../../database/entities/UpsertHistory'
+import { Credential } from '../../database/entities/Credential'
+import { resolveWorkspaceId } from '../../utils/workspace'
+import { getNextCronDate } from '../../utils/cronSchedule'
+import { getBM25Scores } from '../../utils/bm25'
 
 const DOCUMENT_STORE_BASE_FOLDER = 'docustore'
 
-const createDocumentStore = async (newDocumentStore: DocumentStore) => {
+// Max number of chunks saved or deleted in a single query
+const CHUNK_BATCH_SIZE = 500
+
+// Number of chunks returned by a retrieval test when not specified
+const DEFAULT_QUERY_TOP_K = 4
+
+// Embeddings of the chunks used by retrieval tests, by store and embeddings config then by chunk hash
+const chunkEmbeddingsCache: Map<string, Map<string, number[]>> = new Map()
+const MAX_CACHED_CHUNK_EMBEDDINGS = 10
+
+// Categories of the component nodes used to upsert the chunks of a store
+const UPSERT_COMPONENT_CATEGORIES: Record<string, string> = {
+    embeddings: 'Embeddings',
+    vectorstore: 'Vector Stores',
+    recordmanager: 'Record Manager'
+}
+
+// The chunks changed since the last upsert, the vector store is out of date
+const _markAsNotUpserted = (entity: DocumentStore) => {
+    if (entity.status === DocumentStoreStatus.UPSERTED) entity.status = DocumentStoreStatus.SYNC
+}
+
+const createDocumentStore = async (newDocumentStore: DocumentStore, author?: string, workspaceId?: string) => {
     try {
         const appServer = getRunningExpressApp()
+        newDocumentStore.createdBy = author
+        newDocumentStore.updatedBy = author
+        newDocumentStore.workspaceId = await resolveWorkspaceId(workspaceId)
         const documentStore = appServer.AppDataSource.getRepository(DocumentStore).create(newDocumentStore)
         const dbResponse = await appServer.AppDataSource.getRepository(DocumentStore).save(documentStore)
         return dbResponse
@@ -43,10 +92,10 @@ const createDocumentStore = async (newDocumentStore: DocumentStore) => {
     }
 }
 
-const getAllDocumentStores = async () => {
+const getAllDocumentStores = async (workspaceId?: string) => {
     try {
         const appServer = getRunningExpressApp()
-        const entities = await appServer.AppDataSource.getRepository(DocumentStore).find()
+        const entities = await appServer.AppDataSource.getRepository(DocumentStore).findBy(workspaceId ? { workspaceId } : {})
         return entities
     } catch (error) {
         throw new InternalFlowiseError(
@@ -83,6 +132,7 @@ const deleteLoaderFromDocumentStore = async (storeId: string, loaderId: string)
             await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).delete({ docId: found.id })
 
             entity.loaders = JSON.stringify(existingLoaders)
+            _markAsNotUpserted(entity)
             const results = await appServer.AppDataSource.getRepository(DocumentStore).save(entity)
             return results
         } else {
@@ -147,7 +197,13 @@ const getUsedChatflowNames = async (entity: DocumentStore) => {
 }
 
 // Get chunks for a specific loader or store
-const getDocumentStoreFileChunks = async (storeId: string, fileId: string, pageNo: number = 1) => {
+const getDocumentStoreFileChunks = async (
+    storeId: string,
+    fileId: string,
+    pageNo: number = 1,
+    filter?: IDocumentStoreChunkFilter,
+    withMetadataKeys: boolean = false
+) => {
     try {
         const appServer = getRunningExpressApp()
         const entity = await appServer.AppDataSource.getRepository(DocumentStore).findOneBy({
@@ -187,17 +243,45 @@ const getDocumentStoreFileChunks = async (storeId: string, fileId: string, pageN
         if (fileId === 'all') {
             whereCondition = { storeId: storeId }
         }
-        const count = await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).count({
-            where: whereCondition
-        })
-        const chunksWithCount = await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).find({
-            skip,
-            take,
-            where: whereCondition,
-            order: {
-                chunkNo: 'ASC'
+        let count = 0
+        let chunksWithCount: DocumentStoreFileChunk[] = []
+        if (filter?.metadataKey || filter?.search) {
+            // metadata is stored as JSON text, the chunks are filtered here rather than in the database
+            const matchingChunks = (
+                await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).find({
+                    where: whereCondition,
+                    order: {
+                        chunkNo: 'ASC'
+                    }
+                })
+            ).filter((chunk) => _matchesChunkFilter(chunk, filter))
+            count = matchingChunks.length
+            chunksWithCount = matchingChunks.slice(skip, skip + take)
+        } else {
+            count = await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).count({
+                where: whereCondition
+            })
+            chunksWithCount = await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).find({
+                skip,
+                take,
+                where: whereCondition,
+                order: {
+                    chunkNo: 'ASC'
+                }
+            })
+        }
+        // reading the metadata of every chunk is only done when asked for, not for every page
+        let metadataKeys: Set<string> | undefined
+        if (withMetadataKeys) {
+            metadataKeys = new Set()
+            const chunksMetadata = await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).find({
+                select: ['id', 'metadata'],
+                where: whereCondition
+            })
+            for (const chunk of chunksMetadata) {
+                Object.keys(chunk.metadata ? JSON.parse(chunk.metadata) : {}).forEach((key) => metadataKeys?.add(key))
             }
-        })
+        }
 
         if (!chunksWithCount) {
             throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `File ${fileId} not found`)
@@ -209,7 +293,8 @@ const getDocumentStoreFileChunks = async (storeId: string, fileId: string, pageN
             file: found,
             currentPage: pageNo,
             storeName: entity.name,
-            description: entity.description
+            description: entity.description,
+            metadataKeys: metadataKeys ? Array.from(metadataKeys).sort() : undefined
         }
         return response
     } catch (error) {
@@ -272,6 +357,7 @@ const deleteDocumentStoreFileChunk = async (storeId: string, docId: string, chun
         found.totalChunks--
         found.totalChars -= tbdChunk.pageContent.length
         entity.loaders = JSON.stringify(loaders)
+        _markAsNotUpserted(entity)
         await appServer.AppDataSource.getRepository(DocumentStore).save(entity)
         return getDocumentStoreFileChunks(storeId, docId)
     } catch (error) {
@@ -304,11 +390,13 @@ const editDocumentStoreFileChunk = async (storeId: string, docId: string, chunkI
             throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Document Chunk ${chunkId} not found`)
         }
         found.totalChars -= editChunk.pageContent.length
+        _markAsEdited(editChunk)
         editChunk.pageContent = content
         editChunk.metadata = JSON.stringify(metadata)
         found.totalChars += content.length
         await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).save(editChunk)
         entity.loaders = JSON.stringify(loaders)
+        _markAsNotUpserted(entity)
         await appServer.AppDataSource.getRepository(DocumentStore).save(entity)
         return getDocumentStoreFileChunks(storeId, docId)
     } catch (error) {
@@ -319,10 +407,182 @@ const editDocumentStoreFileChunk = async (storeId: string, docId: string, chunkI
     }
 }
 
+// Keeps the hash of the chunk as it was split, a refresh matches the edited chunk with it
+const _markAsEdited = (chunk: DocumentStoreFileChunk) => {
+    if (!chunk.originalHash) chunk.originalHash = _getChunkHash(chunk.pageContent, chunk.metadata)
+}
+
+// Metadata keys can be paths to nested values, such as loc.pageNumber
+const _matchesChunkFilter = (chunk: DocumentStoreFileChunk, filter: IDocumentStoreChunkFilter) => {
+    if (filter.search && !chunk.pageContent.toLowerCase().includes(filter.search.toLowerCase())) return false
+    if (filter.metadataKey) {
+        const metadata = chunk.metadata ? JSON.parse(chunk.metadata) : {}
+        if (!has(metadata, filter.metadataKey)) return false
+        if (filter.metadataValue) {
+            const value = get(metadata, filter.metadataKey)
+            if ((typeof value === 'object' ? JSON.stringify(value) : String(value)) !== filter.metadataValue) return false
+        }
+    }
+    return true
+}
+
+const _findSelectedChunks = async (storeId: string, selection: IDocumentStoreChunkSelection) => {
+    const appServer = getRunningExpressApp()
+    const repository = appServer.AppDataSource.getRepository(DocumentStoreFileChunk)
+    if (selection.chunkIds?.length) {
+        const chunks: DocumentStoreFileChunk[] = []
+        for (let i = 0; i < selection.chunkIds.length; i += CHUNK_BATCH_SIZE) {
+            chunks.push(...(await repository.findBy({ storeId, id: In(selection.chunkIds.slice(i, i + CHUNK_BATCH_SIZE)) })))
+        }
+        return chunks
+    }
+    // a missing selection never targets the whole store
+    if (selection.all !== true) throw new Error('Selection must have chunkIds or all set')
+    const chunks = await repository.find({
+        where: selection.loaderId ? { storeId, docId: selection.loaderId } : { storeId },
+        order: { chunkNo: 'ASC' }
+    })
+    return selection.filter ? chunks.filter((chunk) => _matchesChunkFilter(chunk, selection.filter as IDocumentStoreChunkFilter)) : chunks
+}
+
+// Saves the chunks changed by a bulk operation, with the new totals of their loaders
+const _saveBulkChunkChanges = async (
+    entity: DocumentStore,
+    changedChunks: { chunk: DocumentStoreFileChunk; previousChars: number }[],
+    deleted: boolean = false
+) => {
+    if (!changedChunks.length) return
+    const appServer = getRunningExpressApp()
+    const repository = appServer.AppDataSource.getRepository(DocumentStoreFileChunk)
+    const loaders: IDocumentStoreLoader[] = JSON.parse(entity.loaders)
+    for (const { chunk, previousChars } of changedChunks) {
+        const loader = loaders.find((ldr) => ldr.id === chunk.docId)
+        if (!loader) continue
+        if (deleted) {
+            loader.totalChunks--
+            loader.totalChars -= previousChars
+        } else {
+            loader.totalChars += chunk.pageContent.length - previousChars
+        }
+    }
+    if (deleted) {
+        const ids = changedChunks.map(({ chunk }) => chunk.id)
+        for (let i = 0; i < ids.length; i += CHUNK_BATCH_SIZE) {
+            await repository.delete({ id: In(ids.slice(i, i + CHUNK_BATCH_SIZE)) })
+        }
+    } else {
+        await repository.save(
+            changedChunks.map(({ chunk }) => chunk),
+            { chunk: CHUNK_BATCH_SIZE }
+        )
+    }
+    entity.loaders = JSON.stringify(loaders)
+    _markAsNotUpserted(entity)
+    await appServer.AppDataSource.getRepository(DocumentStore).save(entity)
+}
+
+const _getDocumentStoreEntity = async (storeId: string) => {
+    const appServer = getRunningExpressApp()
+    const entity = await appServer.AppDataSource.getRepository(DocumentStore).findOneBy({
+        id: storeId
+    })
+    if (!entity) {
+        throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Document store ${storeId} not found`)
+    }
+    return entity
+}
+
+/**
+ * Delete the selected chunks of a document store
+ * @param {string} storeId
+ * @param {IDocumentStoreChunkSelection} selection
+ */
+const bulkDeleteChunks = async (storeId: string, selection: IDocumentStoreChunkSelection) => {
+    try {
+        const entity = await _getDocumentStoreEntity(storeId)
+        const chunks = await _findSelectedChunks(entity.id, selection)
+        await _saveBulkChunkChanges(
+            entity,
+            chunks.map((chunk) => ({ chunk, previousChars: chunk.pageContent.length })),
+            true
+        )
+        return { deleted: chunks.length }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: documentStoreServices.bulkDeleteChunks - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+/**
+ * Add, replace or remove metadata of the selected chunks of a document store
+ * @param {string} storeId
+ * @param {IDocumentStoreBulkMetadataData} data
+ */
+const bulkUpdateChunkMetadata = async (storeId: string, data: IDocumentStoreBulkMetadataData) => {
+    try {
+        const entity = await _getDocumentStoreEntity(storeId)
+        const chunks = await _findSelectedChunks(entity.id, data)
+        const changedChunks = []
+        for (const chunk of chunks) {
+            let metadata: ICommonObject = chunk.metadata ? JSON.parse(chunk.metadata) : {}
+            if (data.operation === 'add') metadata = { ...metadata, ...data.metadata }
+            else if (data.operation === 'replace') metadata = { ...data.metadata }
+            else metadata = omit(metadata, data.keys ?? [])
+            const newMetadata = JSON.stringify(metadata)
+            if (newMetadata === chunk.metadata) continue
+            _markAsEdited(chunk)
+            chunk.metadata = newMetadata
+            changedChunks.push({ chunk, previousChars: chunk.pageContent.length })
+        }
+        await _saveBulkChunkChanges(entity, changedChunks)
+        return { updated: changedChunks.length }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: documentStoreServices.bulkUpdateChunkMetadata - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+/**
+ * Find and replace a text in the content of the selected chunks of a document store
+ * @param {string} storeId
+ * @param {IDocumentStoreBulkReplaceData} data
+ */
+const bulkReplaceChunkContent = async (storeId: string, data: IDocumentStoreBulkReplaceData) => {
+    try {
+        const entity = await _getDocumentStoreEntity(storeId)
+        const chunks = await _findSelectedChunks(entity.id, data)
+        const findRegex = new RegExp(escapeRegExp(data.find), data.matchCase ? 'g' : 'gi')
+        const changedChunks = []
+        for (const chunk of chunks) {
+            // a function keeps the $ patterns of the replacement as they are
+            const pageContent = chunk.pageContent.replace(findRegex, () => data.replace)
+            if (pageContent === chunk.pageContent) continue
+            const previousChars = chunk.pageContent.length
+            _markAsEdited(chunk)
+            chunk.pageContent = pageContent
+            changedChunks.push({ chunk, previousChars })
+        }
+        await _saveBulkChunkChanges(entity, changedChunks)
+        return { updated: changedChunks.length }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: documentStoreServices.bulkReplaceChunkContent - ${getErrorMessage(error)}`
+        )
+    }
+}
+
 // Update documentStore
-const updateDocumentStore = async (documentStore: DocumentStore, updatedDocumentStore: DocumentStore) => {
+const updateDocumentStore = async (documentStore: DocumentStore, updatedDocumentStore: DocumentStore, author?: string) => {
     try {
         const appServer = getRunningExpressApp()
+        updatedDocumentStore.createdBy = documentStore.createdBy
+        updatedDocumentStore.updatedBy = author
+        updatedDocumentStore.workspaceId = documentStore.workspaceId
         const tmpUpdatedDocumentStore = appServer.AppDataSource.getRepository(DocumentStore).merge(documentStore, updatedDocumentStore)
         const dbResponse = await appServer.AppDataSource.getRepository(DocumentStore).save(tmpUpdatedDocumentStore)
         return dbResponse
@@ -594,24 +854,11 @@ const _saveChunksToStorage = async (data: IDocumentStoreLoaderForPreview, entity
             if (data.id) {
                 existingLoaders.push(loader)
             }
-            //step 7: remove all previous chunks
-            await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).delete({ docId: newLoaderId })
+            //step 7: replace the previous chunks, the unchanged ones are kept
+            await _saveLoaderChunks(data.storeId || '', newLoaderId, response.chunks ?? [])
             if (response.chunks) {
-                //step 8: now save the new chunks
+                //step 8: update the loader with the new metrics
                 const totalChars = response.chunks.reduce((acc: number, chunk) => acc + chunk.pageContent.length, 0)
-                response.chunks.map(async (chunk: IDocument, index: number) => {
-                    const docChunk: DocumentStoreFileChunk = {
-                        docId: newLoaderId,
-                        storeId: data.storeId || '',
-                        id: uuidv4(),
-                        chunkNo: index + 1,
-                        pageContent: chunk.pageContent,
-                        metadata: JSON.stringify(chunk.metadata)
-                    }
-                    const dChunk = appServer.AppDataSource.getRepository(DocumentStoreFileChunk).create(docChunk)
-                    await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).save(dChunk)
-                })
-                // update the loader with the new metrics
                 loader.totalChunks = response.totalChunks
                 loader.totalChars = totalChars
             }
@@ -632,6 +879,468 @@ const _saveChunksToStorage = async (data: IDocumentStoreLoaderForPreview, entity
     }
 }
 
+// Identifies the content of a chunk, chunks with the same hash did not change
+const _getChunkHash = (pageContent: string, metadata?: string) =>
+    createHash('sha256')
+        .update(pageContent)
+        .update('\0')
+        .update(metadata ?? '')
+        .digest('hex')
+
+// Replaces the chunks of a loader, only the chunks whose content changed are deleted or created.
+// Edited chunks are matched by their content before the edit, so they are kept while their source text is unchanged
+const _saveLoaderChunks = async (storeId: string, loaderId: string, docs: IDocument[]): Promise<IDocumentStoreRefreshResult> => {
+    const appServer = getRunningExpressApp()
+    const repository = appServer.AppDataSource.getRepository(DocumentStoreFileChunk)
+
+    const existingChunks: Map<string, DocumentStoreFileChunk[]> = new Map()
+    for (const chunk of await repository.findBy({ docId: loaderId })) {
+        const hash = chunk.originalHash ?? _getChunkHash(chunk.pageContent, chunk.metadata)
+        existingChunks.set(hash, [...(existingChunks.get(hash) ?? []), chunk])
+    }
+
+    const chunksToSave: DocumentStoreFileChunk[] = []
+    const result: IDocumentStoreRefreshResult = { added: 0, removed: 0, unchanged: 0 }
+    docs.forEach((doc, index) => {
+        const metadata = JSON.stringify(doc.metadata)
+        const existingChunk = existingChunks.get(_getChunkHash(doc.pageContent, metadata))?.shift()
+        if (existingChunk) {
+            result.unchanged++
+            if (existingChunk.chunkNo === index + 1) return
+            existingChunk.chunkNo = index + 1
+            chunksToSave.push(existingChunk)
+        } else {
+            result.added++
+            chunksToSave.push(
+                repository.create({
+                    docId: loaderId,
+                    storeId,
+                    id: uuidv4(),
+                    chunkNo: index + 1,
+                    pageContent: doc.pageContent,
+                    metadata
+                })
+            )
+        }
+    })
+
+    const removedIds = Array.from(existingChunks.values())
+        .flat()
+        .map((chunk) => chunk.id)
+    for (let i = 0; i < removedIds.length; i += CHUNK_BATCH_SIZE) {
+        await repository.delete({ id: In(removedIds.slice(i, i + CHUNK_BATCH_SIZE)) })
+    }
+    await repository.save(chunksToSave, { chunk: CHUNK_BATCH_SIZE })
+    result.removed = removedIds.length
+    return result
+}
+
+// Applies a change to a loader on the latest version of its store, a refresh can take a while
+const _updateLoader = async (
+    storeId: string,
+    loaderId: string,
+    update: (loader: IDocumentStoreLoader, entity: DocumentStore, loaders: IDocumentStoreLoader[]) => void
+): Promise<DocumentStore | null> => {
+    const appServer = getRunningExpressApp()
+    const entity = await appServer.AppDataSource.getRepository(DocumentStore).findOneBy({ id: storeId })
+    if (!entity) return null
+    const loaders: IDocumentStoreLoader[] = JSON.parse(entity.loaders)
+    const loader = loaders.find((ldr) => ldr.id === loaderId)
+    if (!loader) return null
+    update(loader, entity, loaders)
+    entity.loaders = JSON.stringify(loaders)
+    return appServer.AppDataSource.getRepository(DocumentStore).save(entity)
+}
+
+const _getNextRunDate = (loader: IDocumentStoreLoader) => (loader.schedule ? getNextCronDate(loader.schedule) : undefined)
+
+// Marks the loader as syncing, a loader is refreshed once at a time
+const _startLoaderRefresh = async (storeId: string, loaderId: string) => {
+    const appServer = getRunningExpressApp()
+    const entity = await appServer.AppDataSource.getRepository(DocumentStore).findOneBy({ id: storeId })
+    if (!entity) {
+        throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Document store ${storeId} not found`)
+    }
+    const loader = (JSON.parse(entity.loaders) as IDocumentStoreLoader[]).find((ldr) => ldr.id === loaderId)
+    if (!loader) {
+        throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Document loader ${loaderId} not found`)
+    }
+    if (loader.status === DocumentStoreStatus.SYNCING) {
+        throw new InternalFlowiseError(StatusCodes.CONFLICT, `Document loader ${loaderId} is already syncing`)
+    }
+    return (await _updateLoader(storeId, loaderId, (ldr) => (ldr.status = DocumentStoreStatus.SYNCING))) as DocumentStore
+}
+
+// Reloads the documents of the loader with its saved config and updates the changed chunks
+const _refreshLoaderChunks = async (entity: DocumentStore, loaderId: string): Promise<IDocumentStoreRefreshResult> => {
+    const loader = (JSON.parse(entity.loaders) as IDocumentStoreLoader[]).find((ldr) => ldr.id === loaderId) as IDocumentStoreLoader
+    const startDate = new Date()
+    try {
+        const data: IDocumentStoreLoaderForPreview = {
+            ...cloneDeep(loader),
+            storeId: entity.id,
+            rehydrated: false,
+            preview: false,
+            previewChunkCount: -1
+        }
+        await _normalizeFilePaths(data, entity)
+        const docs = await _splitIntoChunks(data)
+        const result = await _saveLoaderChunks(entity.id, loaderId, docs)
+        await _updateLoader(entity.id, loaderId, (ldr, store, loaders) => {
+            ldr.status = DocumentStoreStatus.SYNC
+            ldr.totalChunks = docs.length
+            ldr.totalChars = docs.reduce((acc, doc) => acc + doc.pageContent.length, 0)
+            ldr.lastRunDate = startDate
+            ldr.nextRunDate = _getNextRunDate(ldr)
+            ldr.lastRunResult = result
+            delete ldr.lastRunError
+            if (result.added || result.removed) _markAsNotUpserted(store)
+            if (store.status !== DocumentStoreStatus.UPSERTED) {
+                const allSynced = loaders.every((storeLoader) => storeLoader.status === DocumentStoreStatus.SYNC)
+                store.status = allSynced ? DocumentStoreStatus.SYNC : DocumentStoreStatus.STALE
+            }
+        })
+        return result
+    } catch (error) {
+        // the previous chunks are still valid
+        await _updateLoader(entity.id, loaderId, (ldr) => {
+            ldr.status = DocumentStoreStatus.SYNC
+            ldr.lastRunDate = startDate
+            ldr.nextRunDate = _getNextRunDate(ldr)
+            ldr.lastRunError = getErrorMessage(error)
+        })
+        throw error
+    }
+}
+
+/**
+ * Refreshes a loader and waits for its chunks to be updated, used by the refresh schedules
+ */
+const refreshLoader = async (storeId: string, loaderId: string) => {
+    try {
+        const entity = await _startLoaderRefresh(storeId, loaderId)
+        return await _refreshLoaderChunks(entity, loaderId)
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: documentStoreServices.refreshLoader - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+/**
+ * Starts the refresh of a loader, the chunks are updated in the background
+ */
+const startLoaderRefresh = async (storeId: string, loaderId: string) => {
+    try {
+        const entity = await _startLoaderRefresh(storeId, loaderId)
+        _refreshLoaderChunks(entity, loaderId).catch((error) =>
+            logger.error(`[server]: Error refreshing document loader ${loaderId} of store ${storeId}: ${getErrorMessage(error)}`)
+        )
+        return entity
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: documentStoreServices.startLoaderRefresh - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+/**
+ * Marks the loaders left syncing by a stopped server as stale, so they can be refreshed again
+ */
+const resetInterruptedLoaders = async () => {
+    try {
+        const appServer = getRunningExpressApp()
+        const documentStores = await appServer.AppDataSource.getRepository(DocumentStore).find()
+        for (const entity of documentStores) {
+            const loaders: IDocumentStoreLoader[] = JSON.parse(entity.loaders || '[]')
+            const interruptedLoaders = loaders.filter((loader) => loader.status === DocumentStoreStatus.SYNCING)
+            if (!interruptedLoaders.length) continue
+            for (const loader of interruptedLoaders) loader.status = DocumentStoreStatus.STALE
+            entity.loaders = JSON.stringify(loaders)
+            entity.status = DocumentStoreStatus.STALE
+            await appServer.AppDataSource.getRepository(DocumentStore).save(entity)
+        }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: documentStoreServices.resetInterruptedLoaders - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+/**
+ * Sets the cron expression of the automatic refresh of a loader, an empty schedule turns it off
+ */
+const updateLoaderSchedule = async (storeId: string, loaderId: string, schedule?: string) => {
+    try {
+        const entity = await _updateLoader(storeId, loaderId, (loader) => {
+            if (schedule) {
+                loader.schedule = schedule
+                loader.nextRunDate = getNextCronDate(schedule)
+            } else {
+                delete loader.schedule
+                delete loader.nextRunDate
+            }
+        })
+        if (!entity) {
+            throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Document loader ${loaderId} of store ${storeId} not found`)
+        }
+        return entity
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: documentStoreServices.updateLoaderSchedule - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const _parseComponentConfig = (config?: string): IDocumentStoreComponentConfig | undefined => (config ? JSON.parse(config) : undefined)
+
+/**
+ * Export a document store with its loaders, uploaded files and chunks, so it can be imported on another instance.
+ * Credentials are only referenced by name, their data is never exported.
+ * @param {string} storeId
+ */
+const exportDocumentStore = async (storeId: string): Promise<IDocumentStoreArchive> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const entity = await _getDocumentStoreEntity(storeId)
+        const loaders: IDocumentStoreLoader[] = JSON.parse(entity.loaders)
+        const documentStore = {
+            name: entity.name,
+            description: entity.description,
+            embeddingConfig: _parseComponentConfig(entity.embeddingConfig),
+            vectorStoreConfig: _parseComponentConfig(entity.vectorStoreConfig),
+            recordManagerConfig: _parseComponentConfig(entity.recordManagerConfig)
+        }
+
+        // Loaders can share a file, files are stored once per store
+        const files: IDocumentStoreArchiveFile[] = []
+        for (const file of loaders.flatMap((loader) => loader.files ?? [])) {
+            if (files.some((archiveFile) => archiveFile.name === file.name)) continue
+            try {
+                const bf = await getFileFromStorage(file.name, DOCUMENT_STORE_BASE_FOLDER, entity.id)
+                files.push({ name: file.name, mimePrefix: file.mimePrefix, content: bf.toString('base64') })
+            } catch (error) {
+                // The import reports the missing file, the chunks of the loader are still exported
+                logger.warn(`[server]: Document store ${entity.id} file ${file.name} could not be exported: ${getErrorMessage(error)}`)
+            }
+        }
+
+        const chunks = await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).find({
+            where: { storeId: entity.id },
+            order: { docId: 'ASC', chunkNo: 'ASC' }
+        })
+
+        const credentialIds = [
+            ...loaders.map((loader) => loader.credential),
+            documentStore.embeddingConfig?.credential,
+            documentStore.vectorStoreConfig?.credential,
+            documentStore.recordManagerConfig?.credential
+        ].filter((id): id is string => !!id)
+        const credentials = credentialIds.length
+            ? await appServer.AppDataSource.getRepository(Credential).find({
+                  where: { id: In(Array.from(new Set(credentialIds))) },
+                  select: ['id', 'name', 'credentialName']
+              })
+            : []
+
+        return {
+            version: DOCUMENT_STORE_ARCHIVE_VERSION,
+            exportedAt: new Date(),
+            documentStore,
+            loaders: loaders.map((loader) => omit(loader, ['storeId', 'source']) as IDocumentStoreLoader),
+            files,
+            chunks: chunks.map((chunk) => ({
+                docId: chunk.docId,
+                chunkNo: chunk.chunkNo,
+                pageContent: chunk.pageContent,
+                metadata: chunk.metadata,
+                originalHash: chunk.originalHash
+            })),
+            credentials: credentials.map((credential) => ({
+                id: credential.id,
+                name: credential.name,
+                credentialName: credential.credentialName
+            }))
+        }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: documentStoreServices.exportDocumentStore - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+// Maps the credentials of an archive to the credentials of the workspace, the same credential or else one with the same name and type
+const _getImportedCredentials = async (archive: IDocumentStoreArchive, workspaceId: string, conflicts: IDocumentStoreImportConflict[]) => {
+    const appServer = getRunningExpressApp()
+    const repository = appServer.AppDataSource.getRepository(Credential)
+    const importedCredentials: Map<string, string | undefined> = new Map()
+    for (const credential of archive.credentials ?? []) {
+        const existingCredential =
+            (await repository.findOneBy({ id: credential.id, workspaceId })) ??
+            (await repository.findOneBy({ name: credential.name, credentialName: credential.credentialName, workspaceId }))
+        importedCredentials.set(credential.id, existingCredential?.id)
+        if (!existingCredential) {
+            conflicts.push({
+                type: 'credential',
+                message: `Credential ${credential.name} (${credential.credentialName}) not found, it has to be selected again before processing or upserting`
+            })
+        }
+    }
+    return importedCredentials
+}
+
+// Reports the components of the archive that are not available on this instance, the store is imported with their configs anyway
+const _checkImportedComponents = (archive: IDocumentStoreArchive, conflicts: IDocumentStoreImportConflict[]) => {
+    const appServer = getRunningExpressApp()
+    const components = [
+        ...archive.loaders.flatMap((loader) => [
+            { name: loader.loaderId, label: loader.loaderName },
+            ...(loader.splitterId ? [{ name: loader.splitterId, label: loader.splitterName }] : [])
+        ]),
+        ...[archive.documentStore.embeddingConfig, archive.documentStore.vectorStoreConfig, archive.documentStore.recordManagerConfig]
+            .filter((config): config is IDocumentStoreComponentConfig => !!config?.name)
+            .map((config) => ({ name: config.name, label: config.name }))
+    ]
+    for (const component of uniqBy(components, 'name')) {
+        if (!appServer.nodesPool.componentNodes[component.name]) {
+            conflicts.push({ type: 'component', message: `Component ${component.label} is not available on this instance` })
+        }
+    }
+}
+
+// Name of the imported store, suffixed with a number when a store of the workspace already has it
+const _getImportedStoreName = async (name: string, workspaceId: string, conflicts: IDocumentStoreImportConflict[]) => {
+    const appServer = getRunningExpressApp()
+    const stores = await appServer.AppDataSource.getRepository(DocumentStore).find({ where: { workspaceId }, select: ['name'] })
+    const names = new Set(stores.map((store) => store.name))
+    if (!names.has(name)) return name
+    let suffix = 2
+    while (names.has(`${name} (${suffix})`)) suffix++
+    conflicts.push({ type: 'name', message: `Document store ${name} already exists, it was imported as ${name} (${suffix})` })
+    return `${name} (${suffix})`
+}
+
+/**
+ * Import a document store archive as a new store, with new ids for the store, its loaders and chunks.
+ * The chunks are imported as they were exported, including their edits, and the conflicts with this instance are reported.
+ * @param {IDocumentStoreArchive} archive
+ * @param {string} author
+ * @param {string} workspaceId
+ */
+const importDocumentStore = async (
+    archive: IDocumentStoreArchive,
+    author?: string,
+    workspaceId?: string
+): Promise<IDocumentStoreImportResponse> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const conflicts: IDocumentStoreImportConflict[] = []
+        const importedWorkspaceId = await resolveWorkspaceId(workspaceId)
+        const importedCredentials = await _getImportedCredentials(archive, importedWorkspaceId, conflicts)
+        _checkImportedComponents(archive, conflicts)
+        const importCredential = (id?: string) => (id ? importedCredentials.get(id) : undefined)
+        const importComponentConfig = (config?: IDocumentStoreComponentConfig) =>
+            config ? JSON.stringify({ ...config, credential: importCredential(config.credential) }) : undefined
+
+        const repository = appServer.AppDataSource.getRepository(DocumentStore)
+        const entity = await repository.save(
+            repository.create({
+                name: await _getImportedStoreName(archive.documentStore.name, importedWorkspaceId, conflicts),
+                description: archive.documentStore.description,
+                loaders: '[]',
+                whereUsed: '[]',
+                status: DocumentStoreStatus.EMPTY_SYNC,
+                embeddingConfig: importComponentConfig(archive.documentStore.embeddingConfig),
+                vectorStoreConfig: importComponentConfig(archive.documentStore.vectorStoreConfig),
+                recordManagerConfig: importComponentConfig(archive.documentStore.recordManagerConfig),
+                createdBy: author,
+                updatedBy: author,
+                workspaceId: importedWorkspaceId
+            })
+        )
+
+        const chunkRepository = appServer.AppDataSource.getRepository(DocumentStoreFileChunk)
+        try {
+            const importedFiles: Set<string> = new Set()
+            for (const file of archive.files ?? []) {
+                await addSingleFileToStorage(
+                    file.mimePrefix,
+                    Buffer.from(file.content, 'base64'),
+                    file.name,
+                    DOCUMENT_STORE_BASE_FOLDER,
+                    entity.id
+                )
+                importedFiles.add(file.name)
+            }
+
+            const loaders: IDocumentStoreLoader[] = []
+            const chunks: DocumentStoreFileChunk[] = []
+            for (const archiveLoader of archive.loaders) {
+                const loader: IDocumentStoreLoader = {
+                    ...omit(archiveLoader, ['lastRunDate', 'lastRunError', 'lastRunResult', 'schedule', 'nextRunDate']),
+                    id: uuidv4(),
+                    storeId: entity.id,
+                    credential: importCredential(archiveLoader.credential),
+                    totalChunks: 0,
+                    totalChars: 0,
+                    status: DocumentStoreStatus.SYNC
+                }
+                // Imported loaders would be refreshed right away, the schedule has to be set again
+                if (archiveLoader.schedule) {
+                    conflicts.push({
+                        type: 'schedule',
+                        message: `Schedule ${archiveLoader.schedule} of ${loader.loaderName} was not imported, the loader is not refreshed automatically`
+                    })
+                }
+                for (const file of loader.files ?? []) {
+                    if (importedFiles.has(file.name)) continue
+                    conflicts.push({
+                        type: 'file',
+                        message: `File ${file.name} of ${loader.loaderName} is missing from the archive, the loader cannot be reprocessed`
+                    })
+                }
+                for (const chunk of archive.chunks.filter((archiveChunk) => archiveChunk.docId === archiveLoader.id)) {
+                    loader.totalChunks++
+                    loader.totalChars += chunk.pageContent.length
+                    chunks.push(
+                        chunkRepository.create({
+                            id: uuidv4(),
+                            docId: loader.id,
+                            storeId: entity.id,
+                            chunkNo: chunk.chunkNo,
+                            pageContent: chunk.pageContent,
+                            metadata: chunk.metadata,
+                            originalHash: chunk.originalHash
+                        })
+                    )
+                }
+                loaders.push(loader)
+            }
+            await chunkRepository.save(chunks, { chunk: CHUNK_BATCH_SIZE })
+
+            entity.loaders = JSON.stringify(loaders)
+            entity.status = chunks.length ? DocumentStoreStatus.SYNC : DocumentStoreStatus.EMPTY_SYNC
+            return { documentStore: DocumentStoreDTO.fromEntity(await repository.save(entity)), conflicts }
+        } catch (error) {
+            // Remove the partly imported store, so the archive can be imported again
+            await chunkRepository.delete({ storeId: entity.id })
+            await removeFilesFromStorage(DOCUMENT_STORE_BASE_FOLDER, entity.id)
+            await repository.delete({ id: entity.id })
+            throw error
+        }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: documentStoreServices.importDocumentStore - ${getErrorMessage(error)}`
+        )
+    }
+}
+
 // Get all component nodes
 const getDocumentLoaders = async () => {
     const removeDocumentLoadersWithName = ['documentStore', 'vectorStoreToDocument', 'unstructuredFolderLoader', 'folderFiles']
@@ -647,6 +1356,256 @@ const getDocumentLoaders = async () => {
     }
 }
 
+// Get the component nodes that can be used to upsert the chunks of a store
+const getUpsertComponents = async (type: string) => {
+    try {
+        const appServer = getRunningExpressApp()
+        const category = UPSERT_COMPONENT_CATEGORIES[type]
+        if (!category) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Unknown component type ${type}`)
+        }
+        const dbResponse = await nodesService.getAllNodesForCategory(category)
+        // Only vector stores with an upsert method, and not the deprecated Upsert and Load Existing nodes
+        return category === 'Vector Stores'
+            ? dbResponse.filter((node) => appServer.nodesPool.componentNodes[node.name].vectorStoreMethods?.upsert)
+            : dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: documentStoreServices.getUpsertComponents - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const _getComponentNodeData = (component: IDocumentStoreComponentConfig, category: string): INodeData => {
+    const appServer = getRunningExpressApp()
+    const componentNode = appServer.nodesPool.componentNodes[component.name]
+    if (!componentNode || componentNode.category !== category) {
+        throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `${category} node ${component.name} not found`)
+    }
+    return {
+        id: `${component.name}_0`,
+        label: componentNode.label,
+        name: componentNode.name,
+        type: componentNode.type,
+        icon: componentNode.icon,
+        version: componentNode.version,
+        category: componentNode.category,
+        baseClasses: componentNode.baseClasses,
+        inputs: { ...component.config },
+        outputs: {},
+        credential: component.credential || undefined,
+        inputParams: componentNode.inputs ?? [],
+        inputAnchors: [],
+        outputAnchors: []
+    }
+}
+
+const _initComponentNode = async (nodeData: INodeData, options: ICommonObject) => {
+    const appServer = getRunningExpressApp()
+    const nodeModule = await import(appServer.nodesPool.componentNodes[nodeData.name].filePath as string)
+    const newNodeInstance = new nodeModule.nodeClass()
+    return newNodeInstance.init(nodeData, '', options)
+}
+
+/**
+ * Upsert the chunks of a document store to a vector store, with the embeddings and optional record manager nodes.
+ * The configs are saved on the store so the next upsert can reuse them, and the upsert is recorded in the upsert history of the store.
+ * @param {IDocumentStoreUpsertData} data
+ */
+const insertIntoVectorStore = async (data: IDocumentStoreUpsertData) => {
+    try {
+        const appServer = getRunningExpressApp()
+        const entity = await appServer.AppDataSource.getRepository(DocumentStore).findOneBy({
+            id: data.storeId
+        })
+        if (!entity) {
+            throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Document store ${data.storeId} not found`)
+        }
+        if (entity.status !== DocumentStoreStatus.SYNC && entity.status !== DocumentStoreStatus.UPSERTED) {
+            throw new InternalFlowiseError(
+                StatusCodes.PRECONDITION_FAILED,
+                `Document store ${entity.name} must be in sync to be upserted, process its loaders first`
+            )
+        }
+        const chunks = await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).find({
+            where: { storeId: entity.id },
+            order: { docId: 'ASC', chunkNo: 'ASC' }
+        })
+        if (!chunks.length) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Document store ${entity.name} has no chunks to upsert`)
+        }
+
+        // The store id is used as chatflow id, it is the default namespace of record managers
+        const options: ICommonObject = {
+            chatflowid: entity.id,
+            appDataSource: appServer.AppDataSource,
+            databaseEntities,
+            logger
+        }
+        const upsertHistory: Record<string, any> = {}
+
+        const embeddingNodeData = _getComponentNodeData(data.embedding, 'Embeddings')
+        upsertHistory['flowData'] = saveUpsertFlowData(embeddingNodeData, upsertHistory)
+        const embeddings = await _initComponentNode(embeddingNodeData, options)
+
+        let recordManager
+        if (data.recordManager?.name) {
+            const recordManagerNodeData = _getComponentNodeData(data.recordManager, 'Record Manager')
+            upsertHistory['flowData'] = saveUpsertFlowData(recordManagerNodeData, upsertHistory)
+            recordManager = await _initComponentNode(recordManagerNodeData, options)
+        }
+
+        const vectorStoreNodeData = _getComponentNodeData(data.vectorStore, 'Vector Stores')
+        upsertHistory['flowData'] = saveUpsertFlowData(vectorStoreNodeData, upsertHistory)
+        const nodeModule = await import(appServer.nodesPool.componentNodes[vectorStoreNodeData.name].filePath as string)
+        const vectorStoreInstance = new nodeModule.nodeClass()
+        if (!vectorStoreInstance.vectorStoreMethods?.upsert) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Vector store ${vectorStoreNodeData.label} can not upsert`)
+        }
+        vectorStoreNodeData.inputs = {
+            ...vectorStoreNodeData.inputs,
+            document: chunks.map((chunk) => ({
+                pageContent: chunk.pageContent,
+                metadata: chunk.metadata ? JSON.parse(chunk.metadata) : {}
+            })),
+            embeddings,
+            recordManager
+        }
+        logger.debug(`[server]: Upserting document store ${entity.name} (${entity.id}) to ${vectorStoreNodeData.label}`)
+        const indexResult = await vectorStoreInstance.vectorStoreMethods.upsert.call(vectorStoreInstance, vectorStoreNodeData, options)
+
+        const newUpsertHistory = new UpsertHistory()
+        Object.assign(newUpsertHistory, {
+            chatflowid: entity.id,
+            flowData: JSON.stringify(upsertHistory['flowData']),
+            result: JSON.stringify(omit(indexResult ?? {}, ['totalKeys', 'addedDocs']))
+        })
+        await appServer.AppDataSource.getRepository(UpsertHistory).save(
+            appServer.AppDataSource.getRepository(UpsertHistory).create(newUpsertHistory)
+        )
+
+        entity.embeddingConfig = JSON.stringify(data.embedding)
+        entity.vectorStoreConfig = JSON.stringify(data.vectorStore)
+        entity.recordManagerConfig = data.recordManager?.name ? JSON.stringify(data.recordManager) : ''
+        entity.status = DocumentStoreStatus.UPSERTED
+        await appServer.AppDataSource.getRepository(DocumentStore).save(entity)
+
+        return indexResult ?? { result: 'Successfully Upserted' }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: documentStoreServices.insertIntoVectorStore - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const _getCosineSimilarity = (a: number[], b: number[]) => {
+    let dotProduct = 0
+    let normA = 0
+    let normB = 0
+    for (let i = 0; i < a.length; i++) {
+        dotProduct += a[i] * b[i]
+        normA += a[i] * a[i]
+        normB += b[i] * b[i]
+    }
+    return normA && normB ? dotProduct / (Math.sqrt(normA) * Math.sqrt(normB)) : 0
+}
+
+// Embeds the chunks of a store, the vectors of unchanged chunks are reused between retrieval tests
+const _getChunkEmbeddings = async (storeId: string, embeddingConfig: IDocumentStoreComponentConfig, chunks: DocumentStoreFileChunk[]) => {
+    const appServer = getRunningExpressApp()
+    const cacheKey = `${storeId}_${createHash('sha256').update(JSON.stringify(embeddingConfig)).digest('hex')}`
+    const cachedVectors = chunkEmbeddingsCache.get(cacheKey) ?? new Map<string, number[]>()
+
+    const options: ICommonObject = {
+        chatflowid: storeId,
+        appDataSource: appServer.AppDataSource,
+        databaseEntities,
+        logger
+    }
+    const embeddings = await _initComponentNode(_getComponentNodeData(embeddingConfig, 'Embeddings'), options)
+
+    const hashes = chunks.map((chunk) => _getChunkHash(chunk.pageContent, chunk.metadata))
+    const missingIndexes = hashes.map((hash, i) => (cachedVectors.has(hash) ? -1 : i)).filter((i) => i > -1)
+    if (missingIndexes.length) {
+        const vectors: number[][] = await embeddings.embedDocuments(missingIndexes.map((i) => chunks[i].pageContent))
+        missingIndexes.forEach((chunkIndex, i) => cachedVectors.set(hashes[chunkIndex], vectors[i]))
+    }
+
+    // only keep the vectors of the current chunks, the most recently used stores and configs are kept
+    const vectors: Map<string, number[]> = new Map(hashes.map((hash) => [hash, cachedVectors.get(hash) as number[]]))
+    chunkEmbeddingsCache.delete(cacheKey)
+    chunkEmbeddingsCache.set(cacheKey, vectors)
+    while (chunkEmbeddingsCache.size > MAX_CACHED_CHUNK_EMBEDDINGS) {
+        chunkEmbeddingsCache.delete(chunkEmbeddingsCache.keys().next().value as string)
+    }
+
+    return { embeddings, vectors: hashes.map((hash) => vectors.get(hash) as number[]) }
+}
+
+/**
+ * Rank the chunks of a document store against a query, to check the retrieval before upserting.
+ * Chunks are scored with BM25 over their content, or with the cosine similarity of their embeddings.
+ * @param {IDocumentStoreQueryData} data
+ */
+const queryDocumentStore = async (data: IDocumentStoreQueryData): Promise<IDocumentStoreQueryResponse> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const startTime = Date.now()
+        const entity = await appServer.AppDataSource.getRepository(DocumentStore).findOneBy({
+            id: data.storeId
+        })
+        if (!entity) {
+            throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Document store ${data.storeId} not found`)
+        }
+        const loaders: IDocumentStoreLoader[] = JSON.parse(entity.loaders)
+        const chunks = await appServer.AppDataSource.getRepository(DocumentStoreFileChunk).find({
+            where: data.loaderId ? { storeId: entity.id, docId: data.loaderId } : { storeId: entity.id },
+            order: { docId: 'ASC', chunkNo: 'ASC' }
+        })
+
+        let scores: number[] = []
+        if (chunks.length && data.mode === 'embeddings') {
+            if (!data.embedding?.name) {
+                throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `Embeddings are required to query with embeddings`)
+            }
+            const { embeddings, vectors } = await _getChunkEmbeddings(entity.id, data.embedding, chunks)
+            const queryVector: number[] = await embeddings.embedQuery(data.query)
+            scores = vectors.map((vector) => _getCosineSimilarity(queryVector, vector))
+        } else if (chunks.length) {
+            scores = getBM25Scores(
+                data.query,
+                chunks.map((chunk) => chunk.pageContent)
+            )
+        }
+
+        const results = chunks
+            .map((chunk, i) => ({
+                chunk,
+                loaderName: loaders.find((loader) => loader.id === chunk.docId)?.loaderName ?? '',
+                score: scores[i]
+            }))
+            // keyword scoring only ranks the chunks containing words of the query
+            .filter((result) => data.mode === 'embeddings' || result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, data.topK || DEFAULT_QUERY_TOP_K)
+
+        return {
+            query: data.query,
+            mode: data.mode,
+            totalChunks: chunks.length,
+            timeTaken: Date.now() - startTime,
+            results
+        }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: documentStoreServices.queryDocumentStore - ${getErrorMessage(error)}`
+        )
+    }
+}
+
 const updateDocumentStoreUsage = async (chatId: string, storeId: string | undefined) => {
     try {
         // find the document store
@@ -707,5 +1666,17 @@ export default {
     processAndSaveChunks,
     deleteDocumentStoreFileChunk,
     editDocumentStoreFileChunk,
-    getDocumentLoaders
+    bulkDeleteChunks,
+    bulkUpdateChunkMetadata,
+    bulkReplaceChunkContent,
+    getDocumentLoaders,
+    refreshLoader,
+    startLoaderRefresh,
+    resetInterruptedLoaders,
+    updateLoaderSchedule,
+    exportDocumentStore,
+    importDocumentStore,
+    getUpsertComponents,
+    insertIntoVectorStore,
+    queryDocumentStore
 }
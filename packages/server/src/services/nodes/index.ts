@@ -7,6 +7,7 @@ import { databaseEntities } from '../../utils'
 import logger from '../../utils/logger'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
 import { getErrorMessage } from '../../errors/utils'
+import { resolveWorkspaceId } from '../../utils/workspace'
 
 // Get all component nodes
 const getAllNodes = async () => {
@@ -86,7 +87,8 @@ const getSingleNodeIcon = async (nodeName: string) => {
     }
 }
 
-const getSingleNodeAsyncOptions = async (nodeName: string, requestBody: any): Promise<any> => {
+// requestBody.chatflowid is the chatflow being edited, unset for a chatflow not saved yet
+const getSingleNodeAsyncOptions = async (nodeName: string, requestBody: any, workspaceId?: string): Promise<any> => {
     try {
         const appServer = getRunningExpressApp()
         const nodeData: INodeData = requestBody
@@ -97,7 +99,9 @@ const getSingleNodeAsyncOptions = async (nodeName: string, requestBody: any): Pr
 
                 const dbResponse: INodeOptionsValue[] = await nodeInstance.loadMethods![methodName]!.call(nodeInstance, nodeData, {
                     appDataSource: appServer.AppDataSource,
-                    databaseEntities: databaseEntities
+                    databaseEntities: databaseEntities,
+                    chatflowid: requestBody.chatflowid,
+                    workspaceId: await resolveWorkspaceId(workspaceId)
                 })
 
                 return dbResponse
@@ -4,12 +4,16 @@ import { StatusCodes } from 'http-status-codes'
 import { utilBuildChatflow } from '../../utils/buildChatflow'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
 import { getErrorMessage } from '../../errors/utils'
+import { FlowValidationError } from '../../errors/flowValidationError'
+import { BudgetExceededError } from '../../errors/budgetExceededError'
 
 const buildChatflow = async (fullRequest: Request, ioServer: Server) => {
     try {
         const dbResponse = await utilBuildChatflow(fullRequest, ioServer)
         return dbResponse
     } catch (error) {
+        if (error instanceof FlowValidationError) throw error
+        if (error instanceof BudgetExceededError) throw error
         throw new InternalFlowiseError(
             StatusCodes.INTERNAL_SERVER_ERROR,
             `Error: predictionsServices.buildChatflow - ${getErrorMessage(error)}`
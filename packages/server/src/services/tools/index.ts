@@ -5,11 +5,13 @@ import { getAppVersion } from '../../utils'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
 import { getErrorMessage } from '../../errors/utils'
 
-const createTool = async (requestBody: any): Promise<any> => {
+const createTool = async (requestBody: any, author?: string): Promise<any> => {
     try {
         const appServer = getRunningExpressApp()
         const newTool = new Tool()
         Object.assign(newTool, requestBody)
+        newTool.createdBy = author
+        newTool.updatedBy = author
         const tool = await appServer.AppDataSource.getRepository(Tool).create(newTool)
         const dbResponse = await appServer.AppDataSource.getRepository(Tool).save(tool)
         await appServer.telemetry.sendTelemetry('tool_created', {
@@ -60,7 +62,7 @@ const getToolById = async (toolId: string): Promise<any> => {
     }
 }
 
-const updateTool = async (toolId: string, toolBody: any): Promise<any> => {
+const updateTool = async (toolId: string, toolBody: any, author?: string): Promise<any> => {
     try {
         const appServer = getRunningExpressApp()
         const tool = await appServer.AppDataSource.getRepository(Tool).findOneBy({
@@ -71,6 +73,8 @@ const updateTool = async (toolId: string, toolBody: any): Promise<any> => {
         }
         const updateTool = new Tool()
         Object.assign(updateTool, toolBody)
+        updateTool.createdBy = tool.createdBy
+        updateTool.updatedBy = author
         await appServer.AppDataSource.getRepository(Tool).merge(tool, updateTool)
         const dbResponse = await appServer.AppDataSource.getRepository(Tool).save(tool)
         return dbResponse
@@ -0,0 +1,244 @@
+import { StatusCodes } from 'http-status-codes'
+import { DatasetRunResultStatus, IModelTokenUsage, IUsageBucket, IUsageFilters, IUsageMetrics, IUsageReport } from '../../Interface'
+import { ChatFlow } from '../../database/entities/ChatFlow'
+import { ChatMessage } from '../../database/entities/ChatMessage'
+import { PredictionError } from '../../database/entities/PredictionError'
+import { DatasetRunResult } from '../../database/entities/DatasetRunResult'
+import { getRunningExpressApp } from '../../utils/getRunningExpressApp'
+import { getAPIKeys } from '../../utils/apiKey'
+import { getBudgetPeriodCost, getChatflowMonthlyBudget, parseMonthlyBudget } from '../../utils/tokenUsage'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import { getErrorMessage } from '../../errors/utils'
+
+const USAGE_BATCH_SIZE = 1000
+const DEFAULT_USAGE_DAYS = 30
+const MAX_USAGE_DAYS = 366
+const DAY_IN_MS = 24 * 60 * 60 * 1000
+
+const createMetrics = (): IUsageMetrics => ({ answers: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 })
+
+const addToMetrics = (metrics: IUsageMetrics, usage: Omit<IUsageMetrics, 'answers'>) => {
+    metrics.promptTokens += usage.promptTokens
+    metrics.completionTokens += usage.completionTokens
+    metrics.totalTokens += usage.totalTokens
+    metrics.cost += usage.cost
+}
+
+const parseUsageDate = (dateStr: string | undefined, defaultDate: Date) => {
+    if (!dateStr) return defaultDate
+    const date = new Date(dateStr)
+    if (isNaN(date.getTime())) throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Invalid date ${dateStr}`)
+    return date
+}
+
+const getDayKey = (date: Date, tzOffset: number) => new Date(date.getTime() - tzOffset * 60 * 1000).toISOString().slice(0, 10)
+
+const parseModelUsages = (tokenUsage?: string): IModelTokenUsage[] => {
+    if (!tokenUsage) return []
+    try {
+        return JSON.parse(tokenUsage)
+    } catch (e) {
+        return []
+    }
+}
+
+/**
+ * Get the token usage and cost of the predictions per day, chatflow, API key and model,
+ * along with the monthly budgets of the chatflows and API keys and how much of them is spent.
+ * @param {IUsageFilters} filters
+ */
+const getUsage = async (filters: IUsageFilters): Promise<IUsageReport> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const tzOffset = filters.tzOffset ?? 0
+        const toDate = parseUsageDate(filters.endDate, new Date())
+        const fromDate = parseUsageDate(filters.startDate, new Date(toDate.getTime() - (DEFAULT_USAGE_DAYS - 1) * DAY_IN_MS))
+        if (fromDate > toDate) throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Start date must be before end date`)
+        if (toDate.getTime() - fromDate.getTime() > MAX_USAGE_DAYS * DAY_IN_MS) {
+            throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Date range can not be longer than ${MAX_USAGE_DAYS} days`)
+        }
+
+        const buckets = new Map<string, IUsageMetrics>()
+        for (let time = fromDate.getTime(); time <= toDate.getTime(); time += DAY_IN_MS) {
+            buckets.set(getDayKey(new Date(time), tzOffset), createMetrics())
+        }
+        if (!buckets.has(getDayKey(toDate, tzOffset))) buckets.set(getDayKey(toDate, tzOffset), createMetrics())
+        const totals = createMetrics()
+        const chatflowMetrics = new Map<string, IUsageMetrics>()
+        const apiKeyMetrics = new Map<string, IUsageMetrics>()
+        const modelMetrics = new Map<string, IUsageMetrics>()
+
+        // Failed predictions used tokens too, they are not counted as answers
+        const addUsage = (
+            record: Pick<
+                ChatMessage,
+                'chatflowid' | 'apikeyid' | 'createdDate' | 'promptTokens' | 'completionTokens' | 'totalTokens' | 'cost' | 'tokenUsage'
+            >,
+            isAnswer: boolean
+        ) => {
+            const usage = {
+                promptTokens: record.promptTokens ?? 0,
+                completionTokens: record.completionTokens ?? 0,
+                totalTokens: record.totalTokens ?? 0,
+                cost: record.cost ?? 0
+            }
+            const groups = [totals, buckets.get(getDayKey(new Date(record.createdDate), tzOffset))]
+            if (!chatflowMetrics.has(record.chatflowid)) chatflowMetrics.set(record.chatflowid, createMetrics())
+            groups.push(chatflowMetrics.get(record.chatflowid))
+            if (record.apikeyid) {
+                if (!apiKeyMetrics.has(record.apikeyid)) apiKeyMetrics.set(record.apikeyid, createMetrics())
+                groups.push(apiKeyMetrics.get(record.apikeyid))
+            }
+            for (const metrics of groups) {
+                if (!metrics) continue
+                if (isAnswer) metrics.answers += 1
+                addToMetrics(metrics, usage)
+            }
+
+            for (const modelUsage of parseModelUsages(record.tokenUsage)) {
+                if (!modelMetrics.has(modelUsage.model)) modelMetrics.set(modelUsage.model, createMetrics())
+                const metrics = modelMetrics.get(modelUsage.model) as IUsageMetrics
+                if (isAnswer) metrics.answers += 1
+                addToMetrics(metrics, { ...modelUsage, cost: modelUsage.cost ?? 0 })
+            }
+        }
+
+        const query = appServer.AppDataSource.getRepository(ChatMessage)
+            .createQueryBuilder('chat_message')
+            .select([
+                'chat_message.id',
+                'chat_message.chatflowid',
+                'chat_message.apikeyid',
+                'chat_message.createdDate',
+                'chat_message.promptTokens',
+                'chat_message.completionTokens',
+                'chat_message.totalTokens',
+                'chat_message.cost',
+                'chat_message.tokenUsage'
+            ])
+            .where('chat_message.role = :role', { role: 'apiMessage' })
+            .andWhere('chat_message.totalTokens IS NOT NULL')
+            .andWhere('chat_message.createdDate >= :fromDate', { fromDate })
+            .andWhere('chat_message.createdDate <= :toDate', { toDate })
+        if (filters.chatflowid) query.andWhere('chat_message.chatflowid = :chatflowid', { chatflowid: filters.chatflowid })
+        if (filters.apikeyid) query.andWhere('chat_message.apikeyid = :apikeyid', { apikeyid: filters.apikeyid })
+        query.orderBy('chat_message.createdDate', 'ASC').addOrderBy('chat_message.id', 'ASC')
+
+        for (let offset = 0; ; offset += USAGE_BATCH_SIZE) {
+            const messages = await query.offset(offset).limit(USAGE_BATCH_SIZE).getMany()
+            for (const message of messages) addUsage(message, true)
+            if (messages.length < USAGE_BATCH_SIZE) break
+        }
+
+        const errorQuery = appServer.AppDataSource.getRepository(PredictionError)
+            .createQueryBuilder('prediction_error')
+            .select([
+                'prediction_error.id',
+                'prediction_error.chatflowid',
+                'prediction_error.apikeyid',
+                'prediction_error.createdDate',
+                'prediction_error.promptTokens',
+                'prediction_error.completionTokens',
+                'prediction_error.totalTokens',
+                'prediction_error.cost',
+                'prediction_error.tokenUsage'
+            ])
+            .where('prediction_error.totalTokens IS NOT NULL')
+            .andWhere('prediction_error.createdDate >= :fromDate', { fromDate })
+            .andWhere('prediction_error.createdDate <= :toDate', { toDate })
+        if (filters.chatflowid) errorQuery.andWhere('prediction_error.chatflowid = :chatflowid', { chatflowid: filters.chatflowid })
+        if (filters.apikeyid) errorQuery.andWhere('prediction_error.apikeyid = :apikeyid', { apikeyid: filters.apikeyid })
+        errorQuery.orderBy('prediction_error.createdDate', 'ASC').addOrderBy('prediction_error.id', 'ASC')
+
+        for (let offset = 0; ; offset += USAGE_BATCH_SIZE) {
+            const predictionErrors = await errorQuery.offset(offset).limit(USAGE_BATCH_SIZE).getMany()
+            for (const predictionError of predictionErrors) addUsage(predictionError, false)
+            if (predictionErrors.length < USAGE_BATCH_SIZE) break
+        }
+
+        // Rows of dataset runs save no chat message, their usage includes the LLM calls of the scorers
+        if (!filters.apikeyid) {
+            const datasetQuery = appServer.AppDataSource.getRepository(DatasetRunResult)
+                .createQueryBuilder('dataset_run_result')
+                .select([
+                    'dataset_run_result.id',
+                    'dataset_run_result.chatflowid',
+                    'dataset_run_result.status',
+                    'dataset_run_result.createdDate',
+                    'dataset_run_result.promptTokens',
+                    'dataset_run_result.completionTokens',
+                    'dataset_run_result.totalTokens',
+                    'dataset_run_result.cost',
+                    'dataset_run_result.tokenUsage'
+                ])
+                .where('dataset_run_result.totalTokens IS NOT NULL')
+                .andWhere('dataset_run_result.chatflowid IS NOT NULL')
+                .andWhere('dataset_run_result.createdDate >= :fromDate', { fromDate })
+                .andWhere('dataset_run_result.createdDate <= :toDate', { toDate })
+            if (filters.chatflowid) datasetQuery.andWhere('dataset_run_result.chatflowid = :chatflowid', { chatflowid: filters.chatflowid })
+            datasetQuery.orderBy('dataset_run_result.createdDate', 'ASC').addOrderBy('dataset_run_result.id', 'ASC')
+
+            for (let offset = 0; ; offset += USAGE_BATCH_SIZE) {
+                const results = await datasetQuery.offset(offset).limit(USAGE_BATCH_SIZE).getMany()
+                for (const result of results) {
+                    addUsage({ ...result, chatflowid: result.chatflowid as string }, result.status !== DatasetRunResultStatus.ERROR)
+                }
+                if (results.length < USAGE_BATCH_SIZE) break
+            }
+        }
+
+        const series: IUsageBucket[] = Array.from(buckets.entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, metrics]) => ({ date, ...metrics }))
+
+        // Chatflows and API keys with a budget are listed even without usage in the date range
+        const chatflows = await appServer.AppDataSource.getRepository(ChatFlow).find({ select: ['id', 'name', 'apiConfig'] })
+        const chatflowUsages: IUsageReport['chatflows'] = []
+        for (const chatflow of chatflows) {
+            if (filters.chatflowid && chatflow.id !== filters.chatflowid) continue
+            const monthlyBudget = getChatflowMonthlyBudget(chatflow)
+            const metrics = chatflowMetrics.get(chatflow.id)
+            if (!metrics && monthlyBudget === undefined) continue
+            chatflowUsages.push({
+                chatflowid: chatflow.id,
+                name: chatflow.name,
+                ...(metrics ?? createMetrics()),
+                monthlyBudget,
+                monthCost: monthlyBudget !== undefined ? await getBudgetPeriodCost({ chatflowid: chatflow.id }) : undefined
+            })
+        }
+
+        const apiKeyUsages: IUsageReport['apiKeys'] = []
+        for (const apiKey of await getAPIKeys()) {
+            if (filters.apikeyid && apiKey.id !== filters.apikeyid) continue
+            const monthlyBudget = parseMonthlyBudget(apiKey.monthlyBudget)
+            const metrics = apiKeyMetrics.get(apiKey.id)
+            if (!metrics && monthlyBudget === undefined) continue
+            apiKeyUsages.push({
+                apikeyid: apiKey.id,
+                keyName: apiKey.keyName,
+                ...(metrics ?? createMetrics()),
+                monthlyBudget,
+                monthCost: monthlyBudget !== undefined ? await getBudgetPeriodCost({ apikeyid: apiKey.id }) : undefined
+            })
+        }
+
+        return {
+            startDate: fromDate.toISOString(),
+            endDate: toDate.toISOString(),
+            totals,
+            series,
+            chatflows: chatflowUsages.sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens),
+            apiKeys: apiKeyUsages.sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens),
+            models: Array.from(modelMetrics.entries())
+                .map(([model, metrics]) => ({ model, ...metrics }))
+                .sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens)
+        }
+    } catch (error) {
+        throw new InternalFlowiseError(StatusCodes.INTERNAL_SERVER_ERROR, `Error: usageService.getUsage - ${getErrorMessage(error)}`)
+    }
+}
+
+export default {
+    getUsage
+}
@@ -0,0 +1,91 @@
+import { StatusCodes } from 'http-status-codes'
+import { getRunningExpressApp } from '../../utils/getRunningExpressApp'
+import { User } from '../../database/entities/User'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import { getErrorMessage } from '../../errors/utils'
+import { IUserResponse, UserRole } from '../../Interface'
+import { hashPassword, toUserResponse } from '../../utils/auth'
+
+// There must always be an admin left to manage users
+const checkRemainingAdmins = async (user: User, caller: string) => {
+    if (user.role !== 'admin') return
+    const appServer = getRunningExpressApp()
+    const adminsCount = await appServer.AppDataSource.getRepository(User).countBy({ role: 'admin' })
+    if (adminsCount <= 1) {
+        throw new InternalFlowiseError(
+            StatusCodes.PRECONDITION_FAILED,
+            `Error: usersService.${caller} - ${user.username} is the last admin`
+        )
+    }
+}
+
+const getAllUsers = async (): Promise<IUserResponse[]> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const dbResponse = await appServer.AppDataSource.getRepository(User).find({ order: { username: 'ASC' } })
+        return dbResponse.map(toUserResponse)
+    } catch (error) {
+        throw new InternalFlowiseError(StatusCodes.INTERNAL_SERVER_ERROR, `Error: usersService.getAllUsers - ${getErrorMessage(error)}`)
+    }
+}
+
+const createUser = async (username: string, password: string, role: UserRole): Promise<IUserResponse> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const repository = appServer.AppDataSource.getRepository(User)
+        const existingUser = await repository.findOneBy({ username })
+        if (existingUser) {
+            throw new InternalFlowiseError(StatusCodes.CONFLICT, `User ${username} already exists`)
+        }
+        // The first user manages the others, it is always an admin
+        const usersCount = await repository.count()
+        const newUser = repository.create({ username, password: hashPassword(password), role: usersCount ? role : 'admin' })
+        const dbResponse = await repository.save(newUser)
+        return toUserResponse(dbResponse)
+    } catch (error) {
+        throw new InternalFlowiseError(StatusCodes.INTERNAL_SERVER_ERROR, `Error: usersService.createUser - ${getErrorMessage(error)}`)
+    }
+}
+
+const updateUser = async (userId: string, body: { password?: string; role?: UserRole }): Promise<IUserResponse> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const repository = appServer.AppDataSource.getRepository(User)
+        const user = await repository.findOneBy({ id: userId })
+        if (!user) {
+            throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `User ${userId} not found`)
+        }
+        if (body.role && body.role !== user.role) {
+            await checkRemainingAdmins(user, 'updateUser')
+            user.role = body.role
+        }
+        if (body.password) user.password = hashPassword(body.password)
+        const dbResponse = await repository.save(user)
+        return toUserResponse(dbResponse)
+    } catch (error) {
+        throw new InternalFlowiseError(StatusCodes.INTERNAL_SERVER_ERROR, `Error: usersService.updateUser - ${getErrorMessage(error)}`)
+    }
+}
+
+const deleteUser = async (userId: string): Promise<any> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const repository = appServer.AppDataSource.getRepository(User)
+        const user = await repository.findOneBy({ id: userId })
+        if (!user) {
+            throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `User ${userId} not found`)
+        }
+        await checkRemainingAdmins(user, 'deleteUser')
+        const dbResponse = await repository.delete({ id: userId })
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(StatusCodes.INTERNAL_SERVER_ERROR, `Error: usersService.deleteUser - ${getErrorMessage(error)}`)
+    }
+}
+
+export default {
+    getAllUsers,
+    createUser,
+    updateUser,
+    deleteUser
+}
@@ -0,0 +1,40 @@
+import { StatusCodes } from 'http-status-codes'
+import { IFlowValidationResult, IReactFlowObject } from '../../Interface'
+import { getRunningExpressApp } from '../../utils/getRunningExpressApp'
+import { utilValidateFlowData } from '../../utils/validateFlowData'
+import chatflowsService from '../chatflows'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import { getErrorMessage } from '../../errors/utils'
+
+const validateFlowData = async (flowData: string): Promise<IFlowValidationResult> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const parsedFlowData: IReactFlowObject = JSON.parse(flowData)
+        return utilValidateFlowData(parsedFlowData.nodes ?? [], parsedFlowData.edges ?? [], appServer.nodesPool.componentNodes)
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: validationService.validateFlowData - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const validateChatflow = async (chatflowId: string): Promise<IFlowValidationResult> => {
+    try {
+        const chatflow = await chatflowsService.getChatflowById(chatflowId)
+        if (!chatflow) {
+            throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Chatflow ${chatflowId} not found in the database!`)
+        }
+        return await validateFlowData(chatflow.flowData)
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: validationService.validateChatflow - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+export default {
+    validateFlowData,
+    validateChatflow
+}
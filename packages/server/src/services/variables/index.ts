@@ -1,12 +1,14 @@
 import { StatusCodes } from 'http-status-codes'
 import { getRunningExpressApp } from '../../utils/getRunningExpressApp'
 import { Variable } from '../../database/entities/Variable'
+import { resolveWorkspaceId } from '../../utils/workspace'
 import { InternalFlowiseError } from '../../errors/internalFlowiseError'
 import { getErrorMessage } from '../../errors/utils'
 
-const createVariable = async (newVariable: Variable) => {
+const createVariable = async (newVariable: Variable, workspaceId?: string) => {
     try {
         const appServer = getRunningExpressApp()
+        newVariable.workspaceId = await resolveWorkspaceId(workspaceId)
         const variable = await appServer.AppDataSource.getRepository(Variable).create(newVariable)
         const dbResponse = await appServer.AppDataSource.getRepository(Variable).save(variable)
         return dbResponse
@@ -31,10 +33,10 @@ const deleteVariable = async (variableId: string): Promise<any> => {
     }
 }
 
-const getAllVariables = async () => {
+const getAllVariables = async (workspaceId?: string) => {
     try {
         const appServer = getRunningExpressApp()
-        const dbResponse = await appServer.AppDataSource.getRepository(Variable).find()
+        const dbResponse = await appServer.AppDataSource.getRepository(Variable).findBy(workspaceId ? { workspaceId } : {})
         return dbResponse
     } catch (error) {
         throw new InternalFlowiseError(
@@ -62,6 +64,7 @@ const getVariableById = async (variableId: string) => {
 const updateVariable = async (variable: Variable, updatedVariable: Variable) => {
     try {
         const appServer = getRunningExpressApp()
+        updatedVariable.workspaceId = variable.workspaceId
         const tmpUpdatedVariable = await appServer.AppDataSource.getRepository(Variable).merge(variable, updatedVariable)
         const dbResponse = await appServer.AppDataSource.getRepository(Variable).save(tmpUpdatedVariable)
         return dbResponse
@@ -0,0 +1,300 @@
+import { StatusCodes } from 'http-status-codes'
+import { omit } from 'lodash'
+import { getRunningExpressApp } from '../../utils/getRunningExpressApp'
+import { Workspace } from '../../database/entities/Workspace'
+import { ChatFlow } from '../../database/entities/ChatFlow'
+import { Credential } from '../../database/entities/Credential'
+import { Variable } from '../../database/entities/Variable'
+import { DocumentStore } from '../../database/entities/DocumentStore'
+import { InternalFlowiseError } from '../../errors/internalFlowiseError'
+import { getErrorMessage } from '../../errors/utils'
+import { IReactFlowObject, IWorkspaceTransferConflict, IWorkspaceTransferResponse, WorkspaceTransferMode } from '../../Interface'
+import { WORKSPACE_ENTITIES } from '../../utils/workspace'
+import chatflowsService from '../chatflows'
+
+// Credential of a node that was not saved in node.data.credential yet
+const FLOWISE_CREDENTIAL_ID = 'FLOWISE_CREDENTIAL_ID'
+
+// $vars.name and $vars['name'] in the code of custom functions, tools and loaders
+const FLOW_VARIABLE_PATTERN = /\$vars(?:\.([A-Za-z_$][\w$]*)|\[\s*['"`]([^'"`]+)['"`]\s*\])/g
+
+// Keys of the entity counts returned with each workspace, in the order of WORKSPACE_ENTITIES
+const WORKSPACE_COUNT_KEYS = ['chatflows', 'credentials', 'variables', 'documentStores']
+
+const getWorkspaceCounts = async (): Promise<Record<string, Record<string, number>>> => {
+    const appServer = getRunningExpressApp()
+    const counts: Record<string, Record<string, number>> = {}
+    for (const [index, entity] of WORKSPACE_ENTITIES.entries()) {
+        const rows = await appServer.AppDataSource.getRepository(entity)
+            .createQueryBuilder('entity')
+            .select('entity.workspaceId', 'workspaceId')
+            .addSelect('COUNT(*)', 'count')
+            .groupBy('entity.workspaceId')
+            .getRawMany()
+        for (const row of rows) {
+            if (!row.workspaceId) continue
+            counts[row.workspaceId] = { ...counts[row.workspaceId], [WORKSPACE_COUNT_KEYS[index]]: parseInt(row.count, 10) }
+        }
+    }
+    return counts
+}
+
+const getAllWorkspaces = async (): Promise<any> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const workspaces = await appServer.AppDataSource.getRepository(Workspace).find({ order: { createdDate: 'ASC' } })
+        const counts = await getWorkspaceCounts()
+        return workspaces.map((workspace) => ({
+            ...workspace,
+            ...Object.fromEntries(WORKSPACE_COUNT_KEYS.map((key) => [key, counts[workspace.id]?.[key] ?? 0]))
+        }))
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: workspacesService.getAllWorkspaces - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const createWorkspace = async (body: { name: string; description?: string }, author?: string): Promise<Workspace> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const repository = appServer.AppDataSource.getRepository(Workspace)
+        const existingWorkspace = await repository.findOneBy({ name: body.name })
+        if (existingWorkspace) {
+            throw new InternalFlowiseError(StatusCodes.CONFLICT, `Workspace ${body.name} already exists`)
+        }
+        const newWorkspace = repository.create({ name: body.name, description: body.description, createdBy: author, updatedBy: author })
+        const dbResponse = await repository.save(newWorkspace)
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: workspacesService.createWorkspace - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const updateWorkspace = async (workspaceId: string, body: { name?: string; description?: string }, author?: string): Promise<Workspace> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const repository = appServer.AppDataSource.getRepository(Workspace)
+        const workspace = await repository.findOneBy({ id: workspaceId })
+        if (!workspace) {
+            throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Workspace ${workspaceId} not found`)
+        }
+        if (body.name && body.name !== workspace.name) {
+            const existingWorkspace = await repository.findOneBy({ name: body.name })
+            if (existingWorkspace) {
+                throw new InternalFlowiseError(StatusCodes.CONFLICT, `Workspace ${body.name} already exists`)
+            }
+            workspace.name = body.name
+        }
+        if (body.description !== undefined) workspace.description = body.description
+        workspace.updatedBy = author
+        const dbResponse = await repository.save(workspace)
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: workspacesService.updateWorkspace - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+// Only empty workspaces can be deleted, and there must always be one left to add entities to
+const deleteWorkspace = async (workspaceId: string): Promise<any> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const repository = appServer.AppDataSource.getRepository(Workspace)
+        const workspace = await repository.findOneBy({ id: workspaceId })
+        if (!workspace) {
+            throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Workspace ${workspaceId} not found`)
+        }
+        if ((await repository.count()) <= 1) {
+            throw new InternalFlowiseError(StatusCodes.PRECONDITION_FAILED, `${workspace.name} is the last workspace`)
+        }
+        for (const entity of WORKSPACE_ENTITIES) {
+            if (await appServer.AppDataSource.getRepository(entity).countBy({ workspaceId })) {
+                throw new InternalFlowiseError(
+                    StatusCodes.PRECONDITION_FAILED,
+                    `Workspace ${workspace.name} is not empty, move or delete its chatflows, credentials, variables and document stores first`
+                )
+            }
+        }
+        const dbResponse = await repository.delete({ id: workspaceId })
+        return dbResponse
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: workspacesService.deleteWorkspace - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+const getFlowCredentialIds = (flowData: IReactFlowObject): string[] => {
+    const credentialIds = flowData.nodes.flatMap((node) => [node.data?.credential, node.data?.inputs?.[FLOWISE_CREDENTIAL_ID]])
+    return [...new Set(credentialIds.filter((credentialId): credentialId is string => typeof credentialId === 'string' && !!credentialId))]
+}
+
+const replaceFlowCredentialIds = (flowData: IReactFlowObject, credentialIds: Record<string, string>) => {
+    for (const node of flowData.nodes) {
+        if (node.data?.credential && credentialIds[node.data.credential]) node.data.credential = credentialIds[node.data.credential]
+        const inputCredentialId = node.data?.inputs?.[FLOWISE_CREDENTIAL_ID]
+        if (inputCredentialId && credentialIds[inputCredentialId])
+            node.data.inputs![FLOWISE_CREDENTIAL_ID] = credentialIds[inputCredentialId]
+    }
+}
+
+/**
+ * Copy credentials to a workspace, a credential with the same name and type in the workspace is used instead of a new copy
+ * @returns {Promise<Record<string, string>>} ids of the copies by id of the copied credential
+ */
+const copyCredentialsToWorkspace = async (
+    credentialIds: string[],
+    workspaceId: string,
+    author?: string
+): Promise<Record<string, string>> => {
+    const repository = getRunningExpressApp().AppDataSource.getRepository(Credential)
+    const copiedCredentialIds: Record<string, string> = {}
+    for (const credentialId of credentialIds) {
+        const credential = await repository.findOneBy({ id: credentialId })
+        if (!credential || credential.workspaceId === workspaceId) continue
+        const existingCredential = await repository.findOneBy({
+            workspaceId,
+            name: credential.name,
+            credentialName: credential.credentialName
+        })
+        if (existingCredential) {
+            copiedCredentialIds[credentialId] = existingCredential.id
+            continue
+        }
+        const newCredential = await repository.save(
+            repository.create({
+                name: credential.name,
+                credentialName: credential.credentialName,
+                encryptedData: credential.encryptedData,
+                workspaceId,
+                createdBy: author,
+                updatedBy: author
+            })
+        )
+        copiedCredentialIds[credentialId] = newCredential.id
+    }
+    return copiedCredentialIds
+}
+
+const getFlowVariableNames = (flowData: string): string[] => {
+    const names = Array.from(flowData.matchAll(FLOW_VARIABLE_PATTERN), (match) => match[1] ?? match[2])
+    return [...new Set(names)]
+}
+
+/**
+ * Copy the variables a chatflow uses to a workspace, a variable with the same name in the workspace is used instead of a new copy
+ */
+const copyVariablesToWorkspace = async (
+    names: string[],
+    sourceWorkspaceId: string | undefined,
+    workspaceId: string,
+    conflicts: IWorkspaceTransferConflict[]
+) => {
+    const repository = getRunningExpressApp().AppDataSource.getRepository(Variable)
+    for (const name of names) {
+        // Not a variable of the source workspace, it is set with overrideConfig
+        const variable = await repository.findOneBy({ workspaceId: sourceWorkspaceId, name })
+        if (!variable) continue
+        const existingVariable = await repository.findOneBy({ workspaceId, name })
+        if (!existingVariable) {
+            await repository.save(repository.create({ name, value: variable.value, type: variable.type, workspaceId }))
+        } else if (existingVariable.value !== variable.value || existingVariable.type !== variable.type) {
+            conflicts.push({
+                type: 'variable',
+                message: `Variable ${name} already exists in the workspace with another value, the value of the workspace is used`
+            })
+        }
+    }
+}
+
+// Document stores hold the embedded chunks of the workspace, they are not copied with the chatflows using them
+const checkFlowDocumentStores = async (flowData: IReactFlowObject, workspaceId: string, conflicts: IWorkspaceTransferConflict[]) => {
+    const repository = getRunningExpressApp().AppDataSource.getRepository(DocumentStore)
+    for (const node of flowData.nodes) {
+        const storeId = node.data?.name === 'documentStore' ? node.data.inputs?.selectedStore : undefined
+        if (!storeId) continue
+        const store = await repository.findOneBy({ id: storeId })
+        if (!store || store.workspaceId === workspaceId) continue
+        conflicts.push({
+            type: 'documentStore',
+            message: `Document store ${store.name} used by ${node.data.label} belongs to another workspace, move it or select another store`
+        })
+    }
+}
+
+/**
+ * Move or copy a chatflow to a workspace, with the credentials and variables its nodes use.
+ * Credentials and variables are copied, so the chatflows of the source workspace using them keep working.
+ * Document stores are not copied, the ones of another workspace are returned as conflicts.
+ * @param {string} workspaceId target workspace
+ * @param {string} chatflowId
+ * @param {WorkspaceTransferMode} mode
+ * @param {string} author
+ */
+const transferChatflow = async (
+    workspaceId: string,
+    chatflowId: string,
+    mode: WorkspaceTransferMode,
+    author?: string
+): Promise<IWorkspaceTransferResponse> => {
+    try {
+        const appServer = getRunningExpressApp()
+        const workspace = await appServer.AppDataSource.getRepository(Workspace).findOneBy({ id: workspaceId })
+        if (!workspace) {
+            throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Workspace ${workspaceId} not found`)
+        }
+        const chatflow = await appServer.AppDataSource.getRepository(ChatFlow).findOneBy({ id: chatflowId })
+        if (!chatflow) {
+            throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Chatflow ${chatflowId} not found`)
+        }
+        const conflicts: IWorkspaceTransferConflict[] = []
+        if (mode === 'move' && chatflow.workspaceId === workspaceId) return { chatflow, conflicts }
+
+        const flowData: IReactFlowObject = JSON.parse(chatflow.flowData)
+        const copiedCredentialIds = await copyCredentialsToWorkspace(getFlowCredentialIds(flowData), workspaceId, author)
+        replaceFlowCredentialIds(flowData, copiedCredentialIds)
+        if (chatflow.workspaceId !== workspaceId) {
+            await copyVariablesToWorkspace(getFlowVariableNames(chatflow.flowData), chatflow.workspaceId, workspaceId, conflicts)
+            await checkFlowDocumentStores(flowData, workspaceId, conflicts)
+        }
+
+        if (mode === 'copy') {
+            const newChatFlow = new ChatFlow()
+            Object.assign(newChatFlow, omit(chatflow, ['id', 'createdDate', 'updatedDate', 'workspaceId']))
+            newChatFlow.flowData = JSON.stringify(flowData)
+            const dbResponse = await chatflowsService.saveChatflow(newChatFlow, author, workspaceId)
+            return { chatflow: dbResponse, conflicts }
+        }
+
+        let dbResponse = chatflow
+        if (Object.keys(copiedCredentialIds).length) {
+            const updateChatFlow = new ChatFlow()
+            updateChatFlow.flowData = JSON.stringify(flowData)
+            dbResponse = await chatflowsService.updateChatflow(chatflow, updateChatFlow, author)
+        }
+        await appServer.AppDataSource.getRepository(ChatFlow).update({ id: chatflowId }, { workspaceId })
+        dbResponse.workspaceId = workspaceId
+        return { chatflow: dbResponse, conflicts }
+    } catch (error) {
+        throw new InternalFlowiseError(
+            StatusCodes.INTERNAL_SERVER_ERROR,
+            `Error: workspacesService.transferChatflow - ${getErrorMessage(error)}`
+        )
+    }
+}
+
+export default {
+    getAllWorkspaces,
+    createWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    transferChatflow
+}
@@ -3,6 +3,7 @@ import { ChatFlow } from '../database/entities/ChatFlow'
 import { InternalFlowiseError } from '../errors/internalFlowiseError'
 import { getRunningExpressApp } from '../utils/getRunningExpressApp'
 import { getErrorMessage } from '../errors/utils'
+import { getBudgetPeriodCost } from './tokenUsage'
 
 export const addChatflowsCount = async (keys: any) => {
     try {
@@ -25,6 +26,7 @@ export const addChatflowsCount = async (keys: any) => {
                     })
                 })
                 key.chatFlows = linkedChatFlows
+                key.monthCost = await getBudgetPeriodCost({ apikeyid: key.id })
                 updatedKeys.push(key)
             }
             tmpResult = updatedKeys
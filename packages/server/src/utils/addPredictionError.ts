@@ -0,0 +1,15 @@
+import { PredictionError } from '../database/entities/PredictionError'
+import { IPredictionError } from '../Interface'
+import { getRunningExpressApp } from '../utils/getRunningExpressApp'
+
+/**
+ * Method that add failed predictions.
+ * @param {Partial<IPredictionError>} predictionError
+ */
+export const utilAddPredictionError = async (predictionError: Partial<IPredictionError>): Promise<PredictionError> => {
+    const appServer = getRunningExpressApp()
+    const newPredictionError = new PredictionError()
+    Object.assign(newPredictionError, predictionError)
+    const dbResponse = await appServer.AppDataSource.getRepository(PredictionError).save(newPredictionError)
+    return dbResponse
+}
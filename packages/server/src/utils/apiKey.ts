@@ -1,9 +1,23 @@
 import { randomBytes, scryptSync, timingSafeEqual } from 'crypto'
 import { ICommonObject } from 'flowise-components'
+import { ApiKeyScope, IApiKeySettings } from '../Interface'
+import { ApiKey } from '../database/entities/ApiKey'
+import { getRunningExpressApp } from './getRunningExpressApp'
 import moment from 'moment'
 import fs from 'fs'
 import path from 'path'
 import logger from './logger'
+import { getErrorMessage } from '../errors/utils'
+
+const API_KEY_SETTINGS: (keyof IApiKeySettings)[] = ['scope', 'chatflows', 'documentStores', 'expiresAt', 'monthlyBudget']
+
+// Last used timestamps are only written once a minute, to not save the key on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000
+
+const CREATED_AT_FORMAT = 'DD-MMM-YY'
+
+// api.json is renamed once its keys are imported in the database
+const IMPORTED_FILE_SUFFIX = '.imported'
 
 /**
  * Returns the api key path
@@ -13,6 +27,12 @@ export const getAPIKeyPath = (): string => {
     return process.env.APIKEY_PATH ? path.join(process.env.APIKEY_PATH, 'api.json') : path.join(__dirname, '..', '..', 'api.json')
 }
 
+/**
+ * API keys are stored in the database, unless APIKEY_STORAGE_TYPE is set to json to keep them in api.json
+ * @returns {boolean}
+ */
+export const isAPIKeyFileStorage = (): boolean => process.env.APIKEY_STORAGE_TYPE === 'json'
+
 /**
  * Generate the api key
  * @returns {string}
@@ -45,53 +65,143 @@ export const compareKeys = (storedKey: string, suppliedKey: string): boolean =>
     return timingSafeEqual(Buffer.from(hashedPassword, 'hex'), buffer)
 }
 
+const createAPIKey = (keyName: string, settings: IApiKeySettings = {}): ICommonObject => {
+    const apiKey = generateAPIKey()
+    const apiSecret = generateSecretHash(apiKey)
+    const newKey: ICommonObject = {
+        keyName,
+        apiKey,
+        apiSecret,
+        createdAt: moment().format(CREATED_AT_FORMAT),
+        id: randomBytes(16).toString('hex')
+    }
+    for (const setting of API_KEY_SETTINGS) {
+        if (settings[setting] !== undefined) newKey[setting] = settings[setting]
+    }
+    return newKey
+}
+
+const readAPIKeysFile = async (): Promise<ICommonObject[] | undefined> => {
+    try {
+        const content = await fs.promises.readFile(getAPIKeyPath(), 'utf8')
+        return JSON.parse(content)
+    } catch (error) {
+        return undefined
+    }
+}
+
+const writeAPIKeysFile = async (keys: ICommonObject[]): Promise<void> => {
+    await fs.promises.writeFile(getAPIKeyPath(), JSON.stringify(keys), 'utf8')
+}
+
+const getAPIKeyRepository = () => getRunningExpressApp().AppDataSource.getRepository(ApiKey)
+
+// Keys stored in the database are returned in the same shape as the keys of api.json
+const toAPIKeyRecord = (entity: ApiKey): ICommonObject => {
+    const key: ICommonObject = {
+        keyName: entity.keyName,
+        apiKey: entity.apiKey,
+        apiSecret: entity.apiSecret,
+        createdAt: moment(entity.createdDate).format(CREATED_AT_FORMAT),
+        id: entity.id
+    }
+    if (entity.scope) key.scope = entity.scope
+    if (entity.chatflows) key.chatflows = JSON.parse(entity.chatflows)
+    if (entity.documentStores) key.documentStores = JSON.parse(entity.documentStores)
+    if (entity.expiresAt) key.expiresAt = new Date(entity.expiresAt).toISOString()
+    if (entity.monthlyBudget !== null && entity.monthlyBudget !== undefined) key.monthlyBudget = entity.monthlyBudget
+    if (entity.lastUsedAt) key.lastUsedAt = new Date(entity.lastUsedAt).toISOString()
+    if (entity.revokedAt) key.revokedAt = new Date(entity.revokedAt).toISOString()
+    return key
+}
+
+const toAPIKeyEntity = (key: ICommonObject): ApiKey => {
+    const entity = new ApiKey()
+    entity.id = key.id
+    entity.keyName = key.keyName
+    entity.apiKey = key.apiKey
+    entity.apiSecret = key.apiSecret
+    entity.scope = key.scope ?? null
+    entity.chatflows = key.chatflows?.length ? JSON.stringify(key.chatflows) : null
+    entity.documentStores = key.documentStores?.length ? JSON.stringify(key.documentStores) : null
+    entity.expiresAt = key.expiresAt ? new Date(key.expiresAt) : null
+    entity.monthlyBudget = key.monthlyBudget ?? null
+    entity.lastUsedAt = key.lastUsedAt ? new Date(key.lastUsedAt) : null
+    entity.revokedAt = key.revokedAt ? new Date(key.revokedAt) : null
+    return entity
+}
+
+// Add or replace a key in the storage
+const saveAPIKey = async (key: ICommonObject): Promise<void> => {
+    if (isAPIKeyFileStorage()) {
+        const existingAPIKeys = (await readAPIKeysFile()) ?? []
+        const keyIndex = existingAPIKeys.findIndex((existingKey) => existingKey.id === key.id)
+        if (keyIndex < 0) existingAPIKeys.push(key)
+        else existingAPIKeys[keyIndex] = key
+        await writeAPIKeysFile(existingAPIKeys)
+    } else {
+        await getAPIKeyRepository().save(toAPIKeyEntity(key))
+    }
+}
+
+/**
+ * Create the default API key when there is none.
+ * With the database storage, the keys of an existing api.json are imported the first time instead,
+ * the file is then renamed so deleted keys never come back from it.
+ * @returns {Promise<void>}
+ */
+export const initializeAPIKeys = async (): Promise<void> => {
+    if (isAPIKeyFileStorage()) {
+        if (!(await readAPIKeysFile())) await writeAPIKeysFile([createAPIKey('DefaultKey')])
+        return
+    }
+
+    const repository = getAPIKeyRepository()
+    if (await repository.count()) return
+    const fileAPIKeys = await readAPIKeysFile()
+    if (fileAPIKeys) {
+        const entities = fileAPIKeys.map((key) => {
+            const entity = toAPIKeyEntity(key)
+            const createdDate = moment(key.createdAt, CREATED_AT_FORMAT)
+            if (createdDate.isValid()) entity.createdDate = createdDate.toDate()
+            return entity
+        })
+        await repository.save(entities)
+        logger.info(`🔑 [server]: Imported ${fileAPIKeys.length} API keys from ${getAPIKeyPath()}`)
+        try {
+            await fs.promises.rename(getAPIKeyPath(), `${getAPIKeyPath()}${IMPORTED_FILE_SUFFIX}`)
+        } catch (error) {
+            logger.error(`[server]: Failed to rename imported ${getAPIKeyPath()}, remove it: ${getErrorMessage(error)}`)
+        }
+    } else {
+        await saveAPIKey(createAPIKey('DefaultKey'))
+    }
+}
+
 /**
  * Get API keys
  * @returns {Promise<ICommonObject[]>}
  */
 export const getAPIKeys = async (): Promise<ICommonObject[]> => {
-    try {
-        const content = await fs.promises.readFile(getAPIKeyPath(), 'utf8')
-        return JSON.parse(content)
-    } catch (error) {
-        const keyName = 'DefaultKey'
-        const apiKey = generateAPIKey()
-        const apiSecret = generateSecretHash(apiKey)
-        const content = [
-            {
-                keyName,
-                apiKey,
-                apiSecret,
-                createdAt: moment().format('DD-MMM-YY'),
-                id: randomBytes(16).toString('hex')
-            }
-        ]
-        await fs.promises.writeFile(getAPIKeyPath(), JSON.stringify(content), 'utf8')
-        return content
+    if (isAPIKeyFileStorage()) {
+        const existingAPIKeys = await readAPIKeysFile()
+        if (existingAPIKeys) return existingAPIKeys
+        await initializeAPIKeys()
+        return (await readAPIKeysFile()) ?? []
     }
+    const entities = await getAPIKeyRepository().find({ order: { createdDate: 'ASC' } })
+    return entities.map((entity) => toAPIKeyRecord(entity))
 }
 
 /**
  * Add new API key
  * @param {string} keyName
+ * @param {IApiKeySettings} settings
  * @returns {Promise<ICommonObject[]>}
  */
-export const addAPIKey = async (keyName: string): Promise<ICommonObject[]> => {
-    const existingAPIKeys = await getAPIKeys()
-    const apiKey = generateAPIKey()
-    const apiSecret = generateSecretHash(apiKey)
-    const content = [
-        ...existingAPIKeys,
-        {
-            keyName,
-            apiKey,
-            apiSecret,
-            createdAt: moment().format('DD-MMM-YY'),
-            id: randomBytes(16).toString('hex')
-        }
-    ]
-    await fs.promises.writeFile(getAPIKeyPath(), JSON.stringify(content), 'utf8')
-    return content
+export const addAPIKey = async (keyName: string, settings: IApiKeySettings = {}): Promise<ICommonObject[]> => {
+    await saveAPIKey(createAPIKey(keyName, settings))
+    return await getAPIKeys()
 }
 
 /**
@@ -100,6 +210,10 @@ export const addAPIKey = async (keyName: string): Promise<ICommonObject[]> => {
  * @returns {Promise<ICommonObject[]>}
  */
 export const getApiKey = async (apiKey: string) => {
+    if (!isAPIKeyFileStorage()) {
+        const entity = await getAPIKeyRepository().findOneBy({ apiKey })
+        return entity ? toAPIKeyRecord(entity) : undefined
+    }
     const existingAPIKeys = await getAPIKeys()
     const keyIndex = existingAPIKeys.findIndex((key) => key.apiKey === apiKey)
     if (keyIndex < 0) return undefined
@@ -110,27 +224,118 @@ export const getApiKey = async (apiKey: string) => {
  * Update existing API key
  * @param {string} keyIdToUpdate
  * @param {string} newKeyName
+ * @param {IApiKeySettings} settings settings left undefined are removed from the key
+ * @returns {Promise<ICommonObject[]>}
+ */
+export const updateAPIKey = async (keyIdToUpdate: string, newKeyName: string, settings: IApiKeySettings = {}): Promise<ICommonObject[]> => {
+    const existingAPIKeys = await getAPIKeys()
+    const key = existingAPIKeys.find((key) => key.id === keyIdToUpdate)
+    if (!key) return []
+    key.keyName = newKeyName
+    for (const setting of API_KEY_SETTINGS) {
+        if (settings[setting] !== undefined) key[setting] = settings[setting]
+        else delete key[setting]
+    }
+    await saveAPIKey(key)
+    return existingAPIKeys
+}
+
+/**
+ * Revoke API key, revoked keys are kept so their usage stays attributed to them
+ * @param {string} keyIdToRevoke
  * @returns {Promise<ICommonObject[]>}
  */
-export const updateAPIKey = async (keyIdToUpdate: string, newKeyName: string): Promise<ICommonObject[]> => {
+export const revokeAPIKey = async (keyIdToRevoke: string): Promise<ICommonObject[]> => {
     const existingAPIKeys = await getAPIKeys()
-    const keyIndex = existingAPIKeys.findIndex((key) => key.id === keyIdToUpdate)
-    if (keyIndex < 0) return []
-    existingAPIKeys[keyIndex].keyName = newKeyName
-    await fs.promises.writeFile(getAPIKeyPath(), JSON.stringify(existingAPIKeys), 'utf8')
+    const key = existingAPIKeys.find((key) => key.id === keyIdToRevoke)
+    if (!key) return []
+    if (!key.revokedAt) {
+        key.revokedAt = new Date().toISOString()
+        await saveAPIKey(key)
+    }
     return existingAPIKeys
 }
 
+// Time the last use of each key was checked by this server process
+const lastUsedCheckedAt: Map<string, number> = new Map()
+
+// Another replica may have recorded a use of the key within the interval already
+const isRecentlyUsed = (lastUsedAt?: string | Date | null): boolean =>
+    !!lastUsedAt && Date.now() - new Date(lastUsedAt).getTime() < LAST_USED_INTERVAL_MS
+
+/**
+ * Record that an API key has been used
+ * @param {string} keyId
+ * @returns {Promise<void>}
+ */
+export const updateAPIKeyLastUsed = async (keyId: string): Promise<void> => {
+    // Checked in memory first, so the storage is not read on every request made with the key
+    const lastChecked = lastUsedCheckedAt.get(keyId)
+    if (lastChecked && Date.now() - lastChecked < LAST_USED_INTERVAL_MS) return
+    lastUsedCheckedAt.set(keyId, Date.now())
+    if (isAPIKeyFileStorage()) {
+        const existingAPIKeys = (await readAPIKeysFile()) ?? []
+        const key = existingAPIKeys.find((key) => key.id === keyId)
+        if (!key || isRecentlyUsed(key.lastUsedAt)) return
+        key.lastUsedAt = new Date().toISOString()
+        await writeAPIKeysFile(existingAPIKeys)
+    } else {
+        const key = await getAPIKeyRepository().findOneBy({ id: keyId })
+        if (!key || isRecentlyUsed(key.lastUsedAt)) return
+        // Only the timestamp is written, so a concurrent update of the key from another replica is not overwritten
+        await getAPIKeyRepository().update({ id: keyId }, { lastUsedAt: new Date() })
+    }
+}
+
+/**
+ * Get the API key matching a key supplied by a client
+ * @param {string} suppliedKey
+ * @returns {Promise<ICommonObject | undefined>}
+ */
+export const getAPIKeyBySuppliedKey = async (suppliedKey: string): Promise<ICommonObject | undefined> => {
+    const key = await getApiKey(suppliedKey)
+    if (!key || !compareKeys(key.apiSecret, suppliedKey)) return undefined
+    return key
+}
+
+/**
+ * Get the scope of an API key
+ * @param {ICommonObject} key
+ * @returns {ApiKeyScope}
+ */
+export const getAPIKeyScope = (key: ICommonObject): ApiKeyScope => key.scope ?? 'admin'
+
+/**
+ * Get why an API key can not be used anymore, undefined when it can
+ * @param {ICommonObject} key
+ * @returns {string | undefined}
+ */
+export const getAPIKeyInactiveReason = (key: ICommonObject): string | undefined => {
+    if (key.revokedAt) return 'API key has been revoked'
+    if (key.expiresAt && new Date(key.expiresAt).getTime() <= Date.now()) return 'API key has expired'
+    return undefined
+}
+
+/**
+ * Check if an API key is restricted to some chatflows or document stores
+ * @param {ICommonObject} key
+ * @returns {boolean}
+ */
+export const isAPIKeyRestricted = (key: ICommonObject): boolean => !!(key.chatflows?.length || key.documentStores?.length)
+
 /**
  * Delete API key
  * @param {string} keyIdToDelete
  * @returns {Promise<ICommonObject[]>}
  */
 export const deleteAPIKey = async (keyIdToDelete: string): Promise<ICommonObject[]> => {
-    const existingAPIKeys = await getAPIKeys()
-    const result = existingAPIKeys.filter((key) => key.id !== keyIdToDelete)
-    await fs.promises.writeFile(getAPIKeyPath(), JSON.stringify(result), 'utf8')
-    return result
+    if (isAPIKeyFileStorage()) {
+        const existingAPIKeys = (await readAPIKeysFile()) ?? []
+        await writeAPIKeysFile(existingAPIKeys.filter((key) => key.id !== keyIdToDelete))
+    } else {
+        await getAPIKeyRepository().delete({ id: keyIdToDelete })
+    }
+    return await getAPIKeys()
 }
 
 /**
@@ -140,7 +345,14 @@ export const deleteAPIKey = async (keyIdToDelete: string): Promise<ICommonObject
  */
 export const replaceAllAPIKeys = async (content: ICommonObject[]): Promise<void> => {
     try {
-        await fs.promises.writeFile(getAPIKeyPath(), JSON.stringify(content), 'utf8')
+        if (isAPIKeyFileStorage()) {
+            await writeAPIKeysFile(content)
+        } else {
+            await getAPIKeyRepository().manager.transaction(async (manager) => {
+                await manager.createQueryBuilder().delete().from(ApiKey).execute()
+                await manager.save(content.map((key) => toAPIKeyEntity(key)))
+            })
+        }
     } catch (error) {
         logger.error(error)
     }
@@ -0,0 +1,248 @@
+import { NextFunction, Request, Response } from 'express'
+import { EntityTarget, ObjectLiteral } from 'typeorm'
+import { ICommonObject } from 'flowise-components'
+import { AuditLogAction, AuditLogActorType, AuditLogEntityType } from '../Interface'
+import { AuditLog } from '../database/entities/AuditLog'
+import { ChatFlow } from '../database/entities/ChatFlow'
+import { Credential } from '../database/entities/Credential'
+import { Variable } from '../database/entities/Variable'
+import { Tool } from '../database/entities/Tool'
+import { Assistant } from '../database/entities/Assistant'
+import { DocumentStore } from '../database/entities/DocumentStore'
+import { User } from '../database/entities/User'
+import { Workspace } from '../database/entities/Workspace'
+import { getRunningExpressApp } from './getRunningExpressApp'
+import { getAPIKeys } from './apiKey'
+import { getErrorMessage } from '../errors/utils'
+import logger from './logger'
+
+interface IAuditedRoute {
+    regex: RegExp
+    entityType: AuditLogEntityType
+    // Action of the route when it does not follow the request method, e.g. restoring a chatflow version
+    action?: AuditLogAction | ((req: Request) => AuditLogAction)
+    // Id of the entity, by default the first capture group of the regex
+    getEntityId?: (req: Request, match: RegExpMatchArray) => string | undefined
+    // Id of a created entity, by default the id of the response body
+    getCreatedId?: (req: Request, responseBody: any) => string | undefined
+}
+
+export const AUDIT_LOG_ACTIONS: AuditLogAction[] = ['CREATE', 'UPDATE', 'DELETE']
+
+export const AUDIT_LOG_ENTITY_TYPES: AuditLogEntityType[] = [
+    'chatflow',
+    'credential',
+    'variable',
+    'tool',
+    'apikey',
+    'assistant',
+    'documentstore',
+    'user',
+    'workspace'
+]
+
+const AUDITED_METHOD_ACTIONS: Record<string, AuditLogAction> = {
+    POST: 'CREATE',
+    PUT: 'UPDATE',
+    PATCH: 'UPDATE',
+    DELETE: 'DELETE'
+}
+
+// Express routing ignores case, the regexes do too
+const AUDITED_ROUTES: IAuditedRoute[] = [
+    { regex: /^\/api\/v1\/chatflows(?:\/([^/]+))?\/?$/i, entityType: 'chatflow' },
+    { regex: /^\/api\/v1\/chatflow-versions\/([^/]+)\/[^/]+\/restore\/?$/i, entityType: 'chatflow', action: 'UPDATE' },
+    { regex: /^\/api\/v1\/credentials(?:\/([^/]+))?\/?$/i, entityType: 'credential' },
+    { regex: /^\/api\/v1\/variables(?:\/([^/]+))?\/?$/i, entityType: 'variable' },
+    { regex: /^\/api\/v1\/tools(?:\/([^/]+))?\/?$/i, entityType: 'tool' },
+    { regex: /^\/api\/v1\/assistants(?:\/([^/]+))?\/?$/i, entityType: 'assistant' },
+    { regex: /^\/api\/v1\/users(?:\/([^/]+))?\/?$/i, entityType: 'user' },
+    { regex: /^\/api\/v1\/workspaces(?:\/([^/]+))?\/?$/i, entityType: 'workspace' },
+    {
+        regex: /^\/api\/v1\/workspaces\/[^/]+\/chatflows\/?$/i,
+        entityType: 'chatflow',
+        // Copies are new chatflows
+        action: (req) => (req.body?.mode === 'copy' ? 'CREATE' : 'UPDATE'),
+        getEntityId: (req) => req.body?.chatflowId
+    },
+    {
+        regex: /^\/api\/v1\/apikey(?:\/([^/]+))?\/?$/i,
+        entityType: 'apikey',
+        // The whole list of keys is returned on creation, the new key is the last one with the requested name
+        getCreatedId: (req, responseBody) =>
+            Array.isArray(responseBody)
+                ? responseBody.filter((apiKey: ICommonObject) => apiKey.keyName === req.body?.keyName).pop()?.id
+                : undefined
+    },
+    { regex: /^\/api\/v1\/apikey\/([^/]+)\/revoke\/?$/i, entityType: 'apikey', action: 'UPDATE' },
+    { regex: /^\/api\/v1\/document-store\/store(?:\/([^/]+))?\/?$/i, entityType: 'documentstore' },
+    // Loaders and chunks are part of their document store
+    { regex: /^\/api\/v1\/document-store\/(?:loader|chunks)\/([^/]+)\/.+$/i, entityType: 'documentstore', action: 'UPDATE' },
+    {
+        regex: /^\/api\/v1\/document-store\/(?:loader\/process|vectorstore\/insert)\/?$/i,
+        entityType: 'documentstore',
+        action: 'UPDATE',
+        getEntityId: (req) => req.body?.storeId
+    },
+    {
+        regex: /^\/api\/v1\/document-store\/import\/?$/i,
+        entityType: 'documentstore',
+        // The imported store is returned along with the conflicts
+        getCreatedId: (req, responseBody) => responseBody?.documentStore?.id
+    }
+]
+
+const ENTITY_TARGETS: Record<Exclude<AuditLogEntityType, 'apikey'>, EntityTarget<ObjectLiteral>> = {
+    chatflow: ChatFlow,
+    credential: Credential,
+    variable: Variable,
+    tool: Tool,
+    assistant: Assistant,
+    documentstore: DocumentStore,
+    user: User,
+    workspace: Workspace
+}
+
+const REDACTED_VALUE = '[REDACTED]'
+
+// Fields holding secrets, only the fact they changed is recorded
+const REDACTED_FIELDS = ['encryptedData', 'password', 'apiKey', 'apiSecret', 'value']
+
+// Fields changing without a configuration change
+const IGNORED_FIELDS = ['updatedDate', 'createdDate', 'updatedBy', 'lastUsedAt', 'lastLoginDate', 'createdAt']
+
+// Fields holding the config of a component node, only the node name is recorded
+const COMPONENT_CONFIG_FIELDS = ['embeddingConfig', 'vectorStoreConfig', 'recordManagerConfig']
+
+const MAX_VALUE_LENGTH = 500
+
+const getSnapshot = async (entityType: AuditLogEntityType, id?: string): Promise<ICommonObject | undefined> => {
+    if (!id) return undefined
+    if (entityType === 'apikey') return (await getAPIKeys()).find((apiKey) => apiKey.id === id)
+    const entity = await getRunningExpressApp().AppDataSource.getRepository(ENTITY_TARGETS[entityType]).findOneBy({ id })
+    return entity ?? undefined
+}
+
+const getEntityName = (entityType: AuditLogEntityType, snapshot?: ICommonObject): string | undefined => {
+    if (!snapshot) return undefined
+    if (entityType === 'apikey') return snapshot.keyName
+    if (entityType === 'user') return snapshot.username
+    if (entityType === 'assistant') {
+        try {
+            return JSON.parse(snapshot.details)?.name
+        } catch (error) {
+            return undefined
+        }
+    }
+    return snapshot.name
+}
+
+const summarizeValue = (field: string, value: any): any => {
+    if (value === undefined || value === null) return value
+    if (REDACTED_FIELDS.includes(field)) return REDACTED_VALUE
+    if (field === 'flowData') {
+        try {
+            const flowData = JSON.parse(value)
+            return `${flowData.nodes?.length ?? 0} nodes, ${flowData.edges?.length ?? 0} edges`
+        } catch (error) {
+            return undefined
+        }
+    }
+    if (COMPONENT_CONFIG_FIELDS.includes(field)) {
+        try {
+            return JSON.parse(value).name
+        } catch (error) {
+            return undefined
+        }
+    }
+    if (field === 'loaders') {
+        try {
+            return `${JSON.parse(value).length} loaders`
+        } catch (error) {
+            return undefined
+        }
+    }
+    const text = typeof value === 'string' ? value : value instanceof Date ? value.toISOString() : JSON.stringify(value)
+    return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}...` : value
+}
+
+const summarizeSnapshot = (snapshot: ICommonObject, fields: string[]): ICommonObject => {
+    const summary: ICommonObject = {}
+    for (const field of fields) summary[field] = summarizeValue(field, snapshot[field])
+    return summary
+}
+
+/**
+ * Summarize the before and after state of an entity, only the fields changed by an update are kept
+ * @param {ICommonObject} before
+ * @param {ICommonObject} after
+ * @returns {{ before?: string; after?: string }} JSON summaries
+ */
+const getAuditSummaries = (before?: ICommonObject, after?: ICommonObject): { before?: string; after?: string } => {
+    const fields = Object.keys({ ...before, ...after }).filter((field) => !IGNORED_FIELDS.includes(field))
+    const changedFields =
+        before && after ? fields.filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])) : fields
+    return {
+        before: before ? JSON.stringify(summarizeSnapshot(before, changedFields)) : undefined,
+        after: after ? JSON.stringify(summarizeSnapshot(after, changedFields)) : undefined
+    }
+}
+
+const getActor = (req: Request): { actor?: string; actorType: AuditLogActorType } => {
+    if (req.user) return { actor: req.user.username, actorType: 'user' }
+    if (req.apiKey) return { actor: req.apiKey.keyName, actorType: 'apikey' }
+    return { actorType: 'anonymous' }
+}
+
+/**
+ * Record the create, update and delete operations on configuration entities.
+ * The state of the entity is read before the request is handled and after the response is sent,
+ * failures to record an entry are logged and never fail the request.
+ */
+export const auditLogMiddleware = async (req: Request, res: Response, next: NextFunction) => {
+    const methodAction = AUDITED_METHOD_ACTIONS[req.method]
+    const matchedRoute = methodAction
+        ? AUDITED_ROUTES.map((route) => ({ route, match: req.path.match(route.regex) })).find(({ match }) => match)
+        : undefined
+    if (!matchedRoute?.match) return next()
+
+    const { route, match } = matchedRoute
+    const action = (typeof route.action === 'function' ? route.action(req) : route.action) ?? methodAction
+    let entityId = route.getEntityId ? route.getEntityId(req, match) : match[1]
+    let before: ICommonObject | undefined
+    try {
+        if (action !== 'CREATE') before = await getSnapshot(route.entityType, entityId)
+    } catch (error) {
+        logger.error(`[server]: Failed to read audited ${route.entityType} ${entityId}: ${getErrorMessage(error)}`)
+    }
+
+    let responseBody: any
+    const json = res.json.bind(res)
+    res.json = (body: any) => {
+        responseBody = body
+        return json(body)
+    }
+
+    res.on('finish', async () => {
+        if (res.statusCode >= 400) return
+        try {
+            if (action === 'CREATE') entityId = route.getCreatedId ? route.getCreatedId(req, responseBody) : responseBody?.id
+            const after = action !== 'DELETE' ? await getSnapshot(route.entityType, entityId) : undefined
+            const auditLogRepository = getRunningExpressApp().AppDataSource.getRepository(AuditLog)
+            await auditLogRepository.save(
+                auditLogRepository.create({
+                    ...getActor(req),
+                    ...getAuditSummaries(before, after),
+                    action,
+                    entityType: route.entityType,
+                    entityId,
+                    entityName: getEntityName(route.entityType, after ?? before),
+                    ip: req.ip
+                })
+            )
+        } catch (error) {
+            logger.error(`[server]: Failed to record audit log of ${route.entityType} ${entityId}: ${getErrorMessage(error)}`)
+        }
+    })
+    next()
+}
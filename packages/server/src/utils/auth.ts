@@ -0,0 +1,201 @@
+import { Request } from 'express'
+import { createHmac, timingSafeEqual } from 'crypto'
+import { StatusCodes } from 'http-status-codes'
+import { IUser, IUserResponse, UserRole } from '../Interface'
+import { User } from '../database/entities/User'
+import { InternalFlowiseError } from '../errors/internalFlowiseError'
+import { getRunningExpressApp } from './getRunningExpressApp'
+import { compareKeys, generateSecretHash } from './apiKey'
+import { getEncryptionKey } from '.'
+import logger from './logger'
+
+export const USER_ROLES: UserRole[] = ['admin', 'editor', 'viewer']
+
+// Routes only admins can call
+const ADMIN_ROUTES = ['/api/v1/users', '/api/v1/apikey', '/api/v1/audit-logs']
+
+// Routes viewers can POST to, as they only read data
+const VIEWER_POST_ROUTES = ['/api/v1/node-load-method', '/api/v1/document-store/query']
+
+// Routes returning decrypted secrets, viewers can not read them
+const SECRET_ROUTE_REGEX = /^\/api\/v1\/credentials\/[^/]+/i
+
+// Session tokens are JWTs, made of three dot separated segments, API keys have no dots
+const SESSION_TOKEN_REGEX = /^[\w-]+\.[\w-]+\.[\w-]+$/
+
+const DEFAULT_SESSION_EXPIRY_IN_MINUTES = 1440
+
+// Once users exist, authentication stays enabled for the lifetime of the server
+let hasUsers = false
+
+interface ISessionTokenPayload {
+    sub: string
+    username: string
+    iat: number
+    exp: number
+}
+
+const getUserRepository = () => getRunningExpressApp().AppDataSource.getRepository(User)
+
+const getSessionSecret = async (): Promise<string> => process.env.FLOWISE_JWT_SECRET || (await getEncryptionKey())
+
+const getSessionExpiryInSeconds = (): number => {
+    const expiry = parseInt(process.env.FLOWISE_JWT_EXPIRY_MINUTES ?? '', 10)
+    return (isNaN(expiry) || expiry <= 0 ? DEFAULT_SESSION_EXPIRY_IN_MINUTES : expiry) * 60
+}
+
+const signPayload = (content: string, secret: string): string => createHmac('sha256', secret).update(content).digest('base64url')
+
+const encodeSegment = (value: object): string => Buffer.from(JSON.stringify(value)).toString('base64url')
+
+const getAuthorizationHeader = (req: Request): string =>
+    (req.headers['Authorization'] as string) ?? (req.headers['authorization'] as string) ?? ''
+
+/**
+ * Check if the request targets one of the routes or a route below them.
+ * Express routing ignores case, so paths are compared in lower case, and only the path is compared, never the query string.
+ * @param {Request} req
+ * @param {string[]} routes
+ * @returns {boolean}
+ */
+export const isRequestToRoute = (req: Request, routes: string[]): boolean => {
+    const path = req.path.toLowerCase()
+    return routes.some((route) => {
+        const prefix = route.toLowerCase().replace(/\/$/, '')
+        return path === prefix || path.startsWith(`${prefix}/`)
+    })
+}
+
+/**
+ * Hash a user password
+ * @param {string} password
+ * @returns {string}
+ */
+export const hashPassword = (password: string): string => generateSecretHash(password)
+
+/**
+ * Check if the token is a session token rather than an API key
+ * @param {string} token
+ * @returns {boolean}
+ */
+export const isSessionToken = (token: string): boolean => SESSION_TOKEN_REGEX.test(token)
+
+/**
+ * Sign a session token for the user, as a JWT signed with HS256
+ * @param {IUser} user
+ * @returns {Promise<string>}
+ */
+export const signSessionToken = async (user: IUser): Promise<string> => {
+    const iat = Math.floor(Date.now() / 1000)
+    const payload: ISessionTokenPayload = { sub: user.id, username: user.username, iat, exp: iat + getSessionExpiryInSeconds() }
+    const content = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(payload)}`
+    return `${content}.${signPayload(content, await getSessionSecret())}`
+}
+
+/**
+ * Verify a session token signature and expiry
+ * @param {string} token
+ * @returns {Promise<ISessionTokenPayload | undefined>} the payload, when the token is valid
+ */
+export const verifySessionToken = async (token: string): Promise<ISessionTokenPayload | undefined> => {
+    if (!isSessionToken(token)) return undefined
+    const [header, payload, signature] = token.split('.')
+    const expectedSignature = Buffer.from(signPayload(`${header}.${payload}`, await getSessionSecret()))
+    const suppliedSignature = Buffer.from(signature)
+    if (expectedSignature.length !== suppliedSignature.length || !timingSafeEqual(expectedSignature, suppliedSignature)) return undefined
+    try {
+        const decodedPayload = JSON.parse(Buffer.from(payload, 'base64url').toString()) as ISessionTokenPayload
+        if (!decodedPayload.sub || decodedPayload.exp * 1000 < Date.now()) return undefined
+        return decodedPayload
+    } catch (error) {
+        return undefined
+    }
+}
+
+/**
+ * Remove the password hash from the user sent back to the client
+ * @param {IUser} user
+ * @returns {IUserResponse}
+ */
+export const toUserResponse = (user: IUser): IUserResponse => {
+    const { password: _password, ...userResponse } = user
+    return userResponse
+}
+
+/**
+ * Check the username and password of a user
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<User | undefined>} the user, when the credentials are valid
+ */
+export const verifyUserCredentials = async (username: string, password: string): Promise<User | undefined> => {
+    const user = await getUserRepository().findOneBy({ username })
+    if (!user || !compareKeys(user.password, password)) return undefined
+    return user
+}
+
+/**
+ * Check if user accounts exist, management routes then require a signed in user
+ * @returns {Promise<boolean>}
+ */
+export const isUserAuthEnabled = async (): Promise<boolean> => {
+    if (!hasUsers) hasUsers = (await getUserRepository().count()) > 0
+    return hasUsers
+}
+
+/**
+ * Make sure the user set with FLOWISE_USERNAME and FLOWISE_PASSWORD exists as an admin with the same password
+ */
+export const initializeUsers = async (): Promise<void> => {
+    const username = process.env.FLOWISE_USERNAME
+    const password = process.env.FLOWISE_PASSWORD
+    if (!username || !password) return
+
+    const repository = getUserRepository()
+    const user = await repository.findOneBy({ username })
+    if (!user) {
+        await repository.save(repository.create({ username, password: hashPassword(password), role: 'admin' }))
+        logger.info(`👤 [server]: Created admin user ${username} from FLOWISE_USERNAME`)
+    } else if (!compareKeys(user.password, password) || user.role !== 'admin') {
+        await repository.update({ id: user.id }, { password: hashPassword(password), role: 'admin' })
+        logger.info(`👤 [server]: Updated admin user ${username} from FLOWISE_USERNAME`)
+    }
+}
+
+/**
+ * Authenticate the user of the request, with a session token or basic auth
+ * @param {Request} req
+ * @returns {Promise<User>}
+ */
+export const utilAuthenticateUser = async (req: Request): Promise<User> => {
+    const authorizationHeader = getAuthorizationHeader(req)
+    let user: User | null | undefined
+    if (authorizationHeader.startsWith('Bearer ')) {
+        const payload = await verifySessionToken(authorizationHeader.slice('Bearer '.length))
+        if (payload) user = await getUserRepository().findOneBy({ id: payload.sub })
+    } else if (authorizationHeader.startsWith('Basic ')) {
+        const credentials = Buffer.from(authorizationHeader.slice('Basic '.length), 'base64').toString()
+        const separatorIndex = credentials.indexOf(':')
+        if (separatorIndex > 0) {
+            user = await verifyUserCredentials(credentials.slice(0, separatorIndex), credentials.slice(separatorIndex + 1))
+        }
+    }
+    if (!user) throw new InternalFlowiseError(StatusCodes.UNAUTHORIZED, `Unauthorized`)
+    return user
+}
+
+/**
+ * Check that the role of the user allows the request
+ * @param {IUser} user
+ * @param {Request} req
+ */
+export const utilAuthorizeUser = (user: IUser, req: Request): void => {
+    if (user.role === 'admin') return
+    const isForbidden =
+        isRequestToRoute(req, ADMIN_ROUTES) ||
+        (user.role === 'viewer' &&
+            ((req.method !== 'GET' && !isRequestToRoute(req, VIEWER_POST_ROUTES)) || SECRET_ROUTE_REGEX.test(req.path)))
+    if (isForbidden) {
+        throw new InternalFlowiseError(StatusCodes.FORBIDDEN, `User ${user.username} with role ${user.role} can not access ${req.path}`)
+    }
+}
@@ -0,0 +1,42 @@
+// Okapi BM25 parameters: term frequency saturation and document length normalization
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+
+/**
+ * Split a text into lowercase words, in any language
+ * @param {string} text
+ */
+export const tokenize = (text: string): string[] => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []
+
+/**
+ * Score documents against a query with Okapi BM25, the scores are in the same order as the documents.
+ * Documents without any word of the query score 0.
+ * @param {string} query
+ * @param {string[]} documents
+ */
+export const getBM25Scores = (query: string, documents: string[]): number[] => {
+    const queryTerms = Array.from(new Set(tokenize(query)))
+    const documentTerms = documents.map((document) => tokenize(document))
+    const averageLength = documentTerms.reduce((acc, terms) => acc + terms.length, 0) / (documents.length || 1)
+
+    const termFrequencies = documentTerms.map((terms) => {
+        const frequencies: Map<string, number> = new Map()
+        for (const term of terms) frequencies.set(term, (frequencies.get(term) ?? 0) + 1)
+        return frequencies
+    })
+    const inverseDocumentFrequencies: Map<string, number> = new Map()
+    for (const term of queryTerms) {
+        const documentCount = termFrequencies.filter((frequencies) => frequencies.has(term)).length
+        inverseDocumentFrequencies.set(term, Math.log(1 + (documents.length - documentCount + 0.5) / (documentCount + 0.5)))
+    }
+
+    return termFrequencies.map((frequencies, i) => {
+        const lengthRatio = averageLength ? documentTerms[i].length / averageLength : 0
+        return queryTerms.reduce((score, term) => {
+            const frequency = frequencies.get(term) ?? 0
+            if (!frequency) return score
+            const idf = inverseDocumentFrequencies.get(term) ?? 0
+            return score + (idf * frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio))
+        }, 0)
+    })
+}
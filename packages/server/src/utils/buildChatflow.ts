@@ -1,8 +1,21 @@
 import { Request } from 'express'
 import { IFileUpload, convertSpeechToText, ICommonObject, addSingleFileToStorage, addArrayFilesToStorage } from 'flowise-components'
 import { StatusCodes } from 'http-status-codes'
-import { IncomingInput, IMessage, INodeData, IReactFlowObject, IReactFlowNode, IDepthQueue, chatType, IChatMessage } from '../Interface'
+import {
+    IncomingInput,
+    IMessage,
+    INodeData,
+    IReactFlowObject,
+    IReactFlowNode,
+    IDepthQueue,
+    chatType,
+    IChatMessage,
+    IPredictionError,
+    IExecutionTraceEntry,
+    ChatflowExecutor
+} from '../Interface'
 import { InternalFlowiseError } from '../errors/internalFlowiseError'
+import { getErrorMessage } from '../errors/utils'
 import { ChatFlow } from '../database/entities/ChatFlow'
 import { Server } from 'socket.io'
 import { getRunningExpressApp } from '../utils/getRunningExpressApp'
@@ -30,14 +43,90 @@ import { omit } from 'lodash'
 import * as fs from 'fs'
 import logger from './logger'
 import { utilAddChatMessage } from './addChatMesage'
+import { utilAddPredictionError } from './addPredictionError'
+import { utilAssertValidFlowData } from './validateFlowData'
+import { FlowValidationError } from '../errors/flowValidationError'
+import { BudgetExceededError } from '../errors/budgetExceededError'
+import { ExecutionTracer } from './executionTracer'
+import { getTokenUsageFromTrace, utilCheckBudgets } from './tokenUsage'
+
+const DEFAULT_CHATFLOW_NODE_MAX_DEPTH = 5
+
+/**
+ * Save a failed prediction with its execution trace, it is counted in the analytics, usage and budgets.
+ * Failures to save it are logged, the error of the prediction is the one returned to the caller.
+ */
+const saveFailedPrediction = async (
+    failedPrediction: Omit<IPredictionError, 'id' | 'createdDate' | 'error'>,
+    error: string,
+    executionTrace: IExecutionTraceEntry[]
+) => {
+    try {
+        await utilAddPredictionError({
+            ...failedPrediction,
+            error,
+            ...(executionTrace.length ? { executionTrace: JSON.stringify(executionTrace), ...getTokenUsageFromTrace(executionTrace) } : {})
+        })
+    } catch (e) {
+        logger.error(`[server]: Failed to save failed prediction of chatflow ${failedPrediction.chatflowid}: ${getErrorMessage(e)}`)
+    }
+}
+
+/**
+ * Create the executor used by Chatflow nodes to run another chatflow in-process through the prediction path.
+ * Throws when the child chatflow is already being executed up the call stack or the max depth is reached.
+ * @param {string[]} callStack ids of the chatflows being executed, outermost first
+ * @param {string} chatId
+ * @param {ExecutionTracer} executionTracer shared with the child so its nodes are traced under the Chatflow node
+ */
+const getChatflowExecutor = (callStack: string[], chatId: string, executionTracer: ExecutionTracer): ChatflowExecutor => {
+    return async (childChatflowId: string, question: string, overrideConfig?: ICommonObject) => {
+        if (callStack.includes(childChatflowId)) {
+            throw new InternalFlowiseError(
+                StatusCodes.BAD_REQUEST,
+                `Chatflow cycle detected: ${[...callStack, childChatflowId].join(' -> ')}`
+            )
+        }
+        const maxDepth = parseInt(process.env.CHATFLOW_NODE_MAX_DEPTH ?? '', 10) || DEFAULT_CHATFLOW_NODE_MAX_DEPTH
+        if (callStack.length > maxDepth) {
+            throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Chatflow max depth of ${maxDepth} nested chatflows exceeded`)
+        }
+        const childReq = { params: { id: childChatflowId }, body: { question, overrideConfig, chatId } } as unknown as Request
+        // The subflow answers the parent prediction, only the parent saves chat messages
+        return await utilBuildChatflow(childReq, undefined, true, {
+            callStack,
+            parentExecutionTracer: executionTracer,
+            saveMessages: false
+        })
+    }
+}
+
+export interface IBuildChatflowOptions {
+    // ids of the parent chatflows when executed from a Chatflow node
+    callStack?: string[]
+    // tracer of the parent prediction when executed from a Chatflow node
+    parentExecutionTracer?: ExecutionTracer
+    // false to run the chatflow without saving chat messages, they would show up in its logs, memory and analytics
+    saveMessages?: boolean
+}
 
 /**
  * Build Chatflow
  * @param {Request} req
  * @param {Server} socketIO
  * @param {boolean} isInternal
+ * @param {IBuildChatflowOptions} options
  */
-export const utilBuildChatflow = async (req: Request, socketIO?: Server, isInternal: boolean = false): Promise<any> => {
+export const utilBuildChatflow = async (
+    req: Request,
+    socketIO?: Server,
+    isInternal: boolean = false,
+    { callStack = [], parentExecutionTracer, saveMessages = true }: IBuildChatflowOptions = {}
+): Promise<any> => {
+    // Set once the caller is allowed to run the chatflow, a failure after that is saved as a failed prediction
+    let failedPrediction: Omit<IPredictionError, 'id' | 'createdDate' | 'error'> | undefined
+    let executionTracer: ExecutionTracer | undefined
+    let traceRootEntryId: string | undefined
     try {
         const appServer = getRunningExpressApp()
         const chatflowid = req.params.id
@@ -52,12 +141,26 @@ export const utilBuildChatflow = async (req: Request, socketIO?: Server, isInter
 
         const chatId = incomingInput.chatId ?? incomingInput.overrideConfig?.sessionId ?? uuidv4()
         const userMessageDateTime = new Date()
+        executionTracer = parentExecutionTracer ?? new ExecutionTracer(socketIO, incomingInput.socketIOClientId)
+        traceRootEntryId = executionTracer.activeEntryId
+        const executeChatflow = getChatflowExecutor([...callStack, chatflowid], chatId, executionTracer)
 
+        // Usage is attributed to the API key only when one was required to call the chatflow
+        let apikeyid: string | undefined
         if (!isInternal) {
-            const isKeyValidated = await utilValidateKey(req, chatflow)
-            if (!isKeyValidated) {
+            const { isValid, apiKey } = await utilValidateKey(req, chatflow)
+            if (!isValid) {
                 throw new InternalFlowiseError(StatusCodes.UNAUTHORIZED, `Unauthorized`)
             }
+            apikeyid = apiKey?.id
+        }
+
+        await utilCheckBudgets(chatflow, apikeyid)
+
+        failedPrediction = { chatflowid, chatId, chatType: isInternal ? chatType.INTERNAL : chatType.EXTERNAL, apikeyid }
+
+        if (process.env.BLOCK_INVALID_PREDICTION === 'true') {
+            utilAssertValidFlowData(chatflow.flowData, appServer.nodesPool.componentNodes)
         }
 
         let fileUploads: IFileUpload[] = []
@@ -264,7 +367,9 @@ export const utilBuildChatflow = async (req: Request, socketIO?: Server, isInter
                 appServer.cachePool,
                 false,
                 undefined,
-                incomingInput.uploads
+                incomingInput.uploads,
+                executeChatflow,
+                executionTracer
             )
 
             const nodeToExecute =
@@ -291,27 +396,39 @@ export const utilBuildChatflow = async (req: Request, socketIO?: Server, isInter
         const nodeModule = await import(nodeInstanceFilePath)
         const nodeInstance = new nodeModule.nodeClass({ sessionId })
 
-        let result = isStreamValid
-            ? await nodeInstance.run(nodeToExecuteData, incomingInput.question, {
-                  chatId,
-                  chatflowid,
-                  logger,
-                  appDataSource: appServer.AppDataSource,
-                  databaseEntities,
-                  analytic: chatflow.analytic,
-                  uploads: incomingInput.uploads,
-                  socketIO,
-                  socketIOClientId: incomingInput.socketIOClientId
-              })
-            : await nodeInstance.run(nodeToExecuteData, incomingInput.question, {
-                  chatId,
-                  chatflowid,
-                  logger,
-                  appDataSource: appServer.AppDataSource,
-                  databaseEntities,
-                  analytic: chatflow.analytic,
-                  uploads: incomingInput.uploads
-              })
+        const traceEntryId = executionTracer.startNode(chatflowid, nodeToExecuteData, 'run')
+        let result
+        try {
+            result = isStreamValid
+                ? await nodeInstance.run(nodeToExecuteData, incomingInput.question, {
+                      chatId,
+                      chatflowid,
+                      logger,
+                      appDataSource: appServer.AppDataSource,
+                      databaseEntities,
+                      analytic: chatflow.analytic,
+                      uploads: incomingInput.uploads,
+                      socketIO,
+                      socketIOClientId: incomingInput.socketIOClientId,
+                      executeChatflow,
+                      onTokenUsage: executionTracer.addTokenUsage
+                  })
+                : await nodeInstance.run(nodeToExecuteData, incomingInput.question, {
+                      chatId,
+                      chatflowid,
+                      logger,
+                      appDataSource: appServer.AppDataSource,
+                      databaseEntities,
+                      analytic: chatflow.analytic,
+                      uploads: incomingInput.uploads,
+                      executeChatflow,
+                      onTokenUsage: executionTracer.addTokenUsage
+                  })
+        } catch (e) {
+            executionTracer.failNode(traceEntryId, e)
+            throw e
+        }
+        executionTracer.endNode(traceEntryId, result)
         result = typeof result === 'string' ? { text: result } : result
 
         // Retrieve threadId from assistant if exists
@@ -329,9 +446,10 @@ export const utilBuildChatflow = async (req: Request, socketIO?: Server, isInter
             sessionId,
             createdDate: userMessageDateTime,
             fileUploads: incomingInput.uploads ? JSON.stringify(fileUploads) : undefined,
-            leadEmail: incomingInput.leadEmail
+            leadEmail: incomingInput.leadEmail,
+            apikeyid
         }
-        await utilAddChatMessage(userMessage)
+        if (saveMessages) await utilAddChatMessage(userMessage)
 
         let resultText = ''
         if (result.text) resultText = result.text
@@ -345,12 +463,18 @@ export const utilBuildChatflow = async (req: Request, socketIO?: Server, isInter
             chatType: isInternal ? chatType.INTERNAL : chatType.EXTERNAL,
             chatId,
             memoryType,
-            sessionId
+            sessionId,
+            apikeyid
         }
         if (result?.sourceDocuments) apiMessage.sourceDocuments = JSON.stringify(result.sourceDocuments)
         if (result?.usedTools) apiMessage.usedTools = JSON.stringify(result.usedTools)
         if (result?.fileAnnotations) apiMessage.fileAnnotations = JSON.stringify(result.fileAnnotations)
-        const chatMessage = await utilAddChatMessage(apiMessage)
+        const executionTrace = executionTracer.getEntries(traceRootEntryId)
+        if (executionTrace.length) {
+            apiMessage.executionTrace = JSON.stringify(executionTrace)
+            Object.assign(apiMessage, getTokenUsageFromTrace(executionTrace))
+        }
+        const chatMessage = saveMessages ? await utilAddChatMessage(apiMessage) : undefined
 
         logger.debug(`[server]: Finished running ${nodeToExecuteData.label} (${nodeToExecuteData.id})`)
         await appServer.telemetry.sendTelemetry('prediction_sent', {
@@ -366,13 +490,20 @@ export const utilBuildChatflow = async (req: Request, socketIO?: Server, isInter
         // this is used when input text is empty but question is in audio format
         result.question = incomingInput.question
         result.chatId = chatId
-        result.chatMessageId = chatMessage.id
+        if (chatMessage) result.chatMessageId = chatMessage.id
         if (sessionId) result.sessionId = sessionId
         if (memoryType) result.memoryType = memoryType
+        if (isInternal && executionTrace.length) result.executionTrace = executionTrace
 
         return result
     } catch (e: any) {
         logger.error('[server]: Error:', e)
+        if (saveMessages && failedPrediction && executionTracer) {
+            await saveFailedPrediction(failedPrediction, getErrorMessage(e), executionTracer.getEntries(traceRootEntryId))
+        }
+        // Keep validation issues intact so the caller receives a structured 400
+        if (e instanceof FlowValidationError) throw e
+        if (e instanceof BudgetExceededError) throw e
         throw new InternalFlowiseError(StatusCodes.INTERNAL_SERVER_ERROR, e.message)
     }
 }
@@ -0,0 +1,124 @@
+/**
+ * Minimal cron expression support for the refresh schedules of document store loaders.
+ * Expressions have 5 fields: minute, hour, day of month, month and day of week (0 or 7 = Sunday).
+ * Each field accepts `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps (`*\/15`, `0-30/10`).
+ */
+
+interface ICronField {
+    min: number
+    max: number
+}
+
+// minute, hour, day of month, month, day of week
+const CRON_FIELDS: ICronField[] = [
+    { min: 0, max: 59 },
+    { min: 0, max: 23 },
+    { min: 1, max: 31 },
+    { min: 1, max: 12 },
+    { min: 0, max: 7 }
+]
+
+// Upper bound of the search for the next run, a schedule such as `0 0 30 2 *` never matches
+// while `0 0 29 2 *` can be 8 years away
+const MAX_SEARCH_YEARS = 8
+
+interface IParsedCron {
+    minutes: Set<number>
+    hours: Set<number>
+    daysOfMonth: Set<number>
+    months: Set<number>
+    daysOfWeek: Set<number>
+    anyDayOfMonth: boolean
+    anyDayOfWeek: boolean
+}
+
+const parseNumber = (value: string, field: ICronField, expression: string): number => {
+    const parsed = Number(value)
+    if (!/^\d+$/.test(value) || parsed < field.min || parsed > field.max) {
+        throw new Error(`Invalid cron expression "${expression}": ${value} is not between ${field.min} and ${field.max}`)
+    }
+    return parsed
+}
+
+const parseField = (value: string, field: ICronField, expression: string): Set<number> => {
+    const values = new Set<number>()
+    for (const part of value.split(',')) {
+        const [range, stepValue] = part.split('/')
+        const step = stepValue === undefined ? 1 : parseNumber(stepValue, { min: 1, max: field.max }, expression)
+        let start = field.min
+        let end = field.max
+        if (range !== '*') {
+            const bounds = range.split('-')
+            if (bounds.length > 2) throw new Error(`Invalid cron expression "${expression}": ${part}`)
+            start = parseNumber(bounds[0], field, expression)
+            // a single value with a step runs from that value to the end of the field
+            end = bounds.length === 2 ? parseNumber(bounds[1], field, expression) : stepValue === undefined ? start : field.max
+            if (start > end) throw new Error(`Invalid cron expression "${expression}": ${part}`)
+        }
+        for (let i = start; i <= end; i += step) values.add(i)
+    }
+    return values
+}
+
+const parseCronExpression = (expression: string): IParsedCron => {
+    const fields = expression.trim().split(/\s+/)
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new Error(`Invalid cron expression "${expression}": expected ${CRON_FIELDS.length} fields`)
+    }
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseField(field, CRON_FIELDS[i], expression))
+    if (daysOfWeek.has(7)) daysOfWeek.add(0)
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth: fields[2] === '*',
+        anyDayOfWeek: fields[4] === '*'
+    }
+}
+
+// Like cron, a date matching either the day of month or the day of week matches when both are restricted
+const matchesDay = (cron: IParsedCron, date: Date): boolean => {
+    const dayOfMonth = cron.daysOfMonth.has(date.getDate())
+    const dayOfWeek = cron.daysOfWeek.has(date.getDay())
+    if (cron.anyDayOfMonth) return dayOfWeek
+    if (cron.anyDayOfWeek) return dayOfMonth
+    return dayOfMonth || dayOfWeek
+}
+
+/**
+ * Returns the first date strictly after `from` matching the expression, in the server time zone
+ * @param {string} expression
+ * @param {Date} from
+ */
+export const getNextCronDate = (expression: string, from: Date = new Date()): Date => {
+    const cron = parseCronExpression(expression)
+    const date = new Date(from.getTime())
+    date.setSeconds(0, 0)
+    date.setMinutes(date.getMinutes() + 1)
+    const maxDate = new Date(date.getTime())
+    maxDate.setFullYear(maxDate.getFullYear() + MAX_SEARCH_YEARS)
+
+    while (date <= maxDate) {
+        if (!cron.months.has(date.getMonth() + 1) || !matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1)
+            date.setHours(0, 0, 0, 0)
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0)
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0)
+        } else {
+            return date
+        }
+    }
+    throw new Error(`Invalid cron expression "${expression}": no matching date found`)
+}
+
+/**
+ * Throws an error describing the problem when the expression is not a valid cron expression or never matches
+ * @param {string} expression
+ */
+export const validateCronExpression = (expression: string) => {
+    getNextCronDate(expression)
+}
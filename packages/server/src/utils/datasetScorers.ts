@@ -0,0 +1,252 @@
+import { StatusCodes } from 'http-status-codes'
+import { ICommonObject, TokenUsageHandler } from 'flowise-components'
+import { IDatasetScorer, IDatasetScorerContext, IReactFlowObject } from '../Interface'
+import { ChatFlow } from '../database/entities/ChatFlow'
+import { InternalFlowiseError } from '../errors/internalFlowiseError'
+import { getErrorMessage } from '../errors/utils'
+import { getRunningExpressApp } from './getRunningExpressApp'
+import { databaseEntities } from '.'
+import logger from './logger'
+
+const normalize = (text: string, caseSensitive?: boolean): string => {
+    const trimmed = (text ?? '').trim()
+    return caseSensitive ? trimmed : trimmed.toLowerCase()
+}
+
+const parseJSON = (text: string, name: string): any => {
+    try {
+        return JSON.parse(text)
+    } catch (e) {
+        throw new Error(`${name} is not valid JSON: ${getErrorMessage(e)}`)
+    }
+}
+
+const getJSONType = (value: any): string => {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer'
+    return typeof value
+}
+
+/**
+ * Validate a value against the commonly used subset of JSON Schema:
+ * type, enum, const, required, properties, additionalProperties, items, min/max length and items, minimum, maximum and pattern.
+ * Returns the violations found, an empty list means the value is valid.
+ */
+const validateJSONSchema = (value: any, schema: ICommonObject, path = '$'): string[] => {
+    const errors: string[] = []
+    if (!schema || typeof schema !== 'object') return errors
+
+    if (schema.type) {
+        const types: string[] = Array.isArray(schema.type) ? schema.type : [schema.type]
+        const valueType = getJSONType(value)
+        const isTypeValid = types.some((type) => type === valueType || (type === 'number' && valueType === 'integer'))
+        if (!isTypeValid) return [`${path} must be ${types.join(' or ')}, got ${valueType}`]
+    }
+    if (schema.enum && !schema.enum.some((option: any) => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path} must be one of ${JSON.stringify(schema.enum)}`)
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path} must be ${JSON.stringify(schema.const)}`)
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is shorter than ${schema.minLength}`)
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is longer than ${schema.maxLength}`)
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} does not match ${schema.pattern}`)
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} is less than ${schema.minimum}`)
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} is greater than ${schema.maximum}`)
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} has fewer than ${schema.minItems} items`)
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} has more than ${schema.maxItems} items`)
+        if (schema.items) value.forEach((item, index) => errors.push(...validateJSONSchema(item, schema.items, `${path}[${index}]`)))
+    }
+    if (getJSONType(value) === 'object') {
+        for (const requiredKey of schema.required ?? []) {
+            if (!(requiredKey in value)) errors.push(`${path}.${requiredKey} is required`)
+        }
+        const properties: ICommonObject = schema.properties ?? {}
+        for (const key in value) {
+            if (properties[key]) errors.push(...validateJSONSchema(value[key], properties[key], `${path}.${key}`))
+            else if (schema.additionalProperties === false) errors.push(`${path}.${key} is not allowed`)
+        }
+    }
+    return errors
+}
+
+// Answers of chatflows returning JSON are often wrapped in a markdown code block
+const extractJSON = (text: string): string => {
+    const codeBlock = text.match(/```(?:json)?\s*([\s\S]*?)```/)
+    return (codeBlock ? codeBlock[1] : text).trim()
+}
+
+const DEFAULT_JUDGE_PROMPT = `You are grading the answer of an AI assistant.
+
+Question:
+{input}
+
+Expected answer:
+{expectedOutput}
+
+Actual answer:
+{actualOutput}
+
+Does the actual answer correctly answer the question and agree with the expected answer? It does not need to use the same words.
+Reply only with a JSON object like {"pass": true, "reason": "one sentence explanation"}.`
+
+/**
+ * Initialize a chat model node of a saved chatflow, so it can be used outside of the flow
+ * @param {string} chatflowId
+ * @param {string} nodeId
+ */
+const initChatModelNode = async (chatflowId: string, nodeId: string): Promise<any> => {
+    const appServer = getRunningExpressApp()
+    const chatflow = await appServer.AppDataSource.getRepository(ChatFlow).findOneBy({ id: chatflowId })
+    if (!chatflow) throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Judge chatflow ${chatflowId} not found`)
+
+    const flowData: IReactFlowObject = JSON.parse(chatflow.flowData)
+    const node = flowData.nodes.find((nd) => nd.id === nodeId)
+    if (!node || node.data.category !== 'Chat Models') {
+        throw new InternalFlowiseError(StatusCodes.BAD_REQUEST, `Chat model node ${nodeId} not found in chatflow ${chatflow.name}`)
+    }
+    const componentNode = appServer.nodesPool.componentNodes[node.data.name]
+    if (!componentNode) throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Node ${node.data.name} not found`)
+
+    // Inputs connected to other nodes (such as a cache) can't be resolved outside of the flow
+    const nodeData = { ...node.data, inputs: { ...node.data.inputs } }
+    for (const inputName in nodeData.inputs) {
+        const value = nodeData.inputs[inputName]
+        if (typeof value === 'string' && /^{{.+}}$/.test(value)) delete nodeData.inputs[inputName]
+    }
+
+    const nodeModule = await import(componentNode.filePath as string)
+    const nodeInstance = new nodeModule.nodeClass()
+    return await nodeInstance.init(nodeData, '', {
+        chatflowid: chatflowId,
+        appDataSource: appServer.AppDataSource,
+        databaseEntities,
+        logger,
+        cachePool: appServer.cachePool
+    })
+}
+
+const exactMatchScorer: IDatasetScorer = {
+    name: 'exactMatch',
+    label: 'Exact Match',
+    description: 'Answer must be equal to the expected output, ignoring surrounding whitespace',
+    params: [{ label: 'Case Sensitive', name: 'caseSensitive', type: 'boolean', optional: true }],
+    score: async ({ expectedOutput, actualOutput, config }: IDatasetScorerContext) => {
+        const passed = normalize(actualOutput, config.caseSensitive) === normalize(expectedOutput ?? '', config.caseSensitive)
+        return { passed, score: passed ? 1 : 0 }
+    }
+}
+
+const containsScorer: IDatasetScorer = {
+    name: 'contains',
+    label: 'Contains',
+    description: 'Answer must contain the expected output, or every comma separated value of Values when given',
+    params: [
+        { label: 'Values', name: 'values', type: 'string', optional: true, description: 'Comma separated values, e.g. Paris, France' },
+        { label: 'Case Sensitive', name: 'caseSensitive', type: 'boolean', optional: true }
+    ],
+    score: async ({ expectedOutput, actualOutput, config }: IDatasetScorerContext) => {
+        const values: string[] = config.values
+            ? String(config.values)
+                  .split(',')
+                  .map((value: string) => value.trim())
+                  .filter((value: string) => value)
+            : [expectedOutput ?? '']
+        const answer = normalize(actualOutput, config.caseSensitive)
+        const missingValues = values.filter((value) => !answer.includes(normalize(value, config.caseSensitive)))
+        return {
+            passed: missingValues.length === 0,
+            score: values.length ? (values.length - missingValues.length) / values.length : 1,
+            reason: missingValues.length ? `Missing: ${missingValues.join(', ')}` : undefined
+        }
+    }
+}
+
+const regexScorer: IDatasetScorer = {
+    name: 'regex',
+    label: 'Regex',
+    description: 'Answer must match the regular expression, the expected output is used as the pattern when Pattern is empty',
+    params: [
+        { label: 'Pattern', name: 'pattern', type: 'string', optional: true, placeholder: '^\\d+$' },
+        { label: 'Flags', name: 'flags', type: 'string', optional: true, default: 'i' }
+    ],
+    score: async ({ expectedOutput, actualOutput, config }: IDatasetScorerContext) => {
+        const pattern = config.pattern || expectedOutput
+        if (!pattern) throw new Error('Regex scorer requires a pattern or an expected output')
+        const passed = new RegExp(pattern, config.flags ?? 'i').test(actualOutput)
+        return { passed, score: passed ? 1 : 0, reason: passed ? undefined : `Does not match /${pattern}/` }
+    }
+}
+
+const jsonSchemaScorer: IDatasetScorer = {
+    name: 'jsonSchema',
+    label: 'JSON Schema',
+    description: 'Answer must be JSON valid against the schema, the expected output is used as the schema when Schema is empty',
+    params: [{ label: 'Schema', name: 'schema', type: 'code', optional: true }],
+    score: async ({ expectedOutput, actualOutput, config }: IDatasetScorerContext) => {
+        const schemaText = config.schema || expectedOutput
+        if (!schemaText) throw new Error('JSON Schema scorer requires a schema or an expected output')
+        const schema = typeof schemaText === 'object' ? schemaText : parseJSON(schemaText, 'Schema')
+        let answer: any
+        try {
+            answer = JSON.parse(extractJSON(actualOutput))
+        } catch (e) {
+            return { passed: false, score: 0, reason: 'Answer is not valid JSON' }
+        }
+        const errors = validateJSONSchema(answer, schema)
+        return { passed: errors.length === 0, score: errors.length ? 0 : 1, reason: errors.length ? errors.join(', ') : undefined }
+    }
+}
+
+const llmJudgeScorer: IDatasetScorer = {
+    name: 'llmJudge',
+    label: 'LLM as Judge',
+    description: 'A chat model of an existing chatflow grades the answer against the question and the expected output',
+    params: [
+        { label: 'Judge Chatflow', name: 'chatflowId', type: 'chatflow' },
+        { label: 'Chat Model Node Id', name: 'nodeId', type: 'string', placeholder: 'chatOpenAI_0' },
+        {
+            label: 'Prompt',
+            name: 'prompt',
+            type: 'string',
+            rows: 6,
+            optional: true,
+            description: 'Use {input}, {expectedOutput} and {actualOutput}. The model must reply with {"pass": boolean, "reason": string}'
+        }
+    ],
+    score: async ({ input, expectedOutput, actualOutput, config, onTokenUsage }: IDatasetScorerContext) => {
+        if (!config.chatflowId || !config.nodeId) throw new Error('LLM as Judge scorer requires a chatflow and a chat model node')
+        const model = await initChatModelNode(config.chatflowId, config.nodeId)
+        const values: Record<string, string> = { input, expectedOutput: expectedOutput ?? '', actualOutput }
+        // One pass, placeholders inside the values are never expanded
+        const prompt = String(config.prompt || DEFAULT_JUDGE_PROMPT).replace(
+            /{(input|expectedOutput|actualOutput)}/g,
+            (_, key: string) => values[key]
+        )
+        const response = await model.invoke(prompt, onTokenUsage ? { callbacks: [new TokenUsageHandler(onTokenUsage)] } : undefined)
+        const content = typeof response.content === 'string' ? response.content : JSON.stringify(response.content)
+        const verdictMatch = extractJSON(content).match(/{[\s\S]*}/)
+        if (!verdictMatch) throw new Error(`Judge did not reply with a verdict: ${content}`)
+        const verdict = parseJSON(verdictMatch[0], 'Judge verdict')
+        const passed = verdict.pass === true || verdict.pass === 'true'
+        return { passed, score: passed ? 1 : 0, reason: verdict.reason }
+    }
+}
+
+/**
+ * Scorers available to dataset runs, keyed by name. Add a scorer here to make it available in the UI.
+ */
+export const datasetScorers: Record<string, IDatasetScorer> = {
+    [exactMatchScorer.name]: exactMatchScorer,
+    [containsScorer.name]: containsScorer,
+    [regexScorer.name]: regexScorer,
+    [jsonSchemaScorer.name]: jsonSchemaScorer,
+    [llmJudgeScorer.name]: llmJudgeScorer
+}
@@ -0,0 +1,59 @@
+import { DocumentStore } from '../database/entities/DocumentStore'
+import { DocumentStoreStatus, IDocumentStoreLoader } from '../Interface'
+import { getErrorMessage } from '../errors/utils'
+import documentStoreService from '../services/documentstore'
+import { getRunningExpressApp } from './getRunningExpressApp'
+import logger from './logger'
+
+// Schedules are cron expressions, checking every minute is enough
+const SCHEDULER_INTERVAL_MS = 60 * 1000
+
+let schedulerInterval: NodeJS.Timeout | undefined
+let isRefreshing = false
+
+const isLoaderDue = (loader: IDocumentStoreLoader, now: Date) =>
+    !!loader.schedule && !!loader.nextRunDate && new Date(loader.nextRunDate) <= now && loader.status !== DocumentStoreStatus.SYNCING
+
+/**
+ * Refresh the document store loaders whose schedule is due, one loader at a time
+ */
+export const refreshDueLoaders = async (): Promise<void> => {
+    // a refresh can last longer than the interval
+    if (isRefreshing) return
+    isRefreshing = true
+    try {
+        const appServer = getRunningExpressApp()
+        const documentStores = await appServer.AppDataSource.getRepository(DocumentStore).find()
+        const now = new Date()
+        for (const documentStore of documentStores) {
+            const loaders: IDocumentStoreLoader[] = JSON.parse(documentStore.loaders || '[]')
+            for (const loader of loaders.filter((ldr) => isLoaderDue(ldr, now))) {
+                try {
+                    const result = await documentStoreService.refreshLoader(documentStore.id, loader.id)
+                    logger.info(
+                        `📑 [server]: Refreshed ${loader.loaderName} of document store ${documentStore.name}: ${result.added} chunks added, ${result.removed} removed, ${result.unchanged} unchanged`
+                    )
+                } catch (error) {
+                    logger.error(
+                        `[server]: Failed to refresh ${loader.loaderName} of document store ${documentStore.name}: ${getErrorMessage(
+                            error
+                        )}`
+                    )
+                }
+            }
+        }
+    } catch (error) {
+        logger.error(`[server]: Failed to refresh document store loaders: ${getErrorMessage(error)}`)
+    } finally {
+        isRefreshing = false
+    }
+}
+
+/**
+ * Start the background job refreshing the document store loaders with a schedule.
+ * Set DISABLE_DOCSTORE_SCHEDULER on all but one instance when running several instances on the same database.
+ */
+export const startDocStoreScheduler = (): void => {
+    if (schedulerInterval || process.env.DISABLE_DOCSTORE_SCHEDULER === 'true') return
+    schedulerInterval = setInterval(refreshDueLoaders, SCHEDULER_INTERVAL_MS)
+}
@@ -0,0 +1,166 @@
+import { Server } from 'socket.io'
+import { v4 as uuidv4 } from 'uuid'
+import { isPlainObject } from 'lodash'
+import { ICommonObject, ITokenUsage } from 'flowise-components'
+import { IExecutionTraceEntry, INodeData } from '../Interface'
+import { getErrorMessage } from '../errors/utils'
+
+const MAX_TRACE_VALUE_LENGTH = 2000
+
+const truncate = (value: string): string =>
+    value.length > MAX_TRACE_VALUE_LENGTH
+        ? `${value.slice(0, MAX_TRACE_VALUE_LENGTH)}... (${value.length - MAX_TRACE_VALUE_LENGTH} more characters)`
+        : value
+
+// Documents and plain data can be shown as JSON, anything else (LLMs, chains, vector stores...) only by class name
+const toSerializable = (value: any): any => {
+    if (value === null || typeof value !== 'object') return value
+    if (Array.isArray(value)) return value.map(toSerializable)
+    if (isPlainObject(value) || 'pageContent' in value) return value
+    return `[${value.constructor?.name ?? 'object'}]`
+}
+
+/**
+ * Turn a node input or output into a short readable string
+ * @param {unknown} value
+ */
+const summarizeValue = (value: unknown): string | undefined => {
+    if (value === undefined || value === null) return undefined
+    if (typeof value === 'string') return truncate(value)
+    try {
+        const serializable = toSerializable(value)
+        return truncate(typeof serializable === 'string' ? serializable : JSON.stringify(serializable, null, 2))
+    } catch (e) {
+        return '[object]'
+    }
+}
+
+const summarizeInputs = (nodeData: INodeData): ICommonObject => {
+    const inputs: ICommonObject = {}
+    for (const inputName in nodeData.inputs ?? {}) {
+        const inputParam = (nodeData.inputParams ?? []).find((param) => param.name === inputName)
+        // Never expose secrets or raw file contents in traces
+        if (inputParam?.type === 'password' || inputParam?.type === 'credential') continue
+        if (inputParam?.type === 'file') {
+            inputs[inputName] = '[file]'
+            continue
+        }
+        const summary = summarizeValue(nodeData.inputs?.[inputName])
+        if (summary !== undefined && summary !== '') inputs[inputName] = summary
+    }
+    return inputs
+}
+
+/**
+ * Records the start and end of every node executed during a prediction.
+ * Entries form a tree through parentId, nodes of a chatflow executed by a Chatflow node are children of that node.
+ * When a socket client is given, nodeStart and nodeEnd events are emitted as the prediction runs.
+ */
+export class ExecutionTracer {
+    entries: IExecutionTraceEntry[] = []
+    activeEntryIds: string[] = []
+    socketIO?: Server
+    socketIOClientId?: string
+
+    constructor(socketIO?: Server, socketIOClientId?: string) {
+        this.socketIO = socketIO
+        this.socketIOClientId = socketIOClientId
+    }
+
+    /**
+     * Id of the entry currently being executed, if any
+     */
+    get activeEntryId(): string | undefined {
+        return this.activeEntryIds[this.activeEntryIds.length - 1]
+    }
+
+    /**
+     * Record the start of a node
+     * @param {string} chatflowid
+     * @param {INodeData} nodeData
+     * @param {'init' | 'run'} method
+     */
+    startNode(chatflowid: string, nodeData: INodeData, method: 'init' | 'run'): string {
+        const entry: IExecutionTraceEntry = {
+            id: uuidv4(),
+            parentId: this.activeEntryId,
+            chatflowid,
+            nodeId: nodeData.id,
+            nodeLabel: nodeData.label,
+            nodeName: nodeData.name,
+            method,
+            status: 'RUNNING',
+            startTime: Date.now(),
+            inputs: summarizeInputs(nodeData)
+        }
+        this.entries.push(entry)
+        this.activeEntryIds.push(entry.id)
+        this.emit('nodeStart', entry)
+        return entry.id
+    }
+
+    /**
+     * Record the successful end of a node
+     * @param {string} entryId
+     * @param {unknown} output
+     */
+    endNode(entryId: string, output: unknown) {
+        this.finish(entryId, { status: 'FINISHED', output: summarizeValue(output) })
+    }
+
+    /**
+     * Record a node that threw
+     * @param {string} entryId
+     * @param {unknown} error
+     */
+    failNode(entryId: string, error: unknown) {
+        this.finish(entryId, { status: 'ERROR', error: getErrorMessage(error) })
+    }
+
+    /**
+     * Add the token usage of an LLM call to the node currently being executed
+     * @param {ITokenUsage} tokenUsage
+     */
+    addTokenUsage = (tokenUsage: ITokenUsage) => {
+        const entry = this.entries.find((entry) => entry.id === this.activeEntryId)
+        if (!entry) return
+        const previousUsage = entry.tokenUsage
+        entry.tokenUsage = {
+            promptTokens: (previousUsage?.promptTokens ?? 0) + tokenUsage.promptTokens,
+            completionTokens: (previousUsage?.completionTokens ?? 0) + tokenUsage.completionTokens,
+            totalTokens: (previousUsage?.totalTokens ?? 0) + tokenUsage.totalTokens,
+            model: previousUsage?.model ?? tokenUsage.model
+        }
+        if (previousUsage?.cost !== undefined || tokenUsage.cost !== undefined) {
+            entry.tokenUsage.cost = (previousUsage?.cost ?? 0) + (tokenUsage.cost ?? 0)
+        }
+    }
+
+    /**
+     * Get the recorded entries, optionally only the descendants of an entry
+     * @param {string} rootEntryId
+     */
+    getEntries(rootEntryId?: string): IExecutionTraceEntry[] {
+        if (!rootEntryId) return this.entries
+        const descendantIds = new Set([rootEntryId])
+        return this.entries.filter((entry) => {
+            if (!entry.parentId || !descendantIds.has(entry.parentId)) return false
+            descendantIds.add(entry.id)
+            return true
+        })
+    }
+
+    private finish(entryId: string, result: Pick<IExecutionTraceEntry, 'status' | 'output' | 'error'>) {
+        const entry = this.entries.find((entry) => entry.id === entryId)
+        this.activeEntryIds = this.activeEntryIds.filter((id) => id !== entryId)
+        if (!entry) return
+        entry.endTime = Date.now()
+        entry.latency = entry.endTime - entry.startTime
+        Object.assign(entry, result)
+        this.emit('nodeEnd', entry)
+    }
+
+    private emit(event: string, entry: IExecutionTraceEntry) {
+        if (this.socketIO && this.socketIOClientId) this.socketIO.to(this.socketIOClientId).emit(event, entry)
+    }
+}
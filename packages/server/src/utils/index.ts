@@ -2,6 +2,7 @@ import path from 'path'
 import fs from 'fs'
 import logger from './logger'
 import {
+    ChatflowExecutor,
     IComponentCredentials,
     IComponentNodes,
     ICredentialDataDecrypted,
@@ -32,6 +33,7 @@ import {
 } from 'flowise-components'
 import { randomBytes } from 'crypto'
 import { AES, enc } from 'crypto-js'
+import { Request } from 'express'
 
 import { ChatFlow } from '../database/entities/ChatFlow'
 import { ChatMessage } from '../database/entities/ChatMessage'
@@ -40,6 +42,7 @@ import { Tool } from '../database/entities/Tool'
 import { Assistant } from '../database/entities/Assistant'
 import { DataSource } from 'typeorm'
 import { CachePool } from '../CachePool'
+import { ExecutionTracer } from './executionTracer'
 import { Variable } from '../database/entities/Variable'
 import { DocumentStore } from '../database/entities/DocumentStore'
 import { DocumentStoreFileChunk } from '../database/entities/DocumentStoreFileChunk'
@@ -425,6 +428,8 @@ const checkIfDocLoaderShouldBeIgnored = (
  * @param {DataSource} appDataSource
  * @param {ICommonObject} overrideConfig
  * @param {CachePool} cachePool
+ * @param {ChatflowExecutor} executeChatflow
+ * @param {ExecutionTracer} executionTracer
  */
 export const buildFlow = async (
     startingNodeIds: string[],
@@ -443,7 +448,9 @@ export const buildFlow = async (
     cachePool?: CachePool,
     isUpsert?: boolean,
     stopNodeId?: string,
-    uploads?: IFileUpload[]
+    uploads?: IFileUpload[],
+    executeChatflow?: ChatflowExecutor,
+    executionTracer?: ExecutionTracer
 ) => {
     const flowNodes = cloneDeep(reactFlowNodes)
 
@@ -472,6 +479,7 @@ export const buildFlow = async (
         const nodeIndex = flowNodes.findIndex((nd) => nd.id === nodeId)
         if (!reactFlowNode || reactFlowNode === undefined || nodeIndex < 0) continue
 
+        let traceEntryId: string | undefined
         try {
             const nodeInstanceFilePath = componentNodes[reactFlowNode.data.name].filePath as string
             const nodeModule = await import(nodeInstanceFilePath)
@@ -509,6 +517,7 @@ export const buildFlow = async (
                 initializedNodes.add(nodeId)
             } else {
                 logger.debug(`[server]: Initializing ${reactFlowNode.data.label} (${reactFlowNode.data.id})`)
+                traceEntryId = executionTracer?.startNode(chatflowid, reactFlowNodeData, 'init')
                 let outputResult = await newNodeInstance.init(reactFlowNodeData, question, {
                     chatId,
                     sessionId,
@@ -520,8 +529,11 @@ export const buildFlow = async (
                     cachePool,
                     isUpsert,
                     dynamicVariables,
-                    uploads
+                    uploads,
+                    executeChatflow,
+                    onTokenUsage: executionTracer?.addTokenUsage
                 })
+                if (traceEntryId) executionTracer?.endNode(traceEntryId, outputResult)
 
                 // Save dynamic variables
                 if (reactFlowNode.data.name === 'setVariable') {
@@ -564,6 +576,7 @@ export const buildFlow = async (
             }
         } catch (e: any) {
             logger.error(e)
+            if (traceEntryId) executionTracer?.failNode(traceEntryId, e)
             throw new Error(e)
         }
 
@@ -901,7 +914,7 @@ export const isStartNodeDependOnInput = (startingNodes: IReactFlowNode[], nodes:
             if (inputVariables.length > 0) return true
         }
     }
-    const whitelistNodeNames = ['vectorStoreToDocument', 'autoGPT', 'chatPromptTemplate', 'promptTemplate'] //If these nodes are found, chatflow cannot be reused
+    const whitelistNodeNames = ['vectorStoreToDocument', 'autoGPT', 'chatPromptTemplate', 'promptTemplate', 'chatflow'] //If these nodes are found, chatflow cannot be reused
     for (const node of nodes) {
         if (node.data.name === 'chatPromptTemplate' || node.data.name === 'promptTemplate') {
             let promptValues: ICommonObject = {}
@@ -1439,3 +1452,23 @@ export const convertToValidFilename = (word: string) => {
         .replace(' ', '')
         .toLowerCase()
 }
+
+/**
+ * Get the user that made the request when user accounts exist
+ * @param {Request} req
+ * @returns {string | undefined}
+ */
+export const getRequestAuthor = (req: Request): string | undefined => {
+    return req.user?.username
+}
+
+/**
+ * Get the workspace selected by the caller with the x-workspace-id header
+ * Listings are not filtered when no workspace is selected.
+ * @param {Request} req
+ * @returns {string | undefined}
+ */
+export const getRequestWorkspaceId = (req: Request): string | undefined => {
+    const workspaceId = req.headers['x-workspace-id']
+    return typeof workspaceId === 'string' && workspaceId ? workspaceId : undefined
+}
@@ -0,0 +1,182 @@
+import { ITokenUsage } from 'flowise-components'
+import { IChatMessage, IExecutionTraceEntry, IModelTokenUsage } from '../Interface'
+import { ChatFlow } from '../database/entities/ChatFlow'
+import { ChatMessage } from '../database/entities/ChatMessage'
+import { PredictionError } from '../database/entities/PredictionError'
+import { DatasetRunResult } from '../database/entities/DatasetRunResult'
+import { BudgetExceededError } from '../errors/budgetExceededError'
+import { getRunningExpressApp } from './getRunningExpressApp'
+import { getAPIKeys } from './apiKey'
+
+const UNKNOWN_MODEL = 'unknown'
+
+/**
+ * Sum token usages, per model and in total
+ * @param {ITokenUsage[]} tokenUsages
+ * @returns {Pick<IChatMessage, 'promptTokens' | 'completionTokens' | 'totalTokens' | 'cost' | 'tokenUsage'>}
+ */
+export const sumTokenUsages = (
+    tokenUsages: ITokenUsage[]
+): Pick<IChatMessage, 'promptTokens' | 'completionTokens' | 'totalTokens' | 'cost' | 'tokenUsage'> => {
+    const usageByModel: Record<string, IModelTokenUsage> = {}
+    for (const tokenUsage of tokenUsages) {
+        const model = tokenUsage.model ?? UNKNOWN_MODEL
+        const modelUsage = usageByModel[model] ?? { model, promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+        modelUsage.promptTokens += tokenUsage.promptTokens
+        modelUsage.completionTokens += tokenUsage.completionTokens
+        modelUsage.totalTokens += tokenUsage.totalTokens
+        if (tokenUsage.cost !== undefined) modelUsage.cost = (modelUsage.cost ?? 0) + tokenUsage.cost
+        usageByModel[model] = modelUsage
+    }
+
+    const modelUsages = Object.values(usageByModel)
+    if (!modelUsages.length) return {}
+    const pricedUsages = modelUsages.filter((modelUsage) => modelUsage.cost !== undefined)
+    return {
+        promptTokens: modelUsages.reduce((total, modelUsage) => total + modelUsage.promptTokens, 0),
+        completionTokens: modelUsages.reduce((total, modelUsage) => total + modelUsage.completionTokens, 0),
+        totalTokens: modelUsages.reduce((total, modelUsage) => total + modelUsage.totalTokens, 0),
+        cost: pricedUsages.length ? pricedUsages.reduce((total, modelUsage) => total + (modelUsage.cost ?? 0), 0) : undefined,
+        tokenUsage: JSON.stringify(modelUsages)
+    }
+}
+
+/**
+ * Sum the token usage recorded in an execution trace, per model and in total.
+ * Traces include the nodes of the chatflows called through a Chatflow node, so their usage counts for the caller too.
+ * These chatflows save no chat message of their own, the usage is only counted once.
+ * @param {IExecutionTraceEntry[]} executionTrace
+ * @returns {Pick<IChatMessage, 'promptTokens' | 'completionTokens' | 'totalTokens' | 'cost' | 'tokenUsage'>}
+ */
+export const getTokenUsageFromTrace = (
+    executionTrace: IExecutionTraceEntry[]
+): Pick<IChatMessage, 'promptTokens' | 'completionTokens' | 'totalTokens' | 'cost' | 'tokenUsage'> =>
+    sumTokenUsages(executionTrace.flatMap((entry) => (entry.tokenUsage ? [entry.tokenUsage] : [])))
+
+/**
+ * Budgets are monthly, starting on the first day of the month in the server timezone
+ * @returns {Date}
+ */
+export const getBudgetPeriodStart = (): Date => {
+    const now = new Date()
+    return new Date(now.getFullYear(), now.getMonth(), 1)
+}
+
+/**
+ * Get the cost of the executions of a chatflow through the Chatflow nodes of other chatflows since the start of the budget period.
+ * These executions save no message of their own, their usage is read from the trace saved with the message of the caller,
+ * including the chatflows they call in turn.
+ * @param {string} chatflowid
+ * @returns {Promise<number>}
+ */
+const getSubflowPeriodCost = async (chatflowid: string): Promise<number> => {
+    const appServer = getRunningExpressApp()
+    let totalCost = 0
+    for (const [entity, alias] of [
+        [ChatMessage, 'chat_message'],
+        [PredictionError, 'prediction_error']
+    ] as const) {
+        const rows = await appServer.AppDataSource.getRepository(entity)
+            .createQueryBuilder(alias)
+            .select(`${alias}.executionTrace`, 'executionTrace')
+            .where(`${alias}.createdDate >= :fromDate`, { fromDate: getBudgetPeriodStart() })
+            .andWhere(`${alias}.chatflowid != :chatflowid`, { chatflowid })
+            .andWhere(`${alias}.executionTrace LIKE :pattern`, { pattern: `%"chatflowid":"${chatflowid}"%` })
+            .getRawMany()
+        for (const row of rows) {
+            let executionTrace: IExecutionTraceEntry[]
+            try {
+                executionTrace = JSON.parse(row.executionTrace)
+            } catch (e) {
+                continue
+            }
+            // Entries are traced when they start, a parent entry always comes before its children
+            const subflowEntryIds: Set<string> = new Set()
+            for (const entry of executionTrace) {
+                if (entry.chatflowid !== chatflowid && !(entry.parentId && subflowEntryIds.has(entry.parentId))) continue
+                subflowEntryIds.add(entry.id)
+                totalCost += entry.tokenUsage?.cost ?? 0
+            }
+        }
+    }
+    return totalCost
+}
+
+/**
+ * Get the cost of the messages, failed predictions and dataset runs since the start of the budget period.
+ * The cost of a chatflow includes its executions through the Chatflow nodes of other chatflows.
+ * @param {Partial<Pick<IChatMessage, 'chatflowid' | 'apikeyid'>>} filter
+ * @returns {Promise<number>}
+ */
+export const getBudgetPeriodCost = async (filter: Partial<Pick<IChatMessage, 'chatflowid' | 'apikeyid'>>): Promise<number> => {
+    const appServer = getRunningExpressApp()
+    let totalCost = 0
+    for (const [entity, alias] of [
+        [ChatMessage, 'chat_message'],
+        [PredictionError, 'prediction_error'],
+        [DatasetRunResult, 'dataset_run_result']
+    ] as const) {
+        // dataset runs are not called with an API key
+        if (filter.apikeyid && entity === DatasetRunResult) continue
+        const query = appServer.AppDataSource.getRepository(entity)
+            .createQueryBuilder(alias)
+            .select(`SUM(${alias}.cost)`, 'cost')
+            .where(`${alias}.createdDate >= :fromDate`, { fromDate: getBudgetPeriodStart() })
+        if (filter.chatflowid) query.andWhere(`${alias}.chatflowid = :chatflowid`, { chatflowid: filter.chatflowid })
+        if (filter.apikeyid) query.andWhere(`${alias}.apikeyid = :apikeyid`, { apikeyid: filter.apikeyid })
+        const result = await query.getRawOne()
+        totalCost += Number(result?.cost ?? 0)
+    }
+    if (filter.chatflowid && !filter.apikeyid) totalCost += await getSubflowPeriodCost(filter.chatflowid)
+    return totalCost
+}
+
+/**
+ * Read a monthly budget in USD, undefined when no budget is set
+ * @param {unknown} value
+ * @returns {number | undefined}
+ */
+export const parseMonthlyBudget = (value: unknown): number | undefined => {
+    const monthlyBudget = Number(value)
+    return value !== undefined && value !== null && value !== '' && !isNaN(monthlyBudget) ? monthlyBudget : undefined
+}
+
+/**
+ * Get the monthly budget of a chatflow from its apiConfig
+ * @param {Pick<ChatFlow, 'apiConfig'>} chatflow
+ * @returns {number | undefined}
+ */
+export const getChatflowMonthlyBudget = (chatflow: Pick<ChatFlow, 'apiConfig'>): number | undefined => {
+    try {
+        const apiConfig = chatflow.apiConfig ? JSON.parse(chatflow.apiConfig) : {}
+        return parseMonthlyBudget(apiConfig.monthlyBudget)
+    } catch (e) {
+        // invalid apiConfig has no budget
+        return undefined
+    }
+}
+
+/**
+ * Throw a BudgetExceededError when the monthly budget of the chatflow, or of the API key used to call it, is spent
+ * @param {ChatFlow} chatflow
+ * @param {string} apikeyid API key used to call the prediction, if any
+ */
+export const utilCheckBudgets = async (chatflow: ChatFlow, apikeyid?: string) => {
+    const chatflowBudget = getChatflowMonthlyBudget(chatflow)
+    if (chatflowBudget !== undefined) {
+        const cost = await getBudgetPeriodCost({ chatflowid: chatflow.id })
+        if (cost >= chatflowBudget) {
+            throw new BudgetExceededError(`Monthly budget of $${chatflowBudget} for chatflow ${chatflow.name} has been reached`)
+        }
+    }
+
+    if (!apikeyid) return
+    const apiKey = (await getAPIKeys()).find((key) => key.id === apikeyid)
+    const apiKeyBudget = parseMonthlyBudget(apiKey?.monthlyBudget)
+    if (apiKeyBudget !== undefined) {
+        const cost = await getBudgetPeriodCost({ apikeyid })
+        if (cost >= apiKeyBudget) {
+            throw new BudgetExceededError(`Monthly budget of $${apiKeyBudget} for API key ${apiKey?.keyName} has been reached`)
+        }
+    }
+}
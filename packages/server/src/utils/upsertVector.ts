@@ -42,8 +42,8 @@ export const upsertVector = async (req: Request, isInternal: boolean = false) =>
         }
 
         if (!isInternal) {
-            const isKeyValidated = await utilValidateKey(req, chatflow)
-            if (!isKeyValidated) {
+            const { isValid } = await utilValidateKey(req, chatflow)
+            if (!isValid) {
                 throw new InternalFlowiseError(StatusCodes.UNAUTHORIZED, `Unauthorized`)
             }
         }
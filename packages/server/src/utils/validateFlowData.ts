@@ -0,0 +1,117 @@
+import { INodeParams } from 'flowise-components'
+import {
+    IComponentNodes,
+    IFlowValidationIssue,
+    IFlowValidationResult,
+    IReactFlowEdge,
+    IReactFlowNode,
+    IReactFlowObject
+} from '../Interface'
+import { constructGraphs, getEndingNodes } from '.'
+import { getErrorMessage } from '../errors/utils'
+import { FlowValidationError } from '../errors/flowValidationError'
+
+const isEmptyValue = (value: unknown): boolean => {
+    if (value === undefined || value === null) return true
+    if (typeof value === 'string') return value.trim() === ''
+    if (Array.isArray(value)) return value.length === 0
+    return false
+}
+
+// Sticky notes and groups only annotate the canvas, they are never executed
+const isAnnotationNode = (node: IReactFlowNode): boolean => node.type === 'stickyNote' || node.type === 'groupNode'
+
+/**
+ * Statically validate the nodes and edges of a chatflow without building it.
+ * Reports required inputs left empty, missing credentials, unknown or disconnected nodes and invalid ending nodes.
+ * @param {IReactFlowNode[]} nodes
+ * @param {IReactFlowEdge[]} edges
+ * @param {IComponentNodes} componentNodes
+ */
+export const utilValidateFlowData = (
+    nodes: IReactFlowNode[],
+    edges: IReactFlowEdge[],
+    componentNodes: IComponentNodes
+): IFlowValidationResult => {
+    const issues: IFlowValidationIssue[] = []
+    const flowNodes = nodes.filter((node) => !isAnnotationNode(node))
+
+    if (!flowNodes.length) {
+        issues.push({ type: 'error', message: 'Chatflow has no nodes' })
+        return { isValid: false, issues }
+    }
+
+    for (const node of flowNodes) {
+        const nodeData = node.data
+        const nodeIssue = (type: IFlowValidationIssue['type'], message: string, inputName?: string) =>
+            issues.push({ type, message, nodeId: node.id, nodeLabel: nodeData.label, ...(inputName && { inputName }) })
+
+        if (!componentNodes[nodeData.name]) {
+            nodeIssue('error', `Node ${nodeData.name} is not available on this server`)
+            continue
+        }
+
+        const isConnected = edges.some((edge) => edge.source === node.id || edge.target === node.id)
+        if (!isConnected && flowNodes.length > 1) {
+            nodeIssue('warning', `${nodeData.label} is not connected to any other node`)
+        }
+
+        for (const inputAnchor of (nodeData.inputAnchors ?? []) as INodeParams[]) {
+            if (inputAnchor.optional) continue
+            const anchorId = (inputAnchor as INodeParams & { id?: string }).id
+            const isAnchorConnected = edges.some((edge) => edge.target === node.id && edge.targetHandle === anchorId)
+            if (!isAnchorConnected) nodeIssue('error', `${inputAnchor.label} is required`, inputAnchor.name)
+        }
+
+        for (const inputParam of (nodeData.inputParams ?? []) as INodeParams[]) {
+            if (inputParam.optional || inputParam.hidden) continue
+            if (inputParam.type === 'credential') {
+                if (!nodeData.credential) nodeIssue('error', `Credential is required`, inputParam.name)
+                continue
+            }
+            const value = nodeData.inputs?.[inputParam.name] ?? inputParam.default
+            if (isEmptyValue(value)) nodeIssue('error', `${inputParam.label} is required`, inputParam.name)
+        }
+    }
+
+    const { graph, nodeDependencies } = constructGraphs(flowNodes, edges)
+    try {
+        const endingNodes = getEndingNodes(nodeDependencies, graph, flowNodes)
+        for (const endingNode of endingNodes) {
+            const endingNodeData = endingNode.data
+            if (endingNodeData.outputs?.output === 'EndingNode') continue
+            if (
+                endingNodeData.outputs &&
+                Object.keys(endingNodeData.outputs).length &&
+                !Object.values(endingNodeData.outputs).includes(endingNodeData.name)
+            ) {
+                issues.push({
+                    type: 'error',
+                    message: `Output of ${endingNodeData.label} must be ${endingNodeData.label}, can't be an Output Prediction`,
+                    nodeId: endingNode.id,
+                    nodeLabel: endingNodeData.label
+                })
+            }
+        }
+    } catch (error) {
+        issues.push({ type: 'error', message: getErrorMessage(error) })
+    }
+
+    return { isValid: !issues.some((issue) => issue.type === 'error'), issues }
+}
+
+/**
+ * Validate stringified flowData and throw a FlowValidationError listing the issues when it contains errors
+ * @param {string} flowData
+ * @param {IComponentNodes} componentNodes
+ */
+export const utilAssertValidFlowData = (flowData: string, componentNodes: IComponentNodes): IFlowValidationResult => {
+    const parsedFlowData: IReactFlowObject = JSON.parse(flowData)
+    const result = utilValidateFlowData(parsedFlowData.nodes ?? [], parsedFlowData.edges ?? [], componentNodes)
+    if (!result.isValid) {
+        const errors = result.issues.filter((issue) => issue.type === 'error')
+        const summary = errors.map((issue) => (issue.nodeLabel ? `${issue.nodeLabel}: ${issue.message}` : issue.message)).join(', ')
+        throw new FlowValidationError(`Chatflow is invalid - ${summary}`, result.issues)
+    }
+    return result
+}
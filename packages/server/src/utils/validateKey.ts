@@ -1,26 +1,102 @@
 import { Request } from 'express'
+import { StatusCodes } from 'http-status-codes'
+import { ICommonObject } from 'flowise-components'
 import { ChatFlow } from '../database/entities/ChatFlow'
-import { getAPIKeys, compareKeys } from './apiKey'
+import { InternalFlowiseError } from '../errors/internalFlowiseError'
+import { getAPIKeyBySuppliedKey, getAPIKeyInactiveReason, getAPIKeyScope, isAPIKeyRestricted, updateAPIKeyLastUsed } from './apiKey'
+import { isRequestToRoute, isSessionToken } from './auth'
+import logger from './logger'
+
+// Management routes taking a chatflow or a document store id as first parameter, Express routing ignores case
+const CHATFLOW_ROUTE_REGEX =
+    /^\/api\/v1\/(?:chatflows|chatflow-versions|chatmessage|internal-chatmessage|internal-prediction|analytics|flow-config|stats|upsert-history|validation)\/([^/]+)/i
+const DOCUMENT_STORE_ROUTE_REGEX = /^\/api\/v1\/document-store\/(?:store|loader|chunks)\/([^/]+)/i
+
+// Routes exposing secrets can only be called with admin keys
+const ADMIN_ONLY_ROUTES = ['/api/v1/apikey', '/api/v1/credentials', '/api/v1/variables', '/api/v1/audit-logs']
+
+// Users can only be managed by signed in admins
+const USER_ROUTES = ['/api/v1/users', '/api/v1/auth']
+
+const getAuthorizationHeader = (req: Request): string =>
+    (req.headers['Authorization'] as string) ?? (req.headers['authorization'] as string) ?? ''
+
+const recordKeyUsage = (keyId: string) => {
+    updateAPIKeyLastUsed(keyId).catch((error) => logger.error(`[server]: Failed to update API key last used: ${error}`))
+}
+
+/**
+ * Check if the request is authenticated with an API key rather than a user session or basic auth
+ * @param {Request} req
+ * @returns {boolean}
+ */
+export const hasBearerKey = (req: Request): boolean => {
+    const authorizationHeader = getAuthorizationHeader(req)
+    return authorizationHeader.startsWith('Bearer ') && !isSessionToken(authorizationHeader.slice('Bearer '.length))
+}
 
 /**
  * Validate API Key
+ * A chatflow linked to an API key can be called with that key, or with any predict or admin key listing the chatflow.
  * @param {Request} req
- * @param {Response} res
  * @param {ChatFlow} chatflow
+ * @returns {Promise<{ isValid: boolean; apiKey?: ICommonObject }>} the key used, when the chatflow requires one
  */
-export const utilValidateKey = async (req: Request, chatflow: ChatFlow) => {
+export const utilValidateKey = async (req: Request, chatflow: ChatFlow): Promise<{ isValid: boolean; apiKey?: ICommonObject }> => {
     const chatFlowApiKeyId = chatflow.apikeyid
-    if (!chatFlowApiKeyId) return true
+    if (!chatFlowApiKeyId) return { isValid: true }
 
-    const authorizationHeader = (req.headers['Authorization'] as string) ?? (req.headers['authorization'] as string) ?? ''
-    if (chatFlowApiKeyId && !authorizationHeader) return false
+    const authorizationHeader = getAuthorizationHeader(req)
+    if (!authorizationHeader) return { isValid: false }
 
     const suppliedKey = authorizationHeader.split(`Bearer `).pop()
-    if (suppliedKey) {
-        const keys = await getAPIKeys()
-        const apiSecret = keys.find((key) => key.id === chatFlowApiKeyId)?.apiSecret
-        if (!compareKeys(apiSecret, suppliedKey)) return false
-        return true
+    if (!suppliedKey) return { isValid: false }
+
+    const apiKey = await getAPIKeyBySuppliedKey(suppliedKey)
+    if (!apiKey || getAPIKeyInactiveReason(apiKey) || getAPIKeyScope(apiKey) === 'read') return { isValid: false }
+    if (apiKey.id !== chatFlowApiKeyId && !apiKey.chatflows?.includes(chatflow.id)) return { isValid: false }
+
+    recordKeyUsage(apiKey.id)
+    return { isValid: true, apiKey }
+}
+
+/**
+ * Validate the API key used to call a management route against its scope and allow-list
+ * Keys restricted to some chatflows or document stores can only call the routes of these resources.
+ * @param {Request} req
+ * @returns {Promise<ICommonObject>} the key used
+ */
+export const utilValidateManagementKey = async (req: Request): Promise<ICommonObject> => {
+    const suppliedKey = getAuthorizationHeader(req).split(`Bearer `).pop()
+    const apiKey = suppliedKey ? await getAPIKeyBySuppliedKey(suppliedKey) : undefined
+    if (!apiKey) throw new InternalFlowiseError(StatusCodes.UNAUTHORIZED, `Unauthorized`)
+
+    const inactiveReason = getAPIKeyInactiveReason(apiKey)
+    if (inactiveReason) throw new InternalFlowiseError(StatusCodes.UNAUTHORIZED, inactiveReason)
+
+    const scope = getAPIKeyScope(apiKey)
+    if (scope === 'predict') {
+        throw new InternalFlowiseError(StatusCodes.FORBIDDEN, `API key ${apiKey.keyName} can only be used for predictions`)
     }
-    return false
+    if (scope === 'read' && req.method !== 'GET') {
+        throw new InternalFlowiseError(StatusCodes.FORBIDDEN, `API key ${apiKey.keyName} is read-only`)
+    }
+    if (isRequestToRoute(req, USER_ROUTES)) {
+        throw new InternalFlowiseError(StatusCodes.FORBIDDEN, `API keys can not access ${req.path}`)
+    }
+    if (scope !== 'admin' && isRequestToRoute(req, ADMIN_ONLY_ROUTES)) {
+        throw new InternalFlowiseError(StatusCodes.FORBIDDEN, `API key ${apiKey.keyName} can not access ${req.path}`)
+    }
+
+    if (isAPIKeyRestricted(apiKey)) {
+        const chatflowid = req.path.match(CHATFLOW_ROUTE_REGEX)?.[1]
+        const storeId = req.path.match(DOCUMENT_STORE_ROUTE_REGEX)?.[1]
+        const isAllowed =
+            (chatflowid !== undefined && !!apiKey.chatflows?.includes(chatflowid)) ||
+            (storeId !== undefined && !!apiKey.documentStores?.includes(storeId))
+        if (!isAllowed) throw new InternalFlowiseError(StatusCodes.FORBIDDEN, `API key ${apiKey.keyName} can not access ${req.path}`)
+    }
+
+    recordKeyUsage(apiKey.id)
+    return apiKey
 }
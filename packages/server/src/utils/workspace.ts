@@ -0,0 +1,56 @@
+import { IsNull } from 'typeorm'
+import { StatusCodes } from 'http-status-codes'
+import { Workspace } from '../database/entities/Workspace'
+import { ChatFlow } from '../database/entities/ChatFlow'
+import { Credential } from '../database/entities/Credential'
+import { Variable } from '../database/entities/Variable'
+import { DocumentStore } from '../database/entities/DocumentStore'
+import { InternalFlowiseError } from '../errors/internalFlowiseError'
+import { getRunningExpressApp } from './getRunningExpressApp'
+import logger from './logger'
+
+export const DEFAULT_WORKSPACE_NAME = 'Default'
+
+// Entities belonging to a workspace, tools and assistants are shared by all workspaces
+export const WORKSPACE_ENTITIES = [ChatFlow, Credential, Variable, DocumentStore]
+
+const getWorkspaceRepository = () => getRunningExpressApp().AppDataSource.getRepository(Workspace)
+
+/**
+ * Get the default workspace, the first one created
+ * @returns {Promise<Workspace | null>}
+ */
+export const getDefaultWorkspace = async (): Promise<Workspace | null> => {
+    const workspaces = await getWorkspaceRepository().find({ order: { createdDate: 'ASC' }, take: 1 })
+    return workspaces[0] ?? null
+}
+
+/**
+ * Make sure a workspace exists, entities created before workspaces existed are added to the default workspace
+ */
+export const initializeWorkspaces = async (): Promise<void> => {
+    let defaultWorkspace = await getDefaultWorkspace()
+    if (!defaultWorkspace) {
+        const repository = getWorkspaceRepository()
+        defaultWorkspace = await repository.save(repository.create({ name: DEFAULT_WORKSPACE_NAME }))
+        logger.info(`🗂️ [server]: Created ${DEFAULT_WORKSPACE_NAME} workspace`)
+    }
+    const appServer = getRunningExpressApp()
+    for (const entity of WORKSPACE_ENTITIES) {
+        await appServer.AppDataSource.getRepository(entity).update({ workspaceId: IsNull() }, { workspaceId: defaultWorkspace.id })
+    }
+}
+
+/**
+ * Get the workspace new entities are created in, the default workspace when none is selected
+ * or when the selected one was deleted since the client stored it
+ * @param {string} workspaceId
+ * @returns {Promise<string>}
+ */
+export const resolveWorkspaceId = async (workspaceId?: string): Promise<string> => {
+    let workspace = workspaceId ? await getWorkspaceRepository().findOneBy({ id: workspaceId }) : null
+    if (workspaceId && !workspace) logger.warn(`[server]: Workspace ${workspaceId} not found, using the default workspace`)
+    workspace = workspace ?? (await getDefaultWorkspace())
+    if (!workspace) throw new InternalFlowiseError(StatusCodes.NOT_FOUND, `Workspace ${DEFAULT_WORKSPACE_NAME} not found`)
+    return workspace.id
+}
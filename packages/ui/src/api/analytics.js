@@ -0,0 +1,7 @@
+import client from './client'
+
+const getChatflowAnalytics = (id, params) => client.get(`/analytics/${id}`, { params: { ...params } })
+
+export default {
+    getChatflowAnalytics
+}
@@ -6,11 +6,14 @@ const createNewAPI = (body) => client.post(`/apikey`, body)
 
 const updateAPI = (id, body) => client.put(`/apikey/${id}`, body)
 
+const revokeAPI = (id) => client.put(`/apikey/${id}/revoke`)
+
 const deleteAPI = (id) => client.delete(`/apikey/${id}`)
 
 export default {
     getAllAPIKeys,
     createNewAPI,
     updateAPI,
+    revokeAPI,
     deleteAPI
 }
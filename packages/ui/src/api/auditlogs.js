@@ -0,0 +1,13 @@
+import client from './client'
+
+const getAuditLogs = (params = {}) => client.get('/audit-logs', { params: { ...params } })
+
+const getAuditLogActors = () => client.get('/audit-logs/actors')
+
+const exportAuditLogs = (params = {}) => client.get('/audit-logs/export', { params: { ...params }, responseType: 'blob' })
+
+export default {
+    getAuditLogs,
+    getAuditLogActors,
+    exportAuditLogs
+}
@@ -0,0 +1,10 @@
+import client from './client'
+
+const login = (body) => client.post('/auth/login', body)
+
+const getCurrentUser = () => client.get('/auth/me')
+
+export default {
+    login,
+    getCurrentUser
+}
@@ -0,0 +1,13 @@
+import client from './client'
+
+const getAllChatflowVersions = (id) => client.get(`/chatflow-versions/${id}`)
+
+const getSpecificChatflowVersion = (id, versionId) => client.get(`/chatflow-versions/${id}/${versionId}`)
+
+const restoreChatflowVersion = (id, versionId) => client.post(`/chatflow-versions/${id}/${versionId}/restore`)
+
+export default {
+    getAllChatflowVersions,
+    getSpecificChatflowVersion,
+    restoreChatflowVersion
+}
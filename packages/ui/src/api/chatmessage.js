@@ -7,11 +7,15 @@ const getAllChatmessageFromChatflow = (id, params = {}) =>
 const getChatmessageFromPK = (id, params = {}) => client.get(`/chatmessage/${id}`, { params: { order: 'ASC', feedback: true, ...params } })
 const deleteChatmessage = (id, params = {}) => client.delete(`/chatmessage/${id}`, { params: { ...params } })
 const getStoragePath = () => client.get(`/get-upload-path`)
+const searchChatmessages = (id, params = {}) => client.get(`/chatmessage/${id}/search`, { params: { ...params } })
+const exportChatmessages = (id, params = {}) => client.get(`/chatmessage/${id}/export`, { params: { ...params }, responseType: 'blob' })
 
 export default {
     getInternalChatmessageFromChatflow,
     getAllChatmessageFromChatflow,
     getChatmessageFromPK,
     deleteChatmessage,
-    getStoragePath
+    getStoragePath,
+    searchChatmessages,
+    exportChatmessages
 }
@@ -9,14 +9,17 @@ const apiClient = axios.create({
 })
 
 apiClient.interceptors.request.use(function (config) {
-    const username = localStorage.getItem('username')
-    const password = localStorage.getItem('password')
+    const token = localStorage.getItem('token')
 
-    if (username && password) {
-        config.auth = {
-            username,
-            password
-        }
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`
+    }
+
+    // Listings and new entities are scoped to the workspace selected in the header
+    const workspaceId = localStorage.getItem('workspaceId')
+
+    if (workspaceId) {
+        config.headers['x-workspace-id'] = workspaceId
     }
 
     return config
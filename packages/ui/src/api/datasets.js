@@ -0,0 +1,49 @@
+import client from './client'
+
+const getAllDatasets = () => client.get('/datasets')
+
+const getSpecificDataset = (id) => client.get(`/datasets/${id}`)
+
+const createDataset = (body) => client.post(`/datasets`, body)
+
+const updateDataset = (id, body) => client.put(`/datasets/${id}`, body)
+
+const deleteDataset = (id) => client.delete(`/datasets/${id}`)
+
+const addDatasetRow = (id, body) => client.post(`/datasets/${id}/rows`, body)
+
+const updateDatasetRow = (id, rowId, body) => client.put(`/datasets/${id}/rows/${rowId}`, body)
+
+const deleteDatasetRow = (id, rowId) => client.delete(`/datasets/${id}/rows/${rowId}`)
+
+const importDatasetRows = (id, body) => client.post(`/datasets/${id}/import`, body)
+
+const getDatasetScorers = () => client.get('/datasets/scorers')
+
+const getAllDatasetRuns = (id) => client.get(`/datasets/${id}/runs`)
+
+const getDatasetRun = (id, runId) => client.get(`/datasets/${id}/runs/${runId}`)
+
+const createDatasetRun = (id, body) => client.post(`/datasets/${id}/runs`, body)
+
+const stopDatasetRun = (id, runId) => client.post(`/datasets/${id}/runs/${runId}/stop`)
+
+const deleteDatasetRun = (id, runId) => client.delete(`/datasets/${id}/runs/${runId}`)
+
+export default {
+    getAllDatasets,
+    getSpecificDataset,
+    createDataset,
+    updateDataset,
+    deleteDataset,
+    addDatasetRow,
+    updateDatasetRow,
+    deleteDatasetRow,
+    importDatasetRows,
+    getDatasetScorers,
+    getAllDatasetRuns,
+    getDatasetRun,
+    createDatasetRun,
+    stopDatasetRun,
+    deleteDatasetRun
+}
@@ -12,9 +12,27 @@ const deleteChunkFromStore = (storeId, loaderId, chunkId) => client.delete(`/doc
 const editChunkFromStore = (storeId, loaderId, chunkId, body) =>
     client.put(`/document-store/chunks/${storeId}/${loaderId}/${chunkId}`, body)
 
-const getFileChunks = (storeId, fileId, pageNo) => client.get(`/document-store/chunks/${storeId}/${fileId}/${pageNo}`)
+// params: metadataKey, metadataValue and search to filter the chunks, metadataKeys to also get the metadata keys of all the chunks
+const getFileChunks = (storeId, fileId, pageNo, params) => client.get(`/document-store/chunks/${storeId}/${fileId}/${pageNo}`, { params })
+// body: chunkIds, or all with loaderId and filter to target all the matching chunks
+const bulkDeleteChunks = (storeId, body) => client.post(`/document-store/chunks/${storeId}/bulk/delete`, body)
+const bulkUpdateChunkMetadata = (storeId, body) => client.post(`/document-store/chunks/${storeId}/bulk/metadata`, body)
+const bulkReplaceChunkContent = (storeId, body) => client.post(`/document-store/chunks/${storeId}/bulk/replace`, body)
 const previewChunks = (body) => client.post('/document-store/loader/preview', body)
 const processChunks = (body) => client.post(`/document-store/loader/process`, body)
+const refreshLoader = (storeId, loaderId) => client.post(`/document-store/loader/${storeId}/${loaderId}/refresh`)
+const updateLoaderSchedule = (storeId, loaderId, body) => client.put(`/document-store/loader/${storeId}/${loaderId}/schedule`, body)
+
+// type: embeddings, vectorstore or recordmanager
+const getUpsertComponents = (type) => client.get(`/document-store/components/${type}`)
+const insertIntoVectorStore = (body) => client.post(`/document-store/vectorstore/insert`, body)
+
+// mode: keyword or embeddings
+const queryDocumentStore = (body) => client.post(`/document-store/query`, body)
+
+// archive of the store with its loaders, files and chunks
+const exportDocumentStore = (id) => client.get(`/document-store/store/${id}/export`, { responseType: 'blob' })
+const importDocumentStore = (archive) => client.post(`/document-store/import`, archive)
 
 export default {
     getAllDocumentStores,
@@ -25,8 +43,18 @@ export default {
     updateDocumentStore,
     previewChunks,
     processChunks,
+    refreshLoader,
+    updateLoaderSchedule,
     getDocumentLoaders,
     deleteChunkFromStore,
     editChunkFromStore,
-    deleteDocumentStore
+    bulkDeleteChunks,
+    bulkUpdateChunkMetadata,
+    bulkReplaceChunkContent,
+    deleteDocumentStore,
+    getUpsertComponents,
+    insertIntoVectorStore,
+    queryDocumentStore,
+    exportDocumentStore,
+    importDocumentStore
 }
@@ -0,0 +1,7 @@
+import client from './client'
+
+const getUsage = (params) => client.get('/usage', { params: { ...params } })
+
+export default {
+    getUsage
+}
@@ -0,0 +1,9 @@
+import client from './client'
+
+const validateChatflow = (id) => client.get(`/validation/${id}`)
+const validateFlowData = (body) => client.post(`/validation`, body)
+
+export default {
+    validateChatflow,
+    validateFlowData
+}
@@ -0,0 +1,20 @@
+import client from './client'
+
+const getAllWorkspaces = () => client.get('/workspaces')
+
+const createWorkspace = (body) => client.post(`/workspaces`, body)
+
+const updateWorkspace = (id, body) => client.put(`/workspaces/${id}`, body)
+
+const deleteWorkspace = (id) => client.delete(`/workspaces/${id}`)
+
+// body: { chatflowId, mode: 'move' | 'copy' }
+const transferChatflow = (id, body) => client.post(`/workspaces/${id}/chatflows`, body)
+
+export default {
+    getAllWorkspaces,
+    createWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    transferChatflow
+}
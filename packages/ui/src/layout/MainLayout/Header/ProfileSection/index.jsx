@@ -34,7 +34,7 @@ import './index.css'
 
 // ==============================|| PROFILE MENU ||============================== //
 
-const ProfileSection = ({ username, handleLogout }) => {
+const ProfileSection = ({ username, role, handleLogout }) => {
     const theme = useTheme()
 
     const customization = useSelector((state) => state.customization)
@@ -114,6 +114,11 @@ const ProfileSection = ({ username, handleLogout }) => {
                                             <Typography component='span' variant='h4'>
                                                 {username}
                                             </Typography>
+                                            {role && (
+                                                <Typography variant='caption' sx={{ display: 'block', textTransform: 'capitalize' }}>
+                                                    {role}
+                                                </Typography>
+                                            )}
                                         </Box>
                                     )}
                                     <PerfectScrollbar style={{ height: '100%', maxHeight: 'calc(100vh - 250px)', overflowX: 'hidden' }}>
@@ -147,7 +152,7 @@ const ProfileSection = ({ username, handleLogout }) => {
                                                     </ListItemIcon>
                                                     <ListItemText primary={<Typography variant='body2'>About Flowise</Typography>} />
                                                 </ListItemButton>
-                                                {localStorage.getItem('username') && localStorage.getItem('password') && (
+                                                {localStorage.getItem('token') && (
                                                     <ListItemButton
                                                         sx={{ borderRadius: `${customization.borderRadius}px` }}
                                                         onClick={handleLogout}
@@ -174,6 +179,7 @@ const ProfileSection = ({ username, handleLogout }) => {
 
 ProfileSection.propTypes = {
     username: PropTypes.string,
+    role: PropTypes.string,
     handleLogout: PropTypes.func
 }
 
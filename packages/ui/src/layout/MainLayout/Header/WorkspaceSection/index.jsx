@@ -0,0 +1,94 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+
+// material-ui
+import { Divider, ListItemIcon, MenuItem, Select, Typography } from '@mui/material'
+
+// API
+import workspacesApi from '@/api/workspaces'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+
+// assets
+import { IconFolders, IconSettings } from '@tabler/icons-react'
+
+const MANAGE_WORKSPACES = '__manage__'
+
+// ==============================|| WORKSPACE SWITCHER ||============================== //
+
+const WorkspaceSection = () => {
+    const navigate = useNavigate()
+
+    const [workspaces, setWorkspaces] = useState([])
+    const [workspaceId, setWorkspaceId] = useState(localStorage.getItem('workspaceId') ?? '')
+
+    const getAllWorkspaces = useApi(workspacesApi.getAllWorkspaces)
+
+    const selectWorkspace = (id) => {
+        localStorage.setItem('workspaceId', id)
+        // Every view loads its data for the selected workspace
+        navigate(0)
+    }
+
+    const handleChange = (event) => {
+        if (event.target.value === MANAGE_WORKSPACES) {
+            navigate('/workspaces')
+            return
+        }
+        setWorkspaceId(event.target.value)
+        selectWorkspace(event.target.value)
+    }
+
+    useEffect(() => {
+        getAllWorkspaces.request()
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [])
+
+    useEffect(() => {
+        if (!getAllWorkspaces.data) return
+        setWorkspaces(getAllWorkspaces.data)
+        // Select the first workspace when none is selected yet or the selected one was deleted
+        if (getAllWorkspaces.data.length && !getAllWorkspaces.data.some((workspace) => workspace.id === workspaceId)) {
+            selectWorkspace(getAllWorkspaces.data[0].id)
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [getAllWorkspaces.data])
+
+    if (!workspaces.length) return null
+
+    return (
+        <Select
+            size='small'
+            value={workspaces.some((workspace) => workspace.id === workspaceId) ? workspaceId : ''}
+            onChange={handleChange}
+            // Workspaces may have been added or renamed since the page loaded
+            onOpen={() => getAllWorkspaces.request()}
+            renderValue={(id) => (
+                <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                    <IconFolders stroke={1.5} size='1.2rem' style={{ marginRight: 8 }} />
+                    <Typography noWrap sx={{ maxWidth: 160 }}>
+                        {workspaces.find((workspace) => workspace.id === id)?.name}
+                    </Typography>
+                </div>
+            )}
+            sx={{ minWidth: 180, mr: 2, borderRadius: '12px' }}
+            id='dropdown_workspace'
+        >
+            {workspaces.map((workspace) => (
+                <MenuItem key={workspace.id} value={workspace.id}>
+                    {workspace.name}
+                </MenuItem>
+            ))}
+            <Divider />
+            <MenuItem value={MANAGE_WORKSPACES}>
+                <ListItemIcon>
+                    <IconSettings stroke={1.5} size='1.2rem' />
+                </ListItemIcon>
+                Manage Workspaces
+            </MenuItem>
+        </Select>
+    )
+}
+
+export default WorkspaceSection
@@ -11,6 +11,7 @@ import { styled } from '@mui/material/styles'
 // project imports
 import LogoSection from '../LogoSection'
 import ProfileSection from './ProfileSection'
+import WorkspaceSection from './WorkspaceSection'
 
 // assets
 import { IconMenu2 } from '@tabler/icons-react'
@@ -83,8 +84,9 @@ const Header = ({ handleLeftDrawerToggle }) => {
     }
 
     const signOutClicked = () => {
+        localStorage.removeItem('token')
         localStorage.removeItem('username')
-        localStorage.removeItem('password')
+        localStorage.removeItem('userRole')
         navigate('/', { replace: true })
         navigate(0)
     }
@@ -126,9 +128,14 @@ const Header = ({ handleLeftDrawerToggle }) => {
                 </ButtonBase>
             </Box>
             <Box sx={{ flexGrow: 1 }} />
+            <WorkspaceSection />
             <MaterialUISwitch checked={isDark} onChange={changeDarkMode} />
             <Box sx={{ ml: 2 }}></Box>
-            <ProfileSection handleLogout={signOutClicked} username={localStorage.getItem('username') ?? ''} />
+            <ProfileSection
+                handleLogout={signOutClicked}
+                username={localStorage.getItem('username') ?? ''}
+                role={localStorage.getItem('userRole') ?? ''}
+            />
         </>
     )
 }
@@ -1,8 +1,36 @@
 // assets
-import { IconHierarchy, IconBuildingStore, IconKey, IconTool, IconLock, IconRobot, IconVariable, IconFiles } from '@tabler/icons-react'
+import {
+    IconHierarchy,
+    IconBuildingStore,
+    IconKey,
+    IconTool,
+    IconLock,
+    IconRobot,
+    IconVariable,
+    IconFiles,
+    IconChecklist,
+    IconCoin,
+    IconUsers,
+    IconHistory,
+    IconFolders
+} from '@tabler/icons-react'
 
 // constant
-const icons = { IconHierarchy, IconBuildingStore, IconKey, IconTool, IconLock, IconRobot, IconVariable, IconFiles }
+const icons = {
+    IconHierarchy,
+    IconBuildingStore,
+    IconKey,
+    IconTool,
+    IconLock,
+    IconRobot,
+    IconVariable,
+    IconFiles,
+    IconChecklist,
+    IconCoin,
+    IconUsers,
+    IconHistory,
+    IconFolders
+}
 
 // ==============================|| DASHBOARD MENU ITEMS ||============================== //
 
@@ -74,6 +102,46 @@ const dashboard = {
             url: '/document-stores',
             icon: icons.IconFiles,
             breadcrumbs: true
+        },
+        {
+            id: 'datasets',
+            title: 'Datasets',
+            type: 'item',
+            url: '/datasets',
+            icon: icons.IconChecklist,
+            breadcrumbs: true
+        },
+        {
+            id: 'usage',
+            title: 'Usage',
+            type: 'item',
+            url: '/usage',
+            icon: icons.IconCoin,
+            breadcrumbs: true
+        },
+        {
+            id: 'users',
+            title: 'Users',
+            type: 'item',
+            url: '/users',
+            icon: icons.IconUsers,
+            breadcrumbs: true
+        },
+        {
+            id: 'workspaces',
+            title: 'Workspaces',
+            type: 'item',
+            url: '/workspaces',
+            icon: icons.IconFolders,
+            breadcrumbs: true
+        },
+        {
+            id: 'auditlogs',
+            title: 'Audit Log',
+            type: 'item',
+            url: '/audit-logs',
+            icon: icons.IconHistory,
+            breadcrumbs: true
         }
     ]
 }
@@ -7,7 +7,9 @@ import {
     IconMessage,
     IconDatabaseExport,
     IconAdjustmentsHorizontal,
-    IconUsers
+    IconUsers,
+    IconHistory,
+    IconChartBar
 } from '@tabler/icons-react'
 
 // constant
@@ -19,7 +21,9 @@ const icons = {
     IconMessage,
     IconDatabaseExport,
     IconAdjustmentsHorizontal,
-    IconUsers
+    IconUsers,
+    IconHistory,
+    IconChartBar
 }
 
 // ==============================|| SETTINGS MENU ITEMS ||============================== //
@@ -43,6 +47,13 @@ const settings = {
             url: '',
             icon: icons.IconUsers
         },
+        {
+            id: 'viewAnalytics',
+            title: 'View Analytics',
+            type: 'item',
+            url: '',
+            icon: icons.IconChartBar
+        },
         {
             id: 'viewUpsertHistory',
             title: 'Upsert History',
@@ -50,6 +61,13 @@ const settings = {
             url: '',
             icon: icons.IconDatabaseExport
         },
+        {
+            id: 'viewVersionHistory',
+            title: 'Version History',
+            type: 'item',
+            url: '',
+            icon: icons.IconHistory
+        },
         {
             id: 'chatflowConfiguration',
             title: 'Configuration',
@@ -31,6 +31,26 @@ const DocumentStoreDetail = Loadable(lazy(() => import('@/views/docstore/Documen
 const ShowStoredChunks = Loadable(lazy(() => import('@/views/docstore/ShowStoredChunks')))
 const LoaderConfigPreviewChunks = Loadable(lazy(() => import('@/views/docstore/LoaderConfigPreviewChunks')))
 
+// usage routing
+const Usage = Loadable(lazy(() => import('@/views/usage')))
+
+// users routing
+const Users = Loadable(lazy(() => import('@/views/users')))
+
+// workspaces routing
+const Workspaces = Loadable(lazy(() => import('@/views/workspaces')))
+
+// audit logs routing
+const AuditLogs = Loadable(lazy(() => import('@/views/auditlogs')))
+
+// analytics routing
+const ChatflowAnalytics = Loadable(lazy(() => import('@/views/analytics')))
+
+// datasets routing
+const Datasets = Loadable(lazy(() => import('@/views/datasets')))
+const DatasetDetail = Loadable(lazy(() => import('@/views/datasets/DatasetDetail')))
+const DatasetRunResults = Loadable(lazy(() => import('@/views/datasets/DatasetRunResults')))
+
 // ==============================|| MAIN ROUTING ||============================== //
 
 const MainRoutes = {
@@ -84,6 +104,38 @@ const MainRoutes = {
         {
             path: '/document-stores/:id/:name',
             element: <LoaderConfigPreviewChunks />
+        },
+        {
+            path: '/datasets',
+            element: <Datasets />
+        },
+        {
+            path: '/datasets/:id',
+            element: <DatasetDetail />
+        },
+        {
+            path: '/datasets/:id/runs/:runId',
+            element: <DatasetRunResults />
+        },
+        {
+            path: '/analytics/:id',
+            element: <ChatflowAnalytics />
+        },
+        {
+            path: '/usage',
+            element: <Usage />
+        },
+        {
+            path: '/users',
+            element: <Users />
+        },
+        {
+            path: '/workspaces',
+            element: <Workspaces />
+        },
+        {
+            path: '/audit-logs',
+            element: <AuditLogs />
         }
     ]
 }
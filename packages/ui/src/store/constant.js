@@ -8,3 +8,7 @@ export const baseURL = window.location.origin
 export const uiBaseURL = window.location.origin
 export const FLOWISE_CREDENTIAL_ID = 'FLOWISE_CREDENTIAL_ID'
 export const REDACTED_CREDENTIAL_VALUE = '_FLOWISE_BLANK_07167752-1a71-43b1-bf8f-4f32252165db'
+export const MAX_CANVAS_HISTORY = 50
+export const FLOW_FRAGMENT_TYPE = 'FLOWISE_FLOW_FRAGMENT'
+export const GROUP_NODE_TYPE = 'groupNode'
+export const GROUP_NODE_COLORS = ['#2196f3', '#673ab7', '#4caf50', '#ff9800', '#f44336', '#607d8b']
@@ -1,16 +1,41 @@
-import { createContext, useState } from 'react'
+import { createContext, useRef, useState } from 'react'
 import { useDispatch } from 'react-redux'
 import PropTypes from 'prop-types'
-import { getUniqueNodeId } from '@/utils/genericHelper'
-import { cloneDeep } from 'lodash'
+import {
+    getUniqueNodeId,
+    getAutoLayoutPositions,
+    getUngroupedNode,
+    getGroupExternalHandles,
+    getCollapsedGroupHeight,
+    GROUP_COLLAPSED_WIDTH,
+    GROUP_HEADER_HEIGHT,
+    GROUP_PADDING
+} from '@/utils/genericHelper'
+import { cloneDeep, isEqual, omit } from 'lodash'
 import { SET_DIRTY } from '@/store/actions'
+import { MAX_CANVAS_HISTORY, GROUP_NODE_TYPE, GROUP_NODE_COLORS } from '@/store/constant'
+
+const AUTO_ARRANGE_DURATION = 400
 
 const initialValue = {
     reactFlowInstance: null,
     setReactFlowInstance: () => {},
     duplicateNode: () => {},
     deleteNode: () => {},
-    deleteEdge: () => {}
+    deleteEdge: () => {},
+    takeSnapshot: () => {},
+    undo: () => {},
+    redo: () => {},
+    clearHistory: () => {},
+    autoArrangeNodes: () => {},
+    groupNodes: () => {},
+    ungroupNodes: () => {},
+    toggleGroupCollapse: () => {},
+    updateGroupNode: () => {},
+    focusNode: () => {},
+    canUndo: false,
+    canRedo: false,
+    historyVersion: 0
 }
 
 export const flowContext = createContext(initialValue)
@@ -19,7 +44,248 @@ export const ReactFlowContext = ({ children }) => {
     const dispatch = useDispatch()
     const [reactFlowInstance, setReactFlowInstance] = useState(null)
 
+    const past = useRef([])
+    const future = useRef([])
+    const lastSnapshotKey = useRef(null)
+    const [historySize, setHistorySize] = useState({ past: 0, future: 0 })
+    const [historyVersion, setHistoryVersion] = useState(0)
+
+    const getFlowSnapshot = () => ({
+        nodes: cloneDeep(reactFlowInstance.getNodes()),
+        edges: cloneDeep(reactFlowInstance.getEdges())
+    })
+
+    const updateHistorySize = () => {
+        setHistorySize({ past: past.current.length, future: future.current.length })
+    }
+
+    /**
+     * Record the current nodes and edges so the next change can be undone.
+     * Consecutive snapshots sharing the same key (e.g. typing into one input) are merged into a single step.
+     * @param {string} key
+     */
+    const takeSnapshot = (key) => {
+        if (!reactFlowInstance) return
+        if (key && key === lastSnapshotKey.current) return
+        lastSnapshotKey.current = key ?? null
+
+        // A single action can emit several changes (e.g. removing a node also removes its edges)
+        const snapshot = getFlowSnapshot()
+        if (isEqual(snapshot, past.current[past.current.length - 1])) return
+
+        past.current = [...past.current, snapshot].slice(-MAX_CANVAS_HISTORY)
+        future.current = []
+        updateHistorySize()
+    }
+
+    const restoreSnapshot = (snapshot) => {
+        reactFlowInstance.setNodes(snapshot.nodes)
+        reactFlowInstance.setEdges(snapshot.edges)
+        lastSnapshotKey.current = null
+        setHistoryVersion((version) => version + 1)
+        updateHistorySize()
+        dispatch({ type: SET_DIRTY })
+    }
+
+    const undo = () => {
+        if (!reactFlowInstance || !past.current.length) return
+        const previous = past.current[past.current.length - 1]
+        past.current = past.current.slice(0, -1)
+        future.current = [...future.current, getFlowSnapshot()]
+        restoreSnapshot(previous)
+    }
+
+    const redo = () => {
+        if (!reactFlowInstance || !future.current.length) return
+        const next = future.current[future.current.length - 1]
+        future.current = future.current.slice(0, -1)
+        past.current = [...past.current, getFlowSnapshot()]
+        restoreSnapshot(next)
+    }
+
+    const clearHistory = () => {
+        past.current = []
+        future.current = []
+        lastSnapshotKey.current = null
+        updateHistorySize()
+    }
+
+    /**
+     * Move every node to its auto layout position, animating from the current positions.
+     * The previous positions are recorded first so the arrangement can be undone in one step.
+     */
+    const autoArrangeNodes = () => {
+        if (!reactFlowInstance) return
+        const startNodes = reactFlowInstance.getNodes()
+        const targetPositions = getAutoLayoutPositions(startNodes, reactFlowInstance.getEdges())
+        if (!Object.keys(targetPositions).length) return
+
+        takeSnapshot()
+        const startPositions = Object.fromEntries(startNodes.map((node) => [node.id, node.position]))
+        const startTime = performance.now()
+
+        const animate = (now) => {
+            const progress = Math.min((now - startTime) / AUTO_ARRANGE_DURATION, 1)
+            const eased = 1 - Math.pow(1 - progress, 3)
+            reactFlowInstance.setNodes((nds) =>
+                nds.map((node) => {
+                    const from = startPositions[node.id]
+                    const to = targetPositions[node.id]
+                    if (!from || !to) return node
+                    const position = { x: from.x + (to.x - from.x) * eased, y: from.y + (to.y - from.y) * eased }
+                    return { ...node, position, positionAbsolute: position }
+                })
+            )
+            if (progress < 1) {
+                requestAnimationFrame(animate)
+            } else {
+                reactFlowInstance.fitView({ duration: AUTO_ARRANGE_DURATION })
+                dispatch({ type: SET_DIRTY })
+            }
+        }
+        requestAnimationFrame(animate)
+    }
+
+    /**
+     * Put top level nodes into a new group container sized to fit them.
+     * Members are positioned relative to the group so they move with it.
+     * @param {string[]} nodeIds
+     */
+    const groupNodes = (nodeIds) => {
+        const nodes = reactFlowInstance.getNodes()
+        const members = nodes.filter((node) => nodeIds.includes(node.id) && node.type !== GROUP_NODE_TYPE && !node.parentNode)
+        if (!members.length) return
+        takeSnapshot()
+
+        const minX = Math.min(...members.map((node) => node.position.x))
+        const minY = Math.min(...members.map((node) => node.position.y))
+        const maxX = Math.max(...members.map((node) => node.position.x + (node.width ?? 0)))
+        const maxY = Math.max(...members.map((node) => node.position.y + (node.height ?? 0)))
+        const position = { x: minX - GROUP_PADDING, y: minY - GROUP_PADDING - GROUP_HEADER_HEIGHT }
+        const size = { width: maxX - minX + GROUP_PADDING * 2, height: maxY - minY + GROUP_PADDING * 2 + GROUP_HEADER_HEIGHT }
+
+        const groupId = getUniqueNodeId({ name: GROUP_NODE_TYPE }, nodes)
+        const groupNode = {
+            id: groupId,
+            type: GROUP_NODE_TYPE,
+            position,
+            positionAbsolute: position,
+            style: size,
+            deletable: false,
+            data: {
+                id: groupId,
+                name: GROUP_NODE_TYPE,
+                label: 'Group',
+                color: GROUP_NODE_COLORS[0],
+                collapsed: false,
+                inputs: {},
+                outputs: {},
+                inputParams: [],
+                inputAnchors: [],
+                outputAnchors: []
+            }
+        }
+
+        const memberIds = members.map((node) => node.id)
+        const groupedNodes = nodes.map((node) =>
+            memberIds.includes(node.id)
+                ? {
+                      ...node,
+                      parentNode: groupId,
+                      expandParent: true,
+                      selected: false,
+                      position: { x: node.position.x - position.x, y: node.position.y - position.y }
+                  }
+                : node
+        )
+        // Parent nodes have to come before their children
+        reactFlowInstance.setNodes([groupNode, ...groupedNodes])
+        dispatch({ type: SET_DIRTY })
+    }
+
+    const ungroupNodes = (groupId) => {
+        takeSnapshot()
+        reactFlowInstance.setNodes(
+            reactFlowInstance
+                .getNodes()
+                .filter((node) => node.id !== groupId)
+                .map((node) => (node.parentNode === groupId ? getUngroupedNode(node) : node))
+        )
+        dispatch({ type: SET_DIRTY })
+    }
+
+    /**
+     * Collapse a group to a single box showing only the handles connected outside the group, or expand it back
+     * @param {string} groupId
+     */
+    const toggleGroupCollapse = (groupId) => {
+        const nodes = reactFlowInstance.getNodes()
+        const groupNode = nodes.find((node) => node.id === groupId)
+        if (!groupNode) return
+        takeSnapshot()
+
+        const collapsed = !groupNode.data.collapsed
+        const expandedSize = collapsed ? { width: groupNode.width, height: groupNode.height } : groupNode.data.expandedSize
+        const size = collapsed
+            ? {
+                  width: GROUP_COLLAPSED_WIDTH,
+                  height: getCollapsedGroupHeight(getGroupExternalHandles(groupId, nodes, reactFlowInstance.getEdges()))
+              }
+            : expandedSize
+
+        reactFlowInstance.setNodes(
+            nodes.map((node) => {
+                if (node.id === groupId) {
+                    return { ...node, style: { ...node.style, ...size }, data: { ...node.data, collapsed, expandedSize } }
+                }
+                if (node.parentNode === groupId) {
+                    // Members stay rendered but invisible, so edges connected to them can be drawn to the collapsed group
+                    return {
+                        ...node,
+                        style: collapsed ? { ...node.style, visibility: 'hidden' } : omit(node.style, ['visibility']),
+                        selected: false,
+                        selectable: !collapsed,
+                        draggable: !collapsed,
+                        connectable: !collapsed
+                    }
+                }
+                return node
+            })
+        )
+        dispatch({ type: SET_DIRTY })
+    }
+
+    const updateGroupNode = (groupId, groupData) => {
+        takeSnapshot(`${groupId}-${Object.keys(groupData).join('-')}`)
+        reactFlowInstance.setNodes((nds) =>
+            nds.map((node) => (node.id === groupId ? { ...node, data: { ...node.data, ...groupData } } : node))
+        )
+        dispatch({ type: SET_DIRTY })
+    }
+
+    const focusNode = (nodeId) => {
+        const nodes = reactFlowInstance.getNodes()
+        let node = nodes.find((nd) => nd.id === nodeId)
+        if (!node) return
+        // Members of a collapsed group are invisible, so center on the group instead
+        const parentNode = node.parentNode ? nodes.find((nd) => nd.id === node.parentNode) : undefined
+        if (parentNode?.data.collapsed) node = parentNode
+
+        reactFlowInstance.setNodes((nds) =>
+            nds.map((nd) => {
+                nd.data = { ...nd.data, selected: nd.id === node.id }
+                return nd
+            })
+        )
+        const position = node.positionAbsolute ?? node.position
+        reactFlowInstance.setCenter(position.x + (node.width ?? 0) / 2, position.y + (node.height ?? 0) / 2, {
+            zoom: 1,
+            duration: 500
+        })
+    }
+
     const deleteNode = (nodeid) => {
+        takeSnapshot()
         deleteConnectedInput(nodeid, 'node')
         reactFlowInstance.setNodes(reactFlowInstance.getNodes().filter((n) => n.id !== nodeid))
         reactFlowInstance.setEdges(reactFlowInstance.getEdges().filter((ns) => ns.source !== nodeid && ns.target !== nodeid))
@@ -27,6 +293,7 @@ export const ReactFlowContext = ({ children }) => {
     }
 
     const deleteEdge = (edgeid) => {
+        takeSnapshot()
         deleteConnectedInput(edgeid, 'edge')
         reactFlowInstance.setEdges(reactFlowInstance.getEdges().filter((edge) => edge.id !== edgeid))
         dispatch({ type: SET_DIRTY })
@@ -76,6 +343,7 @@ export const ReactFlowContext = ({ children }) => {
         const nodes = reactFlowInstance.getNodes()
         const originalNode = nodes.find((n) => n.id === id)
         if (originalNode) {
+            takeSnapshot()
             const newNodeId = getUniqueNodeId(originalNode.data, nodes)
             const clonedNode = cloneDeep(originalNode)
 
@@ -147,7 +415,20 @@ export const ReactFlowContext = ({ children }) => {
                 setReactFlowInstance,
                 deleteNode,
                 deleteEdge,
-                duplicateNode
+                duplicateNode,
+                takeSnapshot,
+                undo,
+                redo,
+                clearHistory,
+                autoArrangeNodes,
+                groupNodes,
+                ungroupNodes,
+                toggleGroupCollapse,
+                updateGroupNode,
+                focusNode,
+                canUndo: historySize.past > 0,
+                canRedo: historySize.future > 0,
+                historyVersion
             }}
         >
             {children}
@@ -6,7 +6,8 @@ export const initialState = {
     chatflow: null,
     canvasDialogShow: false,
     componentNodes: [],
-    componentCredentials: []
+    componentCredentials: [],
+    flowValidation: null
 }
 
 // ==============================|| CANVAS REDUCER ||============================== //
@@ -48,6 +49,11 @@ const canvasReducer = (state = initialState, action) => {
                 ...state,
                 componentCredentials: action.componentCredentials
             }
+        case actionTypes.SET_FLOW_VALIDATION:
+            return {
+                ...state,
+                flowValidation: action.flowValidation
+            }
         default:
             return state
     }
@@ -15,11 +15,13 @@ import PictureInPictureAltIcon from '@mui/icons-material/PictureInPictureAlt'
 import ThumbsUpDownOutlinedIcon from '@mui/icons-material/ThumbsUpDownOutlined'
 import VpnLockOutlinedIcon from '@mui/icons-material/VpnLockOutlined'
 import MicNoneOutlinedIcon from '@mui/icons-material/MicNoneOutlined'
+import DriveFileMoveOutlinedIcon from '@mui/icons-material/DriveFileMoveOutlined'
 import Button from '@mui/material/Button'
 import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown'
 import { IconX } from '@tabler/icons-react'
 
 import chatflowsApi from '@/api/chatflows'
+import workspacesApi from '@/api/workspaces'
 
 import useApi from '@/hooks/useApi'
 import useConfirm from '@/hooks/useConfirm'
@@ -35,6 +37,7 @@ import useNotifier from '@/utils/useNotifier'
 import ChatFeedbackDialog from '../dialog/ChatFeedbackDialog'
 import AllowedDomainsDialog from '../dialog/AllowedDomainsDialog'
 import SpeechToTextDialog from '../dialog/SpeechToTextDialog'
+import WorkspaceTransferDialog from '../dialog/WorkspaceTransferDialog'
 
 const StyledMenu = styled((props) => (
     <Menu
@@ -94,6 +97,7 @@ export default function FlowListMenu({ chatflow, setError, updateFlowsApi }) {
     const [allowedDomainsDialogProps, setAllowedDomainsDialogProps] = useState({})
     const [speechToTextDialogOpen, setSpeechToTextDialogOpen] = useState(false)
     const [speechToTextDialogProps, setSpeechToTextDialogProps] = useState({})
+    const [workspaceTransferDialogOpen, setWorkspaceTransferDialogOpen] = useState(false)
 
     const handleClick = (event) => {
         setAnchorEl(event.currentTarget)
@@ -144,6 +148,51 @@ export default function FlowListMenu({ chatflow, setError, updateFlowsApi }) {
         setSpeechToTextDialogOpen(true)
     }
 
+    const handleWorkspaceTransfer = () => {
+        setAnchorEl(null)
+        setWorkspaceTransferDialogOpen(true)
+    }
+
+    const saveWorkspaceTransfer = async ({ workspaceId, mode }) => {
+        setWorkspaceTransferDialogOpen(false)
+        try {
+            const transferResp = await workspacesApi.transferChatflow(workspaceId, { chatflowId: chatflow.id, mode })
+            const { conflicts } = transferResp.data
+            const message = mode === 'copy' ? 'Chatflow copied' : 'Chatflow moved'
+            enqueueSnackbar({
+                message: conflicts.length
+                    ? `${message} with ${conflicts.length} conflict(s): ${conflicts.map((conflict) => conflict.message).join('. ')}`
+                    : message,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: conflicts.length ? 'warning' : 'success',
+                    persist: conflicts.length > 0,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+            await updateFlowsApi.request()
+        } catch (error) {
+            setError(error)
+            enqueueSnackbar({
+                message: typeof error.response.data === 'object' ? error.response.data.message : error.response.data,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+    }
+
     const saveFlowRename = async (chatflowName) => {
         const updateBody = {
             name: chatflowName,
@@ -304,6 +353,10 @@ export default function FlowListMenu({ chatflow, setError, updateFlowsApi }) {
                     <FileDownloadIcon />
                     Export
                 </MenuItem>
+                <MenuItem onClick={handleWorkspaceTransfer} disableRipple>
+                    <DriveFileMoveOutlinedIcon />
+                    Move or Copy to Workspace
+                </MenuItem>
                 <Divider sx={{ my: 0.5 }} />
                 <MenuItem onClick={handleFlowStarterPrompts} disableRipple>
                     <PictureInPictureAltIcon />
@@ -367,6 +420,17 @@ export default function FlowListMenu({ chatflow, setError, updateFlowsApi }) {
                 dialogProps={speechToTextDialogProps}
                 onCancel={() => setSpeechToTextDialogOpen(false)}
             />
+            <WorkspaceTransferDialog
+                show={workspaceTransferDialogOpen}
+                dialogProps={{
+                    title: `Move or Copy ${chatflow.name}`,
+                    confirmButtonName: 'Confirm',
+                    cancelButtonName: 'Cancel',
+                    chatflow
+                }}
+                onCancel={() => setWorkspaceTransferDialogOpen(false)}
+                onConfirm={saveWorkspaceTransfer}
+            />
         </div>
     )
 }
@@ -9,6 +9,7 @@ import { IconVectorBezier2, IconLanguage, IconScissors } from '@tabler/icons-rea
 // project imports
 import MainCard from '@/ui-component/cards/MainCard'
 import DocumentStoreStatus from '@/views/docstore/DocumentStoreStatus'
+import { getAuthorsCaption } from '@/utils/genericHelper'
 
 import { kFormatter } from '@/utils/genericHelper'
 
@@ -80,6 +81,11 @@ const DocumentStoreCard = ({ data, images, onClick }) => {
                         >
                             {data.description || ' '}
                         </span>
+                        {getAuthorsCaption(data) && (
+                            <Typography variant='caption' sx={{ mt: 1 }}>
+                                {getAuthorsCaption(data)}
+                            </Typography>
+                        )}
                     </Box>
                     <Grid container columnGap={2} rowGap={1}>
                         <div
@@ -7,6 +7,7 @@ import { Box, Grid, Typography, useTheme } from '@mui/material'
 
 // project imports
 import MainCard from '@/ui-component/cards/MainCard'
+import { getAuthorsCaption } from '@/utils/genericHelper'
 
 const CardWrapper = styled(MainCard)(({ theme }) => ({
     background: theme.palette.card.main,
@@ -105,6 +106,11 @@ const ItemCard = ({ data, images, onClick }) => {
                                 {data.description}
                             </span>
                         )}
+                        {getAuthorsCaption(data) && (
+                            <Typography variant='caption' sx={{ mt: 1 }}>
+                                {getAuthorsCaption(data)}
+                            </Typography>
+                        )}
                     </Box>
                     {images && (
                         <Box
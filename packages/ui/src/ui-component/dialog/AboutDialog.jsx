@@ -13,14 +13,12 @@ const AboutDialog = ({ show, onCancel }) => {
 
     useEffect(() => {
         if (show) {
-            const username = localStorage.getItem('username')
-            const password = localStorage.getItem('password')
+            const token = localStorage.getItem('token')
 
             const config = {}
-            if (username && password) {
-                config.auth = {
-                    username,
-                    password
+            if (token) {
+                config.headers = {
+                    Authorization: `Bearer ${token}`
                 }
             }
             const latestReleaseReq = axios.get('https://api.github.com/repos/FlowiseAI/Flowise/releases/latest')
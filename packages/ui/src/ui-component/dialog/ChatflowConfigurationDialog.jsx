@@ -1,21 +1,26 @@
 import PropTypes from 'prop-types'
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import { createPortal } from 'react-dom'
 import { Box, Dialog, DialogContent, DialogTitle, Tabs, Tab } from '@mui/material'
 import { tabsClasses } from '@mui/material/Tabs'
 import SpeechToText from '@/ui-component/extended/SpeechToText'
 import RateLimit from '@/ui-component/extended/RateLimit'
+import Budget from '@/ui-component/extended/Budget'
 import AllowedDomains from '@/ui-component/extended/AllowedDomains'
 import ChatFeedback from '@/ui-component/extended/ChatFeedback'
 import AnalyseFlow from '@/ui-component/extended/AnalyseFlow'
 import StarterPrompts from '@/ui-component/extended/StarterPrompts'
 import Leads from '@/ui-component/extended/Leads'
 
-const CHATFLOW_CONFIGURATION_TABS = [
+export const CHATFLOW_CONFIGURATION_TABS = [
     {
         label: 'Rate Limiting',
         id: 'rateLimiting'
     },
+    {
+        label: 'Budget',
+        id: 'budget'
+    },
     {
         label: 'Starter Prompts',
         id: 'conversationStarters'
@@ -75,6 +80,13 @@ const ChatflowConfigurationDialog = ({ show, dialogProps, onCancel }) => {
     const portalElement = document.getElementById('portal')
     const [tabValue, setTabValue] = useState(0)
 
+    // Open straight on a specific tab, e.g. from the canvas command palette
+    useEffect(() => {
+        if (!show || !dialogProps.tabId) return
+        const tabIndex = CHATFLOW_CONFIGURATION_TABS.findIndex((tab) => tab.id === dialogProps.tabId)
+        if (tabIndex >= 0) setTabValue(tabIndex)
+    }, [show, dialogProps.tabId])
+
     const component = show ? (
         <Dialog
             onClose={onCancel}
@@ -115,6 +127,7 @@ const ChatflowConfigurationDialog = ({ show, dialogProps, onCancel }) => {
                 {CHATFLOW_CONFIGURATION_TABS.map((item, index) => (
                     <TabPanel key={index} value={tabValue} index={index}>
                         {item.id === 'rateLimiting' && <RateLimit />}
+                        {item.id === 'budget' && <Budget />}
                         {item.id === 'conversationStarters' ? <StarterPrompts dialogProps={dialogProps} /> : null}
                         {item.id === 'speechToText' ? <SpeechToText dialogProps={dialogProps} /> : null}
                         {item.id === 'chatFeedback' ? <ChatFeedback dialogProps={dialogProps} /> : null}
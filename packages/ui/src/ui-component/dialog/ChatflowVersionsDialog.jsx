@@ -0,0 +1,359 @@
+import { createPortal } from 'react-dom'
+import { useDispatch, useSelector } from 'react-redux'
+import { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import moment from 'moment'
+
+// material-ui
+import {
+    Box,
+    Button,
+    Chip,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    List,
+    ListItemButton,
+    ListItemText,
+    Paper,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    ToggleButton,
+    ToggleButtonGroup,
+    Typography
+} from '@mui/material'
+import { IconArrowBackUp, IconX } from '@tabler/icons-react'
+import HistoryEmptySVG from '@/assets/images/upsert_history_empty.svg'
+
+// store
+import { HIDE_CANVAS_DIALOG, SHOW_CANVAS_DIALOG } from '@/store/actions'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+import useNotifier from '@/utils/useNotifier'
+import { getFlowDataDiff } from '@/utils/genericHelper'
+
+// API
+import useApi from '@/hooks/useApi'
+import useConfirm from '@/hooks/useConfirm'
+import chatflowVersionsApi from '@/api/chatflowversions'
+
+const formatValue = (value) => {
+    if (value === undefined || value === null || value === '') return '-'
+    return typeof value === 'object' ? JSON.stringify(value) : value.toString()
+}
+
+const NodeChips = ({ nodes, color }) => (
+    <div style={{ display: 'flex', flexWrap: 'wrap' }}>
+        {nodes.map((node) => (
+            <Chip key={node.id} sx={{ mr: 1, mb: 1 }} size='small' color={color} variant='outlined' label={`${node.label} (${node.id})`} />
+        ))}
+    </div>
+)
+
+NodeChips.propTypes = {
+    nodes: PropTypes.array,
+    color: PropTypes.string
+}
+
+const ChatflowVersionsDialog = ({ show, dialogProps, onCancel, onRestore }) => {
+    const portalElement = document.getElementById('portal')
+    const dispatch = useDispatch()
+    const customization = useSelector((state) => state.customization)
+    const { confirm } = useConfirm()
+
+    useNotifier()
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const [versions, setVersions] = useState([])
+    const [selectedIndex, setSelectedIndex] = useState(0)
+    const [compareWith, setCompareWith] = useState('previous')
+    const [flowDiff, setFlowDiff] = useState(null)
+    const [configChanged, setConfigChanged] = useState(false)
+
+    const getAllChatflowVersionsApi = useApi(chatflowVersionsApi.getAllChatflowVersions)
+
+    const loadDiff = async (index, compareMode) => {
+        const chatflowid = dialogProps.chatflow.id
+        try {
+            const selectedVersion = (await chatflowVersionsApi.getSpecificChatflowVersion(chatflowid, versions[index].id)).data
+            let baseVersion
+            if (compareMode === 'current') {
+                baseVersion = dialogProps.chatflow
+            } else if (versions[index + 1]) {
+                baseVersion = (await chatflowVersionsApi.getSpecificChatflowVersion(chatflowid, versions[index + 1].id)).data
+            }
+
+            // Comparing against the current chatflow shows what restoring the selected version would change
+            const diff =
+                compareMode === 'current'
+                    ? getFlowDataDiff(baseVersion.flowData, selectedVersion.flowData)
+                    : getFlowDataDiff(baseVersion?.flowData ?? '{}', selectedVersion.flowData)
+            setFlowDiff(diff)
+            setConfigChanged(
+                !!baseVersion &&
+                    ((baseVersion.chatbotConfig ?? null) !== (selectedVersion.chatbotConfig ?? null) ||
+                        (baseVersion.apiConfig ?? null) !== (selectedVersion.apiConfig ?? null))
+            )
+        } catch (error) {
+            setFlowDiff(null)
+            console.error(error)
+        }
+    }
+
+    const onVersionClick = (index) => {
+        setSelectedIndex(index)
+        loadDiff(index, compareWith)
+    }
+
+    const onCompareWithChange = (event, newCompareWith) => {
+        if (!newCompareWith) return
+        setCompareWith(newCompareWith)
+        loadDiff(selectedIndex, newCompareWith)
+    }
+
+    const onRestoreClick = async () => {
+        const version = versions[selectedIndex]
+        const confirmPayload = {
+            title: `Restore`,
+            description: `Restore version ${version.version}? Unsaved changes on the canvas will be lost.`,
+            confirmButtonName: 'Restore',
+            cancelButtonName: 'Cancel'
+        }
+        const isConfirmed = await confirm(confirmPayload)
+        if (!isConfirmed) return
+
+        try {
+            const resp = await chatflowVersionsApi.restoreChatflowVersion(dialogProps.chatflow.id, version.id)
+            enqueueSnackbar({
+                message: `Restored version ${version.version}`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'success',
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+            onRestore(resp.data)
+        } catch (error) {
+            enqueueSnackbar({
+                message: `Failed to restore version: ${
+                    typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                }`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+    }
+
+    useEffect(() => {
+        if (getAllChatflowVersionsApi.data) {
+            setVersions(getAllChatflowVersionsApi.data)
+        }
+    }, [getAllChatflowVersionsApi.data])
+
+    useEffect(() => {
+        if (versions.length) loadDiff(0, compareWith)
+
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [versions])
+
+    useEffect(() => {
+        if (dialogProps.chatflow) {
+            getAllChatflowVersionsApi.request(dialogProps.chatflow.id)
+        }
+
+        return () => {
+            setVersions([])
+            setSelectedIndex(0)
+            setCompareWith('previous')
+            setFlowDiff(null)
+            setConfigChanged(false)
+        }
+
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [dialogProps])
+
+    useEffect(() => {
+        if (show) dispatch({ type: SHOW_CANVAS_DIALOG })
+        else dispatch({ type: HIDE_CANVAS_DIALOG })
+        return () => dispatch({ type: HIDE_CANVAS_DIALOG })
+    }, [show, dispatch])
+
+    const isDiffEmpty =
+        flowDiff &&
+        !configChanged &&
+        !flowDiff.addedNodes.length &&
+        !flowDiff.removedNodes.length &&
+        !flowDiff.changedNodes.length &&
+        !flowDiff.addedEdges.length &&
+        !flowDiff.removedEdges.length
+
+    const component = show ? (
+        <Dialog
+            onClose={onCancel}
+            open={show}
+            fullWidth
+            maxWidth={versions.length ? 'lg' : 'md'}
+            aria-labelledby='chatflow-versions-dialog-title'
+            aria-describedby='chatflow-versions-dialog-description'
+        >
+            <DialogTitle sx={{ fontSize: '1rem' }} id='chatflow-versions-dialog-title'>
+                {dialogProps.title}
+            </DialogTitle>
+            <DialogContent>
+                {versions.length <= 0 && (
+                    <Stack sx={{ alignItems: 'center', justifyContent: 'center' }} flexDirection='column'>
+                        <Box sx={{ p: 7, height: 'auto' }}>
+                            <img
+                                style={{ objectFit: 'cover', height: '20vh', width: 'auto' }}
+                                src={HistoryEmptySVG}
+                                alt='HistoryEmptySVG'
+                            />
+                        </Box>
+                        <div>No Versions Yet</div>
+                    </Stack>
+                )}
+                {versions.length > 0 && (
+                    <div style={{ display: 'flex', flexDirection: 'row' }}>
+                        <Box sx={{ flexBasis: '30%', overflowY: 'auto', maxHeight: 'calc(100vh - 260px)', pr: 2 }}>
+                            <List disablePadding>
+                                {versions.map((version, index) => (
+                                    <ListItemButton
+                                        key={version.id}
+                                        sx={{ p: 0, mb: 1, borderRadius: `${customization.borderRadius}px` }}
+                                        selected={selectedIndex === index}
+                                        onClick={() => onVersionClick(index)}
+                                    >
+                                        <ListItemText
+                                            sx={{ px: 2, py: 1 }}
+                                            primary={
+                                                <span>
+                                                    Version {version.version}
+                                                    {index === 0 && (
+                                                        <Chip
+                                                            sx={{ ml: 1 }}
+                                                            size='small'
+                                                            color='primary'
+                                                            variant='outlined'
+                                                            label='Latest'
+                                                        />
+                                                    )}
+                                                </span>
+                                            }
+                                            secondary={`${version.author ?? 'Unknown author'} · ${moment(version.createdDate).format(
+                                                'MMMM Do YYYY, h:mm:ss a'
+                                            )}`}
+                                        />
+                                    </ListItemButton>
+                                ))}
+                            </List>
+                        </Box>
+                        <Box sx={{ flexBasis: '70%', overflowY: 'auto', maxHeight: 'calc(100vh - 260px)', pl: 2 }}>
+                            <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center', marginBottom: 15 }}>
+                                <Typography sx={{ mr: 2 }}>Compare with</Typography>
+                                <ToggleButtonGroup size='small' exclusive value={compareWith} onChange={onCompareWithChange}>
+                                    <ToggleButton value='previous'>Previous version</ToggleButton>
+                                    <ToggleButton value='current'>Current chatflow</ToggleButton>
+                                </ToggleButtonGroup>
+                                <div style={{ flexGrow: 1 }}></div>
+                                <Button variant='outlined' startIcon={<IconArrowBackUp />} onClick={onRestoreClick}>
+                                    Restore
+                                </Button>
+                            </div>
+                            {isDiffEmpty && <Typography>No differences</Typography>}
+                            {flowDiff && !isDiffEmpty && (
+                                <>
+                                    {configChanged && <Typography sx={{ mb: 2 }}>Chatbot or API configuration has changed</Typography>}
+                                    {flowDiff.addedNodes.length > 0 && (
+                                        <>
+                                            <Typography variant='h5' sx={{ mb: 1 }}>
+                                                Added Nodes
+                                            </Typography>
+                                            <NodeChips nodes={flowDiff.addedNodes} color='success' />
+                                        </>
+                                    )}
+                                    {flowDiff.removedNodes.length > 0 && (
+                                        <>
+                                            <Typography variant='h5' sx={{ mb: 1, mt: 1 }}>
+                                                Removed Nodes
+                                            </Typography>
+                                            <NodeChips nodes={flowDiff.removedNodes} color='error' />
+                                        </>
+                                    )}
+                                    {(flowDiff.addedEdges.length > 0 || flowDiff.removedEdges.length > 0) && (
+                                        <Typography sx={{ mb: 1, mt: 1 }}>
+                                            Connections: <span style={{ color: 'green' }}>+{flowDiff.addedEdges.length}</span>{' '}
+                                            <span style={{ color: 'red' }}>-{flowDiff.removedEdges.length}</span>
+                                        </Typography>
+                                    )}
+                                    {flowDiff.changedNodes.map((node) => (
+                                        <Box key={node.id} sx={{ mt: 2 }}>
+                                            <Typography variant='h5' sx={{ mb: 1 }}>
+                                                {node.label} ({node.id})
+                                            </Typography>
+                                            <TableContainer component={Paper}>
+                                                <Table size='small'>
+                                                    <TableHead>
+                                                        <TableRow>
+                                                            <TableCell>Parameter</TableCell>
+                                                            <TableCell>Before</TableCell>
+                                                            <TableCell>After</TableCell>
+                                                        </TableRow>
+                                                    </TableHead>
+                                                    <TableBody>
+                                                        {node.changes.map((change) => (
+                                                            <TableRow key={change.name}>
+                                                                <TableCell>{change.label}</TableCell>
+                                                                <TableCell sx={{ color: 'red', wordBreak: 'break-word' }}>
+                                                                    {formatValue(change.oldValue)}
+                                                                </TableCell>
+                                                                <TableCell sx={{ color: 'green', wordBreak: 'break-word' }}>
+                                                                    {formatValue(change.newValue)}
+                                                                </TableCell>
+                                                            </TableRow>
+                                                        ))}
+                                                    </TableBody>
+                                                </Table>
+                                            </TableContainer>
+                                        </Box>
+                                    ))}
+                                </>
+                            )}
+                        </Box>
+                    </div>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onCancel}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+ChatflowVersionsDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func,
+    onRestore: PropTypes.func
+}
+
+export default ChatflowVersionsDialog
@@ -0,0 +1,199 @@
+import { createPortal } from 'react-dom'
+import { useEffect, useState } from 'react'
+import { useDispatch } from 'react-redux'
+import PropTypes from 'prop-types'
+import moment from 'moment'
+
+// material-ui
+import { Box, Button, Dialog, DialogActions, DialogContent, DialogTitle, Typography } from '@mui/material'
+
+// project imports
+import { StyledButton } from '@/ui-component/button/StyledButton'
+import { Dropdown } from '@/ui-component/dropdown/Dropdown'
+import { SwitchInput } from '@/ui-component/switch/Switch'
+
+// API
+import chatmessageApi from '@/api/chatmessage'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+
+// Icons
+import { IconFileExport, IconX } from '@tabler/icons-react'
+
+const exportFormats = [
+    {
+        label: 'JSON',
+        name: 'json',
+        description: 'Conversations with their messages, sources and used tools'
+    },
+    {
+        label: 'JSONL',
+        name: 'jsonl',
+        description: 'One message per line with user/assistant roles, suitable for fine-tuning datasets'
+    },
+    {
+        label: 'CSV',
+        name: 'csv',
+        description: 'One message per row, for spreadsheets'
+    }
+]
+
+const ratingFilters = [
+    {
+        label: 'All Messages',
+        name: 'all'
+    },
+    {
+        label: 'Thumbs Up',
+        name: 'THUMBS_UP',
+        description: 'Only answers rated with a thumbs up'
+    },
+    {
+        label: 'Thumbs Down',
+        name: 'THUMBS_DOWN',
+        description: 'Only answers rated with a thumbs down'
+    }
+]
+
+const ExportChatMessagesDialog = ({ show, dialogProps, onCancel }) => {
+    const portalElement = document.getElementById('portal')
+    const dispatch = useDispatch()
+
+    useNotifier()
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const [format, setFormat] = useState('json')
+    const [rating, setRating] = useState('all')
+    const [isSelectedConversationOnly, setIsSelectedConversationOnly] = useState(false)
+    const [isExporting, setIsExporting] = useState(false)
+
+    useEffect(() => {
+        return () => {
+            setFormat('json')
+            setRating('all')
+            setIsSelectedConversationOnly(false)
+            setIsExporting(false)
+        }
+    }, [show])
+
+    const exportMessages = async () => {
+        const chatflowid = dialogProps.chatflow.id
+        const params = { format }
+        if (dialogProps.startDate) params.startDate = new Date(dialogProps.startDate).toISOString()
+        if (dialogProps.endDate) params.endDate = new Date(dialogProps.endDate).toISOString()
+        if (dialogProps.chatType?.length) params.chatType = JSON.stringify(dialogProps.chatType)
+        if (rating !== 'all') params.rating = rating
+        if (isSelectedConversationOnly && dialogProps.chatId) params.chatId = dialogProps.chatId
+
+        setIsExporting(true)
+        try {
+            const response = await chatmessageApi.exportChatmessages(chatflowid, params)
+            const url = window.URL.createObjectURL(response.data)
+            const linkElement = document.createElement('a')
+            linkElement.setAttribute('href', url)
+            linkElement.setAttribute('download', `${chatflowid}-messages.${format}`)
+            linkElement.click()
+            window.URL.revokeObjectURL(url)
+            onCancel()
+        } catch (error) {
+            // Errors of blob requests come back as a blob too
+            const errorText = error.response?.data instanceof Blob ? await error.response.data.text() : ''
+            let errorMessage = errorText || error.message
+            try {
+                errorMessage = JSON.parse(errorText).message
+            } catch (e) {
+                // not a JSON error response
+            }
+            enqueueSnackbar({
+                message: `Failed to export messages: ${errorMessage}`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+        setIsExporting(false)
+    }
+
+    const component = show ? (
+        <Dialog
+            onClose={onCancel}
+            open={show}
+            fullWidth
+            maxWidth='sm'
+            aria-labelledby='export-messages-dialog-title'
+            aria-describedby='export-messages-dialog-description'
+        >
+            <DialogTitle sx={{ fontSize: '1rem' }} id='export-messages-dialog-title'>
+                <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                    <IconFileExport style={{ marginRight: '10px' }} />
+                    Export Messages
+                </div>
+            </DialogTitle>
+            <DialogContent>
+                <Typography variant='body2' sx={{ px: 2 }}>
+                    Messages from {moment(dialogProps.startDate).format('MMMM Do, YYYY')} to{' '}
+                    {moment(dialogProps.endDate).format('MMMM Do, YYYY')}
+                    {dialogProps.chatType?.length === 1
+                        ? ` sent from ${dialogProps.chatType[0] === 'INTERNAL' ? 'UI' : 'API/Embed'}`
+                        : ''}{' '}
+                    are exported.
+                </Typography>
+                <Box sx={{ p: 2 }}>
+                    <Typography>Format</Typography>
+                    <Dropdown
+                        name='exportFormat'
+                        disableClearable={true}
+                        options={exportFormats}
+                        onSelect={(newValue) => setFormat(newValue)}
+                        value={format}
+                    />
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Typography>Feedback</Typography>
+                    <Dropdown
+                        name='exportRating'
+                        disableClearable={true}
+                        options={ratingFilters}
+                        onSelect={(newValue) => setRating(newValue)}
+                        value={rating}
+                    />
+                </Box>
+                {dialogProps.chatId && (
+                    <Box sx={{ px: 2 }}>
+                        <SwitchInput
+                            label='Only the selected conversation'
+                            value={isSelectedConversationOnly}
+                            onChange={setIsSelectedConversationOnly}
+                        />
+                    </Box>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onCancel}>Cancel</Button>
+                <StyledButton variant='contained' disabled={isExporting} onClick={exportMessages}>
+                    Export
+                </StyledButton>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+ExportChatMessagesDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func
+}
+
+export default ExportChatMessagesDialog
@@ -6,6 +6,9 @@ import { Dialog, DialogActions, DialogContent, Typography, DialogTitle } from '@
 import { StyledButton } from '@/ui-component/button/StyledButton'
 import { Input } from '@/ui-component/input/Input'
 
+// API
+import authApi from '@/api/auth'
+
 const LoginDialog = ({ show, dialogProps, onConfirm }) => {
     const portalElement = document.getElementById('portal')
     const usernameInput = {
@@ -21,12 +24,26 @@ const LoginDialog = ({ show, dialogProps, onConfirm }) => {
     }
     const [usernameVal, setUsernameVal] = useState('')
     const [passwordVal, setPasswordVal] = useState('')
+    const [errorMessage, setErrorMessage] = useState('')
+
+    const login = async () => {
+        try {
+            const resp = await authApi.login({ username: usernameVal, password: passwordVal })
+            localStorage.setItem('token', resp.data.token)
+            localStorage.setItem('username', resp.data.user.username)
+            localStorage.setItem('userRole', resp.data.user.role)
+            setErrorMessage('')
+            onConfirm()
+        } catch (error) {
+            setErrorMessage(typeof error.response?.data === 'object' ? error.response.data.message : 'Failed to login')
+        }
+    }
 
     const component = show ? (
         <Dialog
             onKeyUp={(e) => {
                 if (e.key === 'Enter') {
-                    onConfirm(usernameVal, passwordVal)
+                    login()
                 }
             }}
             open={show}
@@ -49,9 +66,14 @@ const LoginDialog = ({ show, dialogProps, onConfirm }) => {
                 <div style={{ marginTop: 20 }}></div>
                 <Typography>Password</Typography>
                 <Input inputParam={passwordInput} onChange={(newValue) => setPasswordVal(newValue)} value={passwordVal} />
+                {errorMessage && (
+                    <Typography sx={{ mt: 2 }} color='error'>
+                        {errorMessage}
+                    </Typography>
+                )}
             </DialogContent>
             <DialogActions>
-                <StyledButton variant='contained' onClick={() => onConfirm(usernameVal, passwordVal)}>
+                <StyledButton variant='contained' onClick={login}>
                     {dialogProps.confirmButtonName}
                 </StyledButton>
             </DialogActions>
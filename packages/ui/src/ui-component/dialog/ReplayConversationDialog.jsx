@@ -0,0 +1,249 @@
+import { createPortal } from 'react-dom'
+import { useEffect, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+
+// material-ui
+import {
+    Box,
+    Button,
+    Chip,
+    CircularProgress,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    LinearProgress,
+    Paper,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Typography
+} from '@mui/material'
+import { useTheme } from '@mui/material/styles'
+
+// project imports
+import { getTextDiff } from '@/utils/genericHelper'
+
+// API
+import predictionApi from '@/api/prediction'
+
+// Pair every user message of the stored session with the bot answer that followed it
+const getConversationTurns = (messages) => {
+    const turns = []
+    for (const message of messages) {
+        if (message.type === 'userMessage') {
+            turns.push({ question: message.message, oldAnswer: '', status: 'PENDING' })
+        } else if (message.type === 'apiMessage' && turns.length && !turns[turns.length - 1].oldAnswer) {
+            turns[turns.length - 1].oldAnswer = message.message
+        }
+    }
+    return turns
+}
+
+const getAnswerText = (data) => {
+    if (data.text) return data.text
+    if (data.json) return JSON.stringify(data.json, null, 2)
+    return JSON.stringify(data, null, 2)
+}
+
+const DiffText = ({ parts, side }) => {
+    const theme = useTheme()
+    // Old answer shows what was removed, new answer shows what was added
+    const highlightedType = side === 'old' ? 'removed' : 'added'
+    const highlightColor = side === 'old' ? theme.palette.error.main : theme.palette.success.main
+    return (
+        <Typography component='div' sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', fontSize: '0.875rem' }}>
+            {parts
+                .filter((part) => part.type === 'equal' || part.type === highlightedType)
+                .map((part, index) =>
+                    part.type === 'equal' ? (
+                        <span key={index}>{part.value}</span>
+                    ) : (
+                        <span
+                            key={index}
+                            style={{
+                                backgroundColor: `${highlightColor}33`,
+                                textDecoration: side === 'old' ? 'line-through' : 'none'
+                            }}
+                        >
+                            {part.value}
+                        </span>
+                    )
+                )}
+        </Typography>
+    )
+}
+
+DiffText.propTypes = {
+    parts: PropTypes.array,
+    side: PropTypes.string
+}
+
+const ReplayConversationDialog = ({ show, dialogProps, onCancel }) => {
+    const portalElement = document.getElementById('portal')
+
+    const [turns, setTurns] = useState([])
+    const [isReplaying, setIsReplaying] = useState(false)
+    // Incremented to stop the running replay, a replay only updates the turns while its run id is the latest
+    const replayRunId = useRef(0)
+
+    const replayConversation = async (conversationTurns) => {
+        const runId = ++replayRunId.current
+        const chatflowid = dialogProps.chatflow.id
+        const updateTurn = (index, values) => {
+            if (runId !== replayRunId.current) return
+            setTurns((prevTurns) => prevTurns.map((turn, turnIndex) => (turnIndex === index ? { ...turn, ...values } : turn)))
+        }
+
+        // Replayed questions are sent in a new session so the stored conversation is left untouched
+        let chatId
+        setIsReplaying(true)
+        for (let index = 0; index < conversationTurns.length; index++) {
+            if (runId !== replayRunId.current) return
+            updateTurn(index, { status: 'RUNNING' })
+            try {
+                const params = { question: conversationTurns[index].question }
+                if (chatId) params.chatId = chatId
+                const response = await predictionApi.sendMessageAndGetPrediction(chatflowid, params)
+                chatId = response.data.chatId
+                const newAnswer = getAnswerText(response.data)
+                updateTurn(index, {
+                    status: 'FINISHED',
+                    newAnswer,
+                    diff: getTextDiff(conversationTurns[index].oldAnswer, newAnswer)
+                })
+            } catch (error) {
+                const errorMessage = typeof error.response?.data === 'object' ? error.response.data.message : error.response?.data
+                updateTurn(index, { status: 'ERROR', error: errorMessage ?? error.message })
+            }
+        }
+        if (runId === replayRunId.current) setIsReplaying(false)
+    }
+
+    const stopReplay = () => {
+        replayRunId.current++
+        setIsReplaying(false)
+        setTurns((prevTurns) => prevTurns.map((turn) => (turn.status === 'RUNNING' ? { ...turn, status: 'PENDING' } : turn)))
+    }
+
+    useEffect(() => {
+        if (show && dialogProps.messages) {
+            const conversationTurns = getConversationTurns(dialogProps.messages)
+            setTurns(conversationTurns)
+            replayConversation(conversationTurns)
+        }
+
+        return () => {
+            stopReplay()
+            setTurns([])
+        }
+
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [show, dialogProps])
+
+    const finishedTurns = turns.filter((turn) => turn.status === 'FINISHED' || turn.status === 'ERROR')
+    const changedTurns = turns.filter((turn) => turn.status === 'FINISHED' && turn.diff.some((part) => part.type !== 'equal'))
+
+    const component = show ? (
+        <Dialog
+            onClose={onCancel}
+            open={show}
+            fullWidth
+            maxWidth='xl'
+            aria-labelledby='replay-conversation-dialog-title'
+            aria-describedby='replay-conversation-dialog-description'
+        >
+            <DialogTitle sx={{ fontSize: '1rem' }} id='replay-conversation-dialog-title'>
+                {dialogProps.title}
+            </DialogTitle>
+            <DialogContent>
+                <Box sx={{ display: 'flex', flexDirection: 'row', alignItems: 'center', mb: 2 }}>
+                    <Typography sx={{ flexGrow: 1 }}>
+                        {isReplaying
+                            ? `Replaying ${finishedTurns.length + 1} of ${turns.length} messages against the current flow...`
+                            : `${changedTurns.length} of ${turns.length} answers changed`}
+                    </Typography>
+                </Box>
+                {isReplaying && (
+                    <LinearProgress
+                        sx={{ mb: 2 }}
+                        variant='determinate'
+                        value={turns.length ? (finishedTurns.length / turns.length) * 100 : 0}
+                    />
+                )}
+                {turns.length === 0 && <Typography>This conversation has no user messages to replay</Typography>}
+                {turns.length > 0 && (
+                    <TableContainer component={Paper} sx={{ maxHeight: 'calc(100vh - 300px)' }}>
+                        <Table stickyHeader size='small'>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell sx={{ width: '20%' }}>Question</TableCell>
+                                    <TableCell sx={{ width: '40%' }}>Stored Answer</TableCell>
+                                    <TableCell sx={{ width: '40%' }}>Current Flow Answer</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {turns.map((turn, index) => (
+                                    <TableRow key={index} sx={{ verticalAlign: 'top' }}>
+                                        <TableCell>
+                                            <Typography sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', fontSize: '0.875rem' }}>
+                                                {turn.question}
+                                            </Typography>
+                                            {turn.status === 'FINISHED' && (
+                                                <Chip
+                                                    sx={{ mt: 1 }}
+                                                    size='small'
+                                                    variant='outlined'
+                                                    color={turn.diff.some((part) => part.type !== 'equal') ? 'warning' : 'success'}
+                                                    label={turn.diff.some((part) => part.type !== 'equal') ? 'Changed' : 'Unchanged'}
+                                                />
+                                            )}
+                                        </TableCell>
+                                        <TableCell>
+                                            {turn.status === 'FINISHED' ? (
+                                                <DiffText parts={turn.diff} side='old' />
+                                            ) : (
+                                                <Typography sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', fontSize: '0.875rem' }}>
+                                                    {turn.oldAnswer}
+                                                </Typography>
+                                            )}
+                                        </TableCell>
+                                        <TableCell>
+                                            {turn.status === 'RUNNING' && <CircularProgress size={20} />}
+                                            {turn.status === 'PENDING' && (
+                                                <Typography variant='caption'>{isReplaying ? 'Waiting...' : 'Skipped'}</Typography>
+                                            )}
+                                            {turn.status === 'ERROR' && <Typography color='error'>{turn.error}</Typography>}
+                                            {turn.status === 'FINISHED' && <DiffText parts={turn.diff} side='new' />}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                )}
+            </DialogContent>
+            <DialogActions>
+                {isReplaying && (
+                    <Button color='error' onClick={stopReplay}>
+                        Stop
+                    </Button>
+                )}
+                <Button onClick={onCancel}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+ReplayConversationDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func
+}
+
+export default ReplayConversationDialog
@@ -23,7 +23,8 @@ import {
     ListItemText,
     Chip,
     Card,
-    CardMedia
+    CardMedia,
+    OutlinedInput
 } from '@mui/material'
 import { useTheme } from '@mui/material/styles'
 import DatePicker from 'react-datepicker'
@@ -31,16 +32,20 @@ import DatePicker from 'react-datepicker'
 import robotPNG from '@/assets/images/robot.png'
 import userPNG from '@/assets/images/account.png'
 import msgEmptySVG from '@/assets/images/message_empty.svg'
-import { IconFileExport, IconEraser, IconX, IconDownload } from '@tabler/icons-react'
+import { IconFileExport, IconEraser, IconX, IconDownload, IconBinaryTree, IconPlayerPlay, IconSearch } from '@tabler/icons-react'
 
 // Project import
 import { MemoizedReactMarkdown } from '@/ui-component/markdown/MemoizedReactMarkdown'
 import { CodeBlock } from '@/ui-component/markdown/CodeBlock'
 import SourceDocDialog from '@/ui-component/dialog/SourceDocDialog'
+import ReplayConversationDialog from '@/ui-component/dialog/ReplayConversationDialog'
+import ExportChatMessagesDialog from '@/ui-component/dialog/ExportChatMessagesDialog'
 import { MultiDropdown } from '@/ui-component/dropdown/MultiDropdown'
 import { StyledButton } from '@/ui-component/button/StyledButton'
 import StatsCard from '@/ui-component/cards/StatsCard'
 import Feedback from '@/ui-component/extended/Feedback'
+import ExecutionTraceDrawer from '@/views/chatmessage/ExecutionTraceDrawer'
+import ChatMessageSearchResults from '@/views/chatmessage/ChatMessageSearchResults'
 
 // store
 import { HIDE_CANVAS_DIALOG, SHOW_CANVAS_DIALOG } from '@/store/actions'
@@ -52,7 +57,7 @@ import useApi from '@/hooks/useApi'
 import useConfirm from '@/hooks/useConfirm'
 
 // Utils
-import { getOS, isValidURL, removeDuplicateURL } from '@/utils/genericHelper'
+import { isValidURL, removeDuplicateURL } from '@/utils/genericHelper'
 import useNotifier from '@/utils/useNotifier'
 import { baseURL } from '@/store/constant'
 
@@ -92,13 +97,20 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
     const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
 
     const [chatlogs, setChatLogs] = useState([])
-    const [allChatlogs, setAllChatLogs] = useState([])
     const [chatMessages, setChatMessages] = useState([])
     const [stats, setStats] = useState([])
     const [selectedMessageIndex, setSelectedMessageIndex] = useState(0)
     const [selectedChatId, setSelectedChatId] = useState('')
     const [sourceDialogOpen, setSourceDialogOpen] = useState(false)
     const [sourceDialogProps, setSourceDialogProps] = useState({})
+    const [selectedExecutionTrace, setSelectedExecutionTrace] = useState(null)
+    const [replayDialogOpen, setReplayDialogOpen] = useState(false)
+    const [replayDialogProps, setReplayDialogProps] = useState({})
+    const [exportDialogOpen, setExportDialogOpen] = useState(false)
+    const [searchQuery, setSearchQuery] = useState('')
+    const [searchResults, setSearchResults] = useState(null)
+    // Message opened from the search results, scrolled to and highlighted once its session is loaded
+    const [searchedMessageId, setSearchedMessageId] = useState('')
     const [chatTypeFilter, setChatTypeFilter] = useState([])
     const [startDate, setStartDate] = useState(new Date().setMonth(new Date().getMonth() - 1))
     const [endDate, setEndDate] = useState(new Date())
@@ -107,8 +119,7 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
     const getChatmessageApi = useApi(chatmessageApi.getAllChatmessageFromChatflow)
     const getChatmessageFromPKApi = useApi(chatmessageApi.getChatmessageFromPK)
     const getStatsApi = useApi(feedbackApi.getStatsFromChatflow)
-    const getStoragePathFromServer = useApi(chatmessageApi.getStoragePath)
-    let storagePath = ''
+    const searchChatmessageApi = useApi(chatmessageApi.searchChatmessages)
 
     const onStartDateSelected = (date) => {
         setStartDate(date)
@@ -152,76 +163,6 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
         })
     }
 
-    const exportMessages = async () => {
-        if (!storagePath && getStoragePathFromServer.data) {
-            storagePath = getStoragePathFromServer.data.storagePath
-        }
-        const obj = {}
-        let fileSeparator = '/'
-        if ('windows' === getOS()) {
-            fileSeparator = '\\'
-        }
-        for (let i = 0; i < allChatlogs.length; i += 1) {
-            const chatmsg = allChatlogs[i]
-            const chatPK = getChatPK(chatmsg)
-            let filePaths = []
-            if (chatmsg.fileUploads) {
-                chatmsg.fileUploads = JSON.parse(chatmsg.fileUploads)
-                chatmsg.fileUploads.forEach((file) => {
-                    if (file.type === 'stored-file') {
-                        filePaths.push(
-                            `${storagePath}${fileSeparator}${chatmsg.chatflowid}${fileSeparator}${chatmsg.chatId}${fileSeparator}${file.name}`
-                        )
-                    }
-                })
-            }
-            const msg = {
-                content: chatmsg.content,
-                role: chatmsg.role === 'apiMessage' ? 'bot' : 'user',
-                time: chatmsg.createdDate
-            }
-            if (filePaths.length) msg.filePaths = filePaths
-            if (chatmsg.sourceDocuments) msg.sourceDocuments = JSON.parse(chatmsg.sourceDocuments)
-            if (chatmsg.usedTools) msg.usedTools = JSON.parse(chatmsg.usedTools)
-            if (chatmsg.fileAnnotations) msg.fileAnnotations = JSON.parse(chatmsg.fileAnnotations)
-            if (chatmsg.feedback) msg.feedback = chatmsg.feedback?.content
-
-            if (!Object.prototype.hasOwnProperty.call(obj, chatPK)) {
-                obj[chatPK] = {
-                    id: chatmsg.chatId,
-                    source: chatmsg.chatType === 'INTERNAL' ? 'UI' : 'API/Embed',
-                    sessionId: chatmsg.sessionId ?? null,
-                    memoryType: chatmsg.memoryType ?? null,
-                    email: leadEmail ?? null,
-                    messages: [msg]
-                }
-            } else if (Object.prototype.hasOwnProperty.call(obj, chatPK)) {
-                obj[chatPK].messages = [...obj[chatPK].messages, msg]
-            }
-        }
-
-        const exportMessages = []
-        for (const key in obj) {
-            exportMessages.push({
-                ...obj[key]
-            })
-        }
-
-        for (let i = 0; i < exportMessages.length; i += 1) {
-            exportMessages[i].messages = exportMessages[i].messages.reverse()
-        }
-
-        const dataStr = JSON.stringify(exportMessages, null, 2)
-        const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr)
-
-        const exportFileDefaultName = `${dialogProps.chatflow.id}-Message.json`
-
-        let linkElement = document.createElement('a')
-        linkElement.setAttribute('href', dataUri)
-        linkElement.setAttribute('download', exportFileDefaultName)
-        linkElement.click()
-    }
-
     const clearChat = async (chatmsg) => {
         const description =
             chatmsg.sessionId && chatmsg.memoryType
@@ -319,6 +260,7 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
             if (chatmsg.sourceDocuments) obj.sourceDocuments = JSON.parse(chatmsg.sourceDocuments)
             if (chatmsg.usedTools) obj.usedTools = JSON.parse(chatmsg.usedTools)
             if (chatmsg.fileAnnotations) obj.fileAnnotations = JSON.parse(chatmsg.fileAnnotations)
+            if (chatmsg.executionTrace) obj.executionTrace = JSON.parse(chatmsg.executionTrace)
 
             loadedMessages.push(obj)
         }
@@ -377,9 +319,24 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
 
     const handleItemClick = (idx, chatmsg) => {
         setSelectedMessageIndex(idx)
+        setSearchedMessageId('')
         getChatmessageFromPKApi.request(dialogProps.chatflow.id, transformChatPKToParams(getChatPK(chatmsg)))
     }
 
+    const onSearchMatchClick = (session, match) => {
+        setSearchedMessageId(match.messageId)
+        getChatmessageFromPKApi.request(dialogProps.chatflow.id, transformChatPKToParams(getChatPK(session)))
+    }
+
+    const onReplayClick = () => {
+        setReplayDialogProps({
+            title: 'Replay Against Current Flow',
+            chatflow: dialogProps.chatflow,
+            messages: chatMessages
+        })
+        setReplayDialogOpen(true)
+    }
+
     const onURLClick = (data) => {
         window.open(data, '_blank')
     }
@@ -426,9 +383,6 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
 
     useEffect(() => {
         if (getChatmessageApi.data) {
-            getStoragePathFromServer.request()
-
-            setAllChatLogs(getChatmessageApi.data)
             const chatPK = processChatLogs(getChatmessageApi.data)
             setSelectedMessageIndex(0)
             if (chatPK) getChatmessageFromPKApi.request(dialogProps.chatflow.id, transformChatPKToParams(chatPK))
@@ -443,6 +397,39 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
         }
     }, [getStatsApi.data])
 
+    // Search once the user stops typing, using the same date range and source filters as the chat logs
+    useEffect(() => {
+        if (!dialogProps.chatflow || !searchQuery.trim()) {
+            setSearchResults(null)
+            return
+        }
+        const timeout = setTimeout(() => {
+            searchChatmessageApi.request(dialogProps.chatflow.id, {
+                q: searchQuery.trim(),
+                startDate: startDate,
+                endDate: endDate,
+                chatType: chatTypeFilter.length ? JSON.stringify(chatTypeFilter) : undefined
+            })
+        }, 400)
+        return () => clearTimeout(timeout)
+
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [searchQuery, startDate, endDate, chatTypeFilter])
+
+    useEffect(() => {
+        if (searchChatmessageApi.data && searchQuery.trim()) {
+            setSearchResults(searchChatmessageApi.data)
+        }
+
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [searchChatmessageApi.data])
+
+    useEffect(() => {
+        if (!searchedMessageId) return
+        const messageElement = document.getElementById(`chatmessage-${searchedMessageId}`)
+        if (messageElement) messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    }, [chatMessages, searchedMessageId])
+
     useEffect(() => {
         if (dialogProps.chatflow) {
             getChatmessageApi.request(dialogProps.chatflow.id)
@@ -451,7 +438,6 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
 
         return () => {
             setChatLogs([])
-            setAllChatLogs([])
             setChatMessages([])
             setChatTypeFilter([])
             setSelectedMessageIndex(0)
@@ -460,6 +446,9 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
             setEndDate(new Date())
             setStats([])
             setLeadEmail('')
+            setSearchQuery('')
+            setSearchResults(null)
+            setSearchedMessageId('')
         }
 
         // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -484,7 +473,7 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
                 <div style={{ display: 'flex', flexDirection: 'row' }}>
                     {dialogProps.title}
                     <div style={{ flex: 1 }} />
-                    <Button variant='outlined' onClick={() => exportMessages()} startIcon={<IconFileExport />}>
+                    <Button variant='outlined' onClick={() => setExportDialogOpen(true)} startIcon={<IconFileExport />}>
                         Export
                     </Button>
                 </div>
@@ -546,6 +535,19 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
                             />
                         </div>
                         <div style={{ flex: 1 }}></div>
+                        <OutlinedInput
+                            size='small'
+                            sx={{ width: '280px', borderRadius: 2 }}
+                            placeholder='Search messages, sources and tools'
+                            value={searchQuery}
+                            onChange={(e) => setSearchQuery(e.target.value)}
+                            startAdornment={
+                                <Box sx={{ color: theme.palette.grey[400], display: 'flex', alignItems: 'center', mr: 1 }}>
+                                    <IconSearch style={{ color: 'inherit', width: 16, height: 16 }} />
+                                </Box>
+                            }
+                            type='search'
+                        />
                     </div>
                     <div
                         style={{
@@ -588,44 +590,52 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
                                         maxHeight: 'calc(100vh - 260px)'
                                     }}
                                 >
-                                    {chatlogs.map((chatmsg, index) => (
-                                        <ListItemButton
-                                            key={index}
-                                            sx={{
-                                                p: 0,
-                                                borderRadius: `${customization.borderRadius}px`,
-                                                boxShadow: '0 2px 14px 0 rgb(32 40 45 / 8%)',
-                                                mt: 1,
-                                                ml: 1,
-                                                mr: 1,
-                                                mb: index === chatlogs.length - 1 ? 1 : 0
-                                            }}
-                                            selected={selectedMessageIndex === index}
-                                            onClick={() => handleItemClick(index, chatmsg)}
-                                        >
-                                            <ListItem alignItems='center'>
-                                                <ListItemText
-                                                    primary={
-                                                        <div style={{ display: 'flex', flexDirection: 'column', marginBottom: 10 }}>
-                                                            <span>{chatmsg?.userContent}</span>
-                                                            <div
-                                                                style={{
-                                                                    maxHeight: '100px',
-                                                                    maxWidth: '400px',
-                                                                    whiteSpace: 'nowrap',
-                                                                    overflow: 'hidden',
-                                                                    textOverflow: 'ellipsis'
-                                                                }}
-                                                            >
-                                                                {chatmsg?.apiContent}
+                                    {searchResults ? (
+                                        <ChatMessageSearchResults
+                                            results={searchResults}
+                                            selectedMessageId={searchedMessageId}
+                                            onMatchClick={onSearchMatchClick}
+                                        />
+                                    ) : (
+                                        chatlogs.map((chatmsg, index) => (
+                                            <ListItemButton
+                                                key={index}
+                                                sx={{
+                                                    p: 0,
+                                                    borderRadius: `${customization.borderRadius}px`,
+                                                    boxShadow: '0 2px 14px 0 rgb(32 40 45 / 8%)',
+                                                    mt: 1,
+                                                    ml: 1,
+                                                    mr: 1,
+                                                    mb: index === chatlogs.length - 1 ? 1 : 0
+                                                }}
+                                                selected={selectedMessageIndex === index}
+                                                onClick={() => handleItemClick(index, chatmsg)}
+                                            >
+                                                <ListItem alignItems='center'>
+                                                    <ListItemText
+                                                        primary={
+                                                            <div style={{ display: 'flex', flexDirection: 'column', marginBottom: 10 }}>
+                                                                <span>{chatmsg?.userContent}</span>
+                                                                <div
+                                                                    style={{
+                                                                        maxHeight: '100px',
+                                                                        maxWidth: '400px',
+                                                                        whiteSpace: 'nowrap',
+                                                                        overflow: 'hidden',
+                                                                        textOverflow: 'ellipsis'
+                                                                    }}
+                                                                >
+                                                                    {chatmsg?.apiContent}
+                                                                </div>
                                                             </div>
-                                                        </div>
-                                                    }
-                                                    secondary={moment(chatmsg.createdDate).format('MMMM Do YYYY, h:mm:ss a')}
-                                                />
-                                            </ListItem>
-                                        </ListItemButton>
-                                    ))}
+                                                        }
+                                                        secondary={moment(chatmsg.createdDate).format('MMMM Do YYYY, h:mm:ss a')}
+                                                    />
+                                                </ListItem>
+                                            </ListItemButton>
+                                        ))
+                                    )}
                                 </Box>
                             </div>
                         )}
@@ -673,6 +683,15 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
                                             >
                                                 Clear
                                             </StyledButton>
+                                            <StyledButton
+                                                sx={{ height: 'max-content', width: 'max-content', mt: 1 }}
+                                                variant='outlined'
+                                                title='Send the user messages of this conversation to the current flow and compare the answers'
+                                                onClick={onReplayClick}
+                                                startIcon={<IconPlayerPlay />}
+                                            >
+                                                Replay against current flow
+                                            </StyledButton>
                                             {chatMessages[1].sessionId && (
                                                 <Tooltip
                                                     title={
@@ -704,11 +723,17 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
                                                 if (message.type === 'apiMessage' || message.type === 'userMessage') {
                                                     return (
                                                         <Box
+                                                            id={`chatmessage-${message.id}`}
                                                             sx={{
                                                                 background:
                                                                     message.type === 'apiMessage' ? theme.palette.asyncSelect.main : '',
                                                                 py: '1rem',
-                                                                px: '1.5rem'
+                                                                px: '1.5rem',
+                                                                outline:
+                                                                    searchedMessageId && message.id === searchedMessageId
+                                                                        ? `2px solid ${theme.palette.warning.main}`
+                                                                        : 'none',
+                                                                outlineOffset: '-2px'
                                                             }}
                                                             key={index}
                                                             style={{ display: 'flex', justifyContent: 'center', alignContent: 'center' }}
@@ -887,6 +912,22 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
                                                                         })}
                                                                     </div>
                                                                 )}
+                                                                {message.type === 'apiMessage' && message.executionTrace?.length > 0 && (
+                                                                    <div style={{ display: 'block', flexDirection: 'row', width: '100%' }}>
+                                                                        <Chip
+                                                                            size='small'
+                                                                            label='Trace'
+                                                                            component='a'
+                                                                            sx={{ mr: 1, mb: 1 }}
+                                                                            variant='outlined'
+                                                                            clickable
+                                                                            icon={<IconBinaryTree size={15} />}
+                                                                            onClick={() =>
+                                                                                setSelectedExecutionTrace(message.executionTrace)
+                                                                            }
+                                                                        />
+                                                                    </div>
+                                                                )}
                                                                 {message.type === 'apiMessage' && message.feedback ? (
                                                                     <Feedback
                                                                         content={message.feedback?.content || ''}
@@ -917,6 +958,28 @@ const ViewMessagesDialog = ({ show, dialogProps, onCancel }) => {
                         )}
                     </div>
                     <SourceDocDialog show={sourceDialogOpen} dialogProps={sourceDialogProps} onCancel={() => setSourceDialogOpen(false)} />
+                    <ReplayConversationDialog
+                        show={replayDialogOpen}
+                        dialogProps={replayDialogProps}
+                        onCancel={() => setReplayDialogOpen(false)}
+                    />
+                    <ExportChatMessagesDialog
+                        show={exportDialogOpen}
+                        dialogProps={{
+                            chatflow: dialogProps.chatflow,
+                            startDate,
+                            endDate,
+                            chatType: chatTypeFilter,
+                            chatId: selectedChatId
+                        }}
+                        onCancel={() => setExportDialogOpen(false)}
+                    />
+                    <ExecutionTraceDrawer
+                        show={selectedExecutionTrace !== null}
+                        chatflowid={dialogProps.chatflow?.id}
+                        executionTrace={selectedExecutionTrace ?? []}
+                        onClose={() => setSelectedExecutionTrace(null)}
+                    />
                 </>
             </DialogContent>
         </Dialog>
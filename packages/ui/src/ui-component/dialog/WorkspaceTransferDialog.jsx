@@ -0,0 +1,119 @@
+import { createPortal } from 'react-dom'
+import { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+
+import { Box, Button, Dialog, DialogActions, DialogContent, DialogTitle, Typography } from '@mui/material'
+import { StyledButton } from '@/ui-component/button/StyledButton'
+import { Dropdown } from '@/ui-component/dropdown/Dropdown'
+
+// API
+import workspacesApi from '@/api/workspaces'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+
+const transferModes = [
+    {
+        label: 'Move',
+        name: 'move',
+        description: 'The chatflow leaves this workspace'
+    },
+    {
+        label: 'Copy',
+        name: 'copy',
+        description: 'A copy of the chatflow is created in the workspace'
+    }
+]
+
+const WorkspaceTransferDialog = ({ show, dialogProps, onCancel, onConfirm }) => {
+    const portalElement = document.getElementById('portal')
+
+    const [workspaceOptions, setWorkspaceOptions] = useState([])
+    const [workspaceId, setWorkspaceId] = useState('')
+    const [mode, setMode] = useState('move')
+
+    const getAllWorkspaces = useApi(workspacesApi.getAllWorkspaces)
+
+    useEffect(() => {
+        if (show) {
+            setWorkspaceId('')
+            setMode('move')
+            getAllWorkspaces.request()
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [show])
+
+    useEffect(() => {
+        if (getAllWorkspaces.data) {
+            setWorkspaceOptions(
+                getAllWorkspaces.data
+                    .filter((workspace) => workspace.id !== dialogProps.chatflow?.workspaceId)
+                    .map((workspace) => ({ label: workspace.name, name: workspace.id, description: workspace.description }))
+            )
+        }
+    }, [getAllWorkspaces.data, dialogProps.chatflow])
+
+    const component = show ? (
+        <Dialog
+            open={show}
+            fullWidth
+            maxWidth='xs'
+            onClose={onCancel}
+            aria-labelledby='alert-dialog-title'
+            aria-describedby='alert-dialog-description'
+        >
+            <DialogTitle sx={{ fontSize: '1rem' }} id='alert-dialog-title'>
+                {dialogProps.title}
+            </DialogTitle>
+            <DialogContent>
+                <Box sx={{ pt: 1 }}>
+                    <Typography>
+                        Workspace<span style={{ color: 'red' }}>&nbsp;*</span>
+                    </Typography>
+                    <Dropdown
+                        key={`workspace_${workspaceOptions.length}`}
+                        name='workspace'
+                        options={workspaceOptions}
+                        onSelect={(newValue) => setWorkspaceId(newValue)}
+                        value={workspaceId || 'choose an option'}
+                        id='dropdown_workspace'
+                    />
+                </Box>
+                <Box sx={{ pt: 2 }}>
+                    <Typography>
+                        Mode<span style={{ color: 'red' }}>&nbsp;*</span>
+                    </Typography>
+                    <Dropdown
+                        name='mode'
+                        options={transferModes}
+                        onSelect={(newValue) => setMode(newValue)}
+                        value={mode}
+                        disableClearable={true}
+                        id='dropdown_transferMode'
+                    />
+                </Box>
+                <Typography variant='caption' component='div' sx={{ pt: 2 }}>
+                    The credentials used by the chatflow are copied to the workspace, unless it already has a credential with the same name
+                    and type.
+                </Typography>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onCancel}>{dialogProps.cancelButtonName}</Button>
+                <StyledButton disabled={!workspaceId || !mode} variant='contained' onClick={() => onConfirm({ workspaceId, mode })}>
+                    {dialogProps.confirmButtonName}
+                </StyledButton>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+WorkspaceTransferDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func,
+    onConfirm: PropTypes.func
+}
+
+export default WorkspaceTransferDialog
@@ -1,5 +1,6 @@
 import { useState, useEffect, Fragment } from 'react'
 import { useSelector } from 'react-redux'
+import { useMatch } from 'react-router-dom'
 import PropTypes from 'prop-types'
 import axios from 'axios'
 
@@ -26,17 +27,17 @@ const StyledPopper = styled(Popper)({
     }
 })
 
-const fetchList = async ({ name, nodeData }) => {
+const fetchList = async ({ name, nodeData, chatflowid }) => {
     const loadMethod = nodeData.inputParams.find((param) => param.name === name)?.loadMethod
-    const username = localStorage.getItem('username')
-    const password = localStorage.getItem('password')
+    const token = localStorage.getItem('token')
+    const workspaceId = localStorage.getItem('workspaceId')
+    const headers = {}
+    if (token) headers.Authorization = `Bearer ${token}`
+    // Options listing entities, such as chatflows, are scoped to the selected workspace
+    if (workspaceId) headers['x-workspace-id'] = workspaceId
 
     let lists = await axios
-        .post(
-            `${baseURL}/api/v1/node-load-method/${nodeData.name}`,
-            { ...nodeData, loadMethod },
-            { auth: username && password ? { username, password } : undefined }
-        )
+        .post(`${baseURL}/api/v1/node-load-method/${nodeData.name}`, { ...nodeData, loadMethod, chatflowid }, { headers })
         .then(async function (response) {
             return response.data
         })
@@ -58,6 +59,8 @@ export const AsyncDropdown = ({
     disableClearable = false
 }) => {
     const customization = useSelector((state) => state.customization)
+    // Chatflow being edited, load methods leave it out of the chatflows it can execute
+    const canvasMatch = useMatch('/canvas/:id')
 
     const [open, setOpen] = useState(false)
     const [options, setOptions] = useState([])
@@ -96,7 +99,9 @@ export const AsyncDropdown = ({
         setLoading(true)
         ;(async () => {
             const fetchData = async () => {
-                let response = credentialNames.length ? await fetchCredentialList() : await fetchList({ name, nodeData })
+                let response = credentialNames.length
+                    ? await fetchCredentialList()
+                    : await fetchList({ name, nodeData, chatflowid: canvasMatch?.params.id })
                 if (isCreateNewOption) setOptions([...response, ...addNewOption])
                 else setOptions([...response])
                 setLoading(false)
@@ -0,0 +1,124 @@
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction, SET_CHATFLOW } from '@/store/actions'
+
+import { Box, Typography, Button, OutlinedInput } from '@mui/material'
+
+// Project import
+import { StyledButton } from '@/ui-component/button/StyledButton'
+
+// Icons
+import { IconX } from '@tabler/icons-react'
+
+// API
+import chatflowsApi from '@/api/chatflows'
+import usageApi from '@/api/usage'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+const Budget = () => {
+    const dispatch = useDispatch()
+    const chatflow = useSelector((state) => state.canvas.chatflow)
+    const chatflowid = chatflow.id
+    const apiConfig = chatflow.apiConfig ? JSON.parse(chatflow.apiConfig) : {}
+
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const [monthlyBudget, setMonthlyBudget] = useState(apiConfig?.monthlyBudget ?? '')
+
+    const getUsageApi = useApi(usageApi.getUsage)
+
+    useEffect(() => {
+        const monthStart = new Date()
+        monthStart.setDate(1)
+        monthStart.setHours(0, 0, 0, 0)
+        getUsageApi.request({ chatflowid, startDate: monthStart.toISOString(), tzOffset: new Date().getTimezoneOffset() })
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [chatflowid])
+
+    const onSave = async () => {
+        try {
+            const newApiConfig = { ...apiConfig }
+            if (monthlyBudget === '') delete newApiConfig.monthlyBudget
+            else newApiConfig.monthlyBudget = Number(monthlyBudget)
+            const saveResp = await chatflowsApi.updateChatflow(chatflowid, {
+                apiConfig: JSON.stringify(newApiConfig)
+            })
+            if (saveResp.data) {
+                enqueueSnackbar({
+                    message: 'Budget Saved',
+                    options: {
+                        key: new Date().getTime() + Math.random(),
+                        variant: 'success',
+                        action: (key) => (
+                            <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                                <IconX />
+                            </Button>
+                        )
+                    }
+                })
+                dispatch({ type: SET_CHATFLOW, chatflow: saveResp.data })
+            }
+        } catch (error) {
+            enqueueSnackbar({
+                message: `Failed to save Budget: ${
+                    typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                }`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+    }
+
+    const monthCost = getUsageApi.data?.totals?.cost
+
+    return (
+        <>
+            <Typography variant='h4' sx={{ mb: 1 }}>
+                Monthly Budget
+            </Typography>
+            <Typography variant='body2' sx={{ color: 'text.secondary' }}>
+                Predictions are blocked once the cost of the tokens used by the chatflow this month reaches the budget. Costs are computed
+                with the model prices of models.json, calls to models without a price are not counted.
+            </Typography>
+            <Box sx={{ pt: 2, pb: 2 }}>
+                <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
+                    <Typography sx={{ mb: 1 }}>Budget in USD</Typography>
+                    <OutlinedInput
+                        id='monthlyBudget'
+                        type='number'
+                        fullWidth
+                        value={monthlyBudget}
+                        placeholder='No budget'
+                        name='monthlyBudget'
+                        size='small'
+                        inputProps={{ min: 0, step: 'any' }}
+                        onChange={(e) => setMonthlyBudget(e.target.value)}
+                    />
+                </div>
+            </Box>
+            {monthCost !== undefined && <Typography variant='body2'>Spent this month: ${monthCost.toFixed(4)}</Typography>}
+
+            <StyledButton style={{ marginBottom: 10, marginTop: 10 }} variant='contained' onClick={() => onSave()}>
+                Save Changes
+            </StyledButton>
+        </>
+    )
+}
+
+export default Budget
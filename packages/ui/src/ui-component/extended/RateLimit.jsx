@@ -34,7 +34,9 @@ const RateLimit = () => {
     const [limitMsg, setLimitMsg] = useState(apiConfig?.rateLimit?.limitMsg ?? '')
 
     const formatObj = () => {
+        // Keep the other settings stored in apiConfig, like the monthly budget
         const obj = {
+            ...apiConfig,
             rateLimit: {}
         }
         const rateLimitValuesBoolean = [!limitMax, !limitDuration, !limitMsg]
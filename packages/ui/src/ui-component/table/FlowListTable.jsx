@@ -21,6 +21,7 @@ import {
 import { tableCellClasses } from '@mui/material/TableCell'
 import FlowListMenu from '../button/FlowListMenu'
 import { Link } from 'react-router-dom'
+import { getAuthorsCaption } from '@/utils/genericHelper'
 
 const StyledTableCell = styled(TableCell)(({ theme }) => ({
     borderColor: theme.palette.grey[900] + 25,
@@ -203,7 +204,14 @@ export const FlowListTable = ({ data, images, isLoading, filterFunction, updateF
                                                 </Box>
                                             )}
                                         </StyledTableCell>
-                                        <StyledTableCell key='3'>{moment(row.updatedDate).format('MMMM Do, YYYY')}</StyledTableCell>
+                                        <StyledTableCell key='3'>
+                                            {moment(row.updatedDate).format('MMMM Do, YYYY')}
+                                            {getAuthorsCaption(row) && (
+                                                <Typography variant='caption' sx={{ display: 'block' }}>
+                                                    {getAuthorsCaption(row)}
+                                                </Typography>
+                                            )}
+                                        </StyledTableCell>
                                         <StyledTableCell key='4'>
                                             <Stack
                                                 direction={{ xs: 'column', sm: 'row' }}
@@ -1,4 +1,6 @@
 import moment from 'moment'
+import { cloneDeep, isEqual, omit } from 'lodash'
+import { FLOW_FRAGMENT_TYPE, GROUP_NODE_TYPE } from '@/store/constant'
 
 export const getUniqueNodeId = (nodeData, nodes) => {
     // Get amount of same nodes
@@ -348,6 +350,11 @@ export const generateExportFlowData = (flowData) => {
         nodes[i].selected = false
         const node = nodes[i]
 
+        if (node.type === GROUP_NODE_TYPE) {
+            nodes[i].data = { ...node.data, selected: false }
+            continue
+        }
+
         const newNodeData = {
             id: node.data.id,
             label: node.data.label,
@@ -388,6 +395,408 @@ export const generateExportFlowData = (flowData) => {
     return exportJson
 }
 
+export const getCopiedFlowFragment = (nodes, edges) => {
+    // Copying a group copies all of its members, groups come first so they are added before their members
+    const selectedGroupIds = nodes.filter((node) => node.selected && node.type === GROUP_NODE_TYPE).map((node) => node.id)
+    const selectedNodes = nodes
+        .filter((node) => node.selected || selectedGroupIds.includes(node.parentNode))
+        .sort((a, b) => (b.type === GROUP_NODE_TYPE) - (a.type === GROUP_NODE_TYPE))
+        .map((node) => (!node.parentNode || selectedGroupIds.includes(node.parentNode) ? node : getUngroupedNode(node)))
+    const selectedNodeIds = selectedNodes.map((node) => node.id)
+
+    // Only keep edges connecting two copied nodes
+    const internalEdges = edges.filter((edge) => selectedNodeIds.includes(edge.source) && selectedNodeIds.includes(edge.target))
+
+    return {
+        type: FLOW_FRAGMENT_TYPE,
+        nodes: cloneDeep(selectedNodes),
+        edges: cloneDeep(internalEdges)
+    }
+}
+
+export const isFlowFragment = (data) => {
+    try {
+        const parsedData = typeof data === 'string' ? JSON.parse(data) : data
+        return parsedData?.type === FLOW_FRAGMENT_TYPE && Array.isArray(parsedData.nodes) && Array.isArray(parsedData.edges)
+    } catch (e) {
+        return false
+    }
+}
+
+const replaceHandleNodeId = (handle, oldNodeId, newNodeId) => {
+    if (typeof handle === 'string' && handle.startsWith(`${oldNodeId}-`)) {
+        return `${newNodeId}${handle.substring(oldNodeId.length)}`
+    }
+    return handle
+}
+
+const remapInputValue = (value, nodeIdMap) => {
+    if (Array.isArray(value)) {
+        return value.map((item) => remapInputValue(item, nodeIdMap)).filter((item) => item !== '')
+    }
+    if (typeof value !== 'string') return value
+
+    const nodeVariableRegex = /{{\s*([^{}\s.]+)(\.data[^{}]*)}}/g
+    // A connection to a node outside of the fragment is dropped, same as duplicating a single node
+    const singleVariableMatch = /^{{\s*([^{}\s.]+)\.data[^{}]*}}$/.exec(value)
+    if (singleVariableMatch && !nodeIdMap[singleVariableMatch[1]]) return ''
+
+    return value.replace(nodeVariableRegex, (match, nodeId, path) => (nodeIdMap[nodeId] ? `{{${nodeIdMap[nodeId]}${path}}}` : match))
+}
+
+/**
+ * Give the nodes and edges of a copied fragment new ids so that they can be added next to the existing nodes.
+ * Handles, edge ids and {{nodeId.data...}} variables are rewritten to the new ids.
+ * @param {object} fragment
+ * @param {object[]} existingNodes
+ * @param {{x: number, y: number}} position where the top left corner of the fragment is placed
+ */
+export const remapFlowFragment = (fragment, existingNodes, position) => {
+    const copiedNodes = cloneDeep(fragment.nodes)
+    const copiedEdges = cloneDeep(fragment.edges)
+
+    // Group members are positioned relative to their group, only top level nodes are moved
+    const topLevelNodes = copiedNodes.filter((node) => !node.parentNode)
+    const minX = Math.min(...topLevelNodes.map((node) => node.position.x))
+    const minY = Math.min(...topLevelNodes.map((node) => node.position.y))
+
+    const nodeIdMap = {}
+    const allNodes = [...existingNodes]
+    for (const node of copiedNodes) {
+        const newNodeId = getUniqueNodeId(node.data, allNodes)
+        nodeIdMap[node.id] = newNodeId
+        allNodes.push({ id: newNodeId, data: { name: node.data.name } })
+    }
+
+    const newNodes = copiedNodes.map((node) => {
+        const oldNodeId = node.id
+        const newNodeId = nodeIdMap[oldNodeId]
+        const newPosition = node.parentNode
+            ? node.position
+            : {
+                  x: node.position.x - minX + position.x,
+                  y: node.position.y - minY + position.y
+              }
+
+        for (const key of ['inputParams', 'inputAnchors', 'outputAnchors']) {
+            for (const item of node.data[key] || []) {
+                if (item.id) item.id = replaceHandleNodeId(item.id, oldNodeId, newNodeId)
+                if (key === 'outputAnchors' && item.options) {
+                    for (const output of item.options) {
+                        output.id = replaceHandleNodeId(output.id, oldNodeId, newNodeId)
+                    }
+                }
+            }
+        }
+
+        const inputs = {}
+        for (const inputName in node.data.inputs) {
+            inputs[inputName] = remapInputValue(node.data.inputs[inputName], nodeIdMap)
+        }
+
+        return {
+            ...node,
+            id: newNodeId,
+            ...(node.parentNode && { parentNode: nodeIdMap[node.parentNode] }),
+            position: newPosition,
+            positionAbsolute: newPosition,
+            selected: true,
+            data: {
+                ...node.data,
+                id: newNodeId,
+                inputs,
+                selected: false
+            }
+        }
+    })
+
+    const newEdges = copiedEdges.map((edge) => {
+        const source = nodeIdMap[edge.source]
+        const target = nodeIdMap[edge.target]
+        const sourceHandle = replaceHandleNodeId(edge.sourceHandle, edge.source, source)
+        const targetHandle = replaceHandleNodeId(edge.targetHandle, edge.target, target)
+        return {
+            ...edge,
+            source,
+            target,
+            sourceHandle,
+            targetHandle,
+            id: `${source}-${sourceHandle}-${target}-${targetHandle}`,
+            selected: false
+        }
+    })
+
+    return { nodes: newNodes, edges: newEdges }
+}
+
+const getNodeParamLabel = (nodeData, paramName) => {
+    const param = [...(nodeData.inputParams ?? []), ...(nodeData.inputAnchors ?? [])].find((inp) => inp.name === paramName)
+    return param?.label ?? paramName
+}
+
+/**
+ * Compare two flowData objects (or JSON strings) and list the added, removed and changed nodes and edges.
+ * Node positions are ignored, only parameters, credentials and outputs are compared.
+ */
+export const getFlowDataDiff = (oldFlowData, newFlowData) => {
+    const parseFlowData = (flowData) => (typeof flowData === 'string' ? JSON.parse(flowData || '{}') : flowData ?? {})
+    const oldFlow = parseFlowData(oldFlowData)
+    const newFlow = parseFlowData(newFlowData)
+    const oldNodes = oldFlow.nodes ?? []
+    const newNodes = newFlow.nodes ?? []
+    const oldEdges = oldFlow.edges ?? []
+    const newEdges = newFlow.edges ?? []
+
+    const toNodeSummary = (node) => ({ id: node.id, name: node.data?.name, label: node.data?.label })
+
+    const addedNodes = newNodes.filter((node) => !oldNodes.find((oldNode) => oldNode.id === node.id)).map(toNodeSummary)
+    const removedNodes = oldNodes.filter((node) => !newNodes.find((newNode) => newNode.id === node.id)).map(toNodeSummary)
+
+    const changedNodes = []
+    for (const newNode of newNodes) {
+        const oldNode = oldNodes.find((node) => node.id === newNode.id)
+        if (!oldNode) continue
+
+        const changes = []
+        const oldInputs = oldNode.data?.inputs ?? {}
+        const newInputs = newNode.data?.inputs ?? {}
+        const inputNames = [...new Set([...Object.keys(oldInputs), ...Object.keys(newInputs)])]
+        for (const inputName of inputNames) {
+            if (!isEqual(oldInputs[inputName] ?? '', newInputs[inputName] ?? '')) {
+                changes.push({
+                    name: inputName,
+                    label: getNodeParamLabel(newNode.data, inputName),
+                    oldValue: oldInputs[inputName],
+                    newValue: newInputs[inputName]
+                })
+            }
+        }
+        if ((oldNode.data?.credential ?? '') !== (newNode.data?.credential ?? '')) {
+            changes.push({
+                name: 'credential',
+                label: 'Credential',
+                oldValue: oldNode.data?.credential,
+                newValue: newNode.data?.credential
+            })
+        }
+        if (!isEqual(oldNode.data?.outputs ?? {}, newNode.data?.outputs ?? {})) {
+            changes.push({ name: 'outputs', label: 'Output', oldValue: oldNode.data?.outputs, newValue: newNode.data?.outputs })
+        }
+        if (changes.length) changedNodes.push({ ...toNodeSummary(newNode), changes })
+    }
+
+    const addedEdges = newEdges.filter((edge) => !oldEdges.find((oldEdge) => oldEdge.id === edge.id))
+    const removedEdges = oldEdges.filter((edge) => !newEdges.find((newEdge) => newEdge.id === edge.id))
+
+    return { addedNodes, removedNodes, changedNodes, addedEdges, removedEdges }
+}
+
+/**
+ * Word level diff of two texts, based on their longest common subsequence of words.
+ * Returns the parts of both texts in order, each marked as 'equal', 'removed' (only in oldText) or 'added' (only in newText).
+ */
+export const getTextDiff = (oldText, newText) => {
+    // Whitespace is kept as its own token so the parts can be joined back into the original texts
+    const tokenize = (text) => (text ?? '').split(/(\s+)/).filter((token) => token !== '')
+    const oldTokens = tokenize(oldText)
+    const newTokens = tokenize(newText)
+    const rowLength = newTokens.length + 1
+
+    // lcs[i * rowLength + j] is the length of the common subsequence of oldTokens[i:] and newTokens[j:]
+    const lcs = new Uint32Array((oldTokens.length + 1) * rowLength)
+    for (let i = oldTokens.length - 1; i >= 0; i--) {
+        for (let j = newTokens.length - 1; j >= 0; j--) {
+            lcs[i * rowLength + j] =
+                oldTokens[i] === newTokens[j]
+                    ? lcs[(i + 1) * rowLength + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * rowLength + j], lcs[i * rowLength + j + 1])
+        }
+    }
+
+    const parts = []
+    const pushPart = (type, value) => {
+        const lastPart = parts[parts.length - 1]
+        if (lastPart?.type === type) lastPart.value += value
+        else parts.push({ type, value })
+    }
+    let i = 0
+    let j = 0
+    while (i < oldTokens.length && j < newTokens.length) {
+        if (oldTokens[i] === newTokens[j]) {
+            pushPart('equal', oldTokens[i])
+            i++
+            j++
+        } else if (lcs[(i + 1) * rowLength + j] >= lcs[i * rowLength + j + 1]) {
+            pushPart('removed', oldTokens[i++])
+        } else {
+            pushPart('added', newTokens[j++])
+        }
+    }
+    while (i < oldTokens.length) pushPart('removed', oldTokens[i++])
+    while (j < newTokens.length) pushPart('added', newTokens[j++])
+    return parts
+}
+
+const AUTO_LAYOUT_COLUMN_GAP = 120
+const AUTO_LAYOUT_ROW_GAP = 60
+
+const getNodeCenter = (node) => ({ x: node.position.x + (node.width ?? 0) / 2, y: node.position.y + (node.height ?? 0) / 2 })
+
+/**
+ * Lay nodes out left-to-right by dependency order, so every node sits in a column to the right of the nodes feeding into it.
+ * Sticky notes are not laid out, they keep their offset from the closest node instead.
+ * Groups and their members are left where they are.
+ * Returns the new position of every node keyed by node id.
+ */
+export const getAutoLayoutPositions = (nodes, edges) => {
+    const topLevelNodes = nodes.filter((node) => node.type !== GROUP_NODE_TYPE && !node.parentNode)
+    const flowNodes = topLevelNodes.filter((node) => node.type !== 'stickyNote')
+    const stickyNotes = topLevelNodes.filter((node) => node.type === 'stickyNote')
+    if (!flowNodes.length) return {}
+
+    const nodeIds = new Set(flowNodes.map((node) => node.id))
+    const flowEdges = edges.filter((edge) => nodeIds.has(edge.source) && nodeIds.has(edge.target))
+
+    // Column of a node is the length of the longest dependency chain leading into it
+    const columns = {}
+    const getColumn = (nodeId, visiting = new Set()) => {
+        if (columns[nodeId] !== undefined) return columns[nodeId]
+        if (visiting.has(nodeId)) return 0
+        visiting.add(nodeId)
+        const sources = flowEdges.filter((edge) => edge.target === nodeId).map((edge) => edge.source)
+        const column = sources.length ? Math.max(...sources.map((source) => getColumn(source, visiting))) + 1 : 0
+        visiting.delete(nodeId)
+        columns[nodeId] = column
+        return column
+    }
+    flowNodes.forEach((node) => getColumn(node.id))
+
+    const columnCount = Math.max(...Object.values(columns)) + 1
+    const nodesByColumn = Array.from({ length: columnCount }, () => [])
+    for (const node of [...flowNodes].sort((a, b) => a.position.y - b.position.y)) {
+        nodesByColumn[columns[node.id]].push(node)
+    }
+
+    // Order each column by the average row of the connected nodes in earlier columns to reduce crossing edges
+    const rowIndex = {}
+    nodesByColumn.forEach((columnNodes, column) => {
+        if (column > 0) {
+            const barycenter = (node) => {
+                const rows = flowEdges
+                    .filter((edge) => edge.target === node.id && rowIndex[edge.source] !== undefined)
+                    .map((edge) => rowIndex[edge.source])
+                return rows.length ? rows.reduce((sum, row) => sum + row, 0) / rows.length : Number.MAX_SAFE_INTEGER
+            }
+            columnNodes.sort((a, b) => barycenter(a) - barycenter(b))
+        }
+        columnNodes.forEach((node, index) => (rowIndex[node.id] = index))
+    })
+
+    const columnHeights = nodesByColumn.map(
+        (columnNodes) =>
+            columnNodes.reduce((height, node) => height + (node.height ?? 0), 0) + AUTO_LAYOUT_ROW_GAP * (columnNodes.length - 1)
+    )
+    const maxColumnHeight = Math.max(...columnHeights)
+
+    // Keep the arranged graph anchored at the top left corner of the original one
+    const originX = Math.min(...flowNodes.map((node) => node.position.x))
+    const originY = Math.min(...flowNodes.map((node) => node.position.y))
+
+    const positions = {}
+    let x = originX
+    nodesByColumn.forEach((columnNodes, column) => {
+        let y = originY + (maxColumnHeight - columnHeights[column]) / 2
+        for (const node of columnNodes) {
+            positions[node.id] = { x, y }
+            y += (node.height ?? 0) + AUTO_LAYOUT_ROW_GAP
+        }
+        x += Math.max(...columnNodes.map((node) => node.width ?? 0)) + AUTO_LAYOUT_COLUMN_GAP
+    })
+
+    for (const stickyNote of stickyNotes) {
+        const noteCenter = getNodeCenter(stickyNote)
+        const distance = (node) => Math.hypot(getNodeCenter(node).x - noteCenter.x, getNodeCenter(node).y - noteCenter.y)
+        const closestNode = flowNodes.reduce((closest, node) => (distance(node) < distance(closest) ? node : closest))
+        positions[stickyNote.id] = {
+            x: positions[closestNode.id].x + stickyNote.position.x - closestNode.position.x,
+            y: positions[closestNode.id].y + stickyNote.position.y - closestNode.position.y
+        }
+    }
+
+    return positions
+}
+
+export const GROUP_HEADER_HEIGHT = 50
+export const GROUP_HANDLE_SPACING = 30
+export const GROUP_PADDING = 40
+export const GROUP_COLLAPSED_WIDTH = 300
+
+/**
+ * List the member handles of a group that are connected to nodes outside of it.
+ * A collapsed group shows these as its own inputs on the left and outputs on the right.
+ */
+export const getGroupExternalHandles = (groupId, nodes, edges) => {
+    const memberIds = nodes.filter((node) => node.parentNode === groupId).map((node) => node.id)
+    const inputs = []
+    const outputs = []
+    for (const edge of edges) {
+        const isSourceMember = memberIds.includes(edge.source)
+        const isTargetMember = memberIds.includes(edge.target)
+        if (isTargetMember && !isSourceMember && !inputs.includes(edge.targetHandle)) inputs.push(edge.targetHandle)
+        if (isSourceMember && !isTargetMember && !outputs.includes(edge.sourceHandle)) outputs.push(edge.sourceHandle)
+    }
+    return { inputs, outputs }
+}
+
+export const getGroupHandleOffsetY = (index) => GROUP_HEADER_HEIGHT + (index + 0.5) * GROUP_HANDLE_SPACING
+
+export const getCollapsedGroupHeight = (externalHandles) =>
+    GROUP_HEADER_HEIGHT + Math.max(externalHandles.inputs.length, externalHandles.outputs.length, 1) * GROUP_HANDLE_SPACING
+
+/**
+ * Detach a node from its group, keeping it at the same place on the canvas
+ */
+export const getUngroupedNode = (node) => {
+    const ungroupedNode = omit(node, ['parentNode', 'expandParent', 'selectable', 'draggable', 'connectable'])
+    if (node.positionAbsolute) ungroupedNode.position = { ...node.positionAbsolute }
+    if (ungroupedNode.style) ungroupedNode.style = omit(ungroupedNode.style, ['visibility'])
+    return ungroupedNode
+}
+
+/**
+ * When an edge is connected to a member of a collapsed group, the edge is drawn to the handle of the collapsed group instead.
+ * Returns the replacement source and/or target coordinates, or hidden when both ends are inside the same collapsed group.
+ */
+export const getCollapsedGroupEdgeEnds = (edge, nodes, edges) => {
+    if (!nodes.some((node) => node.type === GROUP_NODE_TYPE && node.data?.collapsed)) return {}
+
+    const getCollapsedGroup = (nodeId) => {
+        const node = nodes.find((nd) => nd.id === nodeId)
+        const group = node?.parentNode ? nodes.find((nd) => nd.id === node.parentNode) : undefined
+        return group?.data?.collapsed ? group : undefined
+    }
+    const sourceGroup = getCollapsedGroup(edge.source)
+    const targetGroup = getCollapsedGroup(edge.target)
+    if (sourceGroup && sourceGroup.id === targetGroup?.id) return { hidden: true }
+
+    const ends = {}
+    if (sourceGroup) {
+        const { outputs } = getGroupExternalHandles(sourceGroup.id, nodes, edges)
+        ends.source = {
+            x: sourceGroup.positionAbsolute.x + (sourceGroup.width ?? GROUP_COLLAPSED_WIDTH),
+            y: sourceGroup.positionAbsolute.y + getGroupHandleOffsetY(outputs.indexOf(edge.sourceHandle))
+        }
+    }
+    if (targetGroup) {
+        const { inputs } = getGroupExternalHandles(targetGroup.id, nodes, edges)
+        ends.target = {
+            x: targetGroup.positionAbsolute.x,
+            y: targetGroup.positionAbsolute.y + getGroupHandleOffsetY(inputs.indexOf(edge.targetHandle))
+        }
+    }
+    return ends
+}
+
 export const getAvailableNodesForVariable = (nodes, edges, target, targetHandle) => {
     // example edge id = "llmChain_0-llmChain_0-output-outputPrediction-string|json-llmChain_1-llmChain_1-input-promptValues-string"
     //                    {source}  -{sourceHandle}                           -{target}  -{targetHandle}
@@ -771,3 +1180,10 @@ export const kFormatter = (num) => {
     const item = lookup.findLast((item) => num >= item.value)
     return item ? (num / item.value).toFixed(1).replace(regexp, '').concat(item.symbol) : '0'
 }
+
+export const getAuthorsCaption = (data) => {
+    const authors = []
+    if (data?.createdBy) authors.push(`Created by ${data.createdBy}`)
+    if (data?.updatedBy && data.updatedBy !== data.createdBy) authors.push(`Updated by ${data.updatedBy}`)
+    return authors.join(' · ')
+}
@@ -0,0 +1,85 @@
+import PropTypes from 'prop-types'
+import moment from 'moment'
+
+// material-ui
+import { Box, Card, CardContent, Stack, Tooltip, Typography } from '@mui/material'
+import { useTheme } from '@mui/material/styles'
+
+const CHART_HEIGHT = 120
+const BAR_GAP = 0.2
+
+// ==============================|| Analytics Chart ||============================== //
+
+const AnalyticsChart = ({ title, series, getValue, formatValue = (value) => value, color }) => {
+    const theme = useTheme()
+    const values = series.map((bucket) => getValue(bucket))
+    const maxValue = Math.max(0, ...values.filter((value) => value !== null))
+    const barColor = color ?? theme.palette.primary.main
+
+    return (
+        <Card variant='outlined' sx={{ height: '100%' }}>
+            <CardContent>
+                <Stack direction='row' alignItems='baseline' justifyContent='space-between'>
+                    <Typography variant='h5'>{title}</Typography>
+                    <Typography variant='caption' sx={{ color: 'text.secondary' }}>
+                        max {formatValue(maxValue)}
+                    </Typography>
+                </Stack>
+                <Box sx={{ mt: 2, borderBottom: 1, borderColor: theme.palette.grey[900] + 25 }}>
+                    <svg
+                        width='100%'
+                        height={CHART_HEIGHT}
+                        viewBox={`0 0 ${Math.max(series.length, 1)} ${CHART_HEIGHT}`}
+                        preserveAspectRatio='none'
+                        role='img'
+                        aria-label={title}
+                    >
+                        {series.map((bucket, index) => {
+                            const value = values[index]
+                            const height = maxValue && value ? (value / maxValue) * CHART_HEIGHT : 0
+                            return (
+                                <Tooltip
+                                    key={bucket.date}
+                                    title={`${moment(bucket.date).format('MMM D, YYYY')}: ${value === null ? '-' : formatValue(value)}`}
+                                    placement='top'
+                                >
+                                    <g>
+                                        {/* Full height transparent rect so empty days still show a tooltip */}
+                                        <rect x={index} y={0} width={1} height={CHART_HEIGHT} fill='transparent' />
+                                        <rect
+                                            x={index + BAR_GAP / 2}
+                                            y={CHART_HEIGHT - height}
+                                            width={1 - BAR_GAP}
+                                            height={height}
+                                            fill={barColor}
+                                        />
+                                    </g>
+                                </Tooltip>
+                            )
+                        })}
+                    </svg>
+                </Box>
+                {series.length > 0 && (
+                    <Stack direction='row' justifyContent='space-between' sx={{ mt: 0.5 }}>
+                        <Typography variant='caption' sx={{ color: 'text.secondary' }}>
+                            {moment(series[0].date).format('MMM D')}
+                        </Typography>
+                        <Typography variant='caption' sx={{ color: 'text.secondary' }}>
+                            {moment(series[series.length - 1].date).format('MMM D')}
+                        </Typography>
+                    </Stack>
+                )}
+            </CardContent>
+        </Card>
+    )
+}
+
+AnalyticsChart.propTypes = {
+    title: PropTypes.string,
+    series: PropTypes.array,
+    getValue: PropTypes.func,
+    formatValue: PropTypes.func,
+    color: PropTypes.string
+}
+
+export default AnalyticsChart
@@ -0,0 +1,331 @@
+import { forwardRef, useEffect, useState } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import PropTypes from 'prop-types'
+import DatePicker from 'react-datepicker'
+
+// material-ui
+import { Box, Card, CardContent, Grid, LinearProgress, ListItemButton, Stack, Typography } from '@mui/material'
+import { useTheme } from '@mui/material/styles'
+
+// project imports
+import MainCard from '@/ui-component/cards/MainCard'
+import ViewHeader from '@/layout/MainLayout/ViewHeader'
+import ErrorBoundary from '@/ErrorBoundary'
+import { MultiDropdown } from '@/ui-component/dropdown/MultiDropdown'
+import AnalyticsChart from './AnalyticsChart'
+
+// API
+import analyticsApi from '@/api/analytics'
+import chatflowsApi from '@/api/chatflows'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+
+import 'react-datepicker/dist/react-datepicker.css'
+
+const DatePickerCustomInput = forwardRef(function DatePickerCustomInput({ value, onClick }, ref) {
+    return (
+        <ListItemButton style={{ borderRadius: 15, border: '1px solid #e0e0e0' }} onClick={onClick} ref={ref}>
+            {value}
+        </ListItemButton>
+    )
+})
+
+DatePickerCustomInput.propTypes = {
+    value: PropTypes.string,
+    onClick: PropTypes.func
+}
+
+const formatNumber = (value) => (value ?? 0).toLocaleString()
+
+const formatLatency = (value) => (value >= 1000 ? `${Math.round(value / 100) / 10} s` : `${value ?? 0} ms`)
+
+const formatPercentage = (value) => `${Math.round((value ?? 0) * 1000) / 10}%`
+
+// Ratios are null on days without anything to compute them from, so they are not shown as 0%
+const getErrorRate = (metrics) => (metrics.answers ? metrics.errors / metrics.answers : null)
+
+const getFeedbackRatio = (metrics) => {
+    const totalFeedback = metrics.positiveFeedback + metrics.negativeFeedback
+    return totalFeedback ? metrics.positiveFeedback / totalFeedback : null
+}
+
+const MetricCard = ({ label, value, caption }) => (
+    <Card variant='outlined' sx={{ height: '100%' }}>
+        <CardContent>
+            <Typography variant='caption' sx={{ color: 'text.secondary' }}>
+                {label}
+            </Typography>
+            <Typography variant='h3' sx={{ mt: 0.5 }}>
+                {value}
+            </Typography>
+            {caption && <Typography variant='caption'>{caption}</Typography>}
+        </CardContent>
+    </Card>
+)
+
+MetricCard.propTypes = {
+    label: PropTypes.string,
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    caption: PropTypes.string
+}
+
+const TopList = ({ title, items, emptyText }) => {
+    const maxCount = Math.max(1, ...items.map((item) => item.count))
+    return (
+        <Card variant='outlined' sx={{ height: '100%' }}>
+            <CardContent>
+                <Typography variant='h5'>{title}</Typography>
+                {items.length === 0 ? (
+                    <Typography variant='body2' sx={{ mt: 2, color: 'text.secondary' }}>
+                        {emptyText}
+                    </Typography>
+                ) : (
+                    <Stack sx={{ mt: 2, gap: 1.5 }}>
+                        {items.map((item) => (
+                            <Box key={item.name}>
+                                <Stack direction='row' justifyContent='space-between' sx={{ gap: 2 }}>
+                                    <Typography variant='body2' sx={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                        {item.name}
+                                    </Typography>
+                                    <Typography variant='body2'>{formatNumber(item.count)}</Typography>
+                                </Stack>
+                                <LinearProgress variant='determinate' value={(item.count / maxCount) * 100} sx={{ mt: 0.5 }} />
+                            </Box>
+                        ))}
+                    </Stack>
+                )}
+            </CardContent>
+        </Card>
+    )
+}
+
+TopList.propTypes = {
+    title: PropTypes.string,
+    items: PropTypes.array,
+    emptyText: PropTypes.string
+}
+
+// ==============================|| Chatflow Analytics ||============================== //
+
+const ChatflowAnalytics = () => {
+    const theme = useTheme()
+    const navigate = useNavigate()
+    const { id: chatflowId } = useParams()
+
+    const getChatflowApi = useApi(chatflowsApi.getSpecificChatflow)
+    const getChatflowAnalyticsApi = useApi(analyticsApi.getChatflowAnalytics)
+
+    const [startDate, setStartDate] = useState(new Date().setMonth(new Date().getMonth() - 1))
+    const [endDate, setEndDate] = useState(new Date())
+    // JSON array of chat types as returned by MultiDropdown, empty for all sources
+    const [chatTypeFilter, setChatTypeFilter] = useState('')
+
+    useEffect(() => {
+        getChatflowApi.request(chatflowId)
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [chatflowId])
+
+    useEffect(() => {
+        const fromDate = new Date(startDate)
+        fromDate.setHours(0, 0, 0, 0)
+        const toDate = new Date(endDate)
+        toDate.setHours(23, 59, 59, 999)
+        getChatflowAnalyticsApi.request(chatflowId, {
+            startDate: fromDate.toISOString(),
+            endDate: toDate.toISOString(),
+            chatType: chatTypeFilter || undefined,
+            tzOffset: new Date().getTimezoneOffset()
+        })
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [chatflowId, startDate, endDate, chatTypeFilter])
+
+    const analytics = getChatflowAnalyticsApi.data
+    const error = getChatflowApi.error ?? getChatflowAnalyticsApi.error
+    const totals = analytics?.totals
+    const series = analytics?.series ?? []
+    const errorRate = totals ? getErrorRate(totals) : null
+    const feedbackRatio = totals ? getFeedbackRatio(totals) : null
+
+    return (
+        <MainCard>
+            {error ? (
+                <ErrorBoundary error={error} />
+            ) : (
+                <Stack flexDirection='column' sx={{ gap: 3 }}>
+                    <ViewHeader
+                        isBackButton={true}
+                        search={false}
+                        title={getChatflowApi.data ? `${getChatflowApi.data.name} Analytics` : 'Analytics'}
+                        description='Usage of the chatflow computed from its chat messages and feedback'
+                        onBack={() => navigate(-1)}
+                    />
+                    <Stack direction='row' alignItems='center' flexWrap='wrap' sx={{ gap: 2 }}>
+                        <Stack direction='row' alignItems='center'>
+                            <b style={{ marginRight: 10 }}>From Date</b>
+                            <DatePicker
+                                selected={startDate}
+                                onChange={(date) => setStartDate(date)}
+                                selectsStart
+                                startDate={startDate}
+                                endDate={endDate}
+                                maxDate={endDate}
+                                customInput={<DatePickerCustomInput />}
+                            />
+                        </Stack>
+                        <Stack direction='row' alignItems='center'>
+                            <b style={{ marginRight: 10 }}>To Date</b>
+                            <DatePicker
+                                selected={endDate}
+                                onChange={(date) => setEndDate(date)}
+                                selectsEnd
+                                startDate={startDate}
+                                endDate={endDate}
+                                minDate={startDate}
+                                maxDate={new Date()}
+                                customInput={<DatePickerCustomInput />}
+                            />
+                        </Stack>
+                        <Stack direction='row' alignItems='center' sx={{ minWidth: '250px' }}>
+                            <b style={{ marginRight: 10 }}>Source</b>
+                            <MultiDropdown
+                                name='chatType'
+                                options={[
+                                    {
+                                        label: 'UI',
+                                        name: 'INTERNAL'
+                                    },
+                                    {
+                                        label: 'API/Embed',
+                                        name: 'EXTERNAL'
+                                    }
+                                ]}
+                                onSelect={(newValue) => setChatTypeFilter(newValue)}
+                                value={chatTypeFilter}
+                                formControlSx={{ mt: 0 }}
+                            />
+                        </Stack>
+                    </Stack>
+                    {getChatflowAnalyticsApi.loading && <LinearProgress />}
+                    {totals && (
+                        <>
+                            <Grid container spacing={2}>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard label='Messages' value={formatNumber(totals.messages)} />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard label='Sessions' value={formatNumber(totals.sessions)} />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard
+                                        label='Unique Users'
+                                        value={formatNumber(totals.users)}
+                                        caption='By lead email when provided, otherwise by session'
+                                    />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard label='Average Latency' value={formatLatency(totals.averageLatency)} />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard label='Tokens' value={formatNumber(totals.tokens)} />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard
+                                        label='Error Rate'
+                                        value={errorRate === null ? '-' : formatPercentage(errorRate)}
+                                        caption={`${formatNumber(totals.errors)} of ${formatNumber(
+                                            totals.answers
+                                        )} answers had a failed node`}
+                                    />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard
+                                        label='Positive Feedback'
+                                        value={feedbackRatio === null ? '-' : formatPercentage(feedbackRatio)}
+                                        caption={`${formatNumber(totals.positiveFeedback)} thumbs up, ${formatNumber(
+                                            totals.negativeFeedback
+                                        )} thumbs down`}
+                                    />
+                                </Grid>
+                            </Grid>
+                            <Grid container spacing={2}>
+                                <Grid item xs={12} md={6} lg={4}>
+                                    <AnalyticsChart
+                                        title='Messages'
+                                        series={series}
+                                        getValue={(bucket) => bucket.messages}
+                                        formatValue={formatNumber}
+                                    />
+                                </Grid>
+                                <Grid item xs={12} md={6} lg={4}>
+                                    <AnalyticsChart
+                                        title='Sessions'
+                                        series={series}
+                                        getValue={(bucket) => bucket.sessions}
+                                        formatValue={formatNumber}
+                                    />
+                                </Grid>
+                                <Grid item xs={12} md={6} lg={4}>
+                                    <AnalyticsChart
+                                        title='Unique Users'
+                                        series={series}
+                                        getValue={(bucket) => bucket.users}
+                                        formatValue={formatNumber}
+                                    />
+                                </Grid>
+                                <Grid item xs={12} md={6} lg={4}>
+                                    <AnalyticsChart
+                                        title='Average Latency'
+                                        series={series}
+                                        getValue={(bucket) => bucket.averageLatency}
+                                        formatValue={formatLatency}
+                                        color={theme.palette.secondary.main}
+                                    />
+                                </Grid>
+                                <Grid item xs={12} md={6} lg={4}>
+                                    <AnalyticsChart
+                                        title='Tokens'
+                                        series={series}
+                                        getValue={(bucket) => bucket.tokens}
+                                        formatValue={formatNumber}
+                                        color={theme.palette.secondary.main}
+                                    />
+                                </Grid>
+                                <Grid item xs={12} md={6} lg={4}>
+                                    <AnalyticsChart
+                                        title='Error Rate'
+                                        series={series}
+                                        getValue={getErrorRate}
+                                        formatValue={formatPercentage}
+                                        color={theme.palette.error.main}
+                                    />
+                                </Grid>
+                                <Grid item xs={12} md={6} lg={4}>
+                                    <AnalyticsChart
+                                        title='Positive Feedback'
+                                        series={series}
+                                        getValue={getFeedbackRatio}
+                                        formatValue={formatPercentage}
+                                        color={theme.palette.success.dark}
+                                    />
+                                </Grid>
+                                <Grid item xs={12} md={6} lg={4}>
+                                    <TopList
+                                        title='Top Starter Prompts'
+                                        items={analytics.topStarterPrompts}
+                                        emptyText='No starter prompts were clicked'
+                                    />
+                                </Grid>
+                                <Grid item xs={12} md={6} lg={4}>
+                                    <TopList title='Top Tools' items={analytics.topTools} emptyText='No tools were used' />
+                                </Grid>
+                            </Grid>
+                        </>
+                    )}
+                </Stack>
+            )}
+        </MainCard>
+    )
+}
+
+export default ChatflowAnalytics
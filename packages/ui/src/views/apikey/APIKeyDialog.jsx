@@ -2,6 +2,7 @@ import { createPortal } from 'react-dom'
 import PropTypes from 'prop-types'
 import { useState, useEffect } from 'react'
 import { useDispatch } from 'react-redux'
+import DatePicker from 'react-datepicker'
 import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
 
 import {
@@ -19,16 +20,46 @@ import {
 } from '@mui/material'
 import { useTheme } from '@mui/material/styles'
 import { StyledButton } from '@/ui-component/button/StyledButton'
+import { Dropdown } from '@/ui-component/dropdown/Dropdown'
+import { MultiDropdown } from '@/ui-component/dropdown/MultiDropdown'
 
 // Icons
 import { IconX, IconCopy } from '@tabler/icons-react'
 
 // API
 import apikeyApi from '@/api/apikey'
+import chatflowsApi from '@/api/chatflows'
+import documentStoreApi from '@/api/documentstore'
+
+// Hooks
+import useApi from '@/hooks/useApi'
 
 // utils
 import useNotifier from '@/utils/useNotifier'
 
+import 'react-datepicker/dist/react-datepicker.css'
+
+const scopes = [
+    {
+        label: 'Predict',
+        name: 'predict',
+        description: 'Call the prediction and vector upsert APIs of the chatflows linked to the key or allowed below'
+    },
+    {
+        label: 'Read Only',
+        name: 'read',
+        description: 'Read chatflows, chat messages and document stores through the management API'
+    },
+    {
+        label: 'Admin',
+        name: 'admin',
+        description: 'Full access to the management API, including API keys and credentials'
+    }
+]
+
+// MultiDropdown values are JSON arrays of the selected option names
+const parseSelection = (value) => (value ? JSON.parse(value) : [])
+
 const APIKeyDialog = ({ show, dialogProps, onCancel, onConfirm, setError }) => {
     const portalElement = document.getElementById('portal')
 
@@ -43,24 +74,62 @@ const APIKeyDialog = ({ show, dialogProps, onCancel, onConfirm, setError }) => {
     const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
 
     const [keyName, setKeyName] = useState('')
+    const [monthlyBudget, setMonthlyBudget] = useState('')
+    const [scope, setScope] = useState('predict')
+    const [allowedChatflows, setAllowedChatflows] = useState([])
+    const [allowedDocumentStores, setAllowedDocumentStores] = useState([])
+    const [expiresAt, setExpiresAt] = useState(null)
+    // Remounts the dropdowns, which only read their value when mounted, once the form is filled
+    const [formKey, setFormKey] = useState(0)
     const [anchorEl, setAnchorEl] = useState(null)
     const openPopOver = Boolean(anchorEl)
 
+    const getAllChatflowsApi = useApi(chatflowsApi.getAllChatflows)
+    const getAllDocumentStoresApi = useApi(documentStoreApi.getAllDocumentStores)
+
     useEffect(() => {
         if (dialogProps.type === 'EDIT' && dialogProps.key) {
             setKeyName(dialogProps.key.keyName)
+            setMonthlyBudget(dialogProps.key.monthlyBudget ?? '')
+            setScope(dialogProps.key.scope ?? 'admin')
+            setAllowedChatflows(dialogProps.key.chatflows ?? [])
+            setAllowedDocumentStores(dialogProps.key.documentStores ?? [])
+            setExpiresAt(dialogProps.key.expiresAt ? new Date(dialogProps.key.expiresAt) : null)
         } else if (dialogProps.type === 'ADD') {
             setKeyName('')
+            setMonthlyBudget('')
+            setScope('predict')
+            setAllowedChatflows([])
+            setAllowedDocumentStores([])
+            setExpiresAt(null)
         }
+        setFormKey((prevKey) => prevKey + 1)
     }, [dialogProps])
 
+    useEffect(() => {
+        if (show) {
+            getAllChatflowsApi.request()
+            getAllDocumentStoresApi.request()
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [show])
+
+    const getKeySettings = () => ({
+        keyName,
+        monthlyBudget,
+        scope,
+        chatflows: allowedChatflows,
+        documentStores: allowedDocumentStores,
+        expiresAt: expiresAt ? expiresAt.toISOString() : undefined
+    })
+
     const handleClosePopOver = () => {
         setAnchorEl(null)
     }
 
     const addNewKey = async () => {
         try {
-            const createResp = await apikeyApi.createNewAPI({ keyName })
+            const createResp = await apikeyApi.createNewAPI(getKeySettings())
             if (createResp.data) {
                 enqueueSnackbar({
                     message: 'New API key added',
@@ -99,7 +168,7 @@ const APIKeyDialog = ({ show, dialogProps, onCancel, onConfirm, setError }) => {
 
     const saveKey = async () => {
         try {
-            const saveResp = await apikeyApi.updateAPI(dialogProps.key.id, { keyName })
+            const saveResp = await apikeyApi.updateAPI(dialogProps.key.id, getKeySettings())
             if (saveResp.data) {
                 enqueueSnackbar({
                     message: 'API Key saved',
@@ -213,6 +282,79 @@ const APIKeyDialog = ({ show, dialogProps, onCancel, onConfirm, setError }) => {
                         onChange={(e) => setKeyName(e.target.value)}
                     />
                 </Box>
+                <Box sx={{ p: 2 }}>
+                    <Stack sx={{ position: 'relative' }} direction='row'>
+                        <Typography variant='overline'>Scope</Typography>
+                    </Stack>
+                    <Dropdown
+                        key={`scope-${formKey}`}
+                        name='scope'
+                        options={scopes}
+                        onSelect={(newValue) => setScope(newValue)}
+                        value={scope}
+                        disableClearable={true}
+                    />
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Stack sx={{ position: 'relative' }} direction='row'>
+                        <Typography variant='overline'>Allowed Chatflows</Typography>
+                    </Stack>
+                    <MultiDropdown
+                        key={`chatflows-${formKey}`}
+                        name='chatflows'
+                        options={(getAllChatflowsApi.data ?? []).map((chatflow) => ({ label: chatflow.name, name: chatflow.id }))}
+                        onSelect={(newValue) => setAllowedChatflows(parseSelection(newValue))}
+                        value={JSON.stringify(allowedChatflows)}
+                    />
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Stack sx={{ position: 'relative' }} direction='row'>
+                        <Typography variant='overline'>Allowed Document Stores</Typography>
+                    </Stack>
+                    <MultiDropdown
+                        key={`documentStores-${formKey}`}
+                        name='documentStores'
+                        options={(getAllDocumentStoresApi.data ?? []).map((store) => ({ label: store.name, name: store.id }))}
+                        onSelect={(newValue) => setAllowedDocumentStores(parseSelection(newValue))}
+                        value={JSON.stringify(allowedDocumentStores)}
+                    />
+                    <Typography variant='caption' sx={{ color: 'text.secondary' }}>
+                        When chatflows or document stores are selected, the key can only access them. Chatflows using this key are always
+                        allowed for predictions.
+                    </Typography>
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Stack sx={{ position: 'relative' }} direction='row'>
+                        <Typography variant='overline'>Expires On</Typography>
+                    </Stack>
+                    <DatePicker
+                        selected={expiresAt}
+                        onChange={(date) => setExpiresAt(date)}
+                        minDate={new Date()}
+                        isClearable
+                        placeholderText='Never expires'
+                        withPortal
+                        customInput={<OutlinedInput fullWidth />}
+                    />
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Stack sx={{ position: 'relative' }} direction='row'>
+                        <Typography variant='overline'>Monthly Budget (USD)</Typography>
+                    </Stack>
+                    <OutlinedInput
+                        id='monthlyBudget'
+                        type='number'
+                        fullWidth
+                        placeholder='No budget'
+                        value={monthlyBudget}
+                        name='monthlyBudget'
+                        inputProps={{ min: 0, step: 'any' }}
+                        onChange={(e) => setMonthlyBudget(e.target.value)}
+                    />
+                    <Typography variant='caption' sx={{ color: 'text.secondary' }}>
+                        Predictions made with this key are blocked once their cost this month reaches the budget
+                    </Typography>
+                </Box>
             </DialogContent>
             <DialogActions>
                 <StyledButton
@@ -44,7 +44,18 @@ import useConfirm from '@/hooks/useConfirm'
 import useNotifier from '@/utils/useNotifier'
 
 // Icons
-import { IconTrash, IconEdit, IconCopy, IconChevronsUp, IconChevronsDown, IconX, IconPlus, IconEye, IconEyeOff } from '@tabler/icons-react'
+import {
+    IconTrash,
+    IconEdit,
+    IconCopy,
+    IconChevronsUp,
+    IconChevronsDown,
+    IconX,
+    IconPlus,
+    IconEye,
+    IconEyeOff,
+    IconBan
+} from '@tabler/icons-react'
 import APIEmptySVG from '@/assets/images/api_empty.svg'
 
 // ==============================|| APIKey ||============================== //
@@ -69,17 +80,35 @@ const StyledTableRow = styled(TableRow)(() => ({
     }
 }))
 
+const scopeLabels = {
+    predict: 'Predict',
+    read: 'Read Only',
+    admin: 'Admin'
+}
+
+const getKeyStatus = (apiKey) => {
+    if (apiKey.revokedAt) return 'Revoked'
+    if (apiKey.expiresAt && moment(apiKey.expiresAt).isSameOrBefore(moment())) return 'Expired'
+    return undefined
+}
+
 function APIKeyRow(props) {
     const [open, setOpen] = useState(false)
     const theme = useTheme()
+    const status = getKeyStatus(props.apiKey)
+    const restrictions = [
+        props.apiKey.chatflows?.length && `${props.apiKey.chatflows.length} chatflows`,
+        props.apiKey.documentStores?.length && `${props.apiKey.documentStores.length} document stores`
+    ].filter(Boolean)
 
     return (
         <>
             <TableRow sx={{ '&:last-child td, &:last-child th': { border: 0 } }}>
                 <StyledTableCell scope='row' style={{ width: '15%' }}>
                     {props.apiKey.keyName}
+                    {status && <Chip size='small' color='error' label={status} sx={{ ml: 1 }} />}
                 </StyledTableCell>
-                <StyledTableCell style={{ width: '40%' }}>
+                <StyledTableCell style={{ width: '30%' }}>
                     {props.showApiKeys.includes(props.apiKey.apiKey)
                         ? props.apiKey.apiKey
                         : `${props.apiKey.apiKey.substring(0, 2)}${'•'.repeat(18)}${props.apiKey.apiKey.substring(
@@ -109,6 +138,17 @@ function APIKeyRow(props) {
                         </Typography>
                     </Popover>
                 </StyledTableCell>
+                <StyledTableCell>
+                    <Chip size='small' label={scopeLabels[props.apiKey.scope ?? 'admin']} />
+                    <Typography variant='caption' component='div' sx={{ mt: 0.5 }}>
+                        {restrictions.length ? `Only ${restrictions.join(', ')}` : 'All resources'}
+                    </Typography>
+                    {props.apiKey.expiresAt && !status && (
+                        <Typography variant='caption' component='div'>
+                            Expires {moment(props.apiKey.expiresAt).format('MMMM Do, YYYY')}
+                        </Typography>
+                    )}
+                </StyledTableCell>
                 <StyledTableCell>
                     {props.apiKey.chatFlows.length}{' '}
                     {props.apiKey.chatFlows.length > 0 && (
@@ -116,8 +156,19 @@ function APIKeyRow(props) {
                             {props.apiKey.chatFlows.length > 0 && open ? <IconChevronsUp /> : <IconChevronsDown />}
                         </IconButton>
                     )}
+                    {props.apiKey.monthCost > 0 && (
+                        <Typography variant='caption' component='div'>
+                            ${props.apiKey.monthCost.toFixed(4)} this month
+                        </Typography>
+                    )}
                 </StyledTableCell>
+                <StyledTableCell>{props.apiKey.lastUsedAt ? moment(props.apiKey.lastUsedAt).fromNow() : 'Never'}</StyledTableCell>
                 <StyledTableCell>{moment(props.apiKey.createdAt).format('MMMM Do, YYYY')}</StyledTableCell>
+                <StyledTableCell>
+                    <IconButton title='Revoke' color='warning' disabled={!!props.apiKey.revokedAt} onClick={props.onRevokeClick}>
+                        <IconBan />
+                    </IconButton>
+                </StyledTableCell>
                 <StyledTableCell>
                     <IconButton title='Edit' color='primary' onClick={props.onEditClick}>
                         <IconEdit />
@@ -131,7 +182,7 @@ function APIKeyRow(props) {
             </TableRow>
             {open && (
                 <TableRow sx={{ '& td': { border: 0 } }}>
-                    <StyledTableCell sx={{ p: 2 }} colSpan={6}>
+                    <StyledTableCell sx={{ p: 2 }} colSpan={9}>
                         <Collapse in={open} timeout='auto' unmountOnExit>
                             <Box sx={{ borderRadius: 2, border: 1, borderColor: theme.palette.grey[900] + 25, overflow: 'hidden' }}>
                                 <Table aria-label='chatflow table'>
@@ -179,6 +230,7 @@ APIKeyRow.propTypes = {
     onClose: PropTypes.func,
     theme: PropTypes.any,
     onEditClick: PropTypes.func,
+    onRevokeClick: PropTypes.func,
     onDeleteClick: PropTypes.func
 }
 const APIKey = () => {
@@ -306,6 +358,53 @@ const APIKey = () => {
         }
     }
 
+    const revokeKey = async (key) => {
+        const confirmPayload = {
+            title: `Revoke`,
+            description: `Revoke key [${key.keyName}] ?\n Requests made with this key will be rejected, this can not be undone.`,
+            confirmButtonName: 'Revoke',
+            cancelButtonName: 'Cancel'
+        }
+        const isConfirmed = await confirm(confirmPayload)
+
+        if (isConfirmed) {
+            try {
+                const revokeResp = await apiKeyApi.revokeAPI(key.id)
+                if (revokeResp.data) {
+                    enqueueSnackbar({
+                        message: 'API key revoked',
+                        options: {
+                            key: new Date().getTime() + Math.random(),
+                            variant: 'success',
+                            action: (key) => (
+                                <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                                    <IconX />
+                                </Button>
+                            )
+                        }
+                    })
+                    onConfirm()
+                }
+            } catch (error) {
+                enqueueSnackbar({
+                    message: `Failed to revoke API key: ${
+                        typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                    }`,
+                    options: {
+                        key: new Date().getTime() + Math.random(),
+                        variant: 'error',
+                        persist: true,
+                        action: (key) => (
+                            <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                                <IconX />
+                            </Button>
+                        )
+                    }
+                })
+            }
+        }
+    }
+
     const onConfirm = () => {
         setShowDialog(false)
         getAllAPIKeysApi.request()
@@ -379,10 +478,13 @@ const APIKey = () => {
                                         <TableRow>
                                             <StyledTableCell>Key Name</StyledTableCell>
                                             <StyledTableCell>API Key</StyledTableCell>
+                                            <StyledTableCell>Scope</StyledTableCell>
                                             <StyledTableCell>Usage</StyledTableCell>
+                                            <StyledTableCell>Last Used</StyledTableCell>
                                             <StyledTableCell>Created</StyledTableCell>
                                             <StyledTableCell> </StyledTableCell>
                                             <StyledTableCell> </StyledTableCell>
+                                            <StyledTableCell> </StyledTableCell>
                                         </TableRow>
                                     </TableHead>
                                     <TableBody>
@@ -407,6 +509,15 @@ const APIKey = () => {
                                                     <StyledTableCell>
                                                         <Skeleton variant='text' />
                                                     </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Skeleton variant='text' />
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Skeleton variant='text' />
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Skeleton variant='text' />
+                                                    </StyledTableCell>
                                                 </StyledTableRow>
                                                 <StyledTableRow>
                                                     <StyledTableCell>
@@ -427,6 +538,15 @@ const APIKey = () => {
                                                     <StyledTableCell>
                                                         <Skeleton variant='text' />
                                                     </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Skeleton variant='text' />
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Skeleton variant='text' />
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Skeleton variant='text' />
+                                                    </StyledTableCell>
                                                 </StyledTableRow>
                                             </>
                                         ) : (
@@ -449,6 +569,7 @@ const APIKey = () => {
                                                         onClose={handleClosePopOver}
                                                         theme={theme}
                                                         onEditClick={() => edit(key)}
+                                                        onRevokeClick={() => revokeKey(key)}
                                                         onDeleteClick={() => deleteKey(key)}
                                                     />
                                                 ))}
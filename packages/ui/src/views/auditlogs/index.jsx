@@ -0,0 +1,399 @@
+import { forwardRef, useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import PropTypes from 'prop-types'
+import DatePicker from 'react-datepicker'
+import moment from 'moment'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+
+// material-ui
+import { styled } from '@mui/material/styles'
+import { tableCellClasses } from '@mui/material/TableCell'
+import {
+    Box,
+    Button,
+    Chip,
+    Collapse,
+    Grid,
+    IconButton,
+    ListItemButton,
+    Paper,
+    Skeleton,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TablePagination,
+    TableRow,
+    Typography,
+    useTheme
+} from '@mui/material'
+
+// project imports
+import MainCard from '@/ui-component/cards/MainCard'
+import { StyledButton } from '@/ui-component/button/StyledButton'
+import { Dropdown } from '@/ui-component/dropdown/Dropdown'
+import ViewHeader from '@/layout/MainLayout/ViewHeader'
+import ErrorBoundary from '@/ErrorBoundary'
+
+// API
+import auditLogsApi from '@/api/auditlogs'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+// Icons
+import { IconChevronDown, IconChevronUp, IconFileExport, IconHistory, IconX } from '@tabler/icons-react'
+
+import 'react-datepicker/dist/react-datepicker.css'
+
+const StyledTableCell = styled(TableCell)(({ theme }) => ({
+    borderColor: theme.palette.grey[900] + 25,
+
+    [`&.${tableCellClasses.head}`]: {
+        color: theme.palette.grey[900]
+    },
+    [`&.${tableCellClasses.body}`]: {
+        fontSize: 14,
+        height: 64
+    }
+}))
+
+const DatePickerCustomInput = forwardRef(function DatePickerCustomInput({ value, onClick }, ref) {
+    return (
+        <ListItemButton style={{ borderRadius: 15, border: '1px solid #e0e0e0', minHeight: 40 }} onClick={onClick} ref={ref}>
+            {value || 'Any'}
+        </ListItemButton>
+    )
+})
+
+DatePickerCustomInput.propTypes = {
+    value: PropTypes.string,
+    onClick: PropTypes.func
+}
+
+const entityTypes = [
+    { label: 'Chatflow', name: 'chatflow' },
+    { label: 'Credential', name: 'credential' },
+    { label: 'Variable', name: 'variable' },
+    { label: 'Tool', name: 'tool' },
+    { label: 'API Key', name: 'apikey' },
+    { label: 'Assistant', name: 'assistant' },
+    { label: 'Document Store', name: 'documentstore' },
+    { label: 'User', name: 'user' },
+    { label: 'Workspace', name: 'workspace' }
+]
+
+const actions = [
+    { label: 'Create', name: 'CREATE' },
+    { label: 'Update', name: 'UPDATE' },
+    { label: 'Delete', name: 'DELETE' }
+]
+
+const exportFormats = [
+    { label: 'CSV', name: 'csv', description: 'One entry per row, for spreadsheets' },
+    { label: 'JSON', name: 'json', description: 'Array of entries' },
+    { label: 'JSONL', name: 'jsonl', description: 'One entry per line' }
+]
+
+const actionColors = {
+    CREATE: 'success',
+    UPDATE: 'primary',
+    DELETE: 'error'
+}
+
+const PAGE_SIZES = [25, 50, 100]
+
+const formatSummary = (summary) => {
+    if (!summary) return '-'
+    try {
+        return JSON.stringify(JSON.parse(summary), null, 2)
+    } catch (e) {
+        return summary
+    }
+}
+
+const AuditLogRow = ({ auditLog }) => {
+    const [open, setOpen] = useState(false)
+    const entityLabel = entityTypes.find((entityType) => entityType.name === auditLog.entityType)?.label ?? auditLog.entityType
+
+    return (
+        <>
+            <TableRow sx={{ '& td': { borderBottom: open ? 0 : undefined } }}>
+                <StyledTableCell>{moment(auditLog.createdDate).format('MMMM Do, YYYY HH:mm:ss')}</StyledTableCell>
+                <StyledTableCell>
+                    <Typography variant='body2'>{auditLog.actor ?? 'Anonymous'}</Typography>
+                    <Typography variant='caption'>{auditLog.actorType === 'apikey' ? 'API Key' : auditLog.ip}</Typography>
+                </StyledTableCell>
+                <StyledTableCell>
+                    <Chip color={actionColors[auditLog.action]} size='small' label={auditLog.action} />
+                </StyledTableCell>
+                <StyledTableCell>{entityLabel}</StyledTableCell>
+                <StyledTableCell>
+                    <Typography variant='body2'>{auditLog.entityName ?? '-'}</Typography>
+                    <Typography variant='caption'>{auditLog.entityId}</Typography>
+                </StyledTableCell>
+                <StyledTableCell>
+                    <IconButton title={open ? 'Hide changes' : 'Show changes'} onClick={() => setOpen(!open)}>
+                        {open ? <IconChevronUp /> : <IconChevronDown />}
+                    </IconButton>
+                </StyledTableCell>
+            </TableRow>
+            <TableRow>
+                <StyledTableCell sx={{ py: 0, height: 'auto !important' }} colSpan={6}>
+                    <Collapse in={open} timeout='auto' unmountOnExit>
+                        <Grid container spacing={2} sx={{ py: 2 }}>
+                            <Grid item xs={12} md={6}>
+                                <Typography variant='h5'>Before</Typography>
+                                <pre style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-all' }}>{formatSummary(auditLog.before)}</pre>
+                            </Grid>
+                            <Grid item xs={12} md={6}>
+                                <Typography variant='h5'>After</Typography>
+                                <pre style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-all' }}>{formatSummary(auditLog.after)}</pre>
+                            </Grid>
+                        </Grid>
+                    </Collapse>
+                </StyledTableCell>
+            </TableRow>
+        </>
+    )
+}
+
+AuditLogRow.propTypes = {
+    auditLog: PropTypes.object
+}
+
+// ==============================|| Audit Logs ||============================== //
+
+const AuditLogs = () => {
+    const theme = useTheme()
+    const customization = useSelector((state) => state.customization)
+    const dispatch = useDispatch()
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const getAuditLogsApi = useApi(auditLogsApi.getAuditLogs)
+    const getAuditLogActorsApi = useApi(auditLogsApi.getAuditLogActors)
+
+    const [entityType, setEntityType] = useState('')
+    const [action, setAction] = useState('')
+    const [actor, setActor] = useState('')
+    const [startDate, setStartDate] = useState(null)
+    const [endDate, setEndDate] = useState(null)
+    const [page, setPage] = useState(0)
+    const [pageSize, setPageSize] = useState(PAGE_SIZES[1])
+    const [exportFormat, setExportFormat] = useState('csv')
+    const [isExporting, setIsExporting] = useState(false)
+
+    const getFilters = () => {
+        const filters = {}
+        if (entityType) filters.entityType = entityType
+        if (action) filters.action = action
+        if (actor) filters.actor = actor
+        if (startDate) filters.startDate = new Date(startDate).toISOString()
+        if (endDate) filters.endDate = new Date(endDate).toISOString()
+        return filters
+    }
+
+    const exportAuditLogs = async () => {
+        setIsExporting(true)
+        try {
+            const response = await auditLogsApi.exportAuditLogs({ ...getFilters(), format: exportFormat })
+            const url = window.URL.createObjectURL(response.data)
+            const linkElement = document.createElement('a')
+            linkElement.setAttribute('href', url)
+            linkElement.setAttribute('download', `audit-log.${exportFormat}`)
+            linkElement.click()
+            window.URL.revokeObjectURL(url)
+        } catch (error) {
+            // Errors of blob requests come back as a blob too
+            const errorText = error.response?.data instanceof Blob ? await error.response.data.text() : ''
+            let errorMessage = errorText || error.message
+            try {
+                errorMessage = JSON.parse(errorText).message
+            } catch (e) {
+                // not a JSON error response
+            }
+            enqueueSnackbar({
+                message: `Failed to export audit log: ${errorMessage}`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+        setIsExporting(false)
+    }
+
+    useEffect(() => {
+        getAuditLogActorsApi.request()
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [])
+
+    useEffect(() => {
+        getAuditLogsApi.request({ ...getFilters(), page: page + 1, limit: pageSize })
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [entityType, action, actor, startDate, endDate, page, pageSize])
+
+    // Filters apply from the first page
+    const onFilterChange = (setFilter) => (value) => {
+        setFilter(value)
+        setPage(0)
+    }
+
+    const auditLogs = getAuditLogsApi.data?.data ?? []
+    const actorOptions = (getAuditLogActorsApi.data ?? []).map((name) => ({ label: name, name }))
+
+    return (
+        <MainCard>
+            {getAuditLogsApi.error ? (
+                <ErrorBoundary error={getAuditLogsApi.error} />
+            ) : (
+                <Stack flexDirection='column' sx={{ gap: 3 }}>
+                    <ViewHeader
+                        search={false}
+                        title='Audit Log'
+                        description='Who created, updated or deleted chatflows, credentials, variables, tools, API keys, assistants, document stores and users'
+                    >
+                        <Box sx={{ width: 140 }}>
+                            <Dropdown
+                                name='exportFormat'
+                                options={exportFormats}
+                                onSelect={(newValue) => setExportFormat(newValue)}
+                                value={exportFormat}
+                                disableClearable={true}
+                            />
+                        </Box>
+                        <StyledButton
+                            variant='contained'
+                            sx={{ borderRadius: 2, height: '100%' }}
+                            onClick={exportAuditLogs}
+                            disabled={isExporting}
+                            startIcon={<IconFileExport />}
+                            id='btn_exportAuditLog'
+                        >
+                            Export
+                        </StyledButton>
+                    </ViewHeader>
+                    <Grid container spacing={2} alignItems='flex-end'>
+                        <Grid item xs={12} sm={6} md={2.4}>
+                            <Typography variant='h5'>Entity</Typography>
+                            <Dropdown name='entityType' options={entityTypes} onSelect={onFilterChange(setEntityType)} value={entityType} />
+                        </Grid>
+                        <Grid item xs={12} sm={6} md={2.4}>
+                            <Typography variant='h5'>Action</Typography>
+                            <Dropdown name='action' options={actions} onSelect={onFilterChange(setAction)} value={action} />
+                        </Grid>
+                        <Grid item xs={12} sm={6} md={2.4}>
+                            <Typography variant='h5'>Actor</Typography>
+                            <Dropdown name='actor' options={actorOptions} onSelect={onFilterChange(setActor)} value={actor} />
+                        </Grid>
+                        <Grid item xs={12} sm={6} md={2.4}>
+                            <Typography variant='h5' sx={{ mb: 1 }}>
+                                From Date
+                            </Typography>
+                            <DatePicker
+                                selected={startDate}
+                                onChange={onFilterChange(setStartDate)}
+                                selectsStart
+                                startDate={startDate}
+                                endDate={endDate}
+                                maxDate={endDate ?? new Date()}
+                                isClearable
+                                customInput={<DatePickerCustomInput />}
+                            />
+                        </Grid>
+                        <Grid item xs={12} sm={6} md={2.4}>
+                            <Typography variant='h5' sx={{ mb: 1 }}>
+                                To Date
+                            </Typography>
+                            <DatePicker
+                                selected={endDate}
+                                onChange={onFilterChange(setEndDate)}
+                                selectsEnd
+                                startDate={startDate}
+                                endDate={endDate}
+                                minDate={startDate}
+                                maxDate={new Date()}
+                                isClearable
+                                customInput={<DatePickerCustomInput />}
+                            />
+                        </Grid>
+                    </Grid>
+                    {!getAuditLogsApi.loading && auditLogs.length === 0 ? (
+                        <Stack sx={{ alignItems: 'center', justifyContent: 'center' }} flexDirection='column'>
+                            <Box sx={{ p: 2, height: 'auto' }}>
+                                <IconHistory size={64} stroke={1} />
+                            </Box>
+                            <div>No Audit Log Entries</div>
+                        </Stack>
+                    ) : (
+                        <TableContainer sx={{ border: 1, borderColor: theme.palette.grey[900] + 25, borderRadius: 2 }} component={Paper}>
+                            <Table sx={{ minWidth: 650 }} aria-label='audit log'>
+                                <TableHead
+                                    sx={{
+                                        backgroundColor: customization.isDarkMode ? theme.palette.common.black : theme.palette.grey[100],
+                                        height: 56
+                                    }}
+                                >
+                                    <TableRow>
+                                        <StyledTableCell>Date</StyledTableCell>
+                                        <StyledTableCell>Actor</StyledTableCell>
+                                        <StyledTableCell>Action</StyledTableCell>
+                                        <StyledTableCell>Entity</StyledTableCell>
+                                        <StyledTableCell>Name</StyledTableCell>
+                                        <StyledTableCell> </StyledTableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {getAuditLogsApi.loading ? (
+                                        <>
+                                            {[0, 1].map((row) => (
+                                                <TableRow key={row}>
+                                                    {[0, 1, 2, 3, 4, 5].map((cell) => (
+                                                        <StyledTableCell key={cell}>
+                                                            <Skeleton variant='text' />
+                                                        </StyledTableCell>
+                                                    ))}
+                                                </TableRow>
+                                            ))}
+                                        </>
+                                    ) : (
+                                        <>
+                                            {auditLogs.map((auditLog) => (
+                                                <AuditLogRow key={auditLog.id} auditLog={auditLog} />
+                                            ))}
+                                        </>
+                                    )}
+                                </TableBody>
+                            </Table>
+                            <TablePagination
+                                component='div'
+                                count={getAuditLogsApi.data?.total ?? 0}
+                                page={page}
+                                onPageChange={(e, newPage) => setPage(newPage)}
+                                rowsPerPage={pageSize}
+                                rowsPerPageOptions={PAGE_SIZES}
+                                onRowsPerPageChange={(e) => onFilterChange(setPageSize)(parseInt(e.target.value, 10))}
+                            />
+                        </TableContainer>
+                    )}
+                </Stack>
+            )}
+        </MainCard>
+    )
+}
+
+export default AuditLogs
@@ -1,15 +1,47 @@
-import { getBezierPath, EdgeText } from 'reactflow'
+import { getBezierPath, EdgeText, useStore } from 'reactflow'
 import PropTypes from 'prop-types'
 import { useDispatch } from 'react-redux'
 import { useContext } from 'react'
+import { isEqual } from 'lodash'
 import { SET_DIRTY } from '@/store/actions'
 import { flowContext } from '@/store/context/ReactFlowContext'
+import { getCollapsedGroupEdgeEnds } from '@/utils/genericHelper'
 
 import './index.css'
 
 const foreignObjectSize = 40
 
-const ButtonEdge = ({ id, sourceX, sourceY, targetX, targetY, sourcePosition, targetPosition, style = {}, data, markerEnd }) => {
+const ButtonEdge = ({
+    id,
+    source,
+    target,
+    sourceHandleId,
+    targetHandleId,
+    sourceX: edgeSourceX,
+    sourceY: edgeSourceY,
+    targetX: edgeTargetX,
+    targetY: edgeTargetY,
+    sourcePosition,
+    targetPosition,
+    style = {},
+    data,
+    markerEnd
+}) => {
+    // Edges connected to members of a collapsed group are drawn to the group instead
+    const collapsedGroupEnds = useStore(
+        (state) =>
+            getCollapsedGroupEdgeEnds(
+                { source, target, sourceHandle: sourceHandleId, targetHandle: targetHandleId },
+                state.getNodes(),
+                state.edges
+            ),
+        isEqual
+    )
+    const sourceX = collapsedGroupEnds.source?.x ?? edgeSourceX
+    const sourceY = collapsedGroupEnds.source?.y ?? edgeSourceY
+    const targetX = collapsedGroupEnds.target?.x ?? edgeTargetX
+    const targetY = collapsedGroupEnds.target?.y ?? edgeTargetY
+
     const [edgePath, edgeCenterX, edgeCenterY] = getBezierPath({
         sourceX,
         sourceY,
@@ -29,6 +61,8 @@ const ButtonEdge = ({ id, sourceX, sourceY, targetX, targetY, sourcePosition, ta
         dispatch({ type: SET_DIRTY })
     }
 
+    if (collapsedGroupEnds.hidden) return null
+
     return (
         <>
             <path id={id} style={style} className='react-flow__edge-path' d={edgePath} markerEnd={markerEnd} />
@@ -63,6 +97,10 @@ const ButtonEdge = ({ id, sourceX, sourceY, targetX, targetY, sourcePosition, ta
 
 ButtonEdge.propTypes = {
     id: PropTypes.string,
+    source: PropTypes.string,
+    target: PropTypes.string,
+    sourceHandleId: PropTypes.string,
+    targetHandleId: PropTypes.string,
     sourceX: PropTypes.number,
     sourceY: PropTypes.number,
     targetX: PropTypes.number,
@@ -1,21 +1,38 @@
 import PropTypes from 'prop-types'
 import { useNavigate } from 'react-router-dom'
 import { useSelector, useDispatch } from 'react-redux'
-import { useEffect, useRef, useState } from 'react'
+import { useContext, useEffect, useRef, useState } from 'react'
 
 // material-ui
 import { useTheme } from '@mui/material/styles'
 import { Avatar, Box, ButtonBase, Typography, Stack, TextField } from '@mui/material'
 
 // icons
-import { IconSettings, IconChevronLeft, IconDeviceFloppy, IconPencil, IconCheck, IconX, IconCode } from '@tabler/icons-react'
+import {
+    IconSettings,
+    IconChevronLeft,
+    IconDeviceFloppy,
+    IconPencil,
+    IconCheck,
+    IconX,
+    IconCode,
+    IconArrowBackUp,
+    IconArrowForwardUp,
+    IconSitemap,
+    IconSearch,
+    IconFileExport,
+    IconAdjustmentsHorizontal,
+    IconMessage,
+    IconChartBar,
+    IconHistory
+} from '@tabler/icons-react'
 
 // project imports
 import Settings from '@/views/settings'
 import SaveChatflowDialog from '@/ui-component/dialog/SaveChatflowDialog'
 import APICodeDialog from '@/views/chatflows/APICodeDialog'
 import ViewMessagesDialog from '@/ui-component/dialog/ViewMessagesDialog'
-import ChatflowConfigurationDialog from '@/ui-component/dialog/ChatflowConfigurationDialog'
+import ChatflowConfigurationDialog, { CHATFLOW_CONFIGURATION_TABS } from '@/ui-component/dialog/ChatflowConfigurationDialog'
 import UpsertHistoryDialog from '@/views/vectorstore/UpsertHistoryDialog'
 
 // API
@@ -27,8 +44,11 @@ import useApi from '@/hooks/useApi'
 // utils
 import { generateExportFlowData } from '@/utils/genericHelper'
 import { uiBaseURL } from '@/store/constant'
-import { SET_CHATFLOW } from '@/store/actions'
+import { SET_CHATFLOW, REMOVE_DIRTY } from '@/store/actions'
+import { flowContext } from '@/store/context/ReactFlowContext'
 import ViewLeadsDialog from '@/ui-component/dialog/ViewLeadsDialog'
+import ChatflowVersionsDialog from '@/ui-component/dialog/ChatflowVersionsDialog'
+import CommandPalette from './CommandPalette'
 
 // ==============================|| CANVAS HEADER ||============================== //
 
@@ -53,9 +73,13 @@ const CanvasHeader = ({ chatflow, handleSaveFlow, handleDeleteFlow, handleLoadFl
     const [upsertHistoryDialogProps, setUpsertHistoryDialogProps] = useState({})
     const [chatflowConfigurationDialogOpen, setChatflowConfigurationDialogOpen] = useState(false)
     const [chatflowConfigurationDialogProps, setChatflowConfigurationDialogProps] = useState({})
+    const [chatflowVersionsDialogOpen, setChatflowVersionsDialogOpen] = useState(false)
+    const [chatflowVersionsDialogProps, setChatflowVersionsDialogProps] = useState({})
+    const [commandPaletteOpen, setCommandPaletteOpen] = useState(false)
 
     const updateChatflowApi = useApi(chatflowsApi.updateChatflow)
     const canvas = useSelector((state) => state.canvas)
+    const { undo, redo, canUndo, canRedo, autoArrangeNodes } = useContext(flowContext)
 
     const onSettingsItemClick = (setting) => {
         setSettingsOpen(false)
@@ -74,18 +98,22 @@ const CanvasHeader = ({ chatflow, handleSaveFlow, handleDeleteFlow, handleLoadFl
                 chatflow: chatflow
             })
             setViewLeadsDialogOpen(true)
+        } else if (setting === 'viewAnalytics') {
+            navigate(`/analytics/${chatflow.id}`)
         } else if (setting === 'viewUpsertHistory') {
             setUpsertHistoryDialogProps({
                 title: 'View Upsert History',
                 chatflow: chatflow
             })
             setUpsertHistoryDialogOpen(true)
-        } else if (setting === 'chatflowConfiguration') {
-            setChatflowConfigurationDialogProps({
-                title: 'Chatflow Configuration',
+        } else if (setting === 'viewVersionHistory') {
+            setChatflowVersionsDialogProps({
+                title: 'Version History',
                 chatflow: chatflow
             })
-            setChatflowConfigurationDialogOpen(true)
+            setChatflowVersionsDialogOpen(true)
+        } else if (setting === 'chatflowConfiguration') {
+            openChatflowConfiguration()
         } else if (setting === 'duplicateChatflow') {
             try {
                 localStorage.setItem('duplicatedFlowData', chatflow.flowData)
@@ -111,6 +139,49 @@ const CanvasHeader = ({ chatflow, handleSaveFlow, handleDeleteFlow, handleLoadFl
         }
     }
 
+    const openChatflowConfiguration = (tabId) => {
+        setChatflowConfigurationDialogProps({
+            title: 'Chatflow Configuration',
+            chatflow: chatflow,
+            tabId
+        })
+        setChatflowConfigurationDialogOpen(true)
+    }
+
+    const getCommandPaletteActions = () => {
+        const actions = [
+            { id: 'save', label: 'Save Chatflow', icon: IconDeviceFloppy, onSelect: onSaveChatflowClick },
+            { id: 'autoArrange', label: 'Auto Arrange Nodes', icon: IconSitemap, onSelect: autoArrangeNodes }
+        ]
+        if (!chatflow?.id) return actions
+        return [
+            ...actions,
+            { id: 'export', label: 'Export Chatflow', icon: IconFileExport, onSelect: () => onSettingsItemClick('exportChatflow') },
+            { id: 'api', label: 'Open API Endpoint', icon: IconCode, onSelect: onAPIDialogClick },
+            { id: 'viewMessages', label: 'View Messages', icon: IconMessage, onSelect: () => onSettingsItemClick('viewMessages') },
+            { id: 'viewAnalytics', label: 'View Analytics', icon: IconChartBar, onSelect: () => onSettingsItemClick('viewAnalytics') },
+            {
+                id: 'viewVersionHistory',
+                label: 'View Version History',
+                icon: IconHistory,
+                onSelect: () => onSettingsItemClick('viewVersionHistory')
+            },
+            ...CHATFLOW_CONFIGURATION_TABS.map((tab) => ({
+                id: `configuration-${tab.id}`,
+                label: `Configuration: ${tab.label}`,
+                icon: IconAdjustmentsHorizontal,
+                onSelect: () => openChatflowConfiguration(tab.id)
+            }))
+        ]
+    }
+
+    const onChatflowVersionRestore = (restoredChatflow) => {
+        setChatflowVersionsDialogOpen(false)
+        handleLoadFlow(restoredChatflow.flowData)
+        dispatch({ type: SET_CHATFLOW, chatflow: restoredChatflow })
+        dispatch({ type: REMOVE_DIRTY })
+    }
+
     const onUploadFile = (file) => {
         setSettingsOpen(false)
         handleLoadFlow(file)
@@ -186,6 +257,20 @@ const CanvasHeader = ({ chatflow, handleSaveFlow, handleDeleteFlow, handleLoadFl
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [updateChatflowApi.data])
 
+    useEffect(() => {
+        function handleCommandPaletteShortcut(e) {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'k' || canvas.canvasDialogShow) return
+            e.preventDefault()
+            setCommandPaletteOpen(true)
+        }
+
+        window.addEventListener('keydown', handleCommandPaletteShortcut)
+
+        return () => {
+            window.removeEventListener('keydown', handleCommandPaletteShortcut)
+        }
+    }, [canvas.canvasDialogShow])
+
     useEffect(() => {
         if (chatflow) {
             setFlowName(chatflow.name)
@@ -324,6 +409,88 @@ const CanvasHeader = ({ chatflow, handleSaveFlow, handleDeleteFlow, handleLoadFl
                     </Box>
                 </Stack>
                 <Box>
+                    <ButtonBase title='Search (Ctrl+K)' sx={{ borderRadius: '50%', mr: 1 }}>
+                        <Avatar
+                            variant='rounded'
+                            sx={{
+                                ...theme.typography.commonAvatar,
+                                ...theme.typography.mediumAvatar,
+                                transition: 'all .2s ease-in-out',
+                                background: theme.palette.secondary.light,
+                                color: theme.palette.secondary.dark,
+                                '&:hover': {
+                                    background: theme.palette.secondary.dark,
+                                    color: theme.palette.secondary.light
+                                }
+                            }}
+                            color='inherit'
+                            onClick={() => setCommandPaletteOpen(true)}
+                        >
+                            <IconSearch stroke={1.5} size='1.3rem' />
+                        </Avatar>
+                    </ButtonBase>
+                    <ButtonBase title='Auto arrange' sx={{ borderRadius: '50%', mr: 2 }}>
+                        <Avatar
+                            variant='rounded'
+                            sx={{
+                                ...theme.typography.commonAvatar,
+                                ...theme.typography.mediumAvatar,
+                                transition: 'all .2s ease-in-out',
+                                background: theme.palette.secondary.light,
+                                color: theme.palette.secondary.dark,
+                                '&:hover': {
+                                    background: theme.palette.secondary.dark,
+                                    color: theme.palette.secondary.light
+                                }
+                            }}
+                            color='inherit'
+                            onClick={autoArrangeNodes}
+                        >
+                            <IconSitemap stroke={1.5} size='1.3rem' style={{ transform: 'rotate(-90deg)' }} />
+                        </Avatar>
+                    </ButtonBase>
+                    <ButtonBase title='Undo (Ctrl+Z)' disabled={!canUndo} sx={{ borderRadius: '50%', mr: 1 }}>
+                        <Avatar
+                            variant='rounded'
+                            sx={{
+                                ...theme.typography.commonAvatar,
+                                ...theme.typography.mediumAvatar,
+                                transition: 'all .2s ease-in-out',
+                                background: theme.palette.secondary.light,
+                                color: theme.palette.secondary.dark,
+                                opacity: canUndo ? 1 : 0.5,
+                                '&:hover': {
+                                    background: theme.palette.secondary.dark,
+                                    color: theme.palette.secondary.light
+                                }
+                            }}
+                            color='inherit'
+                            onClick={undo}
+                        >
+                            <IconArrowBackUp stroke={1.5} size='1.3rem' />
+                        </Avatar>
+                    </ButtonBase>
+                    <ButtonBase title='Redo (Ctrl+Shift+Z)' disabled={!canRedo} sx={{ borderRadius: '50%', mr: 2 }}>
+                        <Avatar
+                            variant='rounded'
+                            sx={{
+                                ...theme.typography.commonAvatar,
+                                ...theme.typography.mediumAvatar,
+                                transition: 'all .2s ease-in-out',
+                                background: theme.palette.secondary.light,
+                                color: theme.palette.secondary.dark,
+                                opacity: canRedo ? 1 : 0.5,
+                                '&:hover': {
+                                    background: theme.palette.secondary.dark,
+                                    color: theme.palette.secondary.light
+                                }
+                            }}
+                            color='inherit'
+                            onClick={redo}
+                        >
+                            <IconArrowForwardUp stroke={1.5} size='1.3rem' />
+                        </Avatar>
+                    </ButtonBase>
                     {chatflow?.id && (
                         <ButtonBase title='API Endpoint' sx={{ borderRadius: '50%', mr: 2 }}>
                             <Avatar
@@ -417,6 +584,13 @@ const CanvasHeader = ({ chatflow, handleSaveFlow, handleDeleteFlow, handleLoadFl
                 dialogProps={upsertHistoryDialogProps}
                 onCancel={() => setUpsertHistoryDialogOpen(false)}
             />
+            <ChatflowVersionsDialog
+                show={chatflowVersionsDialogOpen}
+                dialogProps={chatflowVersionsDialogProps}
+                onCancel={() => setChatflowVersionsDialogOpen(false)}
+                onRestore={onChatflowVersionRestore}
+            />
+            <CommandPalette show={commandPaletteOpen} actions={getCommandPaletteActions()} onClose={() => setCommandPaletteOpen(false)} />
             <ChatflowConfigurationDialog
                 key='chatflowConfiguration'
                 show={chatflowConfigurationDialogOpen}
@@ -4,7 +4,7 @@ import { useSelector } from 'react-redux'
 
 // material-ui
 import { useTheme } from '@mui/material/styles'
-import { IconButton, Box, Typography, Divider, Button } from '@mui/material'
+import { IconButton, Box, Typography, Divider, Button, Badge } from '@mui/material'
 import Tooltip from '@mui/material/Tooltip'
 
 // project imports
@@ -17,7 +17,7 @@ import NodeInfoDialog from '@/ui-component/dialog/NodeInfoDialog'
 
 // const
 import { baseURL } from '@/store/constant'
-import { IconTrash, IconCopy, IconInfoCircle, IconAlertTriangle } from '@tabler/icons-react'
+import { IconTrash, IconCopy, IconInfoCircle, IconAlertTriangle, IconAlertOctagon } from '@tabler/icons-react'
 import { flowContext } from '@/store/context/ReactFlowContext'
 import LlamaindexPNG from '@/assets/images/llamaindex.png'
 
@@ -35,6 +35,9 @@ const CanvasNode = ({ data }) => {
     const [warningMessage, setWarningMessage] = useState('')
     const [open, setOpen] = useState(false)
 
+    const validationIssues = (canvas.flowValidation?.issues ?? []).filter((issue) => issue.nodeId === data.id)
+    const hasValidationError = validationIssues.some((issue) => issue.type === 'error')
+
     const handleClose = () => {
         setOpen(false)
     }
@@ -82,7 +85,11 @@ const CanvasNode = ({ data }) => {
                 content={false}
                 sx={{
                     padding: 0,
-                    borderColor: data.selected ? theme.palette.primary.main : theme.palette.text.secondary
+                    borderColor: data.selected
+                        ? theme.palette.primary.main
+                        : hasValidationError
+                        ? theme.palette.error.main
+                        : theme.palette.text.secondary
                 }}
                 border={false}
             >
@@ -181,6 +188,22 @@ const CanvasNode = ({ data }) => {
                                     </div>
                                 </>
                             )}
+                            {validationIssues.length > 0 && (
+                                <Tooltip
+                                    title={
+                                        <span style={{ whiteSpace: 'pre-line' }}>
+                                            {validationIssues.map((issue) => issue.message).join('\n')}
+                                        </span>
+                                    }
+                                    placement='top'
+                                >
+                                    <IconButton sx={{ height: 35, width: 35 }}>
+                                        <Badge badgeContent={validationIssues.length} color={hasValidationError ? 'error' : 'warning'}>
+                                            <IconAlertOctagon size={30} color={hasValidationError ? theme.palette.error.main : 'orange'} />
+                                        </Badge>
+                                    </IconButton>
+                                </Tooltip>
+                            )}
                             {warningMessage && (
                                 <>
                                     <Tooltip title={<span style={{ whiteSpace: 'pre-line' }}>{warningMessage}</span>} placement='top'>
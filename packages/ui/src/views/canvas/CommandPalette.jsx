@@ -0,0 +1,225 @@
+import { createPortal } from 'react-dom'
+import { useContext, useEffect, useMemo, useRef, useState } from 'react'
+import { useDispatch } from 'react-redux'
+import PropTypes from 'prop-types'
+
+// material-ui
+import { Box, Dialog, InputAdornment, List, ListItemButton, ListItemIcon, ListItemText, OutlinedInput, Typography } from '@mui/material'
+import { useTheme } from '@mui/material/styles'
+import { IconSearch } from '@tabler/icons-react'
+
+// project imports
+import { flowContext } from '@/store/context/ReactFlowContext'
+import { HIDE_CANVAS_DIALOG, SHOW_CANVAS_DIALOG } from '@/store/actions'
+import { baseURL, GROUP_NODE_TYPE } from '@/store/constant'
+
+const MAX_RESULTS = 50
+
+/**
+ * Score how well the query matches the text, 0 means no match.
+ * Substring matches rank above fuzzy (in order, not necessarily adjacent) character matches.
+ */
+const getFuzzyScore = (query, text) => {
+    const target = String(text).toLowerCase()
+    const substringIndex = target.indexOf(query)
+    if (substringIndex >= 0) return 1000 - substringIndex + (substringIndex === 0 ? 500 : 0)
+
+    let score = 0
+    let lastIndex = -1
+    for (const char of query.replace(/\s+/g, '')) {
+        const index = target.indexOf(char, lastIndex + 1)
+        if (index < 0) return 0
+        score += index === lastIndex + 1 ? 3 : 1
+        lastIndex = index
+    }
+    return score
+}
+
+// Fields of a node the palette searches through, most relevant first
+const getNodeSearchFields = (node) => {
+    const fields = [
+        { text: node.data.label, weight: 4 },
+        { text: node.id, weight: 3 },
+        { text: node.data.category ?? '', weight: 2 }
+    ]
+    for (const inputParam of node.data.inputParams ?? []) {
+        if (['password', 'credential', 'file'].includes(inputParam.type)) continue
+        const value = node.data.inputs?.[inputParam.name]
+        if (value === undefined || value === null || value === '' || typeof value === 'object') continue
+        // Skip values that only reference another node
+        if (typeof value === 'string' && /^{{.+}}$/.test(value)) continue
+        fields.push({ text: `${inputParam.label}: ${value}`, matchText: String(value), weight: 1 })
+    }
+    return fields
+}
+
+const searchNodes = (nodes, query) => {
+    const results = []
+    for (const node of nodes) {
+        if (!query) {
+            results.push({ node, score: 0, matchedField: node.data.category })
+            continue
+        }
+        let best = { score: 0 }
+        for (const field of getNodeSearchFields(node)) {
+            const score = getFuzzyScore(query, field.matchText ?? field.text) * field.weight
+            if (score > best.score) best = { score, matchedField: field.text }
+        }
+        if (best.score > 0) results.push({ node, ...best })
+    }
+    return results.sort((a, b) => b.score - a.score)
+}
+
+// ==============================|| COMMAND PALETTE ||============================== //
+
+const CommandPalette = ({ show, actions, onClose }) => {
+    const portalElement = document.getElementById('portal')
+    const theme = useTheme()
+    const dispatch = useDispatch()
+    const { reactFlowInstance, focusNode } = useContext(flowContext)
+
+    const [query, setQuery] = useState('')
+    const [selectedIndex, setSelectedIndex] = useState(0)
+    const [nodes, setNodes] = useState([])
+    const listRef = useRef(null)
+
+    const results = useMemo(() => {
+        const normalizedQuery = query.trim().toLowerCase()
+        const actionResults = actions
+            .map((action) => ({ action, score: normalizedQuery ? getFuzzyScore(normalizedQuery, action.label) : 1 }))
+            .filter((result) => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+        const nodeResults = searchNodes(nodes, normalizedQuery)
+        // Nodes lead once the user starts typing, actions come first on an empty query
+        const combined = normalizedQuery ? [...nodeResults, ...actionResults] : [...actionResults, ...nodeResults]
+        return combined.slice(0, MAX_RESULTS)
+    }, [query, nodes, actions])
+
+    const onResultSelect = (result) => {
+        if (!result) return
+        onClose()
+        if (result.action) result.action.onSelect()
+        else focusNode(result.node.id)
+    }
+
+    const onKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault()
+            setSelectedIndex((index) => Math.min(index + 1, results.length - 1))
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault()
+            setSelectedIndex((index) => Math.max(index - 1, 0))
+        } else if (e.key === 'Enter') {
+            e.preventDefault()
+            onResultSelect(results[selectedIndex])
+        }
+    }
+
+    useEffect(() => {
+        if (show) {
+            setQuery('')
+            setNodes(reactFlowInstance ? reactFlowInstance.getNodes() : [])
+        }
+    }, [show, reactFlowInstance])
+
+    useEffect(() => {
+        setSelectedIndex(0)
+    }, [query])
+
+    useEffect(() => {
+        listRef.current?.querySelector('.Mui-selected')?.scrollIntoView({ block: 'nearest' })
+    }, [selectedIndex])
+
+    useEffect(() => {
+        if (show) dispatch({ type: SHOW_CANVAS_DIALOG })
+        else dispatch({ type: HIDE_CANVAS_DIALOG })
+        return () => dispatch({ type: HIDE_CANVAS_DIALOG })
+    }, [show, dispatch])
+
+    const component = show ? (
+        <Dialog
+            open={show}
+            fullWidth
+            maxWidth='sm'
+            onClose={onClose}
+            sx={{ '& .MuiDialog-container': { alignItems: 'flex-start' } }}
+            PaperProps={{ sx: { mt: 12 } }}
+            aria-label='command palette'
+        >
+            <Box sx={{ p: 2 }}>
+                <OutlinedInput
+                    // eslint-disable-next-line
+                    autoFocus
+                    fullWidth
+                    size='small'
+                    placeholder='Search nodes by label, ID, category or parameter value, or type a command'
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    onKeyDown={onKeyDown}
+                    startAdornment={
+                        <InputAdornment position='start'>
+                            <IconSearch size={18} />
+                        </InputAdornment>
+                    }
+                />
+                {results.length === 0 && <Typography sx={{ mt: 2, textAlign: 'center' }}>No matching nodes or commands</Typography>}
+                {results.length > 0 && (
+                    <List ref={listRef} sx={{ mt: 1, maxHeight: '50vh', overflowY: 'auto' }}>
+                        {results.map((result, index) => (
+                            <ListItemButton
+                                key={result.action ? `action-${result.action.id}` : `node-${result.node.id}`}
+                                selected={index === selectedIndex}
+                                sx={{ borderRadius: 1 }}
+                                onMouseEnter={() => setSelectedIndex(index)}
+                                onClick={() => onResultSelect(result)}
+                            >
+                                <ListItemIcon sx={{ minWidth: 40 }}>
+                                    {result.action ? (
+                                        <result.action.icon size={24} stroke={1.5} color={theme.palette.secondary.main} />
+                                    ) : (
+                                        <div
+                                            style={{
+                                                width: 28,
+                                                height: 28,
+                                                borderRadius: '50%',
+                                                backgroundColor: 'white'
+                                            }}
+                                        >
+                                            {result.node.type !== GROUP_NODE_TYPE && (
+                                                <img
+                                                    style={{ width: '100%', height: '100%', padding: 3, objectFit: 'contain' }}
+                                                    src={`${baseURL}/api/v1/node-icon/${result.node.data.name}`}
+                                                    alt={result.node.data.name}
+                                                />
+                                            )}
+                                        </div>
+                                    )}
+                                </ListItemIcon>
+                                <ListItemText
+                                    primary={result.action ? result.action.label : result.node.data.label}
+                                    secondary={result.action ? 'Command' : result.matchedField}
+                                    secondaryTypographyProps={{ noWrap: true }}
+                                />
+                                {result.node && (
+                                    <Typography variant='caption' sx={{ ml: 1, whiteSpace: 'nowrap' }}>
+                                        {result.node.id}
+                                    </Typography>
+                                )}
+                            </ListItemButton>
+                        ))}
+                    </List>
+                )}
+            </Box>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+CommandPalette.propTypes = {
+    show: PropTypes.bool,
+    actions: PropTypes.array,
+    onClose: PropTypes.func
+}
+
+export default CommandPalette
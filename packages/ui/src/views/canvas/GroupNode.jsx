@@ -0,0 +1,163 @@
+import PropTypes from 'prop-types'
+import { useContext, useState } from 'react'
+import { Handle, Position, useStore } from 'reactflow'
+import { isEqual } from 'lodash'
+
+// material-ui
+import { useTheme } from '@mui/material/styles'
+import { Box, IconButton, InputBase, Menu, MenuItem, Typography } from '@mui/material'
+import { IconChevronDown, IconChevronRight, IconPalette, IconBoxOff } from '@tabler/icons-react'
+
+// project imports
+import { flowContext } from '@/store/context/ReactFlowContext'
+import { GROUP_NODE_COLORS } from '@/store/constant'
+import { getGroupExternalHandles, getGroupHandleOffsetY, GROUP_HEADER_HEIGHT } from '@/utils/genericHelper'
+
+// Handle ids look like "llmChain_0-input-model-BaseLanguageModel"
+const getHandleLabel = (handleId) => {
+    const [nodeId, , name] = handleId.split('-')
+    return `${name} (${nodeId})`
+}
+
+// ===========================|| GROUP NODE ||=========================== //
+
+const GroupNode = ({ id, data, selected, readOnly }) => {
+    const theme = useTheme()
+    const { toggleGroupCollapse, ungroupNodes, updateGroupNode } = useContext(flowContext)
+
+    const [colorMenuAnchor, setColorMenuAnchor] = useState(null)
+    const memberCount = useStore((state) => state.getNodes().filter((node) => node.parentNode === id).length)
+    const externalHandles = useStore(
+        (state) => (data.collapsed ? getGroupExternalHandles(id, state.getNodes(), state.edges) : { inputs: [], outputs: [] }),
+        isEqual
+    )
+
+    const color = data.color ?? GROUP_NODE_COLORS[0]
+
+    return (
+        <Box
+            sx={{
+                width: '100%',
+                height: '100%',
+                border: `2px solid ${color}`,
+                borderRadius: '10px',
+                backgroundColor: `${color}${data.collapsed ? '33' : '14'}`,
+                boxShadow: selected ? `0 0 0 2px ${theme.palette.primary.main}` : 'none'
+            }}
+        >
+            <div
+                style={{
+                    display: 'flex',
+                    flexDirection: 'row',
+                    alignItems: 'center',
+                    height: GROUP_HEADER_HEIGHT,
+                    paddingLeft: 8,
+                    paddingRight: 8,
+                    backgroundColor: color,
+                    borderTopLeftRadius: 8,
+                    borderTopRightRadius: 8,
+                    color: 'white'
+                }}
+            >
+                {!readOnly && (
+                    <IconButton
+                        className='nodrag'
+                        size='small'
+                        title={data.collapsed ? 'Expand' : 'Collapse'}
+                        sx={{ color: 'white' }}
+                        onClick={() => toggleGroupCollapse(id)}
+                    >
+                        {data.collapsed ? <IconChevronRight /> : <IconChevronDown />}
+                    </IconButton>
+                )}
+                <InputBase
+                    className='nodrag'
+                    readOnly={readOnly}
+                    sx={{ flexGrow: 1, ml: 1, color: 'white', fontSize: '1rem', fontWeight: 500 }}
+                    defaultValue={data.label}
+                    key={data.label}
+                    onBlur={(e) => {
+                        if (e.target.value && e.target.value !== data.label) updateGroupNode(id, { label: e.target.value })
+                    }}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') e.target.blur()
+                    }}
+                />
+                {!readOnly && (
+                    <>
+                        <IconButton
+                            className='nodrag'
+                            size='small'
+                            title='Color'
+                            sx={{ color: 'white' }}
+                            onClick={(e) => setColorMenuAnchor(e.currentTarget)}
+                        >
+                            <IconPalette />
+                        </IconButton>
+                        <IconButton
+                            className='nodrag'
+                            size='small'
+                            title='Ungroup'
+                            sx={{ color: 'white' }}
+                            onClick={() => ungroupNodes(id)}
+                        >
+                            <IconBoxOff />
+                        </IconButton>
+                        <Menu anchorEl={colorMenuAnchor} open={Boolean(colorMenuAnchor)} onClose={() => setColorMenuAnchor(null)}>
+                            {GROUP_NODE_COLORS.map((groupColor) => (
+                                <MenuItem
+                                    key={groupColor}
+                                    selected={groupColor === color}
+                                    onClick={() => {
+                                        setColorMenuAnchor(null)
+                                        updateGroupNode(id, { color: groupColor })
+                                    }}
+                                >
+                                    <Box sx={{ width: 24, height: 24, borderRadius: '50%', backgroundColor: groupColor }} />
+                                </MenuItem>
+                            ))}
+                        </Menu>
+                    </>
+                )}
+            </div>
+            {data.collapsed && (
+                <>
+                    <Typography sx={{ position: 'absolute', width: '100%', textAlign: 'center', top: GROUP_HEADER_HEIGHT + 4 }}>
+                        {memberCount} nodes
+                    </Typography>
+                    {externalHandles.inputs.map((handleId, index) => (
+                        <Handle
+                            key={handleId}
+                            type='target'
+                            position={Position.Left}
+                            id={handleId}
+                            isConnectable={false}
+                            title={getHandleLabel(handleId)}
+                            style={{ top: getGroupHandleOffsetY(index), height: 10, width: 10, backgroundColor: color }}
+                        />
+                    ))}
+                    {externalHandles.outputs.map((handleId, index) => (
+                        <Handle
+                            key={handleId}
+                            type='source'
+                            position={Position.Right}
+                            id={handleId}
+                            isConnectable={false}
+                            title={getHandleLabel(handleId)}
+                            style={{ top: getGroupHandleOffsetY(index), height: 10, width: 10, backgroundColor: color }}
+                        />
+                    ))}
+                </>
+            )}
+        </Box>
+    )
+}
+
+GroupNode.propTypes = {
+    id: PropTypes.string,
+    data: PropTypes.object,
+    selected: PropTypes.bool,
+    readOnly: PropTypes.bool
+}
+
+export default GroupNode
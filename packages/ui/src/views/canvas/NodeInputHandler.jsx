@@ -51,7 +51,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
     const theme = useTheme()
     const customization = useSelector((state) => state.customization)
     const ref = useRef(null)
-    const { reactFlowInstance } = useContext(flowContext)
+    const { reactFlowInstance, takeSnapshot, historyVersion } = useContext(flowContext)
     const updateNodeInternals = useUpdateNodeInternals()
     const [position, setPosition] = useState(0)
     const [showExpandDialog, setShowExpandDialog] = useState(false)
@@ -65,6 +65,12 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
     const [showManageScrapedLinksDialog, setShowManageScrapedLinksDialog] = useState(false)
     const [manageScrapedLinksDialogProps, setManageScrapedLinksDialogProps] = useState({})
 
+    const onInputChange = (inputParamName, newValue) => {
+        // Consecutive edits of the same input are recorded as one undo step
+        if (!disabled) takeSnapshot(`${data.id}-${inputParamName}`)
+        data.inputs[inputParamName] = newValue
+    }
+
     const onExpandDialogClicked = (value, inputParam) => {
         const dialogProps = {
             value,
@@ -83,6 +89,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
 
     const onShowPromptHubButtonSubmit = (templates) => {
         setShowPromptHubDialog(false)
+        takeSnapshot()
         for (const t of templates) {
             if (Object.prototype.hasOwnProperty.call(data.inputs, t.type)) {
                 data.inputs[t.type] = t.template
@@ -105,6 +112,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
 
     const onManageLinksDialogSave = (url, links) => {
         setShowManageScrapedLinksDialog(false)
+        takeSnapshot()
         data.inputs.url = url
         data.inputs.selectedLinks = links
     }
@@ -135,6 +143,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
 
     const onExpandDialogSave = (newValue, inputParamName) => {
         setShowExpandDialog(false)
+        takeSnapshot()
         data.inputs[inputParamName] = newValue
     }
 
@@ -179,6 +188,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
     }
 
     const onConfirmAsyncOption = (selectedOptionId = '') => {
+        takeSnapshot()
         if (!selectedOptionId) {
             data.inputs[showAsyncOptionDialog] = ''
         } else {
@@ -248,7 +258,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
                             />
                         </CustomWidthTooltip>
                     )}
-                    <Box sx={{ p: 2 }}>
+                    <Box key={historyVersion} sx={{ p: 2 }}>
                         {(data.name === 'promptTemplate' || data.name === 'chatPromptTemplate') &&
                             (inputParam.name === 'template' || inputParam.name === 'systemMessagePrompt') && (
                                 <>
@@ -321,6 +331,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
                                 data={data}
                                 inputParam={inputParam}
                                 onSelect={(newValue) => {
+                                    takeSnapshot(`${data.id}-${FLOWISE_CREDENTIAL_ID}`)
                                     data.credential = newValue
                                     data.inputs[FLOWISE_CREDENTIAL_ID] = newValue // in case data.credential is not updated
                                 }}
@@ -331,14 +342,14 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
                             <File
                                 disabled={disabled}
                                 fileType={inputParam.fileType || '*'}
-                                onChange={(newValue) => (data.inputs[inputParam.name] = newValue)}
+                                onChange={(newValue) => onInputChange(inputParam.name, newValue)}
                                 value={data.inputs[inputParam.name] ?? inputParam.default ?? 'Choose a file to upload'}
                             />
                         )}
                         {inputParam.type === 'boolean' && (
                             <SwitchInput
                                 disabled={disabled}
-                                onChange={(newValue) => (data.inputs[inputParam.name] = newValue)}
+                                onChange={(newValue) => onInputChange(inputParam.name, newValue)}
                                 value={data.inputs[inputParam.name] ?? inputParam.default ?? false}
                             />
                         )}
@@ -348,7 +359,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
                                 columns={inputParam.datagrid}
                                 hideFooter={true}
                                 rows={data.inputs[inputParam.name] ?? JSON.stringify(inputParam.default) ?? []}
-                                onChange={(newValue) => (data.inputs[inputParam.name] = newValue)}
+                                onChange={(newValue) => onInputChange(inputParam.name, newValue)}
                             />
                         )}
                         {inputParam.type === 'code' && (
@@ -362,7 +373,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
                                         theme={customization.isDarkMode ? 'dark' : 'light'}
                                         lang={'js'}
                                         placeholder={inputParam.placeholder}
-                                        onValueChange={(code) => (data.inputs[inputParam.name] = code)}
+                                        onValueChange={(code) => onInputChange(inputParam.name, code)}
                                         basicSetup={{ highlightActiveLine: false, highlightActiveLineGutter: false }}
                                     />
                                 </div>
@@ -373,7 +384,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
                                 key={data.inputs[inputParam.name]}
                                 disabled={disabled}
                                 inputParam={inputParam}
-                                onChange={(newValue) => (data.inputs[inputParam.name] = newValue)}
+                                onChange={(newValue) => onInputChange(inputParam.name, newValue)}
                                 value={data.inputs[inputParam.name] ?? inputParam.default ?? ''}
                                 nodes={inputParam?.acceptVariable && reactFlowInstance ? reactFlowInstance.getNodes() : []}
                                 edges={inputParam?.acceptVariable && reactFlowInstance ? reactFlowInstance.getEdges() : []}
@@ -385,7 +396,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
                                 {!inputParam?.acceptVariable && (
                                     <JsonEditorInput
                                         disabled={disabled}
-                                        onChange={(newValue) => (data.inputs[inputParam.name] = newValue)}
+                                        onChange={(newValue) => onInputChange(inputParam.name, newValue)}
                                         value={data.inputs[inputParam.name] ?? inputParam.default ?? ''}
                                         isDarkMode={customization.isDarkMode}
                                     />
@@ -409,7 +420,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
                                             show={showFormatPromptValuesDialog}
                                             dialogProps={formatPromptValuesDialogProps}
                                             onCancel={() => setShowFormatPromptValuesDialog(false)}
-                                            onChange={(newValue) => (data.inputs[inputParam.name] = newValue)}
+                                            onChange={(newValue) => onInputChange(inputParam.name, newValue)}
                                         ></FormatPromptValuesDialog>
                                     </>
                                 )}
@@ -420,7 +431,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
                                 disabled={disabled}
                                 name={inputParam.name}
                                 options={inputParam.options}
-                                onSelect={(newValue) => (data.inputs[inputParam.name] = newValue)}
+                                onSelect={(newValue) => onInputChange(inputParam.name, newValue)}
                                 value={data.inputs[inputParam.name] ?? inputParam.default ?? 'choose an option'}
                             />
                         )}
@@ -429,7 +440,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
                                 disabled={disabled}
                                 name={inputParam.name}
                                 options={inputParam.options}
-                                onSelect={(newValue) => (data.inputs[inputParam.name] = newValue)}
+                                onSelect={(newValue) => onInputChange(inputParam.name, newValue)}
                                 value={data.inputs[inputParam.name] ?? inputParam.default ?? 'choose an option'}
                             />
                         )}
@@ -443,7 +454,7 @@ const NodeInputHandler = ({ inputAnchor, inputParam, data, disabled = false, isA
                                         nodeData={data}
                                         value={data.inputs[inputParam.name] ?? inputParam.default ?? 'choose an option'}
                                         isCreateNewOption={EDITABLE_OPTIONS.includes(inputParam.name)}
-                                        onSelect={(newValue) => (data.inputs[inputParam.name] = newValue)}
+                                        onSelect={(newValue) => onInputChange(inputParam.name, newValue)}
                                         onCreateNew={() => addAsyncOption(inputParam.name)}
                                     />
                                     {EDITABLE_OPTIONS.includes(inputParam.name) && data.inputs[inputParam.name] && (
@@ -18,7 +18,7 @@ import { flowContext } from '@/store/context/ReactFlowContext'
 const StickyNote = ({ data }) => {
     const theme = useTheme()
     const canvas = useSelector((state) => state.canvas)
-    const { deleteNode, duplicateNode } = useContext(flowContext)
+    const { deleteNode, duplicateNode, takeSnapshot, historyVersion } = useContext(flowContext)
     const [inputParam] = data.inputParams
 
     const [open, setOpen] = useState(false)
@@ -81,9 +81,12 @@ const StickyNote = ({ data }) => {
                 >
                     <Box>
                         <Input
-                            key={data.id}
+                            key={`${data.id}-${historyVersion}`}
                             inputParam={inputParam}
-                            onChange={(newValue) => (data.inputs[inputParam.name] = newValue)}
+                            onChange={(newValue) => {
+                                takeSnapshot(`${data.id}-${inputParam.name}`)
+                                data.inputs[inputParam.name] = newValue
+                            }}
                             value={data.inputs[inputParam.name] ?? inputParam.default ?? ''}
                             nodes={inputParam?.acceptVariable && reactFlowInstance ? reactFlowInstance.getNodes() : []}
                             edges={inputParam?.acceptVariable && reactFlowInstance ? reactFlowInstance.getEdges() : []}
@@ -0,0 +1,154 @@
+import { useState, useRef, useEffect, useContext } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import PropTypes from 'prop-types'
+
+import { ClickAwayListener, Paper, Popper, Box, Button, List, ListItemButton, ListItemIcon, ListItemText, Typography } from '@mui/material'
+import { useTheme } from '@mui/material/styles'
+import { IconAlertTriangle, IconChecklist, IconCircleX, IconRefresh, IconX } from '@tabler/icons-react'
+
+// project import
+import { StyledFab } from '@/ui-component/button/StyledFab'
+import MainCard from '@/ui-component/cards/MainCard'
+import Transitions from '@/ui-component/extended/Transitions'
+import { flowContext } from '@/store/context/ReactFlowContext'
+import { SET_FLOW_VALIDATION } from '@/store/actions'
+
+// api
+import validationApi from '@/api/validation'
+
+const VALIDATION_DEBOUNCE_MS = 1000
+
+export const ValidationPopUp = ({ nodes, edges }) => {
+    const theme = useTheme()
+    const dispatch = useDispatch()
+    const flowValidation = useSelector((state) => state.canvas.flowValidation)
+    const { focusNode } = useContext(flowContext)
+
+    const [open, setOpen] = useState(false)
+    const anchorRef = useRef(null)
+
+    const issues = flowValidation?.issues ?? []
+    const errorCount = issues.filter((issue) => issue.type === 'error').length
+    const warningCount = issues.length - errorCount
+
+    const validateFlow = async () => {
+        if (!nodes.length) {
+            dispatch({ type: SET_FLOW_VALIDATION, flowValidation: null })
+            return
+        }
+        try {
+            const resp = await validationApi.validateFlowData({ flowData: JSON.stringify({ nodes, edges }) })
+            dispatch({ type: SET_FLOW_VALIDATION, flowValidation: resp.data })
+        } catch (error) {
+            console.error(error)
+        }
+    }
+
+    const handleToggle = () => {
+        setOpen((prevopen) => !prevopen)
+    }
+
+    const handleClose = (event) => {
+        if (anchorRef.current && anchorRef.current.contains(event.target)) {
+            return
+        }
+        setOpen(false)
+    }
+
+    useEffect(() => {
+        const timeout = setTimeout(validateFlow, VALIDATION_DEBOUNCE_MS)
+        return () => clearTimeout(timeout)
+
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [nodes, edges])
+
+    useEffect(() => {
+        return () => dispatch({ type: SET_FLOW_VALIDATION, flowValidation: null })
+    }, [dispatch])
+
+    if (!flowValidation) return null
+
+    const fabColor = errorCount ? 'error' : warningCount ? 'warning' : 'success'
+
+    return (
+        <>
+            <StyledFab
+                sx={{ position: 'absolute', left: 20, top: 80 }}
+                ref={anchorRef}
+                size='small'
+                color={fabColor}
+                aria-label='validation'
+                title={issues.length ? `${errorCount} error(s), ${warningCount} warning(s)` : 'No issues found'}
+                onClick={handleToggle}
+            >
+                {open ? <IconX /> : <IconChecklist />}
+            </StyledFab>
+            <Popper
+                placement='bottom-start'
+                open={open}
+                anchorEl={anchorRef.current}
+                role={undefined}
+                transition
+                disablePortal
+                popperOptions={{
+                    modifiers: [
+                        {
+                            name: 'offset',
+                            options: {
+                                offset: [-40, 14]
+                            }
+                        }
+                    ]
+                }}
+                sx={{ zIndex: 1000 }}
+            >
+                {({ TransitionProps }) => (
+                    <Transitions in={open} {...TransitionProps}>
+                        <Paper>
+                            <ClickAwayListener onClickAway={handleClose}>
+                                <MainCard border={false} elevation={16} content={false} boxShadow shadow={theme.shadows[16]}>
+                                    <Box sx={{ p: 2, width: 400 }}>
+                                        <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                                            <Typography variant='h4'>Validation</Typography>
+                                            <div style={{ flexGrow: 1 }}></div>
+                                            <Button size='small' startIcon={<IconRefresh size={16} />} onClick={validateFlow}>
+                                                Re-validate
+                                            </Button>
+                                        </div>
+                                        {issues.length === 0 && <Typography sx={{ mt: 2 }}>No issues found</Typography>}
+                                        {issues.length > 0 && (
+                                            <List sx={{ maxHeight: 'calc(100vh - 300px)', overflowY: 'auto' }}>
+                                                {issues.map((issue, index) => (
+                                                    <ListItemButton
+                                                        key={index}
+                                                        disabled={!issue.nodeId}
+                                                        sx={{ borderRadius: 1, '&.Mui-disabled': { opacity: 1 } }}
+                                                        onClick={() => focusNode(issue.nodeId)}
+                                                    >
+                                                        <ListItemIcon sx={{ minWidth: 36 }}>
+                                                            {issue.type === 'error' ? (
+                                                                <IconCircleX color={theme.palette.error.main} />
+                                                            ) : (
+                                                                <IconAlertTriangle color='orange' />
+                                                            )}
+                                                        </ListItemIcon>
+                                                        <ListItemText
+                                                            primary={issue.message}
+                                                            secondary={issue.nodeId ? `${issue.nodeLabel} (${issue.nodeId})` : 'Chatflow'}
+                                                        />
+                                                    </ListItemButton>
+                                                ))}
+                                            </List>
+                                        )}
+                                    </Box>
+                                </MainCard>
+                            </ClickAwayListener>
+                        </Paper>
+                    </Transitions>
+                )}
+            </Popper>
+        </>
+    )
+}
+
+ValidationPopUp.propTypes = { nodes: PropTypes.array, edges: PropTypes.array }
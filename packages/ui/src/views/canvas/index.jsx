@@ -9,6 +9,7 @@ import {
     REMOVE_DIRTY,
     SET_DIRTY,
     SET_CHATFLOW,
+    SET_FLOW_VALIDATION,
     enqueueSnackbar as enqueueSnackbarAction,
     closeSnackbar as closeSnackbarAction
 } from '@/store/actions'
@@ -22,8 +23,10 @@ import { useTheme } from '@mui/material/styles'
 import CanvasNode from './CanvasNode'
 import ButtonEdge from './ButtonEdge'
 import StickyNote from './StickyNote'
+import GroupNode from './GroupNode'
 import CanvasHeader from './CanvasHeader'
 import AddNodes from './AddNodes'
+import { ValidationPopUp } from './ValidationPopUp'
 import ConfirmDialog from '@/ui-component/dialog/ConfirmDialog'
 import { ChatPopUp } from '@/views/chatmessage/ChatPopUp'
 import { VectorStorePopUp } from '@/views/vectorstore/VectorStorePopUp'
@@ -38,7 +41,7 @@ import useApi from '@/hooks/useApi'
 import useConfirm from '@/hooks/useConfirm'
 
 // icons
-import { IconX, IconRefreshAlert } from '@tabler/icons-react'
+import { IconX, IconRefreshAlert, IconBoxMultiple } from '@tabler/icons-react'
 
 // utils
 import {
@@ -47,16 +50,21 @@ import {
     rearrangeToolsOrdering,
     getUpsertDetails,
     updateOutdatedNodeData,
-    updateOutdatedNodeEdge
+    updateOutdatedNodeEdge,
+    getCopiedFlowFragment,
+    isFlowFragment,
+    remapFlowFragment
 } from '@/utils/genericHelper'
 import useNotifier from '@/utils/useNotifier'
 
 // const
-import { FLOWISE_CREDENTIAL_ID } from '@/store/constant'
+import { FLOWISE_CREDENTIAL_ID, GROUP_NODE_TYPE } from '@/store/constant'
 
-const nodeTypes = { customNode: CanvasNode, stickyNote: StickyNote }
+const nodeTypes = { customNode: CanvasNode, stickyNote: StickyNote, groupNode: GroupNode }
 const edgeTypes = { buttonedge: ButtonEdge }
 
+const isEditableElement = (element) => !!element && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName))
+
 // ==============================|| CANVAS ||============================== //
 
 const Canvas = () => {
@@ -76,7 +84,7 @@ const Canvas = () => {
     const [canvasDataStore, setCanvasDataStore] = useState(canvas)
     const [chatflow, setChatflow] = useState(null)
 
-    const { reactFlowInstance, setReactFlowInstance } = useContext(flowContext)
+    const { reactFlowInstance, setReactFlowInstance, takeSnapshot, undo, redo, clearHistory, groupNodes } = useContext(flowContext)
 
     // ==============================|| Snackbar ||============================== //
 
@@ -92,6 +100,7 @@ const Canvas = () => {
     const [selectedNode, setSelectedNode] = useState(null)
     const [isUpsertButtonEnabled, setIsUpsertButtonEnabled] = useState(false)
     const [isSyncNodesButtonEnabled, setIsSyncNodesButtonEnabled] = useState(false)
+    const [groupableNodeIds, setGroupableNodeIds] = useState([])
 
     const reactFlowWrapper = useRef(null)
 
@@ -106,6 +115,7 @@ const Canvas = () => {
     // ==============================|| Events & Actions ||============================== //
 
     const onConnect = (params) => {
+        takeSnapshot()
         const newEdge = {
             ...params,
             type: 'buttonedge',
@@ -159,6 +169,7 @@ const Canvas = () => {
 
             setNodes(nodes)
             setEdges(flowData.edges || [])
+            clearHistory()
             setDirty()
         } catch (e) {
             console.error(e)
@@ -256,6 +267,10 @@ const Canvas = () => {
         )
     })
 
+    const onSelectionChange = useCallback(({ nodes: selectedNodes }) => {
+        setGroupableNodeIds(selectedNodes.filter((node) => node.type !== GROUP_NODE_TYPE && !node.parentNode).map((node) => node.id))
+    }, [])
+
     const onDragOver = useCallback((event) => {
         event.preventDefault()
         event.dataTransfer.dropEffect = 'move'
@@ -273,6 +288,7 @@ const Canvas = () => {
             }
 
             nodeData = JSON.parse(nodeData)
+            takeSnapshot()
 
             const position = reactFlowInstance.project({
                 x: event.clientX - reactFlowBounds.left - 100,
@@ -313,7 +329,47 @@ const Canvas = () => {
         [reactFlowInstance]
     )
 
+    const onNodesChangeWithHistory = (changes) => {
+        if (changes.some((change) => change.type === 'remove')) takeSnapshot()
+        onNodesChange(changes)
+    }
+
+    const onEdgesChangeWithHistory = (changes) => {
+        if (changes.some((change) => change.type === 'remove')) takeSnapshot()
+        onEdgesChange(changes)
+    }
+
+    const onNodeDragStart = () => {
+        takeSnapshot()
+    }
+
+    const handleCopyNodes = (e) => {
+        const fragment = getCopiedFlowFragment(reactFlowInstance.getNodes(), reactFlowInstance.getEdges())
+        if (!fragment.nodes.length) return
+        e.clipboardData.setData('text/plain', JSON.stringify(fragment))
+        e.preventDefault()
+    }
+
+    const handlePasteNodes = (pasteData) => {
+        const fragment = JSON.parse(pasteData)
+        if (!fragment.nodes.length) return
+        takeSnapshot()
+
+        // Place the pasted nodes around the middle of the visible canvas
+        const reactFlowBounds = reactFlowWrapper.current.getBoundingClientRect()
+        const position = reactFlowInstance.project({
+            x: reactFlowBounds.width / 2 - 100,
+            y: reactFlowBounds.height / 2 - 50
+        })
+        const { nodes: pastedNodes, edges: pastedEdges } = remapFlowFragment(fragment, reactFlowInstance.getNodes(), position)
+
+        setNodes((nds) => nds.map((node) => ({ ...node, selected: false })).concat(pastedNodes))
+        setEdges((eds) => eds.map((edge) => ({ ...edge, selected: false })).concat(pastedEdges))
+        setDirty()
+    }
+
     const syncNodes = () => {
+        takeSnapshot()
         const componentNodes = canvas.componentNodes
 
         const cloneNodes = cloneDeep(nodes)
@@ -338,6 +394,7 @@ const Canvas = () => {
 
     const saveChatflowSuccess = () => {
         dispatch({ type: REMOVE_DIRTY })
+        clearHistory()
         enqueueSnackbar({
             message: 'Chatflow saved',
             options: {
@@ -402,6 +459,7 @@ const Canvas = () => {
             const initialFlow = chatflow.flowData ? JSON.parse(chatflow.flowData) : []
             setNodes(initialFlow.nodes || [])
             setEdges(initialFlow.edges || [])
+            clearHistory()
             dispatch({ type: SET_CHATFLOW, chatflow })
         } else if (getSpecificChatflowApi.error) {
             errorFailed(`Failed to retrieve chatflow: ${getSpecificChatflowApi.error.response.data.message}`)
@@ -410,6 +468,12 @@ const Canvas = () => {
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [getSpecificChatflowApi.data, getSpecificChatflowApi.error])
 
+    // Saving is rejected with the validation issues when the server blocks invalid chatflows
+    const showSaveValidationIssues = (error) => {
+        const issues = error.response?.data?.issues
+        if (issues) dispatch({ type: SET_FLOW_VALIDATION, flowValidation: { isValid: false, issues } })
+    }
+
     // Create new chatflow successful
     useEffect(() => {
         if (createNewChatflowApi.data) {
@@ -418,6 +482,7 @@ const Canvas = () => {
             saveChatflowSuccess()
             window.history.replaceState(null, null, `/canvas/${chatflow.id}`)
         } else if (createNewChatflowApi.error) {
+            showSaveValidationIssues(createNewChatflowApi.error)
             errorFailed(`Failed to save chatflow: ${createNewChatflowApi.error.response.data.message}`)
         }
 
@@ -430,6 +495,7 @@ const Canvas = () => {
             dispatch({ type: SET_CHATFLOW, chatflow: updateChatflowApi.data })
             saveChatflowSuccess()
         } else if (updateChatflowApi.error) {
+            showSaveValidationIssues(updateChatflowApi.error)
             errorFailed(`Failed to save chatflow: ${updateChatflowApi.error.response.data.message}`)
         }
 
@@ -482,6 +548,7 @@ const Canvas = () => {
                 setNodes([])
                 setEdges([])
             }
+            clearHistory()
             dispatch({
                 type: SET_CHATFLOW,
                 chatflow: {
@@ -508,7 +575,7 @@ const Canvas = () => {
         function handlePaste(e) {
             const pasteData = e.clipboardData.getData('text')
             //TODO: prevent paste event when input focused, temporary fix: catch chatflow syntax
-            if (pasteData.includes('{"nodes":[') && pasteData.includes('],"edges":[')) {
+            if (!isFlowFragment(pasteData) && pasteData.includes('{"nodes":[') && pasteData.includes('],"edges":[')) {
                 handleLoadFlow(pasteData)
             }
         }
@@ -522,6 +589,57 @@ const Canvas = () => {
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [])
 
+    useEffect(() => {
+        function handleCopy(e) {
+            if (!reactFlowInstance || canvas.canvasDialogShow || isEditableElement(document.activeElement)) return
+            // Let the browser copy any highlighted text as usual
+            if (window.getSelection()?.toString()) return
+            handleCopyNodes(e)
+        }
+
+        function handlePasteFragment(e) {
+            if (!reactFlowInstance || canvas.canvasDialogShow || isEditableElement(document.activeElement)) return
+            const pasteData = e.clipboardData.getData('text')
+            if (isFlowFragment(pasteData)) {
+                e.preventDefault()
+                handlePasteNodes(pasteData)
+            }
+        }
+
+        window.addEventListener('copy', handleCopy)
+        window.addEventListener('paste', handlePasteFragment)
+
+        return () => {
+            window.removeEventListener('copy', handleCopy)
+            window.removeEventListener('paste', handlePasteFragment)
+        }
+
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [reactFlowInstance, canvas.canvasDialogShow])
+
+    useEffect(() => {
+        function handleUndoRedo(e) {
+            if (!(e.ctrlKey || e.metaKey) || canvas.canvasDialogShow) return
+            // Leave text fields to their native undo
+            if (isEditableElement(e.target)) return
+
+            const key = e.key.toLowerCase()
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault()
+                undo()
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault()
+                redo()
+            }
+        }
+
+        window.addEventListener('keydown', handleUndoRedo)
+
+        return () => {
+            window.removeEventListener('keydown', handleUndoRedo)
+        }
+    }, [canvas.canvasDialogShow, undo, redo])
+
     useEffect(() => {
         if (templateFlowData && templateFlowData.includes('"nodes":[') && templateFlowData.includes('],"edges":[')) {
             handleLoadFlow(templateFlowData)
@@ -559,15 +677,17 @@ const Canvas = () => {
                             <ReactFlow
                                 nodes={nodes}
                                 edges={edges}
-                                onNodesChange={onNodesChange}
+                                onNodesChange={onNodesChangeWithHistory}
                                 onNodeClick={onNodeClick}
-                                onEdgesChange={onEdgesChange}
+                                onEdgesChange={onEdgesChangeWithHistory}
                                 onDrop={onDrop}
                                 onDragOver={onDragOver}
+                                onNodeDragStart={onNodeDragStart}
                                 onNodeDragStop={setDirty}
                                 nodeTypes={nodeTypes}
                                 edgeTypes={edgeTypes}
                                 onConnect={onConnect}
+                                onSelectionChange={onSelectionChange}
                                 onInit={setReactFlowInstance}
                                 fitView
                                 deleteKeyCode={canvas.canvasDialogShow ? null : ['Delete']}
@@ -583,6 +703,7 @@ const Canvas = () => {
                                 />
                                 <Background color='#aaa' gap={16} />
                                 <AddNodes nodesData={getNodesApi.data} node={selectedNode} />
+                                <ValidationPopUp nodes={nodes} edges={edges} />
                                 {isSyncNodesButtonEnabled && (
                                     <Fab
                                         sx={{
@@ -603,6 +724,20 @@ const Canvas = () => {
                                         <IconRefreshAlert />
                                     </Fab>
                                 )}
+                                {groupableNodeIds.length > 1 && (
+                                    <Fab
+                                        variant='extended'
+                                        size='small'
+                                        color='primary'
+                                        sx={{ left: '50%', top: 20, transform: 'translateX(-50%)', position: 'absolute' }}
+                                        aria-label='group'
+                                        title='Group selected nodes'
+                                        onClick={() => groupNodes(groupableNodeIds)}
+                                    >
+                                        <IconBoxMultiple style={{ marginRight: 8 }} />
+                                        Group
+                                    </Fab>
+                                )}
                                 {isUpsertButtonEnabled && <VectorStorePopUp chatflowid={chatflowId} />}
                                 <ChatPopUp chatflowid={chatflowId} />
                             </ReactFlow>
@@ -31,9 +31,7 @@ const ChatbotFull = () => {
     const getSpecificChatflowFromPublicApi = useApi(chatflowsApi.getSpecificChatflowFromPublicEndpoint)
     const getSpecificChatflowApi = useApi(chatflowsApi.getSpecificChatflow)
 
-    const onLoginClick = (username, password) => {
-        localStorage.setItem('username', username)
-        localStorage.setItem('password', password)
+    const onLoginClick = () => {
         navigate(0)
     }
 
@@ -46,7 +44,7 @@ const ChatbotFull = () => {
     useEffect(() => {
         if (getSpecificChatflowFromPublicApi.error) {
             if (getSpecificChatflowFromPublicApi.error?.response?.status === 401) {
-                if (localStorage.getItem('username') && localStorage.getItem('password')) {
+                if (localStorage.getItem('token')) {
                     getSpecificChatflowApi.request(chatflowId)
                 } else {
                     setLoginDialogProps({
@@ -62,9 +62,7 @@ const Chatflows = () => {
         )
     }
 
-    const onLoginClick = (username, password) => {
-        localStorage.setItem('username', username)
-        localStorage.setItem('password', password)
+    const onLoginClick = () => {
         navigate(0)
     }
 
@@ -23,7 +23,17 @@ import {
     Typography
 } from '@mui/material'
 import { useTheme } from '@mui/material/styles'
-import { IconCircleDot, IconDownload, IconSend, IconMicrophone, IconPhotoPlus, IconTrash, IconX, IconTool } from '@tabler/icons-react'
+import {
+    IconBinaryTree,
+    IconCircleDot,
+    IconDownload,
+    IconSend,
+    IconMicrophone,
+    IconPhotoPlus,
+    IconTrash,
+    IconX,
+    IconTool
+} from '@tabler/icons-react'
 import robotPNG from '@/assets/images/robot.png'
 import userPNG from '@/assets/images/account.png'
 import audioUploadSVG from '@/assets/images/wave-sound.jpg'
@@ -34,6 +44,7 @@ import { MemoizedReactMarkdown } from '@/ui-component/markdown/MemoizedReactMark
 import SourceDocDialog from '@/ui-component/dialog/SourceDocDialog'
 import ChatFeedbackContentDialog from '@/ui-component/dialog/ChatFeedbackContentDialog'
 import StarterPromptsCard from '@/ui-component/cards/StarterPromptsCard'
+import ExecutionTraceDrawer from './ExecutionTraceDrawer'
 import { cancelAudioRecording, startAudioRecording, stopAudioRecording } from './audio-recording'
 import { ImageButton, ImageSrc, ImageBackdrop, ImageMarked } from '@/ui-component/button/ImageButton'
 import CopyToClipboardButton from '@/ui-component/button/CopyToClipboardButton'
@@ -83,6 +94,9 @@ export const ChatMessage = ({ open, chatflowid, isDialog, previews, setPreviews
     const [isChatFlowAvailableForSpeech, setIsChatFlowAvailableForSpeech] = useState(false)
     const [sourceDialogOpen, setSourceDialogOpen] = useState(false)
     const [sourceDialogProps, setSourceDialogProps] = useState({})
+    const [liveExecutionTrace, setLiveExecutionTrace] = useState([])
+    // Index of the message whose trace is shown, 'live' for the trace of the running prediction
+    const [traceDrawerSource, setTraceDrawerSource] = useState(null)
     const [chatId, setChatId] = useState(undefined)
 
     const inputRef = useRef(null)
@@ -375,6 +389,16 @@ export const ChatMessage = ({ open, chatflowid, isDialog, previews, setPreviews
         })
     }
 
+    const updateLiveExecutionTrace = (traceEntry) => {
+        setLiveExecutionTrace((prevEntries) => {
+            const entryIndex = prevEntries.findIndex((entry) => entry.id === traceEntry.id)
+            if (entryIndex < 0) return [...prevEntries, traceEntry]
+            const allEntries = [...prevEntries]
+            allEntries[entryIndex] = traceEntry
+            return allEntries
+        })
+    }
+
     // Handle errors
     const handleError = (message = 'Oops! There seems to be an error. Please try again.') => {
         message = message.replace(`Unable to parse JSON response from chat agent.\n\n`, '')
@@ -407,6 +431,7 @@ export const ChatMessage = ({ open, chatflowid, isDialog, previews, setPreviews
         if (promptStarterInput !== undefined && promptStarterInput.trim() !== '') input = promptStarterInput
 
         setLoading(true)
+        setLiveExecutionTrace([])
         const urls = previews.map((item) => {
             return {
                 data: item.data,
@@ -426,7 +451,8 @@ export const ChatMessage = ({ open, chatflowid, isDialog, previews, setPreviews
             }
             if (urls && urls.length > 0) params.uploads = urls
             if (leadEmail) params.leadEmail = leadEmail
-            if (isChatFlowAvailableToStream) params.socketIOClientId = socketIOClientId
+            // Socket is also used to receive the execution trace of non-streaming chatflows
+            if (socketIOClientId) params.socketIOClientId = socketIOClientId
 
             const response = await predictionApi.sendMessageAndGetPrediction(chatflowid, params)
 
@@ -437,6 +463,7 @@ export const ChatMessage = ({ open, chatflowid, isDialog, previews, setPreviews
                     let allMessages = [...cloneDeep(prevMessages)]
                     if (allMessages[allMessages.length - 1].type === 'apiMessage') {
                         allMessages[allMessages.length - 1].id = data?.chatMessageId
+                        allMessages[allMessages.length - 1].executionTrace = data?.executionTrace
                     }
                     return allMessages
                 })
@@ -468,6 +495,7 @@ export const ChatMessage = ({ open, chatflowid, isDialog, previews, setPreviews
                             sourceDocuments: data?.sourceDocuments,
                             usedTools: data?.usedTools,
                             fileAnnotations: data?.fileAnnotations,
+                            executionTrace: data?.executionTrace,
                             type: 'apiMessage',
                             feedback: null
                         }
@@ -535,6 +563,7 @@ export const ChatMessage = ({ open, chatflowid, isDialog, previews, setPreviews
                 if (message.sourceDocuments) obj.sourceDocuments = JSON.parse(message.sourceDocuments)
                 if (message.usedTools) obj.usedTools = JSON.parse(message.usedTools)
                 if (message.fileAnnotations) obj.fileAnnotations = JSON.parse(message.fileAnnotations)
+                if (message.executionTrace) obj.executionTrace = JSON.parse(message.executionTrace)
                 if (message.fileUploads) {
                     obj.fileUploads = JSON.parse(message.fileUploads)
                     obj.fileUploads.forEach((file) => {
@@ -656,11 +685,17 @@ export const ChatMessage = ({ open, chatflowid, isDialog, previews, setPreviews
             socket.on('fileAnnotations', updateLastMessageFileAnnotations)
 
             socket.on('token', updateLastMessage)
+
+            socket.on('nodeStart', updateLiveExecutionTrace)
+
+            socket.on('nodeEnd', updateLiveExecutionTrace)
         }
 
         return () => {
             setUserInput('')
             setLoading(false)
+            setLiveExecutionTrace([])
+            setTraceDrawerSource(null)
             setMessages([
                 {
                     message: 'Hi there! How can I help?',
@@ -1127,6 +1162,37 @@ export const ChatMessage = ({ open, chatflowid, isDialog, previews, setPreviews
                                                 })}
                                             </div>
                                         )}
+                                        {message.type === 'apiMessage' && message.executionTrace?.length > 0 && (
+                                            <div style={{ display: 'block', flexDirection: 'row', width: '100%' }}>
+                                                <Chip
+                                                    size='small'
+                                                    label='Trace'
+                                                    component='a'
+                                                    sx={{ mr: 1, mb: 1 }}
+                                                    variant='outlined'
+                                                    clickable
+                                                    icon={<IconBinaryTree size={15} />}
+                                                    onClick={() => setTraceDrawerSource(index)}
+                                                />
+                                            </div>
+                                        )}
+                                        {message.type === 'userMessage' &&
+                                            loading &&
+                                            index === messages.length - 1 &&
+                                            liveExecutionTrace.length > 0 && (
+                                                <div style={{ display: 'block', flexDirection: 'row', width: '100%' }}>
+                                                    <Chip
+                                                        size='small'
+                                                        label={`Trace (${liveExecutionTrace.length} nodes)`}
+                                                        component='a'
+                                                        sx={{ mr: 1, mt: 1 }}
+                                                        variant='outlined'
+                                                        clickable
+                                                        icon={<IconBinaryTree size={15} />}
+                                                        onClick={() => setTraceDrawerSource('live')}
+                                                    />
+                                                </div>
+                                            )}
                                     </div>
                                 </Box>
                             )
@@ -1344,6 +1410,12 @@ export const ChatMessage = ({ open, chatflowid, isDialog, previews, setPreviews
                 )}
             </div>
             <SourceDocDialog show={sourceDialogOpen} dialogProps={sourceDialogProps} onCancel={() => setSourceDialogOpen(false)} />
+            <ExecutionTraceDrawer
+                show={traceDrawerSource !== null}
+                chatflowid={chatflowid}
+                executionTrace={traceDrawerSource === 'live' ? liveExecutionTrace : messages[traceDrawerSource]?.executionTrace}
+                onClose={() => setTraceDrawerSource(null)}
+            />
             <ChatFeedbackContentDialog
                 show={showFeedbackContentDialog}
                 onCancel={() => setShowFeedbackContentDialog(false)}
@@ -0,0 +1,94 @@
+import { useSelector } from 'react-redux'
+import PropTypes from 'prop-types'
+import moment from 'moment'
+
+// material-ui
+import { Box, Chip, ListItemButton, Stack, Typography } from '@mui/material'
+import { useTheme } from '@mui/material/styles'
+
+const snippetSourceLabels = {
+    message: 'Message',
+    sourceDocument: 'Source',
+    tool: 'Tool'
+}
+
+const Snippet = ({ snippet }) => {
+    const theme = useTheme()
+    const label = snippet.label ? `${snippetSourceLabels[snippet.source]}: ${snippet.label}` : snippetSourceLabels[snippet.source]
+    return (
+        <Box sx={{ mt: 0.5 }}>
+            {snippet.source !== 'message' && (
+                <Chip size='small' variant='outlined' label={label} sx={{ mr: 1, maxWidth: 200, height: 20, fontSize: '0.7rem' }} />
+            )}
+            <Typography component='span' variant='body2' sx={{ wordBreak: 'break-word' }}>
+                {snippet.before}
+                <mark style={{ backgroundColor: `${theme.palette.warning.main}66`, color: 'inherit', padding: 0 }}>{snippet.match}</mark>
+                {snippet.after}
+            </Typography>
+        </Box>
+    )
+}
+
+Snippet.propTypes = {
+    snippet: PropTypes.object
+}
+
+const ChatMessageSearchResults = ({ results, selectedMessageId, onMatchClick }) => {
+    const customization = useSelector((state) => state.customization)
+
+    if (!results.sessions.length) {
+        return <Typography sx={{ p: 2 }}>No messages found</Typography>
+    }
+
+    return (
+        <>
+            {results.sessions.map((session) => (
+                <Box
+                    key={`${session.chatId}_${session.memoryType}_${session.sessionId}`}
+                    sx={{
+                        borderRadius: `${customization.borderRadius}px`,
+                        boxShadow: '0 2px 14px 0 rgb(32 40 45 / 8%)',
+                        m: 1,
+                        p: 1
+                    }}
+                >
+                    <Stack direction='row' alignItems='center' sx={{ px: 1, gap: 1 }}>
+                        <Typography variant='caption' sx={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            {session.sessionId ? `Session ${session.sessionId}` : `Chat ${session.chatId}`}
+                        </Typography>
+                        <Chip size='small' label={session.chatType === 'INTERNAL' ? 'UI' : 'API/Embed'} />
+                    </Stack>
+                    {session.matches.map((match) => (
+                        <ListItemButton
+                            key={match.messageId}
+                            sx={{ display: 'block', borderRadius: `${customization.borderRadius}px`, mt: 0.5 }}
+                            selected={selectedMessageId === match.messageId}
+                            onClick={() => onMatchClick(session, match)}
+                        >
+                            <Typography variant='caption' sx={{ color: 'text.secondary' }}>
+                                {match.role === 'apiMessage' ? 'Bot' : 'User'} ·{' '}
+                                {moment(match.createdDate).format('MMMM Do YYYY, h:mm:ss a')}
+                            </Typography>
+                            {match.snippets.map((snippet, index) => (
+                                <Snippet key={index} snippet={snippet} />
+                            ))}
+                        </ListItemButton>
+                    ))}
+                </Box>
+            ))}
+            {results.truncated && (
+                <Typography variant='caption' sx={{ p: 2, textAlign: 'center' }}>
+                    Only the most recent matches are shown, refine the search or the date range to find older messages
+                </Typography>
+            )}
+        </>
+    )
+}
+
+ChatMessageSearchResults.propTypes = {
+    results: PropTypes.object,
+    selectedMessageId: PropTypes.string,
+    onMatchClick: PropTypes.func
+}
+
+export default ChatMessageSearchResults
@@ -0,0 +1,186 @@
+import { useContext, useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+
+// material-ui
+import { Box, Chip, Collapse, Drawer, IconButton, Stack, Typography } from '@mui/material'
+import { useTheme } from '@mui/material/styles'
+import { IconChevronDown, IconChevronRight, IconCircleCheck, IconCircleX, IconLoader, IconX } from '@tabler/icons-react'
+
+// project imports
+import { flowContext } from '@/store/context/ReactFlowContext'
+import { baseURL } from '@/store/constant'
+
+// Entries reference their parent through parentId, entries whose parent is not in the list are roots
+const buildTraceTree = (entries) => {
+    const entryIds = new Set(entries.map((entry) => entry.id))
+    const childrenByParent = {}
+    for (const entry of entries) {
+        const parentId = entry.parentId && entryIds.has(entry.parentId) ? entry.parentId : 'root'
+        if (!childrenByParent[parentId]) childrenByParent[parentId] = []
+        childrenByParent[parentId].push(entry)
+    }
+    const toNode = (entry) => ({ entry, children: (childrenByParent[entry.id] ?? []).map(toNode) })
+    return (childrenByParent.root ?? []).map(toNode)
+}
+
+const formatLatency = (latency) => (latency >= 1000 ? `${(latency / 1000).toFixed(2)}s` : `${latency}ms`)
+
+const TraceValue = ({ label, value }) => (
+    <Box sx={{ mt: 1 }}>
+        <Typography variant='caption' sx={{ fontWeight: 600 }}>
+            {label}
+        </Typography>
+        <Box
+            component='pre'
+            sx={{
+                m: 0,
+                p: 1,
+                borderRadius: 1,
+                fontSize: '0.75rem',
+                whiteSpace: 'pre-wrap',
+                wordBreak: 'break-word',
+                maxHeight: 240,
+                overflowY: 'auto'
+            }}
+        >
+            {value}
+        </Box>
+    </Box>
+)
+
+TraceValue.propTypes = {
+    label: PropTypes.string,
+    value: PropTypes.string
+}
+
+const TraceStatusIcon = ({ status }) => {
+    const theme = useTheme()
+    if (status === 'ERROR') return <IconCircleX size={18} color={theme.palette.error.main} />
+    if (status === 'RUNNING') return <IconLoader size={18} color={theme.palette.warning.main} />
+    return <IconCircleCheck size={18} color={theme.palette.success.main} />
+}
+
+TraceStatusIcon.propTypes = {
+    status: PropTypes.string
+}
+
+const TraceTreeItem = ({ node, depth, onEntryClick }) => {
+    const theme = useTheme()
+    const [expanded, setExpanded] = useState(false)
+    const { entry, children } = node
+    const inputs = Object.entries(entry.inputs ?? {})
+
+    return (
+        <Box sx={{ ml: depth ? 2 : 0, borderLeft: depth ? `1px solid ${theme.palette.grey[300]}` : 'none' }}>
+            <Stack
+                direction='row'
+                alignItems='center'
+                spacing={1}
+                sx={{ px: 1, py: 0.5, borderRadius: 1, cursor: 'pointer', '&:hover': { backgroundColor: theme.palette.action.hover } }}
+                onClick={() => onEntryClick(entry)}
+            >
+                <IconButton
+                    size='small'
+                    title={expanded ? 'Hide details' : 'Show details'}
+                    onClick={(e) => {
+                        e.stopPropagation()
+                        setExpanded(!expanded)
+                    }}
+                >
+                    {expanded ? <IconChevronDown size={16} /> : <IconChevronRight size={16} />}
+                </IconButton>
+                <img
+                    style={{ width: 24, height: 24, borderRadius: '50%', backgroundColor: 'white', padding: 2, objectFit: 'contain' }}
+                    src={`${baseURL}/api/v1/node-icon/${entry.nodeName}`}
+                    alt={entry.nodeName}
+                />
+                <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                    <Typography noWrap sx={{ fontWeight: 500 }}>
+                        {entry.nodeLabel}
+                    </Typography>
+                    <Typography noWrap variant='caption'>
+                        {entry.nodeId} · {entry.method}
+                    </Typography>
+                </Box>
+                {entry.tokenUsage && <Chip size='small' variant='outlined' label={`${entry.tokenUsage.totalTokens} tokens`} />}
+                {entry.latency !== undefined && <Chip size='small' variant='outlined' label={formatLatency(entry.latency)} />}
+                <TraceStatusIcon status={entry.status} />
+            </Stack>
+            <Collapse in={expanded} unmountOnExit>
+                <Box sx={{ px: 2, pb: 1 }}>
+                    {entry.tokenUsage && (
+                        <Typography variant='caption' component='div' sx={{ mt: 1 }}>
+                            Prompt tokens: {entry.tokenUsage.promptTokens} · Completion tokens: {entry.tokenUsage.completionTokens}
+                        </Typography>
+                    )}
+                    {inputs.map(([name, value]) => (
+                        <TraceValue key={name} label={`Input: ${name}`} value={value} />
+                    ))}
+                    {entry.output && <TraceValue label='Output' value={entry.output} />}
+                    {entry.error && <TraceValue label='Error' value={entry.error} />}
+                </Box>
+            </Collapse>
+            {children.map((child) => (
+                <TraceTreeItem key={child.entry.id} node={child} depth={depth + 1} onEntryClick={onEntryClick} />
+            ))}
+        </Box>
+    )
+}
+
+TraceTreeItem.propTypes = {
+    node: PropTypes.object,
+    depth: PropTypes.number,
+    onEntryClick: PropTypes.func
+}
+
+// ==============================|| EXECUTION TRACE DRAWER ||============================== //
+
+const ExecutionTraceDrawer = ({ show, chatflowid, executionTrace, onClose }) => {
+    const theme = useTheme()
+    const { reactFlowInstance, focusNode } = useContext(flowContext)
+
+    const traceTree = useMemo(() => buildTraceTree(executionTrace ?? []), [executionTrace])
+    const totalLatency = traceTree.reduce((sum, node) => sum + (node.entry.latency ?? 0), 0)
+
+    const onEntryClick = (entry) => {
+        if (entry.chatflowid === chatflowid) {
+            if (reactFlowInstance) focusNode(entry.nodeId)
+        } else {
+            // Node belongs to a chatflow executed by a Chatflow node
+            window.open(`/canvas/${entry.chatflowid}`, '_blank')
+        }
+    }
+
+    return (
+        <Drawer
+            anchor='right'
+            open={show}
+            onClose={onClose}
+            sx={{ zIndex: theme.zIndex.modal + 1 }}
+            PaperProps={{ sx: { width: 480, maxWidth: '100vw', p: 2 } }}
+        >
+            <Stack direction='row' alignItems='center' sx={{ mb: 2 }}>
+                <Typography variant='h4' sx={{ flexGrow: 1 }}>
+                    Execution Trace
+                </Typography>
+                {totalLatency > 0 && <Chip size='small' sx={{ mr: 1 }} label={formatLatency(totalLatency)} />}
+                <IconButton size='small' title='Close' onClick={onClose}>
+                    <IconX size={18} />
+                </IconButton>
+            </Stack>
+            {traceTree.length === 0 && <Typography>No nodes were traced for this message</Typography>}
+            {traceTree.map((node) => (
+                <TraceTreeItem key={node.entry.id} node={node} depth={0} onEntryClick={onEntryClick} />
+            ))}
+        </Drawer>
+    )
+}
+
+ExecutionTraceDrawer.propTypes = {
+    show: PropTypes.bool,
+    chatflowid: PropTypes.string,
+    executionTrace: PropTypes.array,
+    onClose: PropTypes.func
+}
+
+export default ExecutionTraceDrawer
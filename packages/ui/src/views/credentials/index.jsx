@@ -19,6 +19,7 @@ import {
     TableRow,
     Paper,
     IconButton,
+    Typography,
     useTheme
 } from '@mui/material'
 
@@ -38,6 +39,7 @@ import useConfirm from '@/hooks/useConfirm'
 
 // utils
 import useNotifier from '@/utils/useNotifier'
+import { getAuthorsCaption } from '@/utils/genericHelper'
 
 // Icons
 import { IconTrash, IconEdit, IconX, IconPlus } from '@tabler/icons-react'
@@ -353,6 +355,11 @@ const Credentials = () => {
                                                         </StyledTableCell>
                                                         <StyledTableCell>
                                                             {moment(credential.updatedDate).format('MMMM Do, YYYY')}
+                                                            {getAuthorsCaption(credential) && (
+                                                                <Typography variant='caption' sx={{ display: 'block' }}>
+                                                                    {getAuthorsCaption(credential)}
+                                                                </Typography>
+                                                            )}
                                                         </StyledTableCell>
                                                         <StyledTableCell>
                                                             {moment(credential.createdDate).format('MMMM Do, YYYY')}
@@ -0,0 +1,173 @@
+import { createPortal } from 'react-dom'
+import PropTypes from 'prop-types'
+import { useState, useEffect } from 'react'
+import { useDispatch } from 'react-redux'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+
+// Material
+import { Button, Dialog, DialogActions, DialogContent, DialogTitle, Box, Typography, OutlinedInput } from '@mui/material'
+
+// Project imports
+import { StyledButton } from '@/ui-component/button/StyledButton'
+
+// Icons
+import { IconX, IconChecklist } from '@tabler/icons-react'
+
+// API
+import datasetsApi from '@/api/datasets'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+// const
+import { HIDE_CANVAS_DIALOG, SHOW_CANVAS_DIALOG } from '@/store/actions'
+
+const AddEditDatasetDialog = ({ show, dialogProps, onCancel, onConfirm }) => {
+    const portalElement = document.getElementById('portal')
+
+    const dispatch = useDispatch()
+
+    // ==============================|| Snackbar ||============================== //
+
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const [datasetName, setDatasetName] = useState('')
+    const [datasetDescription, setDatasetDescription] = useState('')
+
+    useEffect(() => {
+        if (dialogProps.type === 'EDIT' && dialogProps.data) {
+            setDatasetName(dialogProps.data.name)
+            setDatasetDescription(dialogProps.data.description ?? '')
+        } else if (dialogProps.type === 'ADD') {
+            setDatasetName('')
+            setDatasetDescription('')
+        }
+
+        return () => {
+            setDatasetName('')
+            setDatasetDescription('')
+        }
+    }, [dialogProps])
+
+    useEffect(() => {
+        if (show) dispatch({ type: SHOW_CANVAS_DIALOG })
+        else dispatch({ type: HIDE_CANVAS_DIALOG })
+        return () => dispatch({ type: HIDE_CANVAS_DIALOG })
+    }, [show, dispatch])
+
+    const saveDataset = async () => {
+        const isAdd = dialogProps.type === 'ADD'
+        try {
+            const obj = {
+                name: datasetName,
+                description: datasetDescription
+            }
+            const saveResp = isAdd ? await datasetsApi.createDataset(obj) : await datasetsApi.updateDataset(dialogProps.data.id, obj)
+            if (saveResp.data) {
+                enqueueSnackbar({
+                    message: isAdd ? 'New Dataset added' : 'Dataset saved',
+                    options: {
+                        key: new Date().getTime() + Math.random(),
+                        variant: 'success',
+                        action: (key) => (
+                            <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                                <IconX />
+                            </Button>
+                        )
+                    }
+                })
+                onConfirm(saveResp.data.id)
+            }
+        } catch (error) {
+            enqueueSnackbar({
+                message: `Failed to ${isAdd ? 'add new' : 'save'} Dataset: ${
+                    typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                }`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+            onCancel()
+        }
+    }
+
+    const component = show ? (
+        <Dialog
+            fullWidth
+            maxWidth='sm'
+            open={show}
+            onClose={onCancel}
+            aria-labelledby='alert-dialog-title'
+            aria-describedby='alert-dialog-description'
+        >
+            <DialogTitle sx={{ fontSize: '1rem' }} id='alert-dialog-title'>
+                <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                    <IconChecklist style={{ marginRight: '10px' }} />
+                    {dialogProps.type === 'ADD' ? 'Add Dataset' : 'Edit Dataset'}
+                </div>
+            </DialogTitle>
+            <DialogContent>
+                <Box sx={{ p: 2 }}>
+                    <div style={{ display: 'flex', flexDirection: 'row' }}>
+                        <Typography>
+                            Name<span style={{ color: 'red' }}>&nbsp;*</span>
+                        </Typography>
+                        <div style={{ flexGrow: 1 }}></div>
+                    </div>
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        type='string'
+                        fullWidth
+                        key='datasetName'
+                        onChange={(e) => setDatasetName(e.target.value)}
+                        value={datasetName ?? ''}
+                        id='txtInput_datasetName'
+                    />
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Typography>Description</Typography>
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        type='string'
+                        fullWidth
+                        multiline
+                        rows={3}
+                        key='datasetDescription'
+                        onChange={(e) => setDatasetDescription(e.target.value)}
+                        value={datasetDescription ?? ''}
+                        id='txtInput_datasetDescription'
+                    />
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onCancel}>{dialogProps.cancelButtonName}</Button>
+                <StyledButton disabled={!datasetName} variant='contained' onClick={saveDataset} id='btn_confirmAddingDataset'>
+                    {dialogProps.confirmButtonName}
+                </StyledButton>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+AddEditDatasetDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func,
+    onConfirm: PropTypes.func
+}
+
+export default AddEditDatasetDialog
@@ -0,0 +1,156 @@
+import { createPortal } from 'react-dom'
+import PropTypes from 'prop-types'
+import { useState, useEffect } from 'react'
+import { useDispatch } from 'react-redux'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+
+// Material
+import { Button, Dialog, DialogActions, DialogContent, DialogTitle, Box, Typography, OutlinedInput } from '@mui/material'
+
+// Project imports
+import { StyledButton } from '@/ui-component/button/StyledButton'
+
+// Icons
+import { IconX } from '@tabler/icons-react'
+
+// API
+import datasetsApi from '@/api/datasets'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+const AddEditDatasetRowDialog = ({ show, dialogProps, onCancel, onConfirm }) => {
+    const portalElement = document.getElementById('portal')
+
+    const dispatch = useDispatch()
+
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const [input, setInput] = useState('')
+    const [expectedOutput, setExpectedOutput] = useState('')
+
+    useEffect(() => {
+        if (dialogProps.type === 'EDIT' && dialogProps.data) {
+            setInput(dialogProps.data.input)
+            setExpectedOutput(dialogProps.data.expectedOutput ?? '')
+        } else if (dialogProps.type === 'ADD') {
+            setInput('')
+            setExpectedOutput('')
+        }
+
+        return () => {
+            setInput('')
+            setExpectedOutput('')
+        }
+    }, [dialogProps])
+
+    const saveRow = async () => {
+        const isAdd = dialogProps.type === 'ADD'
+        try {
+            const obj = { input, expectedOutput }
+            const saveResp = isAdd
+                ? await datasetsApi.addDatasetRow(dialogProps.datasetId, obj)
+                : await datasetsApi.updateDatasetRow(dialogProps.datasetId, dialogProps.data.id, obj)
+            if (saveResp.data) {
+                enqueueSnackbar({
+                    message: isAdd ? 'Row added' : 'Row saved',
+                    options: {
+                        key: new Date().getTime() + Math.random(),
+                        variant: 'success',
+                        action: (key) => (
+                            <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                                <IconX />
+                            </Button>
+                        )
+                    }
+                })
+                onConfirm()
+            }
+        } catch (error) {
+            enqueueSnackbar({
+                message: `Failed to ${isAdd ? 'add' : 'save'} row: ${
+                    typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                }`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+    }
+
+    const component = show ? (
+        <Dialog
+            fullWidth
+            maxWidth='md'
+            open={show}
+            onClose={onCancel}
+            aria-labelledby='alert-dialog-title'
+            aria-describedby='alert-dialog-description'
+        >
+            <DialogTitle sx={{ fontSize: '1rem' }} id='alert-dialog-title'>
+                {dialogProps.type === 'ADD' ? 'Add Row' : 'Edit Row'}
+            </DialogTitle>
+            <DialogContent>
+                <Box sx={{ p: 2 }}>
+                    <Typography>
+                        Input<span style={{ color: 'red' }}>&nbsp;*</span>
+                    </Typography>
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        type='string'
+                        fullWidth
+                        multiline
+                        minRows={3}
+                        placeholder='Question sent to the chatflow'
+                        onChange={(e) => setInput(e.target.value)}
+                        value={input ?? ''}
+                        id='txtInput_datasetRowInput'
+                    />
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Typography>Expected Output</Typography>
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        type='string'
+                        fullWidth
+                        multiline
+                        minRows={3}
+                        placeholder='Answer the scorers compare against'
+                        onChange={(e) => setExpectedOutput(e.target.value)}
+                        value={expectedOutput ?? ''}
+                        id='txtInput_datasetRowExpectedOutput'
+                    />
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onCancel}>Cancel</Button>
+                <StyledButton disabled={!input} variant='contained' onClick={saveRow}>
+                    {dialogProps.type === 'ADD' ? 'Add' : 'Save'}
+                </StyledButton>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+AddEditDatasetRowDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func,
+    onConfirm: PropTypes.func
+}
+
+export default AddEditDatasetRowDialog
@@ -0,0 +1,442 @@
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { useNavigate, useParams } from 'react-router-dom'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+import moment from 'moment'
+
+// material-ui
+import { styled } from '@mui/material/styles'
+import { tableCellClasses } from '@mui/material/TableCell'
+import {
+    Button,
+    Box,
+    Chip,
+    LinearProgress,
+    Skeleton,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Paper,
+    IconButton,
+    Typography,
+    useTheme
+} from '@mui/material'
+
+// project imports
+import MainCard from '@/ui-component/cards/MainCard'
+import { StyledButton } from '@/ui-component/button/StyledButton'
+import ConfirmDialog from '@/ui-component/dialog/ConfirmDialog'
+import ViewHeader from '@/layout/MainLayout/ViewHeader'
+import ErrorBoundary from '@/ErrorBoundary'
+import AddEditDatasetDialog from './AddEditDatasetDialog'
+import AddEditDatasetRowDialog from './AddEditDatasetRowDialog'
+import ImportDatasetRowsDialog from './ImportDatasetRowsDialog'
+import RunDatasetDialog from './RunDatasetDialog'
+
+// API
+import datasetsApi from '@/api/datasets'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+import useConfirm from '@/hooks/useConfirm'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+// Icons
+import { IconTrash, IconEdit, IconX, IconPlus, IconFileImport, IconPlayerPlay, IconPlayerStop } from '@tabler/icons-react'
+import RowsEmptySVG from '@/assets/images/doc_store_details_empty.svg'
+
+const RUN_POLLING_INTERVAL = 3000
+
+const StyledTableCell = styled(TableCell)(({ theme }) => ({
+    borderColor: theme.palette.grey[900] + 25,
+    padding: '6px 16px',
+
+    [`&.${tableCellClasses.head}`]: {
+        color: theme.palette.grey[900]
+    },
+    [`&.${tableCellClasses.body}`]: {
+        fontSize: 14,
+        height: 64
+    }
+}))
+
+const StyledTableRow = styled(TableRow)(() => ({
+    // hide last border
+    '&:last-child td, &:last-child th': {
+        border: 0
+    }
+}))
+
+export const getRunStatusColor = (status) => {
+    switch (status) {
+        case 'COMPLETED':
+        case 'PASSED':
+            return 'success'
+        case 'RUNNING':
+            return 'info'
+        case 'STOPPED':
+        case 'FAILED':
+            return 'warning'
+        default:
+            return 'error'
+    }
+}
+
+export const getPassRate = (passed, total) => (total ? `${Math.round((passed / total) * 100)}%` : '-')
+
+// ==============================|| Dataset Detail ||============================== //
+
+const DatasetDetail = () => {
+    const theme = useTheme()
+    const customization = useSelector((state) => state.customization)
+    const navigate = useNavigate()
+    const dispatch = useDispatch()
+    const { id: datasetId } = useParams()
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const { confirm } = useConfirm()
+
+    const getSpecificDatasetApi = useApi(datasetsApi.getSpecificDataset)
+    const getAllDatasetRunsApi = useApi(datasetsApi.getAllDatasetRuns)
+
+    const [error, setError] = useState(null)
+    const [dataset, setDataset] = useState(null)
+    const [runs, setRuns] = useState([])
+    const [showDatasetDialog, setShowDatasetDialog] = useState(false)
+    const [datasetDialogProps, setDatasetDialogProps] = useState({})
+    const [showRowDialog, setShowRowDialog] = useState(false)
+    const [rowDialogProps, setRowDialogProps] = useState({})
+    const [showImportDialog, setShowImportDialog] = useState(false)
+    const [showRunDialog, setShowRunDialog] = useState(false)
+
+    const showErrorSnackbar = (message, error) => {
+        enqueueSnackbar({
+            message: `${message}: ${typeof error.response.data === 'object' ? error.response.data.message : error.response.data}`,
+            options: {
+                key: new Date().getTime() + Math.random(),
+                variant: 'error',
+                persist: true,
+                action: (key) => (
+                    <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                        <IconX />
+                    </Button>
+                )
+            }
+        })
+    }
+
+    const editDataset = () => {
+        setDatasetDialogProps({
+            type: 'EDIT',
+            cancelButtonName: 'Cancel',
+            confirmButtonName: 'Save',
+            data: dataset
+        })
+        setShowDatasetDialog(true)
+    }
+
+    const addRow = () => {
+        setRowDialogProps({ type: 'ADD', datasetId })
+        setShowRowDialog(true)
+    }
+
+    const editRow = (row) => {
+        setRowDialogProps({ type: 'EDIT', datasetId, data: row })
+        setShowRowDialog(true)
+    }
+
+    const deleteRow = async (row) => {
+        const isConfirmed = await confirm({
+            title: `Delete`,
+            description: `Delete row ${row.sequenceNo}?`,
+            confirmButtonName: 'Delete',
+            cancelButtonName: 'Cancel'
+        })
+        if (!isConfirmed) return
+        try {
+            await datasetsApi.deleteDatasetRow(datasetId, row.id)
+            getSpecificDatasetApi.request(datasetId)
+        } catch (error) {
+            showErrorSnackbar('Failed to delete row', error)
+        }
+    }
+
+    const stopRun = async (run) => {
+        try {
+            await datasetsApi.stopDatasetRun(datasetId, run.id)
+            getAllDatasetRunsApi.request(datasetId)
+        } catch (error) {
+            showErrorSnackbar('Failed to stop run', error)
+        }
+    }
+
+    const deleteRun = async (run) => {
+        const isConfirmed = await confirm({
+            title: `Delete`,
+            description: `Delete run of ${run.chatflowName} from ${moment(run.createdDate).format('MMMM Do YYYY, h:mm a')}?`,
+            confirmButtonName: 'Delete',
+            cancelButtonName: 'Cancel'
+        })
+        if (!isConfirmed) return
+        try {
+            await datasetsApi.deleteDatasetRun(datasetId, run.id)
+            getAllDatasetRunsApi.request(datasetId)
+        } catch (error) {
+            showErrorSnackbar('Failed to delete run', error)
+        }
+    }
+
+    const onRowsChanged = () => {
+        setShowRowDialog(false)
+        setShowImportDialog(false)
+        getSpecificDatasetApi.request(datasetId)
+    }
+
+    const onRunStarted = (runId) => {
+        setShowRunDialog(false)
+        navigate(`/datasets/${datasetId}/runs/${runId}`)
+    }
+
+    useEffect(() => {
+        getSpecificDatasetApi.request(datasetId)
+        getAllDatasetRunsApi.request(datasetId)
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [datasetId])
+
+    useEffect(() => {
+        if (getSpecificDatasetApi.data) setDataset(getSpecificDatasetApi.data)
+    }, [getSpecificDatasetApi.data])
+
+    useEffect(() => {
+        if (getAllDatasetRunsApi.data) setRuns(getAllDatasetRunsApi.data)
+    }, [getAllDatasetRunsApi.data])
+
+    useEffect(() => {
+        if (getSpecificDatasetApi.error) setError(getSpecificDatasetApi.error)
+    }, [getSpecificDatasetApi.error])
+
+    // Refresh the progress of runs until all of them have finished
+    useEffect(() => {
+        if (!runs.some((run) => run.status === 'RUNNING')) return
+        const timeout = setTimeout(() => getAllDatasetRunsApi.request(datasetId), RUN_POLLING_INTERVAL)
+        return () => clearTimeout(timeout)
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [runs])
+
+    const tableHeadSx = {
+        backgroundColor: customization.isDarkMode ? theme.palette.common.black : theme.palette.grey[100],
+        height: 56
+    }
+    const rows = dataset?.rows ?? []
+
+    return (
+        <>
+            <MainCard>
+                {error ? (
+                    <ErrorBoundary error={error} />
+                ) : (
+                    <Stack flexDirection='column' sx={{ gap: 3 }}>
+                        <ViewHeader
+                            isBackButton={true}
+                            isEditButton={true}
+                            search={false}
+                            title={dataset?.name}
+                            description={dataset?.description}
+                            onBack={() => navigate('/datasets')}
+                            onEdit={editDataset}
+                        >
+                            <Button
+                                variant='outlined'
+                                sx={{ borderRadius: 2, height: '100%' }}
+                                startIcon={<IconFileImport />}
+                                onClick={() => setShowImportDialog(true)}
+                            >
+                                Import
+                            </Button>
+                            <Button variant='outlined' sx={{ borderRadius: 2, height: '100%' }} startIcon={<IconPlus />} onClick={addRow}>
+                                Add Row
+                            </Button>
+                            <StyledButton
+                                variant='contained'
+                                sx={{ borderRadius: 2, height: '100%' }}
+                                disabled={rows.length === 0}
+                                startIcon={<IconPlayerPlay />}
+                                onClick={() => setShowRunDialog(true)}
+                            >
+                                Run
+                            </StyledButton>
+                        </ViewHeader>
+                        {runs.length > 0 && (
+                            <Box>
+                                <Typography variant='h4' sx={{ mb: 1 }}>
+                                    Runs
+                                </Typography>
+                                <TableContainer
+                                    sx={{ border: 1, borderColor: theme.palette.grey[900] + 25, borderRadius: 2 }}
+                                    component={Paper}
+                                >
+                                    <Table sx={{ minWidth: 650 }} aria-label='dataset runs'>
+                                        <TableHead sx={tableHeadSx}>
+                                            <TableRow>
+                                                <StyledTableCell>Chatflow</StyledTableCell>
+                                                <StyledTableCell>Status</StyledTableCell>
+                                                <StyledTableCell>Progress</StyledTableCell>
+                                                <StyledTableCell>Pass Rate</StyledTableCell>
+                                                <StyledTableCell>Errors</StyledTableCell>
+                                                <StyledTableCell>Started</StyledTableCell>
+                                                <StyledTableCell> </StyledTableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {runs.map((run) => (
+                                                <StyledTableRow
+                                                    hover
+                                                    key={run.id}
+                                                    sx={{ cursor: 'pointer' }}
+                                                    onClick={() => navigate(`/datasets/${datasetId}/runs/${run.id}`)}
+                                                >
+                                                    <StyledTableCell>{run.chatflowName}</StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Chip size='small' color={getRunStatusColor(run.status)} label={run.status} />
+                                                    </StyledTableCell>
+                                                    <StyledTableCell sx={{ minWidth: 150 }}>
+                                                        <LinearProgress
+                                                            variant='determinate'
+                                                            value={run.totalRows ? (run.completedRows / run.totalRows) * 100 : 0}
+                                                        />
+                                                        <Typography variant='caption'>
+                                                            {run.completedRows} / {run.totalRows}
+                                                        </Typography>
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>{getPassRate(run.passedRows, run.completedRows)}</StyledTableCell>
+                                                    <StyledTableCell>{run.errorRows}</StyledTableCell>
+                                                    <StyledTableCell>
+                                                        {moment(run.createdDate).format('MMMM Do YYYY, h:mm a')}
+                                                    </StyledTableCell>
+                                                    <StyledTableCell onClick={(event) => event.stopPropagation()}>
+                                                        {run.status === 'RUNNING' ? (
+                                                            <IconButton title='Stop' color='error' onClick={() => stopRun(run)}>
+                                                                <IconPlayerStop />
+                                                            </IconButton>
+                                                        ) : (
+                                                            <IconButton title='Delete' color='error' onClick={() => deleteRun(run)}>
+                                                                <IconTrash />
+                                                            </IconButton>
+                                                        )}
+                                                    </StyledTableCell>
+                                                </StyledTableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                            </Box>
+                        )}
+                        {!getSpecificDatasetApi.loading && dataset && rows.length === 0 ? (
+                            <Stack sx={{ alignItems: 'center', justifyContent: 'center' }} flexDirection='column'>
+                                <Box sx={{ p: 2, height: 'auto' }}>
+                                    <img
+                                        style={{ objectFit: 'cover', height: '16vh', width: 'auto' }}
+                                        src={RowsEmptySVG}
+                                        alt='RowsEmptySVG'
+                                    />
+                                </Box>
+                                <div>No Rows Yet, add or import questions with their expected answers</div>
+                            </Stack>
+                        ) : (
+                            <Box>
+                                <Typography variant='h4' sx={{ mb: 1 }}>
+                                    Rows
+                                </Typography>
+                                <TableContainer
+                                    sx={{ border: 1, borderColor: theme.palette.grey[900] + 25, borderRadius: 2 }}
+                                    component={Paper}
+                                >
+                                    <Table sx={{ minWidth: 650 }} aria-label='dataset rows'>
+                                        <TableHead sx={tableHeadSx}>
+                                            <TableRow>
+                                                <StyledTableCell sx={{ width: 60 }}>#</StyledTableCell>
+                                                <StyledTableCell>Input</StyledTableCell>
+                                                <StyledTableCell>Expected Output</StyledTableCell>
+                                                <StyledTableCell sx={{ width: 130 }}> </StyledTableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {!dataset ? (
+                                                <StyledTableRow>
+                                                    {[0, 1, 2, 3].map((cellIndex) => (
+                                                        <StyledTableCell key={cellIndex}>
+                                                            <Skeleton variant='text' />
+                                                        </StyledTableCell>
+                                                    ))}
+                                                </StyledTableRow>
+                                            ) : (
+                                                rows.map((row) => (
+                                                    <StyledTableRow key={row.id} sx={{ verticalAlign: 'top' }}>
+                                                        <StyledTableCell>{row.sequenceNo}</StyledTableCell>
+                                                        <StyledTableCell sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                                                            {row.input}
+                                                        </StyledTableCell>
+                                                        <StyledTableCell sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                                                            {row.expectedOutput}
+                                                        </StyledTableCell>
+                                                        <StyledTableCell>
+                                                            <IconButton title='Edit' color='primary' onClick={() => editRow(row)}>
+                                                                <IconEdit />
+                                                            </IconButton>
+                                                            <IconButton title='Delete' color='error' onClick={() => deleteRow(row)}>
+                                                                <IconTrash />
+                                                            </IconButton>
+                                                        </StyledTableCell>
+                                                    </StyledTableRow>
+                                                ))
+                                            )}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                            </Box>
+                        )}
+                    </Stack>
+                )}
+            </MainCard>
+            <AddEditDatasetDialog
+                show={showDatasetDialog}
+                dialogProps={datasetDialogProps}
+                onCancel={() => setShowDatasetDialog(false)}
+                onConfirm={() => {
+                    setShowDatasetDialog(false)
+                    getSpecificDatasetApi.request(datasetId)
+                }}
+            />
+            <AddEditDatasetRowDialog
+                show={showRowDialog}
+                dialogProps={rowDialogProps}
+                onCancel={() => setShowRowDialog(false)}
+                onConfirm={onRowsChanged}
+            />
+            <ImportDatasetRowsDialog
+                show={showImportDialog}
+                dialogProps={{ datasetId }}
+                onCancel={() => setShowImportDialog(false)}
+                onConfirm={onRowsChanged}
+            />
+            <RunDatasetDialog
+                show={showRunDialog}
+                dialogProps={{ datasetId }}
+                onCancel={() => setShowRunDialog(false)}
+                onConfirm={onRunStarted}
+            />
+            <ConfirmDialog />
+        </>
+    )
+}
+
+export default DatasetDetail
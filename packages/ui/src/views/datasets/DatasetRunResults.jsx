@@ -0,0 +1,317 @@
+import { useEffect, useState } from 'react'
+import { useSelector } from 'react-redux'
+import { useNavigate, useParams } from 'react-router-dom'
+import moment from 'moment'
+import PropTypes from 'prop-types'
+
+// material-ui
+import { styled } from '@mui/material/styles'
+import { tableCellClasses } from '@mui/material/TableCell'
+import {
+    Box,
+    Button,
+    Card,
+    CardContent,
+    Chip,
+    Grid,
+    LinearProgress,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Paper,
+    ToggleButton,
+    ToggleButtonGroup,
+    Tooltip,
+    Typography,
+    useTheme
+} from '@mui/material'
+
+// project imports
+import MainCard from '@/ui-component/cards/MainCard'
+import ViewHeader from '@/layout/MainLayout/ViewHeader'
+import ErrorBoundary from '@/ErrorBoundary'
+import { getPassRate, getRunStatusColor } from './DatasetDetail'
+
+// API
+import datasetsApi from '@/api/datasets'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+
+// Icons
+import { IconPlayerStop } from '@tabler/icons-react'
+
+const RUN_POLLING_INTERVAL = 3000
+
+const StyledTableCell = styled(TableCell)(({ theme }) => ({
+    borderColor: theme.palette.grey[900] + 25,
+    padding: '6px 16px',
+
+    [`&.${tableCellClasses.head}`]: {
+        color: theme.palette.grey[900]
+    },
+    [`&.${tableCellClasses.body}`]: {
+        fontSize: 14,
+        verticalAlign: 'top',
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-word'
+    }
+}))
+
+const parseJSONField = (value, defaultValue) => {
+    if (!value) return defaultValue
+    try {
+        return JSON.parse(value)
+    } catch (e) {
+        return defaultValue
+    }
+}
+
+const MetricCard = ({ label, value, caption }) => (
+    <Card variant='outlined' sx={{ height: '100%' }}>
+        <CardContent>
+            <Typography variant='caption' sx={{ color: 'text.secondary' }}>
+                {label}
+            </Typography>
+            <Typography variant='h3' sx={{ mt: 0.5 }}>
+                {value}
+            </Typography>
+            {caption && <Typography variant='caption'>{caption}</Typography>}
+        </CardContent>
+    </Card>
+)
+
+MetricCard.propTypes = {
+    label: PropTypes.string,
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    caption: PropTypes.string
+}
+
+// ==============================|| Dataset Run Results ||============================== //
+
+const DatasetRunResults = () => {
+    const theme = useTheme()
+    const customization = useSelector((state) => state.customization)
+    const navigate = useNavigate()
+    const { id: datasetId, runId } = useParams()
+
+    const getDatasetRunApi = useApi(datasetsApi.getDatasetRun)
+    const getDatasetScorersApi = useApi(datasetsApi.getDatasetScorers)
+
+    const [error, setError] = useState(null)
+    const [run, setRun] = useState(null)
+    const [statusFilter, setStatusFilter] = useState('ALL')
+
+    const stopRun = async () => {
+        try {
+            await datasetsApi.stopDatasetRun(datasetId, runId)
+            getDatasetRunApi.request(datasetId, runId)
+        } catch (error) {
+            setError(error)
+        }
+    }
+
+    useEffect(() => {
+        getDatasetRunApi.request(datasetId, runId)
+        getDatasetScorersApi.request()
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [datasetId, runId])
+
+    useEffect(() => {
+        if (getDatasetRunApi.data) setRun(getDatasetRunApi.data)
+    }, [getDatasetRunApi.data])
+
+    useEffect(() => {
+        if (getDatasetRunApi.error) setError(getDatasetRunApi.error)
+    }, [getDatasetRunApi.error])
+
+    // Refresh the results until the run has finished
+    useEffect(() => {
+        if (run?.status !== 'RUNNING') return
+        const timeout = setTimeout(() => getDatasetRunApi.request(datasetId, runId), RUN_POLLING_INTERVAL)
+        return () => clearTimeout(timeout)
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [run])
+
+    const metrics = parseJSONField(run?.metrics, {})
+    const scorerConfigs = parseJSONField(run?.scorers, [])
+    const getScorerLabel = (name) => (getDatasetScorersApi.data ?? []).find((scorer) => scorer.name === name)?.label ?? name
+    const results = (run?.results ?? []).filter((result) => statusFilter === 'ALL' || result.status === statusFilter)
+    const averageLatency = run?.results?.length
+        ? Math.round(run.results.reduce((total, result) => total + (result.latency ?? 0), 0) / run.results.length)
+        : 0
+
+    return (
+        <MainCard>
+            {error ? (
+                <ErrorBoundary error={error} />
+            ) : (
+                <Stack flexDirection='column' sx={{ gap: 3 }}>
+                    <ViewHeader
+                        isBackButton={true}
+                        search={false}
+                        title={run ? `Run of ${run.chatflowName}` : 'Run'}
+                        description={run ? `Started ${moment(run.createdDate).format('MMMM Do YYYY, h:mm a')}` : ''}
+                        onBack={() => navigate(`/datasets/${datasetId}`)}
+                    >
+                        {run?.status === 'RUNNING' && (
+                            <Button
+                                variant='outlined'
+                                color='error'
+                                sx={{ borderRadius: 2, height: '100%' }}
+                                startIcon={<IconPlayerStop />}
+                                onClick={stopRun}
+                            >
+                                Stop
+                            </Button>
+                        )}
+                    </ViewHeader>
+                    {!run ? (
+                        <LinearProgress />
+                    ) : (
+                        <>
+                            <Box>
+                                <Stack direction='row' alignItems='center' sx={{ mb: 1, gap: 1 }}>
+                                    <Chip size='small' color={getRunStatusColor(run.status)} label={run.status} />
+                                    <Typography variant='body2'>
+                                        {run.completedRows} of {run.totalRows} rows completed
+                                    </Typography>
+                                </Stack>
+                                <LinearProgress
+                                    variant='determinate'
+                                    value={run.totalRows ? (run.completedRows / run.totalRows) * 100 : 0}
+                                />
+                                {run.error && (
+                                    <Typography color='error' sx={{ mt: 1 }}>
+                                        {run.error}
+                                    </Typography>
+                                )}
+                            </Box>
+                            <Grid container spacing={2}>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard
+                                        label='Pass Rate'
+                                        value={getPassRate(run.passedRows, run.completedRows)}
+                                        caption={`${run.passedRows} of ${run.completedRows} rows passed every scorer`}
+                                    />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard label='Errors' value={run.errorRows} caption='Rows the chatflow failed to answer' />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard label='Average Latency' value={`${averageLatency} ms`} />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard label='Concurrency' value={run.concurrency} />
+                                </Grid>
+                                {scorerConfigs.map((scorerConfig) => (
+                                    <Grid item xs={6} md={3} key={scorerConfig.name}>
+                                        <MetricCard
+                                            label={getScorerLabel(scorerConfig.name)}
+                                            value={getPassRate(metrics[scorerConfig.name]?.passed, metrics[scorerConfig.name]?.total)}
+                                            caption={`${metrics[scorerConfig.name]?.passed ?? 0} of ${
+                                                metrics[scorerConfig.name]?.total ?? 0
+                                            } passed`}
+                                        />
+                                    </Grid>
+                                ))}
+                            </Grid>
+                            <Box>
+                                <Stack direction='row' alignItems='center' justifyContent='space-between' sx={{ mb: 1 }}>
+                                    <Typography variant='h4'>Results</Typography>
+                                    <ToggleButtonGroup
+                                        size='small'
+                                        exclusive
+                                        value={statusFilter}
+                                        onChange={(event, value) => value && setStatusFilter(value)}
+                                    >
+                                        <ToggleButton value='ALL'>All</ToggleButton>
+                                        <ToggleButton value='PASSED'>Passed</ToggleButton>
+                                        <ToggleButton value='FAILED'>Failed</ToggleButton>
+                                        <ToggleButton value='ERROR'>Error</ToggleButton>
+                                    </ToggleButtonGroup>
+                                </Stack>
+                                <TableContainer
+                                    sx={{ border: 1, borderColor: theme.palette.grey[900] + 25, borderRadius: 2 }}
+                                    component={Paper}
+                                >
+                                    <Table sx={{ minWidth: 650 }} aria-label='dataset run results'>
+                                        <TableHead
+                                            sx={{
+                                                backgroundColor: customization.isDarkMode
+                                                    ? theme.palette.common.black
+                                                    : theme.palette.grey[100],
+                                                height: 56
+                                            }}
+                                        >
+                                            <TableRow>
+                                                <StyledTableCell sx={{ width: '20%' }}>Input</StyledTableCell>
+                                                <StyledTableCell sx={{ width: '25%' }}>Expected Output</StyledTableCell>
+                                                <StyledTableCell sx={{ width: '25%' }}>Actual Output</StyledTableCell>
+                                                <StyledTableCell>Status</StyledTableCell>
+                                                <StyledTableCell>Scores</StyledTableCell>
+                                                <StyledTableCell>Latency</StyledTableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {results.map((result) => (
+                                                <TableRow key={result.id}>
+                                                    <StyledTableCell>{result.input}</StyledTableCell>
+                                                    <StyledTableCell>{result.expectedOutput}</StyledTableCell>
+                                                    <StyledTableCell>
+                                                        {result.error ? (
+                                                            <Typography color='error' variant='body2'>
+                                                                {result.error}
+                                                            </Typography>
+                                                        ) : (
+                                                            result.actualOutput
+                                                        )}
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Chip size='small' color={getRunStatusColor(result.status)} label={result.status} />
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Stack direction='column' sx={{ gap: 0.5 }}>
+                                                            {parseJSONField(result.scores, []).map((score) => (
+                                                                <Tooltip key={score.scorer} title={score.reason ?? ''}>
+                                                                    <Chip
+                                                                        size='small'
+                                                                        variant='outlined'
+                                                                        color={score.passed ? 'success' : 'warning'}
+                                                                        label={`${getScorerLabel(score.scorer)}${
+                                                                            score.score !== undefined && score.score !== null
+                                                                                ? `: ${Math.round(score.score * 100) / 100}`
+                                                                                : ''
+                                                                        }`}
+                                                                    />
+                                                                </Tooltip>
+                                                            ))}
+                                                        </Stack>
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        {result.latency !== null ? `${result.latency} ms` : ''}
+                                                    </StyledTableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                                {results.length === 0 && (
+                                    <Typography sx={{ mt: 2, textAlign: 'center' }}>
+                                        {run.status === 'RUNNING' ? 'Waiting for the first results...' : 'No results'}
+                                    </Typography>
+                                )}
+                            </Box>
+                        </>
+                    )}
+                </Stack>
+            )}
+        </MainCard>
+    )
+}
+
+export default DatasetRunResults
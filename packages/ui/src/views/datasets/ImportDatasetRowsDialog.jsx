@@ -0,0 +1,146 @@
+import { createPortal } from 'react-dom'
+import PropTypes from 'prop-types'
+import { useState, useEffect } from 'react'
+import { useDispatch } from 'react-redux'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+
+// Material
+import { Button, Dialog, DialogActions, DialogContent, DialogTitle, Box, Typography } from '@mui/material'
+
+// Project imports
+import { StyledButton } from '@/ui-component/button/StyledButton'
+import { SwitchInput } from '@/ui-component/switch/Switch'
+
+// Icons
+import { IconX, IconFileImport } from '@tabler/icons-react'
+
+// API
+import datasetsApi from '@/api/datasets'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+const ImportDatasetRowsDialog = ({ show, dialogProps, onCancel, onConfirm }) => {
+    const portalElement = document.getElementById('portal')
+
+    const dispatch = useDispatch()
+
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const [file, setFile] = useState(null)
+    const [replace, setReplace] = useState(false)
+    const [isImporting, setIsImporting] = useState(false)
+
+    useEffect(() => {
+        return () => {
+            setFile(null)
+            setReplace(false)
+            setIsImporting(false)
+        }
+    }, [show])
+
+    const handleFileUpload = (e) => {
+        if (!e.target.files || !e.target.files.length) return
+        const selectedFile = e.target.files[0]
+        const reader = new FileReader()
+        reader.onload = (evt) => {
+            if (!evt?.target?.result) return
+            setFile({ name: selectedFile.name, content: evt.target.result })
+        }
+        reader.readAsText(selectedFile)
+        // Allow selecting the same file again after an error
+        e.target.value = ''
+    }
+
+    const importRows = async () => {
+        setIsImporting(true)
+        try {
+            const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv'
+            const importResp = await datasetsApi.importDatasetRows(dialogProps.datasetId, { format, content: file.content, replace })
+            enqueueSnackbar({
+                message: `${importResp.data.imported} rows imported`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'success',
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+            onConfirm()
+        } catch (error) {
+            enqueueSnackbar({
+                message: `Failed to import rows: ${
+                    typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                }`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+        setIsImporting(false)
+    }
+
+    const component = show ? (
+        <Dialog
+            fullWidth
+            maxWidth='sm'
+            open={show}
+            onClose={onCancel}
+            aria-labelledby='alert-dialog-title'
+            aria-describedby='alert-dialog-description'
+        >
+            <DialogTitle sx={{ fontSize: '1rem' }} id='alert-dialog-title'>
+                <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                    <IconFileImport style={{ marginRight: '10px' }} />
+                    Import Rows
+                </div>
+            </DialogTitle>
+            <DialogContent>
+                <Box sx={{ p: 2 }}>
+                    <Typography variant='body2' sx={{ mb: 2 }}>
+                        Upload a CSV file with a header row, or a JSON array of objects. The input is read from an <code>input</code>,{' '}
+                        <code>question</code>, <code>query</code> or <code>prompt</code> column, the expected output from an{' '}
+                        <code>expectedOutput</code>, <code>expected</code>, <code>answer</code> or <code>output</code> column.
+                    </Typography>
+                    <Button variant='outlined' component='label' fullWidth>
+                        {file ? file.name : 'Choose a .csv or .json file'}
+                        <input type='file' hidden accept='.csv,.json' onChange={handleFileUpload} />
+                    </Button>
+                </Box>
+                <Box sx={{ px: 2 }}>
+                    <SwitchInput label='Replace existing rows' value={replace} onChange={setReplace} />
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onCancel}>Cancel</Button>
+                <StyledButton disabled={!file || isImporting} variant='contained' onClick={importRows}>
+                    Import
+                </StyledButton>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+ImportDatasetRowsDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func,
+    onConfirm: PropTypes.func
+}
+
+export default ImportDatasetRowsDialog
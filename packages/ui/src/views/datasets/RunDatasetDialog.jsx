@@ -0,0 +1,286 @@
+import { createPortal } from 'react-dom'
+import PropTypes from 'prop-types'
+import { useState, useEffect } from 'react'
+import { useDispatch } from 'react-redux'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+
+// Material
+import {
+    Button,
+    Checkbox,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    Box,
+    FormControlLabel,
+    Typography,
+    OutlinedInput,
+    Divider
+} from '@mui/material'
+
+// Project imports
+import { StyledButton } from '@/ui-component/button/StyledButton'
+import { Dropdown } from '@/ui-component/dropdown/Dropdown'
+import { SwitchInput } from '@/ui-component/switch/Switch'
+
+// Icons
+import { IconX, IconPlayerPlay } from '@tabler/icons-react'
+
+// API
+import datasetsApi from '@/api/datasets'
+import chatflowsApi from '@/api/chatflows'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+const DEFAULT_CONCURRENCY = 3
+
+const RunDatasetDialog = ({ show, dialogProps, onCancel, onConfirm }) => {
+    const portalElement = document.getElementById('portal')
+
+    const dispatch = useDispatch()
+
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const getAllChatflowsApi = useApi(chatflowsApi.getAllChatflows)
+    const getDatasetScorersApi = useApi(datasetsApi.getDatasetScorers)
+
+    const [chatflowid, setChatflowid] = useState('')
+    const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY)
+    // Config of the selected scorers, keyed by scorer name
+    const [selectedScorers, setSelectedScorers] = useState({})
+    const [isStarting, setIsStarting] = useState(false)
+
+    useEffect(() => {
+        if (show) {
+            getAllChatflowsApi.request()
+            getDatasetScorersApi.request()
+        }
+
+        return () => {
+            setChatflowid('')
+            setConcurrency(DEFAULT_CONCURRENCY)
+            setSelectedScorers({})
+            setIsStarting(false)
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [show])
+
+    const chatflowOptions = (getAllChatflowsApi.data ?? []).map((chatflow) => ({ label: chatflow.name, name: chatflow.id }))
+
+    const toggleScorer = (scorer, checked) => {
+        setSelectedScorers((prevScorers) => {
+            const newScorers = { ...prevScorers }
+            if (checked) {
+                newScorers[scorer.name] = {}
+                for (const param of scorer.params) {
+                    if (param.default !== undefined) newScorers[scorer.name][param.name] = param.default
+                }
+            } else {
+                delete newScorers[scorer.name]
+            }
+            return newScorers
+        })
+    }
+
+    const setScorerConfig = (scorerName, paramName, value) => {
+        setSelectedScorers((prevScorers) => ({
+            ...prevScorers,
+            [scorerName]: { ...prevScorers[scorerName], [paramName]: value }
+        }))
+    }
+
+    const renderScorerParam = (scorer, param) => {
+        const value = selectedScorers[scorer.name][param.name]
+        if (param.type === 'boolean') {
+            return (
+                <SwitchInput
+                    key={param.name}
+                    label={param.label}
+                    value={value ?? false}
+                    onChange={(newValue) => setScorerConfig(scorer.name, param.name, newValue)}
+                />
+            )
+        }
+        return (
+            <Box key={param.name} sx={{ mt: 1 }}>
+                <Typography variant='body2'>
+                    {param.label}
+                    {!param.optional && <span style={{ color: 'red' }}>&nbsp;*</span>}
+                </Typography>
+                {param.type === 'chatflow' ? (
+                    <Dropdown
+                        name={`${scorer.name}_${param.name}`}
+                        options={chatflowOptions}
+                        onSelect={(newValue) => setScorerConfig(scorer.name, param.name, newValue)}
+                        value={value ?? 'choose an option'}
+                    />
+                ) : (
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        fullWidth
+                        multiline={param.type === 'code' || !!param.rows}
+                        minRows={param.type === 'code' ? 4 : param.rows}
+                        placeholder={param.placeholder}
+                        onChange={(e) => setScorerConfig(scorer.name, param.name, e.target.value)}
+                        value={value ?? ''}
+                    />
+                )}
+                {param.description && (
+                    <Typography variant='caption' sx={{ color: 'text.secondary' }}>
+                        {param.description}
+                    </Typography>
+                )}
+            </Box>
+        )
+    }
+
+    const isScorerConfigValid = (scorer) =>
+        scorer.params.every((param) => param.optional || param.type === 'boolean' || selectedScorers[scorer.name][param.name])
+
+    const scorers = getDatasetScorersApi.data ?? []
+    const isValid =
+        chatflowid &&
+        Object.keys(selectedScorers).length > 0 &&
+        scorers.filter((scorer) => selectedScorers[scorer.name]).every((scorer) => isScorerConfigValid(scorer))
+
+    const startRun = async () => {
+        setIsStarting(true)
+        try {
+            const body = {
+                chatflowid,
+                concurrency,
+                scorers: Object.entries(selectedScorers).map(([name, config]) => ({ name, config }))
+            }
+            const runResp = await datasetsApi.createDatasetRun(dialogProps.datasetId, body)
+            enqueueSnackbar({
+                message: 'Run started',
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'success',
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+            onConfirm(runResp.data.id)
+        } catch (error) {
+            setIsStarting(false)
+            enqueueSnackbar({
+                message: `Failed to start run: ${
+                    typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                }`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+    }
+
+    const component = show ? (
+        <Dialog
+            fullWidth
+            maxWidth='sm'
+            open={show}
+            onClose={onCancel}
+            aria-labelledby='alert-dialog-title'
+            aria-describedby='alert-dialog-description'
+        >
+            <DialogTitle sx={{ fontSize: '1rem' }} id='alert-dialog-title'>
+                <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                    <IconPlayerPlay style={{ marginRight: '10px' }} />
+                    Run Dataset
+                </div>
+            </DialogTitle>
+            <DialogContent>
+                <Box sx={{ p: 2 }}>
+                    <Typography>
+                        Chatflow<span style={{ color: 'red' }}>&nbsp;*</span>
+                    </Typography>
+                    <Dropdown
+                        key={chatflowOptions.length}
+                        name='datasetRunChatflow'
+                        loading={getAllChatflowsApi.loading}
+                        options={chatflowOptions}
+                        onSelect={(newValue) => setChatflowid(newValue)}
+                        value={chatflowid || 'choose an option'}
+                    />
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Typography>Concurrency</Typography>
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        type='number'
+                        fullWidth
+                        inputProps={{ min: 1, max: 10 }}
+                        onChange={(e) => setConcurrency(e.target.value)}
+                        value={concurrency}
+                    />
+                    <Typography variant='caption' sx={{ color: 'text.secondary' }}>
+                        Number of rows sent to the chatflow at the same time, at most 10
+                    </Typography>
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Typography>
+                        Scorers<span style={{ color: 'red' }}>&nbsp;*</span>
+                    </Typography>
+                    {scorers.map((scorer, index) => (
+                        <Box key={scorer.name}>
+                            {index > 0 && <Divider sx={{ my: 1 }} />}
+                            <FormControlLabel
+                                control={
+                                    <Checkbox
+                                        checked={!!selectedScorers[scorer.name]}
+                                        onChange={(event) => toggleScorer(scorer, event.target.checked)}
+                                    />
+                                }
+                                label={scorer.label}
+                            />
+                            <Typography variant='caption' component='div' sx={{ color: 'text.secondary', ml: 4 }}>
+                                {scorer.description}
+                            </Typography>
+                            {selectedScorers[scorer.name] && (
+                                <Box sx={{ ml: 4, mb: 1 }}>{scorer.params.map((param) => renderScorerParam(scorer, param))}</Box>
+                            )}
+                        </Box>
+                    ))}
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onCancel}>Cancel</Button>
+                <StyledButton disabled={!isValid || isStarting} variant='contained' onClick={startRun}>
+                    Start Run
+                </StyledButton>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+RunDatasetDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func,
+    onConfirm: PropTypes.func
+}
+
+export default RunDatasetDialog
@@ -0,0 +1,329 @@
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { useNavigate } from 'react-router-dom'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+import moment from 'moment'
+
+// material-ui
+import { styled } from '@mui/material/styles'
+import { tableCellClasses } from '@mui/material/TableCell'
+import {
+    Button,
+    Box,
+    Skeleton,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Paper,
+    IconButton,
+    useTheme
+} from '@mui/material'
+
+// project imports
+import MainCard from '@/ui-component/cards/MainCard'
+import { StyledButton } from '@/ui-component/button/StyledButton'
+import ConfirmDialog from '@/ui-component/dialog/ConfirmDialog'
+
+// API
+import datasetsApi from '@/api/datasets'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+import useConfirm from '@/hooks/useConfirm'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+// Icons
+import { IconTrash, IconEdit, IconX, IconPlus, IconChecklist } from '@tabler/icons-react'
+import DatasetsEmptySVG from '@/assets/images/doc_store_empty.svg'
+
+// const
+import AddEditDatasetDialog from './AddEditDatasetDialog'
+import ViewHeader from '@/layout/MainLayout/ViewHeader'
+import ErrorBoundary from '@/ErrorBoundary'
+
+const StyledTableCell = styled(TableCell)(({ theme }) => ({
+    borderColor: theme.palette.grey[900] + 25,
+
+    [`&.${tableCellClasses.head}`]: {
+        color: theme.palette.grey[900]
+    },
+    [`&.${tableCellClasses.body}`]: {
+        fontSize: 14,
+        height: 64
+    }
+}))
+
+const StyledTableRow = styled(TableRow)(() => ({
+    // hide last border
+    '&:last-child td, &:last-child th': {
+        border: 0
+    }
+}))
+
+// ==============================|| Datasets ||============================== //
+
+const Datasets = () => {
+    const theme = useTheme()
+    const customization = useSelector((state) => state.customization)
+    const navigate = useNavigate()
+    const dispatch = useDispatch()
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const [isLoading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+    const [showDatasetDialog, setShowDatasetDialog] = useState(false)
+    const [datasetDialogProps, setDatasetDialogProps] = useState({})
+    const [datasets, setDatasets] = useState([])
+
+    const { confirm } = useConfirm()
+
+    const getAllDatasets = useApi(datasetsApi.getAllDatasets)
+
+    const [search, setSearch] = useState('')
+    const onSearchChange = (event) => {
+        setSearch(event.target.value)
+    }
+    function filterDatasets(data) {
+        return data.name.toLowerCase().indexOf(search.toLowerCase()) > -1
+    }
+
+    const addNew = () => {
+        const dialogProp = {
+            type: 'ADD',
+            cancelButtonName: 'Cancel',
+            confirmButtonName: 'Add',
+            data: {}
+        }
+        setDatasetDialogProps(dialogProp)
+        setShowDatasetDialog(true)
+    }
+
+    const edit = (dataset) => {
+        const dialogProp = {
+            type: 'EDIT',
+            cancelButtonName: 'Cancel',
+            confirmButtonName: 'Save',
+            data: dataset
+        }
+        setDatasetDialogProps(dialogProp)
+        setShowDatasetDialog(true)
+    }
+
+    const deleteDataset = async (dataset) => {
+        const confirmPayload = {
+            title: `Delete`,
+            description: `Delete dataset ${dataset.name}? All of its rows and runs will be deleted.`,
+            confirmButtonName: 'Delete',
+            cancelButtonName: 'Cancel'
+        }
+        const isConfirmed = await confirm(confirmPayload)
+
+        if (isConfirmed) {
+            try {
+                const deleteResp = await datasetsApi.deleteDataset(dataset.id)
+                if (deleteResp.data) {
+                    enqueueSnackbar({
+                        message: 'Dataset deleted',
+                        options: {
+                            key: new Date().getTime() + Math.random(),
+                            variant: 'success',
+                            action: (key) => (
+                                <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                                    <IconX />
+                                </Button>
+                            )
+                        }
+                    })
+                    onConfirm()
+                }
+            } catch (error) {
+                enqueueSnackbar({
+                    message: `Failed to delete Dataset: ${
+                        typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                    }`,
+                    options: {
+                        key: new Date().getTime() + Math.random(),
+                        variant: 'error',
+                        persist: true,
+                        action: (key) => (
+                            <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                                <IconX />
+                            </Button>
+                        )
+                    }
+                })
+            }
+        }
+    }
+
+    const onConfirm = () => {
+        setShowDatasetDialog(false)
+        getAllDatasets.request()
+    }
+
+    useEffect(() => {
+        getAllDatasets.request()
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [])
+
+    useEffect(() => {
+        setLoading(getAllDatasets.loading)
+    }, [getAllDatasets.loading])
+
+    useEffect(() => {
+        if (getAllDatasets.error) {
+            setError(getAllDatasets.error)
+        }
+    }, [getAllDatasets.error])
+
+    useEffect(() => {
+        if (getAllDatasets.data) {
+            setDatasets(getAllDatasets.data)
+        }
+    }, [getAllDatasets.data])
+
+    return (
+        <>
+            <MainCard>
+                {error ? (
+                    <ErrorBoundary error={error} />
+                ) : (
+                    <Stack flexDirection='column' sx={{ gap: 3 }}>
+                        <ViewHeader
+                            onSearchChange={onSearchChange}
+                            search={true}
+                            searchPlaceholder='Search Datasets'
+                            title='Datasets'
+                            description='Test chatflows against a set of questions and expected answers'
+                        >
+                            <StyledButton
+                                variant='contained'
+                                sx={{ borderRadius: 2, height: '100%' }}
+                                onClick={addNew}
+                                startIcon={<IconPlus />}
+                                id='btn_createDataset'
+                            >
+                                Add Dataset
+                            </StyledButton>
+                        </ViewHeader>
+                        {!isLoading && datasets.length === 0 ? (
+                            <Stack sx={{ alignItems: 'center', justifyContent: 'center' }} flexDirection='column'>
+                                <Box sx={{ p: 2, height: 'auto' }}>
+                                    <img
+                                        style={{ objectFit: 'cover', height: '16vh', width: 'auto' }}
+                                        src={DatasetsEmptySVG}
+                                        alt='DatasetsEmptySVG'
+                                    />
+                                </Box>
+                                <div>No Datasets Yet</div>
+                            </Stack>
+                        ) : (
+                            <TableContainer
+                                sx={{ border: 1, borderColor: theme.palette.grey[900] + 25, borderRadius: 2 }}
+                                component={Paper}
+                            >
+                                <Table sx={{ minWidth: 650 }} aria-label='simple table'>
+                                    <TableHead
+                                        sx={{
+                                            backgroundColor: customization.isDarkMode
+                                                ? theme.palette.common.black
+                                                : theme.palette.grey[100],
+                                            height: 56
+                                        }}
+                                    >
+                                        <TableRow>
+                                            <StyledTableCell>Name</StyledTableCell>
+                                            <StyledTableCell>Description</StyledTableCell>
+                                            <StyledTableCell>Rows</StyledTableCell>
+                                            <StyledTableCell>Last Updated</StyledTableCell>
+                                            <StyledTableCell> </StyledTableCell>
+                                            <StyledTableCell> </StyledTableCell>
+                                        </TableRow>
+                                    </TableHead>
+                                    <TableBody>
+                                        {isLoading ? (
+                                            [0, 1].map((index) => (
+                                                <StyledTableRow key={index}>
+                                                    {[0, 1, 2, 3, 4, 5].map((cellIndex) => (
+                                                        <StyledTableCell key={cellIndex}>
+                                                            <Skeleton variant='text' />
+                                                        </StyledTableCell>
+                                                    ))}
+                                                </StyledTableRow>
+                                            ))
+                                        ) : (
+                                            <>
+                                                {datasets.filter(filterDatasets).map((dataset, index) => (
+                                                    <StyledTableRow
+                                                        hover
+                                                        key={index}
+                                                        sx={{ cursor: 'pointer' }}
+                                                        onClick={() => navigate(`/datasets/${dataset.id}`)}
+                                                    >
+                                                        <StyledTableCell component='th' scope='row'>
+                                                            <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                                                                <IconChecklist style={{ width: 25, height: 25, marginRight: 10 }} />
+                                                                {dataset.name}
+                                                            </div>
+                                                        </StyledTableCell>
+                                                        <StyledTableCell>{dataset.description}</StyledTableCell>
+                                                        <StyledTableCell>{dataset.rowCount}</StyledTableCell>
+                                                        <StyledTableCell>
+                                                            {moment(dataset.updatedDate).format('MMMM Do, YYYY')}
+                                                        </StyledTableCell>
+                                                        <StyledTableCell>
+                                                            <IconButton
+                                                                title='Edit'
+                                                                color='primary'
+                                                                onClick={(event) => {
+                                                                    event.stopPropagation()
+                                                                    edit(dataset)
+                                                                }}
+                                                            >
+                                                                <IconEdit />
+                                                            </IconButton>
+                                                        </StyledTableCell>
+                                                        <StyledTableCell>
+                                                            <IconButton
+                                                                title='Delete'
+                                                                color='error'
+                                                                onClick={(event) => {
+                                                                    event.stopPropagation()
+                                                                    deleteDataset(dataset)
+                                                                }}
+                                                            >
+                                                                <IconTrash />
+                                                            </IconButton>
+                                                        </StyledTableCell>
+                                                    </StyledTableRow>
+                                                ))}
+                                            </>
+                                        )}
+                                    </TableBody>
+                                </Table>
+                            </TableContainer>
+                        )}
+                    </Stack>
+                )}
+            </MainCard>
+            <AddEditDatasetDialog
+                show={showDatasetDialog}
+                dialogProps={datasetDialogProps}
+                onCancel={() => setShowDatasetDialog(false)}
+                onConfirm={onConfirm}
+            />
+            <ConfirmDialog />
+        </>
+    )
+}
+
+export default Datasets
@@ -0,0 +1,113 @@
+import { createPortal } from 'react-dom'
+import PropTypes from 'prop-types'
+import { useEffect, useState } from 'react'
+import { useDispatch } from 'react-redux'
+import { HIDE_CANVAS_DIALOG, SHOW_CANVAS_DIALOG } from '@/store/actions'
+
+// Material
+import {
+    Box,
+    Button,
+    Checkbox,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    FormControlLabel,
+    OutlinedInput,
+    Typography
+} from '@mui/material'
+
+// Project imports
+import { StyledButton } from '@/ui-component/button/StyledButton'
+
+// Icons
+import { IconReplace } from '@tabler/icons-react'
+
+const ChunkFindReplaceDialog = ({ show, dialogProps, onCancel, onConfirm }) => {
+    const portalElement = document.getElementById('portal')
+
+    const dispatch = useDispatch()
+
+    const [find, setFind] = useState('')
+    const [replace, setReplace] = useState('')
+    const [matchCase, setMatchCase] = useState(false)
+
+    useEffect(() => {
+        if (show) dispatch({ type: SHOW_CANVAS_DIALOG })
+        else dispatch({ type: HIDE_CANVAS_DIALOG })
+        return () => dispatch({ type: HIDE_CANVAS_DIALOG })
+    }, [show, dispatch])
+
+    const component = show ? (
+        <Dialog
+            fullWidth
+            maxWidth='sm'
+            open={show}
+            onClose={onCancel}
+            aria-labelledby='alert-dialog-title'
+            aria-describedby='alert-dialog-description'
+        >
+            <DialogTitle style={{ fontSize: '1rem' }} id='alert-dialog-title'>
+                <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                    <IconReplace style={{ marginRight: '10px' }} />
+                    {dialogProps.title}
+                </div>
+            </DialogTitle>
+            <DialogContent>
+                <Box sx={{ p: 2 }}>
+                    <Typography variant='body2'>
+                        Every occurrence of the text is replaced in the content of {dialogProps.count?.toLocaleString()} chunk(s).
+                    </Typography>
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Typography>
+                        Find<span style={{ color: 'red' }}>&nbsp;*</span>
+                    </Typography>
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        fullWidth
+                        multiline
+                        maxRows={4}
+                        onChange={(e) => setFind(e.target.value)}
+                        value={find}
+                    />
+                    <FormControlLabel
+                        control={<Checkbox size='small' checked={matchCase} onChange={(e) => setMatchCase(e.target.checked)} />}
+                        label='Match case'
+                    />
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Typography>Replace With</Typography>
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        fullWidth
+                        multiline
+                        maxRows={4}
+                        onChange={(e) => setReplace(e.target.value)}
+                        value={replace}
+                    />
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={() => onCancel()}>Cancel</Button>
+                <StyledButton disabled={!find} variant='contained' onClick={() => onConfirm({ find, replace, matchCase })}>
+                    {dialogProps.confirmButtonName}
+                </StyledButton>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+ChunkFindReplaceDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func,
+    onConfirm: PropTypes.func
+}
+
+export default ChunkFindReplaceDialog
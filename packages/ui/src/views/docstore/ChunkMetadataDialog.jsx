@@ -0,0 +1,183 @@
+import { createPortal } from 'react-dom'
+import PropTypes from 'prop-types'
+import { useEffect, useState } from 'react'
+import { useDispatch } from 'react-redux'
+import { HIDE_CANVAS_DIALOG, SHOW_CANVAS_DIALOG } from '@/store/actions'
+
+// Material
+import {
+    Autocomplete,
+    Box,
+    Button,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    IconButton,
+    OutlinedInput,
+    Stack,
+    TextField,
+    ToggleButton,
+    ToggleButtonGroup,
+    Typography
+} from '@mui/material'
+
+// Project imports
+import { StyledButton } from '@/ui-component/button/StyledButton'
+
+// Icons
+import { IconPlus, IconTags, IconTrash } from '@tabler/icons-react'
+
+const OPERATION_DESCRIPTIONS = {
+    add: 'The keys are set on every chunk, existing values of the same keys are overwritten.',
+    replace: 'The whole metadata of every chunk is replaced with these keys.',
+    remove: 'The keys are removed from every chunk.'
+}
+
+const ChunkMetadataDialog = ({ show, dialogProps, onCancel, onConfirm }) => {
+    const portalElement = document.getElementById('portal')
+
+    const dispatch = useDispatch()
+
+    const [operation, setOperation] = useState('add')
+    const [entries, setEntries] = useState([{ key: '', value: '' }])
+    const [keys, setKeys] = useState([])
+
+    useEffect(() => {
+        if (show) dispatch({ type: SHOW_CANVAS_DIALOG })
+        else dispatch({ type: HIDE_CANVAS_DIALOG })
+        return () => dispatch({ type: HIDE_CANVAS_DIALOG })
+    }, [show, dispatch])
+
+    const updateEntry = (index, field, value) => {
+        setEntries(entries.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)))
+    }
+
+    const filledEntries = entries.filter((entry) => entry.key.trim())
+    const isValid = operation === 'remove' ? keys.length > 0 : operation === 'replace' || filledEntries.length > 0
+
+    const onSave = () => {
+        if (operation === 'remove') {
+            onConfirm({ operation, keys })
+        } else {
+            const metadata = {}
+            filledEntries.forEach((entry) => (metadata[entry.key.trim()] = entry.value))
+            onConfirm({ operation, metadata })
+        }
+    }
+
+    const component = show ? (
+        <Dialog
+            fullWidth
+            maxWidth='sm'
+            open={show}
+            onClose={onCancel}
+            aria-labelledby='alert-dialog-title'
+            aria-describedby='alert-dialog-description'
+        >
+            <DialogTitle style={{ fontSize: '1rem' }} id='alert-dialog-title'>
+                <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                    <IconTags style={{ marginRight: '10px' }} />
+                    {dialogProps.title}
+                </div>
+            </DialogTitle>
+            <DialogContent>
+                <Box sx={{ p: 2 }}>
+                    <ToggleButtonGroup
+                        size='small'
+                        color='primary'
+                        exclusive
+                        value={operation}
+                        onChange={(event, newOperation) => newOperation && setOperation(newOperation)}
+                    >
+                        <ToggleButton sx={{ px: 2 }} value='add'>
+                            Add
+                        </ToggleButton>
+                        <ToggleButton sx={{ px: 2 }} value='replace'>
+                            Replace
+                        </ToggleButton>
+                        <ToggleButton sx={{ px: 2 }} value='remove'>
+                            Remove
+                        </ToggleButton>
+                    </ToggleButtonGroup>
+                    <Typography variant='body2' sx={{ mt: 1 }}>
+                        {OPERATION_DESCRIPTIONS[operation]} {dialogProps.count?.toLocaleString()} chunk(s) are updated.
+                    </Typography>
+                </Box>
+                {operation === 'remove' ? (
+                    <Box sx={{ p: 2 }}>
+                        <Typography>
+                            Keys<span style={{ color: 'red' }}>&nbsp;*</span>
+                        </Typography>
+                        <Autocomplete
+                            multiple
+                            freeSolo
+                            size='small'
+                            sx={{ mt: 1 }}
+                            options={dialogProps.metadataKeys ?? []}
+                            value={keys}
+                            onChange={(event, newKeys) => setKeys(newKeys)}
+                            renderInput={(params) => <TextField {...params} placeholder='Select or type keys' />}
+                        />
+                    </Box>
+                ) : (
+                    <Box sx={{ p: 2 }}>
+                        <Typography>Metadata</Typography>
+                        {entries.map((entry, index) => (
+                            <Stack key={index} flexDirection='row' sx={{ gap: 1, mt: 1, alignItems: 'center' }}>
+                                <OutlinedInput
+                                    size='small'
+                                    fullWidth
+                                    placeholder='Key'
+                                    onChange={(e) => updateEntry(index, 'key', e.target.value)}
+                                    value={entry.key}
+                                />
+                                <OutlinedInput
+                                    size='small'
+                                    fullWidth
+                                    placeholder='Value'
+                                    onChange={(e) => updateEntry(index, 'value', e.target.value)}
+                                    value={entry.value}
+                                />
+                                <IconButton
+                                    size='small'
+                                    color='error'
+                                    title='Remove'
+                                    disabled={entries.length === 1}
+                                    onClick={() => setEntries(entries.filter((_, i) => i !== index))}
+                                >
+                                    <IconTrash size={18} />
+                                </IconButton>
+                            </Stack>
+                        ))}
+                        <Button
+                            sx={{ mt: 1 }}
+                            size='small'
+                            startIcon={<IconPlus />}
+                            onClick={() => setEntries([...entries, { key: '', value: '' }])}
+                        >
+                            Add Key
+                        </Button>
+                    </Box>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={() => onCancel()}>Cancel</Button>
+                <StyledButton disabled={!isValid} variant='contained' onClick={onSave}>
+                    {dialogProps.confirmButtonName}
+                </StyledButton>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+ChunkMetadataDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func,
+    onConfirm: PropTypes.func
+}
+
+export default ChunkMetadataDialog
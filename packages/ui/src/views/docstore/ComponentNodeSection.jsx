@@ -0,0 +1,100 @@
+import PropTypes from 'prop-types'
+import { cloneDeep } from 'lodash'
+import { v4 as uuidv4 } from 'uuid'
+
+// Material
+import { Box, Typography } from '@mui/material'
+
+// Project imports
+import { Dropdown } from '@/ui-component/dropdown/Dropdown'
+import DocStoreInputHandler from '@/views/docstore/DocStoreInputHandler'
+
+// utils
+import { initNode } from '@/utils/genericHelper'
+
+// const
+import { baseURL, FLOWISE_CREDENTIAL_ID } from '@/store/constant'
+
+// Node of the component selected for a section, with the config saved on the store
+export const createComponentNode = (components, name, savedConfig) => {
+    const component = components.find((node) => node.name === name)
+    if (!component) return {}
+    const nodeData = cloneDeep(initNode(component, uuidv4()))
+    if (savedConfig?.name === name) {
+        nodeData.inputs = { ...nodeData.inputs, ...cloneDeep(savedConfig.config) }
+        if (savedConfig.credential) {
+            nodeData.credential = savedConfig.credential
+            nodeData.inputs[FLOWISE_CREDENTIAL_ID] = savedConfig.credential
+        }
+    }
+    return nodeData
+}
+
+export const getComponentConfig = (nodeData) => ({
+    name: nodeData.name,
+    config: nodeData.inputs,
+    credential: nodeData.credential
+})
+
+export const hasMandatoryFields = (nodeData) =>
+    (nodeData.inputParams ?? [])
+        .filter((inputParam) => !inputParam.hidden && !inputParam.optional)
+        .every((inputParam) => (inputParam.type === 'credential' ? nodeData.credential : nodeData.inputs[inputParam.name]))
+
+// Dropdown of the component nodes of a category with the inputs of the selected node
+const ComponentNodeSection = ({ title, components, nodeData, onSelect, optional }) => {
+    const options = components.map((component) => ({ label: component.label, name: component.name }))
+    if (optional) options.unshift({ label: 'None', name: 'none' })
+
+    return (
+        <>
+            <Box sx={{ display: 'flex', alignItems: 'center', flexDirection: 'row', p: 2 }}>
+                <Typography sx={{ mr: 2 }} variant='h4'>
+                    {title}
+                    {!optional && <span style={{ color: 'red' }}>&nbsp;*</span>}
+                </Typography>
+                {nodeData.name && (
+                    <div
+                        style={{
+                            width: 40,
+                            height: 40,
+                            borderRadius: '50%',
+                            backgroundColor: 'white',
+                            boxShadow: '0 2px 14px 0 rgb(32 40 45 / 25%)'
+                        }}
+                    >
+                        <img
+                            style={{ width: '100%', height: '100%', padding: 7, borderRadius: '50%', objectFit: 'contain' }}
+                            alt={nodeData.name}
+                            src={`${baseURL}/api/v1/node-icon/${nodeData.name}`}
+                        />
+                    </div>
+                )}
+            </Box>
+            <Box sx={{ px: 2 }}>
+                <Dropdown
+                    key={`${title}_${nodeData.name ?? 'none'}_${components.length}`}
+                    name={title}
+                    options={options}
+                    onSelect={(newValue) => onSelect(newValue)}
+                    value={nodeData.name ?? (optional ? 'none' : 'choose an option')}
+                />
+            </Box>
+            {(nodeData.inputParams ?? [])
+                .filter((inputParam) => !inputParam.hidden)
+                .map((inputParam) => (
+                    <DocStoreInputHandler key={`${nodeData.id}_${inputParam.name}`} data={nodeData} inputParam={inputParam} />
+                ))}
+        </>
+    )
+}
+
+ComponentNodeSection.propTypes = {
+    title: PropTypes.string,
+    components: PropTypes.array,
+    nodeData: PropTypes.object,
+    onSelect: PropTypes.func,
+    optional: PropTypes.bool
+}
+
+export default ComponentNodeSection
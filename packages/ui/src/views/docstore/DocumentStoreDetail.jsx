@@ -2,6 +2,7 @@ import { useEffect, useState } from 'react'
 import { useDispatch, useSelector } from 'react-redux'
 import * as PropTypes from 'prop-types'
 import { useNavigate } from 'react-router-dom'
+import moment from 'moment'
 
 // material-ui
 import {
@@ -21,7 +22,10 @@ import {
     Divider,
     Button,
     Skeleton,
-    IconButton
+    IconButton,
+    Tooltip,
+    Tabs,
+    Tab
 } from '@mui/material'
 import { alpha, styled, useTheme } from '@mui/material/styles'
 import { tableCellClasses } from '@mui/material/TableCell'
@@ -31,6 +35,10 @@ import MainCard from '@/ui-component/cards/MainCard'
 import AddDocStoreDialog from '@/views/docstore/AddDocStoreDialog'
 import ConfirmDialog from '@/ui-component/dialog/ConfirmDialog'
 import DocumentLoaderListDialog from '@/views/docstore/DocumentLoaderListDialog'
+import VectorStoreUpsertDialog from '@/views/docstore/VectorStoreUpsertDialog'
+import LoaderScheduleDialog from '@/views/docstore/LoaderScheduleDialog'
+import DocumentStoreRetrieval from '@/views/docstore/DocumentStoreRetrieval'
+import UpsertHistoryDialog from '@/views/vectorstore/UpsertHistoryDialog'
 import ErrorBoundary from '@/ErrorBoundary'
 
 // API
@@ -42,11 +50,24 @@ import useConfirm from '@/hooks/useConfirm'
 import useNotifier from '@/utils/useNotifier'
 
 // icons
-import { IconPlus, IconRefresh, IconScissors, IconTrash, IconX, IconVectorBezier2 } from '@tabler/icons-react'
+import {
+    IconPlus,
+    IconRefresh,
+    IconScissors,
+    IconTrash,
+    IconX,
+    IconVectorBezier2,
+    IconDatabaseImport,
+    IconHistory,
+    IconSearch,
+    IconFileExport
+} from '@tabler/icons-react'
 import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown'
 import FileDeleteIcon from '@mui/icons-material/Delete'
 import FileEditIcon from '@mui/icons-material/Edit'
 import FileChunksIcon from '@mui/icons-material/AppRegistration'
+import FileRefreshIcon from '@mui/icons-material/Sync'
+import FileScheduleIcon from '@mui/icons-material/Schedule'
 import doc_store_details_emptySVG from '@/assets/images/doc_store_details_empty.svg'
 
 // store
@@ -132,6 +153,13 @@ const DocumentStoreDetails = () => {
     const [dialogProps, setDialogProps] = useState({})
     const [showDocumentLoaderListDialog, setShowDocumentLoaderListDialog] = useState(false)
     const [documentLoaderListDialogProps, setDocumentLoaderListDialogProps] = useState({})
+    const [showUpsertDialog, setShowUpsertDialog] = useState(false)
+    const [upsertDialogProps, setUpsertDialogProps] = useState({})
+    const [showUpsertHistoryDialog, setShowUpsertHistoryDialog] = useState(false)
+    const [upsertHistoryDialogProps, setUpsertHistoryDialogProps] = useState({})
+    const [showScheduleDialog, setShowScheduleDialog] = useState(false)
+    const [scheduleDialogProps, setScheduleDialogProps] = useState({})
+    const [tabValue, setTabValue] = useState(0)
 
     const URLpath = document.location.pathname.toString().split('/')
     const storeId = URLpath[URLpath.length - 1] === 'document-stores' ? '' : URLpath[URLpath.length - 1]
@@ -268,6 +296,129 @@ const DocumentStoreDetails = () => {
         setShowDialog(true)
     }
 
+    const onExportClicked = async () => {
+        try {
+            const response = await documentsApi.exportDocumentStore(documentStore.id)
+            const url = window.URL.createObjectURL(response.data)
+            const linkElement = document.createElement('a')
+            linkElement.setAttribute('href', url)
+            linkElement.setAttribute('download', `${documentStore.name}.json`)
+            linkElement.click()
+            window.URL.revokeObjectURL(url)
+        } catch (error) {
+            // Errors of blob requests come back as a blob too
+            const errorText = error.response?.data instanceof Blob ? await error.response.data.text() : ''
+            let errorMessage = errorText || error.message
+            try {
+                errorMessage = JSON.parse(errorText).message
+            } catch (e) {
+                // not a JSON error response
+            }
+            enqueueSnackbar({
+                message: `Failed to export document store: ${errorMessage}`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+    }
+
+    const onUpsertClicked = () => {
+        setUpsertDialogProps({
+            title: `Upsert ${documentStore.name} to Vector Store`,
+            cancelButtonName: 'Cancel',
+            confirmButtonName: 'Upsert',
+            documentStore
+        })
+        setShowUpsertDialog(true)
+    }
+
+    const onUpsertConfirm = (result) => {
+        setShowUpsertDialog(false)
+        const counts = ['numAdded', 'numUpdated', 'numSkipped', 'numDeleted']
+            .filter((key) => result?.[key] !== undefined)
+            .map((key) => `${result[key]} ${key.replace('num', '').toLowerCase()}`)
+        enqueueSnackbar({
+            message: counts.length ? `Upserted to vector store: ${counts.join(', ')}` : 'Upserted to vector store',
+            options: {
+                key: new Date().getTime() + Math.random(),
+                variant: 'success',
+                action: (key) => (
+                    <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                        <IconX />
+                    </Button>
+                )
+            }
+        })
+        getSpecificDocumentStore.request(storeId)
+    }
+
+    const onUpsertHistoryClicked = () => {
+        setUpsertHistoryDialogProps({
+            title: 'View Upsert History',
+            // The upsert history of a store is recorded under the store id
+            chatflow: documentStore
+        })
+        setShowUpsertHistoryDialog(true)
+    }
+
+    const onLoaderRefresh = async (loader) => {
+        try {
+            const refreshResp = await documentsApi.refreshLoader(storeId, loader.id)
+            if (refreshResp.data) setDocumentStore(refreshResp.data)
+            enqueueSnackbar({
+                message: `Refreshing ${loader.loaderName}, only the changed chunks are replaced, edits of chunks whose source text changed are lost. Please Refresh to get the latest status.`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'success',
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        } catch (error) {
+            enqueueSnackbar({
+                message: `Failed to refresh loader: ${
+                    typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                }`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+    }
+
+    const onLoaderScheduleClicked = (loader) => {
+        setScheduleDialogProps({
+            title: `Refresh Schedule of ${loader.loaderName}`,
+            confirmButtonName: 'Save',
+            storeId,
+            loader
+        })
+        setShowScheduleDialog(true)
+    }
+
+    const onLoaderScheduleConfirm = (updatedStore) => {
+        setShowScheduleDialog(false)
+        setDocumentStore(updatedStore)
+    }
+
     const onConfirm = () => {
         setShowDialog(false)
         getSpecificDocumentStore.request(storeId)
@@ -318,6 +469,9 @@ const DocumentStoreDetails = () => {
                             <IconButton onClick={onStoreDelete} size='small' color='error' title='Delete Document Store' sx={{ mr: 2 }}>
                                 <IconTrash />
                             </IconButton>
+                            <IconButton onClick={onExportClicked} size='small' color='primary' title='Export Document Store' sx={{ mr: 2 }}>
+                                <IconFileExport />
+                            </IconButton>
                             {documentStore?.status === 'STALE' && (
                                 <Button variant='outlined' sx={{ mr: 2 }} startIcon={<IconRefresh />} onClick={onConfirm}>
                                     Refresh
@@ -333,6 +487,27 @@ const DocumentStoreDetails = () => {
                                     View Chunks
                                 </Button>
                             )}
+                            {documentStore?.vectorStoreConfig && (
+                                <IconButton onClick={onUpsertHistoryClicked} size='small' color='primary' title='Upsert History'>
+                                    <IconHistory />
+                                </IconButton>
+                            )}
+                            {documentStore?.totalChunks > 0 && (
+                                <Button
+                                    variant='outlined'
+                                    sx={{ borderRadius: 2, height: '100%' }}
+                                    startIcon={<IconDatabaseImport />}
+                                    disabled={documentStore?.status !== 'SYNC' && documentStore?.status !== 'UPSERTED'}
+                                    title={
+                                        documentStore?.status === 'UPSERTED'
+                                            ? 'Chunks are upserted, upsert again to update the vector store'
+                                            : 'Upsert the chunks to a vector store'
+                                    }
+                                    onClick={onUpsertClicked}
+                                >
+                                    Upsert to Vector Store
+                                </Button>
+                            )}
                             <StyledButton
                                 variant='contained'
                                 sx={{ borderRadius: 2, height: '100%', color: 'white' }}
@@ -377,7 +552,21 @@ const DocumentStoreDetails = () => {
                                 ))}
                             </Stack>
                         )}
-                        {!isLoading && documentStore && !documentStore?.loaders?.length ? (
+                        {documentStore?.loaders?.length > 0 && (
+                            <Tabs value={tabValue} onChange={(event, val) => setTabValue(val)} aria-label='tabs'>
+                                <Tab sx={{ minHeight: 40, height: 40 }} label='Document Loaders' />
+                                <Tab
+                                    sx={{ minHeight: 40, height: 40 }}
+                                    icon={<IconSearch size={18} />}
+                                    iconPosition='start'
+                                    label='Test Retrieval'
+                                    disabled={!documentStore?.totalChunks}
+                                />
+                            </Tabs>
+                        )}
+                        {tabValue === 1 && documentStore?.loaders?.length > 0 ? (
+                            <DocumentStoreRetrieval documentStore={documentStore} />
+                        ) : !isLoading && documentStore && !documentStore?.loaders?.length ? (
                             <Stack sx={{ alignItems: 'center', justifyContent: 'center' }} flexDirection='column'>
                                 <Box sx={{ p: 2, height: 'auto' }}>
                                     <img
@@ -417,6 +606,9 @@ const DocumentStoreDetails = () => {
                                             <StyledTableCell>Source(s)</StyledTableCell>
                                             <StyledTableCell>Chunks</StyledTableCell>
                                             <StyledTableCell>Chars</StyledTableCell>
+                                            <StyledTableCell>Schedule</StyledTableCell>
+                                            <StyledTableCell>Last Run</StyledTableCell>
+                                            <StyledTableCell>Next Run</StyledTableCell>
                                             <StyledTableCell>Actions</StyledTableCell>
                                         </TableRow>
                                     </TableHead>
@@ -445,6 +637,15 @@ const DocumentStoreDetails = () => {
                                                     <StyledTableCell>
                                                         <Skeleton variant='text' />
                                                     </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Skeleton variant='text' />
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Skeleton variant='text' />
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Skeleton variant='text' />
+                                                    </StyledTableCell>
                                                 </StyledTableRow>
                                                 <StyledTableRow>
                                                     <StyledTableCell>
@@ -468,6 +669,15 @@ const DocumentStoreDetails = () => {
                                                     <StyledTableCell>
                                                         <Skeleton variant='text' />
                                                     </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Skeleton variant='text' />
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Skeleton variant='text' />
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        <Skeleton variant='text' />
+                                                    </StyledTableCell>
                                                 </StyledTableRow>
                                             </>
                                         ) : (
@@ -483,6 +693,8 @@ const DocumentStoreDetails = () => {
                                                             onEditClick={() => openPreviewSettings(loader.id)}
                                                             onViewChunksClick={() => showStoredChunks(loader.id)}
                                                             onDeleteClick={() => onLoaderDelete(loader)}
+                                                            onRefreshClick={() => onLoaderRefresh(loader)}
+                                                            onScheduleClick={() => onLoaderScheduleClicked(loader)}
                                                         />
                                                     ))}
                                             </>
@@ -491,7 +703,7 @@ const DocumentStoreDetails = () => {
                                 </Table>
                             </TableContainer>
                         )}
-                        {getSpecificDocumentStore.data?.status === 'STALE' && (
+                        {tabValue === 0 && getSpecificDocumentStore.data?.status === 'STALE' && (
                             <div style={{ width: '100%', textAlign: 'center', marginTop: '20px' }}>
                                 <Typography
                                     color='warning'
@@ -520,6 +732,27 @@ const DocumentStoreDetails = () => {
                     onDocLoaderSelected={onDocLoaderSelected}
                 />
             )}
+            {showUpsertDialog && (
+                <VectorStoreUpsertDialog
+                    show={showUpsertDialog}
+                    dialogProps={upsertDialogProps}
+                    onCancel={() => setShowUpsertDialog(false)}
+                    onConfirm={onUpsertConfirm}
+                />
+            )}
+            {showScheduleDialog && (
+                <LoaderScheduleDialog
+                    show={showScheduleDialog}
+                    dialogProps={scheduleDialogProps}
+                    onCancel={() => setShowScheduleDialog(false)}
+                    onConfirm={onLoaderScheduleConfirm}
+                />
+            )}
+            <UpsertHistoryDialog
+                show={showUpsertHistoryDialog}
+                dialogProps={upsertHistoryDialogProps}
+                onCancel={() => setShowUpsertHistoryDialog(false)}
+            />
             <ConfirmDialog />
         </>
     )
@@ -571,6 +804,39 @@ function LoaderRow(props) {
                 <StyledTableCell onClick={props.onViewChunksClick}>
                     {props.loader.totalChars && <Chip variant='outlined' size='small' label={props.loader.totalChars.toLocaleString()} />}
                 </StyledTableCell>
+                <StyledTableCell onClick={props.onViewChunksClick}>
+                    {props.loader.schedule ? (
+                        <Chip variant='outlined' size='small' label={props.loader.schedule} sx={{ fontFamily: 'monospace' }} />
+                    ) : (
+                        'None'
+                    )}
+                </StyledTableCell>
+                <StyledTableCell onClick={props.onViewChunksClick}>
+                    {props.loader.lastRunDate ? (
+                        <Tooltip
+                            title={
+                                props.loader.lastRunError ??
+                                (props.loader.lastRunResult
+                                    ? `${props.loader.lastRunResult.added} chunks added, ${props.loader.lastRunResult.removed} removed, ${props.loader.lastRunResult.unchanged} unchanged`
+                                    : '')
+                            }
+                        >
+                            <span style={{ color: props.loader.lastRunError ? props.theme.palette.error.main : 'inherit' }}>
+                                {moment(props.loader.lastRunDate).format('MMM D, YYYY HH:mm')}
+                                {props.loader.lastRunError && ' (failed)'}
+                            </span>
+                        </Tooltip>
+                    ) : (
+                        '-'
+                    )}
+                </StyledTableCell>
+                <StyledTableCell onClick={props.onViewChunksClick}>
+                    {props.loader.status === 'SYNCING'
+                        ? 'Running'
+                        : props.loader.nextRunDate
+                        ? moment(props.loader.nextRunDate).format('MMM D, YYYY HH:mm')
+                        : '-'}
+                </StyledTableCell>
                 <StyledTableCell>
                     <div>
                         <Button
@@ -601,6 +867,27 @@ function LoaderRow(props) {
                                 <FileChunksIcon />
                                 View & Edit Chunks
                             </MenuItem>
+                            <MenuItem
+                                onClick={() => {
+                                    handleClose()
+                                    props.onRefreshClick()
+                                }}
+                                disabled={props.loader.status === 'SYNCING'}
+                                disableRipple
+                            >
+                                <FileRefreshIcon />
+                                Refresh Now
+                            </MenuItem>
+                            <MenuItem
+                                onClick={() => {
+                                    handleClose()
+                                    props.onScheduleClick()
+                                }}
+                                disableRipple
+                            >
+                                <FileScheduleIcon />
+                                Refresh Schedule
+                            </MenuItem>
                             <Divider sx={{ my: 0.5 }} />
                             <MenuItem onClick={props.onDeleteClick} disableRipple>
                                 <FileDeleteIcon />
@@ -621,6 +908,8 @@ LoaderRow.propTypes = {
     theme: PropTypes.any,
     onViewChunksClick: PropTypes.func,
     onEditClick: PropTypes.func,
-    onDeleteClick: PropTypes.func
+    onDeleteClick: PropTypes.func,
+    onRefreshClick: PropTypes.func,
+    onScheduleClick: PropTypes.func
 }
 export default DocumentStoreDetails
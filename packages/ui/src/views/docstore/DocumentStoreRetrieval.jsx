@@ -0,0 +1,241 @@
+import PropTypes from 'prop-types'
+import { useEffect, useState } from 'react'
+import { useDispatch } from 'react-redux'
+
+// Material
+import {
+    Box,
+    Button,
+    Card,
+    CardContent,
+    Chip,
+    CircularProgress,
+    OutlinedInput,
+    Stack,
+    ToggleButton,
+    ToggleButtonGroup,
+    Typography
+} from '@mui/material'
+import { useTheme } from '@mui/material/styles'
+
+// Project imports
+import { StyledButton } from '@/ui-component/button/StyledButton'
+import { Dropdown } from '@/ui-component/dropdown/Dropdown'
+import ComponentNodeSection, { createComponentNode, getComponentConfig, hasMandatoryFields } from '@/views/docstore/ComponentNodeSection'
+
+// Icons
+import { IconSearch, IconX } from '@tabler/icons-react'
+
+// API
+import documentStoreApi from '@/api/documentstore'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+// const
+import { closeSnackbar as closeSnackbarAction, enqueueSnackbar as enqueueSnackbarAction } from '@/store/actions'
+
+const DEFAULT_TOP_K = 4
+
+const DocumentStoreRetrieval = ({ documentStore }) => {
+    const theme = useTheme()
+    const dispatch = useDispatch()
+
+    // ==============================|| Snackbar ||============================== //
+
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const getEmbeddingsApi = useApi(documentStoreApi.getUpsertComponents)
+
+    const [query, setQuery] = useState('')
+    const [mode, setMode] = useState('keyword')
+    const [topK, setTopK] = useState(DEFAULT_TOP_K)
+    const [loaderId, setLoaderId] = useState('all')
+    const [embeddingNode, setEmbeddingNode] = useState({})
+    const [loading, setLoading] = useState(false)
+    const [queryResult, setQueryResult] = useState(null)
+
+    const loaderOptions = [
+        { label: 'All Loaders', name: 'all' },
+        ...(documentStore.loaders ?? []).map((loader) => ({ label: loader.loaderName, name: loader.id, description: loader.source }))
+    ]
+
+    useEffect(() => {
+        if (mode === 'embeddings' && !getEmbeddingsApi.data) getEmbeddingsApi.request('embeddings')
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [mode])
+
+    // Start from the embeddings of the last upsert, to test the retrieval of the vector store
+    useEffect(() => {
+        if (getEmbeddingsApi.data && documentStore.embeddingConfig) {
+            setEmbeddingNode(createComponentNode(getEmbeddingsApi.data, documentStore.embeddingConfig.name, documentStore.embeddingConfig))
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [getEmbeddingsApi.data])
+
+    const onSearch = async () => {
+        if (mode === 'embeddings' && !hasMandatoryFields(embeddingNode)) {
+            enqueueSnackbar({
+                message: 'Please fill in all mandatory fields of the embeddings.',
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'warning',
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+            return
+        }
+
+        setLoading(true)
+        try {
+            const queryResp = await documentStoreApi.queryDocumentStore({
+                storeId: documentStore.id,
+                query,
+                mode,
+                topK: parseInt(topK, 10) || DEFAULT_TOP_K,
+                loaderId: loaderId === 'all' ? undefined : loaderId,
+                embedding: mode === 'embeddings' ? getComponentConfig(embeddingNode) : undefined
+            })
+            setQueryResult(queryResp.data)
+        } catch (error) {
+            enqueueSnackbar({
+                message: `Failed to test retrieval: ${
+                    typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                }`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+        setLoading(false)
+    }
+
+    return (
+        <Stack flexDirection='column' sx={{ gap: 2 }}>
+            <Typography variant='body2'>
+                Check which chunks are retrieved for a question before upserting. Keyword search ranks the chunks with BM25, embeddings
+                search ranks them by cosine similarity, like most vector stores.
+            </Typography>
+            <Stack flexDirection='row' sx={{ gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+                <ToggleButtonGroup
+                    sx={{ borderRadius: 2 }}
+                    size='small'
+                    value={mode}
+                    color='primary'
+                    exclusive
+                    onChange={(event, newMode) => newMode && setMode(newMode)}
+                >
+                    <ToggleButton sx={{ borderRadius: 2, px: 2 }} value='keyword'>
+                        Keyword (BM25)
+                    </ToggleButton>
+                    <ToggleButton sx={{ borderRadius: 2, px: 2 }} value='embeddings'>
+                        Embeddings
+                    </ToggleButton>
+                </ToggleButtonGroup>
+                <Box sx={{ width: 300 }}>
+                    <Dropdown
+                        key={`retrievalLoader_${loaderOptions.length}`}
+                        name='retrievalLoader'
+                        options={loaderOptions}
+                        onSelect={(newValue) => setLoaderId(newValue || 'all')}
+                        value={loaderId}
+                        disableClearable={true}
+                    />
+                </Box>
+                <Stack flexDirection='row' sx={{ gap: 1, alignItems: 'center' }}>
+                    <Typography>Top K</Typography>
+                    <OutlinedInput
+                        size='small'
+                        type='number'
+                        sx={{ width: 90 }}
+                        inputProps={{ min: 1 }}
+                        onChange={(e) => setTopK(e.target.value)}
+                        value={topK}
+                    />
+                </Stack>
+            </Stack>
+            {mode === 'embeddings' && (
+                <Box sx={{ border: 1, borderColor: theme.palette.grey[900] + 25, borderRadius: 2, pb: 2 }}>
+                    <ComponentNodeSection
+                        title='Embeddings'
+                        components={getEmbeddingsApi.data ?? []}
+                        nodeData={embeddingNode}
+                        onSelect={(name) =>
+                            setEmbeddingNode(createComponentNode(getEmbeddingsApi.data ?? [], name, documentStore.embeddingConfig))
+                        }
+                    />
+                </Box>
+            )}
+            <Stack flexDirection='row' sx={{ gap: 2 }}>
+                <OutlinedInput
+                    size='small'
+                    fullWidth
+                    placeholder='Ask a question the chunks should answer'
+                    onChange={(e) => setQuery(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter' && query && !loading) onSearch()
+                    }}
+                    value={query}
+                />
+                <StyledButton
+                    variant='contained'
+                    sx={{ borderRadius: 2, color: 'white', minWidth: 'max-content' }}
+                    disabled={!query || loading || (mode === 'embeddings' && !embeddingNode.name)}
+                    startIcon={loading ? <CircularProgress size={16} color='inherit' /> : <IconSearch />}
+                    onClick={onSearch}
+                >
+                    Test Retrieval
+                </StyledButton>
+            </Stack>
+            {queryResult && (
+                <>
+                    <Typography variant='caption'>
+                        {queryResult.results.length} of {queryResult.totalChunks.toLocaleString()} chunks retrieved in{' '}
+                        {queryResult.timeTaken.toLocaleString()} ms
+                    </Typography>
+                    {queryResult.results.map((result, index) => (
+                        <Card key={result.chunk.id} variant='outlined' sx={{ borderRadius: 2 }}>
+                            <CardContent>
+                                <Stack flexDirection='row' sx={{ gap: 1, alignItems: 'center', mb: 1 }}>
+                                    <Typography variant='h5'>#{index + 1}</Typography>
+                                    <Chip size='small' color='primary' label={`Score ${result.score.toFixed(4)}`} />
+                                    <Chip size='small' variant='outlined' label={`${result.loaderName} - Chunk ${result.chunk.chunkNo}`} />
+                                    <Typography variant='caption'>{result.chunk.pageContent.length.toLocaleString()} chars</Typography>
+                                </Stack>
+                                <Typography
+                                    variant='body2'
+                                    sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', maxHeight: 200, overflowY: 'auto' }}
+                                >
+                                    {result.chunk.pageContent}
+                                </Typography>
+                            </CardContent>
+                        </Card>
+                    ))}
+                </>
+            )}
+        </Stack>
+    )
+}
+
+DocumentStoreRetrieval.propTypes = {
+    documentStore: PropTypes.object
+}
+
+export default DocumentStoreRetrieval
@@ -20,6 +20,8 @@ const DocumentStoreStatus = ({ status, isTableView }) => {
                 return ['#cdf5d8', '#00e676', '#00c853']
             case 'NEW':
                 return ['#e3f2fd', '#2196f3', '#1e88e5']
+            case 'UPSERTED':
+                return ['#e0f2f1', '#26a69a', '#00897b']
             default:
                 return customization.isDarkMode
                     ? [theme.palette.grey[300], theme.palette.grey[500], theme.palette.grey[700]]
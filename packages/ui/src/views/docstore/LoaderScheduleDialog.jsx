@@ -0,0 +1,176 @@
+import { createPortal } from 'react-dom'
+import PropTypes from 'prop-types'
+import { useEffect, useState } from 'react'
+import { useDispatch } from 'react-redux'
+import {
+    HIDE_CANVAS_DIALOG,
+    SHOW_CANVAS_DIALOG,
+    enqueueSnackbar as enqueueSnackbarAction,
+    closeSnackbar as closeSnackbarAction
+} from '@/store/actions'
+
+// Material
+import { Button, Chip, Dialog, DialogActions, DialogContent, DialogTitle, Box, Stack, Typography, OutlinedInput } from '@mui/material'
+
+// Project imports
+import { StyledButton } from '@/ui-component/button/StyledButton'
+
+// Icons
+import { IconX, IconCalendarTime } from '@tabler/icons-react'
+
+// API
+import documentStoreApi from '@/api/documentstore'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+const SCHEDULE_PRESETS = [
+    { label: 'Every hour', schedule: '0 * * * *' },
+    { label: 'Every 6 hours', schedule: '0 */6 * * *' },
+    { label: 'Every day at midnight', schedule: '0 0 * * *' },
+    { label: 'Every Monday', schedule: '0 0 * * 1' },
+    { label: 'First day of the month', schedule: '0 0 1 * *' }
+]
+
+const LoaderScheduleDialog = ({ show, dialogProps, onCancel, onConfirm }) => {
+    const portalElement = document.getElementById('portal')
+
+    const dispatch = useDispatch()
+
+    // ==============================|| Snackbar ||============================== //
+
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const [schedule, setSchedule] = useState('')
+
+    const loader = dialogProps.loader ?? {}
+
+    useEffect(() => {
+        setSchedule(dialogProps.loader?.schedule ?? '')
+    }, [dialogProps])
+
+    useEffect(() => {
+        if (show) dispatch({ type: SHOW_CANVAS_DIALOG })
+        else dispatch({ type: HIDE_CANVAS_DIALOG })
+        return () => dispatch({ type: HIDE_CANVAS_DIALOG })
+    }, [show, dispatch])
+
+    const saveSchedule = async (newSchedule) => {
+        try {
+            const saveResp = await documentStoreApi.updateLoaderSchedule(dialogProps.storeId, loader.id, { schedule: newSchedule })
+            if (saveResp.data) {
+                enqueueSnackbar({
+                    message: newSchedule ? 'Refresh schedule saved' : 'Refresh schedule removed',
+                    options: {
+                        key: new Date().getTime() + Math.random(),
+                        variant: 'success',
+                        action: (key) => (
+                            <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                                <IconX />
+                            </Button>
+                        )
+                    }
+                })
+                onConfirm(saveResp.data)
+            }
+        } catch (error) {
+            enqueueSnackbar({
+                message: `Failed to save refresh schedule: ${
+                    typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                }`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+    }
+
+    const component = show ? (
+        <Dialog
+            fullWidth
+            maxWidth='sm'
+            open={show}
+            onClose={onCancel}
+            aria-labelledby='alert-dialog-title'
+            aria-describedby='alert-dialog-description'
+        >
+            <DialogTitle style={{ fontSize: '1rem' }} id='alert-dialog-title'>
+                <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                    <IconCalendarTime style={{ marginRight: '10px' }} />
+                    {dialogProps.title}
+                </div>
+            </DialogTitle>
+            <DialogContent>
+                <Box sx={{ p: 2 }}>
+                    <Typography variant='body2'>
+                        {loader.loaderName} is reprocessed with its saved configuration on this schedule. Only the chunks whose content
+                        changed are replaced, the store has to be upserted again when chunks changed. Edited chunks are kept while the text
+                        they were split from is unchanged, otherwise the refresh replaces them and the edits are lost.
+                    </Typography>
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Typography>
+                        Cron Expression<span style={{ color: 'red' }}>&nbsp;*</span>
+                    </Typography>
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        type='string'
+                        fullWidth
+                        placeholder='minute hour day-of-month month day-of-week'
+                        key='loaderSchedule'
+                        onChange={(e) => setSchedule(e.target.value)}
+                        value={schedule}
+                    />
+                    <Typography variant='caption'>
+                        5 fields in the server time zone, e.g. <code>*/30 * * * *</code> runs every 30 minutes
+                    </Typography>
+                    <Stack direction='row' sx={{ mt: 1.5, flexWrap: 'wrap', gap: 1 }}>
+                        {SCHEDULE_PRESETS.map((preset) => (
+                            <Chip
+                                key={preset.schedule}
+                                size='small'
+                                variant={preset.schedule === schedule.trim() ? 'filled' : 'outlined'}
+                                label={preset.label}
+                                onClick={() => setSchedule(preset.schedule)}
+                            />
+                        ))}
+                    </Stack>
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                {loader.schedule && (
+                    <Button color='error' onClick={() => saveSchedule('')}>
+                        Remove Schedule
+                    </Button>
+                )}
+                <div style={{ flexGrow: 1 }}></div>
+                <Button onClick={() => onCancel()}>Cancel</Button>
+                <StyledButton disabled={!schedule.trim()} variant='contained' onClick={() => saveSchedule(schedule.trim())}>
+                    {dialogProps.confirmButtonName}
+                </StyledButton>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+LoaderScheduleDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func,
+    onConfirm: PropTypes.func
+}
+
+export default LoaderScheduleDialog
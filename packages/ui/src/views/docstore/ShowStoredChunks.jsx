@@ -4,10 +4,20 @@ import { useNavigate } from 'react-router-dom'
 import ReactJson from 'flowise-react-json-view'
 
 // material-ui
-import { Box, Card, Button, Grid, IconButton, Stack, Typography } from '@mui/material'
+import { Autocomplete, Box, Card, Button, Checkbox, Grid, IconButton, OutlinedInput, Stack, TextField, Typography } from '@mui/material'
 import { useTheme, styled } from '@mui/material/styles'
 import CardContent from '@mui/material/CardContent'
-import { IconLanguage, IconX, IconChevronLeft, IconChevronRight } from '@tabler/icons-react'
+import {
+    IconLanguage,
+    IconX,
+    IconChevronLeft,
+    IconChevronRight,
+    IconFilter,
+    IconFilterOff,
+    IconReplace,
+    IconTags,
+    IconTrash
+} from '@tabler/icons-react'
 import chunks_emptySVG from '@/assets/images/chunks_empty.svg'
 
 // project imports
@@ -15,6 +25,8 @@ import MainCard from '@/ui-component/cards/MainCard'
 import { BackdropLoader } from '@/ui-component/loading/BackdropLoader'
 import ConfirmDialog from '@/ui-component/dialog/ConfirmDialog'
 import ExpandedChunkDialog from './ExpandedChunkDialog'
+import ChunkMetadataDialog from './ChunkMetadataDialog'
+import ChunkFindReplaceDialog from './ChunkFindReplaceDialog'
 import ViewHeader from '@/layout/MainLayout/ViewHeader'
 
 // API
@@ -73,6 +85,156 @@ const ShowStoredChunks = () => {
     const [showExpandedChunkDialog, setShowExpandedChunkDialog] = useState(false)
     const [expandedChunkDialogProps, setExpandedChunkDialogProps] = useState({})
     const [fileNames, setFileNames] = useState([])
+    const [filter, setFilter] = useState({})
+    const [metadataKeys, setMetadataKeys] = useState([])
+    const [metadataKey, setMetadataKey] = useState('')
+    const [metadataValue, setMetadataValue] = useState('')
+    const [search, setSearch] = useState('')
+    const [selectedChunkIds, setSelectedChunkIds] = useState([])
+    const [selectAllMatching, setSelectAllMatching] = useState(false)
+    const [showMetadataDialog, setShowMetadataDialog] = useState(false)
+    const [metadataDialogProps, setMetadataDialogProps] = useState({})
+    const [showFindReplaceDialog, setShowFindReplaceDialog] = useState(false)
+    const [findReplaceDialogProps, setFindReplaceDialogProps] = useState({})
+
+    const selectedCount = selectAllMatching ? totalChunks : selectedChunkIds.length
+    const isPageSelected = documentChunks.length > 0 && documentChunks.every((chunk) => selectedChunkIds.includes(chunk.id))
+    const isFiltered = Object.keys(filter).length > 0
+
+    const applyFilter = (newFilter) => {
+        setFilter(newFilter)
+        setSelectedChunkIds([])
+        setSelectAllMatching(false)
+        setLoading(true)
+        getChunksApi.request(storeId, fileId, 1, newFilter)
+    }
+
+    const onApplyFilter = () => {
+        const newFilter = {}
+        if (metadataKey) newFilter.metadataKey = metadataKey
+        if (metadataKey && metadataValue) newFilter.metadataValue = metadataValue
+        if (search) newFilter.search = search
+        applyFilter(newFilter)
+    }
+
+    const onClearFilter = () => {
+        setMetadataKey('')
+        setMetadataValue('')
+        setSearch('')
+        applyFilter({})
+    }
+
+    const toggleChunkSelection = (chunkId) => {
+        setSelectAllMatching(false)
+        setSelectedChunkIds(
+            selectedChunkIds.includes(chunkId) ? selectedChunkIds.filter((id) => id !== chunkId) : [...selectedChunkIds, chunkId]
+        )
+    }
+
+    const togglePageSelection = () => {
+        const pageChunkIds = documentChunks.map((chunk) => chunk.id)
+        setSelectAllMatching(false)
+        setSelectedChunkIds(
+            isPageSelected
+                ? selectedChunkIds.filter((id) => !pageChunkIds.includes(id))
+                : [...selectedChunkIds, ...pageChunkIds.filter((id) => !selectedChunkIds.includes(id))]
+        )
+    }
+
+    const clearSelection = () => {
+        setSelectedChunkIds([])
+        setSelectAllMatching(false)
+    }
+
+    // Without selection, the operations apply to all the chunks matching the filter
+    const getChunkSelection = () =>
+        selectAllMatching || !selectedChunkIds.length
+            ? { all: true, loaderId: fileId === 'all' ? undefined : fileId, filter }
+            : { chunkIds: selectedChunkIds }
+
+    const runBulkOperation = async (bulkApi, body, getMessage) => {
+        setLoading(true)
+        try {
+            const bulkResp = await bulkApi(storeId, { ...getChunkSelection(), ...body })
+            enqueueSnackbar({
+                message: getMessage(bulkResp.data),
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'success',
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+            clearSelection()
+            getChunksApi.request(storeId, fileId, 1, { ...filter, metadataKeys: true })
+        } catch (error) {
+            setLoading(false)
+            enqueueSnackbar({
+                message: `Failed to update chunks: ${
+                    typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                }`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+    }
+
+    const onBulkDelete = async () => {
+        const confirmPayload = {
+            title: `Delete`,
+            description: `Delete ${selectedCount.toLocaleString()} chunk(s) ? This action cannot be undone.`,
+            confirmButtonName: 'Delete',
+            cancelButtonName: 'Cancel'
+        }
+        const isConfirmed = await confirm(confirmPayload)
+        if (isConfirmed) {
+            runBulkOperation(documentsApi.bulkDeleteChunks, {}, (result) => `${result.deleted.toLocaleString()} chunk(s) deleted`)
+        }
+    }
+
+    const onEditMetadataClicked = () => {
+        setMetadataDialogProps({
+            title: 'Edit Metadata',
+            confirmButtonName: 'Save',
+            count: selectedCount,
+            metadataKeys
+        })
+        setShowMetadataDialog(true)
+    }
+
+    const onMetadataConfirm = (body) => {
+        setShowMetadataDialog(false)
+        runBulkOperation(
+            documentsApi.bulkUpdateChunkMetadata,
+            body,
+            (result) => `Metadata of ${result.updated.toLocaleString()} chunk(s) updated`
+        )
+    }
+
+    const onFindReplaceClicked = () => {
+        setFindReplaceDialogProps({
+            title: 'Find & Replace',
+            confirmButtonName: 'Replace All',
+            count: selectedCount || totalChunks
+        })
+        setShowFindReplaceDialog(true)
+    }
+
+    const onFindReplaceConfirm = (body) => {
+        setShowFindReplaceDialog(false)
+        runBulkOperation(documentsApi.bulkReplaceChunkContent, body, (result) => `${result.updated.toLocaleString()} chunk(s) updated`)
+    }
 
     const chunkSelected = (chunkId) => {
         const selectedChunk = documentChunks.find((chunk) => chunk.id === chunkId)
@@ -111,7 +273,7 @@ const ShowStoredChunks = () => {
                         )
                     }
                 })
-                getChunksApi.request(storeId, fileId, currentPage)
+                getChunksApi.request(storeId, fileId, currentPage, { ...filter, metadataKeys: true })
             }
             setLoading(false)
         } catch (error) {
@@ -160,7 +322,7 @@ const ShowStoredChunks = () => {
                             )
                         }
                     })
-                    getChunksApi.request(storeId, fileId, currentPage)
+                    getChunksApi.request(storeId, fileId, currentPage, filter)
                 }
                 setLoading(false)
             } catch (error) {
@@ -185,14 +347,15 @@ const ShowStoredChunks = () => {
 
     useEffect(() => {
         setLoading(true)
-        getChunksApi.request(storeId, fileId, currentPage)
+        // metadata keys are read once, and again after the metadata of chunks is edited
+        getChunksApi.request(storeId, fileId, currentPage, { ...filter, metadataKeys: true })
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [])
 
     const changePage = (newPage) => {
         setLoading(true)
         setCurrentPage(newPage)
-        getChunksApi.request(storeId, fileId, newPage)
+        getChunksApi.request(storeId, fileId, newPage, filter)
     }
 
     useEffect(() => {
@@ -204,6 +367,7 @@ const ShowStoredChunks = () => {
             setCurrentPage(data.currentPage)
             setStart(data.currentPage * 50 - 49)
             setEnd(data.currentPage * 50 > data.count ? data.count : data.currentPage * 50)
+            if (data.metadataKeys) setMetadataKeys(data.metadataKeys)
             if (data.file?.files && data.file.files.length > 0) {
                 const fileNames = []
                 for (const attachedFile of data.file.files) {
@@ -313,6 +477,94 @@ const ShowStoredChunks = () => {
                                 {getChunksApi.data?.file?.totalChars?.toLocaleString()} characters
                             </div>
                         </div>
+                        <Stack flexDirection='row' sx={{ gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 1 }}>
+                            <Autocomplete
+                                freeSolo
+                                size='small'
+                                sx={{ width: 220 }}
+                                options={metadataKeys}
+                                inputValue={metadataKey}
+                                onInputChange={(event, newKey) => setMetadataKey(newKey ?? '')}
+                                renderInput={(params) => <TextField {...params} placeholder='Metadata key' />}
+                            />
+                            <OutlinedInput
+                                size='small'
+                                sx={{ width: 220 }}
+                                placeholder='Metadata value'
+                                disabled={!metadataKey}
+                                onChange={(e) => setMetadataValue(e.target.value)}
+                                value={metadataValue}
+                            />
+                            <OutlinedInput
+                                size='small'
+                                sx={{ width: 260 }}
+                                placeholder='Content contains'
+                                onChange={(e) => setSearch(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && onApplyFilter()}
+                                value={search}
+                            />
+                            <Button variant='outlined' sx={{ borderRadius: 2 }} startIcon={<IconFilter />} onClick={onApplyFilter}>
+                                Filter
+                            </Button>
+                            {isFiltered && (
+                                <Button sx={{ borderRadius: 2 }} startIcon={<IconFilterOff />} onClick={onClearFilter}>
+                                    Clear
+                                </Button>
+                            )}
+                        </Stack>
+                        {documentChunks.length > 0 && (
+                            <Stack flexDirection='row' sx={{ gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 1 }}>
+                                <Checkbox
+                                    size='small'
+                                    checked={selectAllMatching || isPageSelected}
+                                    indeterminate={!selectAllMatching && !isPageSelected && selectedChunkIds.length > 0}
+                                    onChange={togglePageSelection}
+                                    title='Select page'
+                                />
+                                <Typography variant='body2'>
+                                    {selectedCount > 0 ? `${selectedCount.toLocaleString()} selected` : 'Select page'}
+                                </Typography>
+                                {isPageSelected && !selectAllMatching && totalChunks > selectedChunkIds.length && (
+                                    <Button size='small' onClick={() => setSelectAllMatching(true)}>
+                                        Select all {totalChunks.toLocaleString()} {isFiltered ? 'matching ' : ''}chunks
+                                    </Button>
+                                )}
+                                {selectedCount > 0 && (
+                                    <Button size='small' onClick={clearSelection}>
+                                        Clear selection
+                                    </Button>
+                                )}
+                                <div style={{ flexGrow: 1 }}></div>
+                                <Button
+                                    variant='outlined'
+                                    sx={{ borderRadius: 2 }}
+                                    startIcon={<IconReplace />}
+                                    onClick={onFindReplaceClicked}
+                                    title={selectedCount ? 'Replace in the selected chunks' : 'Replace in all the chunks shown'}
+                                >
+                                    Find & Replace
+                                </Button>
+                                <Button
+                                    variant='outlined'
+                                    sx={{ borderRadius: 2 }}
+                                    startIcon={<IconTags />}
+                                    disabled={!selectedCount}
+                                    onClick={onEditMetadataClicked}
+                                >
+                                    Edit Metadata
+                                </Button>
+                                <Button
+                                    variant='outlined'
+                                    color='error'
+                                    sx={{ borderRadius: 2 }}
+                                    startIcon={<IconTrash />}
+                                    disabled={!selectedCount}
+                                    onClick={onBulkDelete}
+                                >
+                                    Delete
+                                </Button>
+                            </Stack>
+                        )}
                     </div>
                     <div>
                         <Grid container spacing={2}>
@@ -345,9 +597,18 @@ const ShowStoredChunks = () => {
                                         >
                                             <Card>
                                                 <CardContent sx={{ p: 2 }}>
-                                                    <Typography sx={{ wordWrap: 'break-word', mb: 1 }} variant='h5'>
-                                                        {`#${row.chunkNo}. Characters: ${row.pageContent.length}`}
-                                                    </Typography>
+                                                    <Stack flexDirection='row' sx={{ alignItems: 'center', mb: 1 }}>
+                                                        <Typography sx={{ wordWrap: 'break-word', flexGrow: 1 }} variant='h5'>
+                                                            {`#${row.chunkNo}. Characters: ${row.pageContent.length}`}
+                                                        </Typography>
+                                                        <Checkbox
+                                                            size='small'
+                                                            sx={{ p: 0 }}
+                                                            checked={selectAllMatching || selectedChunkIds.includes(row.id)}
+                                                            onClick={(e) => e.stopPropagation()}
+                                                            onChange={() => toggleChunkSelection(row.id)}
+                                                        />
+                                                    </Stack>
                                                     <Typography sx={{ wordWrap: 'break-word' }} variant='body2'>
                                                         {row.pageContent}
                                                     </Typography>
@@ -378,6 +639,22 @@ const ShowStoredChunks = () => {
                 onChunkEdit={(newPageContent, newMetadata, selectedChunk) => onChunkEdit(newPageContent, newMetadata, selectedChunk)}
                 onDeleteChunk={(selectedChunk) => onDeleteChunk(selectedChunk)}
             ></ExpandedChunkDialog>
+            {showMetadataDialog && (
+                <ChunkMetadataDialog
+                    show={showMetadataDialog}
+                    dialogProps={metadataDialogProps}
+                    onCancel={() => setShowMetadataDialog(false)}
+                    onConfirm={onMetadataConfirm}
+                />
+            )}
+            {showFindReplaceDialog && (
+                <ChunkFindReplaceDialog
+                    show={showFindReplaceDialog}
+                    dialogProps={findReplaceDialogProps}
+                    onCancel={() => setShowFindReplaceDialog(false)}
+                    onConfirm={onFindReplaceConfirm}
+                />
+            )}
             {loading && <BackdropLoader open={loading} />}
         </>
     )
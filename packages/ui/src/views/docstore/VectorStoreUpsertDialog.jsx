@@ -0,0 +1,218 @@
+import { createPortal } from 'react-dom'
+import PropTypes from 'prop-types'
+import { useEffect, useState } from 'react'
+import { useDispatch } from 'react-redux'
+
+// Material
+import { Button, CircularProgress, Dialog, DialogActions, DialogContent, DialogTitle, Divider, Typography } from '@mui/material'
+
+// Project imports
+import { StyledButton } from '@/ui-component/button/StyledButton'
+import ComponentNodeSection, { createComponentNode, getComponentConfig, hasMandatoryFields } from '@/views/docstore/ComponentNodeSection'
+
+// Icons
+import { IconDatabaseImport, IconX } from '@tabler/icons-react'
+
+// API
+import documentStoreApi from '@/api/documentstore'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+// const
+import {
+    closeSnackbar as closeSnackbarAction,
+    enqueueSnackbar as enqueueSnackbarAction,
+    HIDE_CANVAS_DIALOG,
+    SHOW_CANVAS_DIALOG
+} from '@/store/actions'
+
+const VectorStoreUpsertDialog = ({ show, dialogProps, onCancel, onConfirm }) => {
+    const portalElement = document.getElementById('portal')
+
+    const dispatch = useDispatch()
+
+    // ==============================|| Snackbar ||============================== //
+
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const getEmbeddingsApi = useApi(documentStoreApi.getUpsertComponents)
+    const getVectorStoresApi = useApi(documentStoreApi.getUpsertComponents)
+    const getRecordManagersApi = useApi(documentStoreApi.getUpsertComponents)
+
+    const [embeddingNode, setEmbeddingNode] = useState({})
+    const [vectorStoreNode, setVectorStoreNode] = useState({})
+    const [recordManagerNode, setRecordManagerNode] = useState({})
+    const [loading, setLoading] = useState(false)
+
+    const documentStore = dialogProps.documentStore ?? {}
+
+    useEffect(() => {
+        if (show) {
+            getEmbeddingsApi.request('embeddings')
+            getVectorStoresApi.request('vectorstore')
+            getRecordManagersApi.request('recordmanager')
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [show])
+
+    useEffect(() => {
+        if (show) dispatch({ type: SHOW_CANVAS_DIALOG })
+        else dispatch({ type: HIDE_CANVAS_DIALOG })
+        return () => dispatch({ type: HIDE_CANVAS_DIALOG })
+    }, [show, dispatch])
+
+    // Start from the configs of the last upsert
+    useEffect(() => {
+        if (getEmbeddingsApi.data && documentStore.embeddingConfig) {
+            setEmbeddingNode(createComponentNode(getEmbeddingsApi.data, documentStore.embeddingConfig.name, documentStore.embeddingConfig))
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [getEmbeddingsApi.data])
+
+    useEffect(() => {
+        if (getVectorStoresApi.data && documentStore.vectorStoreConfig) {
+            setVectorStoreNode(
+                createComponentNode(getVectorStoresApi.data, documentStore.vectorStoreConfig.name, documentStore.vectorStoreConfig)
+            )
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [getVectorStoresApi.data])
+
+    useEffect(() => {
+        if (getRecordManagersApi.data && documentStore.recordManagerConfig) {
+            setRecordManagerNode(
+                createComponentNode(getRecordManagersApi.data, documentStore.recordManagerConfig.name, documentStore.recordManagerConfig)
+            )
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [getRecordManagersApi.data])
+
+    const onUpsert = async () => {
+        const selectedNodes = [embeddingNode, vectorStoreNode, recordManagerNode].filter((nodeData) => nodeData.name)
+        if (!selectedNodes.every(hasMandatoryFields)) {
+            enqueueSnackbar({
+                message: 'Please fill in all mandatory fields.',
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'warning',
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+            return
+        }
+
+        setLoading(true)
+        try {
+            const upsertResp = await documentStoreApi.insertIntoVectorStore({
+                storeId: documentStore.id,
+                embedding: getComponentConfig(embeddingNode),
+                vectorStore: getComponentConfig(vectorStoreNode),
+                recordManager: recordManagerNode.name ? getComponentConfig(recordManagerNode) : undefined
+            })
+            setLoading(false)
+            onConfirm(upsertResp.data)
+        } catch (error) {
+            setLoading(false)
+            enqueueSnackbar({
+                message: `Failed to upsert: ${typeof error.response.data === 'object' ? error.response.data.message : error.response.data}`,
+                options: {
+                    key: new Date().getTime() + Math.random(),
+                    variant: 'error',
+                    persist: true,
+                    action: (key) => (
+                        <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                            <IconX />
+                        </Button>
+                    )
+                }
+            })
+        }
+    }
+
+    const component = show ? (
+        <Dialog
+            fullWidth
+            maxWidth='md'
+            open={show}
+            onClose={loading ? undefined : onCancel}
+            aria-labelledby='alert-dialog-title'
+            aria-describedby='alert-dialog-description'
+        >
+            <DialogTitle sx={{ fontSize: '1rem' }} id='alert-dialog-title'>
+                <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                    <IconDatabaseImport style={{ marginRight: '10px' }} />
+                    {dialogProps.title}
+                </div>
+            </DialogTitle>
+            <DialogContent>
+                <Typography variant='body2' sx={{ px: 2 }}>
+                    The {documentStore.totalChunks?.toLocaleString() ?? 0} chunks of the store are embedded and upserted to the vector
+                    store. With a record manager, chunks that were already upserted are skipped.
+                </Typography>
+                <ComponentNodeSection
+                    title='Embeddings'
+                    components={getEmbeddingsApi.data ?? []}
+                    nodeData={embeddingNode}
+                    onSelect={(name) =>
+                        setEmbeddingNode(createComponentNode(getEmbeddingsApi.data ?? [], name, documentStore.embeddingConfig))
+                    }
+                />
+                <Divider sx={{ my: 1 }} />
+                <ComponentNodeSection
+                    title='Vector Store'
+                    components={getVectorStoresApi.data ?? []}
+                    nodeData={vectorStoreNode}
+                    onSelect={(name) =>
+                        setVectorStoreNode(createComponentNode(getVectorStoresApi.data ?? [], name, documentStore.vectorStoreConfig))
+                    }
+                />
+                <Divider sx={{ my: 1 }} />
+                <ComponentNodeSection
+                    title='Record Manager'
+                    optional={true}
+                    components={getRecordManagersApi.data ?? []}
+                    nodeData={recordManagerNode}
+                    onSelect={(name) =>
+                        setRecordManagerNode(createComponentNode(getRecordManagersApi.data ?? [], name, documentStore.recordManagerConfig))
+                    }
+                />
+            </DialogContent>
+            <DialogActions>
+                <Button disabled={loading} onClick={onCancel}>
+                    {dialogProps.cancelButtonName}
+                </Button>
+                <StyledButton
+                    disabled={loading || !embeddingNode.name || !vectorStoreNode.name}
+                    variant='contained'
+                    startIcon={loading ? <CircularProgress size={16} color='inherit' /> : <IconDatabaseImport />}
+                    onClick={onUpsert}
+                    id='btn_upsertDocumentStore'
+                >
+                    {dialogProps.confirmButtonName}
+                </StyledButton>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+VectorStoreUpsertDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func,
+    onConfirm: PropTypes.func
+}
+
+export default VectorStoreUpsertDialog
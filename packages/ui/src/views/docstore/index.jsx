@@ -1,10 +1,11 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { useSelector } from 'react-redux'
+import { useDispatch, useSelector } from 'react-redux'
 
 // material-ui
 import {
     Box,
+    Button,
     Paper,
     Skeleton,
     Stack,
@@ -34,12 +35,17 @@ import useApi from '@/hooks/useApi'
 import documentsApi from '@/api/documentstore'
 
 // icons
-import { IconPlus, IconLayoutGrid, IconList } from '@tabler/icons-react'
+import { IconPlus, IconLayoutGrid, IconList, IconFileUpload, IconX } from '@tabler/icons-react'
 import doc_store_empty from '@/assets/images/doc_store_empty.svg'
 
 // const
 import { baseURL, gridSpacing } from '@/store/constant'
 
+// utils
+import { getAuthorsCaption } from '@/utils/genericHelper'
+import useNotifier from '@/utils/useNotifier'
+import { closeSnackbar as closeSnackbarAction, enqueueSnackbar as enqueueSnackbarAction } from '@/store/actions'
+
 // ==============================|| DOCUMENTS ||============================== //
 
 const Documents = () => {
@@ -47,8 +53,16 @@ const Documents = () => {
     const customization = useSelector((state) => state.customization)
 
     const navigate = useNavigate()
+    const dispatch = useDispatch()
     const getAllDocumentStores = useApi(documentsApi.getAllDocumentStores)
 
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const inputRef = useRef(null)
+
     const [error, setError] = useState(null)
     const [isLoading, setLoading] = useState(true)
     const [images, setImages] = useState({})
@@ -87,6 +101,64 @@ const Documents = () => {
         setShowDialog(true)
     }
 
+    const showImportMessage = (message, variant) => {
+        enqueueSnackbar({
+            message,
+            options: {
+                key: new Date().getTime() + Math.random(),
+                variant,
+                persist: variant !== 'success',
+                action: (key) => (
+                    <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                        <IconX />
+                    </Button>
+                )
+            }
+        })
+    }
+
+    const onUploadFile = async (file) => {
+        try {
+            const importResp = await documentsApi.importDocumentStore(JSON.parse(file))
+            const { documentStore, conflicts } = importResp.data
+            if (conflicts.length) {
+                showImportMessage(
+                    `${documentStore.name} imported with ${conflicts.length} conflict(s): ${conflicts
+                        .map((conflict) => conflict.message)
+                        .join('. ')}`,
+                    'warning'
+                )
+            } else {
+                showImportMessage(`${documentStore.name} imported`, 'success')
+            }
+            goToDocumentStore(documentStore.id)
+        } catch (error) {
+            const errorMessage = error.response
+                ? typeof error.response.data === 'object'
+                    ? error.response.data.message
+                    : error.response.data
+                : error.message
+            showImportMessage(`Failed to import document store: ${errorMessage}`, 'error')
+        }
+    }
+
+    const handleFileUpload = (e) => {
+        if (!e.target.files) return
+
+        const file = e.target.files[0]
+        // the same archive can be imported again
+        e.target.value = ''
+
+        const reader = new FileReader()
+        reader.onload = (evt) => {
+            if (!evt?.target?.result) {
+                return
+            }
+            onUploadFile(evt.target.result)
+        }
+        reader.readAsText(file)
+    }
+
     const onConfirm = () => {
         setShowDialog(false)
         getAllDocumentStores.request()
@@ -178,6 +250,16 @@ const Documents = () => {
                                 <IconList />
                             </ToggleButton>
                         </ToggleButtonGroup>
+                        <Button
+                            variant='outlined'
+                            sx={{ borderRadius: 2, height: '100%' }}
+                            onClick={() => inputRef.current.click()}
+                            startIcon={<IconFileUpload />}
+                            title='Import an exported document store'
+                        >
+                            Import
+                        </Button>
+                        <input style={{ display: 'none' }} ref={inputRef} type='file' hidden accept='.json' onChange={handleFileUpload} />
                         <StyledButton
                             variant='contained'
                             sx={{ borderRadius: 2, height: '100%' }}
@@ -251,6 +333,9 @@ const Documents = () => {
                                                 >
                                                     {data.name}
                                                 </Typography>
+                                                {getAuthorsCaption(data) && (
+                                                    <Typography variant='caption'>{getAuthorsCaption(data)}</Typography>
+                                                )}
                                             </TableCell>
                                             <TableCell>
                                                 <Typography
@@ -13,8 +13,11 @@ import { useTheme } from '@mui/material/styles'
 import MarketplaceCanvasNode from './MarketplaceCanvasNode'
 import MarketplaceCanvasHeader from './MarketplaceCanvasHeader'
 import StickyNote from '../canvas/StickyNote'
+import GroupNode from '../canvas/GroupNode'
 
-const nodeTypes = { customNode: MarketplaceCanvasNode, stickyNote: StickyNote }
+const MarketplaceGroupNode = (props) => <GroupNode {...props} readOnly />
+
+const nodeTypes = { customNode: MarketplaceCanvasNode, stickyNote: StickyNote, groupNode: MarketplaceGroupNode }
 const edgeTypes = { buttonedge: '' }
 
 // ==============================|| CANVAS ||============================== //
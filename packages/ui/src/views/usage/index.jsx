@@ -0,0 +1,305 @@
+import { forwardRef, useEffect, useState } from 'react'
+import { useSelector } from 'react-redux'
+import PropTypes from 'prop-types'
+import DatePicker from 'react-datepicker'
+
+// material-ui
+import { styled } from '@mui/material/styles'
+import { tableCellClasses } from '@mui/material/TableCell'
+import {
+    Box,
+    Card,
+    CardContent,
+    Grid,
+    LinearProgress,
+    ListItemButton,
+    Paper,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Typography,
+    useTheme
+} from '@mui/material'
+
+// project imports
+import MainCard from '@/ui-component/cards/MainCard'
+import ViewHeader from '@/layout/MainLayout/ViewHeader'
+import ErrorBoundary from '@/ErrorBoundary'
+import AnalyticsChart from '@/views/analytics/AnalyticsChart'
+
+// API
+import usageApi from '@/api/usage'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+
+import 'react-datepicker/dist/react-datepicker.css'
+
+const StyledTableCell = styled(TableCell)(({ theme }) => ({
+    borderColor: theme.palette.grey[900] + 25,
+
+    [`&.${tableCellClasses.head}`]: {
+        color: theme.palette.grey[900]
+    },
+    [`&.${tableCellClasses.body}`]: {
+        fontSize: 14,
+        height: 64
+    }
+}))
+
+const DatePickerCustomInput = forwardRef(function DatePickerCustomInput({ value, onClick }, ref) {
+    return (
+        <ListItemButton style={{ borderRadius: 15, border: '1px solid #e0e0e0' }} onClick={onClick} ref={ref}>
+            {value}
+        </ListItemButton>
+    )
+})
+
+DatePickerCustomInput.propTypes = {
+    value: PropTypes.string,
+    onClick: PropTypes.func
+}
+
+const formatNumber = (value) => (value ?? 0).toLocaleString()
+
+const formatCost = (value) => `$${(value ?? 0).toFixed(value >= 100 ? 2 : 4)}`
+
+const MetricCard = ({ label, value, caption }) => (
+    <Card variant='outlined' sx={{ height: '100%' }}>
+        <CardContent>
+            <Typography variant='caption' sx={{ color: 'text.secondary' }}>
+                {label}
+            </Typography>
+            <Typography variant='h3' sx={{ mt: 0.5 }}>
+                {value}
+            </Typography>
+            {caption && <Typography variant='caption'>{caption}</Typography>}
+        </CardContent>
+    </Card>
+)
+
+MetricCard.propTypes = {
+    label: PropTypes.string,
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    caption: PropTypes.string
+}
+
+const BudgetCell = ({ usage }) => {
+    if (usage.monthlyBudget === undefined || usage.monthlyBudget === null) return <StyledTableCell>-</StyledTableCell>
+    const spent = usage.monthlyBudget ? (usage.monthCost / usage.monthlyBudget) * 100 : 100
+    return (
+        <StyledTableCell>
+            <Typography variant='body2'>
+                {formatCost(usage.monthCost)} of {formatCost(usage.monthlyBudget)} this month
+            </Typography>
+            <LinearProgress
+                variant='determinate'
+                color={spent >= 100 ? 'error' : spent >= 80 ? 'warning' : 'primary'}
+                value={Math.min(spent, 100)}
+                sx={{ mt: 0.5 }}
+            />
+        </StyledTableCell>
+    )
+}
+
+BudgetCell.propTypes = {
+    usage: PropTypes.object
+}
+
+const UsageTable = ({ title, nameLabel, rows, getName, getKey, showBudget }) => {
+    const theme = useTheme()
+    const customization = useSelector((state) => state.customization)
+
+    return (
+        <Box>
+            <Typography variant='h4' sx={{ mb: 1 }}>
+                {title}
+            </Typography>
+            <TableContainer sx={{ border: 1, borderColor: theme.palette.grey[900] + 25, borderRadius: 2 }} component={Paper}>
+                <Table sx={{ minWidth: 650 }} aria-label={title}>
+                    <TableHead
+                        sx={{
+                            backgroundColor: customization.isDarkMode ? theme.palette.common.black : theme.palette.grey[100],
+                            height: 56
+                        }}
+                    >
+                        <TableRow>
+                            <StyledTableCell>{nameLabel}</StyledTableCell>
+                            <StyledTableCell>Answers</StyledTableCell>
+                            <StyledTableCell>Prompt Tokens</StyledTableCell>
+                            <StyledTableCell>Completion Tokens</StyledTableCell>
+                            <StyledTableCell>Cost</StyledTableCell>
+                            {showBudget && <StyledTableCell sx={{ width: '25%' }}>Monthly Budget</StyledTableCell>}
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {rows.map((row) => (
+                            <TableRow key={getKey(row)} sx={{ '&:last-child td, &:last-child th': { border: 0 } }}>
+                                <StyledTableCell>{getName(row)}</StyledTableCell>
+                                <StyledTableCell>{formatNumber(row.answers)}</StyledTableCell>
+                                <StyledTableCell>{formatNumber(row.promptTokens)}</StyledTableCell>
+                                <StyledTableCell>{formatNumber(row.completionTokens)}</StyledTableCell>
+                                <StyledTableCell>{formatCost(row.cost)}</StyledTableCell>
+                                {showBudget && <BudgetCell usage={row} />}
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+            {rows.length === 0 && <Typography sx={{ mt: 2, textAlign: 'center' }}>No usage recorded</Typography>}
+        </Box>
+    )
+}
+
+UsageTable.propTypes = {
+    title: PropTypes.string,
+    nameLabel: PropTypes.string,
+    rows: PropTypes.array,
+    getName: PropTypes.func,
+    getKey: PropTypes.func,
+    showBudget: PropTypes.bool
+}
+
+// ==============================|| Usage ||============================== //
+
+const Usage = () => {
+    const theme = useTheme()
+    const getUsageApi = useApi(usageApi.getUsage)
+
+    const [startDate, setStartDate] = useState(new Date().setMonth(new Date().getMonth() - 1))
+    const [endDate, setEndDate] = useState(new Date())
+
+    useEffect(() => {
+        const fromDate = new Date(startDate)
+        fromDate.setHours(0, 0, 0, 0)
+        const toDate = new Date(endDate)
+        toDate.setHours(23, 59, 59, 999)
+        getUsageApi.request({
+            startDate: fromDate.toISOString(),
+            endDate: toDate.toISOString(),
+            tzOffset: new Date().getTimezoneOffset()
+        })
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [startDate, endDate])
+
+    const usage = getUsageApi.data
+
+    return (
+        <MainCard>
+            {getUsageApi.error ? (
+                <ErrorBoundary error={getUsageApi.error} />
+            ) : (
+                <Stack flexDirection='column' sx={{ gap: 3 }}>
+                    <ViewHeader
+                        search={false}
+                        title='Usage'
+                        description='Tokens used by the predictions and their cost, priced with the model prices of models.json'
+                    />
+                    <Stack direction='row' alignItems='center' flexWrap='wrap' sx={{ gap: 2 }}>
+                        <Stack direction='row' alignItems='center'>
+                            <b style={{ marginRight: 10 }}>From Date</b>
+                            <DatePicker
+                                selected={startDate}
+                                onChange={(date) => setStartDate(date)}
+                                selectsStart
+                                startDate={startDate}
+                                endDate={endDate}
+                                maxDate={endDate}
+                                customInput={<DatePickerCustomInput />}
+                            />
+                        </Stack>
+                        <Stack direction='row' alignItems='center'>
+                            <b style={{ marginRight: 10 }}>To Date</b>
+                            <DatePicker
+                                selected={endDate}
+                                onChange={(date) => setEndDate(date)}
+                                selectsEnd
+                                startDate={startDate}
+                                endDate={endDate}
+                                minDate={startDate}
+                                maxDate={new Date()}
+                                customInput={<DatePickerCustomInput />}
+                            />
+                        </Stack>
+                    </Stack>
+                    {getUsageApi.loading && <LinearProgress />}
+                    {usage && (
+                        <>
+                            <Grid container spacing={2}>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard label='Cost' value={formatCost(usage.totals.cost)} />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard label='Total Tokens' value={formatNumber(usage.totals.totalTokens)} />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard
+                                        label='Prompt / Completion Tokens'
+                                        value={`${formatNumber(usage.totals.promptTokens)} / ${formatNumber(
+                                            usage.totals.completionTokens
+                                        )}`}
+                                    />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <MetricCard
+                                        label='Answers'
+                                        value={formatNumber(usage.totals.answers)}
+                                        caption='Answers with recorded token usage'
+                                    />
+                                </Grid>
+                            </Grid>
+                            <Grid container spacing={2}>
+                                <Grid item xs={12} md={6}>
+                                    <AnalyticsChart
+                                        title='Cost per Day'
+                                        series={usage.series}
+                                        getValue={(bucket) => bucket.cost}
+                                        formatValue={formatCost}
+                                        color={theme.palette.secondary.main}
+                                    />
+                                </Grid>
+                                <Grid item xs={12} md={6}>
+                                    <AnalyticsChart
+                                        title='Tokens per Day'
+                                        series={usage.series}
+                                        getValue={(bucket) => bucket.totalTokens}
+                                        formatValue={formatNumber}
+                                    />
+                                </Grid>
+                            </Grid>
+                            <UsageTable
+                                title='Chatflows'
+                                nameLabel='Chatflow'
+                                rows={usage.chatflows}
+                                getName={(row) => row.name}
+                                getKey={(row) => row.chatflowid}
+                                showBudget={true}
+                            />
+                            <UsageTable
+                                title='API Keys'
+                                nameLabel='Key Name'
+                                rows={usage.apiKeys}
+                                getName={(row) => row.keyName}
+                                getKey={(row) => row.apikeyid}
+                                showBudget={true}
+                            />
+                            <UsageTable
+                                title='Models'
+                                nameLabel='Model'
+                                rows={usage.models}
+                                getName={(row) => row.model}
+                                getKey={(row) => row.model}
+                            />
+                        </>
+                    )}
+                </Stack>
+            )}
+        </MainCard>
+    )
+}
+
+export default Usage
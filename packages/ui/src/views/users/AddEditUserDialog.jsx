@@ -0,0 +1,232 @@
+import { createPortal } from 'react-dom'
+import PropTypes from 'prop-types'
+import { useState, useEffect } from 'react'
+import { useDispatch } from 'react-redux'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+
+// Material
+import { Button, Dialog, DialogActions, DialogContent, DialogTitle, Box, Typography, OutlinedInput } from '@mui/material'
+
+// Project imports
+import { StyledButton } from '@/ui-component/button/StyledButton'
+import { Dropdown } from '@/ui-component/dropdown/Dropdown'
+
+// Icons
+import { IconX, IconUser } from '@tabler/icons-react'
+
+// API
+import usersApi from '@/api/users'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+// const
+import { HIDE_CANVAS_DIALOG, SHOW_CANVAS_DIALOG } from '@/store/actions'
+
+const MIN_PASSWORD_LENGTH = 8
+
+const userRoles = [
+    {
+        label: 'Admin',
+        name: 'admin',
+        description: 'Full access, including users, API keys and the audit log'
+    },
+    {
+        label: 'Editor',
+        name: 'editor',
+        description: 'Create and edit chatflows, tools, credentials, variables and document stores'
+    },
+    {
+        label: 'Viewer',
+        name: 'viewer',
+        description: 'Read-only access'
+    }
+]
+
+const AddEditUserDialog = ({ show, dialogProps, onCancel, onConfirm }) => {
+    const portalElement = document.getElementById('portal')
+
+    const dispatch = useDispatch()
+
+    // ==============================|| Snackbar ||============================== //
+
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const [username, setUsername] = useState('')
+    const [password, setPassword] = useState('')
+    const [role, setRole] = useState('viewer')
+    const [user, setUser] = useState({})
+
+    useEffect(() => {
+        if (dialogProps.type === 'EDIT' && dialogProps.data) {
+            setUsername(dialogProps.data.username)
+            setRole(dialogProps.data.role)
+            setUser(dialogProps.data)
+        } else {
+            setUsername('')
+            setRole('viewer')
+            setUser({})
+        }
+        setPassword('')
+    }, [dialogProps])
+
+    useEffect(() => {
+        if (show) dispatch({ type: SHOW_CANVAS_DIALOG })
+        else dispatch({ type: HIDE_CANVAS_DIALOG })
+        return () => dispatch({ type: HIDE_CANVAS_DIALOG })
+    }, [show, dispatch])
+
+    const showError = (message, error) => {
+        enqueueSnackbar({
+            message: `${message}: ${typeof error.response.data === 'object' ? error.response.data.message : error.response.data}`,
+            options: {
+                key: new Date().getTime() + Math.random(),
+                variant: 'error',
+                persist: true,
+                action: (key) => (
+                    <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                        <IconX />
+                    </Button>
+                )
+            }
+        })
+    }
+
+    const showSuccess = (message) => {
+        enqueueSnackbar({
+            message,
+            options: {
+                key: new Date().getTime() + Math.random(),
+                variant: 'success',
+                action: (key) => (
+                    <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                        <IconX />
+                    </Button>
+                )
+            }
+        })
+    }
+
+    const addNewUser = async () => {
+        try {
+            const createResp = await usersApi.createUser({ username, password, role })
+            if (createResp.data) {
+                showSuccess('New User added')
+                onConfirm()
+            }
+        } catch (error) {
+            showError('Failed to add new User', error)
+        }
+    }
+
+    const saveUser = async () => {
+        try {
+            // The password is only changed when a new one is entered
+            const saveObj = { role }
+            if (password) saveObj.password = password
+            const saveResp = await usersApi.updateUser(user.id, saveObj)
+            if (saveResp.data) {
+                showSuccess('User saved')
+                onConfirm()
+            }
+        } catch (error) {
+            showError('Failed to save User', error)
+        }
+    }
+
+    const isPasswordValid = dialogProps.type === 'EDIT' && !password ? true : password.length >= MIN_PASSWORD_LENGTH
+
+    const component = show ? (
+        <Dialog
+            fullWidth
+            maxWidth='sm'
+            open={show}
+            onClose={onCancel}
+            aria-labelledby='alert-dialog-title'
+            aria-describedby='alert-dialog-description'
+        >
+            <DialogTitle sx={{ fontSize: '1rem' }} id='alert-dialog-title'>
+                <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                    <IconUser style={{ marginRight: '10px' }} />
+                    {dialogProps.type === 'ADD' ? 'Add User' : 'Edit User'}
+                </div>
+            </DialogTitle>
+            <DialogContent>
+                <Box sx={{ p: 2 }}>
+                    <Typography>
+                        Username<span style={{ color: 'red' }}>&nbsp;*</span>
+                    </Typography>
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        type='string'
+                        fullWidth
+                        disabled={dialogProps.type === 'EDIT'}
+                        onChange={(e) => setUsername(e.target.value)}
+                        value={username ?? ''}
+                        id='txtInput_username'
+                    />
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Typography>
+                        Password
+                        {dialogProps.type === 'ADD' && <span style={{ color: 'red' }}>&nbsp;*</span>}
+                    </Typography>
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        type='password'
+                        fullWidth
+                        placeholder={dialogProps.type === 'EDIT' ? 'Leave empty to keep the current password' : ''}
+                        onChange={(e) => setPassword(e.target.value)}
+                        value={password}
+                        id='txtInput_password'
+                    />
+                    {!isPasswordValid && (
+                        <Typography variant='caption' color='error'>
+                            Password must have at least {MIN_PASSWORD_LENGTH} characters
+                        </Typography>
+                    )}
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Typography>
+                        Role<span style={{ color: 'red' }}>&nbsp;*</span>
+                    </Typography>
+                    <Dropdown
+                        key={`${user.id ?? 'new'}_${role}`}
+                        name='role'
+                        options={userRoles}
+                        onSelect={(newValue) => setRole(newValue)}
+                        value={role ?? 'choose an option'}
+                        disableClearable={true}
+                        id='dropdown_role'
+                    />
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <StyledButton
+                    disabled={!username || !role || !isPasswordValid}
+                    variant='contained'
+                    onClick={() => (dialogProps.type === 'ADD' ? addNewUser() : saveUser())}
+                    id='btn_confirmAddingNewUser'
+                >
+                    {dialogProps.confirmButtonName}
+                </StyledButton>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+AddEditUserDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func,
+    onConfirm: PropTypes.func
+}
+
+export default AddEditUserDialog
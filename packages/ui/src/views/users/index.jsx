@@ -0,0 +1,308 @@
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+import moment from 'moment'
+
+// material-ui
+import { styled } from '@mui/material/styles'
+import { tableCellClasses } from '@mui/material/TableCell'
+import {
+    Button,
+    Box,
+    Skeleton,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Paper,
+    IconButton,
+    Chip,
+    useTheme
+} from '@mui/material'
+
+// project imports
+import MainCard from '@/ui-component/cards/MainCard'
+import { StyledButton } from '@/ui-component/button/StyledButton'
+import ConfirmDialog from '@/ui-component/dialog/ConfirmDialog'
+import AddEditUserDialog from './AddEditUserDialog'
+import ViewHeader from '@/layout/MainLayout/ViewHeader'
+import ErrorBoundary from '@/ErrorBoundary'
+
+// API
+import usersApi from '@/api/users'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+import useConfirm from '@/hooks/useConfirm'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+// Icons
+import { IconTrash, IconEdit, IconX, IconPlus, IconUser } from '@tabler/icons-react'
+
+const StyledTableCell = styled(TableCell)(({ theme }) => ({
+    borderColor: theme.palette.grey[900] + 25,
+
+    [`&.${tableCellClasses.head}`]: {
+        color: theme.palette.grey[900]
+    },
+    [`&.${tableCellClasses.body}`]: {
+        fontSize: 14,
+        height: 64
+    }
+}))
+
+const StyledTableRow = styled(TableRow)(() => ({
+    // hide last border
+    '&:last-child td, &:last-child th': {
+        border: 0
+    }
+}))
+
+const roleColors = {
+    admin: 'error',
+    editor: 'primary',
+    viewer: 'default'
+}
+
+// ==============================|| Users ||============================== //
+
+const Users = () => {
+    const theme = useTheme()
+    const customization = useSelector((state) => state.customization)
+    const dispatch = useDispatch()
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const [isLoading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+    const [showUserDialog, setShowUserDialog] = useState(false)
+    const [userDialogProps, setUserDialogProps] = useState({})
+    const [users, setUsers] = useState([])
+
+    const { confirm } = useConfirm()
+
+    const getAllUsers = useApi(usersApi.getAllUsers)
+
+    const [search, setSearch] = useState('')
+    const onSearchChange = (event) => {
+        setSearch(event.target.value)
+    }
+    function filterUsers(data) {
+        return data.username.toLowerCase().indexOf(search.toLowerCase()) > -1
+    }
+
+    const addNew = () => {
+        setUserDialogProps({
+            type: 'ADD',
+            cancelButtonName: 'Cancel',
+            confirmButtonName: 'Add',
+            data: {}
+        })
+        setShowUserDialog(true)
+    }
+
+    const edit = (user) => {
+        setUserDialogProps({
+            type: 'EDIT',
+            cancelButtonName: 'Cancel',
+            confirmButtonName: 'Save',
+            data: user
+        })
+        setShowUserDialog(true)
+    }
+
+    const deleteUser = async (user) => {
+        const confirmPayload = {
+            title: `Delete`,
+            description: `Delete user ${user.username}?`,
+            confirmButtonName: 'Delete',
+            cancelButtonName: 'Cancel'
+        }
+        const isConfirmed = await confirm(confirmPayload)
+
+        if (isConfirmed) {
+            try {
+                const deleteResp = await usersApi.deleteUser(user.id)
+                if (deleteResp.data) {
+                    enqueueSnackbar({
+                        message: 'User deleted',
+                        options: {
+                            key: new Date().getTime() + Math.random(),
+                            variant: 'success',
+                            action: (key) => (
+                                <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                                    <IconX />
+                                </Button>
+                            )
+                        }
+                    })
+                    onConfirm()
+                }
+            } catch (error) {
+                enqueueSnackbar({
+                    message: `Failed to delete User: ${
+                        typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                    }`,
+                    options: {
+                        key: new Date().getTime() + Math.random(),
+                        variant: 'error',
+                        persist: true,
+                        action: (key) => (
+                            <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                                <IconX />
+                            </Button>
+                        )
+                    }
+                })
+            }
+        }
+    }
+
+    const onConfirm = () => {
+        setShowUserDialog(false)
+        getAllUsers.request()
+    }
+
+    useEffect(() => {
+        getAllUsers.request()
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [])
+
+    useEffect(() => {
+        setLoading(getAllUsers.loading)
+    }, [getAllUsers.loading])
+
+    useEffect(() => {
+        if (getAllUsers.error) {
+            setError(getAllUsers.error)
+        }
+    }, [getAllUsers.error])
+
+    useEffect(() => {
+        if (getAllUsers.data) {
+            setUsers(getAllUsers.data)
+        }
+    }, [getAllUsers.data])
+
+    return (
+        <>
+            <MainCard>
+                {error ? (
+                    <ErrorBoundary error={error} />
+                ) : (
+                    <Stack flexDirection='column' sx={{ gap: 3 }}>
+                        <ViewHeader onSearchChange={onSearchChange} search={true} searchPlaceholder='Search Users' title='Users'>
+                            <StyledButton
+                                variant='contained'
+                                sx={{ borderRadius: 2, height: '100%' }}
+                                onClick={addNew}
+                                startIcon={<IconPlus />}
+                                id='btn_createUser'
+                            >
+                                Add User
+                            </StyledButton>
+                        </ViewHeader>
+                        {!isLoading && users.length === 0 ? (
+                            <Stack sx={{ alignItems: 'center', justifyContent: 'center' }} flexDirection='column'>
+                                <Box sx={{ p: 2, height: 'auto' }}>
+                                    <IconUser size={64} stroke={1} />
+                                </Box>
+                                <div>No Users Yet, management routes are not protected until the first user is added</div>
+                            </Stack>
+                        ) : (
+                            <TableContainer
+                                sx={{ border: 1, borderColor: theme.palette.grey[900] + 25, borderRadius: 2 }}
+                                component={Paper}
+                            >
+                                <Table sx={{ minWidth: 650 }} aria-label='simple table'>
+                                    <TableHead
+                                        sx={{
+                                            backgroundColor: customization.isDarkMode
+                                                ? theme.palette.common.black
+                                                : theme.palette.grey[100],
+                                            height: 56
+                                        }}
+                                    >
+                                        <TableRow>
+                                            <StyledTableCell>Username</StyledTableCell>
+                                            <StyledTableCell>Role</StyledTableCell>
+                                            <StyledTableCell>Last Login</StyledTableCell>
+                                            <StyledTableCell>Created</StyledTableCell>
+                                            <StyledTableCell> </StyledTableCell>
+                                            <StyledTableCell> </StyledTableCell>
+                                        </TableRow>
+                                    </TableHead>
+                                    <TableBody>
+                                        {isLoading ? (
+                                            <>
+                                                {[0, 1].map((row) => (
+                                                    <StyledTableRow key={row}>
+                                                        {[0, 1, 2, 3, 4, 5].map((cell) => (
+                                                            <StyledTableCell key={cell}>
+                                                                <Skeleton variant='text' />
+                                                            </StyledTableCell>
+                                                        ))}
+                                                    </StyledTableRow>
+                                                ))}
+                                            </>
+                                        ) : (
+                                            <>
+                                                {users.filter(filterUsers).map((user) => (
+                                                    <StyledTableRow key={user.id}>
+                                                        <StyledTableCell component='th' scope='row'>
+                                                            <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                                                                <IconUser style={{ width: 25, height: 25, marginRight: 10 }} />
+                                                                {user.username}
+                                                            </div>
+                                                        </StyledTableCell>
+                                                        <StyledTableCell>
+                                                            <Chip color={roleColors[user.role]} size='small' label={user.role} />
+                                                        </StyledTableCell>
+                                                        <StyledTableCell>
+                                                            {user.lastLoginDate
+                                                                ? moment(user.lastLoginDate).format('MMMM Do, YYYY HH:mm')
+                                                                : 'Never'}
+                                                        </StyledTableCell>
+                                                        <StyledTableCell>
+                                                            {moment(user.createdDate).format('MMMM Do, YYYY')}
+                                                        </StyledTableCell>
+                                                        <StyledTableCell>
+                                                            <IconButton title='Edit' color='primary' onClick={() => edit(user)}>
+                                                                <IconEdit />
+                                                            </IconButton>
+                                                        </StyledTableCell>
+                                                        <StyledTableCell>
+                                                            <IconButton title='Delete' color='error' onClick={() => deleteUser(user)}>
+                                                                <IconTrash />
+                                                            </IconButton>
+                                                        </StyledTableCell>
+                                                    </StyledTableRow>
+                                                ))}
+                                            </>
+                                        )}
+                                    </TableBody>
+                                </Table>
+                            </TableContainer>
+                        )}
+                    </Stack>
+                )}
+            </MainCard>
+            <AddEditUserDialog
+                show={showUserDialog}
+                dialogProps={userDialogProps}
+                onCancel={() => setShowUserDialog(false)}
+                onConfirm={onConfirm}
+            />
+            <ConfirmDialog />
+        </>
+    )
+}
+
+export default Users
@@ -0,0 +1,182 @@
+import { createPortal } from 'react-dom'
+import PropTypes from 'prop-types'
+import { useState, useEffect } from 'react'
+import { useDispatch } from 'react-redux'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+
+// Material
+import { Button, Dialog, DialogActions, DialogContent, DialogTitle, Box, Typography, OutlinedInput } from '@mui/material'
+
+// Project imports
+import { StyledButton } from '@/ui-component/button/StyledButton'
+
+// Icons
+import { IconX, IconFolders } from '@tabler/icons-react'
+
+// API
+import workspacesApi from '@/api/workspaces'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+// const
+import { HIDE_CANVAS_DIALOG, SHOW_CANVAS_DIALOG } from '@/store/actions'
+
+const AddEditWorkspaceDialog = ({ show, dialogProps, onCancel, onConfirm }) => {
+    const portalElement = document.getElementById('portal')
+
+    const dispatch = useDispatch()
+
+    // ==============================|| Snackbar ||============================== //
+
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const [name, setName] = useState('')
+    const [description, setDescription] = useState('')
+    const [workspace, setWorkspace] = useState({})
+
+    useEffect(() => {
+        if (dialogProps.type === 'EDIT' && dialogProps.data) {
+            setName(dialogProps.data.name)
+            setDescription(dialogProps.data.description ?? '')
+            setWorkspace(dialogProps.data)
+        } else {
+            setName('')
+            setDescription('')
+            setWorkspace({})
+        }
+    }, [dialogProps])
+
+    useEffect(() => {
+        if (show) dispatch({ type: SHOW_CANVAS_DIALOG })
+        else dispatch({ type: HIDE_CANVAS_DIALOG })
+        return () => dispatch({ type: HIDE_CANVAS_DIALOG })
+    }, [show, dispatch])
+
+    const showError = (message, error) => {
+        enqueueSnackbar({
+            message: `${message}: ${typeof error.response.data === 'object' ? error.response.data.message : error.response.data}`,
+            options: {
+                key: new Date().getTime() + Math.random(),
+                variant: 'error',
+                persist: true,
+                action: (key) => (
+                    <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                        <IconX />
+                    </Button>
+                )
+            }
+        })
+    }
+
+    const showSuccess = (message) => {
+        enqueueSnackbar({
+            message,
+            options: {
+                key: new Date().getTime() + Math.random(),
+                variant: 'success',
+                action: (key) => (
+                    <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                        <IconX />
+                    </Button>
+                )
+            }
+        })
+    }
+
+    const addNewWorkspace = async () => {
+        try {
+            const createResp = await workspacesApi.createWorkspace({ name, description })
+            if (createResp.data) {
+                showSuccess('New Workspace added')
+                onConfirm()
+            }
+        } catch (error) {
+            showError('Failed to add new Workspace', error)
+        }
+    }
+
+    const saveWorkspace = async () => {
+        try {
+            const saveResp = await workspacesApi.updateWorkspace(workspace.id, { name, description })
+            if (saveResp.data) {
+                showSuccess('Workspace saved')
+                onConfirm()
+            }
+        } catch (error) {
+            showError('Failed to save Workspace', error)
+        }
+    }
+
+    const component = show ? (
+        <Dialog
+            fullWidth
+            maxWidth='sm'
+            open={show}
+            onClose={onCancel}
+            aria-labelledby='alert-dialog-title'
+            aria-describedby='alert-dialog-description'
+        >
+            <DialogTitle sx={{ fontSize: '1rem' }} id='alert-dialog-title'>
+                <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                    <IconFolders style={{ marginRight: '10px' }} />
+                    {dialogProps.type === 'ADD' ? 'Add Workspace' : 'Edit Workspace'}
+                </div>
+            </DialogTitle>
+            <DialogContent>
+                <Box sx={{ p: 2 }}>
+                    <Typography>
+                        Name<span style={{ color: 'red' }}>&nbsp;*</span>
+                    </Typography>
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        type='string'
+                        fullWidth
+                        onChange={(e) => setName(e.target.value)}
+                        value={name ?? ''}
+                        id='txtInput_workspaceName'
+                    />
+                </Box>
+                <Box sx={{ p: 2 }}>
+                    <Typography>Description</Typography>
+                    <OutlinedInput
+                        size='small'
+                        sx={{ mt: 1 }}
+                        type='string'
+                        fullWidth
+                        multiline
+                        rows={3}
+                        onChange={(e) => setDescription(e.target.value)}
+                        value={description ?? ''}
+                        id='txtInput_workspaceDescription'
+                    />
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <StyledButton
+                    disabled={!name}
+                    variant='contained'
+                    onClick={() => (dialogProps.type === 'ADD' ? addNewWorkspace() : saveWorkspace())}
+                    id='btn_confirmAddingNewWorkspace'
+                >
+                    {dialogProps.confirmButtonName}
+                </StyledButton>
+            </DialogActions>
+        </Dialog>
+    ) : null
+
+    return createPortal(component, portalElement)
+}
+
+AddEditWorkspaceDialog.propTypes = {
+    show: PropTypes.bool,
+    dialogProps: PropTypes.object,
+    onCancel: PropTypes.func,
+    onConfirm: PropTypes.func
+}
+
+export default AddEditWorkspaceDialog
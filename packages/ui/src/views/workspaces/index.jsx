@@ -0,0 +1,319 @@
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { enqueueSnackbar as enqueueSnackbarAction, closeSnackbar as closeSnackbarAction } from '@/store/actions'
+import moment from 'moment'
+
+// material-ui
+import { styled } from '@mui/material/styles'
+import { tableCellClasses } from '@mui/material/TableCell'
+import {
+    Button,
+    Box,
+    Skeleton,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Paper,
+    IconButton,
+    Chip,
+    Typography,
+    useTheme
+} from '@mui/material'
+
+// project imports
+import MainCard from '@/ui-component/cards/MainCard'
+import { StyledButton } from '@/ui-component/button/StyledButton'
+import ConfirmDialog from '@/ui-component/dialog/ConfirmDialog'
+import AddEditWorkspaceDialog from './AddEditWorkspaceDialog'
+import ViewHeader from '@/layout/MainLayout/ViewHeader'
+import ErrorBoundary from '@/ErrorBoundary'
+
+// API
+import workspacesApi from '@/api/workspaces'
+
+// Hooks
+import useApi from '@/hooks/useApi'
+import useConfirm from '@/hooks/useConfirm'
+
+// utils
+import useNotifier from '@/utils/useNotifier'
+
+// Icons
+import { IconTrash, IconEdit, IconX, IconPlus, IconFolders } from '@tabler/icons-react'
+
+const StyledTableCell = styled(TableCell)(({ theme }) => ({
+    borderColor: theme.palette.grey[900] + 25,
+
+    [`&.${tableCellClasses.head}`]: {
+        color: theme.palette.grey[900]
+    },
+    [`&.${tableCellClasses.body}`]: {
+        fontSize: 14,
+        height: 64
+    }
+}))
+
+const StyledTableRow = styled(TableRow)(() => ({
+    // hide last border
+    '&:last-child td, &:last-child th': {
+        border: 0
+    }
+}))
+
+// ==============================|| Workspaces ||============================== //
+
+const Workspaces = () => {
+    const theme = useTheme()
+    const customization = useSelector((state) => state.customization)
+    const dispatch = useDispatch()
+    useNotifier()
+
+    const enqueueSnackbar = (...args) => dispatch(enqueueSnackbarAction(...args))
+    const closeSnackbar = (...args) => dispatch(closeSnackbarAction(...args))
+
+    const [isLoading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+    const [showWorkspaceDialog, setShowWorkspaceDialog] = useState(false)
+    const [workspaceDialogProps, setWorkspaceDialogProps] = useState({})
+    const [workspaces, setWorkspaces] = useState([])
+
+    const { confirm } = useConfirm()
+
+    const getAllWorkspaces = useApi(workspacesApi.getAllWorkspaces)
+
+    const currentWorkspaceId = localStorage.getItem('workspaceId')
+
+    const [search, setSearch] = useState('')
+    const onSearchChange = (event) => {
+        setSearch(event.target.value)
+    }
+    function filterWorkspaces(data) {
+        return data.name.toLowerCase().indexOf(search.toLowerCase()) > -1
+    }
+
+    const addNew = () => {
+        setWorkspaceDialogProps({
+            type: 'ADD',
+            cancelButtonName: 'Cancel',
+            confirmButtonName: 'Add',
+            data: {}
+        })
+        setShowWorkspaceDialog(true)
+    }
+
+    const edit = (workspace) => {
+        setWorkspaceDialogProps({
+            type: 'EDIT',
+            cancelButtonName: 'Cancel',
+            confirmButtonName: 'Save',
+            data: workspace
+        })
+        setShowWorkspaceDialog(true)
+    }
+
+    const deleteWorkspace = async (workspace) => {
+        const confirmPayload = {
+            title: `Delete`,
+            description: `Delete workspace ${workspace.name}? Only empty workspaces can be deleted.`,
+            confirmButtonName: 'Delete',
+            cancelButtonName: 'Cancel'
+        }
+        const isConfirmed = await confirm(confirmPayload)
+
+        if (isConfirmed) {
+            try {
+                const deleteResp = await workspacesApi.deleteWorkspace(workspace.id)
+                if (deleteResp.data) {
+                    enqueueSnackbar({
+                        message: 'Workspace deleted',
+                        options: {
+                            key: new Date().getTime() + Math.random(),
+                            variant: 'success',
+                            action: (key) => (
+                                <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                                    <IconX />
+                                </Button>
+                            )
+                        }
+                    })
+                    // The header switches to another workspace on the next load
+                    if (workspace.id === currentWorkspaceId) localStorage.removeItem('workspaceId')
+                    onConfirm()
+                }
+            } catch (error) {
+                enqueueSnackbar({
+                    message: `Failed to delete Workspace: ${
+                        typeof error.response.data === 'object' ? error.response.data.message : error.response.data
+                    }`,
+                    options: {
+                        key: new Date().getTime() + Math.random(),
+                        variant: 'error',
+                        persist: true,
+                        action: (key) => (
+                            <Button style={{ color: 'white' }} onClick={() => closeSnackbar(key)}>
+                                <IconX />
+                            </Button>
+                        )
+                    }
+                })
+            }
+        }
+    }
+
+    const onConfirm = () => {
+        setShowWorkspaceDialog(false)
+        getAllWorkspaces.request()
+    }
+
+    useEffect(() => {
+        getAllWorkspaces.request()
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [])
+
+    useEffect(() => {
+        setLoading(getAllWorkspaces.loading)
+    }, [getAllWorkspaces.loading])
+
+    useEffect(() => {
+        if (getAllWorkspaces.error) {
+            setError(getAllWorkspaces.error)
+        }
+    }, [getAllWorkspaces.error])
+
+    useEffect(() => {
+        if (getAllWorkspaces.data) {
+            setWorkspaces(getAllWorkspaces.data)
+        }
+    }, [getAllWorkspaces.data])
+
+    return (
+        <>
+            <MainCard>
+                {error ? (
+                    <ErrorBoundary error={error} />
+                ) : (
+                    <Stack flexDirection='column' sx={{ gap: 3 }}>
+                        <ViewHeader onSearchChange={onSearchChange} search={true} searchPlaceholder='Search Workspaces' title='Workspaces'>
+                            <StyledButton
+                                variant='contained'
+                                sx={{ borderRadius: 2, height: '100%' }}
+                                onClick={addNew}
+                                startIcon={<IconPlus />}
+                                id='btn_createWorkspace'
+                            >
+                                Add Workspace
+                            </StyledButton>
+                        </ViewHeader>
+                        {!isLoading && workspaces.length === 0 ? (
+                            <Stack sx={{ alignItems: 'center', justifyContent: 'center' }} flexDirection='column'>
+                                <Box sx={{ p: 2, height: 'auto' }}>
+                                    <IconFolders size={64} stroke={1} />
+                                </Box>
+                                <div>No Workspaces Yet</div>
+                            </Stack>
+                        ) : (
+                            <TableContainer
+                                sx={{ border: 1, borderColor: theme.palette.grey[900] + 25, borderRadius: 2 }}
+                                component={Paper}
+                            >
+                                <Table sx={{ minWidth: 650 }} aria-label='simple table'>
+                                    <TableHead
+                                        sx={{
+                                            backgroundColor: customization.isDarkMode
+                                                ? theme.palette.common.black
+                                                : theme.palette.grey[100],
+                                            height: 56
+                                        }}
+                                    >
+                                        <TableRow>
+                                            <StyledTableCell>Name</StyledTableCell>
+                                            <StyledTableCell>Chatflows</StyledTableCell>
+                                            <StyledTableCell>Credentials</StyledTableCell>
+                                            <StyledTableCell>Variables</StyledTableCell>
+                                            <StyledTableCell>Document Stores</StyledTableCell>
+                                            <StyledTableCell>Created</StyledTableCell>
+                                            <StyledTableCell> </StyledTableCell>
+                                            <StyledTableCell> </StyledTableCell>
+                                        </TableRow>
+                                    </TableHead>
+                                    <TableBody>
+                                        {isLoading ? (
+                                            <>
+                                                {[0, 1].map((row) => (
+                                                    <StyledTableRow key={row}>
+                                                        {[0, 1, 2, 3, 4, 5, 6, 7].map((cell) => (
+                                                            <StyledTableCell key={cell}>
+                                                                <Skeleton variant='text' />
+                                                            </StyledTableCell>
+                                                        ))}
+                                                    </StyledTableRow>
+                                                ))}
+                                            </>
+                                        ) : (
+                                            <>
+                                                {workspaces.filter(filterWorkspaces).map((workspace) => (
+                                                    <StyledTableRow key={workspace.id}>
+                                                        <StyledTableCell component='th' scope='row'>
+                                                            <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
+                                                                <IconFolders style={{ width: 25, height: 25, marginRight: 10 }} />
+                                                                <div>
+                                                                    {workspace.name}
+                                                                    {workspace.description && (
+                                                                        <Typography variant='caption' component='div'>
+                                                                            {workspace.description}
+                                                                        </Typography>
+                                                                    )}
+                                                                </div>
+                                                                {workspace.id === currentWorkspaceId && (
+                                                                    <Chip sx={{ ml: 1 }} color='primary' size='small' label='Current' />
+                                                                )}
+                                                            </div>
+                                                        </StyledTableCell>
+                                                        <StyledTableCell>{workspace.chatflows}</StyledTableCell>
+                                                        <StyledTableCell>{workspace.credentials}</StyledTableCell>
+                                                        <StyledTableCell>{workspace.variables}</StyledTableCell>
+                                                        <StyledTableCell>{workspace.documentStores}</StyledTableCell>
+                                                        <StyledTableCell>
+                                                            {moment(workspace.createdDate).format('MMMM Do, YYYY')}
+                                                        </StyledTableCell>
+                                                        <StyledTableCell>
+                                                            <IconButton title='Edit' color='primary' onClick={() => edit(workspace)}>
+                                                                <IconEdit />
+                                                            </IconButton>
+                                                        </StyledTableCell>
+                                                        <StyledTableCell>
+                                                            <IconButton
+                                                                title='Delete'
+                                                                color='error'
+                                                                onClick={() => deleteWorkspace(workspace)}
+                                                            >
+                                                                <IconTrash />
+                                                            </IconButton>
+                                                        </StyledTableCell>
+                                                    </StyledTableRow>
+                                                ))}
+                                            </>
+                                        )}
+                                    </TableBody>
+                                </Table>
+                            </TableContainer>
+                        )}
+                    </Stack>
+                )}
+            </MainCard>
+            <AddEditWorkspaceDialog
+                show={showWorkspaceDialog}
+                dialogProps={workspaceDialogProps}
+                onCancel={() => setShowWorkspaceDialog(false)}
+                onConfirm={onConfirm}
+            />
+            <ConfirmDialog />
+        </>
+    )
+}
+
+export default Workspaces